@@ -4,6 +4,8 @@
  */
 class AccessibilityManager {
     constructor() {
+        this.logger = Logger.getInstance().channel('app');
+        this.i18n = I18nManager.getInstance();
         this.tabOrder = [];
         this.currentTabIndex = -1;
         this.touchDevice = this.detectTouchDevice();
@@ -26,6 +28,7 @@ class AccessibilityManager {
         this.setupTouchOptimizations();
         this.setupFocusManagement();
         this.setupAriaLabels();
+        this.setupReducedMotionMode();
     }
 
     /**
@@ -41,28 +44,75 @@ class AccessibilityManager {
     setupTabOrder() {
         // 定义Tab导航的逻辑顺序
         const tabElements = [
+            // 学习者档案
+            '#profile-switch-btn',
+            
             // 难度选择区域
             '.star-container[data-level="1"]',
             '.star-container[data-level="2"]',
             '.star-container[data-level="3"]',
             '.star-container[data-level="4"]',
             '.star-container[data-level="5"]',
+            '#face-style-select',
+            '#adaptive-difficulty-toggle',
+            '#question-mode-select',
+            '#clock-theme-select',
+            '#review-ratio-select',
+            '#review-session-btn',
+            '#test-count-select',
+            '#test-time-limit-select',
+            '#test-level-options input[value="1"]',
+            '#test-level-options input[value="2"]',
+            '#test-level-options input[value="3"]',
+            '#test-level-options input[value="4"]',
+            '#test-level-options input[value="5"]',
+            '#test-start-btn',
+            '#worksheet-level-select',
+            '#worksheet-count-select',
+            '#worksheet-type-select',
+            '#worksheet-answer-key-toggle',
+            '#worksheet-btn',
+            '#locale-select',
+            '#speech-toggle',
+            '#speech-voice-select',
+            '#speech-rate-select',
+            '#sound-toggle',
+            '#sound-volume-select',
+            '#quiet-classroom-toggle',
+            '#log-level-select',
+            '#log-download-btn',
             '#refresh-btn',
             
+            // 测验交卷按钮
+            '#test-stop-btn',
+            
             // 参考线开关
             '#guide-lines-toggle',
+            '#hand-animation-toggle',
+            '#smooth-second-toggle',
+            '#minute-labels-toggle',
+            '#minute-sector-toggle',
+            '#hour-zone-toggle',
             
             // 时间输入区域
+            '#elapsed-hours-input',
+            '#elapsed-minutes-input',
             '#hours-input',
             '#minutes-input',
             '#seconds-input',
+            '#speech-answer-btn',
+            '#hint-btn',
             '#submit-btn',
+            '#explanation-play-btn',
+            '#explanation-step-btn',
+            '#explanation-replay-btn',
             
             // 记录筛选区域
             '#correctness-filter',
             '#difficulty-filter',
             '#date-from-filter',
             '#date-to-filter',
+            '#progress-dashboard-btn',
             '#clear-filters-btn',
             '#clear-records-btn',
             
@@ -92,7 +142,7 @@ class AccessibilityManager {
         
         starContainers.forEach((container, index) => {
             if (!container || !container.classList) {
-                console.warn('星级容器元素无效，跳过键盘导航设置');
+                this.logger.warn('星级容器元素无效，跳过键盘导航设置');
                 return;
             }
             
@@ -385,7 +435,8 @@ class AccessibilityManager {
     setupSkipLinks() {
         const skipLink = document.createElement('a');
         skipLink.href = '#main-content';
-        skipLink.textContent = '跳转到主要内容';
+        skipLink.dataset.i18n = 'accessibility.skipLink';
+        skipLink.textContent = this.i18n.t('accessibility.skipLink');
         skipLink.className = 'skip-link';
         skipLink.style.cssText = `
             position: absolute;
@@ -419,6 +470,20 @@ class AccessibilityManager {
         }
     }
 
+    /**
+     * 设置带翻译标记的ARIA标签，切换语言时由I18nManager.applyToDocument更新
+     * @param {Element} element - 目标元素
+     * @param {string} key - 消息键
+     * @param {Object} params - 插值参数
+     */
+    setTranslatedAriaLabel(element, key, params = null) {
+        element.setAttribute('data-i18n-aria-label', key);
+        if (params) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        }
+        element.setAttribute('aria-label', this.i18n.t(key, params || {}));
+    }
+
     /**
      * 设置ARIA标签
      */
@@ -428,14 +493,14 @@ class AccessibilityManager {
         starContainers.forEach((container, index) => {
             const level = index + 1;
             container.setAttribute('role', 'button');
-            container.setAttribute('aria-label', `选择${level}星难度`);
+            this.setTranslatedAriaLabel(container, 'accessibility.selectLevel', { level: level });
             container.setAttribute('aria-pressed', 'false');
         });
 
         // 为参考线开关添加ARIA标签
         const guideToggle = document.querySelector('#guide-lines-toggle');
         if (guideToggle) {
-            guideToggle.setAttribute('aria-label', '切换参考线显示');
+            this.setTranslatedAriaLabel(guideToggle, 'clock.guideLinesToggle');
         }
 
         // 为时间输入框添加ARIA标签
@@ -443,14 +508,14 @@ class AccessibilityManager {
         const minutesInput = document.querySelector('#minutes-input');
         const secondsInput = document.querySelector('#seconds-input');
         
-        if (hoursInput) hoursInput.setAttribute('aria-label', '输入小时');
-        if (minutesInput) minutesInput.setAttribute('aria-label', '输入分钟');
-        if (secondsInput) secondsInput.setAttribute('aria-label', '输入秒数');
+        if (hoursInput) this.setTranslatedAriaLabel(hoursInput, 'accessibility.hoursInput');
+        if (minutesInput) this.setTranslatedAriaLabel(minutesInput, 'accessibility.minutesInput');
+        if (secondsInput) this.setTranslatedAriaLabel(secondsInput, 'accessibility.secondsInput');
 
         // 为计时器添加ARIA标签
         const timerDisplay = document.querySelector('#timer-display');
         if (timerDisplay) {
-            timerDisplay.setAttribute('aria-label', '答题计时器');
+            this.setTranslatedAriaLabel(timerDisplay, 'accessibility.timer');
             timerDisplay.setAttribute('aria-live', 'polite');
         }
 
@@ -524,6 +589,7 @@ class AccessibilityManager {
 
     /**
      * 设置减少动画偏好检测
+     * 偏好变化时触发reducedMotionChanged事件，指针动画等据此开关
      */
     setupReducedMotionMode() {
         // 检测减少动画偏好
@@ -540,6 +606,9 @@ class AccessibilityManager {
                     document.body.classList.remove('reduced-motion');
                 }
             }
+            document.dispatchEvent(new CustomEvent('reducedMotionChanged', {
+                detail: { reduced: e.matches }
+            }));
         });
     }
 }
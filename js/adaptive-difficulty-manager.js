@@ -0,0 +1,174 @@
+/**
+ * 自适应难度管理器类
+ * 根据当前星级最近若干题的正确率和答题耗时，自动升级或降级难度
+ * 升级与降级使用不同的阈值，并且每次变更后重新积累答题样本（滞回），避免难度来回跳动
+ */
+class AdaptiveDifficultyManager {
+    constructor(difficultyManager, recordManager) {
+        if (!difficultyManager || !recordManager) {
+            throw new Error('DifficultyManager 和 RecordManager 是必需的参数');
+        }
+        this.logger = Logger.getInstance().channel('difficulty');
+        this.difficultyManager = difficultyManager;
+        this.recordManager = recordManager;
+        this.enabled = false;
+
+        // 滚动窗口与阈值设置
+        this.windowSize = 10; // 统计最近10题
+        this.promoteMinSamples = 8; // 升级至少需要的答题数
+        this.promoteAccuracy = 0.9; // 升级需要的正确率
+        this.demoteMinSamples = 6; // 按正确率降级至少需要的答题数
+        this.demoteAccuracy = 0.5; // 低于此正确率降级
+        this.consecutiveErrorLimit = 3; // 连续答错降级
+
+        // 各星级的目标答题耗时（秒），平均耗时不超过目标才会升级
+        this.targetTimes = { 1: 10, 2: 15, 3: 20, 4: 25, 5: 35 };
+
+        // 上次难度变更的时间，只统计之后的答题记录
+        this.lastChangeAt = null;
+    }
+
+    /**
+     * 开启或关闭自适应难度
+     * @param {boolean} enabled - 是否开启
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        // 开启时从当前时刻开始积累样本，避免用很久以前的记录做判断
+        this.markLevelChanged();
+        this.logger.debug(`🎯 自适应难度已${this.enabled ? '开启' : '关闭'}`);
+    }
+
+    /**
+     * 记录难度变更（手动或自动），重新开始积累样本
+     */
+    markLevelChanged() {
+        this.lastChangeAt = new Date();
+    }
+
+    /**
+     * 获取当前星级在滚动窗口内的答题记录（最新在前）
+     * @param {number} level - 难度等级
+     * @returns {Array<Object>} 答题记录数组
+     */
+    getWindowRecords(level) {
+        const records = Array.isArray(this.recordManager.records) ? this.recordManager.records : [];
+        const since = this.lastChangeAt ? this.lastChangeAt.getTime() : 0;
+
+        return records
+            .filter(record => {
+                const timestamp = record.timestamp instanceof Date ? record.timestamp : new Date(record.timestamp);
+                return record.difficulty === level && timestamp.getTime() >= since;
+            })
+            .slice(0, this.windowSize);
+    }
+
+    /**
+     * 统计某星级的滚动正确率和耗时
+     * @param {number} level - 难度等级
+     * @returns {Object} 统计结果
+     */
+    getLevelStats(level) {
+        const records = this.getWindowRecords(level);
+        const samples = records.length;
+
+        if (samples === 0) {
+            return { level, samples: 0, accuracy: 0, unaidedAccuracy: 0, averageTime: 0, consecutiveErrors: 0 };
+        }
+
+        const correctCount = records.filter(record => record.isCorrect).length;
+        const unaidedCount = records.filter(record => record.isCorrect && !(record.hintsUsed > 0)).length;
+        const totalTime = records.reduce((sum, record) => sum + (Number(record.timeSpent) || 0), 0);
+
+        // 从最新一题往前数连续答错的题数
+        let consecutiveErrors = 0;
+        for (const record of records) {
+            if (record.isCorrect) {
+                break;
+            }
+            consecutiveErrors++;
+        }
+
+        return {
+            level,
+            samples,
+            accuracy: correctCount / samples,
+            unaidedAccuracy: unaidedCount / samples, // 不用提示答对的比例
+            averageTime: Math.round(totalTime / samples),
+            consecutiveErrors
+        };
+    }
+
+    /**
+     * 评估是否需要调整难度
+     * @returns {Object|null} 调整建议 {action, trigger, fromLevel, toLevel, stats}，不需要调整时为null
+     */
+    evaluate() {
+        if (!this.enabled) {
+            return null;
+        }
+
+        try {
+            const level = this.difficultyManager.getCurrentLevel();
+            const stats = this.getLevelStats(level);
+
+            // 1. 连续答错或正确率过低时降级
+            if (level > 1) {
+                if (stats.consecutiveErrors >= this.consecutiveErrorLimit) {
+                    return this.createAdjustment('demote', 'consecutiveErrors', level, level - 1, stats);
+                }
+                if (stats.samples >= this.demoteMinSamples && stats.accuracy < this.demoteAccuracy) {
+                    return this.createAdjustment('demote', 'lowAccuracy', level, level - 1, stats);
+                }
+            }
+
+            // 2. 不用提示的正确率高且速度达标时升级（靠提示答对的题不算）
+            if (level < 5 &&
+                stats.samples >= this.promoteMinSamples &&
+                stats.unaidedAccuracy >= this.promoteAccuracy &&
+                stats.averageTime <= this.targetTimes[level]) {
+                return this.createAdjustment('promote', 'mastered', level, level + 1, stats);
+            }
+
+            return null;
+        } catch (error) {
+            this.logger.error('评估自适应难度失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 创建调整建议对象（展示给孩子的原因由界面按trigger和stats从消息目录生成）
+     * @param {string} action - promote或demote
+     * @param {string} trigger - 调整原因：consecutiveErrors-连续答错，lowAccuracy-正确率过低，mastered-不用提示的正确率和速度达标
+     * @param {number} fromLevel - 当前难度
+     * @param {number} toLevel - 目标难度
+     * @param {Object} stats - 统计结果
+     * @returns {Object} 调整建议
+     */
+    createAdjustment(action, trigger, fromLevel, toLevel, stats) {
+        return {
+            action,
+            trigger,
+            fromLevel,
+            toLevel,
+            stats
+        };
+    }
+
+    /**
+     * 获取当前星级的进度，用于界面显示
+     * @returns {Object} {level, samples, accuracy, averageTime, minSamples}，accuracy为0-1，minSamples为评估升级至少需要的答题数
+     */
+    getProgress() {
+        const level = this.difficultyManager.getCurrentLevel();
+        const stats = this.getLevelStats(level);
+        return {
+            level,
+            samples: stats.samples,
+            accuracy: stats.accuracy,
+            averageTime: stats.averageTime,
+            minSamples: this.promoteMinSamples
+        };
+    }
+}
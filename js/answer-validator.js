@@ -1,10 +1,16 @@
 /**
  * 答案验证器类
  * 负责验证用户输入的时间答案
+ * 上午/下午情境题的时间对象额外带有meridiem字段（am-上午，pm-下午），小时仍为钟面上的1-12
+ * 读法题的答案由TimePhraseConverter解析，任何一种等价说法都算对
+ * 经过时间题回答经过多久（时长对象，小时可以为0）或结束时间（钟面时间）
  */
 class AnswerValidator {
     constructor() {
         this.timePattern = /^([0-1]?[0-9]|2[0-3]):([0-5]?[0-9]):([0-5]?[0-9])$/;
+        this.meridiemPattern = /^(上午|下午|AM|PM)?\s*(\d{1,2}:\d{1,2}:\d{1,2})\s*(上午|下午|AM|PM)?$/i;
+        this.i18n = I18nManager.getInstance();
+        this.phraseConverter = typeof TimePhraseConverter !== 'undefined' ? new TimePhraseConverter() : null;
     }
 
     /**
@@ -27,9 +33,9 @@ class AnswerValidator {
         const parsedTime = this.parseTimeInput(userInput);
         
         if (!parsedTime) {
-            result.message = '时间格式不正确，请使用 HH:MM:SS 格式';
+            result.message = this.i18n.t('validator.invalidFormat');
             result.encouragement = this.generateEncouragement(false);
-            result.explanation = '请检查输入格式，确保使用 HH:MM:SS 的格式，例如：03:30:00';
+            result.explanation = this.i18n.t('validator.invalidFormatHint');
             return result;
         }
 
@@ -38,12 +44,12 @@ class AnswerValidator {
         // 比较时间
         if (this.compareTime(parsedTime, correctTime)) {
             result.isCorrect = true;
-            result.message = '正确！';
+            result.message = this.i18n.t('validator.correct');
             result.encouragement = this.generateEncouragement(true);
             result.explanation = this.generateExplanation(correctTime, true);
         } else {
             result.isCorrect = false;
-            result.message = '答案不正确';
+            result.message = this.i18n.t('validator.incorrect');
             result.encouragement = this.generateEncouragement(false);
             result.explanation = this.generateExplanation(correctTime, false, parsedTime);
         }
@@ -70,12 +76,12 @@ class AnswerValidator {
         // 比较时间
         if (this.compareTime(userTime, correctTime)) {
             result.isCorrect = true;
-            result.message = '正确！';
+            result.message = this.i18n.t('validator.correct');
             result.encouragement = this.generateEncouragement(true);
             result.explanation = this.generateExplanation(correctTime, true);
         } else {
             result.isCorrect = false;
-            result.message = '答案不正确';
+            result.message = this.i18n.t('validator.incorrect');
             result.encouragement = this.generateEncouragement(false);
             result.explanation = this.generateExplanation(correctTime, false, userTime);
         }
@@ -83,19 +89,427 @@ class AnswerValidator {
         return result;
     }
 
+    /**
+     * 验证拨针模式的指针位置
+     * @param {Object} handAngles - 用户拨出的指针角度（表盘度数，从12点顺时针）
+     * @param {Object} correctTime - 目标时间对象
+     * @param {Object} options - 验证选项
+     * @param {boolean} options.checkSeconds - 是否检查秒针
+     * @returns {Object} 验证结果对象
+     */
+    validateHandPositions(handAngles, correctTime, options = {}) {
+        const checkSeconds = !!options.checkSeconds;
+        const expectedAngles = this.calculateExpectedHandAngles(correctTime);
+        const userTime = this.readTimeFromHandAngles(handAngles);
+
+        // 各指针允许的角度误差：时针允许约12分钟的偏移，分针和秒针允许半格
+        const tolerances = {
+            hour: 6,
+            minute: 3,
+            second: 3
+        };
+
+        const handErrors = {
+            hour: this.getAngleDifference(handAngles.hour, expectedAngles.hour),
+            minute: this.getAngleDifference(handAngles.minute, expectedAngles.minute),
+            second: checkSeconds ? this.getAngleDifference(handAngles.second, expectedAngles.second) : 0
+        };
+
+        const isCorrect = handErrors.hour <= tolerances.hour &&
+                          handErrors.minute <= tolerances.minute &&
+                          handErrors.second <= tolerances.second;
+
+        const result = {
+            isCorrect: isCorrect,
+            userTime: userTime,
+            correctTime: correctTime,
+            handPositions: { ...handAngles },
+            handErrors: handErrors,
+            message: isCorrect ? this.i18n.t('validator.correct') : this.i18n.t('validator.hands.incorrect'),
+            explanation: '',
+            encouragement: this.generateEncouragement(isCorrect)
+        };
+
+        result.explanation = this.generateExplanation(correctTime, isCorrect, isCorrect ? null : userTime);
+        if (!isCorrect) {
+            result.explanation += this.generateHandPositionExplanation(handErrors, tolerances, correctTime);
+        }
+
+        return result;
+    }
+
+    /**
+     * 计算时间对应的标准指针角度
+     * @param {Object} time - 时间对象
+     * @returns {Object} 包含hour, minute, second的表盘度数
+     */
+    calculateExpectedHandAngles(time) {
+        return {
+            hour: (time.hours % 12) * 30 + time.minutes * 0.5,
+            minute: time.minutes * 6,
+            second: time.seconds * 6
+        };
+    }
+
+    /**
+     * 按读钟的方法从指针角度读出时间
+     * @param {Object} handAngles - 指针角度（表盘度数）
+     * @returns {Object} 时间对象
+     */
+    readTimeFromHandAngles(handAngles) {
+        const minutes = Math.round(handAngles.minute / 6) % 60;
+        const seconds = Math.round(handAngles.second / 6) % 60;
+
+        // 扣除分钟带来的偏移后，时针最接近的数字就是小时
+        const hourIndex = Math.round((handAngles.hour - minutes * 0.5) / 30);
+        const hours = ((hourIndex % 12) + 12) % 12 || 12;
+
+        return { hours, minutes, seconds };
+    }
+
+    /**
+     * 计算两个表盘角度之间的最小差值
+     * @param {number} angle1 - 第一个角度
+     * @param {number} angle2 - 第二个角度
+     * @returns {number} 差值（0-180度）
+     */
+    getAngleDifference(angle1, angle2) {
+        const diff = Math.abs(angle1 - angle2) % 360;
+        return Math.round((diff > 180 ? 360 - diff : diff) * 10) / 10;
+    }
+
+    /**
+     * 生成指针位置的分析说明
+     * @param {Object} handErrors - 各指针的角度误差
+     * @param {Object} tolerances - 各指针允许的误差
+     * @param {Object} correctTime - 目标时间对象
+     * @returns {string} 分析说明
+     */
+    generateHandPositionExplanation(handErrors, tolerances, correctTime) {
+        let explanation = `\n${this.i18n.t('validator.hands.title')}\n`;
+
+        if (handErrors.hour > tolerances.hour) {
+            explanation += `• ${this.i18n.t('validator.hands.hourOff', { degrees: handErrors.hour })}`;
+            if (correctTime.minutes > 0) {
+                const nextHour = correctTime.hours % 12 + 1;
+                explanation += this.i18n.t('validator.hands.hourBetween', {
+                    minutes: correctTime.minutes,
+                    hours: correctTime.hours,
+                    nextHour: nextHour
+                });
+            } else {
+                explanation += this.i18n.t('validator.hands.hourOnNumber', { hours: correctTime.hours });
+            }
+            explanation += `\n`;
+        }
+
+        if (handErrors.minute > tolerances.minute) {
+            explanation += `• ${this.i18n.t('validator.hands.minuteOff', { degrees: handErrors.minute })}\n`;
+        }
+
+        if (handErrors.second > tolerances.second) {
+            explanation += `• ${this.i18n.t('validator.hands.secondOff', { degrees: handErrors.second })}\n`;
+        }
+
+        return explanation;
+    }
+
+    /**
+     * 验证选择题模式的选项
+     * @param {Object} option - 用户选择的选项（包含time和distractorType）
+     * @param {Object} correctTime - 正确的时间对象
+     * @returns {Object} 验证结果对象，额外包含distractorType
+     */
+    validateChoice(option, correctTime) {
+        const result = this.validateTimeObject(option.time, correctTime);
+        result.distractorType = result.isCorrect ? null : (option.distractorType || 'nearMiss');
+
+        if (!result.isCorrect) {
+            result.explanation += this.generateDistractorExplanation(result.distractorType, correctTime);
+        }
+
+        return result;
+    }
+
+    /**
+     * 验证读法题的答案（如"三点一刻""quarter past three"）
+     * @param {string} phrase - 用户写出或选择的读法
+     * @param {Object} correctTime - 正确的时间对象
+     * @param {string|null} locale - 读法语言（zh/en），为空时自动判断
+     * @returns {Object} 验证结果对象，额外包含userPhrase和recognized（读法能否识别）
+     */
+    validatePhraseAnswer(phrase, correctTime, locale = null) {
+        const parsedTime = this.phraseConverter ? this.phraseConverter.parse(phrase, locale) : null;
+
+        if (!parsedTime) {
+            return {
+                isCorrect: false,
+                recognized: false,
+                userTime: null,
+                userPhrase: phrase,
+                correctTime: correctTime,
+                message: this.i18n.t('validator.phrase.notRecognized'),
+                explanation: this.i18n.t('validator.phrase.examples', { examples: this.getPhraseExamples(locale) }),
+                encouragement: this.generateEncouragement(false)
+            };
+        }
+
+        // 读法不区分上午/下午，沿用题目的上午/下午
+        if (correctTime.meridiem) {
+            parsedTime.meridiem = correctTime.meridiem;
+        }
+
+        const result = this.validateTimeObject(parsedTime, correctTime);
+        result.recognized = true;
+        result.userPhrase = phrase;
+        return result;
+    }
+
+    /**
+     * 读法示例
+     * @param {string|null} locale - 读法语言
+     * @returns {string} 示例文字
+     */
+    getPhraseExamples(locale) {
+        return locale === 'en' ?
+            'half past three, quarter to four, twenty-five past three' :
+            '三点半、三点一刻、差五分四点、三点二十五分';
+    }
+
+    /**
+     * 生成正确答案的读法说明
+     * @param {Object} correctTime - 正确的时间对象
+     * @returns {string} 读法说明，没有读法转换器时返回空字符串
+     */
+    generatePhraseExplanation(correctTime) {
+        if (!this.phraseConverter) {
+            return '';
+        }
+
+        // 先给出界面语言的读法，再给出另一种语言的读法
+        const isEnglish = this.i18n.getLocale() === 'en';
+        const phraseLocale = isEnglish ? 'en' : 'zh';
+        const otherLocale = isEnglish ? 'zh' : 'en';
+        const [phrase, ...alternatives] = this.phraseConverter.getPhrases(correctTime, phraseLocale);
+        let explanation = this.i18n.t('validator.phrase.readAs', {
+            phrase: phraseLocale === 'zh' ? `${this.getMeridiemName(correctTime.meridiem)}${phrase}` : phrase
+        });
+        if (alternatives.length > 0) {
+            explanation += this.i18n.t('validator.phrase.alsoSay', { phrases: this.i18n.formatList(alternatives.slice(0, 3)) });
+        }
+        explanation += `\n${this.i18n.t('validator.phrase.otherLanguage', {
+            phrase: this.phraseConverter.toPhrase(correctTime, otherLocale)
+        })}\n`;
+        return explanation;
+    }
+
+    /**
+     * 生成干扰项对应的错误分析
+     * @param {string} distractorType - 干扰项类型
+     * @param {Object} correctTime - 正确的时间对象
+     * @returns {string} 错误分析说明
+     */
+    generateDistractorExplanation(distractorType, correctTime) {
+        let explanation = `\n${this.i18n.t('validator.distractor.title')}\n`;
+
+        switch (distractorType) {
+            case 'swappedHands':
+                explanation += `• ${this.i18n.t('validator.distractor.swappedHands')}\n`;
+                break;
+            case 'hourOffByOne':
+                if (correctTime.minutes >= 30) {
+                    explanation += `• ${this.i18n.t('validator.distractor.hourAlmostNext', {
+                        hours: correctTime.hours,
+                        nextHour: correctTime.hours % 12 + 1
+                    })}\n`;
+                } else {
+                    explanation += `• ${this.i18n.t('validator.distractor.hourJustPassed', { hours: correctTime.hours })}\n`;
+                }
+                break;
+            case 'minuteAsNumeral':
+                explanation += `• ${this.i18n.t('validator.distractor.minuteAsNumeral')}\n`;
+                break;
+            case 'mirrored':
+                explanation += `• ${this.i18n.t('validator.distractor.mirrored')}\n`;
+                break;
+            default:
+                explanation += `• ${this.i18n.t('validator.distractor.other')}\n`;
+                break;
+        }
+
+        return explanation;
+    }
+
+    /**
+     * 解析经过时间题的小时和分钟输入
+     * @param {string|number} hoursInput - 小时输入
+     * @param {string|number} minutesInput - 分钟输入
+     * @param {string} answerType - duration-经过多久，endTime-结束时间（小时0按12点处理）
+     * @returns {Object} {isValid, answer, errors}，answer为{hours, minutes, seconds}
+     */
+    parseElapsedInputs(hoursInput, minutesInput, answerType) {
+        const result = {
+            isValid: false,
+            answer: null,
+            errors: []
+        };
+
+        const hours = this.parseIndividualInput(hoursInput, 'hours');
+        const minutes = this.parseIndividualInput(minutesInput, 'minutes');
+        if (hours.isEmpty && minutes.isEmpty) {
+            result.errors.push({ field: 'hours', message: this.i18n.t('validator.elapsed.empty') });
+            return result;
+        }
+        if (!hours.isValid || hours.value < 0 || hours.value > 12) {
+            result.errors.push({ field: 'hours', message: this.i18n.t('validator.input.hoursRange', { max: 12 }), value: hours.value });
+        }
+        if (!minutes.isValid || minutes.value < 0 || minutes.value > 59) {
+            result.errors.push({ field: 'minutes', message: this.i18n.t('validator.input.minutesRange'), value: minutes.value });
+        }
+        if (result.errors.length > 0) {
+            return result;
+        }
+
+        result.isValid = true;
+        result.answer = {
+            hours: answerType === 'endTime' && hours.value === 0 ? 12 : hours.value,
+            minutes: minutes.value,
+            seconds: 0
+        };
+        return result;
+    }
+
+    /**
+     * 验证经过时间题的答案
+     * @param {Object} answer - 孩子的答案 {hours, minutes}：经过多久时为时长，结束时间时为钟面时间
+     * @param {Object} question - 题目 {start, end, durationMinutes, answerType}
+     * @returns {Object} 验证结果对象，额外包含userAnswerText和correctAnswerText（按题型格式化的答案）
+     */
+    validateElapsedAnswer(answer, question) {
+        const isDuration = question.answerType === 'duration';
+        const userTime = { hours: answer.hours, minutes: answer.minutes, seconds: 0 };
+        const correctTime = isDuration ?
+            { hours: Math.floor(question.durationMinutes / 60), minutes: question.durationMinutes % 60, seconds: 0 } :
+            { ...question.end };
+        const isCorrect = userTime.hours === correctTime.hours && userTime.minutes === correctTime.minutes;
+        const formatAnswer = time => isDuration ?
+            this.i18n.formatDuration(time.hours * 60 + time.minutes) :
+            this.formatDialTime(time);
+
+        return {
+            isCorrect: isCorrect,
+            userTime: userTime,
+            correctTime: correctTime,
+            userAnswerText: formatAnswer(userTime),
+            correctAnswerText: formatAnswer(correctTime),
+            message: this.i18n.t(isCorrect ? 'validator.correct' : 'validator.incorrect'),
+            encouragement: this.generateEncouragement(isCorrect),
+            explanation: this.generateElapsedExplanation(question, isCorrect ? null : formatAnswer(userTime))
+        };
+    }
+
+    /**
+     * 生成经过时间题的解答过程：在钟面上从开始时间往前数，先数整小时，再数到整点，最后数剩下的分钟
+     * @param {Object} question - 题目 {start, end, durationMinutes, answerType}
+     * @param {string|null} userAnswerText - 答错时孩子的答案
+     * @returns {string} 解答过程说明
+     */
+    generateElapsedExplanation(question, userAnswerText = null) {
+        const { start, end, durationMinutes } = question;
+        const wholeHours = Math.floor(durationMinutes / 60);
+        const restMinutes = durationMinutes % 60;
+        const addMinutes = (time, minutes) => {
+            const clockMinutes = ((time.hours % 12) * 60 + time.minutes + minutes) % 720;
+            return { hours: Math.floor(clockMinutes / 60) || 12, minutes: clockMinutes % 60, seconds: 0 };
+        };
+
+        let explanation = `${this.i18n.t('validator.explanation.title')}\n`;
+        explanation += `${this.i18n.t('validator.elapsed.fromTo', {
+            start: this.formatDialTime(start),
+            end: this.formatDialTime(end)
+        })}\n\n`;
+        explanation += `${this.i18n.t('validator.elapsed.countTitle')}\n`;
+
+        // 1. 先数整小时：分针转一整圈，时针走一大格
+        let current = start;
+        if (wholeHours > 0) {
+            const next = addMinutes(current, wholeHours * 60);
+            explanation += `• ${this.i18n.t('validator.elapsed.countHours', {
+                from: this.formatDialTime(current),
+                to: this.formatDialTime(next),
+                duration: this.i18n.formatDuration(wholeHours * 60)
+            })}\n`;
+            current = next;
+        }
+
+        // 2. 剩下的分钟越过12时，先数到整点，再数剩下的分钟
+        if (restMinutes > 0) {
+            let remaining = restMinutes;
+            const toNextHour = 60 - current.minutes;
+            if (current.minutes > 0 && remaining > toNextHour) {
+                const next = addMinutes(current, toNextHour);
+                explanation += `• ${this.i18n.t('validator.elapsed.countToHour', {
+                    from: this.formatDialTime(current),
+                    to: this.formatDialTime(next),
+                    duration: this.i18n.formatDuration(toNextHour)
+                })}\n`;
+                current = next;
+                remaining -= toNextHour;
+            }
+            explanation += `• ${this.i18n.t('validator.elapsed.countMinutes', {
+                from: this.formatDialTime(current),
+                to: this.formatDialTime(end),
+                duration: this.i18n.formatDuration(remaining)
+            })}\n`;
+        }
+
+        // 3. 合起来
+        explanation += `• ${this.i18n.t(question.answerType === 'duration' ? 'validator.elapsed.totalDuration' : 'validator.elapsed.totalEnd', {
+            duration: this.i18n.formatDuration(durationMinutes),
+            end: this.formatDialTime(end)
+        })}\n`;
+
+        if (userAnswerText) {
+            explanation += `\n${this.i18n.t('validator.elapsed.yourAnswer', { answer: userAnswerText })}\n`;
+        }
+
+        explanation += `\n💡 ${this.i18n.t('validator.explanation.tipsTitle')}\n`;
+        this.i18n.list('validator.elapsed.tips').forEach(tip => {
+            explanation += `• ${tip}\n`;
+        });
+        return explanation;
+    }
+
+    /**
+     * 按钟面读法格式化时间，不带秒（如3:05）
+     * @param {Object} time - 时间对象
+     * @returns {string} 格式化的时间字符串 (H:MM)
+     */
+    formatDialTime(time) {
+        return `${time.hours}:${time.minutes.toString().padStart(2, '0')}`;
+    }
+
     /**
      * 解析时间输入
+     * 默认只接受1-12点；可带"上午/下午/AM/PM"标记，开启24小时制时接受0-23点，这两种情况都会得到meridiem
      * @param {string} input - 输入的时间字符串
+     * @param {Object} options - 解析选项
+     * @param {boolean} options.use24Hour - 是否按24小时制解析小时
      * @returns {Object|null} 解析后的时间对象或null
      */
-    parseTimeInput(input) {
+    parseTimeInput(input, options = {}) {
         if (!input || typeof input !== 'string') {
             return null;
         }
 
-        const trimmedInput = input.trim();
-        const match = trimmedInput.match(this.timePattern);
+        // 1. 拆出上午/下午标记（前后只能有一个）
+        const meridiemMatch = input.trim().match(this.meridiemPattern);
+        if (!meridiemMatch || (meridiemMatch[1] && meridiemMatch[3])) {
+            return null;
+        }
+        const marker = meridiemMatch[1] || meridiemMatch[3];
 
+        const match = meridiemMatch[2].match(this.timePattern);
         if (!match) {
             return null;
         }
@@ -104,16 +518,63 @@ class AnswerValidator {
         const minutes = parseInt(match[2], 10);
         const seconds = parseInt(match[3], 10);
 
-        // 验证时间范围
+        // 2. 24小时制：0-23点换算为钟面小时和上午/下午
+        if (options.use24Hour && !marker) {
+            const converted = this.from24Hour(hours);
+            return { hours: converted.hours, minutes: minutes, seconds: seconds, meridiem: converted.meridiem };
+        }
+
+        // 3. 12小时制：验证时间范围
         if (hours < 1 || hours > 12 || minutes < 0 || minutes > 59 || seconds < 0 || seconds > 59) {
             return null;
         }
 
-        return {
+        const time = {
             hours: hours,
             minutes: minutes,
             seconds: seconds
         };
+        if (marker) {
+            time.meridiem = this.normalizeMeridiem(marker);
+        }
+        return time;
+    }
+
+    /**
+     * 统一上午/下午标记
+     * @param {string} marker - 上午、下午、AM、PM（不区分大小写）
+     * @returns {string|null} am或pm，无法识别时返回null
+     */
+    normalizeMeridiem(marker) {
+        const value = String(marker || '').trim().toLowerCase();
+        if (value === 'am' || value === '上午') {
+            return 'am';
+        }
+        if (value === 'pm' || value === '下午') {
+            return 'pm';
+        }
+        return null;
+    }
+
+    /**
+     * 把24小时制的小时换算为钟面小时和上午/下午（0点是上午12点，12点是下午12点）
+     * @param {number} hours24 - 0-23的小时
+     * @returns {Object} {hours: 1-12, meridiem: 'am'|'pm'}
+     */
+    from24Hour(hours24) {
+        return {
+            hours: hours24 % 12 === 0 ? 12 : hours24 % 12,
+            meridiem: hours24 < 12 ? 'am' : 'pm'
+        };
+    }
+
+    /**
+     * 把带上午/下午的时间换算为24小时制的小时
+     * @param {Object} time - 带meridiem的时间对象
+     * @returns {number} 0-23的小时
+     */
+    to24Hour(time) {
+        return (time.hours % 12) + (time.meridiem === 'pm' ? 12 : 0);
     }
 
     /**
@@ -121,9 +582,13 @@ class AnswerValidator {
      * @param {string|number} hoursInput - 小时输入
      * @param {string|number} minutesInput - 分钟输入
      * @param {string|number} secondsInput - 秒数输入
+     * @param {Object} options - 上午/下午情境题的选项（可选）
+     * @param {boolean} options.use24Hour - 小时按24小时制输入（0-23）
+     * @param {boolean} options.requireMeridiem - 需要选择上午或下午
+     * @param {string} options.meridiem - 孩子选择的上午/下午（am或pm）
      * @returns {Object} 解析结果对象
      */
-    parseSeparateTimeInputs(hoursInput, minutesInput, secondsInput) {
+    parseSeparateTimeInputs(hoursInput, minutesInput, secondsInput, options = {}) {
         const result = {
             isValid: false,
             time: null,
@@ -136,20 +601,31 @@ class AnswerValidator {
         const minutes = this.parseIndividualInput(minutesInput, 'minutes');
         const seconds = this.parseIndividualInput(secondsInput, 'seconds');
 
-        // 验证小时范围 (0-12，0会被转换为12)
-        if (hours.value < 0 || hours.value > 12) {
+        // 验证小时范围 (0-12，0会被转换为12；24小时制为0-23)
+        const maxHours = options.use24Hour ? 23 : 12;
+        if (hours.value < 0 || hours.value > maxHours) {
             result.errors.push({
                 field: 'hours',
-                message: '小时必须在0-12范围内',
+                message: this.i18n.t('validator.input.hoursRange', { max: maxHours }),
                 value: hours.value
             });
         }
 
+        // 验证上午/下午
+        const meridiem = options.requireMeridiem ? this.normalizeMeridiem(options.meridiem) : null;
+        if (options.requireMeridiem && !meridiem) {
+            result.errors.push({
+                field: 'meridiem',
+                message: this.i18n.t('validator.input.chooseMeridiem'),
+                value: options.meridiem || null
+            });
+        }
+
         // 验证分钟范围 (0-59)
         if (minutes.value < 0 || minutes.value > 59) {
             result.errors.push({
                 field: 'minutes',
-                message: '分钟必须在0-59范围内',
+                message: this.i18n.t('validator.input.minutesRange'),
                 value: minutes.value
             });
         }
@@ -158,7 +634,7 @@ class AnswerValidator {
         if (seconds.value < 0 || seconds.value > 59) {
             result.errors.push({
                 field: 'seconds',
-                message: '秒数必须在0-59范围内',
+                message: this.i18n.t('validator.input.secondsRange'),
                 value: seconds.value
             });
         }
@@ -167,27 +643,40 @@ class AnswerValidator {
         if (hours.isEmpty) {
             result.warnings.push({
                 field: 'hours',
-                message: '小时输入为空，按0处理'
+                message: this.i18n.t('validator.input.hoursEmpty')
             });
         }
 
         if (minutes.isEmpty) {
             result.warnings.push({
                 field: 'minutes',
-                message: '分钟输入为空，按0处理'
+                message: this.i18n.t('validator.input.minutesEmpty')
             });
         }
 
         if (seconds.isEmpty) {
             result.warnings.push({
                 field: 'seconds',
-                message: '秒数输入为空，按0处理'
+                message: this.i18n.t('validator.input.secondsEmpty')
             });
         }
 
         // 如果没有错误，创建时间对象
         if (result.errors.length === 0) {
             result.isValid = true;
+            
+            if (options.use24Hour) {
+                // 24小时制换算为钟面小时和上午/下午
+                const converted = this.from24Hour(hours.value);
+                result.time = {
+                    hours: converted.hours,
+                    minutes: minutes.value,
+                    seconds: seconds.value,
+                    meridiem: converted.meridiem
+                };
+                return result;
+            }
+            
             // 如果小时为0，转换为12（12小时制）
             const adjustedHours = hours.value === 0 ? 12 : hours.value;
             
@@ -196,6 +685,9 @@ class AnswerValidator {
                 minutes: minutes.value,
                 seconds: seconds.value
             };
+            if (meridiem) {
+                result.time.meridiem = meridiem;
+            }
         }
 
         return result;
@@ -246,9 +738,10 @@ class AnswerValidator {
      * 验证单个输入字段的范围
      * @param {number} value - 输入值
      * @param {string} fieldType - 字段类型 ('hours', 'minutes', 'seconds')
+     * @param {Object} options - 验证选项（use24Hour: 小时按24小时制验证）
      * @returns {Object} 验证结果
      */
-    validateFieldRange(value, fieldType) {
+    validateFieldRange(value, fieldType, options = {}) {
         const result = {
             isValid: true,
             message: '',
@@ -257,32 +750,38 @@ class AnswerValidator {
 
         switch (fieldType) {
             case 'hours':
-                if (value < 0 || value > 12) {
+                if (options.use24Hour) {
+                    if (value < 0 || value > 23) {
+                        result.isValid = false;
+                        result.message = this.i18n.t('validator.input.hoursOutOfRange');
+                        result.suggestion = this.i18n.t('validator.input.hours24Suggestion');
+                    }
+                } else if (value < 0 || value > 12) {
                     result.isValid = false;
-                    result.message = '小时超出范围';
-                    result.suggestion = '请输入0-12之间的数字（0表示12点）';
+                    result.message = this.i18n.t('validator.input.hoursOutOfRange');
+                    result.suggestion = this.i18n.t('validator.input.hoursSuggestion');
                 }
                 break;
             
             case 'minutes':
                 if (value < 0 || value > 59) {
                     result.isValid = false;
-                    result.message = '分钟超出范围';
-                    result.suggestion = '请输入0-59之间的数字';
+                    result.message = this.i18n.t('validator.input.minutesOutOfRange');
+                    result.suggestion = this.i18n.t('validator.input.sixtySuggestion');
                 }
                 break;
             
             case 'seconds':
                 if (value < 0 || value > 59) {
                     result.isValid = false;
-                    result.message = '秒数超出范围';
-                    result.suggestion = '请输入0-59之间的数字';
+                    result.message = this.i18n.t('validator.input.secondsOutOfRange');
+                    result.suggestion = this.i18n.t('validator.input.sixtySuggestion');
                 }
                 break;
             
             default:
                 result.isValid = false;
-                result.message = '未知字段类型';
+                result.message = this.i18n.t('validator.input.unknownField');
         }
 
         return result;
@@ -292,9 +791,10 @@ class AnswerValidator {
      * 实时验证输入值
      * @param {string|number} value - 输入值
      * @param {string} fieldType - 字段类型
+     * @param {Object} options - 验证选项（use24Hour: 小时按24小时制验证）
      * @returns {Object} 验证结果
      */
-    validateInputRealtime(value, fieldType) {
+    validateInputRealtime(value, fieldType, options = {}) {
         const result = {
             isValid: true,
             hasWarning: false,
@@ -306,12 +806,12 @@ class AnswerValidator {
         
         if (!parsed.isValid) {
             result.isValid = false;
-            result.message = '请输入有效数字';
+            result.message = this.i18n.t('validator.input.notANumber');
             result.cssClass = 'error';
             return result;
         }
 
-        const rangeValidation = this.validateFieldRange(parsed.value, fieldType);
+        const rangeValidation = this.validateFieldRange(parsed.value, fieldType, options);
         
         if (!rangeValidation.isValid) {
             result.isValid = false;
@@ -322,10 +822,10 @@ class AnswerValidator {
 
         if (parsed.isEmpty) {
             result.hasWarning = true;
-            result.message = '空值将按0处理';
+            result.message = this.i18n.t('validator.input.emptyAsZero');
             result.cssClass = 'warning';
         } else {
-            result.message = '输入有效';
+            result.message = this.i18n.t('validator.input.valid');
             result.cssClass = 'success';
         }
 
@@ -339,13 +839,17 @@ class AnswerValidator {
      * @returns {boolean} 时间是否相等
      */
     compareTime(time1, time2) {
+        // 任一方带上午/下午时，上午/下午也必须一致
+        if ((time1.meridiem || time2.meridiem) && time1.meridiem !== time2.meridiem) {
+            return false;
+        }
         return time1.hours === time2.hours &&
                time1.minutes === time2.minutes &&
                time1.seconds === time2.seconds;
     }
 
     /**
-     * 格式化时间为字符串
+     * 格式化时间为字符串（带上午/下午时加上前缀）
      * @param {Object} time - 时间对象
      * @returns {string} 格式化的时间字符串
      */
@@ -353,9 +857,54 @@ class AnswerValidator {
         const hours = time.hours.toString().padStart(2, '0');
         const minutes = time.minutes.toString().padStart(2, '0');
         const seconds = time.seconds.toString().padStart(2, '0');
+        const prefix = time.meridiem ? `${this.getMeridiemName(time.meridiem)} ` : '';
+        return `${prefix}${hours}:${minutes}:${seconds}`;
+    }
+
+    /**
+     * 按24小时制格式化带上午/下午的时间
+     * @param {Object} time - 带meridiem的时间对象
+     * @returns {string} 格式化的时间字符串 (HH:MM:SS)
+     */
+    formatTime24(time) {
+        const hours = this.to24Hour(time).toString().padStart(2, '0');
+        const minutes = time.minutes.toString().padStart(2, '0');
+        const seconds = time.seconds.toString().padStart(2, '0');
         return `${hours}:${minutes}:${seconds}`;
     }
 
+    /**
+     * 获取上午/下午的显示名称
+     * @param {string} meridiem - am或pm
+     * @returns {string} 当前语言的上午或下午，未知时返回空字符串
+     */
+    getMeridiemName(meridiem) {
+        return meridiem === 'am' || meridiem === 'pm' ? this.i18n.t(`validator.meridiem.${meridiem}`) : '';
+    }
+
+    /**
+     * 生成上午/下午和24小时制的说明
+     * @param {Object} correctTime - 带meridiem的正确时间
+     * @returns {string} 说明文字
+     */
+    generateMeridiemExplanation(correctTime) {
+        const hours24 = this.to24Hour(correctTime);
+        let explanation = `• ${this.i18n.t('validator.meridiemExplanation.summary', {
+            meridiem: this.getMeridiemName(correctTime.meridiem),
+            time24: this.formatTime24(correctTime)
+        })}`;
+        if (correctTime.meridiem === 'pm' && correctTime.hours !== 12) {
+            explanation += this.i18n.t('validator.meridiemExplanation.pm', { hours: correctTime.hours, hours24: hours24 });
+        } else if (correctTime.meridiem === 'pm') {
+            explanation += this.i18n.t('validator.meridiemExplanation.noon');
+        } else if (correctTime.hours === 12) {
+            explanation += this.i18n.t('validator.meridiemExplanation.midnight');
+        } else {
+            explanation += this.i18n.t('validator.meridiemExplanation.am');
+        }
+        return explanation + `\n`;
+    }
+
     /**
      * 生成详细解答过程
      * @param {Object} correctTime - 正确时间对象
@@ -367,78 +916,93 @@ class AnswerValidator {
         let explanation = '';
         
         // 基础解答过程
-        explanation += `正确答案解析：\n`;
-        explanation += `时钟显示的时间是 ${this.formatTime(correctTime)}\n\n`;
+        explanation += `${this.i18n.t('validator.explanation.title')}\n`;
+        explanation += `${this.i18n.t('validator.explanation.clockShows', { time: this.formatTime(correctTime) })}\n`;
+        explanation += this.generatePhraseExplanation(correctTime);
+        explanation += `\n`;
         
         // 详细解释各个指针
-        explanation += `指针读取方法：\n`;
+        explanation += `${this.i18n.t('validator.explanation.howToRead')}\n`;
         
         // 时针解释
         if (correctTime.hours <= 12) {
             const hourAngle = (correctTime.hours % 12) * 30 + (correctTime.minutes * 0.5);
-            explanation += `• 时针：指向 ${correctTime.hours} 点`;
+            explanation += `• ${this.i18n.t('validator.explanation.hourHand', { hours: correctTime.hours })}`;
             if (correctTime.minutes > 0) {
-                explanation += `，并向前移动了 ${correctTime.minutes} 分钟的距离`;
+                explanation += this.i18n.t('validator.explanation.hourHandMoved', { minutes: correctTime.minutes });
             }
             explanation += `\n`;
         }
         
         // 分针解释
         const minuteAngle = correctTime.minutes * 6;
-        explanation += `• 分针：指向 ${correctTime.minutes} 分`;
+        explanation += `• ${this.i18n.t('validator.explanation.minuteHand', { minutes: correctTime.minutes })}`;
         if (correctTime.minutes === 0) {
-            explanation += `（指向12的位置）`;
+            explanation += this.i18n.t('validator.explanation.pointsAt', { number: 12 });
         } else if (correctTime.minutes === 15) {
-            explanation += `（指向3的位置）`;
+            explanation += this.i18n.t('validator.explanation.pointsAt', { number: 3 });
         } else if (correctTime.minutes === 30) {
-            explanation += `（指向6的位置）`;
+            explanation += this.i18n.t('validator.explanation.pointsAt', { number: 6 });
         } else if (correctTime.minutes === 45) {
-            explanation += `（指向9的位置）`;
+            explanation += this.i18n.t('validator.explanation.pointsAt', { number: 9 });
         }
         explanation += `\n`;
         
+        // 上午/下午情境题说明24小时制
+        if (correctTime.meridiem) {
+            explanation += this.generateMeridiemExplanation(correctTime);
+        }
+        
         // 秒针解释（如果有秒数）
         if (correctTime.seconds > 0) {
-            explanation += `• 秒针：指向 ${correctTime.seconds} 秒`;
+            explanation += `• ${this.i18n.t('validator.explanation.secondHand', { seconds: correctTime.seconds })}`;
             if (correctTime.seconds === 0) {
-                explanation += `（指向12的位置）`;
+                explanation += this.i18n.t('validator.explanation.pointsAt', { number: 12 });
             } else if (correctTime.seconds === 15) {
-                explanation += `（指向3的位置）`;
+                explanation += this.i18n.t('validator.explanation.pointsAt', { number: 3 });
             } else if (correctTime.seconds === 30) {
-                explanation += `（指向6的位置）`;
+                explanation += this.i18n.t('validator.explanation.pointsAt', { number: 6 });
             } else if (correctTime.seconds === 45) {
-                explanation += `（指向9的位置）`;
+                explanation += this.i18n.t('validator.explanation.pointsAt', { number: 9 });
             }
             explanation += `\n`;
         }
         
         // 如果答案错误，提供对比分析
         if (!isCorrect && userTime) {
-            explanation += `\n你的答案分析：\n`;
-            explanation += `你输入的时间是 ${this.formatTime(userTime)}\n`;
+            explanation += `\n${this.i18n.t('validator.explanation.yourAnswerTitle')}\n`;
+            explanation += `${this.i18n.t('validator.explanation.yourAnswer', { time: this.formatTime(userTime) })}\n`;
             
             // 分析各个部分的差异
             if (userTime.hours !== correctTime.hours) {
-                explanation += `• 小时部分：你输入了 ${userTime.hours}，正确答案是 ${correctTime.hours}\n`;
-                explanation += `  提示：注意观察时针的位置，时针会随着分钟数慢慢移动\n`;
+                explanation += `• ${this.i18n.t('validator.explanation.hoursDiff', { user: userTime.hours, correct: correctTime.hours })}\n`;
+                explanation += `  ${this.i18n.t('validator.explanation.hoursTip')}\n`;
             }
             
             if (userTime.minutes !== correctTime.minutes) {
-                explanation += `• 分钟部分：你输入了 ${userTime.minutes}，正确答案是 ${correctTime.minutes}\n`;
-                explanation += `  提示：分针指向的数字乘以5就是分钟数\n`;
+                explanation += `• ${this.i18n.t('validator.explanation.minutesDiff', { user: userTime.minutes, correct: correctTime.minutes })}\n`;
+                explanation += `  ${this.i18n.t('validator.explanation.minutesTip')}\n`;
             }
             
             if (userTime.seconds !== correctTime.seconds) {
-                explanation += `• 秒数部分：你输入了 ${userTime.seconds}，正确答案是 ${correctTime.seconds}\n`;
-                explanation += `  提示：秒针指向的数字乘以5就是秒数\n`;
+                explanation += `• ${this.i18n.t('validator.explanation.secondsDiff', { user: userTime.seconds, correct: correctTime.seconds })}\n`;
+                explanation += `  ${this.i18n.t('validator.explanation.secondsTip')}\n`;
+            }
+            
+            if (correctTime.meridiem && userTime.meridiem !== correctTime.meridiem) {
+                explanation += `• ${this.i18n.t('validator.explanation.meridiemDiff', {
+                    user: this.getMeridiemName(userTime.meridiem) || this.i18n.t('validator.explanation.meridiemMissing'),
+                    correct: this.getMeridiemName(correctTime.meridiem)
+                })}\n`;
+                explanation += `  ${this.i18n.t('validator.explanation.meridiemTip')}\n`;
             }
         }
         
         // 添加学习提示
-        explanation += `\n💡 学习提示：\n`;
-        explanation += `• 时针较短较粗，分针较长较细，秒针最细最长\n`;
-        explanation += `• 分针和秒针每格代表5分钟/5秒\n`;
-        explanation += `• 时针会随着分钟数慢慢移动，不是突然跳跃的\n`;
+        explanation += `\n💡 ${this.i18n.t('validator.explanation.tipsTitle')}\n`;
+        this.i18n.list('validator.explanation.tips').forEach(tip => {
+            explanation += `• ${tip}\n`;
+        });
         
         return explanation;
     }
@@ -449,33 +1013,8 @@ class AnswerValidator {
      * @returns {string} 鼓励内容
      */
     generateEncouragement(isCorrect) {
-        if (isCorrect) {
-            const successMessages = [
-                '🎉 太棒了！你完全掌握了时钟的读法！',
-                '⭐ 优秀！你的时间读取能力很强！',
-                '🏆 正确！你是时钟读取小能手！',
-                '👏 很好！继续保持这样的准确度！',
-                '🌟 完美！你对时钟的理解很到位！',
-                '🎯 精准！你的观察力很敏锐！',
-                '💪 厉害！时钟对你来说不是问题！',
-                '🚀 出色！你的学习进步很快！'
-            ];
-            return successMessages[Math.floor(Math.random() * successMessages.length)];
-        } else {
-            const encouragementMessages = [
-                '💪 别灰心！每次练习都是进步的机会！',
-                '🌱 没关系，学习需要过程，你正在进步中！',
-                '🎯 很接近了！再仔细观察一下指针的位置！',
-                '⭐ 不要放弃！多练习几次就会熟练了！',
-                '🔍 仔细看看解答过程，下次一定能做对！',
-                '📚 学习时钟需要耐心，你已经在正确的路上了！',
-                '🌟 每个错误都是学习的机会，继续加油！',
-                '🎈 相信自己！多观察多练习，你一定能掌握的！',
-                '🏃 继续努力！熟能生巧，你会越来越好的！',
-                '🎨 时钟读取是一门艺术，慢慢来，不着急！'
-            ];
-            return encouragementMessages[Math.floor(Math.random() * encouragementMessages.length)];
-        }
+        const messages = this.i18n.list(isCorrect ? 'validator.encouragement.correct' : 'validator.encouragement.incorrect');
+        return messages[Math.floor(Math.random() * messages.length)] || '';
     }
 
     /**
@@ -483,13 +1022,7 @@ class AnswerValidator {
      * @returns {string} 随机的成功消息
      */
     getSuccessMessage() {
-        const messages = [
-            '太棒了！答案正确！',
-            '很好！你读对了时间！',
-            '正确！继续加油！',
-            '优秀！时间读得很准确！',
-            '答对了！你很棒！'
-        ];
+        const messages = this.i18n.list('validator.successMessages');
         
         return messages[Math.floor(Math.random() * messages.length)];
     }
@@ -507,26 +1040,26 @@ class AnswerValidator {
         };
 
         if (!input) {
-            result.message = '请输入时间';
-            result.suggestion = '格式: HH:MM:SS (例如: 03:30:00)';
+            result.message = this.i18n.t('validator.format.empty');
+            result.suggestion = this.i18n.t('validator.format.emptySuggestion');
             return result;
         }
 
         if (!this.timePattern.test(input)) {
-            result.message = '格式不正确';
-            result.suggestion = '请使用 HH:MM:SS 格式';
+            result.message = this.i18n.t('validator.format.invalid');
+            result.suggestion = this.i18n.t('validator.format.invalidSuggestion');
             return result;
         }
 
         const parsedTime = this.parseTimeInput(input);
         if (!parsedTime) {
-            result.message = '时间范围不正确';
-            result.suggestion = '小时: 1-12, 分钟: 0-59, 秒: 0-59';
+            result.message = this.i18n.t('validator.format.outOfRange');
+            result.suggestion = this.i18n.t('validator.format.outOfRangeSuggestion');
             return result;
         }
 
         result.isValid = true;
-        result.message = '格式正确';
+        result.message = this.i18n.t('validator.format.valid');
         return result;
     }
 }
\ No newline at end of file
@@ -5,23 +5,57 @@
  */
 class AppController {
     constructor() {
+        this.logger = Logger.getInstance().channel('app');
+        // 学习者档案（决定各管理器使用的存储键）
+        this.profileManager = new ProfileManager();
+        this.profileUI = null;
+        const storageSuffix = this.profileManager.getStorageSuffix();
+        
         // 核心组件管理器
-        this.difficultyManager = new DifficultyManager();
+        this.difficultyManager = new DifficultyManager(storageSuffix);
         this.difficultyUI = null;
-        this.configManager = new ConfigManager();
+        this.configManager = new ConfigManager(storageSuffix);
+        this.themeManager = new ThemeManager();
+        this.i18n = I18nManager.getInstance();
         this.timeGenerator = new TimeGenerator(this.difficultyManager);
+        this.reviewScheduler = new ReviewScheduler(storageSuffix);
+        this.timeGenerator.setReviewScheduler(this.reviewScheduler, this.configManager.getConfig().reviewRatio);
         this.clockRenderer = null;
         this.timerManager = new TimerManager();
+        this.testTimerManager = new TimerManager(); // 测验总限时计时器
         this.answerValidator = new AnswerValidator();
-        this.recordManager = new RecordManager();
+        this.speechNarrator = new SpeechNarrator({ phraseConverter: this.answerValidator.phraseConverter });
+        this.speechRecognizer = new SpeechRecognitionAdapter(); // 口述答案的语音识别，可用setSpeechRecognitionAdapter替换
+        this.spokenTimeParser = new SpokenTimeParser(this.answerValidator.phraseConverter);
+        this.soundManager = new SoundManager();
+        this.distractorGenerator = new DistractorGenerator();
+        this.recordManager = new RecordManager(storageSuffix);
+        this.adaptiveDifficultyManager = new AdaptiveDifficultyManager(this.difficultyManager, this.recordManager);
+        this.mistakeAnalyzer = new MistakeAnalyzer(this.recordManager);
+        this.timeGenerator.setMistakeAnalyzer(this.mistakeAnalyzer);
         this.recordUI = null;
+        this.testReportUI = null;
+        this.progressDashboardUI = null;
+        this.worksheetGenerator = null;
+        this.handDragController = null;
+        this.clockAnimator = null;
+        this.elapsedEndRenderer = null; // 经过时间题的结束时钟
 
         
         // 应用状态管理
         this.currentTime = null;
         this.isAnswerSubmitted = false;
         this.validationTimeout = null;
-        console.log('AppController构造函数: isAnswerSubmitted初始化为false');
+        this.questionMode = this.configManager.getConfig().questionMode || 'read';
+        this.choiceOptions = []; // 选择题模式的当前选项
+        this.selectedChoiceIndex = null;
+        this.pendingDifficultyChange = null; // 自适应难度的待生效调整，在进入下一题时应用
+        this.isReviewSession = false; // 是否处于只复习错题的练习
+        this.testSession = null; // 进行中的测验
+        this.currentQuestionDifficulty = null; // 当前题目的难度（测验中每题星级不同）
+        this.currentElapsedQuestion = null; // 当前经过时间题 {start, end, durationMinutes, answerType}
+        this.hintStep = 0; // 当前题目已使用的提示步数，随答题记录保存并影响得分
+        this.logger.debug('AppController构造函数: isAnswerSubmitted初始化为false');
         
         // 渲染锁机制
         this.isRendering = false;
@@ -33,7 +67,7 @@ class AppController {
         this.initializeElements();
         // 事件监听器将在init()方法中初始化，避免重复绑定
         
-        console.log('AppController 初始化完成');
+        this.logger.debug('AppController 初始化完成');
     }
 
     /**
@@ -43,6 +77,8 @@ class AppController {
         // 星级难度选择相关元素（替代旧的配置元素）
         this.difficultyStars = document.querySelectorAll('.star-container');
         this.difficultyTooltip = document.getElementById('difficulty-tooltip');
+        this.adaptiveDifficultyToggle = document.getElementById('adaptive-difficulty-toggle');
+        this.adaptiveDifficultyStatus = document.getElementById('adaptive-difficulty-status');
         
         // 按钮元素
         // this.refreshBtn = document.getElementById('refresh-btn'); // 已移除
@@ -54,19 +90,101 @@ class AppController {
         this.clockFallback = document.getElementById('clock-fallback');
         this.guideLinesToggle = document.getElementById('guide-lines-toggle');
         this.autoTickToggle = document.getElementById('auto-tick-toggle');
+        this.handAnimationToggle = document.getElementById('hand-animation-toggle');
+        this.smoothSecondToggle = document.getElementById('smooth-second-toggle');
         this.currentTimeToggle = document.getElementById('current-time-toggle');
+        this.overlayToggles = Array.from(document.querySelectorAll('input[data-overlay]'));
+        
+        // 练习模式相关元素
+        this.questionModeSelect = document.getElementById('question-mode-select');
+        this.faceStyleSelect = document.getElementById('face-style-select');
+        this.faceStyleDescription = document.getElementById('face-style-description');
+        this.clockThemeSelect = document.getElementById('clock-theme-select');
+        this.localeSelect = document.getElementById('locale-select');
+        this.speechSelection = document.getElementById('speech-selection');
+        this.speechToggle = document.getElementById('speech-toggle');
+        this.speechVoiceSelect = document.getElementById('speech-voice-select');
+        this.speechRateSelect = document.getElementById('speech-rate-select');
+        this.soundSelection = document.getElementById('sound-selection');
+        this.soundToggle = document.getElementById('sound-toggle');
+        this.soundVolumeSelect = document.getElementById('sound-volume-select');
+        this.quietClassroomToggle = document.getElementById('quiet-classroom-toggle');
+        this.logLevelSelect = document.getElementById('log-level-select');
+        this.logDownloadBtn = document.getElementById('log-download-btn');
+        this.clockThemeDescription = document.getElementById('clock-theme-description');
+        this.reviewRatioSelect = document.getElementById('review-ratio-select');
+        this.reviewSessionBtn = document.getElementById('review-session-btn');
+        this.reviewDueCount = document.getElementById('review-due-count');
+        this.reviewBadge = document.getElementById('review-badge');
+        this.testCountSelect = document.getElementById('test-count-select');
+        this.testTimeLimitSelect = document.getElementById('test-time-limit-select');
+        this.testLevelOptions = document.getElementById('test-level-options');
+        this.testStartBtn = document.getElementById('test-start-btn');
+        this.testStatus = document.getElementById('test-status');
+        this.testProgress = document.getElementById('test-progress');
+        this.testTimeRemaining = document.getElementById('test-time-remaining');
+        this.testTimerDisplay = document.getElementById('test-timer-display');
+        this.testStopBtn = document.getElementById('test-stop-btn');
+        this.worksheetLevelSelect = document.getElementById('worksheet-level-select');
+        this.worksheetCountSelect = document.getElementById('worksheet-count-select');
+        this.worksheetTypeSelect = document.getElementById('worksheet-type-select');
+        this.worksheetAnswerKeyToggle = document.getElementById('worksheet-answer-key-toggle');
+        this.worksheetBtn = document.getElementById('worksheet-btn');
+        this.linkedHourHandOption = document.getElementById('linked-hour-hand-option');
+        this.linkedHourHandToggle = document.getElementById('linked-hour-hand-toggle');
+        this.meridiemModeSelect = document.getElementById('meridiem-mode-select');
+        this.dayContext = document.getElementById('day-context');
+        this.dayContextSky = document.getElementById('day-context-sky');
+        this.dayContextScene = document.getElementById('day-context-scene');
+        this.setClockTarget = document.getElementById('set-clock-target');
+        this.targetTimeText = document.getElementById('target-time-text');
+        this.inputContainer = document.querySelector('.input-container');
+        this.choiceOptionsContainer = document.getElementById('choice-options');
+        this.choiceOptionList = document.getElementById('choice-option-list');
+        this.phraseAnswer = document.getElementById('phrase-answer');
+        this.phraseInput = document.getElementById('phrase-input');
+        this.phraseLocaleSelect = document.getElementById('phrase-locale-select');
+        this.phraseSuggestionList = document.getElementById('phrase-suggestion-list');
+        this.elapsedStartCaption = document.getElementById('elapsed-start-caption');
+        this.elapsedEndClock = document.getElementById('elapsed-end-clock');
+        this.elapsedEndCanvas = document.getElementById('elapsed-end-canvas');
+        this.elapsedAnswer = document.getElementById('elapsed-answer');
+        this.elapsedQuestionText = document.getElementById('elapsed-question-text');
+        this.elapsedHoursInput = document.getElementById('elapsed-hours-input');
+        this.elapsedMinutesInput = document.getElementById('elapsed-minutes-input');
+        this.elapsedHoursUnit = document.getElementById('elapsed-hours-unit');
+        this.elapsedMinutesUnit = document.getElementById('elapsed-minutes-unit');
+        this.clockSectionTitle = document.querySelector('.clock-section h2');
         
         // 输入和结果元素
         this.hoursInput = document.getElementById('hours-input');
         this.minutesInput = document.getElementById('minutes-input');
         this.secondsInput = document.getElementById('seconds-input');
+        this.timeInputLabel = document.getElementById('time-input-label');
+        this.meridiemField = document.getElementById('meridiem-field');
+        this.meridiemInputs = this.meridiemField ?
+            Array.from(this.meridiemField.querySelectorAll('input[name="meridiem"]')) :
+            [];
+        this.speechAnswer = document.getElementById('speech-answer');
+        this.speechAnswerBtn = document.getElementById('speech-answer-btn');
+        this.speechAnswerStatus = document.getElementById('speech-answer-status');
         this.timerDisplay = document.getElementById('timer-display');
         this.resultDisplay = document.getElementById('result-display');
         this.resultMessage = document.getElementById('result-message');
         this.resultTimeSpent = document.getElementById('result-time-spent');
         // this.resultEncouragement = document.getElementById('result-encouragement'); // 已移除
         this.correctAnswer = document.getElementById('correct-answer');
+        this.resultHintUsage = document.getElementById('result-hint-usage');
         this.resultExplanation = document.getElementById('result-explanation');
+        this.hintArea = document.getElementById('hint-area');
+        this.hintBtn = document.getElementById('hint-btn');
+        this.hintText = document.getElementById('hint-text');
+        this.explanationPlayerArea = document.getElementById('explanation-player');
+        this.explanationPlayBtn = document.getElementById('explanation-play-btn');
+        this.explanationStepBtn = document.getElementById('explanation-step-btn');
+        this.explanationReplayBtn = document.getElementById('explanation-replay-btn');
+        this.explanationProgress = document.getElementById('explanation-progress');
+        this.explanationCaption = document.getElementById('explanation-caption');
         
 
 
@@ -78,34 +196,87 @@ class AppController {
      */
     init() {
         try {
-            console.log('开始初始化时钟练习应用...');
+            this.logger.debug('开始初始化时钟练习应用...');
             
             // 1. 初始化难度选择界面
             this.difficultyUI = new DifficultyUI(this.difficultyManager);
-            console.log('难度选择界面初始化完成');
+            this.logger.debug('难度选择界面初始化完成');
             
             // 2. 初始化时钟渲染器
             if (this.clockCanvas) {
                 try {
-                    this.clockRenderer = new ClockRenderer(this.clockCanvas);
-                    console.log('时钟渲染器初始化完成');
+                    const clockTheme = this.themeManager.getTheme(this.configManager.getConfig().clockTheme);
+                    this.clockRenderer = new ClockRenderer(this.clockCanvas, clockTheme);
+                    this.logger.debug('时钟渲染器初始化完成');
                 } catch (error) {
-                    console.error('时钟渲染器初始化失败:', error);
+                    this.logger.error('时钟渲染器初始化失败:', error);
                     this.clockRenderer = null;
                 }
             } else {
-                console.warn('时钟Canvas元素未找到，将使用降级显示');
+                this.logger.warn('时钟Canvas元素未找到，将使用降级显示');
+            }
+            
+            // 2.4. 初始化指针动画引擎（换题时指针转动、秒针平滑走动）
+            if (this.clockRenderer) {
+                this.clockAnimator = new ClockAnimator(this.clockRenderer);
+                this.clockAnimator.setReducedMotion(!!document.body && document.body.classList.contains('reduced-motion'));
+                this.logger.debug('指针动画引擎初始化完成');
+            }
+            
+            // 2.45. 初始化动画讲解播放器（提交后在钟面上演示怎么读出正确时间）
+            if (this.clockRenderer) {
+                this.explanationPlayer = new ExplanationPlayer(this.clockRenderer, {
+                    formatTime: time => this.answerValidator.formatTime(time),
+                    onChange: state => this.updateExplanationControls(state)
+                });
+                this.explanationPlayer.setReducedMotion(this.clockAnimator.reducedMotion);
+                this.logger.debug('动画讲解播放器初始化完成');
+            }
+            
+            // 2.5. 初始化指针拖动控制器（拨针模式）
+            if (this.clockRenderer && this.clockRenderer.isCanvasSupported) {
+                this.handDragController = new HandDragController(this.clockRenderer);
+                this.logger.debug('指针拖动控制器初始化完成');
+            }
+            
+            // 2.55. 初始化经过时间题的结束时钟（和主时钟使用同一主题，只在Canvas可用时启用）
+            if (this.clockRenderer && this.clockRenderer.isCanvasSupported && this.elapsedEndCanvas) {
+                this.elapsedEndRenderer = new ClockRenderer(this.elapsedEndCanvas, this.clockRenderer.theme);
+                this.logger.debug('结束时钟渲染器初始化完成');
+            }
+            
+            // 2.6. 初始化练习纸生成器（使用时钟渲染器导出的SVG钟面）
+            this.worksheetGenerator = new WorksheetGenerator(this.timeGenerator, this.clockRenderer, this.answerValidator);
+            if (this.worksheetBtn && !this.worksheetGenerator.isAvailable()) {
+                this.worksheetBtn.disabled = true;
+                this.worksheetBtn.title = this.i18n.t('app.worksheet.unsupported');
             }
             
             // 3. 初始化计时器
             this.timerManager.setDisplayElement(this.timerDisplay);
-            console.log('计时器管理器初始化完成');
+            this.logger.debug('计时器管理器初始化完成');
             
             // 4. 初始化记录界面
-            this.recordUI = new RecordUI(this.recordManager);
-            console.log('答题记录界面初始化完成');
+            this.recordUI = new RecordUI(this.recordManager, this.mistakeAnalyzer);
+            this.logger.debug('答题记录界面初始化完成');
             
-
+            // 5. 初始化学习者档案界面
+            this.profileUI = new ProfileUI(this.profileManager);
+            this.logger.debug('学习者档案界面初始化完成');
+            
+            // 5.2. 初始化测验成绩单和测验限时计时器
+            this.testReportUI = new TestReportUI(this.answerValidator, this.timerManager);
+            this.testTimerManager.setDisplayElement(this.testTimerDisplay);
+            this.testTimerManager.setCallback('onTick', () => this.updateTestTimeWarning());
+            this.testTimerManager.setCallback('onTimeUp', () => this.finishTest('timeUp'));
+            this.logger.debug('测验成绩单界面初始化完成');
+            
+            // 5.3. 初始化学习报告（打开时才分析答题历史）
+            this.progressDashboardUI = new ProgressDashboardUI(new ProgressAnalyzer(this.recordManager));
+            this.logger.debug('学习报告界面初始化完成');
+            
+            // 5.5. 从历史答题记录导入错题到复习队列（异步）
+            this.seedReviewQueue();
             
             // 6. 设置组件间的协调逻辑
             this.setupComponentCoordination();
@@ -124,7 +295,12 @@ class AppController {
             
             // 11. 确保时钟立即显示（已在时钟渲染器初始化时处理）
             
-            console.log('时钟练习应用初始化完成');
+            // 12. 有多个档案时，先让孩子选择自己的档案
+            if (this.profileManager.shouldShowPicker()) {
+                this.profileUI.showPicker();
+            }
+            
+            this.logger.info('时钟练习应用初始化完成');
             
             // 触发应用初始化完成事件
             this.dispatchEvent('appInitialized', {
@@ -135,12 +311,12 @@ class AppController {
                     timerManager: !!this.timerManager,
                     recordManager: !!this.recordManager,
                     recordUI: !!this.recordUI,
-
+                    profileUI: !!this.profileUI
                 }
             });
             
         } catch (error) {
-            console.error('应用初始化失败:', error);
+            this.logger.error('应用初始化失败:', error);
             this.handleInitializationError(error);
         }
     }
@@ -164,9 +340,9 @@ class AppController {
                 this.submitBtn = newSubmitBtn;
             }
             
-            console.log('事件监听器已清理');
+            this.logger.debug('事件监听器已清理');
         } catch (error) {
-            console.error('清理事件监听器失败:', error);
+            this.logger.error('清理事件监听器失败:', error);
         }
     }
 
@@ -179,13 +355,13 @@ class AppController {
         // 按钮事件 - submit-btn和next-btn共用
         // refresh-btn已移除
         if (this.submitBtn) {
-            console.log('设置submitBtn点击事件监听器');
+            this.logger.debug('设置submitBtn点击事件监听器');
             this.submitBtn.addEventListener('click', () => {
-                console.log('submitBtn被点击');
+                this.logger.debug('submitBtn被点击');
                 this.handleSubmitOrNext();
             });
         } else {
-            console.error('submitBtn元素不存在，无法设置事件监听器');
+            this.logger.error('submitBtn元素不存在，无法设置事件监听器');
         }
         // next-btn事件已移除，与submit-btn共用
 
@@ -224,16 +400,197 @@ class AppController {
             this.guideLinesToggle.addEventListener('change', () => this.handleGuideLineToggle());
         }
         
+        // 教学标注开关事件
+        this.overlayToggles.forEach(toggle => {
+            toggle.addEventListener('change', () => this.handleOverlayToggle(toggle));
+        });
+        
+        // 分步提示按钮事件
+        if (this.hintBtn) {
+            this.hintBtn.addEventListener('click', () => this.handleHint());
+        }
+        
+        // 动画讲解按钮事件
+        if (this.explanationPlayBtn) {
+            this.explanationPlayBtn.addEventListener('click', () => this.handleExplanationPlay());
+        }
+        if (this.explanationStepBtn) {
+            this.explanationStepBtn.addEventListener('click', () => this.handleExplanationStep());
+        }
+        if (this.explanationReplayBtn) {
+            this.explanationReplayBtn.addEventListener('click', () => this.handleExplanationReplay());
+        }
+        
         // 自动走动开关事件
         if (this.autoTickToggle) {
             this.autoTickToggle.addEventListener('change', () => this.handleAutoTickToggle());
         }
+        if (this.handAnimationToggle) {
+            this.handAnimationToggle.addEventListener('change', () => this.handleHandAnimationToggle());
+        }
+        if (this.smoothSecondToggle) {
+            this.smoothSecondToggle.addEventListener('change', () => this.handleSmoothSecondToggle());
+        }
         
         // 当前时间按钮事件
         if (this.currentTimeToggle) {
             this.currentTimeToggle.addEventListener('change', () => this.handleCurrentTimeToggle());
         }
         
+        // 自适应难度开关事件
+        if (this.adaptiveDifficultyToggle) {
+            this.adaptiveDifficultyToggle.addEventListener('change', () => this.handleAdaptiveDifficultyToggle());
+        }
+        
+        // 练习模式切换事件
+        if (this.questionModeSelect) {
+            this.questionModeSelect.addEventListener('change', () => this.handleQuestionModeChange());
+        }
+        
+        // 钟面数字样式切换事件
+        if (this.faceStyleSelect) {
+            this.faceStyleSelect.addEventListener('change', () => this.handleFaceStyleSelect());
+        }
+        
+        // 钟面主题切换事件
+        if (this.clockThemeSelect) {
+            this.clockThemeSelect.addEventListener('change', () => this.handleClockThemeChange());
+        }
+        
+        // 界面语言切换事件
+        if (this.localeSelect) {
+            this.localeSelect.addEventListener('change', () => this.handleLocaleSelect());
+        }
+        
+        // 语音朗读设置事件
+        if (this.speechToggle) {
+            this.speechToggle.addEventListener('change', () => this.handleSpeechToggle());
+        }
+        [this.speechVoiceSelect, this.speechRateSelect].forEach(control => {
+            if (control) {
+                control.addEventListener('change', () => this.handleSpeechSettingsChange());
+            }
+        });
+        // 有的浏览器异步加载朗读声音，加载完成后重新生成声音选项
+        this.speechNarrator.onVoicesChanged(() => this.syncSpeechControls());
+        
+        // 音效设置事件
+        if (this.soundToggle) {
+            this.soundToggle.addEventListener('change', () => this.handleSoundToggle());
+        }
+        [this.soundVolumeSelect, this.quietClassroomToggle].forEach(control => {
+            if (control) {
+                control.addEventListener('change', () => this.handleSoundSettingsChange());
+            }
+        });
+        // 浏览器要求用户操作后才能播放声音，第一次点击或按键时解锁音频
+        ['pointerdown', 'keydown'].forEach(type => {
+            document.addEventListener(type, () => this.soundManager.unlock(), { once: true });
+        });
+        
+        // 日志设置事件
+        if (this.logLevelSelect) {
+            this.logLevelSelect.addEventListener('change', () => this.handleLogLevelChange());
+        }
+        if (this.logDownloadBtn) {
+            this.logDownloadBtn.addEventListener('click', () => this.handleLogDownload());
+        }
+        
+        // 口述答案事件
+        if (this.speechAnswerBtn) {
+            this.speechAnswerBtn.addEventListener('click', () => this.toggleSpeechAnswer());
+        }
+        
+        // 错题复习事件
+        if (this.reviewRatioSelect) {
+            this.reviewRatioSelect.addEventListener('change', () => this.handleReviewRatioChange());
+        }
+        if (this.reviewSessionBtn) {
+            this.reviewSessionBtn.addEventListener('click', () => this.toggleReviewSession());
+        }
+        
+        // 测验模式事件
+        [this.testCountSelect, this.testTimeLimitSelect, this.testLevelOptions].forEach(control => {
+            if (control) {
+                control.addEventListener('change', () => this.handleTestSettingsChange());
+            }
+        });
+        if (this.testStartBtn) {
+            this.testStartBtn.addEventListener('click', () => this.startTest());
+        }
+        
+        // 打印练习纸事件
+        if (this.worksheetBtn) {
+            this.worksheetBtn.addEventListener('click', () => this.handleWorksheetGenerate());
+        }
+        if (this.testStopBtn) {
+            this.testStopBtn.addEventListener('click', () => {
+                if (confirm(this.i18n.t('app.test.confirmStop'))) {
+                    this.finishTest('stopped');
+                }
+            });
+        }
+        
+        // 时针联动开关事件
+        if (this.linkedHourHandToggle) {
+            this.linkedHourHandToggle.addEventListener('change', () => this.handleLinkedHourHandToggle());
+        }
+        
+        // 上午/下午情境题设置和上午/下午选择
+        if (this.meridiemModeSelect) {
+            this.meridiemModeSelect.addEventListener('change', () => this.handleMeridiemModeChange());
+        }
+        this.meridiemInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                if (this.meridiemField) {
+                    this.meridiemField.classList.remove('error');
+                }
+            });
+        });
+        
+        // 选择题选项点击事件（事件委托）
+        if (this.choiceOptionList) {
+            this.choiceOptionList.addEventListener('click', (e) => {
+                const optionBtn = e.target.closest('.choice-option');
+                if (optionBtn) {
+                    this.handleChoiceSelect(Number(optionBtn.dataset.index));
+                }
+            });
+        }
+        
+        // 读法模式：回车提交，点选读法填入输入框
+        if (this.phraseInput) {
+            this.phraseInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.handleSubmitOrNext();
+                }
+            });
+            this.phraseInput.addEventListener('input', () => this.phraseInput.classList.remove('error'));
+        }
+        // 经过时间题：回车提交
+        [this.elapsedHoursInput, this.elapsedMinutesInput].forEach(input => {
+            if (!input) {
+                return;
+            }
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.handleSubmitOrNext();
+                }
+            });
+            input.addEventListener('input', () => input.classList.remove('error'));
+        });
+        if (this.phraseSuggestionList) {
+            this.phraseSuggestionList.addEventListener('click', (e) => {
+                const suggestionBtn = e.target.closest('.phrase-suggestion');
+                if (suggestionBtn) {
+                    this.handlePhraseSuggestionSelect(suggestionBtn.dataset.phrase);
+                }
+            });
+        }
+        if (this.phraseLocaleSelect) {
+            this.phraseLocaleSelect.addEventListener('change', () => this.handlePhraseLocaleChange());
+        }
+        
 
     }
 
@@ -247,14 +604,43 @@ class AppController {
             this.handleDifficultyChange(e.detail);
         });
         
+        // 监听钟面数字样式变更事件
+        document.addEventListener('faceStyleChanged', () => {
+            this.handleFaceStyleChange();
+        });
+        
         // 监听记录更新事件
         document.addEventListener('recordAdded', (e) => {
             this.handleRecordAdded(e.detail);
         });
         
+        // 监听学习者档案选择事件
+        document.addEventListener('profileSelected', (e) => {
+            this.handleProfileSwitch(e.detail.profileId);
+        });
+        
+        // 关闭测验成绩单后回到平时练习
+        document.addEventListener('testReportClosed', () => {
+            this.handleTestReportClosed();
+        });
+        
+        // 切换语言后重新显示各组件的文字
+        document.addEventListener('localeChanged', () => {
+            this.handleLocaleChange();
+        });
+        
+        // 时钟自动走动时播放滴答声和整点报时
+        document.addEventListener('clockTick', (e) => {
+            this.handleClockTick(e.detail);
+        });
+        
+        // 系统减少动态效果偏好变化时开关指针动画
+        document.addEventListener('reducedMotionChanged', (e) => {
+            this.handleReducedMotionChange(e.detail.reduced);
+        });
 
         
-        console.log('组件协调逻辑设置完成');
+        this.logger.debug('组件协调逻辑设置完成');
     }
 
     /**
@@ -262,7 +648,10 @@ class AppController {
      * 实现横幅标题和各功能区域的完整布局，整合所有组件到统一的用户界面中
      */
     initializeUIState() {
-        console.log('开始初始化界面状态...');
+        this.logger.debug('开始初始化界面状态...');
+        
+        // 0. 按当前语言显示页面文字
+        this.i18n.applyToDocument();
         
         // 1. 确保横幅标题显示正确
         this.initializeBannerTitle();
@@ -277,12 +666,28 @@ class AppController {
         // 4. 重置所有输入和结果显示
         this.clearInputAndResult();
         
-        // 5. 设置参考线开关初始状态
+        // 5. 设置参考线开关和教学标注的初始状态（标注只在Canvas时钟上绘制）
         if (this.guideLinesToggle) {
             this.guideLinesToggle.checked = false;
         }
+        this.overlayToggles.forEach(toggle => {
+            toggle.checked = false;
+            toggle.disabled = !this.clockRenderer || !this.clockRenderer.isCanvasSupported;
+        });
         
-
+        // 6. 同步练习模式和自适应难度控件状态
+        this.syncQuestionModeControls();
+        this.syncAdaptiveDifficultyControls();
+        this.syncClockThemeControls();
+        this.syncFaceStyleControls();
+        this.syncReviewControls();
+        this.syncTestControls();
+        this.syncLocaleControls();
+        this.syncSpeechControls();
+        this.syncSoundControls();
+        this.syncLogControls();
+        this.syncAnimationControls();
+        this.syncSpeechAnswerControls();
         
         // 7. 设置界面响应性
         this.setupResponsiveLayout();
@@ -290,7 +695,7 @@ class AppController {
         // 8. 优化交互流畅性
         this.optimizeInteractionFlow();
         
-        console.log('界面状态初始化完成');
+        this.logger.debug('界面状态初始化完成');
     }
 
     /**
@@ -298,7 +703,12 @@ class AppController {
      */
     cleanup() {
         try {
-            console.log('🧹 开始清理AppController资源...');
+            this.logger.debug('🧹 开始清理AppController资源...');
+            
+            // 清理指针拖动控制器
+            if (this.handDragController) {
+                this.handDragController.disable();
+            }
             
             // 清理时钟渲染器
             if (this.clockRenderer) {
@@ -308,7 +718,7 @@ class AppController {
                 if (typeof this.clockRenderer.cleanup === 'function') {
                     this.clockRenderer.cleanup();
                 }
-                console.log('✅ ClockRenderer已清理');
+                this.logger.debug('✅ ClockRenderer已清理');
             }
             
             // 停止计时器管理器
@@ -318,37 +728,37 @@ class AppController {
                 if (typeof this.timerManager.cleanup === 'function') {
                     this.timerManager.cleanup();
                 }
-                console.log('✅ TimerManager已清理');
+                this.logger.debug('✅ TimerManager已清理');
             }
             
             // 清理其他定时器
             if (this.validationTimeout) {
                 clearTimeout(this.validationTimeout);
                 this.validationTimeout = null;
-                console.log('✅ 验证定时器已清除');
+                this.logger.debug('✅ 验证定时器已清除');
             }
             
             // 清理更新间隔
             if (this.updateInterval) {
                 clearInterval(this.updateInterval);
                 this.updateInterval = null;
-                console.log('✅ 更新间隔已清除');
+                this.logger.debug('✅ 更新间隔已清除');
             }
             
             // 清理性能监控间隔
             if (this.performanceInterval) {
                 clearInterval(this.performanceInterval);
                 this.performanceInterval = null;
-                console.log('✅ 性能监控间隔已清除');
+                this.logger.debug('✅ 性能监控间隔已清除');
             }
             
             // 重置状态
             this.currentTime = null;
             this.isInitialized = false;
             
-            console.log('✅ AppController资源清理完成');
+            this.logger.debug('✅ AppController资源清理完成');
         } catch (error) {
-            console.error('❌ AppController资源清理失败:', error);
+            this.logger.error('❌ AppController资源清理失败:', error);
         }
     }
 
@@ -357,19 +767,19 @@ class AppController {
      * @param {Error} error - 初始化错误
      */
     handleInitializationError(error) {
-        console.error('处理初始化错误:', error);
+        this.logger.error('处理初始化错误:', error);
         
         // 显示用户友好的错误信息
-        this.showTemporaryMessage('应用初始化失败，部分功能可能不可用', 'error');
+        this.showTemporaryMessage(this.i18n.t('app.messages.initFailed'), 'error');
         
         // 尝试基本功能的降级初始化
         try {
             if (!this.clockRenderer && this.clockFallback) {
                 this.clockFallback.style.display = 'block';
-                console.log('启用时钟降级显示');
+                this.logger.debug('启用时钟降级显示');
             }
         } catch (fallbackError) {
-            console.error('降级初始化也失败:', fallbackError);
+            this.logger.error('降级初始化也失败:', fallbackError);
         }
     }
 
@@ -382,22 +792,27 @@ class AppController {
         try {
             const { level, difficulty } = detail;
             
-            console.log(`处理难度变更: ${level} 星`, difficulty);
+            this.logger.debug(`处理难度变更: ${level} 星`, difficulty);
             
             // 验证难度数据的有效性
             if (!level || !difficulty || typeof level !== 'number' || level < 1 || level > 5) {
-                console.error('无效的难度变更数据:', detail);
-                this.handleDifficultyChangeError('无效的难度数据', level);
+                this.logger.error('无效的难度变更数据:', detail);
+                this.handleDifficultyChangeError(this.i18n.t('app.errors.invalidDifficulty'), level);
                 return;
             }
             
+            // 难度已变化，自适应难度重新积累样本
+            this.pendingDifficultyChange = null;
+            this.adaptiveDifficultyManager.markLevelChanged();
+            this.updateAdaptiveDifficultyStatus(detail.automatic ? detail : null);
+            
             // 停止当前计时器（如果正在运行）
             try {
                 if (this.timerManager && this.timerManager.isTimerRunning()) {
                     this.timerManager.stopTimer();
                 }
             } catch (timerError) {
-                console.warn('停止计时器时出错:', timerError);
+                this.logger.warn('停止计时器时出错:', timerError);
                 // 继续执行，不阻断难度切换流程
             }
             
@@ -405,8 +820,8 @@ class AppController {
             try {
                 this.updateInputVisibility(difficulty);
             } catch (inputError) {
-                console.error('更新输入框显示失败:', inputError);
-                this.handleDifficultyChangeError('界面更新失败', level);
+                this.logger.error('更新输入框显示失败:', inputError);
+                this.handleDifficultyChangeError(this.i18n.t('app.errors.uiUpdateFailed'), level);
                 return;
             }
             
@@ -416,8 +831,8 @@ class AppController {
             try {
                 this.generateNewQuestion();
             } catch (questionError) {
-                console.error('生成新题目失败:', questionError);
-                this.handleDifficultyChangeError('题目生成失败', level);
+                this.logger.error('生成新题目失败:', questionError);
+                this.handleDifficultyChangeError(this.i18n.t('app.errors.questionFailed'), level);
                 return;
             }
             
@@ -429,18 +844,20 @@ class AppController {
                     timestamp: new Date()
                 });
             } catch (eventError) {
-                console.warn('触发难度变更完成事件失败:', eventError);
+                this.logger.warn('触发难度变更完成事件失败:', eventError);
                 // 事件触发失败不影响核心功能
             }
             
-            console.log(`难度已变更为 ${level} 星:`, difficulty);
+            this.logger.info(`难度已变更为 ${level} 星:`, difficulty);
             
-            // 显示成功提示
-            this.showTemporaryMessage(`难度已切换到 ${level} 星`, 'success');
+            // 显示成功提示（自动调整时告诉孩子原因）
+            this.showTemporaryMessage(detail.automatic && detail.trigger ?
+                this.formatAdaptiveReason(detail) :
+                this.i18n.t('app.messages.difficultyChanged', { level: level }), 'success');
             
         } catch (error) {
-            console.error('处理难度变更时发生严重错误:', error);
-            this.handleDifficultyChangeError('难度切换系统异常', detail?.level);
+            this.logger.error('处理难度变更时发生严重错误:', error);
+            this.handleDifficultyChangeError(this.i18n.t('app.errors.difficultySystem'), detail?.level);
         }
     }
 
@@ -450,7 +867,7 @@ class AppController {
      * @param {number} targetLevel - 目标难度等级
      */
     handleDifficultyChangeError(errorMessage, targetLevel) {
-        console.error('难度切换失败:', errorMessage);
+        this.logger.error('难度切换失败:', errorMessage);
         
         try {
             // 尝试恢复到安全的难度状态
@@ -459,7 +876,7 @@ class AppController {
             
             if (!safeDifficulty) {
                 // 如果当前难度也无效，强制设置为1星
-                console.warn('当前难度无效，强制重置为1星');
+                this.logger.warn('当前难度无效，强制重置为1星');
                 this.difficultyManager.resetDifficulty();
             }
             
@@ -469,9 +886,9 @@ class AppController {
             }
             
             // 显示错误提示
-            const userMessage = targetLevel ? 
-                `切换到 ${targetLevel} 星难度失败: ${errorMessage}` : 
-                `难度切换失败: ${errorMessage}`;
+            const userMessage = targetLevel ?
+                this.i18n.t('app.errors.difficultyLevelFailed', { level: targetLevel, error: errorMessage }) :
+                this.i18n.t('app.errors.difficultyFailed', { error: errorMessage });
             
             this.showTemporaryMessage(userMessage, 'error');
             
@@ -479,13 +896,13 @@ class AppController {
             try {
                 this.generateNewQuestion();
             } catch (recoveryError) {
-                console.error('恢复性题目生成也失败:', recoveryError);
-                this.showTemporaryMessage('应用出现异常，请刷新页面', 'error');
+                this.logger.error('恢复性题目生成也失败:', recoveryError);
+                this.showTemporaryMessage(this.i18n.t('app.errors.reload'), 'error');
             }
             
         } catch (recoveryError) {
-            console.error('难度切换错误恢复失败:', recoveryError);
-            this.showTemporaryMessage('难度切换功能异常，请刷新页面', 'error');
+            this.logger.error('难度切换错误恢复失败:', recoveryError);
+            this.showTemporaryMessage(this.i18n.t('app.errors.difficultyBroken'), 'error');
         }
     }
 
@@ -494,7 +911,7 @@ class AppController {
      * @param {Object} detail - 记录详情
      */
     handleRecordAdded(detail) {
-        console.log('新增答题记录:', detail);
+        this.logger.debug('新增答题记录:', detail);
         
         // 更新记录界面显示
         if (this.recordUI) {
@@ -513,7 +930,7 @@ class AppController {
      */
     handleConfigChange() {
         // 配置现在通过星级难度系统管理
-        console.log('配置变更由星级难度系统处理');
+        this.logger.debug('配置变更由星级难度系统处理');
     }
 
     /**
@@ -536,7 +953,7 @@ class AppController {
     loadConfigFromUI() {
         // 配置现在由星级难度系统自动管理
         const currentDifficulty = this.difficultyManager.getCurrentDifficulty();
-        console.log('当前难度配置:', currentDifficulty.name);
+        this.logger.debug('当前难度配置:', currentDifficulty.name);
     }
 
     /**
@@ -582,265 +999,2371 @@ class AppController {
     }
 
     /**
-     * 处理刷新按钮点击
+     * 处理刷新按钮点击
+     */
+    handleRefresh() {
+        this.generateNewQuestion();
+    }
+
+    /**
+     * 生成新题目
+     * 整合星级难度选择、时间生成、时钟显示的完整流程
+     */
+    generateNewQuestion() {
+        try {
+            this.logger.debug('开始生成新题目...');
+            
+            // 上一题的朗读和口述识别还没结束时停止
+            this.speechNarrator.stop();
+            this.speechRecognizer.stop();
+            
+            // 检查必要的组件是否已初始化
+            if (!this.difficultyManager) {
+                throw new Error('DifficultyManager 未初始化');
+            }
+            
+            if (!this.timeGenerator) {
+                throw new Error('TimeGenerator 未初始化');
+            }
+            
+            // 1. 获取当前难度配置（测验中使用本题的星级）
+            const testQuestion = this.isTestActive() ? this.testSession.getCurrentQuestion() : null;
+            const currentDifficulty = testQuestion ?
+                this.difficultyManager.getAllDifficulties()[testQuestion.level] :
+                this.difficultyManager.getCurrentDifficulty();
+            if (!currentDifficulty) {
+                this.logger.error('无法获取当前难度配置');
+                throw new Error('难度管理器未正确初始化');
+            }
+            this.currentQuestionDifficulty = currentDifficulty;
+            this.logger.debug('当前难度:', currentDifficulty.name);
+            
+            // 2. 根据难度生成新时间（可能是到期的错题），测验题目已预先生成
+            this.currentElapsedQuestion = null;
+            if (testQuestion) {
+                this.currentTime = { ...testQuestion.time };
+                this.logger.debug('测验题目:', this.currentTime, `第${testQuestion.index + 1}题`);
+                this.updateTestStatus();
+            } else if (this.isElapsedMode()) {
+                // 经过时间题：主时钟显示开始时间，结束时钟显示结束时间
+                this.currentElapsedQuestion = this.timeGenerator.generateTimePair(currentDifficulty.level);
+                this.currentTime = { ...this.currentElapsedQuestion.start };
+                this.logger.debug('生成经过时间题:', this.currentElapsedQuestion);
+            } else {
+                if (this.isReviewSession && this.reviewScheduler.getDueCount(this.difficultyManager.getTimeConfig()) === 0) {
+                    this.setReviewSession(false);
+                    this.showTemporaryMessage(this.i18n.t('app.review.finished'), 'success');
+                }
+                this.currentTime = this.timeGenerator.generateTime();
+                if (this.isMeridiemQuestion()) {
+                    this.currentTime = this.timeGenerator.addMeridiem(this.currentTime);
+                }
+                this.logger.debug('生成时间:', this.currentTime, '来源:', this.timeGenerator.lastTimeSource);
+            }
+            this.updateReviewControls();
+            this.updateMeridiemUI();
+            
+            // 3. 获取当前参考线状态，清除上一题的提示
+            const showGuideLines = this.guideLinesToggle ? this.guideLinesToggle.checked : false;
+            this.resetHints();
+            if (this.explanationPlayer) {
+                this.explanationPlayer.stop(false);
+            }
+            
+            // 4. 渲染时钟显示（拨针模式显示目标时间，指针从12点开始）
+            if (this.isSetClockMode()) {
+                this.prepareSetClockQuestion(this.currentTime, currentDifficulty);
+            } else if (this.clockRenderer) {
+                if (this.handDragController) {
+                    this.handDragController.disable();
+                }
+                try {
+                    // 更新时钟显示（开启指针动画时从上一题的位置转过去）
+                    this.clockAnimator.animateTo(this.currentTime, showGuideLines);
+                    this.logger.debug('时钟渲染完成，参考线状态:', showGuideLines);
+                } catch (renderError) {
+                    this.logger.error('时钟渲染失败:', renderError);
+                    // 尝试降级显示
+                    if (this.clockFallback) {
+                        this.showDigitalClock(this.currentTime);
+                        this.logger.debug('时钟渲染失败，使用数字时钟降级显示');
+                    }
+                }
+            } else if (this.clockFallback) {
+                // 降级显示数字时钟
+                this.showDigitalClock(this.currentTime);
+                this.logger.debug('使用数字时钟降级显示');
+            } else {
+                this.logger.warn('无可用的时钟显示方式');
+            }
+            
+            // 4.5. 选择题模式生成选项
+            if (this.isChoiceMode()) {
+                this.prepareChoiceQuestion(this.currentTime, currentDifficulty);
+            } else if (this.isPhraseMode()) {
+                this.preparePhraseQuestion(this.currentTime, currentDifficulty);
+            } else if (this.currentElapsedQuestion) {
+                this.prepareElapsedQuestion(this.currentElapsedQuestion);
+            }
+            
+            // 5. 停止当前时间显示（如果正在运行）
+            if (this.currentTimeToggle && this.currentTimeToggle.checked) {
+                this.currentTimeToggle.checked = false;
+                if (this.clockRenderer) {
+                    this.clockRenderer.setShowCurrentTime(false);
+                    this.clockRenderer.stopAutoTick();
+                }
+            }
+            
+            // 6. 清空输入和结果，准备新的答题流程
+            this.clearInputAndResult();
+            
+            // 7. 重置答题状态
+            this.isAnswerSubmitted = false;
+            this.logger.debug('generateNewQuestion: isAnswerSubmitted重置为false');
+            
+            // 8. 重置按钮状态
+            this.forceUpdateSubmitButton(this.i18n.t('app.submit'));
+            this.updateHintControls();
+            
+            // 9. 重置并启动计时器
+            this.timerManager.resetTimer();
+            this.timerManager.startTimer();
+            this.logger.debug('计时器已启动');
+            
+            // 10. 触发新题目生成事件
+            this.dispatchEvent('questionGenerated', {
+                time: this.currentTime,
+                difficulty: currentDifficulty,
+                showGuideLines: showGuideLines,
+                timestamp: new Date()
+            });
+            
+            this.logger.debug('新题目生成完成:', this.currentTime);
+        } catch (error) {
+            this.logger.error('生成题目失败:', error);
+            this.handleQuestionGenerationError(error);
+        }
+    }
+
+    /**
+     * 处理提交或继续练习按钮点击
+     * submit-btn和next-btn共用，根据状态切换功能
+     */
+    handleSubmitOrNext() {
+        this.logger.debug('=== handleSubmitOrNext被调用 ===');
+        this.logger.debug('当前状态:', {
+            isAnswerSubmitted: this.isAnswerSubmitted,
+            currentTime: this.currentTime,
+            buttonText: this.submitBtn ? this.submitBtn.textContent : 'null'
+        });
+        
+        if (this.isAnswerSubmitted) {
+            // 如果答案已提交，点击继续练习
+            this.logger.debug('执行继续练习逻辑');
+            // 有待生效的自动难度调整时，由难度变更流程生成新题目
+            if (!this.applyPendingDifficultyChange()) {
+                this.generateNewQuestion();
+            }
+        } else {
+            // 如果答案未提交，点击提交答案
+            this.logger.debug('执行提交答案逻辑');
+            this.handleSubmit();
+        }
+        
+        this.logger.debug('=== handleSubmitOrNext执行完成 ===');
+    }
+
+    /**
+     * 处理提交按钮点击
+     * 实现计时、答题、记录保存、结果显示的完整循环
+     */
+    handleSubmit() {
+        this.logger.debug('handleSubmit被调用，检查状态:', {
+            currentTime: this.currentTime,
+            isAnswerSubmitted: this.isAnswerSubmitted,
+            hoursInput: this.hoursInput ? this.hoursInput.value : 'null',
+            minutesInput: this.minutesInput ? this.minutesInput.value : 'null',
+            secondsInput: this.secondsInput ? this.secondsInput.value : 'null'
+        });
+        
+        if (!this.currentTime) {
+            this.logger.debug('没有当前时间，显示警告');
+            this.showTemporaryMessage(this.i18n.t('app.messages.noQuestion'), 'warning');
+            return;
+        }
+
+        if (this.isAnswerSubmitted) {
+            this.logger.debug('答案已提交，显示提示');
+            this.showTemporaryMessage(this.i18n.t('app.messages.alreadySubmitted'), 'info');
+            return;
+        }
+
+        try {
+            this.logger.debug('开始处理答案提交...');
+            
+            // 1. 停止计时器并获取耗时
+            const timeSpent = this.timerManager.stopTimer();
+            const timeSpentSeconds = Math.round(timeSpent / 1000);
+            this.logger.debug('答题耗时:', timeSpentSeconds, '秒');
+
+            // 2. 获取用户输入的时间（拨针模式按指针位置评分）
+            let userTimeResult;
+            let result;
+            if (this.isSetClockMode()) {
+                try {
+                    result = this.getSetClockAnswerResult();
+                    userTimeResult = result.userTime;
+                    this.logger.debug('拨针答案验证结果:', result.isCorrect ? '正确' : '错误', result);
+                    
+                    // 提交后锁定指针，保留孩子拨出的位置
+                    this.handDragController.disable(true);
+                } catch (error) {
+                    this.logger.error('指针位置验证失败:', error);
+                    this.showTemporaryMessage(this.i18n.t('app.messages.validationFailed'), 'error');
+                    return;
+                }
+            } else if (this.isChoiceMode()) {
+                // 选择题模式必须先选择一个选项
+                if (this.selectedChoiceIndex === null) {
+                    this.showTemporaryMessage(this.i18n.t('app.messages.chooseAnswer'), 'warning');
+                    this.timerManager.startTimer();
+                    return;
+                }
+                
+                try {
+                    result = this.getChoiceAnswerResult();
+                    userTimeResult = result.userTime;
+                    this.logger.debug('选择题答案验证结果:', result.isCorrect ? '正确' : '错误', result);
+                    
+                    // 标出正确选项和误选的选项（测验中结束后才公布对错）
+                    if (!this.isTestActive()) {
+                        this.showChoiceFeedback(result);
+                    }
+                } catch (error) {
+                    this.logger.error('选择题答案验证失败:', error);
+                    this.showTemporaryMessage(this.i18n.t('app.messages.validationFailed'), 'error');
+                    return;
+                }
+            } else if (this.isPhraseMode()) {
+                // 读法模式必须先写出或点选一个读法
+                const phrase = this.phraseInput ? this.phraseInput.value.trim() : '';
+                if (!phrase) {
+                    this.showTemporaryMessage(this.i18n.t('app.messages.writePhrase'), 'warning');
+                    this.timerManager.startTimer();
+                    return;
+                }
+                
+                try {
+                    result = this.answerValidator.validatePhraseAnswer(phrase, this.currentTime, this.getPhraseLocale());
+                    this.logger.debug('读法答案验证结果:', result.isCorrect ? '正确' : '错误', result);
+                } catch (error) {
+                    this.logger.error('读法答案验证失败:', error);
+                    this.showTemporaryMessage(this.i18n.t('app.messages.validationFailed'), 'error');
+                    return;
+                }
+                
+                // 看不懂的读法不算答错，提示示例后让孩子重新写
+                if (!result.recognized) {
+                    this.showTemporaryMessage(this.i18n.t('app.messages.phraseNotRecognized', { message: result.message, explanation: result.explanation }), 'warning');
+                    if (this.phraseInput) {
+                        this.phraseInput.classList.add('error');
+                        this.phraseInput.focus();
+                    }
+                    this.timerManager.startTimer();
+                    return;
+                }
+                userTimeResult = result.userTime;
+            } else if (this.currentElapsedQuestion) {
+                // 经过时间题：回答经过多久或结束时间
+                const parsed = this.answerValidator.parseElapsedInputs(
+                    this.elapsedHoursInput ? this.elapsedHoursInput.value : '',
+                    this.elapsedMinutesInput ? this.elapsedMinutesInput.value : '',
+                    this.currentElapsedQuestion.answerType
+                );
+                if (!parsed.isValid) {
+                    parsed.errors.forEach(error => {
+                        const input = error.field === 'minutes' ? this.elapsedMinutesInput : this.elapsedHoursInput;
+                        if (input) {
+                            input.classList.add('error');
+                        }
+                    });
+                    this.showTemporaryMessage(parsed.errors.map(error => error.message).join(', '), 'warning');
+                    this.timerManager.startTimer();
+                    return;
+                }
+                
+                try {
+                    result = this.answerValidator.validateElapsedAnswer(parsed.answer, this.currentElapsedQuestion);
+                    userTimeResult = result.userTime;
+                    this.logger.debug('经过时间题答案验证结果:', result.isCorrect ? '正确' : '错误', result);
+                } catch (error) {
+                    this.logger.error('经过时间题答案验证失败:', error);
+                    this.showTemporaryMessage(this.i18n.t('app.messages.validationFailed'), 'error');
+                    return;
+                }
+                
+                // 提交后显示结束时钟，孩子可以对照答案
+                this.updateElapsedEndClock(true);
+            } else {
+                try {
+                    userTimeResult = this.getUserInputTime();
+                    this.logger.debug('用户输入时间结果:', userTimeResult);
+                } catch (error) {
+                    this.logger.error('获取用户输入时间失败:', error);
+                    this.showTemporaryMessage(this.i18n.t('app.errors.readInputFailed'), 'error');
+                    return;
+                }
+
+                // 3. 检查是否有解析错误
+                if (userTimeResult && userTimeResult.error) {
+                    this.logger.debug('输入解析错误:', userTimeResult.errors);
+                    try {
+                        this.showInputErrors(userTimeResult.errors, userTimeResult.warnings);
+                    } catch (error) {
+                        this.logger.error('显示输入错误失败:', error);
+                        this.showTemporaryMessage(this.i18n.t('app.errors.inputValidationFailed'), 'error');
+                    }
+                    // 如果有输入错误，重新启动计时器让用户继续，但不标记答案已提交
+                    this.timerManager.startTimer();
+                    return;
+                }
+
+                // 4. 验证答案
+                try {
+                    result = this.answerValidator.validateTimeObject(userTimeResult, this.currentTime);
+                    this.logger.debug('答案验证结果:', result.isCorrect ? '正确' : '错误');
+                    this.logger.debug('验证结果详情:', result);
+                } catch (error) {
+                    this.logger.error('答案验证失败:', error);
+                    this.showTemporaryMessage(this.i18n.t('app.messages.validationFailed'), 'error');
+                    return;
+                }
+            }
+            
+            // 5. 添加耗时信息到结果中
+            result.timeSpent = timeSpentSeconds;
+            result.timeSpentFormatted = this.timerManager.formatTime(timeSpentSeconds);
+            
+            // 5.5. 测验中不显示对错，记录后直接进入下一题
+            if (this.isTestActive()) {
+                this.handleTestAnswer(result);
+                return;
+            }
+            
+            // 6. 标记答案已提交
+            this.isAnswerSubmitted = true;
+            
+            // 6.5. 强制更新按钮状态
+            this.forceUpdateSubmitButton(this.i18n.t('app.next'));
+            this.logger.debug('答案已提交，状态设置为true');
+            
+            // 7. 触发答案提交事件
+            this.dispatchEvent('answerSubmitted', {
+                userAnswer: userTimeResult,
+                correctAnswer: this.currentTime,
+                isCorrect: result.isCorrect,
+                timeSpent: timeSpentSeconds,
+                difficulty: this.difficultyManager.getCurrentDifficulty(),
+                timestamp: new Date()
+            });
+            
+            // 8. 显示结果（包含记录保存）
+            this.logger.debug('准备调用showResult，当前result:', result);
+            try {
+                this.showResult(result);
+                this.logger.debug('showResult调用完成');
+            } catch (error) {
+                this.logger.error('显示结果失败:', error);
+                this.showTemporaryMessage(this.i18n.t('app.errors.showResultFailedWithReason', { error: error.message }), 'error');
+                // 即使显示结果失败，也要标记答案已提交并更新按钮
+                this.isAnswerSubmitted = true;
+                if (this.submitBtn) {
+                    this.submitBtn.textContent = this.i18n.t('app.next');
+                }
+            }
+            
+            // 最终保险措施：确保状态和按钮都正确设置
+            this.logger.debug('最终检查状态:', {
+                isAnswerSubmitted: this.isAnswerSubmitted,
+                buttonText: this.submitBtn ? this.submitBtn.textContent : 'null'
+            });
+            
+            if (!this.isAnswerSubmitted) {
+                this.logger.warn('状态未正确设置，强制设置');
+                this.isAnswerSubmitted = true;
+            }
+            
+            if (this.submitBtn && this.submitBtn.textContent !== this.i18n.t('app.next')) {
+                this.logger.warn('按钮文本未正确设置，强制设置');
+                this.submitBtn.textContent = this.i18n.t('app.next');
+            }
+            
+            this.logger.debug('答案提交处理完成');
+        } catch (error) {
+            this.logger.error('处理答案提交失败:', error);
+            this.handleSubmitError(error);
+        }
+    }
+
+    /**
+     * 处理继续练习按钮点击
+     */
+    handleNext() {
+        this.generateNewQuestion();
+    }
+
+    /**
+     * 当前是否处于拨针模式
+     * @returns {boolean} 是否为拨针模式
+     */
+    isSetClockMode() {
+        return this.questionMode === 'set' && !!this.handDragController;
+    }
+
+    /**
+     * 当前是否处于选择题模式
+     * @returns {boolean} 是否为选择题模式
+     */
+    isChoiceMode() {
+        return this.questionMode === 'choice';
+    }
+
+    /**
+     * 当前是否处于读法模式
+     * @returns {boolean} 是否为读法模式
+     */
+    isPhraseMode() {
+        return this.questionMode === 'phrase';
+    }
+
+    /**
+     * 当前是否处于经过时间模式（需要结束时钟可用）
+     * @returns {boolean} 是否为经过时间模式
+     */
+    isElapsedMode() {
+        return this.questionMode === 'elapsed' && !!this.elapsedEndRenderer;
+    }
+
+    /**
+     * 获取读法题使用的语言
+     * @returns {string} zh-中文，en-英文
+     */
+    getPhraseLocale() {
+        return this.configManager.getConfig().phraseLocale || 'zh';
+    }
+
+    /**
+     * 获取上午/下午情境题设置
+     * @returns {string} off-不区分，24h-用24小时制回答，ampm-选择上午或下午
+     */
+    getMeridiemMode() {
+        return this.configManager.getConfig().meridiemMode || 'off';
+    }
+
+    /**
+     * 当前题目是否为上午/下午情境题（只用于平时练习的看钟读时间）
+     * @returns {boolean} 是否为情境题
+     */
+    isMeridiemQuestion() {
+        return this.questionMode === 'read' && !this.isTestActive() && this.getMeridiemMode() !== 'off';
+    }
+
+    /**
+     * 获取当前题型，用于保存记录
+     * @returns {string} 题型：read、set、choice、phrase或elapsed
+     */
+    getCurrentQuestionType() {
+        if (this.isSetClockMode()) {
+            return 'set';
+        }
+        if (this.currentElapsedQuestion) {
+            return 'elapsed';
+        }
+        if (this.isPhraseMode()) {
+            return 'phrase';
+        }
+        return this.isChoiceMode() ? 'choice' : 'read';
+    }
+
+    /**
+     * 获取练习模式名称
+     * @param {string} mode - 练习模式
+     * @returns {string} 练习模式名称
+     */
+    getQuestionModeName(mode) {
+        const key = `app.modes.${mode}`;
+        return this.i18n.t(this.i18n.has(key) ? key : 'app.modes.read');
+    }
+
+    /**
+     * 处理练习模式切换
+     */
+    handleQuestionModeChange() {
+        try {
+            const newMode = this.questionModeSelect ? this.questionModeSelect.value : 'read';
+            
+            if (newMode === 'set' && !this.handDragController) {
+                this.logger.warn('Canvas不可用，无法启用拨针模式');
+                this.showTemporaryMessage(this.i18n.t('app.messages.setModeUnsupported'), 'warning');
+                this.questionModeSelect.value = 'read';
+                return;
+            }
+            
+            if (newMode === 'elapsed' && !this.elapsedEndRenderer) {
+                this.logger.warn('Canvas不可用，无法启用经过时间模式');
+                this.showTemporaryMessage(this.i18n.t('app.messages.elapsedModeUnsupported'), 'warning');
+                this.questionModeSelect.value = 'read';
+                return;
+            }
+            
+            if (newMode === this.questionMode) {
+                return;
+            }
+            
+            this.logger.info(`练习模式切换: ${this.questionMode} -> ${newMode}`);
+            this.questionMode = newMode;
+            this.configManager.updateConfig({ questionMode: newMode });
+            
+            // 1. 更新界面
+            this.updateQuestionModeUI();
+            
+            // 2. 停止当前计时器并生成新题目
+            if (this.timerManager && this.timerManager.isTimerRunning()) {
+                this.timerManager.stopTimer();
+            }
+            this.generateNewQuestion();
+            
+            this.showTemporaryMessage(this.i18n.t('app.messages.modeChanged', { mode: this.getQuestionModeName(newMode) }), 'success');
+        } catch (error) {
+            this.logger.error('切换练习模式失败:', error);
+            this.showTemporaryMessage(this.i18n.t('app.messages.modeChangeFailed'), 'error');
+        }
+    }
+
+    /**
+     * 按当前配置同步练习模式相关控件
+     */
+    syncQuestionModeControls() {
+        if (this.questionModeSelect) {
+            this.questionModeSelect.value = this.questionMode;
+        }
+        if (this.linkedHourHandToggle) {
+            this.linkedHourHandToggle.checked = this.configManager.getConfig().linkedHourHand !== false;
+        }
+        if (this.meridiemModeSelect) {
+            this.meridiemModeSelect.value = this.getMeridiemMode();
+        }
+        if (this.phraseLocaleSelect) {
+            this.phraseLocaleSelect.value = this.getPhraseLocale();
+        }
+        if (this.handDragController) {
+            this.handDragController.setLinkedHourHand(this.configManager.getConfig().linkedHourHand !== false);
+        }
+        this.updateQuestionModeUI();
+    }
+
+    /**
+     * 按当前配置同步自适应难度开关
+     */
+    syncAdaptiveDifficultyControls() {
+        const enabled = this.configManager.getConfig().adaptiveDifficulty === true;
+        if (this.adaptiveDifficultyToggle) {
+            this.adaptiveDifficultyToggle.checked = enabled;
+        }
+        this.adaptiveDifficultyManager.setEnabled(enabled);
+        this.pendingDifficultyChange = null;
+        this.updateAdaptiveDifficultyStatus();
+    }
+
+    /**
+     * 处理自适应难度开关切换
+     */
+    handleAdaptiveDifficultyToggle() {
+        const enabled = this.adaptiveDifficultyToggle ? this.adaptiveDifficultyToggle.checked : false;
+        this.configManager.updateConfig({ adaptiveDifficulty: enabled });
+        this.adaptiveDifficultyManager.setEnabled(enabled);
+        this.pendingDifficultyChange = null;
+        this.updateAdaptiveDifficultyStatus();
+        
+        this.showTemporaryMessage(this.i18n.t(enabled ? 'app.messages.adaptiveOn' : 'app.messages.adaptiveOff'), 'success');
+    }
+
+    /**
+     * 答题后评估自适应难度，需要调整时在进入下一题时生效
+     */
+    evaluateAdaptiveDifficulty() {
+        try {
+            const adjustment = this.adaptiveDifficultyManager.evaluate();
+            this.pendingDifficultyChange = adjustment;
+            this.updateAdaptiveDifficultyStatus(adjustment);
+            
+            if (adjustment) {
+                this.logger.debug('🎯 自适应难度建议调整:', adjustment);
+                this.showTemporaryMessage(this.formatAdaptiveReason(adjustment), adjustment.action === 'promote' ? 'success' : 'warning');
+            }
+        } catch (error) {
+            this.logger.error('评估自适应难度失败:', error);
+        }
+    }
+
+    /**
+     * 应用待生效的自适应难度调整
+     * @returns {boolean} 是否已调整难度
+     */
+    applyPendingDifficultyChange() {
+        const adjustment = this.pendingDifficultyChange;
+        this.pendingDifficultyChange = null;
+        
+        if (!adjustment || this.difficultyManager.getCurrentLevel() !== adjustment.fromLevel) {
+            return false;
+        }
+        
+        // 与手动点击星级相同，setDifficulty触发difficultyChanged事件完成后续切换
+        const changed = this.difficultyManager.setDifficulty(adjustment.toLevel, {
+            automatic: true,
+            action: adjustment.action,
+            trigger: adjustment.trigger,
+            fromLevel: adjustment.fromLevel,
+            toLevel: adjustment.toLevel,
+            stats: adjustment.stats
+        });
+        if (!changed) {
+            this.logger.warn('自适应难度调整失败:', adjustment);
+            return false;
+        }
+        
+        if (this.difficultyUI) {
+            this.difficultyUI.updateUI();
+        }
+        return true;
+    }
+
+    /**
+     * 按当前语言生成自适应难度调整的原因
+     * @param {Object} adjustment - 难度调整信息 {action, trigger, toLevel, stats}
+     * @returns {string} 原因
+     */
+    formatAdaptiveReason(adjustment) {
+        const stats = adjustment.stats || {};
+        const accuracy = adjustment.trigger === 'mastered' ? stats.unaidedAccuracy : stats.accuracy;
+        return this.i18n.t(`app.adaptive.${adjustment.trigger}`, {
+            count: adjustment.trigger === 'consecutiveErrors' ? stats.consecutiveErrors : stats.samples,
+            accuracy: Math.round((accuracy || 0) * 100),
+            seconds: stats.averageTime,
+            level: adjustment.toLevel
+        });
+    }
+
+    /**
+     * 按当前语言生成当前星级的自适应难度进度
+     * @returns {string} 进度描述
+     */
+    formatAdaptiveProgress() {
+        const progress = this.adaptiveDifficultyManager.getProgress();
+        if (progress.samples === 0) {
+            return this.i18n.t('app.adaptive.waiting', { count: progress.minSamples });
+        }
+        return this.i18n.t('app.adaptive.progress', {
+            level: progress.level,
+            count: progress.samples,
+            accuracy: Math.round(progress.accuracy * 100),
+            seconds: progress.averageTime
+        });
+    }
+
+    /**
+     * 更新自适应难度状态提示
+     * @param {Object|null} adjustment - 难度调整信息（包含action和trigger），为空时显示当前进度
+     */
+    updateAdaptiveDifficultyStatus(adjustment = null) {
+        if (!this.adaptiveDifficultyStatus) {
+            return;
+        }
+        
+        if (!this.adaptiveDifficultyManager.enabled) {
+            this.adaptiveDifficultyStatus.style.display = 'none';
+            return;
+        }
+        
+        this.adaptiveDifficultyStatus.style.display = 'block';
+        this.adaptiveDifficultyStatus.classList.remove('promote', 'demote');
+        
+        if (adjustment && adjustment.trigger) {
+            const reason = this.formatAdaptiveReason(adjustment);
+            this.adaptiveDifficultyStatus.classList.add(adjustment.action);
+            this.adaptiveDifficultyStatus.textContent = this.pendingDifficultyChange === adjustment ?
+                this.i18n.t('app.adaptive.pending', { reason: reason }) :
+                reason;
+        } else {
+            this.adaptiveDifficultyStatus.textContent = this.formatAdaptiveProgress();
+        }
+    }
+
+    /**
+     * 按当前配置同步钟面主题选择框，并把主题应用到时钟渲染器（不重新渲染）
+     */
+    syncClockThemeControls() {
+        const theme = this.themeManager.getTheme(this.configManager.getConfig().clockTheme);
+        
+        if (this.clockThemeSelect) {
+            // 选项按已注册的主题生成，老师注册的主题也会出现在这里
+            this.clockThemeSelect.innerHTML = '';
+            this.themeManager.getAllThemes().forEach(item => {
+                const option = document.createElement('option');
+                option.value = item.id;
+                option.textContent = item.name;
+                this.clockThemeSelect.appendChild(option);
+            });
+            this.clockThemeSelect.value = theme.id;
+        }
+        if (this.clockThemeDescription) {
+            this.clockThemeDescription.textContent = theme.description;
+        }
+        if (this.clockRenderer) {
+            this.clockRenderer.setTheme(theme);
+        }
+        if (this.elapsedEndRenderer) {
+            this.elapsedEndRenderer.setTheme(theme);
+        }
+    }
+
+    /**
+     * 按当前语言同步语言选择框（选项按已注册的消息目录生成）
+     */
+    syncLocaleControls() {
+        if (!this.localeSelect) {
+            return;
+        }
+        
+        this.localeSelect.innerHTML = '';
+        this.i18n.getSupportedLocales().forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale.id;
+            option.textContent = locale.name;
+            this.localeSelect.appendChild(option);
+        });
+        this.localeSelect.value = this.i18n.getLocale();
+    }
+
+    /**
+     * 处理语言选择框的变更
+     */
+    handleLocaleSelect() {
+        const locale = this.localeSelect ? this.localeSelect.value : this.i18n.getLocale();
+        if (!this.i18n.setLocale(locale)) {
+            this.syncLocaleControls();
+        }
+    }
+
+    /**
+     * 处理语言切换：页面上的固定文字由I18nManager更新，这里重新显示各组件生成的文字
+     */
+    handleLocaleChange() {
+        try {
+            // 1. 难度、钟面样式和钟面主题的名称、说明
+            this.difficultyManager.refreshTranslations();
+            if (this.faceStyleSelect) {
+                this.faceStyleSelect.innerHTML = '';
+            }
+            this.syncFaceStyleControls();
+            this.themeManager.refreshTranslations();
+            this.syncClockThemeControls();
+            // 重新应用主题会重新挂载SVG时钟，重画当前时间让指针的朗读标签也换成新语言
+            const displayTime = this.clockRenderer ? (this.clockRenderer.getCurrentDisplayTime() || this.currentTime) : null;
+            if (displayTime && !(this.clockAnimator && this.clockAnimator.isAnimating())) {
+                this.clockRenderer.render(displayTime, this.guideLinesToggle ? this.guideLinesToggle.checked : false);
+            }
+            if (this.elapsedEndRenderer && this.currentElapsedQuestion) {
+                this.elapsedEndRenderer.render(this.currentElapsedQuestion.end, false);
+            }
+            
+            // 2. 标题、情境提示、输入提示和按钮
+            this.initializeBannerTitle();
+            this.updateQuestionModeUI();
+            this.updateMeridiemUI();
+            this.forceUpdateSubmitButton(this.i18n.t(this.isAnswerSubmitted ? 'app.next' : 'app.submit'));
+            this.updateHintControls();
+            if (this.explanationPlayer) {
+                this.explanationPlayer.refresh();
+            }
+            this.updateReviewControls(false);
+            this.updateAdaptiveDifficultyStatus(this.pendingDifficultyChange);
+            if (this.phraseInput && this.answerValidator.phraseConverter) {
+                const example = this.answerValidator.phraseConverter.locales[this.getPhraseLocale()].example;
+                this.phraseInput.placeholder = this.i18n.t('app.phrase.placeholder', { example: example });
+            }
+            this.updateElapsedQuestionText();
+            
+            // 3. 答题记录（日期格式、统计和错误卡片）、学习报告和档案标签
+            if (this.recordUI) {
+                this.recordUI.refresh();
+            }
+            if (this.progressDashboardUI) {
+                this.progressDashboardUI.refresh();
+            }
+            if (this.profileUI) {
+                this.profileUI.refresh();
+            }
+            if (this.testReportUI) {
+                this.testReportUI.refresh();
+            }
+            
+            this.syncLocaleControls();
+            this.syncSpeechControls();
+            this.syncAnimationControls();
+            this.syncLogControls();
+            this.logger.debug('界面语言已更新:', this.i18n.getLocale());
+        } catch (error) {
+            this.logger.error('更新界面语言失败:', error);
+        }
+    }
+
+    /**
+     * 按当前配置同步语音朗读控件（浏览器不支持语音合成时隐藏整个设置区域）
+     */
+    syncSpeechControls() {
+        const config = this.configManager.getConfig();
+        this.speechNarrator.applySettings({
+            voice: config.speechVoice,
+            rate: config.speechRate,
+            muted: config.speechMuted
+        });
+        
+        if (this.speechSelection) {
+            this.speechSelection.style.display = this.speechNarrator.isSupported() ? '' : 'none';
+        }
+        if (this.speechToggle) {
+            this.speechToggle.checked = !config.speechMuted;
+        }
+        if (this.speechVoiceSelect) {
+            // 声音选项只列出适合当前界面语言的声音
+            this.speechVoiceSelect.innerHTML = '';
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = this.i18n.t('config.speech.defaultVoice');
+            this.speechVoiceSelect.appendChild(defaultOption);
+            this.speechNarrator.getVoices().forEach(voice => {
+                const option = document.createElement('option');
+                option.value = voice.id;
+                option.textContent = voice.name;
+                this.speechVoiceSelect.appendChild(option);
+            });
+            const hasVoice = [...this.speechVoiceSelect.options].some(option => option.value === config.speechVoice);
+            this.speechVoiceSelect.value = hasVoice ? config.speechVoice : '';
+        }
+        if (this.speechRateSelect) {
+            this.speechRateSelect.value = String(config.speechRate);
+        }
+        [this.speechVoiceSelect, this.speechRateSelect].forEach(control => {
+            if (control) {
+                control.disabled = config.speechMuted;
+            }
+        });
+    }
+
+    /**
+     * 处理语音朗读开关切换
+     */
+    handleSpeechToggle() {
+        const muted = this.speechToggle ? !this.speechToggle.checked : true;
+        this.configManager.updateConfig({ speechMuted: muted });
+        this.syncSpeechControls();
+        this.showTemporaryMessage(this.i18n.t(muted ? 'app.messages.speechOff' : 'app.messages.speechOn'), 'success');
+    }
+
+    /**
+     * 处理朗读声音和速度变更
+     */
+    handleSpeechSettingsChange() {
+        const speechVoice = this.speechVoiceSelect ? this.speechVoiceSelect.value : '';
+        const speechRate = this.speechRateSelect ? Number(this.speechRateSelect.value) : 0.85;
+        this.configManager.updateConfig({ speechVoice: speechVoice, speechRate: speechRate });
+        this.speechNarrator.applySettings({ voice: speechVoice, rate: speechRate });
+        this.logger.debug('朗读设置:', speechVoice || '默认声音', speechRate);
+    }
+
+    /**
+     * 同步音效设置控件状态（浏览器不支持Web Audio时隐藏）
+     */
+    syncSoundControls() {
+        const config = this.configManager.getConfig();
+        this.soundManager.applySettings({
+            volume: config.soundVolume,
+            muted: config.soundMuted,
+            quietClassroom: config.quietClassroom
+        });
+        
+        if (this.soundSelection) {
+            this.soundSelection.style.display = this.soundManager.isSupported() ? '' : 'none';
+        }
+        if (this.soundToggle) {
+            this.soundToggle.checked = !config.soundMuted;
+        }
+        if (this.soundVolumeSelect) {
+            this.soundVolumeSelect.value = String(config.soundVolume);
+            this.soundVolumeSelect.disabled = config.soundMuted;
+        }
+        if (this.quietClassroomToggle) {
+            this.quietClassroomToggle.checked = config.quietClassroom;
+            this.quietClassroomToggle.disabled = config.soundMuted;
+        }
+    }
+
+    /**
+     * 处理音效开关切换
+     */
+    handleSoundToggle() {
+        const muted = this.soundToggle ? !this.soundToggle.checked : true;
+        this.configManager.updateConfig({ soundMuted: muted });
+        this.syncSoundControls();
+        this.showTemporaryMessage(this.i18n.t(muted ? 'app.messages.soundOff' : 'app.messages.soundOn'), 'success');
+    }
+
+    /**
+     * 处理音量和安静教室模式变更
+     */
+    handleSoundSettingsChange() {
+        const soundVolume = this.soundVolumeSelect ? Number(this.soundVolumeSelect.value) : 0.5;
+        const quietClassroom = this.quietClassroomToggle ? this.quietClassroomToggle.checked : false;
+        this.configManager.updateConfig({ soundVolume: soundVolume, quietClassroom: quietClassroom });
+        this.syncSoundControls();
+        this.logger.debug('音效设置:', soundVolume, quietClassroom ? '安静教室' : '');
+    }
+
+    /**
+     * 同步日志级别选择框（日志级别是整台设备的设置，不随学习者档案切换）
+     */
+    syncLogControls() {
+        if (!this.logLevelSelect) {
+            return;
+        }
+        
+        const logger = Logger.getInstance();
+        this.logLevelSelect.value = logger.getLevel();
+        // 网址参数指定的级别只在本次打开页面时有效，用提示说明
+        this.logLevelSelect.title = logger.isUrlOverride() ? this.i18n.t('config.log.urlOverride') : '';
+    }
+
+    /**
+     * 处理日志级别变更
+     */
+    handleLogLevelChange() {
+        const level = this.logLevelSelect ? this.logLevelSelect.value : 'warn';
+        if (Logger.getInstance().setLevel(level)) {
+            const levelName = this.i18n.t(`config.log.levels.${level}`);
+            this.showTemporaryMessage(this.i18n.t('app.messages.logLevelChanged', { level: levelName }), 'success');
+        }
+        this.syncLogControls();
+    }
+
+    /**
+     * 下载内存中的日志，用于反馈问题
+     */
+    handleLogDownload() {
+        try {
+            const logger = Logger.getInstance();
+            logger.download();
+            this.showTemporaryMessage(this.i18n.t('app.messages.logDownloaded', { count: logger.getEntries().length }), 'success');
+        } catch (error) {
+            this.logger.error('下载日志失败:', error);
+        }
+    }
+
+    /**
+     * 处理时钟自动走动：整点时按钟点数报时，其他时候播放滴答声
+     * @param {Object} detail - 事件详情 {time, hourChanged}
+     */
+    handleClockTick(detail) {
+        if (!detail || !detail.time) {
+            return;
+        }
+        if (detail.hourChanged) {
+            this.soundManager.playChime(detail.time.hours);
+        } else {
+            this.soundManager.playTick(detail.time.seconds);
+        }
+        if (this.clockAnimator) {
+            this.clockAnimator.handleTick();
+        }
+    }
+
+    /**
+     * 同步指针动画开关状态（系统设置了减少动态效果时禁用）
+     */
+    syncAnimationControls() {
+        const config = this.configManager.getConfig();
+        const reducedMotion = !!this.clockAnimator && this.clockAnimator.reducedMotion;
+        if (this.clockAnimator) {
+            this.clockAnimator.setEnabled(config.handAnimation);
+            this.clockAnimator.setSmoothSeconds(config.smoothSecondHand);
+        }
+        
+        [
+            [this.handAnimationToggle, config.handAnimation],
+            [this.smoothSecondToggle, config.smoothSecondHand]
+        ].forEach(([toggle, checked]) => {
+            if (!toggle) {
+                return;
+            }
+            toggle.checked = checked;
+            toggle.disabled = !this.clockAnimator || !this.clockAnimator.isSupported() || reducedMotion;
+            const toggleContainer = toggle.closest('.toggle-switch');
+            if (toggleContainer) {
+                toggleContainer.style.opacity = toggle.disabled ? '0.6' : '1';
+                toggleContainer.title = reducedMotion ? this.i18n.t('clock.reducedMotion') : '';
+            }
+        });
+    }
+
+    /**
+     * 处理指针动画开关切换
+     */
+    handleHandAnimationToggle() {
+        const enabled = this.handAnimationToggle ? this.handAnimationToggle.checked : true;
+        this.configManager.updateConfig({ handAnimation: enabled });
+        this.syncAnimationControls();
+        this.showTemporaryMessage(this.i18n.t(enabled ? 'app.messages.handAnimationOn' : 'app.messages.handAnimationOff'), 'success');
+    }
+
+    /**
+     * 处理秒针平滑走动开关切换
+     */
+    handleSmoothSecondToggle() {
+        const enabled = this.smoothSecondToggle ? this.smoothSecondToggle.checked : false;
+        this.configManager.updateConfig({ smoothSecondHand: enabled });
+        this.syncAnimationControls();
+        this.showTemporaryMessage(this.i18n.t(enabled ? 'app.messages.smoothSecondsOn' : 'app.messages.smoothSecondsOff'), 'success');
+    }
+
+    /**
+     * 处理系统减少动态效果偏好变化
+     * @param {boolean} reduced - 是否减少动态效果
+     */
+    handleReducedMotionChange(reduced) {
+        if (this.clockAnimator) {
+            this.clockAnimator.setReducedMotion(reduced);
+        }
+        if (this.explanationPlayer) {
+            this.explanationPlayer.setReducedMotion(reduced);
+        }
+        this.syncAnimationControls();
+        this.logger.debug('减少动态效果:', reduced);
+    }
+
+    /**
+     * 替换口述答案使用的语音识别适配器（例如按脚本返回结果的模拟对象）
+     * @param {Object} adapter - 实现了isAvailable/isListening/start/stop的对象
+     */
+    setSpeechRecognitionAdapter(adapter) {
+        if (!adapter || typeof adapter.start !== 'function' || typeof adapter.stop !== 'function') {
+            this.logger.warn('无效的语音识别适配器:', adapter);
+            return;
+        }
+        this.speechRecognizer.stop();
+        this.speechRecognizer = adapter;
+        this.syncSpeechAnswerControls();
+    }
+
+    /**
+     * 同步口述答案按钮：浏览器不支持语音识别时隐藏
+     */
+    syncSpeechAnswerControls() {
+        if (this.speechAnswer) {
+            this.speechAnswer.style.display = this.speechRecognizer.isAvailable() ? 'flex' : 'none';
+        }
+        this.updateSpeechAnswerButton();
+    }
+
+    /**
+     * 更新口述答案按钮的听写状态和可用状态
+     */
+    updateSpeechAnswerButton() {
+        if (!this.speechAnswerBtn) {
+            return;
+        }
+        const listening = this.speechRecognizer.isListening();
+        this.speechAnswerBtn.classList.toggle('listening', listening);
+        this.speechAnswerBtn.setAttribute('aria-pressed', String(listening));
+        this.speechAnswerBtn.disabled = this.isAnswerSubmitted || !this.speechRecognizer.isAvailable();
+    }
+
+    /**
+     * 显示口述答案的状态文字
+     * @param {string} text - 状态文字
+     * @param {string} type - 状态类型（'', 'error'）
+     */
+    setSpeechAnswerStatus(text, type = '') {
+        if (!this.speechAnswerStatus) {
+            return;
+        }
+        this.speechAnswerStatus.textContent = text;
+        this.speechAnswerStatus.classList.toggle('error', type === 'error');
+    }
+
+    /**
+     * 开始或停止听孩子说出答案
+     */
+    toggleSpeechAnswer() {
+        if (this.speechRecognizer.isListening()) {
+            this.speechRecognizer.stop();
+            this.setSpeechAnswerStatus('');
+            this.updateSpeechAnswerButton();
+            return;
+        }
+        if (this.isAnswerSubmitted || !this.speechRecognizer.isAvailable()) {
+            return;
+        }
+
+        // 先停止朗读，避免麦克风把朗读声当成答案
+        this.speechNarrator.stop();
+        const started = this.speechRecognizer.start({
+            lang: this.speechNarrator.getSpeechLang(),
+            onResult: (transcripts) => this.handleSpokenAnswer(transcripts),
+            onError: (code) => this.handleSpeechAnswerError(code),
+            onEnd: () => this.updateSpeechAnswerButton()
+        });
+        this.setSpeechAnswerStatus(started ? this.i18n.t('answer.speech.listening') : this.i18n.t('answer.speech.error'), started ? '' : 'error');
+        this.updateSpeechAnswerButton();
+    }
+
+    /**
+     * 处理识别到的口述答案：依次尝试各候选文字，解析成功后填入时间输入框等孩子确认提交
+     * @param {Array<string>} transcripts - 候选文字（可信度从高到低）
+     */
+    handleSpokenAnswer(transcripts) {
+        if (this.isAnswerSubmitted) {
+            return;
+        }
+
+        const phraseLocale = this.i18n.getLocale() === 'en' ? 'en' : 'zh';
+        let heard = transcripts[0] || '';
+        let spokenTime = null;
+        for (const transcript of transcripts) {
+            spokenTime = this.spokenTimeParser.parse(transcript, phraseLocale);
+            if (spokenTime) {
+                heard = transcript;
+                break;
+            }
+        }
+
+        if (!spokenTime) {
+            this.setSpeechAnswerStatus(this.i18n.t('answer.speech.notRecognized', { text: heard }), 'error');
+            this.logger.debug('口述答案无法识别:', transcripts);
+            return;
+        }
+
+        this.applySpokenTime(spokenTime);
+        this.setSpeechAnswerStatus(this.i18n.t('answer.speech.heard', { text: heard }));
+        this.logger.debug('🎤 口述答案:', heard, spokenTime);
+    }
+
+    /**
+     * 把口述的时间填入时间输入框（按当前题目的12/24小时制换算小时，说了上午/下午时一并选中）
+     * @param {Object} spokenTime - 口述时间 {hours, minutes, seconds, meridiem}
+     */
+    applySpokenTime(spokenTime) {
+        const { use24Hour, requireMeridiem } = this.getMeridiemInputOptions();
+        let hours = spokenTime.hours;
+        if (use24Hour) {
+            // 24小时制：下午的1-11点加12，上午12点记作0点
+            if (spokenTime.meridiem === 'pm' && hours < 12) {
+                hours += 12;
+            } else if (spokenTime.meridiem === 'am' && hours === 12) {
+                hours = 0;
+            }
+        } else {
+            hours = hours % 12 || 12;
+        }
+
+        const values = [hours, spokenTime.minutes, spokenTime.seconds];
+        [this.hoursInput, this.minutesInput, this.secondsInput].forEach((input, index) => {
+            if (input) {
+                input.value = String(values[index]);
+                input.dataset.userClicked = 'true';
+            }
+        });
+
+        // 上午/下午：说出来的优先，否则按24小时制的小时判断
+        const meridiem = spokenTime.meridiem || (spokenTime.hours >= 12 ? 'pm' : null);
+        if (requireMeridiem && meridiem) {
+            this.meridiemInputs.forEach(input => {
+                input.checked = input.value === meridiem;
+            });
+        }
+
+        this.handleInputChange();
+        this.updateSubmitButtonState();
+    }
+
+    /**
+     * 处理语音识别错误
+     * @param {string} code - 错误代码
+     */
+    handleSpeechAnswerError(code) {
+        this.logger.warn('语音识别错误:', code);
+        if (code === 'aborted') {
+            return;
+        }
+        const messageKey = {
+            'not-allowed': 'answer.speech.notAllowed',
+            'service-not-allowed': 'answer.speech.notAllowed',
+            'no-speech': 'answer.speech.noSpeech'
+        }[code] || 'answer.speech.error';
+        this.setSpeechAnswerStatus(this.i18n.t(messageKey), 'error');
+        this.updateSpeechAnswerButton();
+    }
+
+    /**
+     * 处理钟面主题切换：保存配置并按新主题重新绘制当前时钟
+     */
+    handleClockThemeChange() {
+        const themeId = this.clockThemeSelect ? this.clockThemeSelect.value : 'classic';
+        this.configManager.updateConfig({ clockTheme: themeId });
+        this.syncClockThemeControls();
+        
+        if (this.clockRenderer) {
+            const displayTime = this.clockRenderer.getCurrentDisplayTime() || this.currentTime;
+            if (displayTime) {
+                const showGuideLines = this.guideLinesToggle ? this.guideLinesToggle.checked : false;
+                this.clockRenderer.render(displayTime, showGuideLines);
+            }
+        }
+        
+        this.dispatchEvent('clockThemeChanged', { themeId: themeId });
+        this.logger.debug('钟面主题:', themeId);
+    }
+
+    /**
+     * 按当前档案的难度设置同步钟面数字样式选择框，并应用到时钟渲染器（不重新渲染）
+     */
+    syncFaceStyleControls() {
+        const faceStyle = this.difficultyManager.getFaceStyle();
+        
+        if (this.faceStyleSelect) {
+            if (this.faceStyleSelect.options.length === 0) {
+                this.difficultyManager.getAllFaceStyles().forEach(item => {
+                    const option = document.createElement('option');
+                    option.value = item.id;
+                    option.textContent = item.name;
+                    this.faceStyleSelect.appendChild(option);
+                });
+            }
+            this.faceStyleSelect.value = faceStyle.id;
+        }
+        if (this.faceStyleDescription) {
+            this.faceStyleDescription.textContent = faceStyle.description;
+        }
+        if (this.clockRenderer) {
+            this.clockRenderer.setFaceStyle(faceStyle.id);
+        }
+        if (this.elapsedEndRenderer) {
+            this.elapsedEndRenderer.setFaceStyle(faceStyle.id);
+        }
+    }
+
+    /**
+     * 处理钟面数字样式选择框的变更
+     */
+    handleFaceStyleSelect() {
+        const faceStyle = this.faceStyleSelect ? this.faceStyleSelect.value : 'arabic';
+        if (!this.difficultyManager.setFaceStyle(faceStyle)) {
+            // 设置失败时恢复选择框
+            this.syncFaceStyleControls();
+        }
+    }
+
+    /**
+     * 处理钟面数字样式变更：同步控件并按新样式重新绘制当前时钟（题目不变）
+     */
+    handleFaceStyleChange() {
+        this.syncFaceStyleControls();
+        
+        if (this.clockRenderer) {
+            const displayTime = this.clockRenderer.getCurrentDisplayTime() || this.currentTime;
+            if (displayTime) {
+                const showGuideLines = this.guideLinesToggle ? this.guideLinesToggle.checked : false;
+                this.clockRenderer.render(displayTime, showGuideLines);
+            }
+        }
+        
+        const faceStyleName = this.difficultyManager.getFaceStyleName(this.difficultyManager.getCurrentFaceStyle());
+        this.showTemporaryMessage(this.i18n.t('app.messages.faceStyleChanged', { name: faceStyleName }), 'info');
+    }
+
+    /**
+     * 从答题记录导入错题到复习队列
+     */
+    seedReviewQueue() {
+        this.reviewScheduler.seedFromRecords(this.recordManager)
+            .then(() => this.updateReviewControls(false))
+            .catch(error => this.logger.error('导入错题失败:', error));
+    }
+
+    /**
+     * 按当前配置同步错题复习控件
+     */
+    syncReviewControls() {
+        const reviewRatio = this.configManager.getConfig().reviewRatio;
+        if (this.reviewRatioSelect) {
+            this.reviewRatioSelect.value = String(reviewRatio);
+        }
+        this.timeGenerator.setReviewRatio(reviewRatio);
+        this.updateReviewControls(false);
+    }
+
+    /**
+     * 处理错题混入比例变更
+     */
+    handleReviewRatioChange() {
+        const reviewRatio = this.reviewRatioSelect ? Number(this.reviewRatioSelect.value) : 0;
+        this.configManager.updateConfig({ reviewRatio: reviewRatio });
+        this.timeGenerator.setReviewRatio(reviewRatio);
+        this.logger.debug('错题混入比例:', reviewRatio);
+    }
+
+    /**
+     * 开始或结束只复习错题的练习
+     */
+    toggleReviewSession() {
+        if (this.isReviewSession) {
+            this.setReviewSession(false);
+            this.showTemporaryMessage(this.i18n.t('app.review.ended'), 'success');
+            return;
+        }
+        
+        const dueCount = this.reviewScheduler.getDueCount(this.difficultyManager.getTimeConfig());
+        if (dueCount === 0) {
+            this.showTemporaryMessage(this.i18n.t('app.review.nothingDue'), 'warning');
+            return;
+        }
+        
+        this.setReviewSession(true);
+        if (this.timerManager && this.timerManager.isTimerRunning()) {
+            this.timerManager.stopTimer();
+        }
+        this.generateNewQuestion();
+        this.showTemporaryMessage(this.i18n.t('app.review.started', { count: dueCount }), 'success');
+    }
+
+    /**
+     * 设置只复习错题状态
+     * @param {boolean} active - 是否只复习错题
+     */
+    setReviewSession(active) {
+        this.isReviewSession = !!active;
+        this.timeGenerator.setReviewOnly(this.isReviewSession);
+        this.updateReviewControls(false);
+    }
+
+    /**
+     * 更新错题复习按钮和复习题标记
+     * @param {boolean} updateBadge - 是否同时更新当前题目的复习标记
+     */
+    updateReviewControls(updateBadge = true) {
+        const dueCount = this.reviewScheduler.getDueCount(this.difficultyManager.getTimeConfig());
+        
+        if (this.reviewDueCount) {
+            this.reviewDueCount.textContent = dueCount;
+        }
+        if (this.reviewSessionBtn) {
+            this.reviewSessionBtn.classList.toggle('active', this.isReviewSession);
+            this.reviewSessionBtn.setAttribute('aria-pressed', this.isReviewSession ? 'true' : 'false');
+            this.reviewSessionBtn.disabled = this.isTestActive() || (!this.isReviewSession && dueCount === 0);
+            this.reviewSessionBtn.title = this.i18n.t(this.isReviewSession ? 'app.review.stopTitle' : 'app.review.startTitle');
+        }
+        if (updateBadge && this.reviewBadge) {
+            this.reviewBadge.style.display = this.timeGenerator.lastTimeSource === 'review' ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * 是否正在进行测验
+     * @returns {boolean} 是否测验中
+     */
+    isTestActive() {
+        return !!this.testSession && this.testSession.isActive();
+    }
+
+    /**
+     * 按当前配置同步测验设置控件
+     */
+    syncTestControls() {
+        const config = this.configManager.getConfig();
+        if (this.testCountSelect) {
+            this.testCountSelect.value = String(config.testQuestionCount);
+        }
+        if (this.testTimeLimitSelect) {
+            this.testTimeLimitSelect.value = String(config.testTimeLimit);
+        }
+        if (this.testLevelOptions) {
+            this.testLevelOptions.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = config.testLevels.includes(Number(checkbox.value));
+            });
+        }
+    }
+
+    /**
+     * 从界面读取测验设置
+     * @returns {Object} {testQuestionCount, testTimeLimit, testLevels}
+     */
+    getTestSettingsFromUI() {
+        const config = this.configManager.getConfig();
+        const testLevels = this.testLevelOptions ?
+            Array.from(this.testLevelOptions.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => Number(checkbox.value)) :
+            config.testLevels;
+        
+        return {
+            testQuestionCount: this.testCountSelect ? Number(this.testCountSelect.value) : config.testQuestionCount,
+            testTimeLimit: this.testTimeLimitSelect ? Number(this.testTimeLimitSelect.value) : config.testTimeLimit,
+            testLevels: testLevels
+        };
+    }
+
+    /**
+     * 处理测验设置变更
+     */
+    handleTestSettingsChange() {
+        const settings = this.getTestSettingsFromUI();
+        
+        // 未选择任何星级时不保存，开始测验时再提示
+        if (settings.testLevels.length === 0) {
+            delete settings.testLevels;
+        }
+        this.configManager.updateConfig(settings);
+        this.logger.debug('测验设置:', this.configManager.getConfig());
+    }
+
+    /**
+     * 开始测验
+     */
+    startTest() {
+        try {
+            if (this.isTestActive()) {
+                return;
+            }
+            
+            if (this.isElapsedMode()) {
+                this.showTemporaryMessage(this.i18n.t('app.messages.elapsedTestUnsupported'), 'warning');
+                return;
+            }
+            
+            const settings = this.getTestSettingsFromUI();
+            if (settings.testLevels.length === 0) {
+                this.showTemporaryMessage(this.i18n.t('app.test.chooseLevel'), 'warning');
+                return;
+            }
+            
+            // 1. 创建测验并预先生成全部题目
+            this.testSession = new TestSession({
+                questionCount: settings.testQuestionCount,
+                levels: settings.testLevels,
+                timeLimitSeconds: settings.testTimeLimit,
+                questionMode: this.questionMode
+            });
+            this.testSession.generateQuestions(this.timeGenerator);
+            
+            // 2. 结束错题复习，清除待生效的难度调整
+            this.setReviewSession(false);
+            this.pendingDifficultyChange = null;
+            
+            // 3. 启动总限时计时器
+            this.testTimerManager.resetTimer();
+            this.testTimerManager.setTimeLimit(settings.testTimeLimit * 1000);
+            this.testSession.start();
+            if (settings.testTimeLimit > 0) {
+                this.testTimerManager.startTimer();
+            }
+            
+            // 4. 测验期间锁定难度、模式和复习控件
+            this.setTestControlsDisabled(true);
+            
+            // 5. 显示第一题
+            if (this.timerManager && this.timerManager.isTimerRunning()) {
+                this.timerManager.stopTimer();
+            }
+            this.generateNewQuestion();
+            
+            this.dispatchEvent('testStarted', {
+                sessionId: this.testSession.id,
+                questionCount: this.testSession.questions.length,
+                levels: this.testSession.levels,
+                timeLimitSeconds: this.testSession.timeLimitSeconds
+            });
+            this.showTemporaryMessage(this.i18n.t('app.test.started', { count: this.testSession.questions.length }), 'info');
+        } catch (error) {
+            this.logger.error('开始测验失败:', error);
+            this.testSession = null;
+            this.setTestControlsDisabled(false);
+            this.showTemporaryMessage(this.i18n.t('app.test.startFailed'), 'error');
+        }
+    }
+
+    /**
+     * 处理测验中的一次作答：保存记录，不显示对错，直接进入下一题
+     * @param {Object} result - 验证结果
+     */
+    handleTestAnswer(result) {
+        this.saveAnswerRecord(result);
+        
+        const hasNext = this.testSession.recordAnswer(result);
+        if (hasNext) {
+            this.generateNewQuestion();
+        } else {
+            this.finishTest('completed');
+        }
+    }
+
+    /**
+     * 结束测验，保存会话并显示成绩单
+     * @param {string} reason - 结束原因（completed/timeUp/stopped）
+     */
+    finishTest(reason) {
+        if (!this.isTestActive()) {
+            return;
+        }
+        
+        try {
+            const session = this.testSession;
+            
+            // 1. 停止所有计时
+            if (this.timerManager.isTimerRunning()) {
+                this.timerManager.stopTimer();
+            }
+            if (this.testTimerManager.isTimerRunning()) {
+                this.testTimerManager.stopTimer();
+            }
+            session.finish(reason);
+            
+            // 2. 汇总成绩并整体保存为一条测验会话
+            const summary = session.getSummary(this.answerValidator);
+            this.recordManager.saveTestSession(session.toEntity(summary))
+                .catch(error => this.logger.error('保存测验会话失败:', error));
+            
+            // 3. 当前题目不再作答，显示成绩单
+            this.isAnswerSubmitted = true;
+            this.forceUpdateSubmitButton(this.i18n.t('app.next'));
+            this.setTestControlsDisabled(false);
+            if (this.recordUI) {
+                this.recordUI.refreshRecords();
+            }
+            if (this.testReportUI) {
+                this.testReportUI.show(summary);
+            }
+            
+            this.dispatchEvent('testFinished', {
+                sessionId: session.id,
+                reason: reason,
+                score: summary.score,
+                correctCount: summary.correctCount,
+                total: summary.total
+            });
+            this.logger.info('📝 测验成绩:', summary);
+        } catch (error) {
+            this.logger.error('结束测验失败:', error);
+            this.setTestControlsDisabled(false);
+            this.showTemporaryMessage(this.i18n.t('app.errors.testReportFailed'), 'error');
+        }
+    }
+
+    /**
+     * 放弃进行中的测验（不保存会话）
+     */
+    cancelTest() {
+        if (!this.isTestActive()) {
+            return;
+        }
+        
+        this.testSession.finish('stopped');
+        this.testSession = null;
+        if (this.testTimerManager.isTimerRunning()) {
+            this.testTimerManager.stopTimer();
+        }
+        this.setTestControlsDisabled(false);
+        this.logger.info('📝 已放弃进行中的测验');
+    }
+
+    /**
+     * 关闭成绩单后回到平时练习
+     */
+    handleTestReportClosed() {
+        this.testSession = null;
+        this.generateNewQuestion();
+    }
+
+    /**
+     * 测验期间锁定或恢复会改变题目的控件
+     * @param {boolean} disabled - 是否锁定
+     */
+    setTestControlsDisabled(disabled) {
+        if (this.difficultyUI) {
+            this.difficultyUI.setDisabled(disabled);
+        }
+        [this.questionModeSelect, this.testCountSelect, this.testTimeLimitSelect, this.testStartBtn].forEach(control => {
+            if (control) {
+                control.disabled = disabled;
+            }
+        });
+        if (this.testLevelOptions) {
+            this.testLevelOptions.querySelectorAll('input').forEach(checkbox => {
+                checkbox.disabled = disabled;
+            });
+        }
+        this.updateReviewControls(false);
+        
+        if (this.testStatus) {
+            this.testStatus.style.display = disabled ? 'flex' : 'none';
+        }
+        if (this.testTimeRemaining) {
+            const hasTimeLimit = disabled && !!this.testSession && this.testSession.timeLimitSeconds > 0;
+            this.testTimeRemaining.style.display = hasTimeLimit ? 'inline' : 'none';
+            this.testTimeRemaining.classList.remove('warning');
+        }
+    }
+
+    /**
+     * 更新测验进度显示
+     */
+    updateTestStatus() {
+        if (!this.testSession || !this.testProgress) {
+            return;
+        }
+        const progress = this.testSession.getProgress();
+        this.testProgress.textContent = `${progress.current}/${progress.total}`;
+    }
+
+    /**
+     * 测验剩余时间不足30秒时高亮提醒
+     */
+    updateTestTimeWarning() {
+        if (!this.testTimeRemaining) {
+            return;
+        }
+        const remainingTime = this.testTimerManager.getRemainingTime();
+        this.testTimeRemaining.classList.toggle('warning', remainingTime !== null && remainingTime <= 30000);
+    }
+
+    /**
+     * 生成并打开可打印的练习纸
+     */
+    handleWorksheetGenerate() {
+        try {
+            const { html } = this.worksheetGenerator.generate({
+                level: this.worksheetLevelSelect ? Number(this.worksheetLevelSelect.value) : this.difficultyManager.getCurrentLevel(),
+                count: this.worksheetCountSelect ? Number(this.worksheetCountSelect.value) : 12,
+                type: this.worksheetTypeSelect ? this.worksheetTypeSelect.value : 'read',
+                includeAnswerKey: this.worksheetAnswerKeyToggle ? this.worksheetAnswerKeyToggle.checked : true
+            });
+            
+            if (this.worksheetGenerator.openPrintWindow(html)) {
+                this.showTemporaryMessage(this.i18n.t('app.worksheet.opened'), 'success');
+            } else {
+                this.showTemporaryMessage(this.i18n.t('app.worksheet.downloaded'), 'info');
+            }
+        } catch (error) {
+            this.logger.error('生成练习纸失败:', error);
+            this.showTemporaryMessage(this.i18n.t('app.errors.worksheetFailed', { error: error.message }), 'error');
+        }
+    }
+
+    /**
+     * 处理学习者档案切换（无需刷新页面）
+     * @param {string} profileId - 目标档案ID
+     */
+    handleProfileSwitch(profileId) {
+        try {
+            const previousProfileId = this.profileManager.activeProfileId;
+            if (profileId === previousProfileId) {
+                return;
+            }
+            
+            // 1. 停止当前题目的计时，放弃进行中的测验
+            if (this.timerManager && this.timerManager.isTimerRunning()) {
+                this.timerManager.stopTimer();
+            }
+            this.cancelTest();
+            
+            // 2. 切换当前档案
+            if (!this.profileManager.switchProfile(profileId)) {
+                this.showTemporaryMessage(this.i18n.t('app.messages.profileSwitchFailed'), 'error');
+                return;
+            }
+            const storageSuffix = this.profileManager.getStorageSuffix();
+            
+            // 3. 各管理器切换到该档案的存储键
+            this.configManager.setStorageSuffix(storageSuffix);
+            this.difficultyManager.setStorageSuffix(storageSuffix);
+            this.recordManager.switchStorageSuffix(storageSuffix);
+            this.reviewScheduler.setStorageSuffix(storageSuffix);
+            this.setReviewSession(false);
+            this.seedReviewQueue();
+            
+            // 4. 恢复该档案的练习模式和难度设置
+            this.questionMode = this.configManager.getConfig().questionMode || 'read';
+            this.syncQuestionModeControls();
+            this.syncAdaptiveDifficultyControls();
+            this.syncClockThemeControls();
+            this.syncFaceStyleControls();
+            this.syncReviewControls();
+            this.syncTestControls();
+            this.syncSpeechControls();
+            this.syncSoundControls();
+            this.syncAnimationControls();
+            if (this.difficultyUI) {
+                this.difficultyUI.updateUI();
+            }
+            this.updateInputVisibility(this.difficultyManager.getCurrentDifficulty());
+            
+            // 5. 重新加载该档案的答题记录（同时重置筛选条件）
+            if (this.recordUI) {
+                this.recordUI.clearFilters();
+            }
+            
+            // 6. 生成新题目
+            this.generateNewQuestion();
+            
+            const profile = this.profileManager.getActiveProfile();
+            this.dispatchEvent('profileChanged', {
+                profile: profile,
+                previousProfileId: previousProfileId
+            });
+            this.showTemporaryMessage(this.i18n.t('app.messages.profileWelcome', { avatar: profile.avatar, name: profile.name }), 'success');
+        } catch (error) {
+            this.logger.error('切换学习者档案失败:', error);
+            this.showTemporaryMessage(this.i18n.t('app.messages.profileSwitchFailed'), 'error');
+        }
+    }
+
+    /**
+     * 处理上午/下午情境题设置切换
+     */
+    handleMeridiemModeChange() {
+        const meridiemMode = this.meridiemModeSelect ? this.meridiemModeSelect.value : 'off';
+        this.configManager.updateConfig({ meridiemMode: meridiemMode });
+        
+        if (this.isTestActive()) {
+            // 测验不出情境题，交卷后按新设置出题
+            return;
+        }
+        
+        if (this.timerManager && this.timerManager.isTimerRunning()) {
+            this.timerManager.stopTimer();
+        }
+        this.generateNewQuestion();
+        
+        if (meridiemMode !== 'off' && this.questionMode !== 'read') {
+            this.showTemporaryMessage(this.i18n.t('app.messages.meridiemReadOnly'), 'info');
+        }
+        this.logger.debug('上午/下午情境题设置:', meridiemMode);
+    }
+
+    /**
+     * 按当前题目更新情境提示、上午/下午选择和小时输入范围
+     */
+    updateMeridiemUI() {
+        const isMeridiemQuestion = this.isMeridiemQuestion() && !!(this.currentTime && this.currentTime.meridiem);
+        const meridiemMode = this.getMeridiemMode();
+        const use24Hour = isMeridiemQuestion && meridiemMode === '24h';
+        
+        // 1. 情境提示（太阳/月亮和生活场景）
+        const context = isMeridiemQuestion ? this.timeGenerator.getDayContext(this.currentTime) : null;
+        if (this.dayContext) {
+            this.dayContext.style.display = context ? 'flex' : 'none';
+            this.dayContext.classList.toggle('night', !!context && !context.isDaytime);
+        }
+        if (context && this.dayContextSky && this.dayContextScene) {
+            this.dayContextSky.textContent = context.skyIcon;
+            this.dayContextScene.textContent = `${context.icon} ${context.scene}`;
+        }
+        
+        // 2. 上午/下午选择
+        if (this.meridiemField) {
+            this.meridiemField.style.display = isMeridiemQuestion && meridiemMode === 'ampm' ? 'flex' : 'none';
+        }
+        
+        // 3. 24小时制的小时输入范围和提示
+        if (this.hoursInput) {
+            this.hoursInput.max = use24Hour ? '23' : '12';
+        }
+        if (this.timeInputLabel) {
+            this.timeInputLabel.textContent = use24Hour ?
+                this.i18n.t('app.input.label24') :
+                this.i18n.t('app.input.label');
+        }
+    }
+
+    /**
+     * 获取当前题目的输入解析选项
+     * @returns {Object} {use24Hour, requireMeridiem, meridiem}
+     */
+    getMeridiemInputOptions() {
+        if (!this.isMeridiemQuestion() || !this.currentTime || !this.currentTime.meridiem) {
+            return {};
+        }
+        
+        const checkedInput = this.meridiemInputs.find(input => input.checked);
+        return {
+            use24Hour: this.getMeridiemMode() === '24h',
+            requireMeridiem: this.getMeridiemMode() === 'ampm',
+            meridiem: checkedInput ? checkedInput.value : null
+        };
+    }
+
+    /**
+     * 处理时针联动开关切换
+     */
+    handleLinkedHourHandToggle() {
+        const linked = this.linkedHourHandToggle ? this.linkedHourHandToggle.checked : true;
+        this.configManager.updateConfig({ linkedHourHand: linked });
+        
+        if (this.handDragController) {
+            this.handDragController.setLinkedHourHand(linked);
+        }
+        
+        this.logger.debug('时针联动状态:', linked);
+    }
+
+    /**
+     * 根据练习模式更新界面显示
+     */
+    updateQuestionModeUI() {
+        const isSetMode = this.isSetClockMode();
+        const isElapsedMode = this.isElapsedMode();
+        
+        // 没有可用的拖动控制器（或结束时钟）时回退到看钟读时间模式
+        if ((this.questionMode === 'set' && !isSetMode) || (this.questionMode === 'elapsed' && !isElapsedMode)) {
+            this.logger.warn(`${this.questionMode}模式不可用，回退到看钟读时间模式`);
+            this.questionMode = 'read';
+            if (this.questionModeSelect) {
+                this.questionModeSelect.value = 'read';
+            }
+        }
+        
+        if (this.setClockTarget) {
+            this.setClockTarget.style.display = isSetMode ? 'block' : 'none';
+        }
+        if (this.inputContainer) {
+            this.inputContainer.style.display = isSetMode || isElapsedMode || this.isChoiceMode() || this.isPhraseMode() ? 'none' : '';
+        }
+        if (this.elapsedAnswer) {
+            this.elapsedAnswer.style.display = isElapsedMode ? 'block' : 'none';
+        }
+        if (this.elapsedStartCaption) {
+            this.elapsedStartCaption.style.display = isElapsedMode ? 'block' : 'none';
+        }
+        if (!isElapsedMode) {
+            this.updateElapsedEndClock(false);
+        }
+        if (this.choiceOptionsContainer) {
+            this.choiceOptionsContainer.style.display = this.isChoiceMode() ? 'block' : 'none';
+        }
+        if (this.phraseAnswer) {
+            this.phraseAnswer.style.display = this.isPhraseMode() ? 'block' : 'none';
+        }
+        if (this.linkedHourHandOption) {
+            this.linkedHourHandOption.style.display = isSetMode ? 'inline-flex' : 'none';
+        }
+        this.updateMeridiemUI();
+        if (this.clockSectionTitle) {
+            if (isSetMode) {
+                this.clockSectionTitle.textContent = this.i18n.t('app.titles.set');
+            } else {
+                const titleKey = `app.titles.${this.questionMode}`;
+                this.clockSectionTitle.textContent = this.i18n.t(this.i18n.has(titleKey) ? titleKey : 'app.titles.read');
+            }
+        }
+        
+        // 拨针模式下自动走动、当前时间、参考线都会改变指针，暂时禁用；
+        // 经过时间题的开始时钟不能走动，禁用自动走动和当前时间
+        [this.currentTimeToggle, this.autoTickToggle, this.guideLinesToggle].forEach(control => {
+            if (!control) {
+                return;
+            }
+            
+            const disabled = isSetMode || (isElapsedMode && control !== this.guideLinesToggle);
+            if (disabled && control.checked) {
+                control.checked = false;
+            }
+            control.disabled = disabled;
+            
+            const toggleContainer = control.closest('.toggle-switch');
+            if (toggleContainer) {
+                toggleContainer.style.opacity = disabled ? '0.6' : '1';
+                toggleContainer.style.cursor = disabled ? 'not-allowed' : 'pointer';
+                toggleContainer.title = disabled ?
+                    this.i18n.t(isSetMode ? 'app.setModeDisabled' : 'app.elapsedModeDisabled') :
+                    '';
+            }
+        });
+        
+        if ((isSetMode || isElapsedMode) && this.clockRenderer) {
+            this.clockRenderer.setShowCurrentTime(false);
+            this.clockRenderer.stopAutoTick();
+        }
+        if (isSetMode && this.clockRenderer) {
+            this.clockRenderer.setGuideLines(false);
+        }
+    }
+
+    /**
+     * 准备拨针模式的题目
+     * 显示目标时间，并让所有指针从12点开始拖动
+     * @param {Object} targetTime - 目标时间
+     * @param {Object} difficulty - 当前难度
+     */
+    prepareSetClockQuestion(targetTime, difficulty) {
+        const timeConfig = difficulty.timeConfig || {};
+        
+        // 1. 显示目标时间
+        if (this.targetTimeText) {
+            this.targetTimeText.textContent = this.answerValidator.formatTime(targetTime);
+        }
+        this.speechNarrator.narrateTargetTime(targetTime);
+        if (this.clockAnimator) {
+            this.clockAnimator.stop();
+        }
+        
+        // 2. 启用指针拖动，分针按当前难度的分钟间隔吸附
+        const enabled = this.handDragController.enable({
+            minuteInterval: timeConfig.minuteInterval,
+            linkedHourHand: this.linkedHourHandToggle ? this.linkedHourHandToggle.checked : true,
+            includeSeconds: timeConfig.includeSeconds && timeConfig.secondsFixed === null
+        });
+        
+        if (!enabled) {
+            throw new Error('指针拖动启用失败');
+        }
+        
+        this.logger.debug('拨针题目已准备，目标时间:', targetTime);
+    }
+
+    /**
+     * 获取拨针模式的答题结果
+     * @returns {Object} 验证结果对象
+     */
+    getSetClockAnswerResult() {
+        const difficulty = this.currentQuestionDifficulty || this.difficultyManager.getCurrentDifficulty();
+        const timeConfig = difficulty.timeConfig || {};
+        
+        return this.answerValidator.validateHandPositions(
+            this.handDragController.getHandAngles(),
+            this.currentTime,
+            { checkSeconds: timeConfig.includeSeconds && timeConfig.secondsFixed === null }
+        );
+    }
+
+    /**
+     * 准备选择题模式的题目
+     * 生成包含常见错误的四个选项
+     * @param {Object} correctTime - 正确时间
+     * @param {Object} difficulty - 当前难度
+     */
+    prepareChoiceQuestion(correctTime, difficulty) {
+        this.choiceOptions = this.distractorGenerator.generateOptions(correctTime, difficulty.timeConfig || {});
+        this.selectedChoiceIndex = null;
+        this.renderChoiceOptions();
+        
+        this.logger.debug('选择题选项已生成:', this.choiceOptions);
+    }
+
+    /**
+     * 渲染选择题选项按钮
+     */
+    renderChoiceOptions() {
+        if (!this.choiceOptionList) {
+            return;
+        }
+        
+        this.choiceOptionList.innerHTML = '';
+        this.choiceOptions.forEach((option, index) => {
+            const optionBtn = document.createElement('button');
+            optionBtn.type = 'button';
+            optionBtn.className = 'choice-option';
+            optionBtn.dataset.index = index;
+            optionBtn.setAttribute('role', 'radio');
+            optionBtn.setAttribute('aria-checked', 'false');
+            // 与时间输入框共用Tab顺序，保证键盘导航时选项位于提交按钮之前
+            if (this.hoursInput && this.hoursInput.tabIndex > 0) {
+                optionBtn.tabIndex = this.hoursInput.tabIndex;
+            }
+            optionBtn.textContent = this.answerValidator.formatTime(option.time);
+            this.choiceOptionList.appendChild(optionBtn);
+        });
+    }
+
+    /**
+     * 处理选项点击，选中后直接提交
+     * @param {number} index - 选项索引
+     */
+    handleChoiceSelect(index) {
+        if (this.isAnswerSubmitted || !this.choiceOptions[index]) {
+            return;
+        }
+        
+        this.selectedChoiceIndex = index;
+        
+        if (this.choiceOptionList) {
+            this.choiceOptionList.querySelectorAll('.choice-option').forEach(optionBtn => {
+                const isSelected = Number(optionBtn.dataset.index) === index;
+                optionBtn.classList.toggle('selected', isSelected);
+                optionBtn.setAttribute('aria-checked', isSelected ? 'true' : 'false');
+            });
+        }
+        
+        this.logger.debug('选择了选项:', this.choiceOptions[index]);
+        this.handleSubmit();
+    }
+
+    /**
+     * 获取选择题模式的答题结果
+     * @returns {Object} 验证结果对象
+     */
+    getChoiceAnswerResult() {
+        return this.answerValidator.validateChoice(this.choiceOptions[this.selectedChoiceIndex], this.currentTime);
+    }
+
+    /**
+     * 提交后标出正确选项和误选的选项
+     * @param {Object} result - 验证结果
+     */
+    showChoiceFeedback(result) {
+        if (!this.choiceOptionList) {
+            return;
+        }
+        
+        this.choiceOptionList.querySelectorAll('.choice-option').forEach(optionBtn => {
+            const index = Number(optionBtn.dataset.index);
+            const option = this.choiceOptions[index];
+            
+            optionBtn.disabled = true;
+            if (option.distractorType === null) {
+                optionBtn.classList.add('correct');
+            } else if (index === this.selectedChoiceIndex && !result.isCorrect) {
+                optionBtn.classList.add('incorrect');
+            }
+        });
+    }
+
+    /**
+     * 准备读法模式的题目
+     * 用选择题的干扰项生成几个可点选的读法，正确读法混在其中
+     * @param {Object} correctTime - 正确时间
+     * @param {Object} difficulty - 当前难度
+     */
+    preparePhraseQuestion(correctTime, difficulty) {
+        const converter = this.answerValidator.phraseConverter;
+        if (!converter) {
+            this.logger.warn('读法转换器不可用，只能手动输入读法');
+            return;
+        }
+        
+        const locale = this.getPhraseLocale();
+        const options = this.distractorGenerator.generateOptions(correctTime, difficulty.timeConfig || {});
+        this.renderPhraseSuggestions(options.map(option => converter.toPhrase(option.time, locale)));
+        
+        if (this.phraseInput) {
+            this.phraseInput.placeholder = this.i18n.t('app.phrase.placeholder', { example: converter.locales[locale].example });
+        }
+        this.logger.debug('读法选项已生成:', options);
+    }
+
+    /**
+     * 渲染可点选的读法
+     * @param {Array<string>} phrases - 读法数组
+     */
+    renderPhraseSuggestions(phrases) {
+        if (!this.phraseSuggestionList) {
+            return;
+        }
+        
+        this.phraseSuggestionList.innerHTML = '';
+        phrases.forEach(phrase => {
+            const suggestionBtn = document.createElement('button');
+            suggestionBtn.type = 'button';
+            suggestionBtn.className = 'phrase-suggestion';
+            suggestionBtn.dataset.phrase = phrase;
+            suggestionBtn.textContent = phrase;
+            this.phraseSuggestionList.appendChild(suggestionBtn);
+        });
+    }
+
+    /**
+     * 处理读法点选，填入输入框等待提交
+     * @param {string} phrase - 读法
+     */
+    handlePhraseSuggestionSelect(phrase) {
+        if (this.isAnswerSubmitted || !this.phraseInput) {
+            return;
+        }
+        
+        this.phraseInput.value = phrase;
+        this.phraseInput.classList.remove('error');
+        if (this.phraseSuggestionList) {
+            this.phraseSuggestionList.querySelectorAll('.phrase-suggestion').forEach(suggestionBtn => {
+                suggestionBtn.classList.toggle('selected', suggestionBtn.dataset.phrase === phrase);
+            });
+        }
+        this.phraseInput.focus();
+    }
+
+    /**
+     * 准备经过时间题：绘制结束时钟，按题型显示问题和输入单位
+     * 问结束时间时先用问号遮住结束时钟，提交后再显示
+     * @param {Object} question - 经过时间题 {start, end, durationMinutes, answerType}
+     */
+    prepareElapsedQuestion(question) {
+        this.updateElapsedEndClock(question.answerType === 'duration');
+        try {
+            this.elapsedEndRenderer.setDisplayTime(question.end);
+            this.elapsedEndRenderer.render(question.end, false);
+        } catch (error) {
+            this.logger.error('结束时钟渲染失败:', error);
+        }
+        this.updateElapsedQuestionText();
+    }
+
+    /**
+     * 显示或隐藏结束时钟
+     * @param {boolean} revealed - 是否显示结束时间（否则用问号遮住）
+     */
+    updateElapsedEndClock(revealed) {
+        if (!this.elapsedEndClock) {
+            return;
+        }
+        
+        const visible = this.isElapsedMode() && !!this.currentElapsedQuestion;
+        this.elapsedEndClock.style.display = visible ? '' : 'none';
+        this.elapsedEndClock.classList.toggle('answer-hidden', visible && !revealed);
+    }
+
+    /**
+     * 按当前经过时间题更新问题文字和输入单位（经过多久用"小时/分钟"，结束时间用"时/分"）
+     */
+    updateElapsedQuestionText() {
+        const question = this.currentElapsedQuestion;
+        if (!question) {
+            return;
+        }
+        
+        const isDuration = question.answerType === 'duration';
+        if (this.elapsedQuestionText) {
+            this.elapsedQuestionText.textContent = isDuration ?
+                this.i18n.t('answer.elapsed.durationQuestion') :
+                this.i18n.t('answer.elapsed.endTimeQuestion', { duration: this.i18n.formatDuration(question.durationMinutes) });
+        }
+        if (this.elapsedHoursUnit) {
+            this.elapsedHoursUnit.textContent = this.i18n.t(isDuration ? 'answer.elapsed.hours' : 'answer.units.hours');
+        }
+        if (this.elapsedMinutesUnit) {
+            this.elapsedMinutesUnit.textContent = this.i18n.t(isDuration ? 'answer.elapsed.minutes' : 'answer.units.minutes');
+        }
+    }
+
+    /**
+     * 处理读法语言切换
+     */
+    handlePhraseLocaleChange() {
+        const locale = this.phraseLocaleSelect ? this.phraseLocaleSelect.value : 'zh';
+        this.configManager.updateConfig({ phraseLocale: locale });
+        this.logger.debug('读法语言设置:', locale);
+        
+        // 未提交时按新语言重新生成读法选项
+        if (this.isPhraseMode() && this.currentTime && !this.isAnswerSubmitted) {
+            if (this.phraseInput) {
+                this.phraseInput.value = '';
+            }
+            this.preparePhraseQuestion(
+                this.currentTime,
+                this.currentQuestionDifficulty || this.difficultyManager.getCurrentDifficulty()
+            );
+        }
+    }
+
+    /**
+     * 当前题目能否使用提示（拨针模式的指针由孩子拨动，经过时间题有两个时钟，测验中不给提示）
+     * @returns {boolean} 是否可以使用提示
+     */
+    isHintAvailable() {
+        return !!this.clockRenderer && !this.isSetClockMode() && !this.isElapsedMode() && !this.isTestActive();
+    }
+
+    /**
+     * 处理提示按钮点击：每点一次多显示一步提示，并重绘时钟
+     */
+    handleHint() {
+        if (this.isAnswerSubmitted || !this.isHintAvailable() || this.hintStep >= this.clockRenderer.maxHintStep) {
+            return;
+        }
+
+        this.hintStep++;
+        this.clockRenderer.setHintStep(this.hintStep);
+        const currentTime = this.clockRenderer.getCurrentDisplayTime() || this.currentTime;
+        // 指针动画进行中时，动画的每一帧都会画出提示
+        if (currentTime && !(this.clockAnimator && this.clockAnimator.isAnimating())) {
+            const showGuideLines = this.guideLinesToggle ? this.guideLinesToggle.checked : false;
+            this.clockRenderer.render(currentTime, showGuideLines);
+        }
+        this.updateHintControls();
+        this.logger.info('💡 显示提示:', `第${this.hintStep}步`);
+
+        this.dispatchEvent('hintShown', {
+            step: this.hintStep,
+            time: this.currentTime,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * 清除当前题目的提示
+     */
+    resetHints() {
+        this.hintStep = 0;
+        if (this.clockRenderer) {
+            this.clockRenderer.setHintStep(0);
+        }
+    }
+
+    /**
+     * 更新提示按钮和提示文字（不能使用提示时隐藏，提交后或提示用完时禁用）
+     */
+    updateHintControls() {
+        if (!this.hintArea || !this.hintBtn) {
+            return;
+        }
+
+        const available = this.isHintAvailable();
+        this.hintArea.style.display = available ? '' : 'none';
+        if (!available) {
+            return;
+        }
+
+        const total = this.clockRenderer.maxHintStep;
+        this.hintBtn.textContent = this.i18n.t('app.hints.button', { step: this.hintStep, total: total });
+        this.hintBtn.title = this.i18n.t('app.hints.buttonTitle');
+        this.hintBtn.disabled = this.isAnswerSubmitted || this.hintStep >= total;
+        if (this.hintText) {
+            this.hintText.textContent = this.hintStep > 0 ? this.i18n.t(`app.hints.steps.${this.hintStep}`) : '';
+            this.hintText.style.display = this.hintStep > 0 ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * 当前题目能否播放动画讲解（和提示一样只用于看单个钟面读时间的题目，测验中不显示答案）
+     * @returns {boolean} 是否可以播放
+     */
+    isExplanationAvailable() {
+        return !!this.explanationPlayer && this.explanationPlayer.isSupported() &&
+            !this.isSetClockMode() && !this.isElapsedMode() && !this.isTestActive();
+    }
+
+    /**
+     * 处理动画讲解的播放/暂停按钮
+     */
+    handleExplanationPlay() {
+        if (!this.isAnswerSubmitted || !this.explanationPlayer || !this.explanationPlayer.isLoaded()) {
+            return;
+        }
+        if (!this.explanationPlayer.isPlaying()) {
+            this.stopLiveClockForExplanation();
+        }
+        this.explanationPlayer.togglePlay();
+    }
+
+    /**
+     * 处理动画讲解的下一步按钮
      */
-    handleRefresh() {
-        this.generateNewQuestion();
+    handleExplanationStep() {
+        if (!this.isAnswerSubmitted || !this.explanationPlayer || !this.explanationPlayer.isLoaded()) {
+            return;
+        }
+        this.stopLiveClockForExplanation();
+        this.explanationPlayer.stepForward();
     }
 
     /**
-     * 生成新题目
-     * 整合星级难度选择、时间生成、时钟显示的完整流程
+     * 处理动画讲解的重播按钮
      */
-    generateNewQuestion() {
-        try {
-            console.log('开始生成新题目...');
-            
-            // 检查必要的组件是否已初始化
-            if (!this.difficultyManager) {
-                throw new Error('DifficultyManager 未初始化');
-            }
-            
-            if (!this.timeGenerator) {
-                throw new Error('TimeGenerator 未初始化');
-            }
-            
-            // 1. 获取当前难度配置
-            const currentDifficulty = this.difficultyManager.getCurrentDifficulty();
-            if (!currentDifficulty) {
-                console.error('无法获取当前难度配置');
-                throw new Error('难度管理器未正确初始化');
-            }
-            console.log('当前难度:', currentDifficulty.name);
-            
-            // 2. 根据难度生成新时间
-            this.currentTime = this.timeGenerator.generateTime();
-            console.log('生成时间:', this.currentTime);
-            
-            // 3. 获取当前参考线状态
-            const showGuideLines = this.guideLinesToggle ? this.guideLinesToggle.checked : false;
-            
-            // 4. 渲染时钟显示
-            if (this.clockRenderer) {
-                try {
-                    // 更新时钟渲染器的显示时间
-                    this.clockRenderer.setDisplayTime(this.currentTime);
-                    this.clockRenderer.render(this.currentTime, showGuideLines);
-                    console.log('时钟渲染完成，参考线状态:', showGuideLines);
-                } catch (renderError) {
-                    console.error('时钟渲染失败:', renderError);
-                    // 尝试降级显示
-                    if (this.clockFallback) {
-                        this.showDigitalClock(this.currentTime);
-                        console.log('时钟渲染失败，使用数字时钟降级显示');
-                    }
-                }
-            } else if (this.clockFallback) {
-                // 降级显示数字时钟
-                this.showDigitalClock(this.currentTime);
-                console.log('使用数字时钟降级显示');
-            } else {
-                console.warn('无可用的时钟显示方式');
-            }
-            
-            // 5. 停止当前时间显示（如果正在运行）
-            if (this.currentTimeToggle && this.currentTimeToggle.checked) {
-                this.currentTimeToggle.checked = false;
-                if (this.clockRenderer) {
-                    this.clockRenderer.setShowCurrentTime(false);
-                    this.clockRenderer.stopAutoTick();
-                }
-            }
-            
-            // 6. 清空输入和结果，准备新的答题流程
-            this.clearInputAndResult();
-            
-            // 7. 重置答题状态
-            this.isAnswerSubmitted = false;
-            console.log('generateNewQuestion: isAnswerSubmitted重置为false');
-            
-            // 8. 重置按钮状态
-            this.forceUpdateSubmitButton('提交答案');
-            
-            // 9. 重置并启动计时器
-            this.timerManager.resetTimer();
-            this.timerManager.startTimer();
-            console.log('计时器已启动');
-            
-            // 10. 触发新题目生成事件
-            this.dispatchEvent('questionGenerated', {
-                time: this.currentTime,
-                difficulty: currentDifficulty,
-                showGuideLines: showGuideLines,
-                timestamp: new Date()
-            });
-            
-            console.log('新题目生成完成:', this.currentTime);
-        } catch (error) {
-            console.error('生成题目失败:', error);
-            this.handleQuestionGenerationError(error);
+    handleExplanationReplay() {
+        if (!this.isAnswerSubmitted || !this.explanationPlayer || !this.explanationPlayer.isLoaded()) {
+            return;
         }
+        this.stopLiveClockForExplanation();
+        this.explanationPlayer.replay();
     }
 
     /**
-     * 处理提交或继续练习按钮点击
-     * submit-btn和next-btn共用，根据状态切换功能
+     * 讲解前停止自动走动和当前时间显示，钟面回到题目时间，避免每秒的走动盖住讲解画面
      */
-    handleSubmitOrNext() {
-        console.log('=== handleSubmitOrNext被调用 ===');
-        console.log('当前状态:', {
-            isAnswerSubmitted: this.isAnswerSubmitted,
-            currentTime: this.currentTime,
-            buttonText: this.submitBtn ? this.submitBtn.textContent : 'null'
-        });
-        
-        if (this.isAnswerSubmitted) {
-            // 如果答案已提交，点击继续练习
-            console.log('执行继续练习逻辑');
-            this.generateNewQuestion();
-        } else {
-            // 如果答案未提交，点击提交答案
-            console.log('执行提交答案逻辑');
-            this.handleSubmit();
+    stopLiveClockForExplanation() {
+        if (!this.clockRenderer) {
+            return;
+        }
+        if (this.currentTimeToggle && this.currentTimeToggle.checked) {
+            this.currentTimeToggle.checked = false;
+            this.clockRenderer.setShowCurrentTime(false);
+        }
+        if (this.autoTickToggle && this.autoTickToggle.checked) {
+            this.autoTickToggle.checked = false;
+        }
+        this.clockRenderer.stopAutoTick();
+        if (this.clockAnimator) {
+            this.clockAnimator.stop();
+        }
+        if (this.currentTime) {
+            this.clockRenderer.setDisplayTime(this.currentTime);
         }
-        
-        console.log('=== handleSubmitOrNext执行完成 ===');
     }
 
     /**
-     * 处理提交按钮点击
-     * 实现计时、答题、记录保存、结果显示的完整循环
+     * 更新动画讲解区域（没有载入讲解时隐藏），按播放状态切换按钮文字并显示字幕
+     * @param {Object} state - 播放状态（默认从播放器获取）
      */
-    handleSubmit() {
-        console.log('handleSubmit被调用，检查状态:', {
-            currentTime: this.currentTime,
-            isAnswerSubmitted: this.isAnswerSubmitted,
-            hoursInput: this.hoursInput ? this.hoursInput.value : 'null',
-            minutesInput: this.minutesInput ? this.minutesInput.value : 'null',
-            secondsInput: this.secondsInput ? this.secondsInput.value : 'null'
-        });
-        
-        if (!this.currentTime) {
-            console.log('没有当前时间，显示警告');
-            this.showTemporaryMessage('请先生成一个题目', 'warning');
+    updateExplanationControls(state = null) {
+        if (!this.explanationPlayerArea) {
             return;
         }
 
-        if (this.isAnswerSubmitted) {
-            console.log('答案已提交，显示提示');
-            this.showTemporaryMessage('答案已提交，请点击继续练习', 'info');
+        const current = state || (this.explanationPlayer ? this.explanationPlayer.getState() : null);
+        const visible = !!current && current.status !== 'idle' && this.isExplanationAvailable();
+        this.explanationPlayerArea.style.display = visible ? '' : 'none';
+        if (!visible) {
             return;
         }
 
-        try {
-            console.log('开始处理答案提交...');
-            
-            // 1. 停止计时器并获取耗时
-            const timeSpent = this.timerManager.stopTimer();
-            const timeSpentSeconds = Math.round(timeSpent / 1000);
-            console.log('答题耗时:', timeSpentSeconds, '秒');
-
-            // 2. 获取用户输入的时间
-            let userTimeResult;
-            try {
-                userTimeResult = this.getUserInputTime();
-                console.log('用户输入时间结果:', userTimeResult);
-            } catch (error) {
-                console.error('获取用户输入时间失败:', error);
-                this.showTemporaryMessage('获取输入时间失败', 'error');
-                return;
-            }
-            
-            // 3. 检查是否有解析错误
-            if (userTimeResult && userTimeResult.error) {
-                console.log('输入解析错误:', userTimeResult.errors);
-                try {
-                    this.showInputErrors(userTimeResult.errors, userTimeResult.warnings);
-                } catch (error) {
-                    console.error('显示输入错误失败:', error);
-                    this.showTemporaryMessage('输入验证失败', 'error');
-                }
-                // 如果有输入错误，重新启动计时器让用户继续，但不标记答案已提交
-                this.timerManager.startTimer();
-                return;
-            }
-
-            // 4. 验证答案
-            let result;
-            try {
-                result = this.answerValidator.validateTimeObject(userTimeResult, this.currentTime);
-                console.log('答案验证结果:', result.isCorrect ? '正确' : '错误');
-                console.log('验证结果详情:', result);
-            } catch (error) {
-                console.error('答案验证失败:', error);
-                this.showTemporaryMessage('答案验证失败', 'error');
-                return;
-            }
-            
-            // 5. 添加耗时信息到结果中
-            result.timeSpent = timeSpentSeconds;
-            result.timeSpentFormatted = this.timerManager.formatTime(timeSpentSeconds);
-            
-            // 6. 标记答案已提交
-            this.isAnswerSubmitted = true;
-            
-            // 6.5. 强制更新按钮状态
-            this.forceUpdateSubmitButton('继续练习');
-            console.log('答案已提交，状态设置为true');
-            
-            // 7. 触发答案提交事件
-            this.dispatchEvent('answerSubmitted', {
-                userAnswer: userTimeResult,
-                correctAnswer: this.currentTime,
-                isCorrect: result.isCorrect,
-                timeSpent: timeSpentSeconds,
-                difficulty: this.difficultyManager.getCurrentDifficulty(),
-                timestamp: new Date()
-            });
-            
-            // 8. 显示结果（包含记录保存）
-            console.log('准备调用showResult，当前result:', result);
-            try {
-                this.showResult(result);
-                console.log('showResult调用完成');
-            } catch (error) {
-                console.error('显示结果失败:', error);
-                this.showTemporaryMessage('显示结果失败: ' + error.message, 'error');
-                // 即使显示结果失败，也要标记答案已提交并更新按钮
-                this.isAnswerSubmitted = true;
-                if (this.submitBtn) {
-                    this.submitBtn.textContent = '继续练习';
-                }
-            }
-            
-            // 最终保险措施：确保状态和按钮都正确设置
-            console.log('最终检查状态:', {
-                isAnswerSubmitted: this.isAnswerSubmitted,
-                buttonText: this.submitBtn ? this.submitBtn.textContent : 'null'
-            });
-            
-            if (!this.isAnswerSubmitted) {
-                console.warn('状态未正确设置，强制设置');
-                this.isAnswerSubmitted = true;
-            }
-            
-            if (this.submitBtn && this.submitBtn.textContent !== '继续练习') {
-                console.warn('按钮文本未正确设置，强制设置');
-                this.submitBtn.textContent = '继续练习';
-            }
-            
-            console.log('答案提交处理完成');
-        } catch (error) {
-            console.error('处理答案提交失败:', error);
-            this.handleSubmitError(error);
+        if (this.explanationPlayBtn) {
+            const labelKey = current.status === 'playing' ? 'pause' : (current.status === 'paused' ? 'resume' : 'play');
+            this.explanationPlayBtn.textContent = this.i18n.t(`app.explanationPlayer.${labelKey}`);
+            this.explanationPlayBtn.setAttribute('aria-pressed', current.status === 'playing' ? 'true' : 'false');
+        }
+        if (this.explanationStepBtn) {
+            this.explanationStepBtn.disabled = current.status === 'finished';
+        }
+        if (this.explanationProgress) {
+            this.explanationProgress.textContent = current.status === 'ready' ? '' :
+                this.i18n.t('app.explanationPlayer.progress', { step: current.stepIndex + 1, total: current.stepCount });
+        }
+        if (this.explanationCaption) {
+            this.explanationCaption.textContent = current.caption;
         }
     }
 
     /**
-     * 处理继续练习按钮点击
+     * 处理教学标注开关切换（分钟数字、分针扇形、小时区间各自独立）
+     * @param {HTMLInputElement} toggle - 标注开关，data-overlay为标注名
      */
-    handleNext() {
-        this.generateNewQuestion();
+    handleOverlayToggle(toggle) {
+        if (!this.clockRenderer || !this.clockRenderer.setOverlay(toggle.dataset.overlay, toggle.checked)) {
+            toggle.checked = false;
+            return;
+        }
+
+        // 指针动画进行中时，动画的每一帧都会画出标注
+        const currentTime = this.clockRenderer.getCurrentDisplayTime() || this.currentTime;
+        if (currentTime && !(this.clockAnimator && this.clockAnimator.isAnimating())) {
+            const showGuideLines = this.guideLinesToggle ? this.guideLinesToggle.checked : false;
+            this.clockRenderer.render(currentTime, showGuideLines);
+        }
+        this.logger.debug('教学标注:', this.clockRenderer.getOverlays());
     }
 
     /**
@@ -848,15 +3371,15 @@ class AppController {
      */
     handleGuideLineToggle() {
         try {
-            console.log('🔄 [DEBUG] handleGuideLineToggle 开始执行');
+            this.logger.debug('🔄 [DEBUG] handleGuideLineToggle 开始执行');
             
             if (!this.guideLinesToggle) {
-                console.error('❌ [DEBUG] 参考线开关元素不存在');
+                this.logger.error('❌ [DEBUG] 参考线开关元素不存在');
                 return;
             }
 
             // 在防抖函数内部获取最新的开关状态，确保状态同步
-            console.log('🔍 [DEBUG] 当前渲染状态:', {
+            this.logger.debug('🔍 [DEBUG] 当前渲染状态:', {
                 isRenderLocked: this.isRenderLocked,
                 renderQueue: this.renderQueue ? this.renderQueue.length : 0,
                 clockRenderer: !!this.clockRenderer
@@ -866,43 +3389,43 @@ class AppController {
             this.debounceRenderOperation('guideline', () => {
                 // 在防抖延迟后获取最新的开关状态，确保与UI同步
                 const showGuideLines = this.guideLinesToggle.checked;
-                console.log('⏰ [DEBUG] 防抖延迟后开始执行参考线切换');
-                console.log('🎯 [DEBUG] 最新参考线状态:', showGuideLines ? '显示' : '隐藏');
+                this.logger.debug('⏰ [DEBUG] 防抖延迟后开始执行参考线切换');
+                this.logger.debug('🎯 [DEBUG] 最新参考线状态:', showGuideLines ? '显示' : '隐藏');
                 
                 this.executeRenderOperation(() => {
-                    console.log('🚀 [DEBUG] executeRenderOperation 内部开始执行');
+                    this.logger.debug('🚀 [DEBUG] executeRenderOperation 内部开始执行');
                     
                     if (this.clockRenderer) {
-                        console.log('✅ [DEBUG] clockRenderer 存在，开始设置参考线状态');
+                        this.logger.debug('✅ [DEBUG] clockRenderer 存在，开始设置参考线状态');
                         
                         // 设置参考线状态
                         this.clockRenderer.setGuideLines(showGuideLines);
-                        console.log('📝 [DEBUG] 参考线状态已设置为:', showGuideLines);
+                        this.logger.debug('📝 [DEBUG] 参考线状态已设置为:', showGuideLines);
                         
                         // 重新渲染时钟以显示/隐藏参考线
                         const currentTime = this.clockRenderer.getCurrentDisplayTime() || this.currentTime;
-                        console.log('⏰ [DEBUG] 获取当前时间:', currentTime);
+                        this.logger.debug('⏰ [DEBUG] 获取当前时间:', currentTime);
                         
                         if (currentTime) {
-                            console.log('🎨 [DEBUG] 开始重新渲染时钟，参考线状态:', showGuideLines);
+                            this.logger.debug('🎨 [DEBUG] 开始重新渲染时钟，参考线状态:', showGuideLines);
                             this.clockRenderer.render(currentTime, showGuideLines);
-                            console.log('✅ [DEBUG] 时钟重新渲染完成');
+                            this.logger.debug('✅ [DEBUG] 时钟重新渲染完成');
                         } else {
-                            console.warn('⚠️ [DEBUG] 没有当前时间数据，跳过渲染');
+                            this.logger.warn('⚠️ [DEBUG] 没有当前时间数据，跳过渲染');
                         }
                     } else {
-                        console.error('❌ [DEBUG] clockRenderer 不存在');
+                        this.logger.error('❌ [DEBUG] clockRenderer 不存在');
                     }
 
-                    this.showTemporaryMessage(showGuideLines ? '参考线已显示' : '参考线已隐藏', 'success');
-                    console.log('✅ [DEBUG] handleGuideLineToggle 执行完成');
+                    this.showTemporaryMessage(this.i18n.t(showGuideLines ? 'app.messages.guideLinesOn' : 'app.messages.guideLinesOff'), 'success');
+                    this.logger.debug('✅ [DEBUG] handleGuideLineToggle 执行完成');
                 });
             }, 150);
 
         } catch (error) {
-            console.error('❌ [DEBUG] 参考线切换失败:', error);
-            console.error('❌ [DEBUG] 错误堆栈:', error.stack);
-            this.handleGuideLineToggleError('系统异常', false);
+            this.logger.error('❌ [DEBUG] 参考线切换失败:', error);
+            this.logger.error('❌ [DEBUG] 错误堆栈:', error.stack);
+            this.handleGuideLineToggleError('system', false);
             // 发生错误时重置渲染状态
             this.resetRenderState();
         }
@@ -914,12 +3437,12 @@ class AppController {
     handleAutoTickToggle() {
         try {
             if (!this.autoTickToggle) {
-                console.error('自动走动开关元素不存在');
+                this.logger.error('自动走动开关元素不存在');
                 return;
             }
 
             const autoTick = this.autoTickToggle.checked;
-            console.log('切换自动走动状态:', autoTick ? '开启' : '关闭');
+            this.logger.debug('切换自动走动状态:', autoTick ? '开启' : '关闭');
 
             // 使用防抖机制，避免快速切换
             this.debounceRenderOperation('autotick', () => {
@@ -947,13 +3470,13 @@ class AppController {
                         }
                     }
 
-                    this.showTemporaryMessage(autoTick ? '自动走动已开启' : '自动走动已关闭', 'success');
+                    this.showTemporaryMessage(this.i18n.t(autoTick ? 'app.messages.autoTickOn' : 'app.messages.autoTickOff'), 'success');
                 });
             }, 150);
 
         } catch (error) {
-            console.error('自动走动切换失败:', error);
-            this.showTemporaryMessage('自动走动功能异常', 'error');
+            this.logger.error('自动走动切换失败:', error);
+            this.showTemporaryMessage(this.i18n.t('app.errors.autoTickFailed'), 'error');
             // 发生错误时重置渲染状态
             this.resetRenderState();
         }
@@ -965,18 +3488,18 @@ class AppController {
     handleCurrentTimeToggle() {
         try {
             if (!this.currentTimeToggle) {
-                console.error('当前时间切换元素不存在');
+                this.logger.error('当前时间切换元素不存在');
                 return;
             }
 
             // 如果正在切换中，直接忽略
             if (this.isCurrentTimeToggling) {
-                console.log('当前时间切换正在进行中，忽略重复操作');
+                this.logger.debug('当前时间切换正在进行中，忽略重复操作');
                 return;
             }
             
             const isActive = this.currentTimeToggle.checked;
-            console.log('执行当前时间切换，目标状态:', isActive);
+            this.logger.debug('执行当前时间切换，目标状态:', isActive);
             
             // 使用防抖机制，避免快速切换
             this.debounceRenderOperation('currenttime', () => {
@@ -989,7 +3512,7 @@ class AppController {
                             // 保存原始题目时间
                             if (this.currentTime) {
                                 this.clockRenderer.originalTime = { ...this.currentTime };
-                                console.log('💾 已保存原始题目时间:', this.clockRenderer.originalTime);
+                                this.logger.debug('💾 已保存原始题目时间:', this.clockRenderer.originalTime);
                             }
                             
                             // 设置显示当前时间状态
@@ -1015,7 +3538,7 @@ class AppController {
                             }
                         }
                         
-                        this.showTemporaryMessage('正在显示当前时间', 'success');
+                        this.showTemporaryMessage(this.i18n.t('app.messages.currentTimeOn'), 'success');
                     } else {
                          // 关闭显示当前时间
                          if (this.clockRenderer) {
@@ -1026,7 +3549,7 @@ class AppController {
                              // 保持当前表盘状态不变
                          }
                          
-                         this.showTemporaryMessage('已关闭当前时间显示', 'success');
+                         this.showTemporaryMessage(this.i18n.t('app.messages.currentTimeOff'), 'success');
                      }
                     
                     this.isCurrentTimeToggling = false;
@@ -1034,8 +3557,8 @@ class AppController {
             }, 150);
 
         } catch (error) {
-            console.error('当前时间切换失败:', error);
-            this.showTemporaryMessage('当前时间功能异常', 'error');
+            this.logger.error('当前时间切换失败:', error);
+            this.showTemporaryMessage(this.i18n.t('app.errors.currentTimeFailed'), 'error');
             // 发生错误时重置渲染状态
             this.resetRenderState();
             this.isCurrentTimeToggling = false;
@@ -1051,24 +3574,24 @@ class AppController {
             this.isCurrentTimeToggling = true;
             
             const isActive = this.currentTimeToggle.checked;
-            console.log('执行当前时间切换，目标状态:', isActive);
+            this.logger.debug('执行当前时间切换，目标状态:', isActive);
             
             if (isActive) {
                 // 开启显示当前时间 - 需要重绘，禁用按钮
                 this.disableClockControls();
                 
                 if (this.clockRenderer) {
-                    console.log('🔄 准备开启显示当前时间，clockRenderer存在');
+                    this.logger.debug('🔄 准备开启显示当前时间，clockRenderer存在');
                     
                     // 保存原始题目时间
                     if (this.currentTime) {
                         this.clockRenderer.originalTime = { ...this.currentTime };
-                        console.log('💾 已保存原始题目时间:', this.clockRenderer.originalTime);
+                        this.logger.debug('💾 已保存原始题目时间:', this.clockRenderer.originalTime);
                     }
                     
                     // 设置显示当前时间状态
                     this.clockRenderer.setShowCurrentTime(true);
-                    console.log('✅ 已设置显示当前时间状态为true');
+                    this.logger.debug('✅ 已设置显示当前时间状态为true');
                     
                     // 获取当前时间并设置表盘
                     const now = new Date();
@@ -1077,33 +3600,33 @@ class AppController {
                         minutes: now.getMinutes(),
                         seconds: now.getSeconds()
                     };
-                    console.log('⏰ 获取到当前时间:', currentTime);
+                    this.logger.debug('⏰ 获取到当前时间:', currentTime);
                     
                     this.clockRenderer.setDisplayTime(currentTime);
-                    console.log('✅ 已设置显示时间');
+                    this.logger.debug('✅ 已设置显示时间');
                     
                     // 渲染当前时间
                     const showGuideLines = this.guideLinesToggle ? this.guideLinesToggle.checked : false;
-                    console.log('🎨 准备调用render方法，参数:', { currentTime, showGuideLines });
+                    this.logger.debug('🎨 准备调用render方法，参数:', { currentTime, showGuideLines });
                     this.clockRenderer.render(currentTime, showGuideLines);
-                    console.log('✅ render方法调用完成');
+                    this.logger.debug('✅ render方法调用完成');
                     
                     // 只有在"自动走动"开启时才启动实时更新
                     if (this.autoTickToggle && this.autoTickToggle.checked) {
-                        console.log('🔄 启动自动走动');
+                        this.logger.debug('🔄 启动自动走动');
                         this.clockRenderer.startAutoTick();
                     }
                 } else {
-                    console.error('❌ clockRenderer不存在，无法开启显示当前时间');
+                    this.logger.error('❌ clockRenderer不存在，无法开启显示当前时间');
                 }
                 
-                this.showTemporaryMessage('正在显示当前时间', 'success');
+                this.showTemporaryMessage(this.i18n.t('app.messages.currentTimeOn'), 'success');
                 
                 // 等待重绘完成后再启用按钮
                 this.waitForRenderComplete().then(() => {
                     this.isCurrentTimeToggling = false;
                     this.enableClockControls();
-                    console.log('当前时间切换完成，按钮已重新启用');
+                    this.logger.debug('当前时间切换完成，按钮已重新启用');
                 });
             } else {
                 // 关闭显示当前时间 - 不需要重绘，直接处理
@@ -1115,17 +3638,17 @@ class AppController {
                     // 保持当前表盘状态不变
                 }
                 
-                this.showTemporaryMessage('已关闭当前时间显示', 'success');
+                this.showTemporaryMessage(this.i18n.t('app.messages.currentTimeOff'), 'success');
                 
                 // 直接启用按钮，不需要等待重绘
                 this.isCurrentTimeToggling = false;
                 this.enableClockControls();
-                console.log('当前时间关闭完成，按钮已重新启用');
+                this.logger.debug('当前时间关闭完成，按钮已重新启用');
             }
 
         } catch (error) {
-            console.error('执行当前时间切换失败:', error);
-            this.showTemporaryMessage('当前时间功能异常', 'error');
+            this.logger.error('执行当前时间切换失败:', error);
+            this.showTemporaryMessage(this.i18n.t('app.errors.currentTimeFailed'), 'error');
             // 发生错误时也要重新启用按钮
             this.isCurrentTimeToggling = false;
             this.enableClockControls();
@@ -1156,24 +3679,24 @@ class AppController {
                     } else {
                         toggleContainer.style.opacity = '0.6';
                         toggleContainer.style.cursor = 'not-allowed';
-                        toggleContainer.title = '切换正在进行中，请稍候...';
+                        toggleContainer.title = this.i18n.t('app.busy.switching');
                     }
                 }
                 
-                console.log(`当前时间切换按钮${enabled ? '已启用' : '已禁用'}`);
+                this.logger.debug(`当前时间切换按钮${enabled ? '已启用' : '已禁用'}`);
             }
         } catch (error) {
-            console.error('设置当前时间切换按钮状态失败:', error);
+            this.logger.error('设置当前时间切换按钮状态失败:', error);
         }
     }
 
     /**
      * 处理参考线切换错误
-     * @param {string} errorMessage - 错误消息
+     * @param {string} errorCode - 错误代码（noTime、noRenderer、noCanvas、missingControls、renderFailed、system）
      * @param {boolean} revertState - 是否恢复开关状态
      */
-    handleGuideLineToggleError(errorMessage, revertState) {
-        console.error('参考线切换失败:', errorMessage);
+    handleGuideLineToggleError(errorCode, revertState) {
+        this.logger.error('参考线切换失败:', errorCode);
         
         try {
             // 恢复开关状态
@@ -1182,12 +3705,12 @@ class AppController {
             }
             
             // 如果是Canvas相关错误，禁用参考线功能
-            if (errorMessage.includes('Canvas') || errorMessage.includes('渲染')) {
-                this.disableGuideLineFeature(errorMessage);
+            const userMessage = this.getGuideLineErrorMessage(errorCode);
+            if (errorCode === 'noCanvas' || errorCode === 'renderFailed') {
+                this.disableGuideLineFeature(userMessage);
             }
             
             // 显示用户友好的错误提示
-            const userMessage = this.getGuideLineErrorMessage(errorMessage);
             this.showTemporaryMessage(userMessage, 'error');
             
             // 尝试恢复时钟显示（不带参考线）
@@ -1196,11 +3719,11 @@ class AppController {
                     this.clockRenderer.render(this.currentTime, false);
                 }
             } catch (recoveryError) {
-                console.error('恢复时钟显示也失败:', recoveryError);
+                this.logger.error('恢复时钟显示也失败:', recoveryError);
             }
             
         } catch (handlingError) {
-            console.error('处理参考线切换错误时也出错:', handlingError);
+            this.logger.error('处理参考线切换错误时也出错:', handlingError);
         }
     }
 
@@ -1218,32 +3741,26 @@ class AppController {
                 if (toggleContainer) {
                     toggleContainer.style.opacity = '0.5';
                     toggleContainer.style.cursor = 'not-allowed';
-                    toggleContainer.title = `参考线功能不可用: ${reason}`;
+                    toggleContainer.title = this.i18n.t('clock.errors.guideLinesUnavailable', { reason: reason });
                 }
             }
             
-            console.log('参考线功能已禁用:', reason);
+            this.logger.debug('参考线功能已禁用:', reason);
         } catch (error) {
-            console.error('禁用参考线功能时出错:', error);
+            this.logger.error('禁用参考线功能时出错:', error);
         }
     }
 
     /**
      * 获取用户友好的参考线错误消息
-     * @param {string} errorMessage - 原始错误消息
+     * @param {string} errorCode - 错误代码
      * @returns {string} 用户友好的错误消息
      */
-    getGuideLineErrorMessage(errorMessage) {
-        const errorMap = {
-            '没有时间数据': '请先生成一个时间题目',
-            '时钟渲染器不可用': '时钟显示功能异常，参考线不可用',
-            '浏览器不支持Canvas': '您的浏览器不支持参考线功能',
-            '界面元素缺失': '参考线控件异常，请刷新页面',
-            '渲染失败': '参考线绘制失败，请重试',
-            '系统异常': '参考线功能出现异常，请刷新页面'
-        };
-        
-        return errorMap[errorMessage] || `参考线切换失败: ${errorMessage}`;
+    getGuideLineErrorMessage(errorCode) {
+        const key = `app.errors.guideLines.${errorCode}`;
+        return this.i18n.has(key) ?
+            this.i18n.t(key) :
+            this.i18n.t('app.errors.guideLines.failed', { error: errorCode });
     }
 
     /**
@@ -1254,12 +3771,12 @@ class AppController {
         try {
             // 检查基本条件
             if (!this.clockRenderer || !this.clockRenderer.isCanvasAvailable()) {
-                console.log('Canvas仍然不可用，无法恢复参考线功能');
+                this.logger.debug('Canvas仍然不可用，无法恢复参考线功能');
                 return false;
             }
             
             if (!this.currentTime) {
-                console.log('没有当前时间数据，无法恢复参考线功能');
+                this.logger.debug('没有当前时间数据，无法恢复参考线功能');
                 return false;
             }
             
@@ -1273,18 +3790,18 @@ class AppController {
                     if (toggleContainer) {
                         toggleContainer.style.opacity = '1';
                         toggleContainer.style.cursor = 'pointer';
-                        toggleContainer.title = '切换参考线显示';
+                        toggleContainer.title = this.i18n.t('clock.guideLinesToggle');
                     }
                 }
                 
-                console.log('参考线功能已恢复');
-                this.showTemporaryMessage('参考线功能已恢复', 'success');
+                this.logger.debug('参考线功能已恢复');
+                this.showTemporaryMessage(this.i18n.t('app.messages.guideLinesRecovered'), 'success');
                 return true;
             }
             
             return false;
         } catch (error) {
-            console.error('恢复参考线功能失败:', error);
+            this.logger.error('恢复参考线功能失败:', error);
             return false;
         }
     }
@@ -1423,7 +3940,7 @@ class AppController {
      * @param {string} fieldType - 字段类型
      */
     validateSingleInput(input, fieldType) {
-        const validation = this.answerValidator.validateInputRealtime(input.value, fieldType);
+        const validation = this.answerValidator.validateInputRealtime(input.value, fieldType, this.getMeridiemInputOptions());
         
         // 清除之前的样式类
         input.classList.remove('error', 'success', 'warning', 'typing');
@@ -1517,7 +4034,7 @@ class AppController {
         // 如果答案已提交，确保按钮文本为"继续练习"并启用
         if (this.isAnswerSubmitted) {
             if (this.submitBtn) {
-                this.submitBtn.textContent = '继续练习';
+                this.submitBtn.textContent = this.i18n.t('app.next');
                 this.submitBtn.disabled = false;
                 this.submitBtn.classList.remove('ready');
                 this.submitBtn.classList.add('active');
@@ -1567,7 +4084,8 @@ class AppController {
         const parseResult = this.answerValidator.parseSeparateTimeInputs(
             this.hoursInput.value,
             this.minutesInput.value,
-            this.secondsInput.value
+            this.secondsInput.value,
+            this.getMeridiemInputOptions()
         );
 
         if (!parseResult.isValid) {
@@ -1589,22 +4107,22 @@ class AppController {
      */
     showResult(result) {
         try {
-            console.log('开始显示验证结果...', result);
-            console.log('当前isAnswerSubmitted状态:', this.isAnswerSubmitted);
+            this.logger.debug('开始显示验证结果...', result);
+            this.logger.debug('当前isAnswerSubmitted状态:', this.isAnswerSubmitted);
             
             // 1. 立即更新按钮状态（如果还没有更新）
-            if (this.submitBtn && this.submitBtn.textContent !== '继续练习') {
-                console.log('showResult: 检测到按钮文本不是"继续练习"，强制更新');
-                this.forceUpdateSubmitButton('继续练习');
+            if (this.submitBtn && this.submitBtn.textContent !== this.i18n.t('app.next')) {
+                this.logger.debug('showResult: 检测到按钮文本不是"继续练习"，强制更新');
+                this.forceUpdateSubmitButton(this.i18n.t('app.next'));
             } else {
-                console.log('showResult: 按钮文本已经是"继续练习"，无需更新');
+                this.logger.debug('showResult: 按钮文本已经是"继续练习"，无需更新');
             }
             
             // 2. 隐藏占位符
             const placeholder = document.querySelector('.result-placeholder');
             if (placeholder) {
                 placeholder.style.display = 'none';
-                console.log('隐藏结果占位符');
+                this.logger.debug('隐藏结果占位符');
             }
             
             // 3. 显示结果区域
@@ -1612,19 +4130,21 @@ class AppController {
                 this.resultDisplay.style.display = 'block';
                 this.resultDisplay.style.visibility = 'visible';
                 this.resultDisplay.style.opacity = '1';
-                console.log('显示结果区域');
+                this.logger.debug('显示结果区域');
                 
                 // 4. 设置样式
                 this.resultDisplay.className = `result-display ${result.isCorrect ? 'correct' : 'incorrect'}`;
                 
                 // 5. 设置主要消息
                 if (this.resultMessage) {
-                    this.resultMessage.textContent = result.message || (result.isCorrect ? '正确！' : '答案不正确');
+                    this.resultMessage.textContent = result.message || this.i18n.t(result.isCorrect ? 'validator.correct' : 'validator.incorrect');
                 }
                 
                 // 6. 显示答题耗时
                 if (this.resultTimeSpent && result.timeSpent !== undefined) {
-                    this.resultTimeSpent.textContent = `用时: ${result.timeSpentFormatted || result.timeSpent + '秒'}`;
+                    this.resultTimeSpent.textContent = this.i18n.t('app.result.timeSpent', {
+                        time: result.timeSpentFormatted || this.i18n.t('common.seconds', { count: result.timeSpent })
+                    });
                     this.resultTimeSpent.style.display = 'block';
                 } else if (this.resultTimeSpent) {
                     this.resultTimeSpent.style.display = 'none';
@@ -1634,13 +4154,15 @@ class AppController {
                 if (this.correctAnswer) {
                     if (!result.isCorrect) {
                         try {
-                            const formattedTime = this.answerValidator.formatTime(result.correctTime);
-                            this.correctAnswer.textContent = `正确答案: ${formattedTime}`;
+                            const formattedTime = result.correctAnswerText || this.answerValidator.formatTime(result.correctTime);
+                            this.correctAnswer.textContent = this.i18n.t('app.result.correctAnswer', { time: formattedTime });
                             this.correctAnswer.style.display = 'block';
-                            console.log('正确答案显示完成:', formattedTime);
+                            this.logger.debug('正确答案显示完成:', formattedTime);
                         } catch (error) {
-                            console.error('格式化正确答案时间失败:', error);
-                            this.correctAnswer.textContent = `正确答案: ${result.correctTime.hours}:${result.correctTime.minutes}:${result.correctTime.seconds}`;
+                            this.logger.error('格式化正确答案时间失败:', error);
+                            this.correctAnswer.textContent = this.i18n.t('app.result.correctAnswer', {
+                                time: `${result.correctTime.hours}:${result.correctTime.minutes}:${result.correctTime.seconds}`
+                            });
                             this.correctAnswer.style.display = 'block';
                         }
                     } else {
@@ -1648,6 +4170,19 @@ class AppController {
                     }
                 }
                 
+                // 7.5. 用了提示时显示提示步数和本题得分
+                if (this.resultHintUsage) {
+                    if (this.hintStep > 0) {
+                        this.resultHintUsage.textContent = this.i18n.t('app.hints.result', {
+                            count: this.hintStep,
+                            score: this.recordManager.calculateScore(result.isCorrect, this.hintStep)
+                        });
+                        this.resultHintUsage.style.display = 'block';
+                    } else {
+                        this.resultHintUsage.style.display = 'none';
+                    }
+                }
+                
                 // 8. 显示详细解答过程
                 if (this.resultExplanation && result.explanation) {
                     this.resultExplanation.textContent = result.explanation;
@@ -1656,21 +4191,39 @@ class AppController {
                     this.resultExplanation.style.display = 'none';
                 }
                 
+                // 8.2. 载入动画讲解，孩子点播放后在钟面上演示
+                if (this.isExplanationAvailable() && result.correctTime) {
+                    this.explanationPlayer.load(result.correctTime);
+                }
+                this.updateExplanationControls();
+                
+                // 8.5. 播放答对/答错提示音，朗读结果、鼓励语和解答过程（不支持或已静音时跳过）
+                this.soundManager.playResult(result);
+                this.speechNarrator.narrateResult(result);
+                
                 // 9. 禁用输入框
-                [this.hoursInput, this.minutesInput, this.secondsInput].forEach(input => {
+                [this.hoursInput, this.minutesInput, this.secondsInput, this.phraseInput, this.elapsedHoursInput, this.elapsedMinutesInput, ...this.meridiemInputs].forEach(input => {
                     if (input) {
                         input.disabled = true;
                     }
                 });
+                if (this.phraseSuggestionList) {
+                    this.phraseSuggestionList.querySelectorAll('.phrase-suggestion').forEach(suggestionBtn => {
+                        suggestionBtn.disabled = true;
+                    });
+                }
+                this.speechRecognizer.stop();
+                this.updateSpeechAnswerButton();
+                this.updateHintControls();
             }
             
             // 10. 保存答题记录
             try {
-                console.log('开始保存答题记录...');
+                this.logger.debug('开始保存答题记录...');
                 this.saveAnswerRecord(result);
-                console.log('答题记录保存完成');
+                this.logger.debug('答题记录保存完成');
             } catch (recordError) {
-                console.error('保存答题记录失败:', recordError);
+                this.logger.error('保存答题记录失败:', recordError);
                 // 记录保存失败不影响结果显示
             }
             
@@ -1682,9 +4235,9 @@ class AppController {
                 timestamp: new Date()
             });
             
-            console.log('验证结果显示完成');
+            this.logger.debug('验证结果显示完成');
         } catch (error) {
-            console.error('显示验证结果失败:', error);
+            this.logger.error('显示验证结果失败:', error);
             this.handleResultDisplayError(error);
         }
     }
@@ -1722,6 +4275,9 @@ class AppController {
                 input.classList.remove('error', 'warning');
             }
         });
+        if (this.meridiemField) {
+            this.meridiemField.classList.toggle('error', errors.some(error => error.field === 'meridiem'));
+        }
 
         // 显示错误
         errors.forEach(error => {
@@ -1758,7 +4314,9 @@ class AppController {
             const firstErrorInput = this.getInputByField(errors[0].field);
             if (firstErrorInput) {
                 firstErrorInput.focus();
-                firstErrorInput.select();
+                if (firstErrorInput.type !== 'radio') {
+                    firstErrorInput.select();
+                }
             }
         }
     }
@@ -1776,6 +4334,8 @@ class AppController {
                 return this.minutesInput;
             case 'seconds':
                 return this.secondsInput;
+            case 'meridiem':
+                return this.meridiemInputs[0] || null;
             default:
                 return null;
         }
@@ -1834,7 +4394,7 @@ class AppController {
         if (document.body) {
             document.body.appendChild(messageElement);
         } else {
-            console.warn('无法显示临时消息：document.body不存在');
+            this.logger.warn('无法显示临时消息：document.body不存在');
             return;
         }
 
@@ -1865,10 +4425,41 @@ class AppController {
             }
         });
         
+        // 清空上午/下午选择
+        this.meridiemInputs.forEach(input => {
+            input.checked = false;
+            input.disabled = false;
+        });
+        if (this.meridiemField) {
+            this.meridiemField.classList.remove('error');
+        }
+        
+        // 清空读法输入
+        if (this.phraseInput) {
+            this.phraseInput.value = '';
+            this.phraseInput.disabled = false;
+            this.phraseInput.classList.remove('error');
+        }
+        
+        // 清空经过时间题的输入
+        [this.elapsedHoursInput, this.elapsedMinutesInput].forEach(input => {
+            if (input) {
+                input.value = '';
+                input.disabled = false;
+                input.classList.remove('error');
+            }
+        });
+        
+        // 重置口述答案状态
+        this.setSpeechAnswerStatus('');
+        if (this.speechAnswerBtn) {
+            this.speechAnswerBtn.disabled = !this.speechRecognizer.isAvailable();
+        }
+        
         // 启用提交按钮并重置文本（仅在未提交答案时）
         if (this.submitBtn && !this.isAnswerSubmitted) {
             this.submitBtn.disabled = false;
-            this.submitBtn.textContent = '提交答案';
+            this.submitBtn.textContent = this.i18n.t('app.submit');
             this.submitBtn.classList.remove('ready', 'active');
         }
         
@@ -1892,6 +4483,15 @@ class AppController {
      * 聚焦到第一个可见的输入框
      */
     focusFirstVisibleInput() {
+        if (this.isPhraseMode() && this.phraseInput) {
+            this.phraseInput.focus();
+            return;
+        }
+        if (this.currentElapsedQuestion && this.elapsedHoursInput) {
+            this.elapsedHoursInput.focus();
+            return;
+        }
+        
         const inputs = [this.hoursInput, this.minutesInput, this.secondsInput];
         
         for (const input of inputs) {
@@ -1928,13 +4528,13 @@ class AppController {
         let hintText = '';
         switch (fieldType) {
             case 'hours':
-                hintText = '输入小时 (0-12)，0表示12点';
+                hintText = this.i18n.t('app.input.hoursHint');
                 break;
             case 'minutes':
-                hintText = '输入分钟 (0-59)';
+                hintText = this.i18n.t('app.input.minutesHint');
                 break;
             case 'seconds':
-                hintText = '输入秒数 (0-59)';
+                hintText = this.i18n.t('app.input.secondsHint');
                 break;
         }
         
@@ -1997,7 +4597,7 @@ class AppController {
     calculateAverageTime(records) {
         // 确保records是数组
         if (!Array.isArray(records) || records.length === 0) {
-            console.log('calculateAverageTime: 无效的records参数，使用默认值30秒');
+            this.logger.debug('calculateAverageTime: 无效的records参数，使用默认值30秒');
             return 30; // 默认30秒
         }
         
@@ -2008,133 +4608,18 @@ class AppController {
             }, 0);
             return Math.round(totalTime / records.length);
         } catch (error) {
-            console.error('计算平均时间失败:', error);
+            this.logger.error('计算平均时间失败:', error);
             return 30; // 默认30秒
         }
     }
 
-    /**
-     * 显示教学建议
-     * @param {Object} advice - 建议对象
-     * @param {number} currentDifficulty - 当前难度
-     */
-    showTutorialSuggestion(advice, currentDifficulty) {
-        if (!this.tutorialContainer) return;
-
-        // 查找或创建建议容器
-        let suggestionContainer = this.tutorialContainer.querySelector('.tutorial-suggestion-container');
-        if (!suggestionContainer) {
-            suggestionContainer = document.createElement('div');
-            suggestionContainer.className = 'tutorial-suggestion-container';
-            suggestionContainer.style.cssText = `
-                position: sticky;
-                top: 0;
-                background: white;
-                z-index: 10;
-                padding: 15px;
-                border-bottom: 1px solid #e9ecef;
-                margin-bottom: 15px;
-            `;
-            this.tutorialContainer.insertBefore(suggestionContainer, this.tutorialContainer.firstChild);
-        }
-
-        // 创建建议内容
-        suggestionContainer.innerHTML = `
-            <div class="tutorial-suggestion">
-                <div class="tutorial-suggestion-content">
-                    <h4>📈 个性化学习建议</h4>
-                    <p><strong>学习建议：</strong>${advice.studyAdvice}</p>
-                    <p><strong>练习建议：</strong>${advice.practiceAdvice}</p>
-                    <p><strong>难度建议：</strong>${advice.difficultyAdvice}</p>
-                    ${this.generatePracticeLinkHTML(currentDifficulty, advice)}
-                </div>
-            </div>
-        `;
-
-        // 添加动画效果
-        suggestionContainer.style.opacity = '0';
-        suggestionContainer.style.transform = 'translateY(-10px)';
-        
-        requestAnimationFrame(() => {
-            suggestionContainer.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-            suggestionContainer.style.opacity = '1';
-            suggestionContainer.style.transform = 'translateY(0)';
-        });
-    }
-
-    /**
-     * 生成练习链接HTML
-     * @param {number} currentDifficulty - 当前难度
-     * @param {Object} advice - 建议对象
-     * @returns {string} HTML字符串
-     */
-    generatePracticeLinkHTML(currentDifficulty, advice) {
-        let links = '';
-        
-        // 根据建议生成相应的练习链接
-        if (advice.difficultyAdvice.includes('降低难度') && currentDifficulty > 1) {
-            links += `<a href="#" class="practice-link" onclick="appController.switchToDifficulty(${currentDifficulty - 1})">
-                练习${currentDifficulty - 1}星难度
-            </a>`;
-        }
-        
-        if (advice.difficultyAdvice.includes('下一个难度') && currentDifficulty < 5) {
-            links += `<a href="#" class="practice-link" onclick="appController.switchToDifficulty(${currentDifficulty + 1})">
-                挑战${currentDifficulty + 1}星难度
-            </a>`;
-        }
-        
-        // 添加查看教学内容的链接
-        links += `<a href="#" class="practice-link" onclick="appController.scrollToTutorial(${currentDifficulty})" style="background: #007bff;">
-            查看${currentDifficulty}星教学内容
-        </a>`;
-        
-        return links ? `<div style="margin-top: 10px;">${links}</div>` : '';
-    }
-
-    /**
-     * 切换到指定难度
-     * @param {number} difficulty - 目标难度
-     */
-    switchToDifficulty(difficulty) {
-        if (this.difficultyUI) {
-            // 触发难度切换
-            this.difficultyUI.setDifficulty(difficulty);
-        }
-    }
-
-    /**
-     * 滚动到教学内容
-     * @param {number} difficulty - 难度等级
-     */
-    scrollToTutorial(difficulty) {
-        if (this.tutorialContainer) {
-            // 确保显示对应难度的教学内容
-            if (this.tutorialUI) {
-                this.tutorialUI.showTutorial(difficulty);
-            }
-            
-            // 滚动到教学区域
-            this.tutorialContainer.scrollIntoView({ 
-                behavior: 'smooth', 
-                block: 'start' 
-            });
-            
-            // 添加高亮效果
-            this.tutorialContainer.style.boxShadow = '0 0 20px rgba(102, 126, 234, 0.3)';
-            setTimeout(() => {
-                this.tutorialContainer.style.boxShadow = '0 2px 10px rgba(0, 0, 0, 0.1)';
-            }, 2000);
-        }
-    }
-
     /**
      * 保存答题记录（增强版，包含教学关联）
      * @param {Object} result - 验证结果
      */
     saveAnswerRecord(result) {
         try {
-            const currentDifficulty = this.difficultyManager.getCurrentDifficulty();
+            const currentDifficulty = this.currentQuestionDifficulty || this.difficultyManager.getCurrentDifficulty();
             
             const record = {
                 timestamp: new Date(),
@@ -2143,19 +4628,42 @@ class AppController {
                 isCorrect: result.isCorrect,
                 timeSpent: result.timeSpent,
                 difficulty: currentDifficulty.level,
-                difficultyName: currentDifficulty.name
+                difficultyName: currentDifficulty.name,
+                questionType: this.getCurrentQuestionType(),
+                meridiemMode: this.currentTime && this.currentTime.meridiem ? this.getMeridiemMode() : null,
+                userPhrase: result.userPhrase || null,
+                faceStyle: this.clockRenderer ? this.clockRenderer.getEffectiveFaceStyle() : this.difficultyManager.getCurrentFaceStyle(),
+                distractorType: result.distractorType || null,
+                elapsed: this.currentElapsedQuestion ? {
+                    start: { ...this.currentElapsedQuestion.start },
+                    end: { ...this.currentElapsedQuestion.end },
+                    answerType: this.currentElapsedQuestion.answerType
+                } : null,
+                sessionId: this.isTestActive() ? this.testSession.id : null,
+                hintsUsed: this.hintStep
             };
 
             this.recordManager.saveRecord(record);
             
-            // 更新记录界面
-            if (this.recordUI) {
+            // 更新记录界面（测验中记录会暴露对错，结束后再刷新）
+            if (this.recordUI && !this.isTestActive()) {
                 this.recordUI.refreshRecords();
             }
             
-            console.log('答题记录已保存:', record);
+            // 更新错题复习队列（经过时间题的答案不是单个钟面时间，不进入复习）
+            if (!record.elapsed) {
+                this.reviewScheduler.recordAnswer(result.correctTime, result.isCorrect);
+                this.updateReviewControls(false);
+            }
+            
+            // 根据最新表现评估是否自动调整难度（测验中星级混合，不参与评估）
+            if (!this.isTestActive()) {
+                this.evaluateAdaptiveDifficulty();
+            }
+            
+            this.logger.debug('答题记录已保存:', record);
         } catch (error) {
-            console.error('保存答题记录失败:', error);
+            this.logger.error('保存答题记录失败:', error);
             // 不抛出错误，避免影响主流程
         }
     }
@@ -2171,7 +4679,7 @@ class AppController {
      * @param {string} text - 按钮文本
      */
     forceUpdateSubmitButton(text) {
-        console.log('强制更新按钮文本为:', text);
+        this.logger.debug('强制更新按钮文本为:', text);
         
         // 参照 current-time-btn 的实现方式，使用直接的DOM操作
         const submitBtn = document.getElementById('submit-btn');
@@ -2184,9 +4692,9 @@ class AppController {
             
             // 根据文本内容设置相应的CSS类
             submitBtn.classList.remove('ready', 'active');
-            if (text === '继续练习') {
+            if (text === this.i18n.t('app.next')) {
                 submitBtn.classList.add('active');
-            } else if (text === '提交答案') {
+            } else if (text === this.i18n.t('app.submit')) {
                 // 保持默认状态
             }
             
@@ -2196,10 +4704,10 @@ class AppController {
                 submitBtn.style.transform = 'scale(1)';
             }, 50);
             
-            console.log('按钮更新完成，当前文本:', submitBtn.textContent);
-            console.log('按钮类名:', submitBtn.className);
+            this.logger.debug('按钮更新完成，当前文本:', submitBtn.textContent);
+            this.logger.debug('按钮类名:', submitBtn.className);
         } else {
-            console.error('submit-btn 元素不存在');
+            this.logger.error('submit-btn 元素不存在');
         }
         
         // 同步更新实例变量
@@ -2213,7 +4721,7 @@ class AppController {
      * 测试结果显示功能
      */
     testResultDisplay() {
-        console.log('=== 测试结果显示功能 ===');
+        this.logger.debug('=== 测试结果显示功能 ===');
         
         // 创建一个测试结果
         const testResult = {
@@ -2232,9 +4740,9 @@ class AppController {
         // 直接调用showResult
         try {
             this.showResult(testResult);
-            console.log('测试结果显示调用完成');
+            this.logger.debug('测试结果显示调用完成');
         } catch (error) {
-            console.error('测试结果显示失败:', error);
+            this.logger.error('测试结果显示失败:', error);
         }
     }
 
@@ -2242,26 +4750,26 @@ class AppController {
      * 测试按钮状态
      */
     testButtonState() {
-        console.log('=== 测试按钮状态 ===');
-        console.log('当前状态:');
-        console.log('- isAnswerSubmitted:', this.isAnswerSubmitted);
-        console.log('- submitBtn文本:', this.submitBtn ? this.submitBtn.textContent : 'null');
-        console.log('- submitBtn元素:', this.submitBtn);
+        this.logger.debug('=== 测试按钮状态 ===');
+        this.logger.debug('当前状态:');
+        this.logger.debug('- isAnswerSubmitted:', this.isAnswerSubmitted);
+        this.logger.debug('- submitBtn文本:', this.submitBtn ? this.submitBtn.textContent : 'null');
+        this.logger.debug('- submitBtn元素:', this.submitBtn);
         
         // 测试强制更新按钮
-        console.log('测试强制更新按钮为"继续练习"...');
-        this.forceUpdateSubmitButton('继续练习');
+        this.logger.debug('测试强制更新按钮为"继续练习"...');
+        this.forceUpdateSubmitButton(this.i18n.t('app.next'));
         
         setTimeout(() => {
-            console.log('更新后状态:');
-            console.log('- submitBtn文本:', this.submitBtn ? this.submitBtn.textContent : 'null');
+            this.logger.debug('更新后状态:');
+            this.logger.debug('- submitBtn文本:', this.submitBtn ? this.submitBtn.textContent : 'null');
             
-            console.log('测试强制更新按钮为"提交答案"...');
-            this.forceUpdateSubmitButton('提交答案');
+            this.logger.debug('测试强制更新按钮为"提交答案"...');
+            this.forceUpdateSubmitButton(this.i18n.t('app.submit'));
             
             setTimeout(() => {
-                console.log('最终状态:');
-                console.log('- submitBtn文本:', this.submitBtn ? this.submitBtn.textContent : 'null');
+                this.logger.debug('最终状态:');
+                this.logger.debug('- submitBtn文本:', this.submitBtn ? this.submitBtn.textContent : 'null');
             }, 1000);
         }, 1000);
     }
@@ -2281,9 +4789,9 @@ class AppController {
             });
             
             document.dispatchEvent(event);
-            console.log(`事件已分发: ${eventName}`, detail);
+            this.logger.debug(`事件已分发: ${eventName}`, detail);
         } catch (error) {
-            console.error(`分发事件失败: ${eventName}`, error);
+            this.logger.error(`分发事件失败: ${eventName}`, error);
         }
     }
 
@@ -2311,7 +4819,7 @@ class AppController {
                 }
             }
         } catch (error) {
-            console.error('显示数字时钟失败:', error);
+            this.logger.error('显示数字时钟失败:', error);
         }
     }
 
@@ -2320,8 +4828,8 @@ class AppController {
      * @param {Error} error - 错误对象
      */
     handleQuestionGenerationError(error) {
-        console.error('题目生成错误处理:', error);
-        this.showTemporaryMessage('生成题目失败，请重试', 'error');
+        this.logger.error('题目生成错误处理:', error);
+        this.showTemporaryMessage(this.i18n.t('app.messages.questionFailed'), 'error');
         
         // 尝试使用默认时间
         try {
@@ -2332,7 +4840,7 @@ class AppController {
                 this.showDigitalClock(this.currentTime);
             }
         } catch (fallbackError) {
-            console.error('降级题目生成也失败:', fallbackError);
+            this.logger.error('降级题目生成也失败:', fallbackError);
         }
     }
 
@@ -2341,8 +4849,8 @@ class AppController {
      * @param {Error} error - 错误对象
      */
     handleSubmitError(error) {
-        console.error('提交错误处理:', error);
-        this.showTemporaryMessage('提交答案失败，请重试', 'error');
+        this.logger.error('提交错误处理:', error);
+        this.showTemporaryMessage(this.i18n.t('app.messages.submitFailed'), 'error');
         
         // 重新启动计时器
         if (this.timerManager && !this.timerManager.isRunning()) {
@@ -2360,13 +4868,13 @@ class AppController {
      * @param {Error} error - 错误对象
      */
     handleResultDisplayError(error) {
-        console.error('结果显示错误处理:', error);
-        this.showTemporaryMessage('显示结果失败', 'error');
+        this.logger.error('结果显示错误处理:', error);
+        this.showTemporaryMessage(this.i18n.t('app.errors.showResultFailed'), 'error');
         
         // 显示基本结果信息
         if (this.resultDisplay && this.resultMessage) {
             this.resultDisplay.style.display = 'block';
-            this.resultMessage.textContent = '结果显示出现问题，但答案已记录';
+            this.resultMessage.textContent = this.i18n.t('app.messages.resultFallback');
         }
     }
 
@@ -2388,7 +4896,7 @@ class AppController {
                 this.resultDisplay.style.transform = 'translateY(0)';
             });
         } catch (error) {
-            console.error('结果显示动画失败:', error);
+            this.logger.error('结果显示动画失败:', error);
         }
     }
 
@@ -2404,7 +4912,7 @@ class AppController {
                 block: 'nearest' 
             });
         } catch (error) {
-            console.error('滚动到结果区域失败:', error);
+            this.logger.error('滚动到结果区域失败:', error);
         }
     }
 
@@ -2420,17 +4928,17 @@ class AppController {
         
         if (header && title) {
             // 确保标题文本正确
-            if (title.textContent !== '时钟学习练习') {
-                title.textContent = '时钟学习练习';
+            if (title.textContent !== this.i18n.t('app.title')) {
+                title.textContent = this.i18n.t('app.title');
             }
             
             // 添加标题样式增强
             header.style.display = 'block';
             header.style.visibility = 'visible';
             
-            console.log('横幅标题初始化完成');
+            this.logger.debug('横幅标题初始化完成');
         } else {
-            console.warn('横幅标题元素未找到');
+            this.logger.warn('横幅标题元素未找到');
         }
     }
 
@@ -2457,10 +4965,10 @@ class AppController {
                 // 添加区域标识
                 if (!element.dataset.areaInitialized) {
                     element.dataset.areaInitialized = 'true';
-                    console.log(`${area.name}初始化完成`);
+                    this.logger.debug(`${area.name}初始化完成`);
                 }
             } else {
-                console.warn(`${area.name}元素未找到: ${area.selector}`);
+                this.logger.warn(`${area.name}元素未找到: ${area.selector}`);
             }
         });
     }
@@ -2491,7 +4999,7 @@ class AppController {
                     this.applyDesktopLayout();
                 }
             } else {
-                console.warn('应用容器元素未找到或不支持classList，跳过响应式布局设置');
+                this.logger.warn('应用容器元素未找到或不支持classList，跳过响应式布局设置');
             }
 
             // 监听窗口大小变化
@@ -2502,9 +5010,9 @@ class AppController {
                 this.resizeListenerAdded = true;
             }
 
-            console.log('响应式布局设置完成');
+            this.logger.debug('响应式布局设置完成');
         } catch (error) {
-            console.error('设置响应式布局失败:', error);
+            this.logger.error('设置响应式布局失败:', error);
         }
     }
 
@@ -2523,9 +5031,9 @@ class AppController {
                 "records"
                 "tutorial"
             `;
-            console.log('移动端布局已应用');
+            this.logger.debug('移动端布局已应用');
         } else {
-            console.warn('无法应用移动端布局：容器元素不可用');
+            this.logger.warn('无法应用移动端布局：容器元素不可用');
         }
     }
 
@@ -2543,9 +5051,9 @@ class AppController {
                 "records records"
                 "tutorial tutorial"
             `;
-            console.log('平板端布局已应用');
+            this.logger.debug('平板端布局已应用');
         } else {
-            console.warn('无法应用平板端布局：容器元素不可用');
+            this.logger.warn('无法应用平板端布局：容器元素不可用');
         }
     }
 
@@ -2562,9 +5070,9 @@ class AppController {
                 "records records records"
                 "tutorial tutorial tutorial"
             `;
-            console.log('桌面端布局已应用');
+            this.logger.debug('桌面端布局已应用');
         } else {
-            console.warn('无法应用桌面端布局：容器元素不可用');
+            this.logger.warn('无法应用桌面端布局：容器元素不可用');
         }
     }
 
@@ -2586,9 +5094,9 @@ class AppController {
             // 4. 添加加载状态指示
             this.setupLoadingIndicators();
             
-            console.log('交互流畅性优化完成');
+            this.logger.debug('交互流畅性优化完成');
         } catch (error) {
-            console.error('优化交互流畅性失败:', error);
+            this.logger.error('优化交互流畅性失败:', error);
         }
     }
 
@@ -2711,7 +5219,7 @@ class AppController {
                 // 添加加载状态方法
                 element.showLoading = () => {
                     element.disabled = true;
-                    element.textContent = '处理中...';
+                    element.textContent = this.i18n.t('app.busy.processing');
                     element.style.opacity = '0.7';
                 };
                 
@@ -2786,14 +5294,14 @@ class AppController {
                     if (toggleContainer) {
                         toggleContainer.style.opacity = '0.6';
                         toggleContainer.style.cursor = 'not-allowed';
-                        toggleContainer.title = '正在重绘中，请稍候...';
+                        toggleContainer.title = this.i18n.t('app.busy.redrawing');
                     }
                 }
             });
             
-            console.log('🔒 时钟控制按钮已禁用');
+            this.logger.debug('🔒 时钟控制按钮已禁用');
         } catch (error) {
-            console.error('禁用时钟控制按钮失败:', error);
+            this.logger.error('禁用时钟控制按钮失败:', error);
         }
     }
 
@@ -2824,9 +5332,9 @@ class AppController {
                 }
             });
             
-            console.log('🔓 时钟控制按钮已启用');
+            this.logger.debug('🔓 时钟控制按钮已启用');
         } catch (error) {
-            console.error('启用时钟控制按钮失败:', error);
+            this.logger.error('启用时钟控制按钮失败:', error);
         }
     }
 
@@ -2878,7 +5386,7 @@ class AppController {
         }, delay);
         
         this.debounceTimers.set(operationType, timer);
-        console.log(`🕐 防抖操作 ${operationType} 已设置，延迟 ${delay}ms`);
+        this.logger.debug(`🕐 防抖操作 ${operationType} 已设置，延迟 ${delay}ms`);
     }
 
     /**
@@ -2888,7 +5396,7 @@ class AppController {
     executeRenderOperation(renderOperation) {
         // 如果正在渲染，将操作加入队列
         if (this.isRendering) {
-            console.log('🔒 渲染正在进行中，操作加入队列');
+            this.logger.debug('🔒 渲染正在进行中，操作加入队列');
             this.renderQueue.push(renderOperation);
             return;
         }
@@ -2896,9 +5404,14 @@ class AppController {
         // 设置渲染锁
         this.isRendering = true;
         this.disableClockControls();
-        console.log('🔒 渲染锁已设置');
+        this.logger.debug('🔒 渲染锁已设置');
         
         try {
+            // 指针动画还没播完时先跳到目标时间，避免动画帧覆盖这次绘制
+            if (this.clockAnimator) {
+                this.clockAnimator.stop();
+            }
+            
             // 执行渲染操作
             renderOperation();
             
@@ -2908,7 +5421,7 @@ class AppController {
             });
             
         } catch (error) {
-            console.error('渲染操作执行失败:', error);
+            this.logger.error('渲染操作执行失败:', error);
             this.finishRenderOperation();
         }
     }
@@ -2920,11 +5433,11 @@ class AppController {
         // 释放渲染锁
         this.isRendering = false;
         this.enableClockControls();
-        console.log('🔓 渲染锁已释放');
+        this.logger.debug('🔓 渲染锁已释放');
         
         // 处理队列中的下一个操作
         if (this.renderQueue.length > 0) {
-            console.log(`📋 处理队列中的下一个操作，队列长度: ${this.renderQueue.length}`);
+            this.logger.debug(`📋 处理队列中的下一个操作，队列长度: ${this.renderQueue.length}`);
             const nextOperation = this.renderQueue.shift();
             // 使用短延迟确保UI更新完成
             setTimeout(() => {
@@ -2939,7 +5452,7 @@ class AppController {
     clearAllDebounceTimers() {
         this.debounceTimers.forEach((timer, operationType) => {
             clearTimeout(timer);
-            console.log(`🧹 清理防抖定时器: ${operationType}`);
+            this.logger.debug(`🧹 清理防抖定时器: ${operationType}`);
         });
         this.debounceTimers.clear();
     }
@@ -2952,6 +5465,6 @@ class AppController {
         this.renderQueue = [];
         this.clearAllDebounceTimers();
         this.enableClockControls();
-        console.log('🔄 渲染状态已重置');
+        this.logger.debug('🔄 渲染状态已重置');
     }
 }
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * 时钟动画引擎类
+ * 用requestAnimationFrame驱动指针动画：
+ * 1. 换题时指针沿最短路径转到新时间，时针按分针转过的时间同比例移动，孩子能看到"钟是怎么走过去的"
+ * 2. 自动走动时秒针可以平滑扫过，而不是每秒跳一格
+ * 每一帧都通过ClockRenderer的指针角度覆盖（setHandAngleOverride）绘制，
+ * 系统设置了减少动态效果时直接跳到目标时间
+ */
+class ClockAnimator {
+    /**
+     * @param {ClockRenderer} clockRenderer - 时钟渲染器
+     * @param {Object} options - 可选参数
+     * @param {Function} options.requestFrame - 请求动画帧函数（默认window.requestAnimationFrame）
+     * @param {Function} options.cancelFrame - 取消动画帧函数（默认window.cancelAnimationFrame）
+     * @param {Function} options.now - 获取当前毫秒时间的函数（默认performance.now）
+     */
+    constructor(clockRenderer, options = {}) {
+        this.logger = Logger.getInstance().channel('renderer');
+        const hasWindow = typeof window !== 'undefined';
+        this.renderer = clockRenderer;
+        this.requestFrame = options.requestFrame ||
+            (hasWindow && typeof window.requestAnimationFrame === 'function' ? window.requestAnimationFrame.bind(window) : null);
+        this.cancelFrame = options.cancelFrame ||
+            (hasWindow && typeof window.cancelAnimationFrame === 'function' ? window.cancelAnimationFrame.bind(window) : () => {});
+        this.now = options.now || (() => (typeof performance !== 'undefined' ? performance.now() : Date.now()));
+
+        this.enabled = true; // 换题时是否播放指针动画
+        this.smoothSeconds = false; // 自动走动时秒针是否平滑扫过
+        this.reducedMotion = false; // 系统是否设置了减少动态效果
+
+        this.minDuration = 400; // 动画最短时长（毫秒）
+        this.maxDuration = 2500; // 动画最长时长（毫秒）
+        this.msPerClockHour = 250; // 钟面每走1小时增加的动画时长（毫秒）
+
+        this.transition = null; // 正在进行的换题动画
+        this.sweepFrame = null; // 秒针平滑走动的动画帧
+        this.lastTickAt = 0; // 最近一次自动走动的时刻
+        this.finalRenderTimeout = null;
+    }
+
+    /**
+     * 是否支持动画（需要requestAnimationFrame和Canvas）
+     * @returns {boolean} 是否支持
+     */
+    isSupported() {
+        return typeof this.requestFrame === 'function' && !!this.renderer && !!this.renderer.isCanvasSupported;
+    }
+
+    /**
+     * 当前是否播放动画（支持、已开启且没有设置减少动态效果）
+     * @returns {boolean} 是否播放
+     */
+    isActive() {
+        return this.isSupported() && !this.reducedMotion;
+    }
+
+    /**
+     * 开启或关闭换题时的指针动画
+     * @param {boolean} enabled - 是否开启
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.finishTransition();
+        }
+    }
+
+    /**
+     * 开启或关闭秒针平滑走动
+     * @param {boolean} enabled - 是否开启
+     */
+    setSmoothSeconds(enabled) {
+        this.smoothSeconds = !!enabled;
+        if (!this.smoothSeconds) {
+            this.stopSweep();
+        }
+    }
+
+    /**
+     * 设置是否减少动态效果（减少时停止所有动画）
+     * @param {boolean} reduced - 是否减少动态效果
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = !!reduced;
+        if (this.reducedMotion) {
+            this.finishTransition();
+            this.stopSweep();
+        }
+    }
+
+    /**
+     * 是否正在播放换题动画
+     * @returns {boolean} 是否正在播放
+     */
+    isAnimating() {
+        return !!this.transition;
+    }
+
+    /**
+     * 把时钟转到新时间：可以播放动画时指针沿最短路径转过去，否则直接绘制
+     * @param {Object} time - 目标时间
+     * @param {boolean} showGuideLines - 是否显示参考线
+     * @returns {boolean} 是否播放了动画
+     */
+    animateTo(time, showGuideLines = false) {
+        this.finishTransition(false);
+
+        const fromTime = this.renderer.getCurrentDisplayTime();
+        // 拨针模式的指针由拖动控制器决定，不播放动画
+        const canAnimate = this.enabled && this.isActive() && fromTime && !this.renderer.handAngleOverride;
+        const from = canAnimate ? this.getDialPosition(fromTime) : null;
+        const to = this.getDialPosition(time);
+        const deltaMinutes = from ? this.getShortestDelta(from.clockMinutes, to.clockMinutes, 720) : 0;
+        const deltaSeconds = from ? this.getShortestDelta(from.seconds, to.seconds, 60) : 0;
+        this.renderer.setDisplayTime(time);
+
+        if (!from || (deltaMinutes === 0 && deltaSeconds === 0)) {
+            this.renderer.render(time, showGuideLines);
+            return false;
+        }
+
+        // 转得越远动画越长，但不超过最长时长
+        const duration = Math.min(this.maxDuration, this.minDuration + Math.abs(deltaMinutes) / 60 * this.msPerClockHour);
+        this.transition = {
+            time: { ...time },
+            showGuideLines: showGuideLines,
+            from: from,
+            deltaMinutes: deltaMinutes,
+            deltaSeconds: deltaSeconds,
+            startedAt: this.now(),
+            duration: duration,
+            frame: null
+        };
+        this.logger.debug('🎞️ 指针动画开始:', { from: fromTime, to: time, deltaMinutes, duration: Math.round(duration) });
+
+        this.transition.frame = this.requestFrame(() => this.stepTransition());
+        return true;
+    }
+
+    /**
+     * 绘制换题动画的一帧
+     */
+    stepTransition() {
+        const transition = this.transition;
+        if (!transition) {
+            return;
+        }
+
+        const progress = Math.min(1, (this.now() - transition.startedAt) / transition.duration);
+        if (progress >= 1) {
+            this.finishTransition();
+            return;
+        }
+
+        // 先加速后减速，开头和结尾都比较柔和
+        const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+        const clockMinutes = transition.from.clockMinutes + transition.deltaMinutes * eased;
+        const seconds = transition.from.seconds + transition.deltaSeconds * eased;
+        this.drawFrame({
+            hour: this.normalizeDegrees(clockMinutes * 0.5),
+            minute: this.normalizeDegrees(clockMinutes * 6),
+            second: this.normalizeDegrees(seconds * 6)
+        }, transition.time, transition.showGuideLines);
+
+        transition.frame = this.requestFrame(() => this.stepTransition());
+    }
+
+    /**
+     * 结束换题动画，把指针放到目标时间
+     * @param {boolean} renderTarget - 是否绘制目标时间
+     */
+    finishTransition(renderTarget = true) {
+        const transition = this.transition;
+        if (!transition) {
+            return;
+        }
+
+        this.cancelFrame(transition.frame);
+        this.transition = null;
+        if (!renderTarget) {
+            return;
+        }
+
+        this.renderer.render(transition.time, transition.showGuideLines);
+
+        // 性能优化器对渲染有16ms节流，延迟补绘一次确保最终位置被绘制
+        if (this.finalRenderTimeout) {
+            clearTimeout(this.finalRenderTimeout);
+        }
+        this.finalRenderTimeout = setTimeout(() => {
+            this.finalRenderTimeout = null;
+            if (!this.transition && !this.renderer.handAngleOverride) {
+                this.renderer.render(this.renderer.getCurrentDisplayTime() || transition.time, this.renderer.showGuideLines);
+            }
+        }, 32);
+    }
+
+    /**
+     * 自动走动走了一秒：记录时刻，需要时启动秒针平滑走动
+     */
+    handleTick() {
+        this.lastTickAt = this.now();
+        if (this.smoothSeconds && this.isActive() && !this.sweepFrame) {
+            this.sweepFrame = this.requestFrame(() => this.stepSweep());
+        }
+    }
+
+    /**
+     * 绘制秒针平滑走动的一帧（时针和分针位置不变，秒针按上次走动后经过的时间插值）
+     */
+    stepSweep() {
+        this.sweepFrame = null;
+        const time = this.renderer.getCurrentDisplayTime();
+        if (!this.smoothSeconds || !this.isActive() || !this.renderer.autoTick || !time) {
+            return;
+        }
+
+        if (!this.transition && !this.renderer.handAngleOverride) {
+            const fraction = Math.min(0.999, Math.max(0, (this.now() - this.lastTickAt) / 1000));
+            this.drawFrame({
+                hour: this.normalizeDegrees((time.hours % 12) * 30 + time.minutes * 0.5),
+                minute: this.normalizeDegrees(time.minutes * 6),
+                second: this.normalizeDegrees(((time.seconds || 0) + fraction) * 6)
+            }, time, this.renderer.showGuideLines);
+        }
+        this.sweepFrame = this.requestFrame(() => this.stepSweep());
+    }
+
+    /**
+     * 停止秒针平滑走动
+     */
+    stopSweep() {
+        if (this.sweepFrame) {
+            this.cancelFrame(this.sweepFrame);
+            this.sweepFrame = null;
+        }
+    }
+
+    /**
+     * 停止所有动画（换题动画直接跳到目标时间）
+     */
+    stop() {
+        this.finishTransition();
+        this.stopSweep();
+    }
+
+    /**
+     * 按指定的指针角度绘制一帧，绘制后恢复按时间绘制
+     * @param {Object} handAngles - 包含hour, minute, second的表盘度数
+     * @param {Object} time - 这一帧对应的时间（渲染器需要有效的时间对象）
+     * @param {boolean} showGuideLines - 是否显示参考线
+     */
+    drawFrame(handAngles, time, showGuideLines) {
+        try {
+            this.renderer.setHandAngleOverride(handAngles);
+            this.renderer.render(time, showGuideLines);
+        } catch (error) {
+            this.logger.error('绘制动画帧失败:', error);
+            this.transition = null;
+            this.stopSweep();
+        } finally {
+            this.renderer.setHandAngleOverride(null);
+        }
+    }
+
+    /**
+     * 时间在钟面上的位置：12小时内走过的分钟数和秒数
+     * @param {Object} time - 时间对象
+     * @returns {Object} {clockMinutes, seconds}
+     */
+    getDialPosition(time) {
+        return {
+            clockMinutes: (time.hours % 12) * 60 + time.minutes,
+            seconds: time.seconds || 0
+        };
+    }
+
+    /**
+     * 在循环的刻度上从from到to的最短差值（正数顺时针，负数逆时针）
+     * @param {number} from - 起点
+     * @param {number} to - 终点
+     * @param {number} cycle - 一圈的长度
+     * @returns {number} 差值
+     */
+    getShortestDelta(from, to, cycle) {
+        const delta = (((to - from) % cycle) + cycle) % cycle;
+        return delta > cycle / 2 ? delta - cycle : delta;
+    }
+
+    /**
+     * 把角度规范到0-360度
+     * @param {number} degrees - 角度
+     * @returns {number} 规范后的角度
+     */
+    normalizeDegrees(degrees) {
+        return ((degrees % 360) + 360) % 360;
+    }
+}
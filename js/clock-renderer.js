@@ -1,9 +1,18 @@
 /**
  * 时钟渲染器类
  * 使用Canvas绘制模拟时钟，支持参考线功能
+ * 表盘、指针和参考线的几何数据由getClockFaceGeometry/getHandGeometry/getGuideLineGeometry统一计算，
+ * 颜色、字体和尺寸来自当前钟面主题（见ThemeManager），
+ * Canvas不可用时改由SvgClockRenderer按同一套几何数据绘制SVG模拟时钟
  */
 class ClockRenderer {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas - 时钟Canvas
+     * @param {Object} theme - 钟面主题（ThemeManager中的完整主题对象），默认经典主题
+     */
+    constructor(canvas, theme = null) {
+        this.logger = Logger.getInstance().channel('renderer');
+        this.i18n = I18nManager.getInstance();
         this.canvas = canvas;
         this.ctx = null;
         this.centerX = 0;
@@ -16,6 +25,15 @@ class ClockRenderer {
         this.tickInterval = null; // 自动走动定时器
         this.currentTime = null; // 当前显示的时间
         this.originalTime = null; // 原始题目时间（用于恢复）
+        this.handAngleOverride = null; // 拨针模式下的指针角度（度数，从12点顺时针）
+        this.hintStep = 0; // 当前题目已显示的提示步数（0-4），见drawHintOverlays
+        this.maxHintStep = 4;
+        this.overlays = { minuteLabels: false, minuteSector: false, hourZone: false }; // 教学标注开关，见setOverlay
+        this.explanationFrame = null; // 动画讲解的当前画面，见setExplanationFrame
+        this.svgRenderer = null; // Canvas不可用时使用的SVG渲染器
+        
+        this.theme = theme || ThemeManager.getClassicTheme(); // 钟面主题（Canvas和SVG共用）
+        this.faceStyle = 'arabic'; // 钟面数字样式（难度维度）：arabic/roman/quarters/ticks
         
         // 检测Canvas支持
         this.checkCanvasSupport();
@@ -35,7 +53,7 @@ class ClockRenderer {
         try {
             // 检查是否存在canvas元素
             if (!this.canvas) {
-                console.warn('Canvas元素不存在');
+                this.logger.warn('Canvas元素不存在');
                 this.isCanvasSupported = false;
                 return;
             }
@@ -43,7 +61,7 @@ class ClockRenderer {
             // 检查是否支持2D上下文
             this.ctx = this.canvas.getContext('2d');
             if (!this.ctx) {
-                console.warn('浏览器不支持Canvas 2D上下文');
+                this.logger.warn('浏览器不支持Canvas 2D上下文');
                 this.isCanvasSupported = false;
                 return;
             }
@@ -52,14 +70,14 @@ class ClockRenderer {
             if (typeof this.ctx.beginPath !== 'function' || 
                 typeof this.ctx.arc !== 'function' || 
                 typeof this.ctx.stroke !== 'function') {
-                console.warn('Canvas 2D上下文功能不完整');
+                this.logger.warn('Canvas 2D上下文功能不完整');
                 this.isCanvasSupported = false;
                 return;
             }
             
             this.isCanvasSupported = true;
         } catch (error) {
-            console.error('Canvas支持检测失败:', error);
+            this.logger.error('Canvas支持检测失败:', error);
             this.isCanvasSupported = false;
         }
     }
@@ -69,7 +87,7 @@ class ClockRenderer {
      */
     initializeFallback() {
         try {
-            console.info('使用降级模式显示时钟');
+            this.logger.info('使用降级模式显示时钟');
             
             // 隐藏Canvas，显示降级界面
             if (this.canvas) {
@@ -92,15 +110,17 @@ class ClockRenderer {
                 fallback.classList.add('canvas-fallback-active');
             }
             
-            // 禁用参考线功能
-            this.disableGuideLineFeature('Canvas不支持');
+            // 优先使用SVG绘制模拟时钟，SVG也不可用时才退回数字时钟并禁用参考线
+            if (!this.getSvgFallbackRenderer()) {
+                this.disableGuideLineFeature(this.i18n.t('clock.errors.unsupported'));
+            }
             
             // 显示降级模式提示
             this.showFallbackModeMessage();
             
-            console.log('降级模式初始化完成');
+            this.logger.debug('降级模式初始化完成');
         } catch (error) {
-            console.error('初始化降级模式失败:', error);
+            this.logger.error('初始化降级模式失败:', error);
             this.createEmergencyFallback();
         }
     }
@@ -120,11 +140,9 @@ class ClockRenderer {
                     <div class="fallback-icon">🕐</div>
                     <div class="digital-time-display">
                         <div id="digital-time" class="digital-time">00:00:00</div>
-                        <div class="fallback-label">数字时钟显示</div>
-                    </div>
-                    <div class="fallback-message">
-                        您的浏览器不支持Canvas，使用数字时钟显示
+                        <div class="fallback-label" data-i18n="clock.fallbackLabel">${this.i18n.t('clock.fallbackLabel')}</div>
                     </div>
+                    <div class="fallback-message" data-i18n="clock.fallback">${this.i18n.t('clock.fallback')}</div>
                 </div>
             `;
             
@@ -138,12 +156,43 @@ class ClockRenderer {
             } else {
                 // 如果找不到合适的容器，插入到body中
                 document.body.appendChild(fallback);
-                console.warn('未找到时钟容器，降级界面已插入到body中');
+                this.logger.warn('未找到时钟容器，降级界面已插入到body中');
             }
             
             return fallback;
         } catch (error) {
-            console.error('创建降级界面失败:', error);
+            this.logger.error('创建降级界面失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 获取降级用的SVG渲染器，首次调用时在降级界面中创建
+     * @returns {SvgClockRenderer|null} SVG渲染器，SVG不可用时返回null
+     */
+    getSvgFallbackRenderer() {
+        if (this.svgRenderer) {
+            return this.svgRenderer;
+        }
+        if (typeof SvgClockRenderer === 'undefined' || !SvgClockRenderer.isSupported()) {
+            this.logger.warn('浏览器不支持SVG，降级为数字时钟');
+            return null;
+        }
+
+        try {
+            const fallback = document.getElementById('clock-fallback') || this.createFallbackInterface();
+            if (!fallback) {
+                return null;
+            }
+
+            this.svgRenderer = new SvgClockRenderer(this);
+            this.svgRenderer.mount(fallback);
+            fallback.classList.add('svg-fallback-active');
+            this.logger.debug('✅ 已切换为SVG模拟时钟');
+            return this.svgRenderer;
+        } catch (error) {
+            this.logger.error('创建SVG时钟失败:', error);
+            this.svgRenderer = null;
             return null;
         }
     }
@@ -164,11 +213,11 @@ class ClockRenderer {
                 if (toggleContainer) {
                     toggleContainer.style.opacity = '0.5';
                     toggleContainer.style.cursor = 'not-allowed';
-                    toggleContainer.title = `参考线功能不可用: ${reason}`;
+                    toggleContainer.title = this.i18n.t('clock.errors.guideLinesUnavailable', { reason: reason });
                 }
             }
         } catch (error) {
-            console.error('禁用参考线功能失败:', error);
+            this.logger.error('禁用参考线功能失败:', error);
         }
     }
 
@@ -193,7 +242,7 @@ class ClockRenderer {
             messageElement.innerHTML = `
                 <div class="message-content">
                     <span class="message-icon">ℹ️</span>
-                    <span class="message-text">当前使用数字时钟模式，参考线功能不可用</span>
+                    <span class="message-text">${this.i18n.t(this.svgRenderer ? 'clock.fallbackSvg' : 'clock.fallbackDigital')}</span>
                     <button class="message-close" onclick="this.parentElement.parentElement.style.display='none'">×</button>
                 </div>
             `;
@@ -206,7 +255,7 @@ class ClockRenderer {
                 }
             }, 10000);
         } catch (error) {
-            console.error('显示降级模式提示失败:', error);
+            this.logger.error('显示降级模式提示失败:', error);
         }
     }
 
@@ -215,7 +264,7 @@ class ClockRenderer {
      */
     createEmergencyFallback() {
         try {
-            console.warn('使用紧急降级方案');
+            this.logger.warn('使用紧急降级方案');
             
             // 创建最简单的文本显示
             let emergencyElement = document.getElementById('emergency-clock');
@@ -243,9 +292,9 @@ class ClockRenderer {
             }
             
             emergencyElement.innerHTML = `
-                <div>⏰ 时钟显示</div>
+                <div data-i18n="clock.emergency.title">${this.i18n.t('clock.emergency.title')}</div>
                 <div id="emergency-time" style="font-size: 32px; margin: 10px 0;">00:00:00</div>
-                <div style="font-size: 14px; color: #666;">时钟功能受限，仅显示数字时间</div>
+                <div style="font-size: 14px; color: #666;" data-i18n="clock.emergency.hint">${this.i18n.t('clock.emergency.hint')}</div>
             `;
             
             // 隐藏其他时钟相关元素
@@ -254,7 +303,7 @@ class ClockRenderer {
             if (fallback) fallback.style.display = 'none';
             
         } catch (error) {
-            console.error('创建紧急降级方案也失败:', error);
+            this.logger.error('创建紧急降级方案也失败:', error);
         }
     }
 
@@ -266,7 +315,7 @@ class ClockRenderer {
         
         // 防止频繁重新初始化 - 使用更严格的检查
         if (this.isCanvasInitialized() && !this.needsReinitialize) {
-            console.log('Canvas已初始化，跳过重复初始化');
+            this.logger.debug('Canvas已初始化，跳过重复初始化');
             return;
         }
         
@@ -278,11 +327,11 @@ class ClockRenderer {
      * 执行Canvas初始化
      */
     performCanvasInitialization() {
-        console.log('🔧 开始执行Canvas初始化...');
+        this.logger.debug('🔧 开始执行Canvas初始化...');
         try {
             // 设置高DPI支持
             const devicePixelRatio = window.devicePixelRatio || 1;
-            console.log('📱 设备像素比:', devicePixelRatio);
+            this.logger.debug('📱 设备像素比:', devicePixelRatio);
             
             // 等待DOM稳定后获取尺寸
             let width, height;
@@ -291,16 +340,16 @@ class ClockRenderer {
             const computedStyle = window.getComputedStyle(this.canvas);
             width = parseInt(computedStyle.width) || 300;
             height = parseInt(computedStyle.height) || 300;
-            console.log('📏 CSS样式尺寸:', { width, height });
+            this.logger.debug('📏 CSS样式尺寸:', { width, height });
             
             // 如果CSS没有设置，再尝试getBoundingClientRect
             if (width === 300 && height === 300) {
                 const rect = this.canvas.getBoundingClientRect();
-                console.log('📐 getBoundingClientRect结果:', rect);
+                this.logger.debug('📐 getBoundingClientRect结果:', rect);
                 if (rect.width > 0 && rect.height > 0) {
                     width = rect.width;
                     height = rect.height;
-                    console.log('📏 使用getBoundingClientRect尺寸:', { width, height });
+                    this.logger.debug('📏 使用getBoundingClientRect尺寸:', { width, height });
                 }
             }
             
@@ -311,7 +360,7 @@ class ClockRenderer {
             this.canvas.height = height * devicePixelRatio;
             this.canvas.style.width = width + 'px';
             this.canvas.style.height = height + 'px';
-            console.log('🖼️ Canvas尺寸变化:', {
+            this.logger.debug('🖼️ Canvas尺寸变化:', {
                 old: { width: oldCanvasWidth, height: oldCanvasHeight },
                 new: { width: this.canvas.width, height: this.canvas.height },
                 style: { width: this.canvas.style.width, height: this.canvas.style.height }
@@ -319,11 +368,11 @@ class ClockRenderer {
             
             // 完全重置变换矩阵，确保没有累积变换
             this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-            console.log('🔄 Canvas变换矩阵完全重置');
+            this.logger.debug('🔄 Canvas变换矩阵完全重置');
             
             // 应用设备像素比缩放
             this.ctx.scale(devicePixelRatio, devicePixelRatio);
-            console.log('🔄 Canvas应用设备像素比缩放:', devicePixelRatio);
+            this.logger.debug('🔄 Canvas应用设备像素比缩放:', devicePixelRatio);
             
             // 计算中心点和半径 - 确保表盘居中
             const oldCenterX = this.centerX;
@@ -332,7 +381,7 @@ class ClockRenderer {
             this.centerX = width / 2;
             this.centerY = height / 2;
             this.radius = Math.min(width, height) / 2 - 40; // 留出边距
-            console.log('🎯 表盘参数变化:', {
+            this.logger.debug('🎯 表盘参数变化:', {
                 old: { centerX: oldCenterX, centerY: oldCenterY, radius: oldRadius },
                 new: { centerX: this.centerX, centerY: this.centerY, radius: this.radius }
             });
@@ -340,7 +389,7 @@ class ClockRenderer {
             // 设置抗锯齿
             this.ctx.imageSmoothingEnabled = true;
             this.ctx.imageSmoothingQuality = 'high';
-            console.log('✨ 抗锯齿设置完成');
+            this.logger.debug('✨ 抗锯齿设置完成');
             
             // 重置标志
             this.needsReinitialize = false;
@@ -348,7 +397,7 @@ class ClockRenderer {
             // 验证初始化结果
             this.validateCanvasInitialization();
             
-            console.log('✅ Canvas初始化完成:', {
+            this.logger.debug('✅ Canvas初始化完成:', {
                 cssWidth: width,
                 cssHeight: height,
                 canvasWidth: this.canvas.width,
@@ -360,8 +409,8 @@ class ClockRenderer {
             });
             
         } catch (error) {
-            console.error('❌ Canvas初始化失败:', error);
-            console.error('❌ 错误堆栈:', error.stack);
+            this.logger.error('❌ Canvas初始化失败:', error);
+            this.logger.error('❌ 错误堆栈:', error.stack);
             this.needsReinitialize = true;
         }
     }
@@ -374,7 +423,7 @@ class ClockRenderer {
             // 检查Canvas参数是否合理
             if (!this.centerX || !this.centerY || !this.radius || 
                 isNaN(this.centerX) || isNaN(this.centerY) || isNaN(this.radius)) {
-                console.error('❌ Canvas初始化验证失败: 参数异常');
+                this.logger.error('❌ Canvas初始化验证失败: 参数异常');
                 this.needsReinitialize = true;
                 return false;
             }
@@ -382,7 +431,7 @@ class ClockRenderer {
             // 检查Canvas尺寸是否合理
             if (!this.canvas.width || !this.canvas.height || 
                 this.canvas.width <= 0 || this.canvas.height <= 0) {
-                console.error('❌ Canvas初始化验证失败: 尺寸异常');
+                this.logger.error('❌ Canvas初始化验证失败: 尺寸异常');
                 this.needsReinitialize = true;
                 return false;
             }
@@ -390,7 +439,7 @@ class ClockRenderer {
             // 检查表盘半径是否合理
             const maxRadius = Math.min(this.canvas.width, this.canvas.height) / 2;
             if (this.radius > maxRadius || this.radius <= 0) {
-                console.error('❌ Canvas初始化验证失败: 半径异常', {
+                this.logger.error('❌ Canvas初始化验证失败: 半径异常', {
                     radius: this.radius,
                     maxRadius: maxRadius
                 });
@@ -398,11 +447,11 @@ class ClockRenderer {
                 return false;
             }
             
-            console.log('✅ Canvas初始化验证通过');
+            this.logger.debug('✅ Canvas初始化验证通过');
             return true;
             
         } catch (error) {
-            console.error('❌ Canvas初始化验证失败:', error);
+            this.logger.error('❌ Canvas初始化验证失败:', error);
             this.needsReinitialize = true;
             return false;
         }
@@ -412,7 +461,7 @@ class ClockRenderer {
      * 调试Canvas状态
      */
     debugCanvasState() {
-        console.log('🔍 Canvas调试信息:', {
+        this.logger.debug('🔍 Canvas调试信息:', {
             canvas: this.canvas,
             ctx: this.ctx,
             isCanvasSupported: this.isCanvasSupported,
@@ -429,7 +478,7 @@ class ClockRenderer {
      * 诊断Canvas状态和坐标系统
      */
     diagnoseCanvasState() {
-        console.log('🏥 开始Canvas状态诊断...');
+        this.logger.debug('🏥 开始Canvas状态诊断...');
         
         // 基本状态检查
         const basicState = {
@@ -438,10 +487,10 @@ class ClockRenderer {
             Canvas支持: this.isCanvasSupported,
             已初始化: this.isCanvasInitialized()
         };
-        console.log('📋 基本状态:', basicState);
+        this.logger.debug('📋 基本状态:', basicState);
         
         if (!this.canvas) {
-            console.error('❌ Canvas元素不存在');
+            this.logger.error('❌ Canvas元素不存在');
             return;
         }
         
@@ -461,7 +510,7 @@ class ClockRenderer {
             clientWidth: this.canvas.clientWidth,
             clientHeight: this.canvas.clientHeight
         };
-        console.log('📏 尺寸信息:', sizeInfo);
+        this.logger.debug('📏 尺寸信息:', sizeInfo);
         
         // 坐标系统信息
         const coordinateInfo = {
@@ -473,7 +522,7 @@ class ClockRenderer {
                 height: parseInt(this.canvas.style.height) || 0
             }
         };
-        console.log('🎯 坐标系统:', coordinateInfo);
+        this.logger.debug('🎯 坐标系统:', coordinateInfo);
         
         // 检查坐标合理性
         const cssWidth = parseInt(this.canvas.style.width) || 0;
@@ -485,12 +534,12 @@ class ClockRenderer {
             坐标不为零: this.centerX > 0 && this.centerY > 0,
             坐标不为NaN: !isNaN(this.centerX) && !isNaN(this.centerY) && !isNaN(this.radius)
         };
-        console.log('✅ 坐标检查:', coordinateCheck);
+        this.logger.debug('✅ 坐标检查:', coordinateCheck);
         
         // Canvas变换矩阵信息
         if (this.ctx) {
             const transform = this.ctx.getTransform();
-            console.log('🔄 变换矩阵:', {
+            this.logger.debug('🔄 变换矩阵:', {
                 a: transform.a, // 水平缩放
                 b: transform.b, // 水平倾斜
                 c: transform.c, // 垂直倾斜
@@ -502,7 +551,7 @@ class ClockRenderer {
         
         // 绘制测试点
         if (this.ctx && this.isCanvasInitialized()) {
-            console.log('🎨 绘制测试点...');
+            this.logger.debug('🎨 绘制测试点...');
             this.ctx.save();
             
             // 绘制Canvas四个角的测试点
@@ -524,10 +573,10 @@ class ClockRenderer {
             this.ctx.stroke();
             
             this.ctx.restore();
-            console.log('✅ 测试点绘制完成');
+            this.logger.debug('✅ 测试点绘制完成');
         }
         
-        console.log('🏥 Canvas状态诊断完成');
+        this.logger.debug('🏥 Canvas状态诊断完成');
     }
 
     /**
@@ -535,11 +584,11 @@ class ClockRenderer {
      */
     visualDebugCoordinates() {
         if (!this.ctx || !this.isCanvasInitialized()) {
-            console.error('❌ Canvas未初始化，无法进行可视化调试');
+            this.logger.error('❌ Canvas未初始化，无法进行可视化调试');
             return;
         }
         
-        console.log('🎨 开始可视化调试Canvas坐标系统...');
+        this.logger.debug('🎨 开始可视化调试Canvas坐标系统...');
         
         // 保存当前状态
         this.ctx.save();
@@ -551,7 +600,7 @@ class ClockRenderer {
         // 清空画布（使用CSS逻辑坐标系统）
         this.ctx.clearRect(0, 0, cssWidth, cssHeight);
         
-        console.log('🎨 可视化调试尺寸信息:', {
+        this.logger.debug('🎨 可视化调试尺寸信息:', {
             Canvas实际尺寸: { width: this.canvas.width, height: this.canvas.height },
             CSS显示尺寸: { width: cssWidth, height: cssHeight },
             中心点: { x: this.centerX, y: this.centerY },
@@ -627,8 +676,8 @@ class ClockRenderer {
         // 恢复状态
         this.ctx.restore();
         
-        console.log('✅ 可视化调试完成');
-        console.log('📊 调试信息:', {
+        this.logger.debug('✅ 可视化调试完成');
+        this.logger.debug('📊 调试信息:', {
             CSS尺寸: { width: cssWidth, height: cssHeight },
             Canvas实际尺寸: { width: this.canvas.width, height: this.canvas.height },
             中心点: { x: this.centerX, y: this.centerY },
@@ -644,7 +693,7 @@ class ClockRenderer {
      * @param {Function} onComplete - 重绘完成回调函数
      */
     render(time, showGuideLines = false, onComplete = null) {
-        console.log('🎨 [DEBUG] ====== 开始渲染时钟 ======', {
+        this.logger.debug('🎨 [DEBUG] ====== 开始渲染时钟 ======', {
             time: time,
             showGuideLines: showGuideLines,
             timestamp: new Date().toISOString(),
@@ -658,8 +707,8 @@ class ClockRenderer {
         
         // 验证时间对象
         if (!this.validateTime(time)) {
-            console.error('❌ 无效的时间对象:', time);
-            console.error('❌ 时间验证失败详情:', {
+            this.logger.error('❌ 无效的时间对象:', time);
+            this.logger.error('❌ 时间验证失败详情:', {
                 type: typeof time,
                 isObject: time && typeof time === 'object',
                 hours: time?.hours,
@@ -671,37 +720,37 @@ class ClockRenderer {
             }
             return;
         }
-        console.log('✅ 时间对象验证通过');
+        this.logger.debug('✅ 时间对象验证通过');
 
         if (!this.isCanvasSupported) {
-            console.log('⚠️ Canvas不支持，使用降级模式');
-            this.renderFallback(time);
+            this.logger.debug('⚠️ Canvas不支持，使用降级模式');
+            this.renderFallback(time, showGuideLines);
             if (onComplete) {
                 setTimeout(onComplete, 10);
             }
             return;
         }
-        console.log('✅ Canvas支持检查通过');
+        this.logger.debug('✅ Canvas支持检查通过');
 
         try {
-            console.log('🚀 立即执行渲染（已移除防抖）');
+            this.logger.debug('🚀 立即执行渲染（已移除防抖）');
             // 直接执行渲染，不使用防抖
             this.executeRender(time, showGuideLines);
             
             // 渲染完成后调用回调
             if (onComplete) {
                 setTimeout(() => {
-                    console.log('✅ 渲染完成，调用回调函数');
+                    this.logger.debug('✅ 渲染完成，调用回调函数');
                     onComplete();
                 }, 50); // 给渲染留出一点时间
             }
 
         } catch (error) {
-            console.error('❌ 时钟渲染失败:', error);
-            console.error('❌ 渲染错误堆栈:', error.stack);
+            this.logger.error('❌ 时钟渲染失败:', error);
+            this.logger.error('❌ 渲染错误堆栈:', error.stack);
             // 使用新的渲染失败处理方法
-            this.handleCanvasRenderFailure(error.message || '未知渲染错误');
-            this.renderFallback(time);
+            this.handleCanvasRenderFailure(error.message || this.i18n.t('clock.errors.unknown'));
+            this.renderFallback(time, showGuideLines);
             if (onComplete) {
                 setTimeout(onComplete, 10);
             }
@@ -714,7 +763,7 @@ class ClockRenderer {
      * @param {boolean} showGuideLines - 是否显示参考线
      */
     executeRender(time, showGuideLines = false) {
-        console.log('🚀 [DEBUG] 执行实际渲染逻辑:', {
+        this.logger.debug('🚀 [DEBUG] 执行实际渲染逻辑:', {
             time: time,
             showGuideLines: showGuideLines,
             currentTime: this.currentTime,
@@ -732,54 +781,54 @@ class ClockRenderer {
         try {
             // 只在必要时更新当前显示时间（避免参考线切换时重置时间）
             if (!showGuideLines || !this.currentTime) {
-                console.log('🔄 更新当前显示时间:', { from: this.currentTime, to: time });
+                this.logger.debug('🔄 更新当前显示时间:', { from: this.currentTime, to: time });
                 this.currentTime = { ...time };
             } else {
-                console.log('⏭️ 保持当前显示时间不变:', this.currentTime);
+                this.logger.debug('⏭️ 保持当前显示时间不变:', this.currentTime);
             }
             
             // 更新参考线状态
             const oldShowGuideLines = this.showGuideLines;
             this.showGuideLines = showGuideLines;
-            console.log('📏 参考线状态变化:', { from: oldShowGuideLines, to: this.showGuideLines });
+            this.logger.debug('📏 参考线状态变化:', { from: oldShowGuideLines, to: this.showGuideLines });
             
             // 确保Canvas已正确初始化（只在真正需要时初始化）
             if (!this.ctx) {
-                console.error('❌ Canvas上下文丢失');
-                this.renderFallback(time);
+                this.logger.error('❌ Canvas上下文丢失');
+                this.renderFallback(time, showGuideLines);
                 return;
             }
-            console.log('✅ Canvas上下文检查通过');
+            this.logger.debug('✅ Canvas上下文检查通过');
             
             // 检查Canvas状态，但避免频繁重新初始化
             if (!this.isCanvasInitialized()) {
-                console.log('⚠️ Canvas需要初始化');
+                this.logger.debug('⚠️ Canvas需要初始化');
                 
                 // 如果正在初始化中，等待完成
                 if (this.initTimeout) {
-                    console.log('⏳ Canvas正在初始化中，等待完成');
+                    this.logger.debug('⏳ Canvas正在初始化中，等待完成');
                     setTimeout(() => {
-                        console.log('🔄 重新尝试渲染');
+                        this.logger.debug('🔄 重新尝试渲染');
                         this.executeRender(time, showGuideLines);
                     }, 100);
                     return;
                 }
                 
                 // 立即执行初始化
-                console.log('🔧 立即执行Canvas初始化');
+                this.logger.debug('🔧 立即执行Canvas初始化');
                 this.performCanvasInitialization();
                 
                 // 再次检查初始化结果
                 if (!this.isCanvasInitialized()) {
-                    console.error('❌ Canvas初始化失败，使用降级模式');
-                    this.renderFallback(time);
+                    this.logger.error('❌ Canvas初始化失败，使用降级模式');
+                    this.renderFallback(time, showGuideLines);
                     return;
                 }
-                console.log('✅ Canvas初始化成功');
+                this.logger.debug('✅ Canvas初始化成功');
             }
             
-            console.log('✅ Canvas状态正常，开始绘制');
-            console.log('🎯 当前Canvas参数:', {
+            this.logger.debug('✅ Canvas状态正常，开始绘制');
+            this.logger.debug('🎯 当前Canvas参数:', {
                 centerX: this.centerX,
                 centerY: this.centerY,
                 radius: this.radius,
@@ -790,50 +839,64 @@ class ClockRenderer {
             // 如果表盘参数异常，进行详细诊断
             if (!this.centerX || !this.centerY || !this.radius || 
                 isNaN(this.centerX) || isNaN(this.centerY) || isNaN(this.radius)) {
-                console.warn('⚠️ 检测到表盘参数异常，开始详细诊断...');
+                this.logger.warn('⚠️ 检测到表盘参数异常，开始详细诊断...');
                 this.diagnoseCanvasState();
             }
             
             // 保存当前Canvas状态
             this.ctx.save();
-            console.log('💾 Canvas状态已保存');
+            this.logger.debug('💾 Canvas状态已保存');
             
             // 只在Canvas未初始化或需要重新初始化时才重置变换矩阵
             if (!this.isCanvasInitialized() || this.needsReinitialize) {
                 // 完全重置变换矩阵，确保没有累积变换
                 this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-                console.log('🔄 渲染前Canvas变换矩阵重置');
+                this.logger.debug('🔄 渲染前Canvas变换矩阵重置');
                 
                 // 应用设备像素比缩放
                 const devicePixelRatio = window.devicePixelRatio || 1;
                 this.ctx.scale(devicePixelRatio, devicePixelRatio);
-                console.log('🔄 渲染前应用设备像素比缩放:', devicePixelRatio);
+                this.logger.debug('🔄 渲染前应用设备像素比缩放:', devicePixelRatio);
             } else {
-                console.log('⏭️ Canvas已初始化，跳过变换矩阵重置');
+                this.logger.debug('⏭️ Canvas已初始化，跳过变换矩阵重置');
             }
             
             // 清空画布（使用实际Canvas尺寸）
             this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            console.log('🧹 画布已清空，使用实际Canvas尺寸:', { 
+            this.logger.debug('🧹 画布已清空，使用实际Canvas尺寸:', { 
                 width: this.canvas.width, 
                 height: this.canvas.height 
             });
             
             // 使用当前显示时间进行渲染（保持表盘时间不变）
             const renderTime = showGuideLines ? this.currentTime : time;
-            console.log('⏰ 使用渲染时间:', renderTime);
+            this.logger.debug('⏰ 使用渲染时间:', renderTime);
             
             // 完整渲染流程
-            console.log('🎨 开始绘制表盘...');
+            this.logger.debug('🎨 开始绘制表盘...');
             this.drawClockFace();
-            console.log('✅ 表盘绘制完成');
+            this.logger.debug('✅ 表盘绘制完成');
             
-            console.log('🕐 开始绘制指针...');
+            // 小时区间、分针走过的扇形（教学标注或第2步提示）画在指针下面
+            // 播放动画讲解时只画讲解的标注
+            const explanationFrame = this.explanationFrame;
+            if (explanationFrame) {
+                this.drawExplanationSweep(explanationFrame);
+            } else {
+                if (this.overlays.hourZone) {
+                    this.drawHourZone(renderTime);
+                }
+                if (this.overlays.minuteSector || this.hintStep >= 2) {
+                    this.drawMinuteSector(renderTime);
+                }
+            }
+            
+            this.logger.debug('🕐 开始绘制指针...');
             this.drawHands(renderTime);
-            console.log('✅ 指针绘制完成');
+            this.logger.debug('✅ 指针绘制完成');
             
             // 绘制参考线（如果启用）
-            console.log('🔍 [DEBUG] 参考线绘制检查:', {
+            this.logger.debug('🔍 [DEBUG] 参考线绘制检查:', {
                 showGuideLines_param: showGuideLines,
                 showGuideLines_property: this.showGuideLines,
                 renderTime: renderTime,
@@ -846,8 +909,8 @@ class ClockRenderer {
             });
             
             if (this.showGuideLines) {
-                console.log('📏 [DEBUG] 开始绘制参考线...');
-                console.log('🎯 [DEBUG] 参考线绘制前Canvas状态:', {
+                this.logger.debug('📏 [DEBUG] 开始绘制参考线...');
+                this.logger.debug('🎯 [DEBUG] 参考线绘制前Canvas状态:', {
                     fillStyle: this.ctx.fillStyle,
                     strokeStyle: this.ctx.strokeStyle,
                     lineWidth: this.ctx.lineWidth,
@@ -856,31 +919,43 @@ class ClockRenderer {
                 
                 this.drawGuideLines(renderTime);
                 
-                console.log('🎯 [DEBUG] 参考线绘制后Canvas状态:', {
+                this.logger.debug('🎯 [DEBUG] 参考线绘制后Canvas状态:', {
                     fillStyle: this.ctx.fillStyle,
                     strokeStyle: this.ctx.strokeStyle,
                     lineWidth: this.ctx.lineWidth,
                     lineDash: this.ctx.getLineDash()
                 });
-                console.log('✅ [DEBUG] 参考线绘制完成');
+                this.logger.debug('✅ [DEBUG] 参考线绘制完成');
             } else {
-                console.log('⏭️ [DEBUG] 跳过参考线绘制，showGuideLines为false');
+                this.logger.debug('⏭️ [DEBUG] 跳过参考线绘制，showGuideLines为false');
+            }
+            
+            // 其余提示画在指针上面（第3步提示已经画了分钟数字）
+            if (explanationFrame) {
+                this.drawExplanationOverlays(renderTime, explanationFrame);
+            } else {
+                if (this.hintStep > 0) {
+                    this.drawHintOverlays(renderTime);
+                }
+                if (this.overlays.minuteLabels && this.hintStep < 3) {
+                    this.drawMinuteLabels();
+                }
             }
             
             // 恢复Canvas状态
             this.ctx.restore();
-            console.log('🔄 Canvas状态已恢复');
+            this.logger.debug('🔄 Canvas状态已恢复');
             
             // 确保Canvas可见
             this.ensureCanvasVisible();
-            console.log('👁️ Canvas可见性已确保');
+            this.logger.debug('👁️ Canvas可见性已确保');
             
-            console.log('🎉 渲染完成！');
+            this.logger.debug('🎉 渲染完成！');
             
         } catch (error) {
-            console.error('❌ 执行时钟渲染失败:', error);
-            console.error('❌ 执行渲染错误堆栈:', error.stack);
-            console.error('❌ 错误发生时的状态:', {
+            this.logger.error('❌ 执行时钟渲染失败:', error);
+            this.logger.error('❌ 执行渲染错误堆栈:', error.stack);
+            this.logger.error('❌ 错误发生时的状态:', {
                 time: time,
                 showGuideLines: showGuideLines,
                 currentTime: this.currentTime,
@@ -890,8 +965,8 @@ class ClockRenderer {
                 canvasWidth: this.canvas?.width,
                 canvasHeight: this.canvas?.height
             });
-            this.handleCanvasRenderFailure(error.message || '未知渲染错误');
-            this.renderFallback(time);
+            this.handleCanvasRenderFailure(error.message || this.i18n.t('clock.errors.unknown'));
+            this.renderFallback(time, showGuideLines);
         }
     }
 
@@ -907,7 +982,7 @@ class ClockRenderer {
      * 强制重新初始化Canvas
      */
     forceReinitialize() {
-        console.log('🔄 强制重新初始化Canvas');
+        this.logger.debug('🔄 强制重新初始化Canvas');
         
         // 清除所有定时器
         if (this.initTimeout) {
@@ -930,13 +1005,13 @@ class ClockRenderer {
             try {
                 // 完全重置变换矩阵到单位矩阵
                 this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-                console.log('🔄 Canvas变换矩阵已完全重置');
+                this.logger.debug('🔄 Canvas变换矩阵已完全重置');
                 
                 // 清空画布
                 this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-                console.log('🧹 Canvas已清空');
+                this.logger.debug('🧹 Canvas已清空');
             } catch (error) {
-                console.error('❌ 重置Canvas变换矩阵失败:', error);
+                this.logger.error('❌ 重置Canvas变换矩阵失败:', error);
             }
         }
         
@@ -977,13 +1052,230 @@ class ClockRenderer {
         }
     }
 
+    /**
+     * 切换钟面主题，SVG时钟会按新主题重建（调用方负责重新渲染当前时间）
+     * @param {Object} theme - ThemeManager中的完整主题对象
+     */
+    setTheme(theme) {
+        if (!theme || !theme.hands || !theme.face) {
+            this.logger.error('❌ 无效的钟面主题:', theme);
+            return;
+        }
+        this.theme = theme;
+        if (this.svgRenderer && this.svgRenderer.container) {
+            this.svgRenderer.mount(this.svgRenderer.container);
+        }
+        this.logger.debug('🎨 钟面主题已切换:', theme.name);
+    }
+
+    /**
+     * 切换钟面数字样式（调用方负责重新渲染当前时间）
+     * @param {string} faceStyle - arabic-阿拉伯数字，roman-罗马数字，quarters-只有3/6/9/12，ticks-只有刻度
+     */
+    setFaceStyle(faceStyle) {
+        if (!['arabic', 'roman', 'quarters', 'ticks'].includes(faceStyle)) {
+            this.logger.error('❌ 无效的钟面样式:', faceStyle);
+            return;
+        }
+        this.faceStyle = faceStyle;
+        this.logger.debug('🕰️ 钟面样式已切换:', faceStyle);
+    }
+
+    /**
+     * 获取实际显示的钟面样式
+     * 选择阿拉伯数字时沿用主题自带的数字样式（如罗马数字主题、简约主题），其余样式优先于主题
+     * @returns {string} 钟面样式id
+     */
+    getEffectiveFaceStyle() {
+        if (this.faceStyle !== 'arabic' || this.theme.numerals.labels) {
+            return this.faceStyle;
+        }
+        if (this.theme.numerals.style === 'roman') {
+            return 'roman';
+        }
+        return this.theme.numerals.style === 'none' ? 'ticks' : 'arabic';
+    }
+
+    /**
+     * 获取钟点按当前钟面样式显示的数字文字
+     * @param {number} number - 钟点（1-12）
+     * @returns {string|null} 数字文字，不显示时返回null
+     */
+    getNumeralText(number) {
+        switch (this.faceStyle) {
+            case 'roman':
+                return ThemeManager.getNumeralLabel({ numerals: { labels: null, style: 'roman' } }, number);
+            case 'quarters':
+                if (number % 3 !== 0) {
+                    return null;
+                }
+                // 四个数字沿用主题的数字写法，主题不显示数字时用阿拉伯数字
+                return ThemeManager.getNumeralLabel(this.theme, number) || number.toString();
+            case 'ticks':
+                return null;
+            default:
+                return ThemeManager.getNumeralLabel(this.theme, number);
+        }
+    }
+
+    /**
+     * 获取页面时钟的表盘布局
+     * @returns {Object} 包含centerX, centerY, radius的对象
+     */
+    getClockLayout() {
+        return { centerX: this.centerX, centerY: this.centerY, radius: this.radius };
+    }
+
+    /**
+     * 计算表盘的几何数据（外圆、小时刻度和数字、分钟刻度、中心点）
+     * Canvas的drawClockFace和SvgClockRenderer都按这份数据绘制
+     * @param {Object} layout - 表盘布局 {centerX, centerY, radius}
+     * @returns {Object} 表盘几何数据
+     */
+    getClockFaceGeometry(layout = this.getClockLayout()) {
+        const { centerX, centerY, radius } = layout;
+        const theme = this.theme;
+        const pointAt = (angle, distance) => ({
+            x: centerX + distance * Math.cos(angle),
+            y: centerY + distance * Math.sin(angle)
+        });
+
+        // 小时刻度和数字：每小时30度，从12点开始
+        const hourMarks = [];
+        for (let i = 1; i <= 12; i++) {
+            const angle = (i * 30 - 90) * Math.PI / 180;
+            hourMarks.push({
+                number: i,
+                angle: angle,
+                start: pointAt(angle, radius - theme.ticks.hour.length),
+                end: pointAt(angle, radius),
+                label: pointAt(angle, radius - theme.numerals.inset),
+                text: this.getNumeralText(i) // 不显示数字时为null
+            });
+        }
+
+        // 分钟刻度：跳过小时刻度位置
+        const minuteMarks = [];
+        for (let i = 0; i < 60 && theme.ticks.minute.visible; i++) {
+            if (i % 5 !== 0) {
+                const angle = (i * 6 - 90) * Math.PI / 180;
+                minuteMarks.push({
+                    minute: i,
+                    angle: angle,
+                    start: pointAt(angle, radius - theme.ticks.minute.length),
+                    end: pointAt(angle, radius)
+                });
+            }
+        }
+
+        return {
+            centerX,
+            centerY,
+            radius,
+            hourMarks,
+            minuteMarks,
+            showHourTicks: theme.ticks.hour.visible,
+            centerDotRadius: theme.centerDot.radius,
+            theme: theme
+        };
+    }
+
+    /**
+     * 计算三根指针的绘制角度（拨针模式下直接使用拖动得到的指针角度）
+     * @param {Object} time - 时间对象
+     * @param {boolean} useOverride - 是否使用拨针模式的指针角度
+     * @returns {Object} 包含hour, minute, second的角度（弧度）
+     */
+    getHandAngles(time, useOverride = true) {
+        const override = useOverride ? this.handAngleOverride : null;
+        if (override) {
+            return {
+                hour: this.convertClockDegreesToAngle(override.hour),
+                minute: this.convertClockDegreesToAngle(override.minute),
+                second: this.convertClockDegreesToAngle(override.second)
+            };
+        }
+        return {
+            hour: this.calculateHourAngle(time.hours, time.minutes),
+            minute: this.calculateMinuteAngle(time.minutes),
+            second: this.calculateSecondAngle(time.seconds)
+        };
+    }
+
+    /**
+     * 计算指针的几何数据，按时针、分针、秒针的绘制顺序排列
+     * @param {Object} time - 时间对象
+     * @param {Object} layout - 表盘布局 {centerX, centerY, radius}
+     * @param {boolean} useOverride - 是否使用拨针模式的指针角度
+     * @returns {Array<Object>} 指针数组 {hand, angle, length, lineWidth, color, start, end}
+     */
+    getHandGeometry(time, layout = this.getClockLayout(), useOverride = true) {
+        const angles = this.getHandAngles(time, useOverride);
+        return ['hour', 'minute', 'second'].map(hand => {
+            const metrics = this.getHandMetrics(hand, layout.radius);
+            return {
+                hand: hand,
+                angle: angles[hand],
+                length: metrics.length,
+                lineWidth: metrics.lineWidth,
+                color: this.theme.hands[hand].color,
+                start: { x: layout.centerX, y: layout.centerY },
+                end: {
+                    x: layout.centerX + metrics.length * Math.cos(angles[hand]),
+                    y: layout.centerY + metrics.length * Math.sin(angles[hand])
+                }
+            };
+        });
+    }
+
+    /**
+     * 计算参考线的几何数据：从中心到表盘边缘，秒数为0时不画秒针参考线
+     * @param {Object} time - 时间对象
+     * @param {Object} layout - 表盘布局 {centerX, centerY, radius}
+     * @returns {Array<Object>} 参考线数组 {hand, angle, start, end}
+     */
+    getGuideLineGeometry(time, layout = this.getClockLayout()) {
+        const angles = {
+            hour: this.calculateHourAngle(time.hours, time.minutes),
+            minute: this.calculateMinuteAngle(time.minutes),
+            second: this.calculateSecondAngle(time.seconds)
+        };
+        const hands = time.seconds !== undefined && time.seconds !== 0 ?
+            ['hour', 'minute', 'second'] :
+            ['hour', 'minute'];
+
+        return hands.map(hand => ({
+            hand: hand,
+            angle: angles[hand],
+            start: { x: layout.centerX, y: layout.centerY },
+            end: {
+                x: layout.centerX + layout.radius * Math.cos(angles[hand]),
+                y: layout.centerY + layout.radius * Math.sin(angles[hand])
+            }
+        }));
+    }
+
+    /**
+     * 导出SVG格式的钟面（矢量图，任意缩放都清晰）
+     * @param {Object|null} time - 时间对象，为null时只画表盘（不画指针）
+     * @param {number} size - 表盘尺寸
+     * @returns {string} SVG文档字符串
+     */
+    exportSVG(time = null, size = 300) {
+        if (time && !this.validateTime(time)) {
+            throw new Error('无效的时间对象');
+        }
+        const exporter = new SvgClockRenderer(this, { size: size, useHandOverride: false });
+        return exporter.toSVGString(time);
+    }
+
     /**
      * 绘制时钟表盘
      */
     drawClockFace() {
         const ctx = this.ctx;
         
-        console.log('🎨 绘制时钟表盘开始:', {
+        this.logger.debug('🎨 绘制时钟表盘开始:', {
             centerX: this.centerX,
             centerY: this.centerY,
             radius: this.radius,
@@ -995,7 +1287,7 @@ class ClockRenderer {
         
         // 检查坐标是否合理
         if (!this.centerX || !this.centerY || !this.radius) {
-            console.error('❌ 表盘参数异常:', {
+            this.logger.error('❌ 表盘参数异常:', {
                 centerX: this.centerX,
                 centerY: this.centerY,
                 radius: this.radius
@@ -1007,7 +1299,7 @@ class ClockRenderer {
         const cssWidth = parseInt(this.canvas.style.width);
         const cssHeight = parseInt(this.canvas.style.height);
         if (this.centerX > cssWidth || this.centerY > cssHeight) {
-            console.warn('⚠️ 表盘中心点超出Canvas范围:', {
+            this.logger.warn('⚠️ 表盘中心点超出Canvas范围:', {
                 centerX: this.centerX,
                 centerY: this.centerY,
                 cssWidth: cssWidth,
@@ -1015,93 +1307,81 @@ class ClockRenderer {
             });
         }
         
+        const face = this.getClockFaceGeometry();
+        const theme = face.theme;
+        
         // 绘制外圆
-        console.log('⭕ 绘制外圆...', {
-            centerX: this.centerX,
-            centerY: this.centerY,
-            radius: this.radius
+        this.logger.debug('⭕ 绘制外圆...', {
+            centerX: face.centerX,
+            centerY: face.centerY,
+            radius: face.radius
         });
         ctx.beginPath();
-        ctx.arc(this.centerX, this.centerY, this.radius, 0, 2 * Math.PI);
-        ctx.fillStyle = '#ffffff';
+        ctx.arc(face.centerX, face.centerY, face.radius, 0, 2 * Math.PI);
+        ctx.fillStyle = theme.face.fill;
         ctx.fill();
-        ctx.strokeStyle = '#333333';
-        ctx.lineWidth = 3;
+        ctx.strokeStyle = theme.face.outline;
+        ctx.lineWidth = theme.face.outlineWidth;
         ctx.stroke();
-        console.log('✅ 外圆绘制完成');
+        this.logger.debug('✅ 外圆绘制完成');
 
         // 绘制小时刻度和数字
-        console.log('🕐 开始绘制小时刻度和数字...');
-        for (let i = 1; i <= 12; i++) {
-            const angle = (i * 30 - 90) * Math.PI / 180; // 每小时30度，从12点开始
-            
+        this.logger.debug('🕐 开始绘制小时刻度和数字...');
+        face.hourMarks.forEach(mark => {
             // 刻度线
-            const x1 = this.centerX + (this.radius - 20) * Math.cos(angle);
-            const y1 = this.centerY + (this.radius - 20) * Math.sin(angle);
-            const x2 = this.centerX + this.radius * Math.cos(angle);
-            const y2 = this.centerY + this.radius * Math.sin(angle);
+            if (face.showHourTicks) {
+                ctx.beginPath();
+                ctx.moveTo(mark.start.x, mark.start.y);
+                ctx.lineTo(mark.end.x, mark.end.y);
+                ctx.strokeStyle = theme.ticks.hour.color;
+                ctx.lineWidth = theme.ticks.hour.width;
+                ctx.stroke();
+            }
             
-            ctx.beginPath();
-            ctx.moveTo(x1, y1);
-            ctx.lineTo(x2, y2);
-            ctx.strokeStyle = '#333333';
-            ctx.lineWidth = 3;
-            ctx.stroke();
+            // 数字（主题不显示数字时跳过）
+            if (mark.text !== null) {
+                ctx.fillStyle = theme.numerals.color;
+                ctx.font = theme.numerals.font;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(mark.text, mark.label.x, mark.label.y);
+            }
             
-            // 数字
-            const textX = this.centerX + (this.radius - 35) * Math.cos(angle);
-            const textY = this.centerY + (this.radius - 35) * Math.sin(angle);
-            ctx.fillStyle = '#333333';
-            ctx.font = 'bold 20px Arial';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(i.toString(), textX, textY);
-            
-            if (i === 1 || i === 12) {
-                console.log(`🔢 数字${i}位置:`, { 
-                    angle: angle * 180 / Math.PI, 
-                    textX, 
-                    textY,
-                    刻度线: { x1, y1, x2, y2 }
+            if (mark.number === 1 || mark.number === 12) {
+                this.logger.debug(`🔢 数字${mark.number}位置:`, { 
+                    angle: mark.angle * 180 / Math.PI, 
+                    textX: mark.label.x, 
+                    textY: mark.label.y,
+                    刻度线: { start: mark.start, end: mark.end }
                 });
             }
-        }
-        console.log('✅ 小时刻度和数字绘制完成');
+        });
+        this.logger.debug('✅ 小时刻度和数字绘制完成');
 
         // 绘制分钟刻度
-        console.log('⏱️ 开始绘制分钟刻度...');
-        let minuteMarkCount = 0;
-        for (let i = 0; i < 60; i++) {
-            if (i % 5 !== 0) { // 跳过小时刻度位置
-                const angle = (i * 6 - 90) * Math.PI / 180;
-                const x1 = this.centerX + (this.radius - 10) * Math.cos(angle);
-                const y1 = this.centerY + (this.radius - 10) * Math.sin(angle);
-                const x2 = this.centerX + this.radius * Math.cos(angle);
-                const y2 = this.centerY + this.radius * Math.sin(angle);
-                
-                ctx.beginPath();
-                ctx.moveTo(x1, y1);
-                ctx.lineTo(x2, y2);
-                ctx.strokeStyle = '#666666';
-                ctx.lineWidth = 1;
-                ctx.stroke();
-                minuteMarkCount++;
-            }
-        }
-        console.log(`✅ 分钟刻度绘制完成，共绘制${minuteMarkCount}个刻度`);
+        this.logger.debug('⏱️ 开始绘制分钟刻度...');
+        face.minuteMarks.forEach(mark => {
+            ctx.beginPath();
+            ctx.moveTo(mark.start.x, mark.start.y);
+            ctx.lineTo(mark.end.x, mark.end.y);
+            ctx.strokeStyle = theme.ticks.minute.color;
+            ctx.lineWidth = theme.ticks.minute.width;
+            ctx.stroke();
+        });
+        this.logger.debug(`✅ 分钟刻度绘制完成，共绘制${face.minuteMarks.length}个刻度`);
 
         // 绘制中心点
-        console.log('🎯 绘制中心点...', {
-            centerX: this.centerX,
-            centerY: this.centerY
+        this.logger.debug('🎯 绘制中心点...', {
+            centerX: face.centerX,
+            centerY: face.centerY
         });
         ctx.beginPath();
-        ctx.arc(this.centerX, this.centerY, 8, 0, 2 * Math.PI);
-        ctx.fillStyle = '#333333';
+        ctx.arc(face.centerX, face.centerY, face.centerDotRadius, 0, 2 * Math.PI);
+        ctx.fillStyle = theme.centerDot.color;
         ctx.fill();
-        console.log('✅ 中心点绘制完成');
+        this.logger.debug('✅ 中心点绘制完成');
         
-        console.log('🎨 表盘绘制全部完成');
+        this.logger.debug('🎨 表盘绘制全部完成');
     }
 
     /**
@@ -1109,35 +1389,18 @@ class ClockRenderer {
      * @param {Object} time - 时间对象
      */
     drawHands(time) {
-        console.log('🕐 绘制时钟指针开始:', time);
+        this.logger.debug('🕐 绘制时钟指针开始:', time);
         
-        // 计算角度
-        const hourAngle = this.calculateHourAngle(time.hours, time.minutes);
-        const minuteAngle = this.calculateMinuteAngle(time.minutes);
-        const secondAngle = this.calculateSecondAngle(time.seconds);
+        const hands = this.getHandGeometry(time);
+        this.logger.debug('📐 指针角度计算结果:', hands.reduce((result, hand) => {
+            result[hand.hand] = { degrees: hand.angle * 180 / Math.PI, radians: hand.angle };
+            return result;
+        }, {}));
 
-        console.log('📐 指针角度计算结果:', {
-            hour: { degrees: hourAngle * 180 / Math.PI, radians: hourAngle },
-            minute: { degrees: minuteAngle * 180 / Math.PI, radians: minuteAngle },
-            second: { degrees: secondAngle * 180 / Math.PI, radians: secondAngle }
-        });
-
-        // 绘制时针
-        console.log('🕐 绘制时针...');
-        this.drawHourHand(hourAngle);
-        console.log('✅ 时针绘制完成');
-        
-        // 绘制分针
-        console.log('🕑 绘制分针...');
-        this.drawMinuteHand(minuteAngle);
-        console.log('✅ 分针绘制完成');
+        // 依次绘制时针、分针、秒针
+        hands.forEach(hand => this.drawHand(hand));
         
-        // 绘制秒针
-        console.log('🕒 绘制秒针...');
-        this.drawSecondHand(secondAngle);
-        console.log('✅ 秒针绘制完成');
-        
-        console.log('🕐 所有指针绘制完成');
+        this.logger.debug('🕐 所有指针绘制完成');
     }
 
     /**
@@ -1175,114 +1438,169 @@ class ClockRenderer {
     }
 
     /**
-     * 绘制时针
-     * @param {number} angle - 角度（弧度）
+     * 将表盘度数（从12点开始顺时针）转换为Canvas绘制角度
+     * @param {number} degrees - 表盘度数
+     * @returns {number} 角度（弧度）
      */
-    drawHourHand(angle) {
-        const length = this.radius * 0.5;
-        const startX = this.centerX;
-        const startY = this.centerY;
-        const endX = this.centerX + length * Math.cos(angle);
-        const endY = this.centerY + length * Math.sin(angle);
-        
-        console.log('🕐 绘制时针:', {
-            angle: {
-                degrees: angle * 180 / Math.PI,
-                radians: angle
-            },
-            length: length,
-            coordinates: {
-                start: { x: startX, y: startY },
-                end: { x: endX, y: endY }
-            },
-            lineWidth: 6,
-            center: { x: this.centerX, y: this.centerY },
-            radius: this.radius
-        });
+    convertClockDegreesToAngle(degrees) {
+        return (degrees - 90) * Math.PI / 180;
+    }
+
+    /**
+     * 设置拨针模式下的指针角度
+     * 设置后drawHands将使用这些角度绘制指针，传入null恢复按时间绘制
+     * @param {Object|null} handAngles - 包含hour, minute, second的表盘度数
+     */
+    setHandAngleOverride(handAngles) {
+        if (!handAngles) {
+            this.handAngleOverride = null;
+            return;
+        }
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(startX, startY);
-        this.ctx.lineTo(endX, endY);
-        this.ctx.strokeStyle = '#333333';
-        this.ctx.lineWidth = 6;
-        this.ctx.lineCap = 'round';
-        this.ctx.stroke();
+        const { hour, minute, second } = handAngles;
+        if ([hour, minute, second].some(value => typeof value !== 'number' || isNaN(value))) {
+            this.logger.error('❌ 无效的指针角度:', handAngles);
+            return;
+        }
         
-        console.log('✅ 时针绘制完成');
+        this.handAngleOverride = { hour, minute, second };
     }
 
     /**
-     * 绘制分针
-     * @param {number} angle - 角度（弧度）
+     * 获取指针的绘制参数（Canvas、SVG和拖动命中检测共用，长度和线宽来自当前主题）
+     * @param {string} hand - 指针类型 ('hour', 'minute', 'second')
+     * @param {number} radius - 表盘半径，默认使用页面时钟的半径
+     * @returns {Object|null} 包含length和lineWidth的对象
      */
-    drawMinuteHand(angle) {
-        const length = this.radius * 0.7;
-        const startX = this.centerX;
-        const startY = this.centerY;
-        const endX = this.centerX + length * Math.cos(angle);
-        const endY = this.centerY + length * Math.sin(angle);
+    getHandMetrics(hand, radius = this.radius) {
+        const handTheme = this.theme.hands[hand];
+        if (!handTheme) {
+            return null;
+        }
+        return { length: radius * handTheme.length, lineWidth: handTheme.width };
+    }
+
+    /**
+     * 将鼠标/触摸事件坐标转换为Canvas逻辑坐标
+     * @param {Event} event - 指针事件
+     * @returns {Object|null} 包含x, y的坐标对象
+     */
+    getCanvasPointFromEvent(event) {
+        if (!this.canvas || !event) {
+            return null;
+        }
         
-        console.log('🕑 绘制分针:', {
-            angle: {
-                degrees: angle * 180 / Math.PI,
-                radians: angle
-            },
-            length: length,
-            coordinates: {
-                start: { x: startX, y: startY },
-                end: { x: endX, y: endY }
-            },
-            lineWidth: 4,
-            center: { x: this.centerX, y: this.centerY },
-            radius: this.radius
-        });
+        const rect = this.canvas.getBoundingClientRect();
+        const devicePixelRatio = window.devicePixelRatio || 1;
+        const logicalWidth = this.canvas.width / devicePixelRatio;
+        const logicalHeight = this.canvas.height / devicePixelRatio;
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(startX, startY);
-        this.ctx.lineTo(endX, endY);
-        this.ctx.strokeStyle = '#333333';
-        this.ctx.lineWidth = 4;
-        this.ctx.lineCap = 'round';
-        this.ctx.stroke();
+        // 扣除边框宽度，并按显示尺寸与逻辑尺寸的比例换算
+        const clientWidth = this.canvas.clientWidth || rect.width;
+        const clientHeight = this.canvas.clientHeight || rect.height;
+        if (!clientWidth || !clientHeight) {
+            return null;
+        }
         
-        console.log('✅ 分针绘制完成');
+        return {
+            x: (event.clientX - rect.left - (this.canvas.clientLeft || 0)) * logicalWidth / clientWidth,
+            y: (event.clientY - rect.top - (this.canvas.clientTop || 0)) * logicalHeight / clientHeight
+        };
     }
 
     /**
-     * 绘制秒针
-     * @param {number} angle - 角度（弧度）
+     * 计算坐标点相对表盘中心的表盘度数（从12点开始顺时针，0-360）
+     * @param {Object} point - 包含x, y的坐标对象
+     * @returns {number} 表盘度数
      */
-    drawSecondHand(angle) {
-        const length = this.radius * 0.8;
-        const startX = this.centerX;
-        const startY = this.centerY;
-        const endX = this.centerX + length * Math.cos(angle);
-        const endY = this.centerY + length * Math.sin(angle);
+    getClockDegreesFromPoint(point) {
+        const dx = point.x - this.centerX;
+        const dy = point.y - this.centerY;
+        const degrees = Math.atan2(dy, dx) * 180 / Math.PI + 90;
+        return (degrees + 360) % 360;
+    }
+
+    /**
+     * 指针命中检测
+     * 计算坐标点到各指针线段的距离，返回距离最近且在容差范围内的指针
+     * @param {Object} point - 包含x, y的坐标对象
+     * @param {Object} handAngles - 包含hour, minute, second的表盘度数
+     * @param {Array<string>} candidates - 参与检测的指针类型
+     * @returns {string|null} 命中的指针类型
+     */
+    hitTestHands(point, handAngles, candidates = ['hour', 'minute', 'second']) {
+        if (!point || !handAngles || !this.isCanvasInitialized()) {
+            return null;
+        }
+        
+        // 中心点附近所有指针重叠，不做判断
+        const distanceFromCenter = Math.hypot(point.x - this.centerX, point.y - this.centerY);
+        if (distanceFromCenter < 10) {
+            return null;
+        }
+        
+        let hitHand = null;
+        let minDistance = Infinity;
+        
+        candidates.forEach(hand => {
+            const metrics = this.getHandMetrics(hand);
+            if (!metrics || typeof handAngles[hand] !== 'number') {
+                return;
+            }
+            
+            const angle = this.convertClockDegreesToAngle(handAngles[hand]);
+            const endX = this.centerX + metrics.length * Math.cos(angle);
+            const endY = this.centerY + metrics.length * Math.sin(angle);
+            
+            // 点到线段的距离
+            const segX = endX - this.centerX;
+            const segY = endY - this.centerY;
+            const t = Math.max(0, Math.min(1,
+                ((point.x - this.centerX) * segX + (point.y - this.centerY) * segY) / (segX * segX + segY * segY)
+            ));
+            const distance = Math.hypot(point.x - (this.centerX + t * segX), point.y - (this.centerY + t * segY));
+            
+            // 容差：线宽的一半加上便于手指操作的余量
+            const tolerance = metrics.lineWidth / 2 + 10;
+            if (distance <= tolerance && distance < minDistance) {
+                minDistance = distance;
+                hitHand = hand;
+            }
+        });
         
-        console.log('🕒 绘制秒针:', {
+        return hitHand;
+    }
+
+    /**
+     * 绘制单根指针
+     * @param {Object} hand - getHandGeometry返回的指针几何数据
+     */
+    drawHand(hand) {
+        const handNames = { hour: '时针', minute: '分针', second: '秒针' };
+        this.logger.debug(`🕐 绘制${handNames[hand.hand]}:`, {
             angle: {
-                degrees: angle * 180 / Math.PI,
-                radians: angle
+                degrees: hand.angle * 180 / Math.PI,
+                radians: hand.angle
             },
-            length: length,
+            length: hand.length,
             coordinates: {
-                start: { x: startX, y: startY },
-                end: { x: endX, y: endY }
+                start: hand.start,
+                end: hand.end
             },
-            lineWidth: 2,
+            lineWidth: hand.lineWidth,
             center: { x: this.centerX, y: this.centerY },
             radius: this.radius
         });
         
         this.ctx.beginPath();
-        this.ctx.moveTo(startX, startY);
-        this.ctx.lineTo(endX, endY);
-        this.ctx.strokeStyle = '#ff0000';
-        this.ctx.lineWidth = 2;
+        this.ctx.moveTo(hand.start.x, hand.start.y);
+        this.ctx.lineTo(hand.end.x, hand.end.y);
+        this.ctx.strokeStyle = hand.color;
+        this.ctx.lineWidth = hand.lineWidth;
         this.ctx.lineCap = 'round';
         this.ctx.stroke();
         
-        console.log('✅ 秒针绘制完成');
+        this.logger.debug(`✅ ${handNames[hand.hand]}绘制完成`);
     }
 
     /**
@@ -1290,8 +1608,8 @@ class ClockRenderer {
      * @param {Object} time - 时间对象
      */
     drawGuideLines(time) {
-        console.log('📏 [DEBUG] 开始绘制参考线:', { time, showGuideLines: this.showGuideLines });
-        console.log('🔍 [DEBUG] Canvas状态检查:', {
+        this.logger.debug('📏 [DEBUG] 开始绘制参考线:', { time, showGuideLines: this.showGuideLines });
+        this.logger.debug('🔍 [DEBUG] Canvas状态检查:', {
             isCanvasSupported: this.isCanvasSupported,
             ctx: !!this.ctx,
             centerX: this.centerX,
@@ -1300,7 +1618,7 @@ class ClockRenderer {
         });
         
         if (!this.showGuideLines || !this.isCanvasSupported) {
-            console.log('⏭️ [DEBUG] 跳过参考线绘制:', { showGuideLines: this.showGuideLines, isCanvasSupported: this.isCanvasSupported });
+            this.logger.debug('⏭️ [DEBUG] 跳过参考线绘制:', { showGuideLines: this.showGuideLines, isCanvasSupported: this.isCanvasSupported });
             return;
         }
 
@@ -1309,78 +1627,62 @@ class ClockRenderer {
             
             // 验证上下文是否可用
             if (!ctx) {
-                console.warn('⚠️ [DEBUG] Canvas上下文不可用，无法绘制参考线');
-                this.handleGuideLineError('Canvas上下文丢失');
+                this.logger.warn('⚠️ [DEBUG] Canvas上下文不可用，无法绘制参考线');
+                this.handleGuideLineError(this.i18n.t('clock.errors.contextLost'));
                 return;
             }
-            console.log('✅ [DEBUG] Canvas上下文验证通过');
+            this.logger.debug('✅ [DEBUG] Canvas上下文验证通过');
             
             // 检查Canvas状态
-            console.log('🔍 [DEBUG] Canvas当前状态:', {
+            this.logger.debug('🔍 [DEBUG] Canvas当前状态:', {
                 fillStyle: ctx.fillStyle,
                 strokeStyle: ctx.strokeStyle,
                 lineWidth: ctx.lineWidth,
                 lineDash: ctx.getLineDash()
             });
             
-            // 计算角度
-            const hourAngle = this.calculateHourAngle(time.hours, time.minutes);
-            const minuteAngle = this.calculateMinuteAngle(time.minutes);
-            const secondAngle = this.calculateSecondAngle(time.seconds);
+            // 计算参考线
+            const guideLines = this.getGuideLineGeometry(time);
 
-            console.log('📐 [DEBUG] 参考线角度计算:', {
-                hour: { degrees: hourAngle * 180 / Math.PI, radians: hourAngle },
-                minute: { degrees: minuteAngle * 180 / Math.PI, radians: minuteAngle },
-                second: { degrees: secondAngle * 180 / Math.PI, radians: secondAngle }
-            });
+            this.logger.debug('📐 [DEBUG] 参考线角度计算:', guideLines.reduce((result, line) => {
+                result[line.hand] = { degrees: line.angle * 180 / Math.PI, radians: line.angle };
+                return result;
+            }, {}));
 
             // 保存当前绘图状态
             ctx.save();
-            console.log('💾 [DEBUG] 参考线绘制状态已保存');
+            this.logger.debug('💾 [DEBUG] 参考线绘制状态已保存');
             
             try {
                 // 设置参考线样式
-                ctx.strokeStyle = '#ff0000'; // 红色参考线，更清晰可见
-                ctx.lineWidth = 2;
-                ctx.setLineDash([5, 5]); // 虚线样式
-                console.log('🎨 [DEBUG] 参考线样式设置完成:', {
+                ctx.strokeStyle = this.theme.guideLine.color; // 经典主题为红色参考线，更清晰可见
+                ctx.lineWidth = this.theme.guideLine.width;
+                ctx.setLineDash(this.theme.guideLine.dash); // 虚线样式
+                this.logger.debug('🎨 [DEBUG] 参考线样式设置完成:', {
                     strokeStyle: ctx.strokeStyle,
                     lineWidth: ctx.lineWidth,
                     lineDash: ctx.getLineDash()
                 });
 
-                // 绘制时针参考线
-                console.log('📏 [DEBUG] 开始绘制时针参考线...');
-                this.drawGuideLine(hourAngle);
-                console.log('✅ [DEBUG] 时针参考线绘制完成');
-                
-                // 绘制分针参考线
-                console.log('📏 [DEBUG] 开始绘制分针参考线...');
-                this.drawGuideLine(minuteAngle);
-                console.log('✅ [DEBUG] 分针参考线绘制完成');
-                
-                // 绘制秒针参考线（如果有秒数）
-                if (time.seconds !== undefined && time.seconds !== 0) {
-                    console.log('📏 [DEBUG] 开始绘制秒针参考线...');
-                    this.drawGuideLine(secondAngle);
-                    console.log('✅ [DEBUG] 秒针参考线绘制完成');
-                } else {
-                    console.log('⏭️ [DEBUG] 跳过秒针参考线（秒数为0或未定义）');
-                }
+                // 依次绘制时针、分针、秒针（秒数不为0时）参考线
+                guideLines.forEach(line => {
+                    this.logger.debug(`📏 [DEBUG] 开始绘制${line.hand}参考线...`);
+                    this.drawGuideLine(line.angle);
+                });
                 
-                console.log('✅ [DEBUG] 所有参考线绘制完成');
+                this.logger.debug('✅ [DEBUG] 所有参考线绘制完成');
                 
             } catch (drawError) {
-                console.error('❌ [DEBUG] 参考线绘制过程中出错:', drawError);
-                console.error('❌ [DEBUG] 参考线绘制错误堆栈:', drawError.stack);
-                this.handleGuideLineError('参考线绘制失败: ' + drawError.message);
+                this.logger.error('❌ [DEBUG] 参考线绘制过程中出错:', drawError);
+                this.logger.error('❌ [DEBUG] 参考线绘制错误堆栈:', drawError.stack);
+                this.handleGuideLineError(this.i18n.t('clock.errors.guideLinesDrawFailed', { error: drawError.message }));
             } finally {
                 // 恢复绘图状态
                 ctx.restore();
-                console.log('🔄 [DEBUG] 参考线绘制状态已恢复');
+                this.logger.debug('🔄 [DEBUG] 参考线绘制状态已恢复');
                 
                 // 检查恢复后的Canvas状态
-                console.log('🔍 [DEBUG] Canvas恢复后状态:', {
+                this.logger.debug('🔍 [DEBUG] Canvas恢复后状态:', {
                     fillStyle: ctx.fillStyle,
                     strokeStyle: ctx.strokeStyle,
                     lineWidth: ctx.lineWidth,
@@ -1389,9 +1691,9 @@ class ClockRenderer {
             }
             
         } catch (error) {
-            console.error('❌ [DEBUG] 参考线绘制失败:', error);
-            console.error('❌ [DEBUG] 参考线错误堆栈:', error.stack);
-            this.handleGuideLineError('参考线功能异常: ' + error.message);
+            this.logger.error('❌ [DEBUG] 参考线绘制失败:', error);
+            this.logger.error('❌ [DEBUG] 参考线错误堆栈:', error.stack);
+            this.handleGuideLineError(this.i18n.t('clock.errors.guideLinesFailed', { error: error.message }));
         }
     }
 
@@ -1406,7 +1708,7 @@ class ClockRenderer {
             
             // 验证参数
             if (typeof angle !== 'number' || isNaN(angle)) {
-                console.warn('无效的角度值:', angle);
+                this.logger.warn('无效的角度值:', angle);
                 return;
             }
             
@@ -1416,7 +1718,7 @@ class ClockRenderer {
             
             // 验证坐标是否有效
             if (isNaN(endX) || isNaN(endY)) {
-                console.warn('计算出的坐标无效:', { endX, endY, angle });
+                this.logger.warn('计算出的坐标无效:', { endX, endY, angle });
                 return;
             }
 
@@ -1435,7 +1737,7 @@ class ClockRenderer {
                 ctx.lineTo(endX, endY);
                 ctx.stroke();
                 
-                console.log('✅ 参考线绘制完成:', {
+                this.logger.debug('✅ 参考线绘制完成:', {
                     angle: angle * 180 / Math.PI + '°',
                     endPoint: { x: endX.toFixed(1), y: endY.toFixed(1) }
                 });
@@ -1444,17 +1746,307 @@ class ClockRenderer {
                 ctx.restore();
             }
         } catch (error) {
-            console.error('绘制单条参考线失败:', error);
+            this.logger.error('绘制单条参考线失败:', error);
             // 不抛出错误，避免影响整体渲染
         }
     }
 
+    /**
+     * 设置当前题目的提示步数（提示由浅入深，后一步保留前面各步的内容）：
+     * 1-高亮时针，2-画出分针从12走过的扇形，3-在分钟刻度旁每5分钟标上数字，4-画出时针的参考线
+     * @param {number} step - 提示步数（0表示不显示提示）
+     */
+    setHintStep(step) {
+        if (!Number.isInteger(step) || step < 0 || step > this.maxHintStep) {
+            this.logger.warn('无效的提示步数:', step);
+            return;
+        }
+        this.hintStep = step;
+    }
+
+    /**
+     * 获取当前题目的提示步数
+     * @returns {number} 提示步数
+     */
+    getHintStep() {
+        return this.hintStep;
+    }
+
+    /**
+     * 开关一种教学标注（与提示不同，标注不随换题清除）
+     * @param {string} name - 标注名：minuteLabels-表盘外的分钟数字，minuteSector-分针走过的扇形，hourZone-时针所在的小时区间
+     * @param {boolean} enabled - 是否显示
+     * @returns {boolean} 是否设置成功
+     */
+    setOverlay(name, enabled) {
+        if (!(name in this.overlays)) {
+            this.logger.warn('未知的教学标注:', name);
+            return false;
+        }
+        this.overlays[name] = !!enabled;
+        return true;
+    }
+
+    /**
+     * 获取教学标注的开关状态
+     * @returns {Object} {minuteLabels, minuteSector, hourZone}
+     */
+    getOverlays() {
+        return { ...this.overlays };
+    }
+
+    /**
+     * 绘制画在指针上面的提示：时针高亮、分钟数字和时针参考线
+     * @param {Object} time - 时间对象
+     */
+    drawHintOverlays(time) {
+        const ctx = this.ctx;
+        const hint = this.theme.hint;
+        const hourHand = this.getHandGeometry(time).find(hand => hand.hand === 'hour');
+
+        ctx.save();
+        try {
+            // 1. 时针画一圈高亮，再把时针画在高亮上面
+            if (this.hintStep >= 1) {
+                this.drawHandHighlight(hourHand);
+            }
+
+            // 3. 每5分钟标上分钟数
+            if (this.hintStep >= 3) {
+                this.drawMinuteLabels();
+            }
+
+            // 4. 时针的参考线（只画一根，孩子沿着它找时针指向的数字）
+            if (this.hintStep >= 4) {
+                ctx.lineWidth = this.theme.guideLine.width;
+                ctx.setLineDash(this.theme.guideLine.dash);
+                this.drawGuideLine(hourHand.angle, hint.color);
+            }
+        } catch (error) {
+            this.logger.error('绘制提示失败:', error);
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    /**
+     * 高亮一根指针（在指针下面画一条更宽的半透明线）
+     * @param {Object} hand - getHandGeometry返回的指针几何数据
+     */
+    drawHandHighlight(hand) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(hand.start.x, hand.start.y);
+        ctx.lineTo(hand.end.x, hand.end.y);
+        ctx.strokeStyle = this.theme.hint.color;
+        ctx.globalAlpha = 0.6;
+        ctx.lineWidth = hand.lineWidth + this.theme.hint.glowWidth;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+        ctx.restore();
+
+        this.drawHand(hand);
+    }
+
+    /**
+     * 画出分针从12点顺时针走过的扇形
+     * @param {Object} time - 时间对象
+     */
+    drawMinuteSector(time) {
+        const minuteHand = this.getHandGeometry(time).find(hand => hand.hand === 'minute');
+        const startAngle = -Math.PI / 2;
+        if (!minuteHand || minuteHand.angle <= startAngle) {
+            return; // 分针指着12，没有走过的部分
+        }
+        this.drawSector(startAngle, minuteHand.angle, this.theme.hint.sectorColor);
+    }
+
+    /**
+     * 给时针所在的小时区间（时针刚走过的数字到下一个数字之间）涂色
+     * @param {Object} time - 时间对象
+     */
+    drawHourZone(time) {
+        const hourHand = this.getHandGeometry(time).find(hand => hand.hand === 'hour');
+        if (!hourHand) {
+            return;
+        }
+
+        // 按时针的角度找出刚走过的数字（拨针和指针动画时时针不一定在时间对应的位置）
+        const clockDegrees = ((hourHand.angle * 180 / Math.PI + 90) % 360 + 360) % 360;
+        const hour = Math.floor(Math.round(clockDegrees * 1000) / 1000 / 30) % 12;
+
+        // 区间从这个数字到时针再走60分钟到达的下一个数字
+        const startAngle = this.calculateHourAngle(hour, 0);
+        const endAngle = this.calculateHourAngle(hour, 60);
+        this.drawSector(startAngle, endAngle, this.theme.hint.zoneColor);
+    }
+
+    /**
+     * 从表盘中心画一个顺时针的扇形
+     * @param {number} startAngle - 起始角度（弧度）
+     * @param {number} endAngle - 结束角度（弧度）
+     * @param {string} color - 填充颜色
+     */
+    drawSector(startAngle, endAngle, color) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(this.centerX, this.centerY);
+        ctx.arc(this.centerX, this.centerY, this.radius, startAngle, endAngle);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * 计算分钟数字的位置：每5分钟一个（12点处为00），画在表盘边缘外侧
+     * @param {Object} layout - 表盘布局 {centerX, centerY, radius}
+     * @returns {Array<Object>} [{minute, text, x, y}]
+     */
+    getMinuteLabelGeometry(layout = this.getClockLayout()) {
+        const distance = layout.radius + this.theme.hint.labelOffset;
+        const labels = [];
+        for (let minute = 0; minute < 60; minute += 5) {
+            const angle = this.calculateMinuteAngle(minute);
+            labels.push({
+                minute: minute,
+                text: String(minute).padStart(2, '0'),
+                x: layout.centerX + distance * Math.cos(angle),
+                y: layout.centerY + distance * Math.sin(angle)
+            });
+        }
+        return labels;
+    }
+
+    /**
+     * 在表盘外侧每5分钟标上分钟数
+     * @param {Array<number>|null} minutes - 只标这些分钟数（0-55中5的倍数），默认全部标上
+     */
+    drawMinuteLabels(minutes = null) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = this.theme.hint.labelFont;
+        ctx.fillStyle = this.theme.hint.labelColor;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.getMinuteLabelGeometry()
+            .filter(label => !minutes || minutes.includes(label.minute))
+            .forEach(label => ctx.fillText(label.text, label.x, label.y));
+        ctx.restore();
+    }
+
+    /**
+     * 设置动画讲解的当前画面（由ExplanationPlayer逐帧设置）
+     * @param {Object|null} frame - {hands, numerals, sweep}：hands为要高亮的指针名，numerals为要圈出的钟面数字（1-12），
+     *   sweep为{hand, value}，表示分针或秒针从12扫到value（分钟数或秒数，可以是小数）；null表示结束讲解
+     */
+    setExplanationFrame(frame) {
+        this.explanationFrame = frame ? { ...frame } : null;
+    }
+
+    /**
+     * 获取动画讲解的当前画面
+     * @returns {Object|null} 当前画面，没有播放讲解时为null
+     */
+    getExplanationFrame() {
+        return this.explanationFrame;
+    }
+
+    /**
+     * 绘制动画讲解中分针或秒针从12扫过的扇形（画在指针下面）
+     * @param {Object} frame - 讲解画面
+     */
+    drawExplanationSweep(frame) {
+        const sweep = frame.sweep;
+        if (!sweep || !(sweep.value > 0)) {
+            return;
+        }
+
+        const value = Math.min(sweep.value, 60);
+        const isSecond = sweep.hand === 'second';
+        const endAngle = isSecond ? this.calculateSecondAngle(value) : this.calculateMinuteAngle(value);
+        this.drawSector(-Math.PI / 2, endAngle, isSecond ? this.theme.hint.secondSectorColor : this.theme.hint.sectorColor);
+    }
+
+    /**
+     * 绘制动画讲解中画在指针上面的标注：圈出的钟面数字、已经数过的每5格的数字、扫到的位置和高亮的指针
+     * @param {Object} time - 时间对象
+     * @param {Object} frame - 讲解画面
+     */
+    drawExplanationOverlays(time, frame) {
+        const ctx = this.ctx;
+        ctx.save();
+        try {
+            // 1. 圈出钟面数字
+            (frame.numerals || []).forEach(number => this.drawNumeralHighlight(number));
+
+            // 2. 扫过的每5格标上数字（数到60时标在12的位置），在扫到的位置画一个圆点
+            const sweep = frame.sweep;
+            if (sweep && sweep.value > 0) {
+                const value = Math.min(sweep.value, 60);
+                const counted = [];
+                for (let count = 5; count <= value; count += 5) {
+                    counted.push(count % 60);
+                }
+                this.drawMinuteLabels(counted);
+                this.drawSweepMarker(sweep.hand === 'second' ? this.calculateSecondAngle(value) : this.calculateMinuteAngle(value));
+            }
+
+            // 3. 高亮指针
+            const highlighted = frame.hands || [];
+            this.getHandGeometry(time)
+                .filter(hand => highlighted.includes(hand.hand))
+                .forEach(hand => this.drawHandHighlight(hand));
+        } catch (error) {
+            this.logger.error('绘制动画讲解失败:', error);
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    /**
+     * 在钟面数字外画一个圆圈（不显示数字的钟面圈出数字所在的位置）
+     * @param {number} number - 钟面数字（1-12）
+     */
+    drawNumeralHighlight(number) {
+        const mark = this.getClockFaceGeometry().hourMarks[number - 1];
+        if (!mark) {
+            return;
+        }
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(mark.label.x, mark.label.y, this.theme.hint.numeralRadius, 0, 2 * Math.PI);
+        ctx.strokeStyle = this.theme.hint.color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * 在分钟刻度上画一个圆点，标出动画讲解扫到的位置
+     * @param {number} angle - 角度（弧度）
+     */
+    drawSweepMarker(angle) {
+        const distance = this.radius - this.theme.ticks.minute.length / 2;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(this.centerX + distance * Math.cos(angle), this.centerY + distance * Math.sin(angle), 5, 0, 2 * Math.PI);
+        ctx.fillStyle = this.theme.hint.color;
+        ctx.fill();
+        ctx.restore();
+    }
+
     /**
      * 处理参考线错误
      * @param {string} errorMessage - 错误消息
      */
     handleGuideLineError(errorMessage) {
-        console.warn('参考线功能出现问题:', errorMessage);
+        this.logger.warn('参考线功能出现问题:', errorMessage);
         
         // 禁用参考线功能
         this.showGuideLines = false;
@@ -1469,7 +2061,7 @@ class ClockRenderer {
             if (toggleContainer) {
                 toggleContainer.style.opacity = '0.5';
                 toggleContainer.style.cursor = 'not-allowed';
-                toggleContainer.title = `参考线功能暂时不可用: ${errorMessage}`;
+                toggleContainer.title = this.i18n.t('clock.errors.guideLinesPaused', { reason: errorMessage });
             }
         }
         
@@ -1495,7 +2087,7 @@ class ClockRenderer {
             }
         }
         
-        errorElement.textContent = `参考线功能暂时不可用: ${errorMessage}`;
+        errorElement.textContent = this.i18n.t('clock.errors.guideLinesPaused', { reason: errorMessage });
         errorElement.style.display = 'block';
         
         // 3秒后自动隐藏
@@ -1514,7 +2106,7 @@ class ClockRenderer {
         try {
             // 检查Canvas和上下文是否正常
             if (!this.isCanvasSupported || !this.ctx) {
-                console.log('Canvas不支持，无法恢复参考线功能');
+                this.logger.debug('Canvas不支持，无法恢复参考线功能');
                 return false;
             }
             
@@ -1532,7 +2124,7 @@ class ClockRenderer {
                 if (toggleContainer) {
                     toggleContainer.style.opacity = '1';
                     toggleContainer.style.cursor = 'pointer';
-                    toggleContainer.title = '切换参考线显示';
+                    toggleContainer.title = this.i18n.t('clock.guideLinesToggle');
                 }
             }
             
@@ -1542,10 +2134,10 @@ class ClockRenderer {
                 errorElement.style.display = 'none';
             }
             
-            console.log('参考线功能已恢复');
+            this.logger.debug('参考线功能已恢复');
             return true;
         } catch (error) {
-            console.error('恢复参考线功能失败:', error);
+            this.logger.error('恢复参考线功能失败:', error);
             return false;
         }
     }
@@ -1576,14 +2168,26 @@ class ClockRenderer {
 
     /**
      * 降级渲染（当Canvas不支持时）
+     * 优先用SVG绘制模拟时钟（支持参考线），SVG也不可用时显示数字时钟
      * @param {Object} time - 时间对象
+     * @param {boolean} showGuideLines - 是否显示参考线
      */
-    renderFallback(time) {
+    renderFallback(time, showGuideLines = this.showGuideLines) {
         try {
             // 验证时间对象
             if (!this.validateTime(time)) {
-                console.error('降级渲染收到无效时间对象:', time);
-                this.renderFallbackError('时间数据无效');
+                this.logger.error('降级渲染收到无效时间对象:', time);
+                this.renderFallbackError(this.i18n.t('clock.errors.invalidTime'));
+                return;
+            }
+
+            const svgRenderer = this.getSvgFallbackRenderer();
+            if (svgRenderer) {
+                this.currentTime = { ...time };
+                this.showGuideLines = showGuideLines;
+                svgRenderer.render(time, showGuideLines);
+                this.ensureFallbackDisplay();
+                this.logger.debug('SVG降级渲染完成:', this.formatTimeForFallback(time));
                 return;
             }
 
@@ -1608,13 +2212,13 @@ class ClockRenderer {
             this.ensureFallbackDisplay();
             
             // 禁用参考线功能
-            this.disableGuideLineFeature('Canvas不支持');
+            this.disableGuideLineFeature(this.i18n.t('clock.errors.unsupported'));
             
-            console.log('降级渲染完成:', timeString);
+            this.logger.debug('降级渲染完成:', timeString);
             
         } catch (error) {
-            console.error('降级渲染失败:', error);
-            this.renderFallbackError('降级渲染异常');
+            this.logger.error('降级渲染失败:', error);
+            this.renderFallbackError(this.i18n.t('clock.errors.fallbackFailed'));
         }
     }
 
@@ -1630,7 +2234,7 @@ class ClockRenderer {
             const seconds = time.seconds.toString().padStart(2, '0');
             return `${hours}:${minutes}:${seconds}`;
         } catch (error) {
-            console.error('格式化降级时间失败:', error);
+            this.logger.error('格式化降级时间失败:', error);
             return '00:00:00';
         }
     }
@@ -1661,7 +2265,7 @@ class ClockRenderer {
             }
             
         } catch (error) {
-            console.error('确保降级显示失败:', error);
+            this.logger.error('确保降级显示失败:', error);
         }
     }
 
@@ -1671,7 +2275,7 @@ class ClockRenderer {
      */
     renderFallbackError(errorMessage) {
         try {
-            console.error('降级渲染错误:', errorMessage);
+            this.logger.error('降级渲染错误:', errorMessage);
             
             // 更新所有可能的时间显示元素为错误状态
             const timeElements = [
@@ -1681,7 +2285,7 @@ class ClockRenderer {
             
             timeElements.forEach(element => {
                 if (element) {
-                    element.textContent = '时钟错误';
+                    element.textContent = this.i18n.t('clock.errors.short');
                     element.classList.add('error');
                     element.title = errorMessage;
                 }
@@ -1691,7 +2295,7 @@ class ClockRenderer {
             this.showFallbackErrorMessage(errorMessage);
             
         } catch (error) {
-            console.error('渲染降级错误状态也失败:', error);
+            this.logger.error('渲染降级错误状态也失败:', error);
             
             // 最后的最后，尝试在页面上显示基本错误信息
             try {
@@ -1709,9 +2313,9 @@ class ClockRenderer {
                     text-align: center;
                 `;
                 errorDiv.innerHTML = `
-                    <div style="color: #d32f2f; font-weight: bold;">时钟显示功能异常</div>
+                    <div style="color: #d32f2f; font-weight: bold;">${this.i18n.t('clock.errors.displayBroken')}</div>
                     <div style="margin-top: 10px; font-size: 14px;">${errorMessage}</div>
-                    <button onclick="this.parentElement.remove()" style="margin-top: 10px;">关闭</button>
+                    <button onclick="this.parentElement.remove()" style="margin-top: 10px;">${this.i18n.t('common.close')}</button>
                 `;
                 document.body.appendChild(errorDiv);
                 
@@ -1722,7 +2326,7 @@ class ClockRenderer {
                     }
                 }, 5000);
             } catch (finalError) {
-                console.error('最终错误显示也失败:', finalError);
+                this.logger.error('最终错误显示也失败:', finalError);
             }
         }
     }
@@ -1748,7 +2352,7 @@ class ClockRenderer {
             errorElement.innerHTML = `
                 <div class="error-content">
                     <span class="error-icon">⚠️</span>
-                    <span class="error-text">时钟显示异常: ${errorMessage}</span>
+                    <span class="error-text">${this.i18n.t('clock.errors.display', { reason: errorMessage })}</span>
                     <button class="error-close" onclick="this.parentElement.parentElement.style.display='none'">×</button>
                 </div>
             `;
@@ -1761,7 +2365,7 @@ class ClockRenderer {
                 }
             }, 10000);
         } catch (error) {
-            console.error('显示降级错误消息失败:', error);
+            this.logger.error('显示降级错误消息失败:', error);
         }
     }
 
@@ -1773,7 +2377,7 @@ class ClockRenderer {
      */
     tryRecoverCanvas() {
         try {
-            console.log('尝试恢复Canvas功能...');
+            this.logger.debug('尝试恢复Canvas功能...');
             
             // 重新检测Canvas支持
             this.checkCanvasSupport();
@@ -1781,13 +2385,13 @@ class ClockRenderer {
             if (this.isCanvasSupported) {
                 // 重新初始化Canvas
                 this.initializeCanvas();
-                console.log('Canvas功能已恢复');
+                this.logger.debug('Canvas功能已恢复');
                 return true;
             }
             
             return false;
         } catch (error) {
-            console.error('恢复Canvas功能失败:', error);
+            this.logger.error('恢复Canvas功能失败:', error);
             return false;
         }
     }
@@ -1833,7 +2437,7 @@ class ClockRenderer {
             messageElement.innerHTML = `
                 <div class="success-content">
                     <span class="success-icon">✅</span>
-                    <span class="success-text">时钟显示功能已恢复，参考线功能可用</span>
+                    <span class="success-text">${this.i18n.t('clock.recovered')}</span>
                     <button class="success-close" onclick="this.parentElement.parentElement.style.display='none'">×</button>
                 </div>
             `;
@@ -1846,7 +2450,7 @@ class ClockRenderer {
                 }
             }, 5000);
         } catch (error) {
-            console.error('显示Canvas恢复消息失败:', error);
+            this.logger.error('显示Canvas恢复消息失败:', error);
         }
     }
 
@@ -1855,7 +2459,7 @@ class ClockRenderer {
      * @param {string} errorMessage - 错误消息
      */
     handleCanvasRenderFailure(errorMessage) {
-        console.error('Canvas渲染失败:', errorMessage);
+        this.logger.error('Canvas渲染失败:', errorMessage);
         
         // 标记Canvas为不支持
         this.isCanvasSupported = false;
@@ -1897,7 +2501,7 @@ class ClockRenderer {
             errorElement.innerHTML = `
                 <div class="error-content">
                     <span class="error-icon">⚠️</span>
-                    <span class="error-text">时钟渲染异常，已切换到数字显示模式</span>
+                    <span class="error-text">${this.i18n.t('clock.errors.renderFailed')}</span>
                     <button class="error-close" onclick="this.parentElement.parentElement.style.display='none'">×</button>
                 </div>
             `;
@@ -1910,7 +2514,7 @@ class ClockRenderer {
                 }
             }, 8000);
         } catch (error) {
-            console.error('显示Canvas渲染失败消息失败:', error);
+            this.logger.error('显示Canvas渲染失败消息失败:', error);
         }
     }
 
@@ -1934,9 +2538,9 @@ class ClockRenderer {
                 userAgent: navigator.userAgent
             };
             
-            console.log('Canvas错误统计:', this.canvasErrorStats);
+            this.logger.debug('Canvas错误统计:', this.canvasErrorStats);
         } catch (error) {
-            console.warn('记录Canvas错误统计失败:', error);
+            this.logger.warn('记录Canvas错误统计失败:', error);
         }
     }
 
@@ -1945,7 +2549,7 @@ class ClockRenderer {
      */
     attemptCanvasRecovery() {
         try {
-            console.log('尝试Canvas自动恢复...');
+            this.logger.debug('尝试Canvas自动恢复...');
             
             // 检查是否可以恢复
             if (this.tryRecoverCanvas()) {
@@ -1963,7 +2567,7 @@ class ClockRenderer {
             
             return false;
         } catch (error) {
-            console.error('Canvas自动恢复失败:', error);
+            this.logger.error('Canvas自动恢复失败:', error);
             return false;
         }
     }
@@ -1981,7 +2585,7 @@ class ClockRenderer {
      */
     clearCanvasErrorStats() {
         this.canvasErrorStats = {};
-        console.log('Canvas错误统计已清除');
+        this.logger.debug('Canvas错误统计已清除');
     }
 
     /**
@@ -2022,7 +2626,7 @@ class ClockRenderer {
      * 开始自动走动
      */
     startAutoTick() {
-        console.log('⏰ 开始自动走动功能:', {
+        this.logger.debug('⏰ 开始自动走动功能:', {
             currentAutoTick: this.autoTick,
             showCurrentTime: this.showCurrentTime,
             currentTime: this.currentTime,
@@ -2033,13 +2637,15 @@ class ClockRenderer {
         this.stopAutoTick();
         
         this.autoTick = true;
-        console.log('✅ 自动走动状态已设置为true');
+        this.logger.debug('✅ 自动走动状态已设置为true');
         
         // 设置定时器，每秒更新一次
         this.tickInterval = setInterval(() => {
-            console.log('⏱️ 定时器触发，更新时间...');
+            this.logger.debug('⏱️ 定时器触发，更新时间...');
             
             try {
+                const previousHours = this.currentTime ? this.currentTime.hours : null;
+                
                 if (this.showCurrentTime) {
                     // 如果显示当前时间，获取系统时间
                     const now = new Date();
@@ -2048,7 +2654,7 @@ class ClockRenderer {
                         minutes: now.getMinutes(),
                         seconds: now.getSeconds()
                     };
-                    console.log('🕐 更新为系统当前时间:', this.currentTime);
+                    this.logger.debug('🕐 更新为系统当前时间:', this.currentTime);
                 } else {
                     // 否则递增时间
                     if (this.currentTime) {
@@ -2064,32 +2670,40 @@ class ClockRenderer {
                                 }
                             }
                         }
-                        console.log('🕐 递增时间:', this.currentTime);
+                        this.logger.debug('🕐 递增时间:', this.currentTime);
                     } else {
-                        console.warn('⚠️ currentTime为空，无法递增');
+                        this.logger.warn('⚠️ currentTime为空，无法递增');
                     }
                 }
                 
                 // 重新渲染时钟
                 if (this.currentTime) {
-                    console.log('🎨 自动走动触发重新渲染');
+                    this.logger.debug('🎨 自动走动触发重新渲染');
                     this.render(this.currentTime, this.showGuideLines);
+                    
+                    // 通知走了一秒（音效据此播放滴答声和整点报时）
+                    document.dispatchEvent(new CustomEvent('clockTick', {
+                        detail: {
+                            time: { ...this.currentTime },
+                            hourChanged: previousHours !== null && previousHours % 12 !== this.currentTime.hours % 12
+                        }
+                    }));
                 }
                 
             } catch (error) {
-                console.error('❌ 自动走动更新时间失败:', error);
-                console.error('❌ 自动走动错误堆栈:', error.stack);
+                this.logger.error('❌ 自动走动更新时间失败:', error);
+                this.logger.error('❌ 自动走动错误堆栈:', error.stack);
             }
         }, 1000);
         
-        console.log('✅ 自动走动定时器已启动，间隔1秒');
+        this.logger.debug('✅ 自动走动定时器已启动，间隔1秒');
     }
 
     /**
      * 停止自动走动
      */
     stopAutoTick() {
-        console.log('⏹️ 停止自动走动功能:', {
+        this.logger.debug('⏹️ 停止自动走动功能:', {
             currentAutoTick: this.autoTick,
             hasInterval: !!this.tickInterval,
             intervalId: this.tickInterval
@@ -2098,13 +2712,13 @@ class ClockRenderer {
         if (this.tickInterval) {
             clearInterval(this.tickInterval);
             this.tickInterval = null;
-            console.log('✅ 定时器已清除');
+            this.logger.debug('✅ 定时器已清除');
         } else {
-            console.log('ℹ️ 没有活动的定时器需要清除');
+            this.logger.debug('ℹ️ 没有活动的定时器需要清除');
         }
         
         this.autoTick = false;
-        console.log('✅ 自动走动状态已设置为false');
+        this.logger.debug('✅ 自动走动状态已设置为false');
     }
 
     /**
@@ -2112,7 +2726,7 @@ class ClockRenderer {
      * @param {boolean} show - 是否显示当前时间
      */
     setShowCurrentTime(show) {
-        console.log('🕐 设置显示当前时间:', {
+        this.logger.debug('🕐 设置显示当前时间:', {
             from: this.showCurrentTime,
             to: show,
             currentTime: this.currentTime,
@@ -2126,22 +2740,22 @@ class ClockRenderer {
                 try {
                     // 完全重置变换矩阵
                     this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-                    console.log('🔄 开启显示当前时间时重置Canvas变换矩阵');
+                    this.logger.debug('🔄 开启显示当前时间时重置Canvas变换矩阵');
                     
                     // 重新应用设备像素比缩放
                     const devicePixelRatio = window.devicePixelRatio || 1;
                     this.ctx.scale(devicePixelRatio, devicePixelRatio);
-                    console.log('🔄 开启显示当前时间时重新应用设备像素比缩放');
+                    this.logger.debug('🔄 开启显示当前时间时重新应用设备像素比缩放');
                 } catch (error) {
-                    console.error('❌ 开启显示当前时间时重置Canvas失败:', error);
+                    this.logger.error('❌ 开启显示当前时间时重置Canvas失败:', error);
                 }
             } else {
-                console.log('⏭️ Canvas状态正常，跳过重置');
+                this.logger.debug('⏭️ Canvas状态正常，跳过重置');
             }
         }
         
         this.showCurrentTime = show;
-        console.log('✅ showCurrentTime状态已更新');
+        this.logger.debug('✅ showCurrentTime状态已更新');
     }
 
     /**
@@ -2149,7 +2763,7 @@ class ClockRenderer {
      * @param {Object} time - 时间对象
      */
     setDisplayTime(time) {
-        console.log('⏰ 设置显示时间:', {
+        this.logger.debug('⏰ 设置显示时间:', {
             from: this.currentTime,
             to: time,
             showCurrentTime: this.showCurrentTime,
@@ -2158,9 +2772,9 @@ class ClockRenderer {
         
         if (this.validateTime(time)) {
             this.currentTime = { ...time };
-            console.log('✅ 显示时间已更新');
+            this.logger.debug('✅ 显示时间已更新');
         } else {
-            console.error('❌ 无效的时间对象，设置失败:', time);
+            this.logger.error('❌ 无效的时间对象，设置失败:', time);
         }
     }
 
@@ -2178,7 +2792,7 @@ class ClockRenderer {
     resetCanvas() {
         try {
             if (!this.isCanvasSupported || !this.canvas || !this.ctx) {
-                console.warn('Canvas不可用，无法重置');
+                this.logger.warn('Canvas不可用，无法重置');
                 return;
             }
 
@@ -2195,10 +2809,10 @@ class ClockRenderer {
             const cssHeight = parseInt(this.canvas.style.height) || 350;
             this.ctx.clearRect(0, 0, cssWidth, cssHeight);
             
-            console.log('Canvas状态已重置');
+            this.logger.debug('Canvas状态已重置');
             
         } catch (error) {
-            console.error('重置Canvas状态失败:', error);
+            this.logger.error('重置Canvas状态失败:', error);
         }
     }
 
@@ -2207,7 +2821,7 @@ class ClockRenderer {
      * 在页面卸载时调用，防止内存泄漏
      */
     cleanup() {
-        console.log('🧹 开始清理ClockRenderer资源...');
+        this.logger.debug('🧹 开始清理ClockRenderer资源...');
         
         try {
             // 停止自动走动（这会清理tickInterval）
@@ -2217,13 +2831,13 @@ class ClockRenderer {
             if (this.initTimeout) {
                 clearTimeout(this.initTimeout);
                 this.initTimeout = null;
-                console.log('✅ 初始化定时器已清除');
+                this.logger.debug('✅ 初始化定时器已清除');
             }
             
             if (this.renderTimeout) {
                 clearTimeout(this.renderTimeout);
                 this.renderTimeout = null;
-                console.log('✅ 渲染定时器已清除');
+                this.logger.debug('✅ 渲染定时器已清除');
             }
             
             // 注意：tickInterval已经在stopAutoTick()中清理了，不需要重复清理
@@ -2232,9 +2846,9 @@ class ClockRenderer {
             if (this.ctx && this.canvas) {
                 try {
                     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-                    console.log('✅ Canvas已清空');
+                    this.logger.debug('✅ Canvas已清空');
                 } catch (canvasError) {
-                    console.warn('⚠️ 清空Canvas时出错:', canvasError);
+                    this.logger.warn('⚠️ 清空Canvas时出错:', canvasError);
                 }
             }
             
@@ -2250,19 +2864,19 @@ class ClockRenderer {
             this.centerY = 0;
             this.radius = 0;
             
-            console.log('✅ ClockRenderer资源清理完成');
+            this.logger.debug('✅ ClockRenderer资源清理完成');
             
         } catch (error) {
-            console.error('❌ ClockRenderer资源清理失败:', error);
+            this.logger.error('❌ ClockRenderer资源清理失败:', error);
             // 即使清理失败，也要确保关键状态被重置
             try {
                 this.autoTick = false;
                 this.tickInterval = null;
                 this.renderTimeout = null;
                 this.initTimeout = null;
-                console.log('✅ 关键状态已强制重置');
+                this.logger.debug('✅ 关键状态已强制重置');
             } catch (resetError) {
-                console.error('❌ 强制重置状态也失败:', resetError);
+                this.logger.error('❌ 强制重置状态也失败:', resetError);
             }
         }
     }
@@ -2271,16 +2885,16 @@ class ClockRenderer {
      * 析构函数（当对象被销毁时调用）
      */
     destroy() {
-        console.log('🗑️ 销毁ClockRenderer实例...');
+        this.logger.debug('🗑️ 销毁ClockRenderer实例...');
         this.cleanup();
-        console.log('✅ ClockRenderer实例已销毁');
+        this.logger.debug('✅ ClockRenderer实例已销毁');
     }
 
     /**
      * 处理显示当前时间切换时的Canvas重置
      */
     handleCurrentTimeToggle() {
-        console.log('🔄 处理显示当前时间切换时的Canvas重置');
+        this.logger.debug('🔄 处理显示当前时间切换时的Canvas重置');
         
         try {
             // 保存当前状态
@@ -2294,10 +2908,10 @@ class ClockRenderer {
             
             // 验证重置结果
             if (!this.isCanvasInitialized()) {
-                console.error('❌ Canvas重置失败，尝试紧急恢复');
+                this.logger.error('❌ Canvas重置失败，尝试紧急恢复');
                 this.attemptEmergencyRecovery();
             } else {
-                console.log('✅ Canvas重置成功:', {
+                this.logger.debug('✅ Canvas重置成功:', {
                     wasInitialized: wasInitialized,
                     oldParams: { centerX: oldCenterX, centerY: oldCenterY, radius: oldRadius },
                     newParams: { centerX: this.centerX, centerY: this.centerY, radius: this.radius }
@@ -2305,7 +2919,7 @@ class ClockRenderer {
             }
             
         } catch (error) {
-            console.error('❌ 处理显示当前时间切换时Canvas重置失败:', error);
+            this.logger.error('❌ 处理显示当前时间切换时Canvas重置失败:', error);
             this.attemptEmergencyRecovery();
         }
     }
@@ -2314,7 +2928,7 @@ class ClockRenderer {
      * 紧急恢复Canvas状态
      */
     attemptEmergencyRecovery() {
-        console.log('🚨 尝试紧急恢复Canvas状态');
+        this.logger.debug('🚨 尝试紧急恢复Canvas状态');
         
         try {
             // 完全重置所有参数
@@ -2331,16 +2945,16 @@ class ClockRenderer {
                 this.performCanvasInitialization();
                 
                 if (this.isCanvasInitialized()) {
-                    console.log('✅ 紧急恢复成功');
+                    this.logger.debug('✅ 紧急恢复成功');
                 } else {
-                    console.error('❌ 紧急恢复失败');
+                    this.logger.error('❌ 紧急恢复失败');
                 }
             } else {
-                console.error('❌ Canvas不支持，无法进行紧急恢复');
+                this.logger.error('❌ Canvas不支持，无法进行紧急恢复');
             }
             
         } catch (error) {
-            console.error('❌ 紧急恢复失败:', error);
+            this.logger.error('❌ 紧急恢复失败:', error);
         }
     }
 }
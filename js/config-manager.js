@@ -3,12 +3,35 @@
  * 负责管理应用的配置选项，包括时间单位和分钟间隔设置
  */
 class ConfigManager {
-    constructor() {
+    /**
+     * @param {string} storageSuffix - 学习者档案的存储键后缀（默认档案为空）
+     */
+    constructor(storageSuffix = '') {
+        this.logger = Logger.getInstance().channel('app');
+        this.storageKey = 'clockLearningConfig' + storageSuffix;
         this.defaultConfig = {
             enableHours: true,
             enableMinutes: false,
             enableSeconds: false,
-            minuteInterval: 1
+            minuteInterval: 1,
+            questionMode: 'read', // 练习模式：read-看钟读时间，set-拨针对时间，choice-看钟选时间，phrase-看钟说读法，elapsed-经过时间
+            linkedHourHand: true, // 拨针模式下时针是否跟随分针联动
+            adaptiveDifficulty: false, // 是否根据答题表现自动调整难度
+            reviewRatio: 0.3, // 到期错题混入题目的比例（0表示不混入）
+            clockTheme: 'classic', // 钟面主题id（见ThemeManager）
+            handAnimation: true, // 换题时指针是否转到新时间（动画）
+            smoothSecondHand: false, // 自动走动时秒针是否平滑走动
+            meridiemMode: 'off', // 上午/下午情境题：off-不区分，24h-用24小时制回答，ampm-选择上午或下午
+            phraseLocale: 'zh', // 读法题使用的语言：zh-中文，en-英文
+            speechMuted: false, // 是否关闭语音朗读
+            speechVoice: '', // 朗读声音的voiceURI，空字符串表示浏览器默认声音
+            speechRate: 0.85, // 朗读速度，孩子听得清楚一些，默认稍慢
+            soundMuted: false, // 是否关闭音效（滴答声、整点报时和答题提示音）
+            soundVolume: 0.5, // 音效音量
+            quietClassroom: false, // 安静教室模式：只保留轻声的答题提示音
+            testQuestionCount: 10, // 测验题目数量
+            testTimeLimit: 0, // 测验总限时（秒），0表示不限时
+            testLevels: [1, 2, 3] // 测验混合的星级
         };
         this.currentConfig = { ...this.defaultConfig };
         this.loadConfig();
@@ -43,16 +66,100 @@ class ConfigManager {
     validateConfig(config) {
         // 至少要启用一个时间单位
         if (!config.enableHours && !config.enableMinutes && !config.enableSeconds) {
-            console.warn('至少需要启用一个时间单位，默认启用小时');
+            this.logger.warn('至少需要启用一个时间单位，默认启用小时');
             config.enableHours = true;
         }
 
         // 验证分钟间隔
         if (config.minuteInterval && ![1, 5, 30].includes(config.minuteInterval)) {
-            console.warn('无效的分钟间隔，使用默认值1分钟');
+            this.logger.warn('无效的分钟间隔，使用默认值1分钟');
             config.minuteInterval = 1;
         }
 
+        // 验证练习模式
+        if (config.questionMode !== undefined && !['read', 'set', 'choice', 'phrase', 'elapsed'].includes(config.questionMode)) {
+            this.logger.warn('无效的练习模式，使用默认的看钟读时间模式');
+            config.questionMode = 'read';
+        }
+
+        // 验证错题复习比例
+        if (config.reviewRatio !== undefined && ![0, 0.2, 0.3, 0.5].includes(config.reviewRatio)) {
+            this.logger.warn('无效的错题复习比例，使用默认值0.3');
+            config.reviewRatio = 0.3;
+        }
+
+        // 验证上午/下午情境题设置
+        if (config.meridiemMode !== undefined && !['off', '24h', 'ampm'].includes(config.meridiemMode)) {
+            this.logger.warn('无效的上午/下午设置，使用默认值不区分');
+            config.meridiemMode = 'off';
+        }
+
+        // 验证读法语言
+        if (config.phraseLocale !== undefined && !['zh', 'en'].includes(config.phraseLocale)) {
+            this.logger.warn('无效的读法语言，使用默认的中文');
+            config.phraseLocale = 'zh';
+        }
+
+        // 验证语音朗读设置（声音是否存在由SpeechNarrator判断，找不到时用默认声音）
+        if (config.speechMuted !== undefined && typeof config.speechMuted !== 'boolean') {
+            this.logger.warn('无效的朗读静音设置，使用默认值开启朗读');
+            config.speechMuted = false;
+        }
+        if (config.speechVoice !== undefined && typeof config.speechVoice !== 'string') {
+            this.logger.warn('无效的朗读声音，使用默认声音');
+            config.speechVoice = '';
+        }
+        if (config.speechRate !== undefined && ![0.7, 0.85, 1, 1.2].includes(config.speechRate)) {
+            this.logger.warn('无效的朗读速度，使用默认值稍慢');
+            config.speechRate = 0.85;
+        }
+
+        // 验证音效设置
+        if (config.soundMuted !== undefined && typeof config.soundMuted !== 'boolean') {
+            this.logger.warn('无效的音效静音设置，使用默认值开启音效');
+            config.soundMuted = false;
+        }
+        if (config.soundVolume !== undefined && ![0.25, 0.5, 0.75, 1].includes(config.soundVolume)) {
+            this.logger.warn('无效的音效音量，使用默认值中等');
+            config.soundVolume = 0.5;
+        }
+        if (config.quietClassroom !== undefined && typeof config.quietClassroom !== 'boolean') {
+            this.logger.warn('无效的安静教室设置，使用默认值关闭');
+            config.quietClassroom = false;
+        }
+
+        // 验证指针动画设置
+        if (config.handAnimation !== undefined && typeof config.handAnimation !== 'boolean') {
+            this.logger.warn('无效的指针动画设置，使用默认值开启');
+            config.handAnimation = true;
+        }
+        if (config.smoothSecondHand !== undefined && typeof config.smoothSecondHand !== 'boolean') {
+            this.logger.warn('无效的秒针平滑走动设置，使用默认值关闭');
+            config.smoothSecondHand = false;
+        }
+
+        // 验证钟面主题（主题是否存在由ThemeManager判断，未知主题按经典主题显示）
+        if (config.clockTheme !== undefined && (typeof config.clockTheme !== 'string' || !config.clockTheme.trim())) {
+            this.logger.warn('无效的钟面主题，使用默认的经典主题');
+            config.clockTheme = 'classic';
+        }
+
+        // 验证测验设置
+        if (config.testQuestionCount !== undefined && ![5, 10, 20].includes(config.testQuestionCount)) {
+            this.logger.warn('无效的测验题数，使用默认值10题');
+            config.testQuestionCount = 10;
+        }
+        if (config.testTimeLimit !== undefined && ![0, 180, 300, 600].includes(config.testTimeLimit)) {
+            this.logger.warn('无效的测验限时，使用默认值不限时');
+            config.testTimeLimit = 0;
+        }
+        if (config.testLevels !== undefined &&
+            (!Array.isArray(config.testLevels) || config.testLevels.length === 0 ||
+             !config.testLevels.every(level => [1, 2, 3, 4, 5].includes(level)))) {
+            this.logger.warn('无效的测验星级，使用默认值1-3星');
+            config.testLevels = [1, 2, 3];
+        }
+
         return true;
     }
 
@@ -61,14 +168,14 @@ class ConfigManager {
      */
     loadConfig() {
         try {
-            const savedConfig = localStorage.getItem('clockLearningConfig');
+            const savedConfig = localStorage.getItem(this.storageKey);
             if (savedConfig) {
                 const parsedConfig = JSON.parse(savedConfig);
                 this.currentConfig = { ...this.defaultConfig, ...parsedConfig };
                 this.validateConfig(this.currentConfig);
             }
         } catch (error) {
-            console.error('加载配置失败，使用默认配置:', error);
+            this.logger.error('加载配置失败，使用默认配置:', error);
             this.currentConfig = { ...this.defaultConfig };
         }
     }
@@ -78,12 +185,23 @@ class ConfigManager {
      */
     saveConfig() {
         try {
-            localStorage.setItem('clockLearningConfig', JSON.stringify(this.currentConfig));
+            localStorage.setItem(this.storageKey, JSON.stringify(this.currentConfig));
         } catch (error) {
-            console.error('保存配置失败:', error);
+            this.logger.error('保存配置失败:', error);
         }
     }
 
+    /**
+     * 切换到其他学习者档案的配置
+     * @param {string} storageSuffix - 档案的存储键后缀
+     */
+    setStorageSuffix(storageSuffix) {
+        this.storageKey = 'clockLearningConfig' + storageSuffix;
+        this.currentConfig = { ...this.defaultConfig };
+        this.loadConfig();
+        this.logger.debug('配置已切换到存储键:', this.storageKey);
+    }
+
     /**
      * 重置为默认配置
      */
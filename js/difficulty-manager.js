@@ -1,12 +1,24 @@
 /**
  * 难度管理器类
- * 负责管理1-5星难度系统，包括难度配置和描述
+ * 负责管理1-5星难度系统，包括难度配置和描述；
+ * 钟面数字样式（阿拉伯数字、罗马数字、只有3/6/9/12、只有刻度）是与星级独立的第二个难度维度
  */
 class DifficultyManager {
-    constructor() {
+    /**
+     * @param {string} storageSuffix - 学习者档案的存储键后缀（默认档案为空）
+     */
+    constructor(storageSuffix = '') {
+        this.logger = Logger.getInstance().channel('difficulty');
+        this.storageKey = 'clockLearningDifficulty' + storageSuffix;
+        this.faceStyleStorageKey = 'clockLearningFaceStyle' + storageSuffix;
         this.currentDifficulty = 1; // 默认1星难度
+        this.defaultFaceStyle = 'arabic';
+        this.currentFaceStyle = this.defaultFaceStyle;
+        this.i18n = I18nManager.getInstance();
         this.difficulties = this.initializeDifficulties();
+        this.faceStyles = this.initializeFaceStyles();
         this.loadDifficulty();
+        this.loadFaceStyle();
     }
 
     /**
@@ -17,8 +29,8 @@ class DifficultyManager {
         return {
             1: {
                 level: 1,
-                name: "1星 - 整点时间",
-                description: "显示整点时间，如 3:00:00，适合初学者。请输入完整的时、分、秒",
+                name: this.i18n.t('difficulty.levels.1.name'),
+                description: this.i18n.t('difficulty.levels.1.description'),
                 timeConfig: {
                     includeHours: true,
                     includeMinutes: true,
@@ -29,8 +41,8 @@ class DifficultyManager {
             },
             2: {
                 level: 2,
-                name: "2星 - 30分钟间隔",
-                description: "显示30分钟间隔的时间，如 3:30:00，学习半点概念。请输入完整的时、分、秒",
+                name: this.i18n.t('difficulty.levels.2.name'),
+                description: this.i18n.t('difficulty.levels.2.description'),
                 timeConfig: {
                     includeHours: true,
                     includeMinutes: true,
@@ -41,8 +53,8 @@ class DifficultyManager {
             },
             3: {
                 level: 3,
-                name: "3星 - 5分钟间隔",
-                description: "显示5分钟间隔的时间，如 3:25:00，练习基础分钟读取。请输入完整的时、分、秒",
+                name: this.i18n.t('difficulty.levels.3.name'),
+                description: this.i18n.t('difficulty.levels.3.description'),
                 timeConfig: {
                     includeHours: true,
                     includeMinutes: true,
@@ -53,8 +65,8 @@ class DifficultyManager {
             },
             4: {
                 level: 4,
-                name: "4星 - 1分钟间隔",
-                description: "显示1分钟间隔的时间，如 3:27:00，掌握精确分钟。请输入完整的时、分、秒",
+                name: this.i18n.t('difficulty.levels.4.name'),
+                description: this.i18n.t('difficulty.levels.4.description'),
                 timeConfig: {
                     includeHours: true,
                     includeMinutes: true,
@@ -65,8 +77,8 @@ class DifficultyManager {
             },
             5: {
                 level: 5,
-                name: "5星 - 包含秒数",
-                description: "显示完整时间包含秒数，如 3:27:45，挑战完整时间读取。请输入完整的时、分、秒",
+                name: this.i18n.t('difficulty.levels.5.name'),
+                description: this.i18n.t('difficulty.levels.5.description'),
                 timeConfig: {
                     includeHours: true,
                     includeMinutes: true,
@@ -78,18 +90,59 @@ class DifficultyManager {
         };
     }
 
+    /**
+     * 初始化钟面数字样式（按从易到难排列）
+     * @returns {Object} 以样式id为键的钟面样式对象
+     */
+    initializeFaceStyles() {
+        return {
+            arabic: {
+                id: 'arabic',
+                order: 1,
+                name: this.i18n.t('faceStyle.arabic.name'),
+                description: this.i18n.t('faceStyle.arabic.description')
+            },
+            roman: {
+                id: 'roman',
+                order: 2,
+                name: this.i18n.t('faceStyle.roman.name'),
+                description: this.i18n.t('faceStyle.roman.description')
+            },
+            quarters: {
+                id: 'quarters',
+                order: 3,
+                name: this.i18n.t('faceStyle.quarters.name'),
+                description: this.i18n.t('faceStyle.quarters.description')
+            },
+            ticks: {
+                id: 'ticks',
+                order: 4,
+                name: this.i18n.t('faceStyle.ticks.name'),
+                description: this.i18n.t('faceStyle.ticks.description')
+            }
+        };
+    }
+
+    /**
+     * 切换语言后重新生成难度和钟面样式的名称、说明
+     */
+    refreshTranslations() {
+        this.difficulties = this.initializeDifficulties();
+        this.faceStyles = this.initializeFaceStyles();
+    }
+
     /**
      * 获取当前难度
      * @returns {Object} 当前难度对象
      */
     getDifficulty() {
         if (!this.difficulties) {
-            console.error('难度配置未初始化');
+            this.logger.error('难度配置未初始化');
             return null;
         }
         
         if (!this.currentDifficulty || !this.difficulties[this.currentDifficulty]) {
-            console.warn('当前难度无效，重置为1星');
+            this.logger.warn('当前难度无效，重置为1星');
             this.currentDifficulty = 1;
         }
         
@@ -99,9 +152,10 @@ class DifficultyManager {
     /**
      * 设置难度等级
      * @param {number} level - 难度等级 (1-5)
+     * @param {Object} changeInfo - 附加到difficultyChanged事件的变更信息（可选，如自动调整的原因）
      * @returns {boolean} 设置是否成功
      */
-    setDifficulty(level) {
+    setDifficulty(level, changeInfo = null) {
         try {
             if (this.validateDifficulty(level)) {
                 const previousDifficulty = this.currentDifficulty;
@@ -111,28 +165,31 @@ class DifficultyManager {
                 const saveSuccess = this.saveDifficulty();
                 if (!saveSuccess) {
                     // 如果保存失败，回滚到之前的难度
-                    console.warn('难度设置保存失败，回滚到之前的设置');
+                    this.logger.warn('难度设置保存失败，回滚到之前的设置');
                     this.currentDifficulty = previousDifficulty;
                     this.handleDifficultyError('保存失败', level, previousDifficulty);
                     return false;
                 }
                 
-                console.log(`难度已成功设置为 ${level} 星`);
+                this.logger.debug(`难度已成功设置为 ${level} 星`);
                 
                 // 触发难度切换成功事件
-                this.dispatchDifficultyChangeEvent(level, true);
+                this.dispatchDifficultyChangeEvent(level, true, null, {
+                    previousLevel: previousDifficulty,
+                    ...changeInfo
+                });
                 return true;
             } else {
-                console.error(`无效的难度等级: ${level}，必须是1-5之间的整数`);
+                this.logger.error(`无效的难度等级: ${level}，必须是1-5之间的整数`);
                 this.handleDifficultyError('无效等级', level, this.currentDifficulty);
                 return false;
             }
         } catch (error) {
-            console.error('设置难度时发生错误:', error);
+            this.logger.error('设置难度时发生错误:', error);
             
             // 确保难度保持在有效范围内
             if (!this.validateDifficulty(this.currentDifficulty)) {
-                console.warn('当前难度无效，重置为默认难度1星');
+                this.logger.warn('当前难度无效，重置为默认难度1星');
                 const originalDifficulty = this.currentDifficulty;
                 this.currentDifficulty = 1;
                 this.handleDifficultyError('系统异常，已重置', level, originalDifficulty);
@@ -161,7 +218,7 @@ class DifficultyManager {
         if (this.validateDifficulty(level)) {
             return this.difficulties[level].description;
         }
-        return "无效的难度等级";
+        return this.i18n.t('difficulty.invalidLevel');
     }
 
     /**
@@ -173,7 +230,7 @@ class DifficultyManager {
         if (this.validateDifficulty(level)) {
             return this.difficulties[level].name;
         }
-        return "未知难度";
+        return this.i18n.t('difficulty.unknown');
     }
 
     /**
@@ -191,7 +248,7 @@ class DifficultyManager {
     getTimeConfig() {
         const difficulty = this.getDifficulty();
         if (!difficulty || !difficulty.timeConfig) {
-            console.error('无法获取时间配置，使用默认配置');
+            this.logger.error('无法获取时间配置，使用默认配置');
             return {
                 includeHours: true,
                 includeMinutes: true,
@@ -210,17 +267,17 @@ class DifficultyManager {
      */
     validateDifficulty(level) {
         if (typeof level !== 'number') {
-            console.warn('难度等级必须是数字');
+            this.logger.warn('难度等级必须是数字');
             return false;
         }
         
         if (!Number.isInteger(level)) {
-            console.warn('难度等级必须是整数');
+            this.logger.warn('难度等级必须是整数');
             return false;
         }
         
         if (level < 1 || level > 5) {
-            console.warn('难度等级必须在1-5之间');
+            this.logger.warn('难度等级必须在1-5之间');
             return false;
         }
         
@@ -232,18 +289,18 @@ class DifficultyManager {
      */
     loadDifficulty() {
         try {
-            const savedDifficulty = localStorage.getItem('clockLearningDifficulty');
+            const savedDifficulty = localStorage.getItem(this.storageKey);
             if (savedDifficulty) {
                 const level = parseInt(savedDifficulty, 10);
                 if (this.validateDifficulty(level)) {
                     this.currentDifficulty = level;
                 } else {
-                    console.warn('加载的难度等级无效，使用默认难度1星');
+                    this.logger.warn('加载的难度等级无效，使用默认难度1星');
                     this.currentDifficulty = 1;
                 }
             }
         } catch (error) {
-            console.error('加载难度设置失败，使用默认难度:', error);
+            this.logger.error('加载难度设置失败，使用默认难度:', error);
             this.currentDifficulty = 1;
         }
     }
@@ -256,34 +313,34 @@ class DifficultyManager {
         try {
             // 检查localStorage是否可用
             if (typeof Storage === 'undefined') {
-                console.warn('浏览器不支持localStorage，难度设置将不会被保存');
+                this.logger.warn('浏览器不支持localStorage，难度设置将不会被保存');
                 return false;
             }
             
             // 验证当前难度的有效性
             if (!this.validateDifficulty(this.currentDifficulty)) {
-                console.error('尝试保存无效的难度设置:', this.currentDifficulty);
+                this.logger.error('尝试保存无效的难度设置:', this.currentDifficulty);
                 return false;
             }
             
-            localStorage.setItem('clockLearningDifficulty', this.currentDifficulty.toString());
-            console.log(`难度设置已保存: ${this.currentDifficulty}星`);
+            localStorage.setItem(this.storageKey, this.currentDifficulty.toString());
+            this.logger.debug(`难度设置已保存: ${this.currentDifficulty}星`);
             return true;
         } catch (error) {
-            console.error('保存难度设置失败:', error);
+            this.logger.error('保存难度设置失败:', error);
             
             // 检查是否是存储空间不足的问题
             if (error.name === 'QuotaExceededError') {
-                console.warn('localStorage存储空间不足，尝试清理旧数据');
+                this.logger.warn('localStorage存储空间不足，尝试清理旧数据');
                 this.handleStorageQuotaExceeded();
                 
                 // 重试保存
                 try {
-                    localStorage.setItem('clockLearningDifficulty', this.currentDifficulty.toString());
-                    console.log('重试保存成功');
+                    localStorage.setItem(this.storageKey, this.currentDifficulty.toString());
+                    this.logger.debug('重试保存成功');
                     return true;
                 } catch (retryError) {
-                    console.error('重试保存仍然失败:', retryError);
+                    this.logger.error('重试保存仍然失败:', retryError);
                     return false;
                 }
             }
@@ -301,27 +358,149 @@ class DifficultyManager {
             const keysToCheck = [];
             for (let i = 0; i < localStorage.length; i++) {
                 const key = localStorage.key(i);
-                if (key && key.startsWith('clockLearning') && key !== 'clockLearningDifficulty') {
+                if (key && key.startsWith('clockLearning') && !key.startsWith('clockLearningDifficulty')) {
                     keysToCheck.push(key);
                 }
             }
             
             // 删除非关键数据
             keysToCheck.forEach(key => {
-                if (key !== 'clockLearningRecords') { // 保留答题记录
+                // 保留答题记录和学习者档案
+                if (!key.startsWith('clockLearningRecords') && key !== 'clockLearningProfiles') {
                     try {
                         localStorage.removeItem(key);
-                        console.log(`已清理存储项: ${key}`);
+                        this.logger.debug(`已清理存储项: ${key}`);
                     } catch (error) {
-                        console.warn(`清理存储项失败: ${key}`, error);
+                        this.logger.warn(`清理存储项失败: ${key}`, error);
                     }
                 }
             });
         } catch (error) {
-            console.error('清理存储空间时发生错误:', error);
+            this.logger.error('清理存储空间时发生错误:', error);
+        }
+    }
+
+    /**
+     * 切换到其他学习者档案的难度设置
+     * @param {string} storageSuffix - 档案的存储键后缀
+     */
+    setStorageSuffix(storageSuffix) {
+        this.storageKey = 'clockLearningDifficulty' + storageSuffix;
+        this.faceStyleStorageKey = 'clockLearningFaceStyle' + storageSuffix;
+        this.currentDifficulty = 1;
+        this.currentFaceStyle = this.defaultFaceStyle;
+        this.loadDifficulty();
+        this.loadFaceStyle();
+        this.logger.debug(`难度设置已切换到存储键 ${this.storageKey}，当前难度: ${this.currentDifficulty}星，钟面: ${this.getFaceStyleName(this.currentFaceStyle)}`);
+    }
+
+    /**
+     * 验证钟面样式的有效性
+     * @param {string} styleId - 钟面样式id
+     * @returns {boolean} 是否有效
+     */
+    validateFaceStyle(styleId) {
+        if (typeof styleId !== 'string' || !this.faceStyles[styleId]) {
+            this.logger.warn('无效的钟面样式:', styleId);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 从本地存储加载钟面样式
+     */
+    loadFaceStyle() {
+        try {
+            const savedStyle = localStorage.getItem(this.faceStyleStorageKey);
+            if (savedStyle) {
+                this.currentFaceStyle = this.validateFaceStyle(savedStyle) ? savedStyle : this.defaultFaceStyle;
+            }
+        } catch (error) {
+            this.logger.error('加载钟面样式失败，使用阿拉伯数字钟面:', error);
+            this.currentFaceStyle = this.defaultFaceStyle;
         }
     }
 
+    /**
+     * 保存钟面样式到本地存储
+     * @returns {boolean} 保存是否成功
+     */
+    saveFaceStyle() {
+        try {
+            localStorage.setItem(this.faceStyleStorageKey, this.currentFaceStyle);
+            return true;
+        } catch (error) {
+            this.logger.error('保存钟面样式失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 设置钟面样式，成功后触发faceStyleChanged事件
+     * @param {string} styleId - 钟面样式id
+     * @returns {boolean} 设置是否成功
+     */
+    setFaceStyle(styleId) {
+        if (!this.validateFaceStyle(styleId)) {
+            return false;
+        }
+
+        const previousStyle = this.currentFaceStyle;
+        this.currentFaceStyle = styleId;
+        if (!this.saveFaceStyle()) {
+            this.logger.warn('钟面样式保存失败，本次会话内仍然生效');
+        }
+        this.logger.debug(`🕰️ 钟面样式已切换: ${this.getFaceStyleName(styleId)}`);
+
+        try {
+            document.dispatchEvent(new CustomEvent('faceStyleChanged', {
+                detail: {
+                    faceStyle: styleId,
+                    previousFaceStyle: previousStyle,
+                    style: this.faceStyles[styleId],
+                    timestamp: new Date()
+                }
+            }));
+        } catch (error) {
+            this.logger.error('触发钟面样式切换事件失败:', error);
+        }
+        return true;
+    }
+
+    /**
+     * 获取当前钟面样式id
+     * @returns {string} 钟面样式id
+     */
+    getCurrentFaceStyle() {
+        return this.currentFaceStyle;
+    }
+
+    /**
+     * 获取当前钟面样式对象
+     * @returns {Object} 钟面样式对象
+     */
+    getFaceStyle() {
+        return this.faceStyles[this.currentFaceStyle] || this.faceStyles[this.defaultFaceStyle];
+    }
+
+    /**
+     * 获取所有钟面样式（按从易到难排列）
+     * @returns {Array<Object>} 钟面样式数组
+     */
+    getAllFaceStyles() {
+        return Object.values(this.faceStyles).sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * 获取钟面样式名称
+     * @param {string} styleId - 钟面样式id
+     * @returns {string} 钟面样式名称
+     */
+    getFaceStyleName(styleId) {
+        return this.faceStyles[styleId] ? this.faceStyles[styleId].name : this.i18n.t('faceStyle.unknown');
+    }
+
     /**
      * 重置为默认难度
      */
@@ -381,7 +560,7 @@ class DifficultyManager {
      * @param {number} currentLevel - 当前难度等级
      */
     handleDifficultyError(errorType, targetLevel, currentLevel) {
-        console.error(`难度切换错误 [${errorType}]:`, {
+        this.logger.error(`难度切换错误 [${errorType}]:`, {
             target: targetLevel,
             current: currentLevel,
             timestamp: new Date().toISOString()
@@ -417,13 +596,13 @@ class DifficultyManager {
             }
             
             const errorMessages = {
-                '保存失败': `切换到 ${targetLevel} 星难度失败，设置无法保存`,
-                '无效等级': `难度等级 ${targetLevel} 无效，请选择1-5星`,
-                '系统异常，已重置': `难度系统异常，已重置为1星难度`,
-                '设置异常': `切换到 ${targetLevel} 星难度时出现异常`
+                '保存失败': this.i18n.t('difficulty.errors.saveFailed', { level: targetLevel }),
+                '无效等级': this.i18n.t('difficulty.errors.invalidLevel', { level: targetLevel }),
+                '系统异常，已重置': this.i18n.t('difficulty.errors.reset'),
+                '设置异常': this.i18n.t('difficulty.errors.unexpected', { level: targetLevel })
             };
             
-            const message = errorMessages[errorType] || `难度切换失败: ${errorType}`;
+            const message = errorMessages[errorType] || this.i18n.t('difficulty.errors.generic', { error: errorType });
             
             errorElement.innerHTML = `
                 <div class="error-content">
@@ -441,7 +620,7 @@ class DifficultyManager {
                 }
             }, 5000);
         } catch (error) {
-            console.error('显示难度错误消息失败:', error);
+            this.logger.error('显示难度错误消息失败:', error);
         }
     }
 
@@ -450,10 +629,12 @@ class DifficultyManager {
      * @param {number} level - 难度等级
      * @param {boolean} success - 是否成功
      * @param {string} errorType - 错误类型（如果失败）
+     * @param {Object} changeInfo - 附加的变更信息
      */
-    dispatchDifficultyChangeEvent(level, success, errorType = null) {
+    dispatchDifficultyChangeEvent(level, success, errorType = null, changeInfo = null) {
         try {
             const eventData = {
+                ...changeInfo,
                 level,
                 success,
                 difficulty: success ? this.difficulties[level] : null,
@@ -465,7 +646,7 @@ class DifficultyManager {
             const event = new CustomEvent(eventName, { detail: eventData });
             document.dispatchEvent(event);
         } catch (error) {
-            console.error('触发难度切换事件失败:', error);
+            this.logger.error('触发难度切换事件失败:', error);
         }
     }
 
@@ -489,7 +670,7 @@ class DifficultyManager {
             
             localStorage.setItem('difficultyErrorStats', JSON.stringify(errorStats));
         } catch (error) {
-            console.warn('记录难度错误统计失败:', error);
+            this.logger.warn('记录难度错误统计失败:', error);
         }
     }
 
@@ -499,18 +680,18 @@ class DifficultyManager {
      */
     tryRecoverDifficulty() {
         try {
-            console.log('尝试恢复难度功能...');
+            this.logger.debug('尝试恢复难度功能...');
             
             // 验证当前状态
             if (!this.validateDifficulty(this.currentDifficulty)) {
-                console.log('当前难度无效，重置为1星');
+                this.logger.debug('当前难度无效，重置为1星');
                 this.currentDifficulty = 1;
             }
             
             // 测试保存功能
             const testSave = this.saveDifficulty();
             if (!testSave) {
-                console.log('保存功能仍然异常');
+                this.logger.debug('保存功能仍然异常');
                 return false;
             }
             
@@ -520,10 +701,10 @@ class DifficultyManager {
                 errorElement.style.display = 'none';
             }
             
-            console.log('难度功能已恢复');
+            this.logger.debug('难度功能已恢复');
             return true;
         } catch (error) {
-            console.error('恢复难度功能失败:', error);
+            this.logger.error('恢复难度功能失败:', error);
             return false;
         }
     }
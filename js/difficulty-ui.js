@@ -7,7 +7,9 @@ class DifficultyUI {
         if (!difficultyManager) {
             throw new Error('DifficultyManager 是必需的参数');
         }
+        this.logger = Logger.getInstance().channel('difficulty');
         this.difficultyManager = difficultyManager;
+        this.i18n = I18nManager.getInstance();
         this.tooltip = null;
         this.currentTooltipLevel = null;
         this.isMouseOverTooltip = false;
@@ -37,7 +39,7 @@ class DifficultyUI {
         // 星级容器点击事件
         const starContainers = document.querySelectorAll('.star-container');
         if (starContainers.length === 0) {
-            console.warn('未找到星级容器元素，难度选择功能可能无法正常工作');
+            this.logger.warn('未找到星级容器元素，难度选择功能可能无法正常工作');
             return;
         }
         starContainers.forEach(container => {
@@ -82,7 +84,7 @@ class DifficultyUI {
         // 星级容器悬停事件（用于显示悬停效果）
         starContainers.forEach(container => {
             if (!container || !container.classList) {
-                console.warn('星级容器元素无效，跳过事件监听器设置');
+                this.logger.warn('星级容器元素无效，跳过事件监听器设置');
                 return;
             }
 
@@ -142,7 +144,7 @@ class DifficultyUI {
 
         starContainers.forEach(container => {
             if (!container || !container.classList || !container.dataset) {
-                console.warn('星级容器元素无效，跳过更新');
+                this.logger.warn('星级容器元素无效，跳过更新');
                 return;
             }
 
@@ -176,7 +178,7 @@ class DifficultyUI {
 
         starContainers.forEach(container => {
             if (!container || !container.dataset) {
-                console.warn('星级容器元素无效，跳过星级显示更新');
+                this.logger.warn('星级容器元素无效，跳过星级显示更新');
                 return;
             }
 
@@ -205,8 +207,8 @@ class DifficultyUI {
         if (level === 'all') {
             // 显示全局帮助信息
             const globalHelp = {
-                name: '难度选择说明',
-                description: '点击任意星级选择对应难度。星级越高，时间间隔越精确，挑战性越大。1星为整点时间，5星精确到秒。选择适合您当前水平的难度开始练习。'
+                name: this.i18n.t('difficulty.help.name'),
+                description: this.i18n.t('difficulty.help.description')
             };
             this.createTooltip(globalHelp, targetElement);
         } else {
@@ -234,7 +236,7 @@ class DifficultyUI {
         // 获取或创建提示框元素
         this.tooltip = document.getElementById('difficulty-tooltip');
         if (!this.tooltip) {
-            console.error('找不到难度提示框元素');
+            this.logger.error('找不到难度提示框元素');
             return;
         }
 
@@ -346,7 +348,7 @@ class DifficultyUI {
         document.dispatchEvent(event);
 
         // 在控制台输出变更信息（用于调试）
-        console.log(`难度已变更为: ${level}星 - ${this.difficultyManager.getDifficultyName(level)}`);
+        this.logger.debug(`难度已变更为: ${level}星 - ${this.difficultyManager.getDifficultyName(level)}`);
     }
 
     /**
@@ -363,7 +365,7 @@ class DifficultyUI {
         });
         document.dispatchEvent(event);
 
-        console.log(`难度界面已更新为: ${level}星`);
+        this.logger.debug(`难度界面已更新为: ${level}星`);
     }
 
     /**
@@ -397,7 +399,7 @@ class DifficultyUI {
     refreshUI() {
         this.updateUI();
         this.hideTooltip();
-        console.log('难度选择界面已刷新');
+        this.logger.debug('难度选择界面已刷新');
     }
 
     /**
@@ -0,0 +1,175 @@
+/**
+ * 干扰项生成器类
+ * 为选择题模式生成选项，错误选项模拟孩子读钟时的常见错误
+ */
+class DistractorGenerator {
+    constructor() {
+        this.logger = Logger.getInstance().channel('app');
+        this.optionCount = 4; // 每题选项数量
+
+        // 干扰项类型，按优先级排列
+        this.distractorTypes = ['swappedHands', 'hourOffByOne', 'minuteAsNumeral', 'mirrored'];
+    }
+
+    /**
+     * 生成选择题选项
+     * @param {Object} correctTime - 正确的时间对象
+     * @param {Object} timeConfig - 当前难度的时间配置（可选）
+     * @returns {Array<Object>} 打乱顺序的选项数组，每项包含time和distractorType（正确选项为null）
+     */
+    generateOptions(correctTime, timeConfig = {}) {
+        const options = [{ time: { ...correctTime }, distractorType: null }];
+
+        // 1. 按常见错误生成干扰项
+        this.distractorTypes.forEach(type => {
+            if (options.length >= this.optionCount) {
+                return;
+            }
+
+            const distractor = this.createDistractor(type, correctTime);
+            if (distractor && !this.containsTime(options, distractor)) {
+                options.push({ time: distractor, distractorType: type });
+            }
+        });
+
+        // 2. 常见错误不足时用相近时间补足
+        let attempts = 0;
+        while (options.length < this.optionCount && attempts < 20) {
+            const nearMiss = this.createNearMiss(correctTime, timeConfig, attempts);
+            if (nearMiss && !this.containsTime(options, nearMiss)) {
+                options.push({ time: nearMiss, distractorType: 'nearMiss' });
+            }
+            attempts++;
+        }
+
+        return this.shuffle(options);
+    }
+
+    /**
+     * 按错误类型生成干扰时间
+     * @param {string} type - 干扰项类型
+     * @param {Object} time - 正确的时间对象
+     * @returns {Object|null} 干扰时间，无法生成时返回null
+     */
+    createDistractor(type, time) {
+        const { hours, minutes, seconds } = time;
+        let distractor = null;
+
+        switch (type) {
+            case 'swappedHands':
+                // 时针和分针看反：分针指向的数字当作小时，时针指向的数字乘5当作分钟
+                distractor = {
+                    hours: Math.round(minutes / 5) % 12 || 12,
+                    minutes: (hours % 12) * 5,
+                    seconds: seconds
+                };
+                break;
+
+            case 'hourOffByOne':
+                // 接近整点时时针已靠近下一个数字，容易多读一小时；前半小时则容易少读一小时
+                distractor = {
+                    hours: minutes >= 30 ? hours % 12 + 1 : (hours + 10) % 12 + 1,
+                    minutes: minutes,
+                    seconds: seconds
+                };
+                break;
+
+            case 'minuteAsNumeral': {
+                // 分针指向的数字直接当作分钟，例如35分读成7分
+                const numeral = Math.round(minutes / 5) % 12 || 12;
+                distractor = {
+                    hours: hours,
+                    minutes: numeral,
+                    seconds: seconds
+                };
+                break;
+            }
+
+            case 'mirrored': {
+                // 左右镜像读法：分针和时针都按对称位置读取
+                const mirroredMinutes = (60 - minutes) % 60;
+                const mirroredHours = ((12 - hours % 12 - (minutes > 0 ? 1 : 0)) % 12 + 12) % 12 || 12;
+                distractor = {
+                    hours: mirroredHours,
+                    minutes: mirroredMinutes,
+                    seconds: seconds
+                };
+                break;
+            }
+
+            default:
+                this.logger.warn('未知的干扰项类型:', type);
+                return null;
+        }
+
+        // 与正确答案相同的干扰项没有意义
+        if (this.isSameTime(distractor, time)) {
+            return null;
+        }
+
+        return distractor;
+    }
+
+    /**
+     * 生成相近的干扰时间（常见错误不足时使用）
+     * @param {Object} time - 正确的时间对象
+     * @param {Object} timeConfig - 时间配置
+     * @param {number} attempt - 第几次尝试
+     * @returns {Object} 干扰时间
+     */
+    createNearMiss(time, timeConfig, attempt) {
+        const interval = timeConfig.minuteInterval && timeConfig.minuteInterval < 60 ? timeConfig.minuteInterval : 0;
+        const offsets = [
+            { hours: 2, minutes: 0 },
+            { hours: -2, minutes: 0 },
+            { hours: 0, minutes: interval || 15 },
+            { hours: 0, minutes: -(interval || 15) },
+            { hours: 3, minutes: 0 },
+            { hours: -3, minutes: 0 }
+        ];
+        const offset = offsets[attempt % offsets.length];
+
+        const totalMinutes = ((time.hours % 12) * 60 + time.minutes + offset.hours * 60 + offset.minutes + 720 * 2) % 720;
+        return {
+            hours: Math.floor(totalMinutes / 60) || 12,
+            minutes: totalMinutes % 60,
+            seconds: time.seconds
+        };
+    }
+
+    /**
+     * 检查选项中是否已包含某个时间
+     * @param {Array<Object>} options - 选项数组
+     * @param {Object} time - 时间对象
+     * @returns {boolean} 是否已包含
+     */
+    containsTime(options, time) {
+        return options.some(option => this.isSameTime(option.time, time));
+    }
+
+    /**
+     * 比较两个时间是否相同
+     * @param {Object} time1 - 第一个时间对象
+     * @param {Object} time2 - 第二个时间对象
+     * @returns {boolean} 时间是否相同
+     */
+    isSameTime(time1, time2) {
+        return time1.hours === time2.hours &&
+               time1.minutes === time2.minutes &&
+               time1.seconds === time2.seconds;
+    }
+
+    /**
+     * 打乱选项顺序
+     * @param {Array} items - 选项数组
+     * @returns {Array} 打乱后的新数组
+     */
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
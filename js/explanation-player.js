@@ -0,0 +1,458 @@
+/**
+ * 动画讲解播放器类
+ * 提交答案后在钟面上一步一步演示正确时间是怎么读出来的，字幕和画面同步：
+ * 1. 高亮时针，圈出它刚走过的数字和下一个数字
+ * 2. 分针从12开始沿分钟刻度扫过去，每扫过5格标上数字，字幕跟着"5、10、15……"地数
+ * 3. 有秒数时秒针同样扫一遍
+ * 4. 高亮所有指针，说出完整的时间
+ * 每一帧通过ClockRenderer的讲解画面（setExplanationFrame）绘制，可以暂停、单步和重播，
+ * 系统设置了减少动态效果时不播放扫动，每一步直接显示结果
+ */
+class ExplanationPlayer {
+    /**
+     * @param {ClockRenderer} clockRenderer - 时钟渲染器
+     * @param {Object} options - 可选参数
+     * @param {Function} options.requestFrame - 请求动画帧函数（默认window.requestAnimationFrame）
+     * @param {Function} options.cancelFrame - 取消动画帧函数（默认window.cancelAnimationFrame）
+     * @param {Function} options.now - 获取当前毫秒时间的函数（默认performance.now）
+     * @param {Function} options.formatTime - 把时间对象格式化为文字的函数（用于最后一步的字幕）
+     * @param {Function} options.onChange - 播放状态或字幕变化时调用，参数为getState()的结果
+     */
+    constructor(clockRenderer, options = {}) {
+        this.logger = Logger.getInstance().channel('renderer');
+        const hasWindow = typeof window !== 'undefined';
+        this.renderer = clockRenderer;
+        this.i18n = I18nManager.getInstance();
+        this.requestFrame = options.requestFrame ||
+            (hasWindow && typeof window.requestAnimationFrame === 'function' ? window.requestAnimationFrame.bind(window) : null);
+        this.cancelFrame = options.cancelFrame ||
+            (hasWindow && typeof window.cancelAnimationFrame === 'function' ? window.cancelAnimationFrame.bind(window) : () => {});
+        this.now = options.now || (() => (typeof performance !== 'undefined' ? performance.now() : Date.now()));
+        this.formatTime = options.formatTime || (time => [time.hours, time.minutes, time.seconds || 0]
+            .map(value => String(value).padStart(2, '0')).join(':'));
+        this.onChange = options.onChange || null;
+
+        this.reducedMotion = false; // 系统是否设置了减少动态效果
+
+        this.highlightDuration = 600; // 高亮时针一步的动画时长（毫秒）
+        this.msPerTick = 150; // 扫过一小格（1分钟或1秒）的时长（毫秒）
+        this.minSweepDuration = 800; // 扫动的最短时长（毫秒）
+        this.holdDuration = 1800; // 每一步画完后停留的时长（毫秒）
+
+        this.time = null; // 正在讲解的时间
+        this.steps = []; // 讲解步骤，见buildSteps
+        this.stepIndex = 0;
+        this.stepElapsed = 0; // 当前步骤已经播放的毫秒数
+        this.status = 'idle'; // idle-没有载入，ready-载入后还没播放，playing、paused、finished
+        this.startedAt = 0; // 当前步骤按现在的进度倒推的开始时刻
+        this.frame = null;
+        this.lastStateKey = null; // 上次通知的状态，状态和字幕都没变时不重复通知
+        this.finalRenderTimeout = null;
+    }
+
+    /**
+     * 是否支持动画讲解（需要requestAnimationFrame和Canvas）
+     * @returns {boolean} 是否支持
+     */
+    isSupported() {
+        return typeof this.requestFrame === 'function' && !!this.renderer && !!this.renderer.isCanvasSupported;
+    }
+
+    /**
+     * 设置是否减少动态效果（减少时每一步直接显示扫动后的结果）
+     * @param {boolean} reduced - 是否减少动态效果
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = !!reduced;
+    }
+
+    /**
+     * 是否已经载入了要讲解的时间
+     * @returns {boolean} 是否已载入
+     */
+    isLoaded() {
+        return this.status !== 'idle';
+    }
+
+    /**
+     * 是否正在播放
+     * @returns {boolean} 是否正在播放
+     */
+    isPlaying() {
+        return this.status === 'playing';
+    }
+
+    /**
+     * 载入要讲解的时间（停在第一步之前，等孩子点播放）
+     * @param {Object} time - 时间对象 {hours, minutes, seconds}
+     * @returns {boolean} 是否载入成功
+     */
+    load(time) {
+        this.stop(false);
+        if (!time || !Number.isFinite(time.hours) || !Number.isFinite(time.minutes)) {
+            this.logger.warn('无效的讲解时间:', time);
+            return false;
+        }
+
+        this.time = { ...time, seconds: time.seconds || 0 };
+        this.steps = this.buildSteps(this.time);
+        this.stepIndex = 0;
+        this.stepElapsed = 0;
+        this.status = 'ready';
+        this.notify();
+        return true;
+    }
+
+    /**
+     * 按时间生成讲解步骤
+     * 每一步为 {id, duration, hold, frame(progress), caption(progress)}，progress为这一步动画的进度（0-1）
+     * @param {Object} time - 时间对象
+     * @returns {Array<Object>} 讲解步骤
+     */
+    buildSteps(time) {
+        const hour = ((time.hours % 12) + 12) % 12 || 12;
+        const nextHour = hour % 12 + 1;
+        const steps = [];
+
+        // 1. 时针：整点时指着数字，其余时候在刚走过的数字和下一个数字之间
+        steps.push({
+            id: 'hour',
+            duration: this.highlightDuration,
+            hold: this.holdDuration,
+            frame: () => ({ hands: ['hour'], numerals: time.minutes > 0 ? [hour, nextHour] : [hour] }),
+            caption: () => time.minutes > 0 ?
+                this.i18n.t('app.explanationPlayer.hourBetween', { hour: hour, next: nextHour }) :
+                this.i18n.t('app.explanationPlayer.hourAt', { hour: hour })
+        });
+
+        // 2. 分针和秒针：从12开始数小格
+        steps.push(this.buildCountStep('minute', time.minutes));
+        if (time.seconds > 0) {
+            steps.push(this.buildCountStep('second', time.seconds));
+        }
+
+        // 3. 合起来读出完整的时间
+        const hands = time.seconds > 0 ? ['hour', 'minute', 'second'] : ['hour', 'minute'];
+        steps.push({
+            id: 'summary',
+            duration: this.highlightDuration,
+            hold: this.holdDuration,
+            frame: () => ({ hands: hands, numerals: [] }),
+            caption: () => this.i18n.t('app.explanationPlayer.summary', { time: this.formatTime(time) })
+        });
+        return steps;
+    }
+
+    /**
+     * 生成分针或秒针从12扫到指定位置的步骤
+     * @param {string} hand - minute或second
+     * @param {number} value - 分钟数或秒数
+     * @returns {Object} 讲解步骤
+     */
+    buildCountStep(hand, value) {
+        return {
+            id: hand,
+            duration: value > 0 ? Math.max(this.minSweepDuration, value * this.msPerTick) : this.highlightDuration,
+            hold: this.holdDuration,
+            frame: progress => ({ hands: [hand], numerals: [], sweep: { hand: hand, value: value * progress } }),
+            caption: progress => this.getCountCaption(hand, value, progress)
+        };
+    }
+
+    /**
+     * 数小格时的字幕：扫动中按已经扫过的5的倍数数，扫完后说出剩下的小格和结果
+     * @param {string} hand - minute或second
+     * @param {number} value - 分钟数或秒数
+     * @param {number} progress - 扫动的进度（0-1）
+     * @returns {string} 字幕
+     */
+    getCountCaption(hand, value, progress) {
+        const prefix = `app.explanationPlayer.${hand}`;
+        if (value === 0) {
+            return this.i18n.t(`${prefix}.zero`);
+        }
+
+        const current = progress >= 1 ? value : value * progress;
+        const counts = [];
+        for (let count = 5; count <= current; count += 5) {
+            counts.push(String(count));
+        }
+        const countText = this.i18n.formatList(counts);
+
+        if (progress < 1) {
+            return counts.length > 0 ?
+                this.i18n.t(`${prefix}.counting`, { counts: countText }) :
+                this.i18n.t(`${prefix}.start`);
+        }
+
+        const rest = value % 5;
+        if (rest === 0) {
+            return this.i18n.t(`${prefix}.exact`, { counts: countText, value: value });
+        }
+        if (counts.length === 0) {
+            return this.i18n.t(`${prefix}.small`, { count: rest, value: value });
+        }
+        return this.i18n.t(`${prefix}.rest`, { counts: countText, count: rest, value: value });
+    }
+
+    /**
+     * 当前步骤的动画时长（减少动态效果时为0，直接显示结果）
+     * @param {Object} step - 讲解步骤
+     * @returns {number} 毫秒数
+     */
+    getStepDuration(step) {
+        return this.reducedMotion ? 0 : step.duration;
+    }
+
+    /**
+     * 当前步骤的动画进度
+     * @returns {number} 进度（0-1）
+     */
+    getProgress() {
+        const step = this.steps[this.stepIndex];
+        if (!step) {
+            return 0;
+        }
+        const duration = this.getStepDuration(step);
+        return duration > 0 ? Math.min(1, this.stepElapsed / duration) : 1;
+    }
+
+    /**
+     * 获取播放状态
+     * @returns {Object} {status, stepIndex, stepCount, caption}
+     */
+    getState() {
+        const step = this.steps[this.stepIndex];
+        let caption = '';
+        if (this.status === 'ready') {
+            caption = this.i18n.t('app.explanationPlayer.ready');
+        } else if (step && this.status !== 'idle') {
+            caption = step.caption(this.getProgress());
+        }
+        return {
+            status: this.status,
+            stepIndex: this.stepIndex,
+            stepCount: this.steps.length,
+            caption: caption
+        };
+    }
+
+    /**
+     * 开始或继续播放（播放完后从头重播）
+     * @returns {boolean} 是否开始播放
+     */
+    play() {
+        if (!this.isLoaded() || !this.isSupported()) {
+            return false;
+        }
+        if (this.status === 'finished') {
+            return this.replay();
+        }
+        if (this.status === 'playing') {
+            return true;
+        }
+
+        if (this.status === 'ready') {
+            this.logger.info('🎬 开始动画讲解:', this.formatTime(this.time));
+        }
+        this.status = 'playing';
+        this.startedAt = this.now() - this.stepElapsed;
+        this.draw();
+        this.frame = this.requestFrame(() => this.tick());
+        return true;
+    }
+
+    /**
+     * 暂停播放（画面停在当前位置）
+     */
+    pause() {
+        if (this.status !== 'playing') {
+            return;
+        }
+        this.cancelPendingFrame();
+        this.stepElapsed = this.now() - this.startedAt;
+        this.status = 'paused';
+        this.draw(true);
+    }
+
+    /**
+     * 播放中暂停，否则开始播放
+     * @returns {boolean} 操作后是否在播放
+     */
+    togglePlay() {
+        if (this.isPlaying()) {
+            this.pause();
+            return false;
+        }
+        return this.play();
+    }
+
+    /**
+     * 单步：暂停，当前步骤没播完时直接显示这一步的结果，否则跳到下一步的结果
+     */
+    stepForward() {
+        if (!this.isLoaded() || !this.isSupported() || this.status === 'finished') {
+            return;
+        }
+        this.cancelPendingFrame();
+        if (this.status === 'playing') {
+            this.stepElapsed = this.now() - this.startedAt;
+        }
+
+        const duration = this.getStepDuration(this.steps[this.stepIndex]);
+        if (this.status === 'ready' || this.stepElapsed < duration) {
+            this.stepElapsed = duration;
+        } else if (this.stepIndex < this.steps.length - 1) {
+            this.stepIndex++;
+            this.stepElapsed = this.getStepDuration(this.steps[this.stepIndex]);
+        }
+
+        this.status = this.stepIndex === this.steps.length - 1 ? 'finished' : 'paused';
+        this.draw(true);
+    }
+
+    /**
+     * 从第一步重新播放
+     * @returns {boolean} 是否开始播放
+     */
+    replay() {
+        if (!this.isLoaded()) {
+            return false;
+        }
+        this.cancelPendingFrame();
+        this.stepIndex = 0;
+        this.stepElapsed = 0;
+        this.status = 'paused';
+        return this.play();
+    }
+
+    /**
+     * 停止讲解，清除讲解画面
+     * @param {boolean} render - 是否重绘时钟（换题时由新题目重绘，不需要）
+     */
+    stop(render = true) {
+        this.cancelPendingFrame();
+        if (this.finalRenderTimeout) {
+            clearTimeout(this.finalRenderTimeout);
+            this.finalRenderTimeout = null;
+        }
+
+        const time = this.time;
+        this.status = 'idle';
+        this.steps = [];
+        this.stepIndex = 0;
+        this.stepElapsed = 0;
+        this.time = null;
+
+        if (this.renderer && this.renderer.getExplanationFrame()) {
+            this.renderer.setExplanationFrame(null);
+            if (render && time) {
+                this.renderer.render(this.renderer.getCurrentDisplayTime() || time, this.renderer.showGuideLines);
+                // 性能优化器对渲染有16ms节流，延迟补绘一次
+                this.finalRenderTimeout = setTimeout(() => {
+                    this.finalRenderTimeout = null;
+                    if (!this.renderer.getExplanationFrame()) {
+                        this.renderer.render(this.renderer.getCurrentDisplayTime() || time, this.renderer.showGuideLines);
+                    }
+                }, 32);
+            }
+        }
+        this.notify();
+    }
+
+    /**
+     * 绘制播放中的一帧，当前步骤播完并停留后进入下一步
+     */
+    tick() {
+        this.frame = null;
+        if (this.status !== 'playing') {
+            return;
+        }
+
+        this.stepElapsed = this.now() - this.startedAt;
+        const step = this.steps[this.stepIndex];
+        if (this.stepElapsed >= this.getStepDuration(step) + step.hold) {
+            if (this.stepIndex >= this.steps.length - 1) {
+                this.stepElapsed = this.getStepDuration(step);
+                this.status = 'finished';
+                this.draw(true);
+                this.logger.debug('🎬 动画讲解播放完成');
+                return;
+            }
+            this.stepIndex++;
+            this.stepElapsed = 0;
+            this.startedAt = this.now();
+        }
+
+        this.draw();
+        this.frame = this.requestFrame(() => this.tick());
+    }
+
+    /**
+     * 按当前步骤和进度绘制讲解画面，并通知字幕变化
+     * @param {boolean} settle - 是否延迟补绘一次（暂停、单步和播完时，确保最终画面没有被渲染节流跳过）
+     */
+    draw(settle = false) {
+        const step = this.steps[this.stepIndex];
+        if (!step) {
+            return;
+        }
+
+        try {
+            this.renderer.setExplanationFrame(step.frame(this.getProgress()));
+            this.renderer.render(this.time, this.renderer.showGuideLines);
+        } catch (error) {
+            this.logger.error('绘制动画讲解失败:', error);
+            this.stop();
+            return;
+        }
+        this.notify();
+
+        // 性能优化器对渲染有16ms节流，延迟补绘一次
+        if (settle) {
+            if (this.finalRenderTimeout) {
+                clearTimeout(this.finalRenderTimeout);
+            }
+            this.finalRenderTimeout = setTimeout(() => {
+                this.finalRenderTimeout = null;
+                if (this.time && this.status !== 'playing' && this.renderer.getExplanationFrame()) {
+                    this.renderer.render(this.time, this.renderer.showGuideLines);
+                }
+            }, 32);
+        }
+    }
+
+    /**
+     * 取消还没执行的动画帧
+     */
+    cancelPendingFrame() {
+        if (this.frame) {
+            this.cancelFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    /**
+     * 状态或字幕变化时通知界面
+     */
+    notify() {
+        if (!this.onChange) {
+            return;
+        }
+        const state = this.getState();
+        const key = `${state.status}|${state.stepIndex}|${state.caption}`;
+        if (key === this.lastStateKey) {
+            return;
+        }
+        this.lastStateKey = key;
+        this.onChange(state);
+    }
+
+    /**
+     * 重新通知当前状态（例如切换语言后按新语言显示字幕）
+     */
+    refresh() {
+        this.lastStateKey = null;
+        this.notify();
+    }
+}
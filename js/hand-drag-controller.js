@@ -0,0 +1,332 @@
+/**
+ * 指针拖动控制器类
+ * 负责拨针模式下在Canvas时钟上拖动时针、分针、秒针
+ * 支持指针命中检测、按难度的分钟间隔吸附以及时针联动
+ */
+class HandDragController {
+    constructor(clockRenderer) {
+        this.logger = Logger.getInstance().channel('renderer');
+        this.clockRenderer = clockRenderer;
+        this.canvas = clockRenderer ? clockRenderer.canvas : null;
+        this.enabled = false;
+        this.activeHand = null; // 当前正在拖动的指针
+        this.handAngles = { hour: 0, minute: 0, second: 0 }; // 表盘度数，从12点开始顺时针
+        this.minuteInterval = 1; // 分针吸附间隔（分钟）
+        this.linkedHourHand = true; // 时针是否跟随分针联动
+        this.draggableHands = ['hour', 'minute'];
+        this.onChange = null; // 指针位置变化回调
+        this.renderFrame = null;
+        this.finalRenderTimeout = null;
+
+        // 绑定事件处理函数，便于移除监听
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    /**
+     * 启用拖动
+     * @param {Object} options - 拖动选项
+     * @param {number} options.minuteInterval - 分针吸附间隔
+     * @param {boolean} options.linkedHourHand - 时针是否联动
+     * @param {boolean} options.includeSeconds - 是否允许拖动秒针
+     * @param {Function} options.onChange - 指针位置变化回调
+     */
+    enable(options = {}) {
+        if (!this.canvas || !this.clockRenderer || !this.clockRenderer.isCanvasSupported) {
+            this.logger.warn('Canvas不可用，无法启用指针拖动');
+            return false;
+        }
+
+        this.minuteInterval = [1, 5, 30, 60].includes(options.minuteInterval) ? options.minuteInterval : 1;
+        this.linkedHourHand = options.linkedHourHand !== false;
+        this.draggableHands = options.includeSeconds ? ['hour', 'minute', 'second'] : ['hour', 'minute'];
+        this.onChange = typeof options.onChange === 'function' ? options.onChange : null;
+        this.activeHand = null;
+
+        // 所有指针从12点开始
+        this.handAngles = { hour: 0, minute: 0, second: 0 };
+
+        if (!this.enabled) {
+            this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+            this.canvas.addEventListener('pointermove', this.handlePointerMove);
+            this.canvas.addEventListener('pointerup', this.handlePointerUp);
+            this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+        }
+
+        this.enabled = true;
+        this.canvas.classList.add('hand-drag-enabled');
+        this.clockRenderer.setHandAngleOverride(this.handAngles);
+        this.renderHands();
+
+        this.logger.debug('✋ 指针拖动已启用:', {
+            minuteInterval: this.minuteInterval,
+            linkedHourHand: this.linkedHourHand,
+            draggableHands: this.draggableHands
+        });
+        return true;
+    }
+
+    /**
+     * 禁用拖动
+     * @param {boolean} keepHands - 是否保留当前指针位置显示
+     */
+    disable(keepHands = false) {
+        if (this.canvas) {
+            this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+            this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+            this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+            this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+            this.canvas.classList.remove('hand-drag-enabled', 'hand-dragging', 'hand-hover');
+        }
+
+        if (this.renderFrame) {
+            cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+        if (this.finalRenderTimeout) {
+            clearTimeout(this.finalRenderTimeout);
+            this.finalRenderTimeout = null;
+        }
+
+        this.enabled = false;
+        this.activeHand = null;
+
+        if (!keepHands && this.clockRenderer) {
+            this.clockRenderer.setHandAngleOverride(null);
+        }
+    }
+
+    /**
+     * 设置时针联动
+     * @param {boolean} linked - 是否联动
+     */
+    setLinkedHourHand(linked) {
+        this.linkedHourHand = !!linked;
+
+        // 切换为联动时，按分针位置校正时针，避免两针不一致
+        if (this.linkedHourHand && this.enabled) {
+            const hourIndex = Math.round((this.handAngles.hour - this.handAngles.minute / 12) / 30);
+            this.handAngles.hour = this.normalizeDegrees(hourIndex * 30 + this.handAngles.minute / 12);
+            this.notifyChange();
+            this.requestRender();
+        }
+    }
+
+    /**
+     * 获取当前指针角度
+     * @returns {Object} 包含hour, minute, second的表盘度数
+     */
+    getHandAngles() {
+        return { ...this.handAngles };
+    }
+
+    /**
+     * 处理指针按下
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointerDown(event) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const point = this.clockRenderer.getCanvasPointFromEvent(event);
+        const hand = this.clockRenderer.hitTestHands(point, this.handAngles, this.draggableHands);
+        if (!hand) {
+            return;
+        }
+
+        event.preventDefault();
+        this.activeHand = hand;
+        this.canvas.classList.add('hand-dragging');
+
+        try {
+            this.canvas.setPointerCapture(event.pointerId);
+        } catch (error) {
+            this.logger.warn('设置指针捕获失败:', error);
+        }
+
+        this.logger.debug('✋ 开始拖动指针:', hand);
+    }
+
+    /**
+     * 处理指针移动
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointerMove(event) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const point = this.clockRenderer.getCanvasPointFromEvent(event);
+        if (!point) {
+            return;
+        }
+
+        // 未拖动时只更新悬停样式
+        if (!this.activeHand) {
+            const hoverHand = this.clockRenderer.hitTestHands(point, this.handAngles, this.draggableHands);
+            this.canvas.classList.toggle('hand-hover', !!hoverHand);
+            return;
+        }
+
+        event.preventDefault();
+        const degrees = this.clockRenderer.getClockDegreesFromPoint(point);
+
+        if (this.updateHand(this.activeHand, degrees)) {
+            this.notifyChange();
+            this.requestRender();
+        }
+    }
+
+    /**
+     * 处理指针抬起
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointerUp(event) {
+        if (!this.activeHand) {
+            return;
+        }
+
+        try {
+            this.canvas.releasePointerCapture(event.pointerId);
+        } catch (error) {
+            // 指针捕获可能已被浏览器释放，忽略
+        }
+
+        this.logger.debug('✋ 结束拖动指针:', this.activeHand, this.handAngles);
+        this.activeHand = null;
+        this.canvas.classList.remove('hand-dragging');
+
+        // 性能优化器对渲染有16ms节流，延迟补绘一次确保最终位置被绘制
+        if (this.finalRenderTimeout) {
+            clearTimeout(this.finalRenderTimeout);
+        }
+        this.finalRenderTimeout = setTimeout(() => {
+            this.finalRenderTimeout = null;
+            this.renderHands();
+        }, 32);
+    }
+
+    /**
+     * 根据拖动位置更新指针角度
+     * @param {string} hand - 指针类型
+     * @param {number} degrees - 拖动位置的表盘度数
+     * @returns {boolean} 指针角度是否发生变化
+     */
+    updateHand(hand, degrees) {
+        const before = { ...this.handAngles };
+
+        switch (hand) {
+            case 'minute': {
+                const minuteStep = this.minuteInterval * 6;
+                const newMinute = this.normalizeDegrees(Math.round(degrees / minuteStep) * minuteStep);
+
+                if (this.linkedHourHand) {
+                    // 分针走过的角度按1/12带动时针，越过12点时自然进退一小时
+                    const delta = this.getSignedDelta(this.handAngles.minute, newMinute);
+                    this.handAngles.hour = this.normalizeDegrees(this.handAngles.hour + delta / 12);
+                }
+                this.handAngles.minute = newMinute;
+                break;
+            }
+            case 'hour': {
+                if (this.linkedHourHand) {
+                    // 时针位置对应12小时内的总分钟数，按分钟间隔吸附后反推分针
+                    const totalMinutes = Math.round(degrees * 2 / this.minuteInterval) * this.minuteInterval % 720;
+                    this.handAngles.hour = this.normalizeDegrees(totalMinutes / 2);
+                    this.handAngles.minute = this.normalizeDegrees((totalMinutes % 60) * 6);
+                } else {
+                    // 不联动时时针按相同的分钟间隔吸附（每分钟0.5度）
+                    const hourStep = this.minuteInterval * 0.5;
+                    this.handAngles.hour = this.normalizeDegrees(Math.round(degrees / hourStep) * hourStep);
+                }
+                break;
+            }
+            case 'second':
+                this.handAngles.second = this.normalizeDegrees(Math.round(degrees / 6) * 6);
+                break;
+            default:
+                return false;
+        }
+
+        return before.hour !== this.handAngles.hour ||
+               before.minute !== this.handAngles.minute ||
+               before.second !== this.handAngles.second;
+    }
+
+    /**
+     * 计算从一个角度转到另一个角度的最短有符号差值
+     * @param {number} from - 起始度数
+     * @param {number} to - 目标度数
+     * @returns {number} 差值（-180到180）
+     */
+    getSignedDelta(from, to) {
+        let delta = (to - from) % 360;
+        if (delta > 180) delta -= 360;
+        if (delta <= -180) delta += 360;
+        return delta;
+    }
+
+    /**
+     * 将度数规范到0-360范围
+     * @param {number} degrees - 度数
+     * @returns {number} 规范后的度数
+     */
+    normalizeDegrees(degrees) {
+        const normalized = ((degrees % 360) + 360) % 360;
+        // 消除浮点误差
+        return Math.round(normalized * 1000) / 1000 % 360;
+    }
+
+    /**
+     * 通知指针位置变化
+     */
+    notifyChange() {
+        if (this.onChange) {
+            try {
+                this.onChange(this.getHandAngles());
+            } catch (error) {
+                this.logger.error('指针变化回调执行失败:', error);
+            }
+        }
+    }
+
+    /**
+     * 请求在下一帧重绘指针
+     */
+    requestRender() {
+        if (this.renderFrame) {
+            return;
+        }
+
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderHands();
+        });
+    }
+
+    /**
+     * 按当前指针角度重绘时钟
+     */
+    renderHands() {
+        if (!this.clockRenderer) {
+            return;
+        }
+
+        try {
+            this.clockRenderer.setHandAngleOverride(this.handAngles);
+
+            // 渲染器需要有效的时间对象，指针实际位置由handAngleOverride决定
+            const displayTime = {
+                hours: Math.floor(this.handAngles.hour / 30) || 12,
+                minutes: Math.floor(this.handAngles.minute / 6) % 60,
+                seconds: Math.floor(this.handAngles.second / 6) % 60
+            };
+            this.clockRenderer.setDisplayTime(displayTime);
+            this.clockRenderer.render(displayTime, false);
+        } catch (error) {
+            this.logger.error('重绘拖动指针失败:', error);
+        }
+    }
+}
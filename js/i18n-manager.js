@@ -0,0 +1,333 @@
+/**
+ * 多语言管理器类
+ * 按语言保存界面文字（消息目录在js/locales/下，每种语言一个文件），支持{name}形式的插值和按数量选择单复数，
+ * 运行中切换语言时更新页面上带data-i18n属性的元素，并发出localeChanged事件让各组件重新显示文字。
+ * 语言是整台设备的设置，不随学习者档案切换
+ */
+class I18nManager {
+    constructor() {
+        this.logger = Logger.getInstance().channel('app');
+        this.storageKey = 'clockLearningLocale';
+        this.defaultLocale = 'zh-CN'; // 也是其他语言缺少某条文字时的后备语言
+        this.currentLocale = this.loadLocale();
+    }
+
+    /**
+     * 获取共享的多语言管理器（各组件使用同一个实例，保证语言一致）
+     * @returns {I18nManager} 多语言管理器
+     */
+    static getInstance() {
+        if (!I18nManager.instance) {
+            I18nManager.instance = new I18nManager();
+        }
+        return I18nManager.instance;
+    }
+
+    /**
+     * 注册语言的消息目录（同一语言可以多次注册，后注册的同名文字覆盖先注册的）
+     * @param {string} locale - 语言id，如zh-CN
+     * @param {string} name - 语言名称（用该语言书写，如English）
+     * @param {Object} messages - 消息目录，可以嵌套，键用点号连接，如record.userAnswer
+     */
+    static registerMessages(locale, name, messages) {
+        const catalog = I18nManager.catalogs[locale] || { name: name, messages: {} };
+        catalog.name = name || catalog.name;
+        I18nManager.flattenMessages(messages, '', catalog.messages);
+        I18nManager.catalogs[locale] = catalog;
+    }
+
+    /**
+     * 把嵌套的消息目录展开为"点号键 -> 文字"（单复数文字不再展开）
+     * @param {Object} messages - 消息目录
+     * @param {string} prefix - 键前缀
+     * @param {Object} target - 展开结果
+     */
+    static flattenMessages(messages, prefix, target) {
+        Object.keys(messages || {}).forEach(key => {
+            const value = messages[key];
+            const fullKey = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value) && !I18nManager.isPluralForms(value)) {
+                I18nManager.flattenMessages(value, fullKey, target);
+            } else {
+                target[fullKey] = value;
+            }
+        });
+    }
+
+    /**
+     * 判断对象是否为单复数文字：有other形式，且只包含zero、one、two、few、many、other这几种形式
+     * @param {Object} value - 消息目录中的对象
+     * @returns {boolean} 是否为单复数文字
+     */
+    static isPluralForms(value) {
+        const forms = ['zero', 'one', 'two', 'few', 'many', 'other'];
+        return typeof value.other === 'string' && Object.keys(value).every(key => forms.includes(key));
+    }
+
+    /**
+     * 获取支持的语言
+     * @returns {Array<Object>} [{id, name}]
+     */
+    getSupportedLocales() {
+        return Object.keys(I18nManager.catalogs).map(id => ({ id, name: I18nManager.catalogs[id].name }));
+    }
+
+    /**
+     * 语言是否受支持
+     * @param {string} locale - 语言id
+     * @returns {boolean} 是否支持
+     */
+    isSupportedLocale(locale) {
+        return !!I18nManager.catalogs[locale];
+    }
+
+    /**
+     * 从本地存储加载语言设置
+     * @returns {string} 语言id
+     */
+    loadLocale() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved && this.isSupportedLocale(saved)) {
+                return saved;
+            }
+        } catch (error) {
+            this.logger.error('加载语言设置失败:', error);
+        }
+        return this.defaultLocale;
+    }
+
+    /**
+     * 获取当前语言
+     * @returns {string} 语言id
+     */
+    getLocale() {
+        return this.currentLocale;
+    }
+
+    /**
+     * 切换语言，保存设置并更新页面文字
+     * @param {string} locale - 语言id
+     * @returns {boolean} 是否切换成功
+     */
+    setLocale(locale) {
+        if (!this.isSupportedLocale(locale)) {
+            this.logger.warn('不支持的语言:', locale);
+            return false;
+        }
+        if (locale === this.currentLocale) {
+            return true;
+        }
+
+        const previousLocale = this.currentLocale;
+        this.currentLocale = locale;
+        try {
+            localStorage.setItem(this.storageKey, locale);
+        } catch (error) {
+            this.logger.error('保存语言设置失败:', error);
+        }
+
+        this.applyToDocument();
+        document.dispatchEvent(new CustomEvent('localeChanged', {
+            detail: {
+                locale: locale,
+                previousLocale: previousLocale,
+                timestamp: new Date()
+            }
+        }));
+        this.logger.info(`🌐 语言已切换: ${previousLocale} -> ${locale}`);
+        return true;
+    }
+
+    /**
+     * 获取翻译后的文字
+     * 当前语言缺少时使用默认语言，都缺少时返回键本身；params.count决定单复数
+     * @param {string} key - 消息键，如record.userAnswer
+     * @param {Object} params - 插值参数，文字中的{name}替换为params.name
+     * @returns {string} 翻译后的文字
+     */
+    t(key, params = {}) {
+        const message = this.lookup(key, this.currentLocale);
+        if (message === undefined) {
+            this.logger.warn('缺少翻译:', key);
+            return key;
+        }
+
+        const text = typeof message === 'object' ? this.selectPluralForm(message, params.count) : message;
+        return this.interpolate(text, params);
+    }
+
+    /**
+     * 获取翻译后的文字数组（如随机鼓励语）
+     * @param {string} key - 消息键
+     * @returns {Array<string>} 文字数组，缺少时返回空数组
+     */
+    list(key) {
+        const message = this.lookup(key, this.currentLocale);
+        return Array.isArray(message) ? message : [];
+    }
+
+    /**
+     * 是否有这条文字
+     * @param {string} key - 消息键
+     * @returns {boolean} 是否存在
+     */
+    has(key) {
+        return this.lookup(key, this.currentLocale) !== undefined;
+    }
+
+    /**
+     * 按语言查找消息（缺少时查默认语言）
+     * @param {string} key - 消息键
+     * @param {string} locale - 语言id
+     * @returns {string|Array|Object|undefined} 消息
+     */
+    lookup(key, locale) {
+        const catalog = I18nManager.catalogs[locale];
+        if (catalog && catalog.messages[key] !== undefined) {
+            return catalog.messages[key];
+        }
+        const fallback = I18nManager.catalogs[this.defaultLocale];
+        return fallback ? fallback.messages[key] : undefined;
+    }
+
+    /**
+     * 按数量选择单复数形式（zero为可选的"没有"形式）
+     * @param {Object} forms - 单复数文字，如{one: '{count} record', other: '{count} records'}
+     * @param {number} count - 数量
+     * @returns {string} 选中的文字
+     */
+    selectPluralForm(forms, count) {
+        if (count === 0 && forms.zero !== undefined) {
+            return forms.zero;
+        }
+
+        let category = 'other';
+        if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+            category = new Intl.PluralRules(this.currentLocale).select(Number(count) || 0);
+        } else if (Number(count) === 1) {
+            category = 'one';
+        }
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    /**
+     * 替换文字中的{name}占位符（参数中没有的占位符原样保留）
+     * @param {string} text - 文字
+     * @param {Object} params - 插值参数
+     * @returns {string} 替换后的文字
+     */
+    interpolate(text, params) {
+        return String(text).replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+        );
+    }
+
+    /**
+     * 按当前语言格式化日期时间
+     * @param {Date|string|number} date - 日期
+     * @param {Object} options - Intl.DateTimeFormat选项，默认显示年月日和时分秒
+     * @returns {string} 格式化的日期时间
+     */
+    formatDateTime(date, options = null) {
+        const d = new Date(date);
+        if (isNaN(d.getTime())) {
+            return '';
+        }
+
+        const formatOptions = options || {
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            hour12: false
+        };
+        try {
+            return new Intl.DateTimeFormat(this.currentLocale, formatOptions).format(d);
+        } catch (error) {
+            this.logger.warn('日期格式化失败，使用默认格式:', error);
+            const pad = value => value.toString().padStart(2, '0');
+            return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+                `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+        }
+    }
+
+    /**
+     * 按当前语言连接列表（中文用顿号，英文用逗号）
+     * @param {Array<string>} items - 列表项
+     * @returns {string} 连接后的文字
+     */
+    formatList(items) {
+        return items.join(this.t('common.listSeparator'));
+    }
+
+    /**
+     * 按当前语言格式化一段时长（如"2小时15分钟""2 hours 15 minutes"）
+     * @param {number} totalMinutes - 总分钟数
+     * @returns {string} 格式化的时长
+     */
+    formatDuration(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        if (hours > 0 && minutes > 0) {
+            return this.t('common.hoursAndMinutes', {
+                hours: this.t('common.hours', { count: hours }),
+                minutes: this.t('common.minutes', { count: minutes })
+            });
+        }
+        return hours > 0 ? this.t('common.hours', { count: hours }) : this.t('common.minutes', { count: minutes });
+    }
+
+    /**
+     * 更新页面上带翻译标记的元素
+     * data-i18n设置文字，data-i18n-placeholder、data-i18n-title、data-i18n-aria-label设置对应属性，
+     * 插值参数写在data-i18n-params中（JSON格式），文字和属性共用
+     * @param {Document|Element} root - 要更新的范围
+     */
+    applyToDocument(root = document) {
+        if (!root || typeof root.querySelectorAll !== 'function') {
+            return;
+        }
+
+        if (root === document && document.documentElement) {
+            document.documentElement.lang = this.currentLocale;
+            if (this.has('app.documentTitle')) {
+                document.title = this.t('app.documentTitle');
+            }
+        }
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, this.getElementParams(element));
+        });
+
+        const attributes = {
+            'data-i18n-placeholder': 'placeholder',
+            'data-i18n-title': 'title',
+            'data-i18n-aria-label': 'aria-label'
+        };
+        Object.keys(attributes).forEach(dataAttribute => {
+            root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+                element.setAttribute(attributes[dataAttribute], this.t(element.getAttribute(dataAttribute), this.getElementParams(element)));
+            });
+        });
+    }
+
+    /**
+     * 读取元素data-i18n-params中的插值参数
+     * @param {Element} element - 带翻译标记的元素
+     * @returns {Object} 插值参数
+     */
+    getElementParams(element) {
+        if (!element.dataset.i18nParams) {
+            return {};
+        }
+        try {
+            return JSON.parse(element.dataset.i18nParams);
+        } catch (error) {
+            this.logger.warn('翻译参数格式错误:', element.dataset.i18nParams);
+            return {};
+        }
+    }
+}
+
+// 各语言的消息目录（由js/locales/下的文件注册）
+I18nManager.catalogs = {};
+I18nManager.instance = null;
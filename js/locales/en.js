@@ -0,0 +1,940 @@
+/**
+ * 英文消息目录
+ * 键和中文目录一致，这里缺少的文字会用中文目录中的
+ */
+I18nManager.registerMessages('en', 'English', {
+    common: {
+        listSeparator: ', ',
+        seconds: { one: '{count} second', other: '{count} seconds' },
+        hours: { one: '{count} hour', other: '{count} hours' },
+        minutes: { one: '{count} minute', other: '{count} minutes' },
+        hoursAndMinutes: '{hours} {minutes}',
+        close: 'Close'
+    },
+
+    app: {
+        documentTitle: 'Clock Practice',
+        title: 'Clock Reading Practice',
+        submit: 'Submit',
+        next: 'Next question',
+        setModeDisabled: 'Not available when setting the clock',
+        elapsedModeDisabled: 'Not available in elapsed time questions',
+        modes: {
+            read: 'Read the clock',
+            set: 'Set the clock',
+            choice: 'Pick the time',
+            phrase: 'Say the time',
+            elapsed: 'Elapsed time'
+        },
+        titles: {
+            read: 'Look at the clock and enter the time',
+            set: 'Drag the hands to show the time',
+            choice: 'Look at the clock and pick the time',
+            phrase: 'Look at the clock and write how you say it',
+            elapsed: 'Look at the start and end clocks and work it out'
+        },
+        input: {
+            label: 'Enter the full time (h:m:s):',
+            label24: 'Enter the time in 24-hour format (h:m:s):',
+            hoursHint: 'Enter the hour (0-12), 0 means 12 o\'clock',
+            minutesHint: 'Enter the minutes (0-59)',
+            secondsHint: 'Enter the seconds (0-59)'
+        },
+        phrase: {
+            placeholder: 'e.g. {example}'
+        },
+        result: {
+            timeSpent: 'Time: {time}',
+            correctAnswer: 'Correct answer: {time}'
+        },
+        hints: {
+            button: '💡 Hint ({step}/{total})',
+            buttonTitle: 'Each click shows one more hint step. Answers found with hints score a little less',
+            steps: {
+                1: 'The highlighted short hand is the hour hand: the number it points at, or has just passed, is the hour',
+                2: 'The blue sector shows how far the minute hand has moved since 12. The bigger it is, the more minutes',
+                3: 'The numbers outside the clock are minutes: each big step of the minute hand is 5 minutes. Count to where it points',
+                4: 'Follow the dashed line of the hour hand: if it is between two numbers, take the one it has just passed'
+            },
+            result: {
+                one: '💡 Used {count} hint step, score {score} (100 without hints)',
+                other: '💡 Used {count} hint steps, score {score} (100 without hints)'
+            }
+        },
+        explanationPlayer: {
+            title: '🎬 Animated explanation',
+            play: '▶ Play',
+            pause: '⏸ Pause',
+            resume: '▶ Resume',
+            step: '⏭ Next step',
+            replay: '🔁 Replay',
+            progress: 'Step {step}/{total}',
+            ready: 'Press "Play" to see, step by step on the clock, how this time is read',
+            hourAt: 'First the short hour hand: it points right at {hour}, so it is {hour} o\'clock',
+            hourBetween: 'First the short hour hand: it is between {hour} and {next}. It has just passed {hour}, so the hour is {hour}',
+            minute: {
+                start: 'Now the long minute hand: start at 12 and count the small ticks',
+                counting: 'Each number the minute hand passes is 5 minutes: {counts}…',
+                exact: '{counts}. The minute hand points right at a number: {value} minutes',
+                rest: {
+                    one: '{counts}, then {count} more small tick: {value} minutes',
+                    other: '{counts}, then {count} more small ticks: {value} minutes'
+                },
+                small: {
+                    one: 'The minute hand has moved {count} small tick from 12: {value} minute',
+                    other: 'The minute hand has moved {count} small ticks from 12: {value} minutes'
+                },
+                zero: 'The minute hand points right at 12: 0 minutes, exactly on the hour'
+            },
+            second: {
+                start: 'Last, the thin second hand: count the small ticks from 12 too',
+                counting: 'Each number the second hand passes is 5 seconds: {counts}…',
+                exact: '{counts}. The second hand points right at a number: {value} seconds',
+                rest: {
+                    one: '{counts}, then {count} more small tick: {value} seconds',
+                    other: '{counts}, then {count} more small ticks: {value} seconds'
+                },
+                small: {
+                    one: 'The second hand has moved {count} small tick from 12: {value} second',
+                    other: 'The second hand has moved {count} small ticks from 12: {value} seconds'
+                },
+                zero: 'The second hand points right at 12: 0 seconds'
+            },
+            summary: 'Put together, the clock shows {time}'
+        },
+        review: {
+            finished: '🎉 All due mistakes reviewed, back to normal practice!',
+            ended: 'Mistake review ended',
+            nothingDue: 'No mistakes to review at this level',
+            started: {
+                one: 'Reviewing {count} missed time',
+                other: 'Reviewing {count} missed times'
+            },
+            stopTitle: 'Click to end the mistake review',
+            startTitle: 'Practice only the mistakes that are due for review'
+        },
+        test: {
+            confirmStop: 'Some questions are not answered yet. Hand in anyway?',
+            chooseLevel: 'Please choose at least one level',
+            started: {
+                one: '📝 Test started: {count} question, answers are shown at the end',
+                other: '📝 Test started: {count} questions, answers are shown at the end'
+            },
+            startFailed: 'Could not start the test'
+        },
+        worksheet: {
+            unsupported: 'This browser does not support SVG, so worksheets cannot be created',
+            opened: '🖨️ The worksheet opened in a new window and is ready to print',
+            downloaded: 'The pop-up was blocked, so the worksheet was downloaded as a web page'
+        },
+        adaptive: {
+            consecutiveErrors: {
+                one: '💪 {count} wrong answer in a row, back to {level}★ for a little more practice',
+                other: '💪 {count} wrong answers in a row, back to {level}★ for a little more practice'
+            },
+            lowAccuracy: {
+                one: '💪 {accuracy}% correct in the last {count} question, back to {level}★ for a little more practice',
+                other: '💪 {accuracy}% correct in the last {count} questions, back to {level}★ for a little more practice'
+            },
+            mastered: {
+                one: '🎉 {accuracy}% correct in the last {count} question, {seconds}s on average. On to {level}★!',
+                other: '🎉 {accuracy}% correct in the last {count} questions, {seconds}s on average. On to {level}★!'
+            },
+            pending: '{reason} (from the next question)',
+            waiting: {
+                one: 'Automatic level is on. It checks for a level up after {count} question',
+                other: 'Automatic level is on. It checks for a level up after {count} questions'
+            },
+            progress: {
+                one: '{level}★: {accuracy}% correct in the last {count} question, {seconds}s on average',
+                other: '{level}★: {accuracy}% correct in the last {count} questions, {seconds}s on average'
+            }
+        },
+        messages: {
+            initFailed: 'The app did not start completely; some features may not work',
+            startFailed: 'The app failed to start, please reload the page',
+            difficultyChanged: 'Level changed to {level}★',
+            noQuestion: 'Please start a question first',
+            alreadySubmitted: 'Answer submitted. Click "Next question" to continue',
+            validationFailed: 'Could not check the answer',
+            chooseAnswer: 'Please choose an answer first',
+            writePhrase: 'Please write how you say the time first',
+            phraseNotRecognized: '{message}. {explanation}',
+            setModeUnsupported: 'This browser does not support setting the clock',
+            elapsedModeUnsupported: 'This browser does not support elapsed time questions',
+            elapsedTestUnsupported: 'Tests do not include elapsed time questions yet, please switch to another mode first',
+            modeChanged: 'Switched to "{mode}"',
+            modeChangeFailed: 'Could not change the practice mode',
+            adaptiveOn: 'Automatic level adjustment is on',
+            adaptiveOff: 'Automatic level adjustment is off',
+            faceStyleChanged: 'Clock numerals: {name}',
+            profileWelcome: '{avatar} {name}, let\'s practice!',
+            profileSwitchFailed: 'Could not switch learner',
+            meridiemReadOnly: 'AM/PM questions only appear in "Read the clock" mode',
+            guideLinesOn: 'Guide lines shown',
+            guideLinesOff: 'Guide lines hidden',
+            guideLinesRecovered: 'Guide lines are working again',
+            autoTickOn: 'Auto tick is on',
+            autoTickOff: 'Auto tick is off',
+            handAnimationOn: 'The hands now turn to each new time',
+            handAnimationOff: 'The hands now jump to each new time',
+            smoothSecondsOn: 'Smooth second hand is on',
+            smoothSecondsOff: 'Smooth second hand is off',
+            currentTimeOn: 'Showing the current time',
+            currentTimeOff: 'Stopped showing the current time',
+            speechOn: '🔊 Reading aloud is on',
+            speechOff: '🔇 Reading aloud is off',
+            soundOn: '🔔 Sound effects are on',
+            soundOff: '🔕 Sound effects are off',
+            logLevelChanged: 'Log level set to: {level}',
+            logDownloaded: '📥 Log downloaded ({count} entries)',
+            questionFailed: 'Could not create a question, please try again',
+            submitFailed: 'Could not submit the answer, please try again',
+            resultFallback: 'The result could not be shown, but your answer was saved'
+        },
+        errors: {
+            invalidDifficulty: 'Invalid difficulty data',
+            uiUpdateFailed: 'The page could not be updated',
+            questionFailed: 'A question could not be created',
+            difficultySystem: 'The difficulty system failed',
+            difficultyLevelFailed: 'Could not switch to {level} stars: {error}',
+            difficultyFailed: 'Could not change the difficulty: {error}',
+            reload: 'Something went wrong, please reload the page',
+            difficultyBroken: 'Changing the difficulty is not working, please reload the page',
+            readInputFailed: 'Could not read the entered time',
+            inputValidationFailed: 'Could not check the input',
+            showResultFailed: 'Could not show the result',
+            showResultFailedWithReason: 'Could not show the result: {error}',
+            testReportFailed: 'Could not create the test report',
+            worksheetFailed: 'Could not create the worksheet: {error}',
+            autoTickFailed: 'Auto tick is not working',
+            currentTimeFailed: 'Showing the current time is not working',
+            guideLines: {
+                noTime: 'Create a question first',
+                noRenderer: 'The clock display failed, guide lines are not available',
+                noCanvas: 'Your browser does not support guide lines',
+                missingControls: 'The guide line controls are broken, please reload the page',
+                renderFailed: 'Could not draw the guide lines, please try again',
+                system: 'Guide lines failed, please reload the page',
+                failed: 'Could not toggle the guide lines: {error}'
+            }
+        },
+        busy: {
+            processing: 'Working...',
+            switching: 'Switching, please wait...',
+            redrawing: 'Redrawing, please wait...'
+        }
+    },
+
+    config: {
+        title: 'Settings',
+        difficulty: 'Difficulty',
+        levels: {
+            1: '1 star - On the hour',
+            2: '2 stars - Half hours',
+            3: '3 stars - 5-minute steps',
+            4: '4 stars - 1-minute steps',
+            5: '5 stars - 1-second steps'
+        },
+        faceStyle: 'Clock numerals',
+        adaptive: 'Adjust the level automatically',
+        questionMode: 'Practice mode',
+        meridiem: {
+            label: 'AM/PM',
+            off: 'No AM/PM',
+            '24h': 'Daily-life questions: answer in 24-hour time',
+            ampm: 'Daily-life questions: choose AM or PM'
+        },
+        linkedHourHand: 'Hour hand follows the minute hand',
+        theme: 'Clock theme',
+        review: {
+            title: 'Mistake review',
+            ratio: 'Share of past mistakes',
+            ratios: {
+                none: 'No past mistakes',
+                few: 'A few past mistakes',
+                some: 'Some past mistakes',
+                many: 'Many past mistakes'
+            },
+            only: 'Review mistakes only'
+        },
+        test: {
+            title: 'Test mode',
+            countLabel: 'Number of questions',
+            count: { one: '{count} question', other: '{count} questions' },
+            timeLimitLabel: 'Time limit',
+            noLimit: 'No time limit',
+            timeLimit: '{minutes} minute limit',
+            levelsLabel: 'Levels in the test',
+            start: 'Start test'
+        },
+        worksheet: {
+            title: 'Print a worksheet',
+            levelLabel: 'Worksheet level',
+            countLabel: 'Number of clocks',
+            count: { one: '{count} clock', other: '{count} clocks' },
+            typeLabel: 'Worksheet type',
+            types: {
+                read: 'Write the time',
+                draw: 'Draw the hands'
+            },
+            answerKey: 'Add an answer page',
+            create: 'Create worksheet'
+        },
+        locale: 'Language',
+        speech: {
+            title: 'Read aloud',
+            enabled: 'Read results and explanations aloud',
+            voice: 'Voice',
+            defaultVoice: 'Default voice',
+            rate: 'Speaking rate',
+            rates: {
+                slow: 'Slow',
+                slower: 'A little slow',
+                normal: 'Normal speed',
+                faster: 'A little fast'
+            }
+        },
+        sound: {
+            title: 'Sound effects',
+            enabled: 'Ticking, hourly chime and answer sounds',
+            volume: 'Volume',
+            volumes: {
+                soft: 'Soft',
+                medium: 'Medium volume',
+                loud: 'Loud',
+                max: 'Maximum volume'
+            },
+            quietClassroom: 'Quiet classroom (only soft answer sounds)'
+        },
+        log: {
+            title: 'Log',
+            level: 'Log level',
+            levels: {
+                debug: 'Debug (everything)',
+                info: 'Info',
+                warn: 'Warnings and errors (default)',
+                error: 'Errors only',
+                silent: 'Off'
+            },
+            download: 'Download log',
+            urlOverride: 'Log level set by the page address for this visit'
+        }
+    },
+
+    speech: {
+        setTarget: 'Set the clock to {time}',
+        time24: '{hours} {minutes}'
+    },
+
+    clock: {
+        reviewBadge: '🔁 Mistake review',
+        test: {
+            progressBefore: '📝 Test question',
+            progressAfter: '',
+            remaining: 'Time left',
+            stop: 'Hand in'
+        },
+        currentTime: 'Show current time',
+        autoTick: 'Auto tick',
+        guideLines: 'Guide lines',
+        handAnimation: 'Hand animation',
+        smoothSeconds: 'Smooth second hand',
+        overlays: {
+            title: 'Teaching marks:',
+            minuteLabels: 'Minute numbers',
+            minuteSector: 'Minute sector',
+            hourZone: 'Hour zone'
+        },
+        reducedMotion: 'Hand animation is off because your system asks for reduced motion',
+        fallback: 'Your browser does not support Canvas, showing a digital clock',
+        fallbackLabel: 'Digital clock',
+        fallbackSvg: 'This browser does not support Canvas, so the clock is drawn with SVG',
+        fallbackDigital: 'Showing a digital clock; guide lines are not available',
+        emergency: {
+            title: '⏰ Clock',
+            hint: 'The clock is limited to a digital display'
+        },
+        recovered: 'The clock display is back and guide lines are available',
+        guideLinesToggle: 'Toggle guide lines',
+        svg: {
+            label: 'Analog clock',
+            numerals: 'Clock numbers',
+            hands: {
+                hour: 'Hour hand',
+                minute: 'Minute hand',
+                second: 'Second hand'
+            },
+            handAt: '{hand} points to {number}',
+            handBetween: '{hand} is between {from} and {to}',
+            handPastTicks: { one: '{hand} is {count} small tick past {number}', other: '{hand} is {count} small ticks past {number}' }
+        },
+        errors: {
+            unsupported: 'Neither Canvas nor SVG is supported',
+            unknown: 'Unknown rendering error',
+            contextLost: 'The Canvas context was lost',
+            guideLinesDrawFailed: 'Could not draw the guide lines: {error}',
+            guideLinesFailed: 'Guide lines failed: {error}',
+            guideLinesUnavailable: 'Guide lines are not available: {reason}',
+            guideLinesPaused: 'Guide lines are temporarily unavailable: {reason}',
+            invalidTime: 'Invalid time',
+            fallbackFailed: 'The fallback clock failed',
+            short: 'Clock error',
+            displayBroken: 'The clock display is not working',
+            display: 'Clock display problem: {reason}',
+            renderFailed: 'The clock could not be drawn, switched to the digital display'
+        },
+        elapsed: {
+            start: 'Start',
+            end: 'End'
+        }
+    },
+
+    answer: {
+        setClock: {
+            label: 'Drag the hands on the clock to show this time:',
+            hint: 'Hold a hand to drag it; you can adjust it again after letting go'
+        },
+        choice: {
+            label: 'Pick the time the clock shows:',
+            options: 'Time options'
+        },
+        phrase: {
+            label: 'Write how you say the time on the clock:',
+            locale: 'Phrase language',
+            suggestionHint: 'Or tap one of these:',
+            suggestions: 'Phrase options'
+        },
+        units: {
+            hours: 'h',
+            minutes: 'min',
+            seconds: 's'
+        },
+        elapsed: {
+            durationQuestion: 'How much time passes from start to end?',
+            endTimeQuestion: 'What time is it {duration} after the start time?',
+            hours: 'hours',
+            minutes: 'minutes'
+        },
+        meridiem: 'AM or PM',
+        speech: {
+            button: 'Say the answer',
+            listening: '🎤 Listening... say the time, e.g. "twenty-five past three"',
+            heard: 'Heard: "{text}". Check it, then submit',
+            notRecognized: 'Didn\'t catch "{text}". Please try again, e.g. "twenty-five past three"',
+            noSpeech: 'No voice heard. Move closer and try again',
+            notAllowed: 'The microphone is blocked. Please allow microphone access in the browser',
+            error: 'Speech recognition failed. Try again or type the answer'
+        },
+        timer: 'Time:',
+        placeholder: '📝 After you submit, the detailed result appears here',
+        placeholderHint: 'Including whether it is correct, the time taken and study tips'
+    },
+
+    difficulty: {
+        starLevel: '{level}★',
+        invalidLevel: 'Invalid difficulty level',
+        unknown: 'Unknown level',
+        levels: {
+            1: {
+                name: '1 star - On the hour',
+                description: 'Times on the hour, like 3:00:00. Good for beginners. Enter the full hours, minutes and seconds'
+            },
+            2: {
+                name: '2 stars - Half hours',
+                description: 'Times in 30-minute steps, like 3:30:00, to learn half past. Enter the full hours, minutes and seconds'
+            },
+            3: {
+                name: '3 stars - 5-minute steps',
+                description: 'Times in 5-minute steps, like 3:25:00, to practice reading minutes. Enter the full hours, minutes and seconds'
+            },
+            4: {
+                name: '4 stars - 1-minute steps',
+                description: 'Times in 1-minute steps, like 3:27:00, to read exact minutes. Enter the full hours, minutes and seconds'
+            },
+            5: {
+                name: '5 stars - With seconds',
+                description: 'Full times with seconds, like 3:27:45, the biggest challenge. Enter the full hours, minutes and seconds'
+            }
+        },
+        help: {
+            name: 'About the levels',
+            description: 'Click a star level to choose it. More stars mean finer time steps and a bigger challenge: 1 star is on the hour, 5 stars goes down to the second. Pick the level that fits you now.'
+        },
+        errors: {
+            saveFailed: 'Could not switch to {level} stars: the setting could not be saved',
+            invalidLevel: 'Level {level} is not valid, please choose 1-5 stars',
+            reset: 'The level settings had a problem and were reset to 1 star',
+            unexpected: 'Something went wrong switching to {level} stars',
+            generic: 'Could not change the level: {error}'
+        }
+    },
+
+    faceStyle: {
+        unknown: 'Unknown clock face',
+        arabic: {
+            name: 'Arabic numerals',
+            description: 'All numbers 1-12 are shown, the easiest to read'
+        },
+        roman: {
+            name: 'Roman numerals',
+            description: 'Numbers are shown as I-XII, so you need to recognise them first'
+        },
+        quarters: {
+            name: 'Only 3, 6, 9, 12',
+            description: 'Only 3, 6, 9 and 12 are shown; work out the other hours from the marks'
+        },
+        ticks: {
+            name: 'Marks only',
+            description: 'No numbers at all, read the time from the hand positions'
+        }
+    },
+
+    theme: {
+        classic: {
+            name: 'Classic',
+            description: 'White face, black hands and a red second hand'
+        },
+        highContrast: {
+            name: 'High contrast',
+            description: 'White on black with thick hands, for low vision or bright rooms'
+        },
+        kids: {
+            name: 'Colorful hands',
+            description: 'Red hour hand, blue minute hand and green second hand, so the three hands are easy to tell apart'
+        },
+        minimal: {
+            name: 'Minimal',
+            description: 'Tick marks only, no numbers: read the time from the hand positions'
+        },
+        roman: {
+            name: 'Roman numerals',
+            description: 'Hours marked with Roman numerals, like an old wall clock'
+        }
+    },
+
+    timeGenerator: {
+        scenes: {
+            lateNight: 'Late at night, everyone is asleep',
+            dawn: 'Early morning, the sun is just rising',
+            breakfast: 'Morning, having breakfast before school',
+            morningClass: 'Morning, in class at school',
+            lunch: 'Noon, having lunch',
+            afternoonClass: 'Afternoon, in class at school',
+            afterSchool: 'After school, playing outside',
+            dinner: 'Evening, family dinner',
+            bedtime: 'Evening, getting ready for bed',
+            asleep: 'Night, already asleep'
+        }
+    },
+
+    mistake: {
+        names: {
+            swappedHands: 'Hands swapped',
+            hourOffByOne: 'Hour off by one',
+            hourMisread: 'Hour read as a neighboring number',
+            minuteAsNumeral: 'Numeral read as minutes',
+            mirrored: 'Clock read mirrored',
+            nearMiss: 'Close time',
+            secondsMisread: 'Seconds misread',
+            minuteMiscount: 'Minute marks miscounted',
+            meridiemMixup: 'AM and PM mixed up',
+            other: 'Other mistakes'
+        },
+        tips: {
+            hourOffByOne: 'After half past, the hour hand is close to the next number but not there yet, so read the number before it',
+            hourMisread: 'The hour is the number the hour hand points at or has just passed. In the first half hour it is still next to that number, so do not read the number before or after it',
+            minuteAsNumeral: 'Multiply the number the minute hand points to by 5, so pointing at 7 means 35 minutes',
+            swappedHands: 'The short, thick hand is the hour hand and the long, thin one is the minute hand; find them before reading',
+            mirrored: 'The numbers go clockwise: start at 12 and count to the right, not the other way',
+            secondsMisread: 'Read the thin second hand carefully too; like the minute hand, each small mark is 1 second',
+            minuteMiscount: 'There are 5 small marks between two numbers; count them from the nearest number',
+            meridiemMixup: 'The hour hand goes round twice a day, so use the situation to tell AM from PM; add 12 to PM hours in 24-hour time',
+            nearMiss: 'When the choices are close, find the hour first, then count the minute marks carefully',
+            other: 'Read the hour hand first, then the minute hand, and check once more'
+        }
+    },
+
+    validator: {
+        correct: 'Correct!',
+        incorrect: 'Not quite right',
+        invalidFormat: 'The time format is wrong, please use HH:MM:SS',
+        invalidFormatHint: 'Check your input and use the HH:MM:SS format, for example 03:30:00',
+        meridiem: {
+            am: 'AM',
+            pm: 'PM'
+        },
+        hands: {
+            incorrect: 'The hands are not in the right place',
+            title: 'Hand positions:',
+            hourOff: 'The hour hand is off by {degrees}°',
+            hourBetween: '; at {minutes} minutes past, the hour hand should be between {hours} and {nextHour}',
+            hourOnNumber: '; on the hour, the hour hand should point right at {hours}',
+            minuteOff: 'The minute hand is off by {degrees}°; each small mark is 1 minute (6°)',
+            secondOff: 'The second hand is off by {degrees}°; each small mark is 1 second (6°)'
+        },
+        phrase: {
+            notRecognized: 'That way of saying the time was not understood',
+            examples: 'Try writing: {examples}',
+            readAs: 'Say it as: {phrase}',
+            alsoSay: ' (you can also say: {phrases})',
+            otherLanguage: 'In Chinese: {phrase}'
+        },
+        elapsed: {
+            empty: 'Please enter your answer first',
+            fromTo: 'The start time is {start} and the end time is {end}',
+            countTitle: 'Count forward on the dial from the start time:',
+            countHours: 'First count whole hours: from {from} to {to}, one full turn of the minute hand is 1 hour, {duration} in all',
+            countToHour: 'Then count to the hour: from {from} to {to}, the minute hand reaches 12, that is {duration}',
+            countMinutes: 'Count the minutes: from {from} to {to}, that is {duration}',
+            totalDuration: 'Altogether {duration} passes',
+            totalEnd: 'So {duration} later the end time is {end}',
+            yourAnswer: 'Your answer was {answer}',
+            tips: [
+                'One full turn of the minute hand is 60 minutes, which is 1 hour',
+                'Each big step of the minute hand is 5 minutes, each small tick is 1 minute',
+                'When the minutes add up to more than 60, counting to the hour first makes it easier'
+            ]
+        },
+        distractor: {
+            title: 'What went wrong:',
+            swappedHands: 'The hour and minute hands may have been swapped. The short one is the hour hand, the long one is the minute hand',
+            hourAlmostNext: 'The hour hand is close to {nextHour} but not there yet, so it is still after {hours} o\'clock',
+            hourJustPassed: 'The hour hand has just passed {hours}; read the number the hour hand has just passed',
+            minuteAsNumeral: 'Multiply the number the minute hand points to by 5 to get the minutes; don\'t read the number directly',
+            mirrored: 'The clock may have been read mirrored. The hands go clockwise: 3 is on the right and 9 on the left',
+            other: 'Look again at where the hour and minute hands point'
+        },
+        input: {
+            hoursRange: 'Hours must be between 0 and {max}',
+            chooseMeridiem: 'Please choose AM or PM',
+            minutesRange: 'Minutes must be between 0 and 59',
+            secondsRange: 'Seconds must be between 0 and 59',
+            hoursEmpty: 'The hour is empty and counts as 0',
+            minutesEmpty: 'The minutes are empty and count as 0',
+            secondsEmpty: 'The seconds are empty and count as 0',
+            hoursOutOfRange: 'Hour out of range',
+            hours24Suggestion: 'In 24-hour time, enter a number from 0 to 23',
+            hoursSuggestion: 'Enter a number from 0 to 12 (0 means 12 o\'clock)',
+            minutesOutOfRange: 'Minutes out of range',
+            secondsOutOfRange: 'Seconds out of range',
+            sixtySuggestion: 'Enter a number from 0 to 59',
+            unknownField: 'Unknown field',
+            notANumber: 'Please enter a valid number',
+            emptyAsZero: 'Empty values count as 0',
+            valid: 'Valid'
+        },
+        meridiemExplanation: {
+            summary: 'AM/PM: this is {meridiem}, written {time24} in 24-hour time',
+            pm: ' ({hours} PM = {hours} + 12 = {hours24}:00)',
+            noon: ' (12 noon is still 12 in 24-hour time)',
+            midnight: ' (12 midnight is 0 in 24-hour time)',
+            am: ' (AM hours stay the same)'
+        },
+        explanation: {
+            title: 'How to read the correct answer:',
+            clockShows: 'The clock shows {time}',
+            howToRead: 'Reading the hands:',
+            hourHand: 'Hour hand: points to {hours}',
+            hourHandMoved: ', and has moved on by {minutes} minutes',
+            minuteHand: 'Minute hand: points to {minutes} minutes',
+            secondHand: 'Second hand: points to {seconds} seconds',
+            pointsAt: ' (pointing at {number})',
+            yourAnswerTitle: 'About your answer:',
+            yourAnswer: 'You entered {time}',
+            hoursDiff: 'Hours: you entered {user}, the correct answer is {correct}',
+            hoursTip: 'Tip: watch the hour hand, it moves slowly as the minutes pass',
+            minutesDiff: 'Minutes: you entered {user}, the correct answer is {correct}',
+            minutesTip: 'Tip: the number the minute hand points to times 5 is the minutes',
+            secondsDiff: 'Seconds: you entered {user}, the correct answer is {correct}',
+            secondsTip: 'Tip: the number the second hand points to times 5 is the seconds',
+            meridiemDiff: 'AM/PM: you answered {user}, the correct answer is {correct}',
+            meridiemMissing: '(none)',
+            meridiemTip: 'Tip: the hour hand goes round twice a day, so use the situation in the question to tell AM from PM',
+            tipsTitle: 'Study tips:',
+            tips: [
+                'The hour hand is short and thick, the minute hand long and thin, the second hand the thinnest and longest',
+                'Each number step on the minute and second hands is 5 minutes / 5 seconds',
+                'The hour hand moves slowly with the minutes; it does not jump'
+            ]
+        },
+        encouragement: {
+            correct: [
+                '🎉 Brilliant! You have really mastered reading the clock!',
+                '⭐ Excellent! You read the time really well!',
+                '🏆 Correct! You are a clock-reading star!',
+                '👏 Well done! Keep up this accuracy!',
+                '🌟 Perfect! You understand the clock really well!',
+                '🎯 Spot on! You have sharp eyes!',
+                '💪 Great! Clocks are no problem for you!',
+                '🚀 Outstanding! You are learning fast!'
+            ],
+            incorrect: [
+                '💪 Don\'t give up! Every practice helps you improve!',
+                '🌱 That\'s OK, learning takes time and you are getting better!',
+                '🎯 So close! Look at the hands once more!',
+                '⭐ Keep going! A little more practice and it will be easy!',
+                '🔍 Read the explanation and you will get it next time!',
+                '📚 Learning the clock takes patience, and you are on the right track!',
+                '🌟 Every mistake is a chance to learn, keep it up!',
+                '🎈 Believe in yourself! Keep looking and practicing and you will get it!',
+                '🏃 Keep trying! Practice makes perfect!',
+                '🎨 Reading a clock is an art, take your time!'
+            ]
+        },
+        successMessages: [
+            'Brilliant! That\'s correct!',
+            'Well done! You read the time right!',
+            'Correct! Keep it up!',
+            'Excellent! A very accurate reading!',
+            'You got it! Great job!'
+        ],
+        format: {
+            empty: 'Please enter a time',
+            emptySuggestion: 'Format: HH:MM:SS (e.g. 03:30:00)',
+            invalid: 'Wrong format',
+            invalidSuggestion: 'Please use the HH:MM:SS format',
+            outOfRange: 'Time out of range',
+            outOfRangeSuggestion: 'Hours: 1-12, minutes: 0-59, seconds: 0-59',
+            valid: 'Format OK'
+        }
+    },
+
+    record: {
+        title: 'Answer history',
+        userAnswer: 'Your answer: {time}',
+        correctAnswer: 'Correct answer: {time}',
+        userPhrase: 'Phrase: {phrase}',
+        elapsedRange: '{start} → {end}',
+        questionTypes: {
+            set: 'Set',
+            choice: 'Choice',
+            phrase: 'Phrase',
+            elapsed: 'Elapsed'
+        },
+        noMatches: 'No records match',
+        noMatchesHint: 'Try changing the filters or start practicing',
+        faceStyleCount: '{correct}/{count}',
+        hintsUsed: {
+            one: '💡 {count} hint',
+            other: '💡 {count} hints'
+        },
+        mistakeCount: {
+            one: '{count} time · {percentage}%',
+            other: '{count} times · {percentage}%'
+        },
+        mistakeExample: 'e.g. {correct} answered as {user}',
+        faceStyleTitle: 'Accuracy by clock face',
+        mistakesTitle: 'Most common mistakes',
+        empty: 'No answers yet',
+        emptyHint: 'Your answers will appear here once you start practicing',
+        filters: {
+            correctness: 'Result:',
+            all: 'All',
+            correct: 'Correct',
+            incorrect: 'Wrong',
+            difficulty: 'Level:',
+            dateFrom: 'From:',
+            dateTo: 'To:',
+            clear: 'Clear filters',
+            clearRecords: 'Clear history'
+        },
+        stats: {
+            total: 'Total:',
+            accuracy: 'Accuracy:',
+            unaided: 'Correct without hints:',
+            averageScore: 'Average score:',
+            averageTime: 'Average time:'
+        },
+        pagination: {
+            prev: 'Previous',
+            next: 'Next',
+            page: 'Page ',
+            of: ' of ',
+            perPage: ' (',
+            total: ' per page, ',
+            end: ' in total)'
+        },
+        messages: {
+            loadFailed: 'Could not load the history, please reload the page',
+            filterFailed: 'Filtering failed, please check the filters',
+            nothingToClear: 'There are no records to clear',
+            clearConfirm: {
+                one: 'Clear all answer history?\n\nThere is {count} record, and this cannot be undone.\n\nClick "OK" to continue or "Cancel" to go back.',
+                other: 'Clear all answer history?\n\nThere are {count} records, and this cannot be undone.\n\nClick "OK" to continue or "Cancel" to go back.'
+            },
+            cleared: 'All records cleared',
+            clearFailed: 'Could not clear the records, please try again',
+            clearError: 'Something went wrong while clearing the records',
+            displayFailed: 'Could not show the records'
+        },
+        storage: {
+            sessionStorage: 'Using session storage: records will be lost when the browser closes',
+            localStorage: 'Record storage is working again',
+            indexedDB: 'Using the record database, everything works',
+            memory: 'Using temporary storage: records will be lost when the page reloads',
+            temporary: 'Note: temporary storage is in use, records will be lost when the browser closes',
+            recovered: 'Record storage is working again',
+            errors: {
+                cookieUnsupported: 'This browser does not support cookies, answer records cannot be saved',
+                serializeFailed: 'The record data is malformed and cannot be saved',
+                tooLarge: 'There are too many records, please clear some history',
+                cookieWriteFailed: 'Could not write the cookie, the browser may be blocking it',
+                cookieVerifyFailed: 'Could not verify the saved cookie, records may not have been saved',
+                storageFailed: 'Record storage failed and is temporarily unavailable',
+                indexedDBWriteFailed: 'Could not write to the record database, this record may not be saved',
+                unknown: 'Storage error: {error}'
+            },
+            failed: {
+                title: 'Record storage is not available',
+                description: 'Answer records cannot be saved, but you can keep practicing',
+                dismiss: 'Got it',
+                reload: 'Reload and try again'
+            }
+        },
+        export: {
+            empty: 'There are no records to export',
+            done: { one: 'Exported {count} record to a file', other: 'Exported {count} records to a file' },
+            failed: 'Export failed, please try again later'
+        }
+    },
+
+    timer: {
+        recovered: 'The timer is working again',
+        errors: {
+            noClock: 'The system clock is not available',
+            updateFailed: 'The timer could not update',
+            intervalFailed: 'The timer could not be created',
+            startFailed: 'The timer could not start',
+            stopFailed: 'The timer could not stop',
+            short: 'Timer error',
+            message: 'Timer problem: {reason}'
+        }
+    },
+
+    accessibility: {
+        skipLink: 'Skip to main content',
+        selectLevel: 'Choose {level}-star difficulty',
+        hoursInput: 'Enter the hours',
+        minutesInput: 'Enter the minutes',
+        secondsInput: 'Enter the seconds',
+        timer: 'Answer timer'
+    },
+
+    profile: {
+        switchTitle: 'Switch learner',
+        pickerTitle: 'Who is practicing today?',
+        add: 'Add a child',
+        namePlaceholder: 'Enter a name',
+        nameLabel: 'Name',
+        avatarLabel: 'Choose an avatar',
+        create: 'Add and start practicing',
+        defaultName: 'Little learner',
+        switchLabel: 'Current learner: {name}. Click to switch',
+        activeLabel: '{name} (current)',
+        deleteLabel: 'Delete the profile of {name}',
+        confirmDelete: 'Delete the profile of "{name}"? Its settings and all of its answer records will be deleted. This cannot be undone.',
+        errors: {
+            nameRequired: 'Please enter a name',
+            nameTooLong: { one: 'The name can be at most {count} character', other: 'The name can be at most {count} characters' },
+            tooMany: { one: 'You can create at most {count} profile', other: 'You can create at most {count} profiles' },
+            duplicateName: 'A profile with this name already exists',
+            deleteFailed: 'Could not delete this profile'
+        }
+    },
+
+    worksheet: {
+        title: 'Telling Time Worksheet · {type}',
+        answerTitle: '{title} · Answers',
+        studentName: 'Name: ',
+        date: 'Date: ',
+        score: 'Score: ',
+        clockFace: 'Clock face',
+        blankFace: 'Blank clock face',
+        drawTarget: 'Draw {time}',
+        units: {
+            hours: 'h',
+            minutes: 'min',
+            seconds: 's'
+        },
+        print: '🖨️ Print'
+    },
+
+    testReport: {
+        title: '📝 Test report',
+        questions: 'Question by question',
+        columns: {
+            number: 'No.',
+            difficulty: 'Level',
+            correct: 'Correct answer',
+            user: 'Your answer',
+            time: 'Time',
+            result: 'Result'
+        },
+        mistakes: 'Mistakes explained',
+        done: 'Back to practice',
+        endReasons: {
+            timeUp: '⏰ Time is up! Questions not reached count as wrong',
+            stopped: '✋ Handed in early. Unanswered questions count as wrong',
+            completed: '🎉 All questions finished'
+        },
+        summary: {
+            scoreUnit: ' points',
+            correct: '{correct} of {total} correct',
+            elapsed: 'Total time {time}',
+            timeLimit: ' (limit {time})',
+            averageTime: 'Average per question {time}',
+            byLevel: 'By level: {levels}',
+            levelStats: '{level} {correct}/{total}'
+        },
+        unanswered: 'Not answered',
+        noMistakes: 'No mistakes, well done!',
+        mistakeTitle: 'Question {number}: {time}, your answer {answer}',
+        mistakeTitleUnanswered: 'Question {number}: {time} (not answered)'
+    },
+
+    dashboard: {
+        open: '📈 Progress report',
+        title: '📈 Progress report',
+        period: 'Period',
+        periods: {
+            day: 'By day (last 14 days)',
+            week: 'By week (last 12 weeks)'
+        },
+        empty: 'No answers yet. Practice a few questions and come back',
+        accuracyTitle: 'Accuracy',
+        accuracyPoint: '{period}: {rate}% correct ({correct}/{count}), {unaidedRate}% without hints',
+        accuracyLegend: 'Accuracy',
+        unaidedLegend: 'Correct without hints',
+        timeTitle: 'Average time',
+        timePoint: '{period}: {seconds} on average ({count} questions)',
+        masteryTitle: 'Mastery by level',
+        masteryHint: 'A level is mastered after at least 10 questions with 90% or more answered correctly without hints',
+        masteryUnaided: '{count} without hints',
+        mastery: {
+            mastered: 'Mastered',
+            learning: 'Improving',
+            needsPractice: 'Needs practice',
+            notStarted: 'Not practiced yet'
+        },
+        heatmapTitle: 'Accuracy by clock time',
+        heatmapHint: 'Each row is the hour the hour hand points to and each column is a 5-minute range of the minute hand. Greener means more accurate, redder needs more practice, and gray has not been practiced yet',
+        heatCell: '{range}: {rate}% correct ({correct}/{count})',
+        heatCellEmpty: '{range}: not practiced yet',
+        streaksTitle: 'Streaks',
+        streaks: {
+            days: {
+                one: 'Practiced {count} day in a row (best: {longest})',
+                other: 'Practiced {count} days in a row (best: {longest})'
+            },
+            correct: {
+                one: '{count} correct answer in a row right now (best: {longest})',
+                other: '{count} correct answers in a row right now (best: {longest})'
+            },
+            run: {
+                one: '{count} correct answer in a row ({date})',
+                other: '{count} correct answers in a row ({date})'
+            }
+        }
+    }
+});
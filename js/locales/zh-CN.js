@@ -0,0 +1,886 @@
+/**
+ * 中文消息目录（默认语言，其他语言缺少的文字都用这里的）
+ * 键按使用的组件分组，{name}是插值参数，带other字段的对象按数量选择单复数
+ */
+I18nManager.registerMessages('zh-CN', '中文', {
+    common: {
+        listSeparator: '、',
+        seconds: { other: '{count}秒' },
+        hours: { other: '{count}小时' },
+        minutes: { other: '{count}分钟' },
+        hoursAndMinutes: '{hours}{minutes}',
+        close: '关闭'
+    },
+
+    app: {
+        documentTitle: '时钟练习应用',
+        title: '时钟学习练习',
+        submit: '提交答案',
+        next: '继续练习',
+        setModeDisabled: '拨针模式下不可用',
+        elapsedModeDisabled: '经过时间题中不可用',
+        modes: {
+            read: '看钟读时间',
+            set: '拨针对时间',
+            choice: '看钟选时间',
+            phrase: '看钟说读法',
+            elapsed: '经过时间'
+        },
+        titles: {
+            read: '请看时钟，输入时间',
+            set: '请拖动指针，拨出时间',
+            choice: '请看时钟，选出时间',
+            phrase: '请看时钟，写出读法',
+            elapsed: '请看开始和结束的时钟，算一算'
+        },
+        input: {
+            label: '请输入完整时间 (时:分:秒):',
+            label24: '请用24小时制输入时间 (时:分:秒):',
+            hoursHint: '输入小时 (0-12)，0表示12点',
+            minutesHint: '输入分钟 (0-59)',
+            secondsHint: '输入秒数 (0-59)'
+        },
+        phrase: {
+            placeholder: '例如：{example}'
+        },
+        result: {
+            timeSpent: '用时: {time}',
+            correctAnswer: '正确答案: {time}'
+        },
+        hints: {
+            button: '💡 提示 ({step}/{total})',
+            buttonTitle: '每点一次多给一步提示，用了提示答对的题得分会少一些',
+            steps: {
+                1: '看高亮的短针，它是时针：时针指着或刚走过的数字就是几点',
+                2: '蓝色扇形是分针从12开始走过的部分，走过的越多，分钟数越大',
+                3: '表盘外的数字是分钟数：分针每走一个大格是5分钟，数一数它走到了哪里',
+                4: '沿着时针的虚线看：时针在两个数字之间时，取刚走过的那个数字'
+            },
+            result: { other: '💡 用了{count}步提示，本题得{score}分（不用提示答对得100分）' }
+        },
+        explanationPlayer: {
+            title: '🎬 动画讲解',
+            play: '▶ 播放',
+            pause: '⏸ 暂停',
+            resume: '▶ 继续',
+            step: '⏭ 下一步',
+            replay: '🔁 重播',
+            progress: '第{step}/{total}步',
+            ready: '点"播放"，在钟面上一步一步看这个时间是怎么读出来的',
+            hourAt: '先看短短的时针：它正指着{hour}，所以是{hour}点',
+            hourBetween: '先看短短的时针：它在{hour}和{next}之间，刚走过{hour}，所以是{hour}点多',
+            minute: {
+                start: '再看长长的分针：从12开始，顺着小格数过去',
+                counting: '分针每走一个数字是5分钟：{counts}……',
+                exact: '{counts}，分针正好指着数字，是{value}分',
+                rest: { other: '{counts}，再数{count}小格，是{value}分' },
+                small: { other: '分针从12走了{count}小格，是{value}分' },
+                zero: '分针正指着12，是0分，也就是整点'
+            },
+            second: {
+                start: '最后看细细的秒针：也从12开始数小格',
+                counting: '秒针每走一个数字是5秒：{counts}……',
+                exact: '{counts}，秒针正好指着数字，是{value}秒',
+                rest: { other: '{counts}，再数{count}小格，是{value}秒' },
+                small: { other: '秒针从12走了{count}小格，是{value}秒' },
+                zero: '秒针正指着12，是0秒'
+            },
+            summary: '合起来，时钟上的时间是 {time}'
+        },
+        review: {
+            finished: '🎉 到期的错题都复习完了，继续正常练习吧！',
+            ended: '已结束错题复习',
+            nothingDue: '当前难度没有需要复习的错题',
+            started: '开始复习 {count} 个错题时间',
+            stopTitle: '点击结束错题复习',
+            startTitle: '只练习到期需要复习的错题'
+        },
+        test: {
+            confirmStop: '还有题目没做完，确定要交卷吗？',
+            chooseLevel: '请至少选择一个星级',
+            started: '📝 测验开始，共 {count} 题，做完后统一公布答案',
+            startFailed: '开始测验失败'
+        },
+        worksheet: {
+            unsupported: '当前浏览器不支持SVG，无法生成练习纸',
+            opened: '🖨️ 练习纸已在新窗口打开，可以直接打印',
+            downloaded: '弹出窗口被拦截，练习纸已下载为网页文件'
+        },
+        adaptive: {
+            consecutiveErrors: { other: '💪 连续答错{count}题，先回到{level}星巩固一下' },
+            lowAccuracy: { other: '💪 最近{count}题正确率{accuracy}%，先回到{level}星巩固一下' },
+            mastered: { other: '🎉 最近{count}题正确率{accuracy}%，平均{seconds}秒，升级到{level}星挑战一下' },
+            pending: '{reason}（下一题生效）',
+            waiting: { other: '自动调整已开启，完成{count}题后评估是否升级' },
+            progress: { other: '{level}星最近{count}题正确率{accuracy}%，平均{seconds}秒' }
+        },
+        messages: {
+            initFailed: '应用初始化失败，部分功能可能不可用',
+            startFailed: '应用启动失败，请刷新页面重试',
+            difficultyChanged: '难度已切换到 {level} 星',
+            noQuestion: '请先生成一个题目',
+            alreadySubmitted: '答案已提交，请点击继续练习',
+            validationFailed: '答案验证失败',
+            chooseAnswer: '请先选择一个答案',
+            writePhrase: '请先写出时间的读法',
+            phraseNotRecognized: '{message}，{explanation}',
+            setModeUnsupported: '当前浏览器不支持拨针模式',
+            elapsedModeUnsupported: '当前浏览器不支持经过时间题',
+            elapsedTestUnsupported: '测验暂不包含经过时间题，请先切换到其他练习模式',
+            modeChanged: '已切换到{mode}模式',
+            modeChangeFailed: '切换练习模式失败',
+            adaptiveOn: '已开启自动调整难度',
+            adaptiveOff: '已关闭自动调整难度',
+            faceStyleChanged: '钟面已切换为：{name}',
+            profileWelcome: '{avatar} {name}，开始练习吧！',
+            profileSwitchFailed: '切换学习者失败',
+            meridiemReadOnly: '上午/下午情境题只在"看钟读时间"模式中出现',
+            guideLinesOn: '参考线已显示',
+            guideLinesOff: '参考线已隐藏',
+            guideLinesRecovered: '参考线功能已恢复',
+            autoTickOn: '自动走动已开启',
+            autoTickOff: '自动走动已关闭',
+            handAnimationOn: '换题时指针会转到新时间',
+            handAnimationOff: '换题时指针直接跳到新时间',
+            smoothSecondsOn: '秒针平滑走动已开启',
+            smoothSecondsOff: '秒针平滑走动已关闭',
+            currentTimeOn: '正在显示当前时间',
+            currentTimeOff: '已关闭当前时间显示',
+            speechOn: '🔊 已开启语音朗读',
+            speechOff: '🔇 已关闭语音朗读',
+            soundOn: '🔔 已开启音效',
+            soundOff: '🔕 已关闭音效',
+            logLevelChanged: '日志级别已切换为: {level}',
+            logDownloaded: '📥 日志已下载，共 {count} 条',
+            questionFailed: '生成题目失败，请重试',
+            submitFailed: '提交答案失败，请重试',
+            resultFallback: '结果显示出现问题，但答案已记录'
+        },
+        errors: {
+            invalidDifficulty: '无效的难度数据',
+            uiUpdateFailed: '界面更新失败',
+            questionFailed: '题目生成失败',
+            difficultySystem: '难度切换系统异常',
+            difficultyLevelFailed: '切换到 {level} 星难度失败: {error}',
+            difficultyFailed: '难度切换失败: {error}',
+            reload: '应用出现异常，请刷新页面',
+            difficultyBroken: '难度切换功能异常，请刷新页面',
+            readInputFailed: '获取输入时间失败',
+            inputValidationFailed: '输入验证失败',
+            showResultFailed: '显示结果失败',
+            showResultFailedWithReason: '显示结果失败: {error}',
+            testReportFailed: '生成测验成绩单失败',
+            worksheetFailed: '生成练习纸失败: {error}',
+            autoTickFailed: '自动走动功能异常',
+            currentTimeFailed: '当前时间功能异常',
+            guideLines: {
+                noTime: '请先生成一个时间题目',
+                noRenderer: '时钟显示功能异常，参考线不可用',
+                noCanvas: '您的浏览器不支持参考线功能',
+                missingControls: '参考线控件异常，请刷新页面',
+                renderFailed: '参考线绘制失败，请重试',
+                system: '参考线功能出现异常，请刷新页面',
+                failed: '参考线切换失败: {error}'
+            }
+        },
+        busy: {
+            processing: '处理中...',
+            switching: '切换正在进行中，请稍候...',
+            redrawing: '正在重绘中，请稍候...'
+        }
+    },
+
+    config: {
+        title: '配置选项',
+        difficulty: '选择难度',
+        levels: {
+            1: '1星 - 整点时间',
+            2: '2星 - 30分钟间隔',
+            3: '3星 - 5分钟间隔',
+            4: '4星 - 1分钟间隔',
+            5: '5星 - 1秒钟间隔'
+        },
+        faceStyle: '钟面数字',
+        adaptive: '自动调整难度',
+        questionMode: '练习模式',
+        meridiem: {
+            label: '上午/下午',
+            off: '不区分上午下午',
+            '24h': '情境题：用24小时制回答',
+            ampm: '情境题：选择上午或下午'
+        },
+        linkedHourHand: '时针跟随分针',
+        theme: '钟面主题',
+        review: {
+            title: '错题复习',
+            ratio: '错题混入比例',
+            ratios: {
+                none: '不混入错题',
+                few: '少量混入错题',
+                some: '适量混入错题',
+                many: '较多混入错题'
+            },
+            only: '只复习错题'
+        },
+        test: {
+            title: '测验模式',
+            countLabel: '测验题数',
+            count: { other: '{count}题' },
+            timeLimitLabel: '测验限时',
+            noLimit: '不限时',
+            timeLimit: '限时{minutes}分钟',
+            levelsLabel: '测验包含的星级',
+            start: '开始测验'
+        },
+        worksheet: {
+            title: '打印练习纸',
+            levelLabel: '练习纸难度',
+            countLabel: '钟面数量',
+            count: { other: '{count}个钟面' },
+            typeLabel: '练习纸类型',
+            types: {
+                read: '看钟写时间',
+                draw: '画出指针'
+            },
+            answerKey: '附答案页',
+            create: '生成练习纸'
+        },
+        locale: '界面语言',
+        speech: {
+            title: '语音朗读',
+            enabled: '朗读结果和解析',
+            voice: '朗读声音',
+            defaultVoice: '默认声音',
+            rate: '朗读速度',
+            rates: {
+                slow: '慢速朗读',
+                slower: '稍慢朗读',
+                normal: '正常速度朗读',
+                faster: '稍快朗读'
+            }
+        },
+        sound: {
+            title: '音效',
+            enabled: '滴答声、整点报时和答题提示音',
+            volume: '音量',
+            volumes: {
+                soft: '小声',
+                medium: '中等音量',
+                loud: '大声',
+                max: '最大音量'
+            },
+            quietClassroom: '安静教室（只保留轻声的答题提示音）'
+        },
+        log: {
+            title: '日志',
+            level: '日志级别',
+            levels: {
+                debug: '调试（输出全部日志）',
+                info: '信息',
+                warn: '警告和错误（默认）',
+                error: '只输出错误',
+                silent: '不输出'
+            },
+            download: '下载日志',
+            urlOverride: '本次由网址参数指定日志级别'
+        }
+    },
+
+    speech: {
+        setTarget: '请把时钟拨到{time}',
+        time24: '{hours}点{minutes}分'
+    },
+
+    clock: {
+        reviewBadge: '🔁 错题复习',
+        test: {
+            progressBefore: '📝 测验 第',
+            progressAfter: '题',
+            remaining: '剩余',
+            stop: '交卷'
+        },
+        currentTime: '显示当前时间',
+        autoTick: '自动走动',
+        guideLines: '参考线',
+        handAnimation: '指针动画',
+        smoothSeconds: '秒针平滑走动',
+        overlays: {
+            title: '教学标注:',
+            minuteLabels: '分钟数字',
+            minuteSector: '分针扇形',
+            hourZone: '小时区间'
+        },
+        reducedMotion: '系统设置了减少动态效果，指针动画已关闭',
+        fallback: '您的浏览器不支持Canvas，显示数字时钟',
+        fallbackLabel: '数字时钟显示',
+        fallbackSvg: '当前浏览器不支持Canvas，已改用SVG绘制时钟',
+        fallbackDigital: '当前使用数字时钟模式，参考线功能不可用',
+        emergency: {
+            title: '⏰ 时钟显示',
+            hint: '时钟功能受限，仅显示数字时间'
+        },
+        recovered: '时钟显示功能已恢复，参考线功能可用',
+        guideLinesToggle: '切换参考线显示',
+        svg: {
+            label: '模拟时钟',
+            numerals: '钟面数字',
+            hands: {
+                hour: '时针',
+                minute: '分针',
+                second: '秒针'
+            },
+            handAt: '{hand}指向{number}',
+            handBetween: '{hand}在{from}和{to}之间',
+            handPastTicks: { other: '{hand}指向{number}后第{count}个小格' }
+        },
+        errors: {
+            unsupported: 'Canvas和SVG均不支持',
+            unknown: '未知渲染错误',
+            contextLost: 'Canvas上下文丢失',
+            guideLinesDrawFailed: '参考线绘制失败: {error}',
+            guideLinesFailed: '参考线功能异常: {error}',
+            guideLinesUnavailable: '参考线功能不可用: {reason}',
+            guideLinesPaused: '参考线功能暂时不可用: {reason}',
+            invalidTime: '时间数据无效',
+            fallbackFailed: '降级渲染异常',
+            short: '时钟错误',
+            displayBroken: '时钟显示功能异常',
+            display: '时钟显示异常: {reason}',
+            renderFailed: '时钟渲染异常，已切换到数字显示模式'
+        },
+        elapsed: {
+            start: '开始',
+            end: '结束'
+        }
+    },
+
+    answer: {
+        setClock: {
+            label: '请拖动时钟上的指针，拨出这个时间:',
+            hint: '按住指针拖动，松开后可继续调整'
+        },
+        choice: {
+            label: '请选出时钟显示的时间:',
+            options: '时间选项'
+        },
+        phrase: {
+            label: '请写出时钟上时间的读法:',
+            locale: '读法语言',
+            suggestionHint: '也可以点选下面的读法:',
+            suggestions: '读法选项'
+        },
+        units: {
+            hours: '时',
+            minutes: '分',
+            seconds: '秒'
+        },
+        elapsed: {
+            durationQuestion: '从开始到结束，经过了多长时间？',
+            endTimeQuestion: '从开始时间再过{duration}，是几点几分？',
+            hours: '小时',
+            minutes: '分钟'
+        },
+        meridiem: '上午还是下午',
+        speech: {
+            button: '说出答案',
+            listening: '🎤 正在听，请说出时间，比如"三点二十五分"',
+            heard: '听到："{text}"，检查一下再提交吧',
+            notRecognized: '没听懂"{text}"，请再说一次，比如"三点二十五分"',
+            noSpeech: '没有听到声音，请靠近一点再说一次',
+            notAllowed: '无法使用麦克风，请在浏览器中允许使用麦克风',
+            error: '语音识别出错了，请再试一次或直接输入'
+        },
+        timer: '答题时间:',
+        placeholder: '📝 提交答案后，这里将显示详细的答题结果',
+        placeholderHint: '包括正确性判断、用时统计和学习建议'
+    },
+
+    difficulty: {
+        starLevel: '{level}星',
+        invalidLevel: '无效的难度等级',
+        unknown: '未知难度',
+        levels: {
+            1: {
+                name: '1星 - 整点时间',
+                description: '显示整点时间，如 3:00:00，适合初学者。请输入完整的时、分、秒'
+            },
+            2: {
+                name: '2星 - 30分钟间隔',
+                description: '显示30分钟间隔的时间，如 3:30:00，学习半点概念。请输入完整的时、分、秒'
+            },
+            3: {
+                name: '3星 - 5分钟间隔',
+                description: '显示5分钟间隔的时间，如 3:25:00，练习基础分钟读取。请输入完整的时、分、秒'
+            },
+            4: {
+                name: '4星 - 1分钟间隔',
+                description: '显示1分钟间隔的时间，如 3:27:00，掌握精确分钟。请输入完整的时、分、秒'
+            },
+            5: {
+                name: '5星 - 包含秒数',
+                description: '显示完整时间包含秒数，如 3:27:45，挑战完整时间读取。请输入完整的时、分、秒'
+            }
+        },
+        help: {
+            name: '难度选择说明',
+            description: '点击任意星级选择对应难度。星级越高，时间间隔越精确，挑战性越大。1星为整点时间，5星精确到秒。选择适合您当前水平的难度开始练习。'
+        },
+        errors: {
+            saveFailed: '切换到 {level} 星难度失败，设置无法保存',
+            invalidLevel: '难度等级 {level} 无效，请选择1-5星',
+            reset: '难度系统异常，已重置为1星难度',
+            unexpected: '切换到 {level} 星难度时出现异常',
+            generic: '难度切换失败: {error}'
+        }
+    },
+
+    faceStyle: {
+        unknown: '未知钟面',
+        arabic: {
+            name: '阿拉伯数字',
+            description: '钟面标出1-12全部数字，最容易读'
+        },
+        roman: {
+            name: '罗马数字',
+            description: '钟面用罗马数字I-XII标注，需要先认出数字'
+        },
+        quarters: {
+            name: '只有3、6、9、12',
+            description: '只标出3、6、9、12四个数字，其余钟点要靠刻度推算'
+        },
+        ticks: {
+            name: '只有刻度',
+            description: '钟面没有数字，完全凭指针位置读时间'
+        }
+    },
+
+    theme: {
+        classic: {
+            name: '经典',
+            description: '白色表盘、黑色指针、红色秒针'
+        },
+        highContrast: {
+            name: '高对比度',
+            description: '黑底白字、粗指针，适合视力较弱或光线较强的环境'
+        },
+        kids: {
+            name: '彩色指针',
+            description: '时针红色、分针蓝色、秒针绿色，方便孩子分辨三根指针'
+        },
+        minimal: {
+            name: '简约',
+            description: '只有刻度没有数字，练习凭位置读时间'
+        },
+        roman: {
+            name: '罗马数字',
+            description: '用罗马数字标注钟点，像老式挂钟一样'
+        }
+    },
+
+    timeGenerator: {
+        scenes: {
+            lateNight: '深夜，大家都在睡觉',
+            dawn: '清晨，天刚刚亮',
+            breakfast: '早上，吃早饭准备上学',
+            morningClass: '上午，在学校上课',
+            lunch: '中午，吃午饭',
+            afternoonClass: '下午，在学校上课',
+            afterSchool: '放学后，在外面玩',
+            dinner: '傍晚，全家吃晚饭',
+            bedtime: '晚上，洗漱准备睡觉',
+            asleep: '夜里，已经睡着了'
+        }
+    },
+
+    mistake: {
+        names: {
+            swappedHands: '时针分针看反',
+            hourOffByOne: '小时差一',
+            hourMisread: '时针读成相邻数字',
+            minuteAsNumeral: '分针数字当分钟',
+            mirrored: '钟面左右看反',
+            nearMiss: '相近时间',
+            secondsMisread: '秒针读错',
+            minuteMiscount: '分钟数错小格',
+            meridiemMixup: '上午下午弄反',
+            other: '其他错误'
+        },
+        tips: {
+            hourOffByOne: '过了半点时时针已经靠近下一个数字，但还没到，小时要读前一个数字',
+            hourMisread: '时针指着或刚走过哪个数字就是几点，前半小时时针还在这个数字旁边，不要读成前一个或后一个数字',
+            minuteAsNumeral: '分针指向的数字要乘以5才是分钟，比如指向7就是35分',
+            swappedHands: '短而粗的是时针，长而细的是分针，先认清指针再读数',
+            mirrored: '钟面数字是顺时针排列的，从12开始往右数，不要看反方向',
+            secondsMisread: '最细的秒针也要仔细读，和分针一样每个小格是1秒',
+            minuteMiscount: '两个数字之间有5个小格，数小格时要从最近的数字开始数',
+            meridiemMixup: '钟面一天转两圈，要看情境判断上午还是下午；下午的钟点用24小时制要加12',
+            nearMiss: '选项很接近时，先确定时针，再仔细数分针的小格',
+            other: '读时间时先看时针，再看分针，最后检查一遍'
+        }
+    },
+
+    validator: {
+        correct: '正确！',
+        incorrect: '答案不正确',
+        invalidFormat: '时间格式不正确，请使用 HH:MM:SS 格式',
+        invalidFormatHint: '请检查输入格式，确保使用 HH:MM:SS 的格式，例如：03:30:00',
+        meridiem: {
+            am: '上午',
+            pm: '下午'
+        },
+        hands: {
+            incorrect: '指针位置不正确',
+            title: '指针位置分析：',
+            hourOff: '时针偏差了 {degrees}°',
+            hourBetween: '，{minutes} 分时时针应在 {hours} 和 {nextHour} 之间',
+            hourOnNumber: '，整点时时针应正对 {hours}',
+            minuteOff: '分针偏差了 {degrees}°，每一小格是1分钟（6°）',
+            secondOff: '秒针偏差了 {degrees}°，每一小格是1秒（6°）'
+        },
+        phrase: {
+            notRecognized: '没有看懂这个读法',
+            examples: '可以这样写：{examples}',
+            readAs: '读作：{phrase}',
+            alsoSay: '（也可以说：{phrases}）',
+            otherLanguage: '英文读作：{phrase}'
+        },
+        elapsed: {
+            empty: '请先输入答案',
+            fromTo: '开始时间是 {start}，结束时间是 {end}',
+            countTitle: '在钟面上从开始时间往前数：',
+            countHours: '先数整小时：从 {from} 数到 {to}，分针每转一圈是1小时，一共{duration}',
+            countToHour: '再数到整点：从 {from} 数到 {to}，分针走到12，是{duration}',
+            countMinutes: '数分钟：从 {from} 数到 {to}，是{duration}',
+            totalDuration: '合起来一共经过了{duration}',
+            totalEnd: '所以再过{duration}，结束时间是 {end}',
+            yourAnswer: '你的答案是 {answer}',
+            tips: [
+                '分针转一整圈是60分钟，也就是1小时',
+                '分针每走一大格是5分钟，每走一小格是1分钟',
+                '分钟加起来超过60时，先数到整点会更容易'
+            ]
+        },
+        distractor: {
+            title: '错误分析：',
+            swappedHands: '可能把时针和分针看反了。短的是时针，长的是分针',
+            hourAlmostNext: '时针已经接近 {nextHour}，但还没有走到，所以仍然是 {hours} 点多',
+            hourJustPassed: '时针刚走过 {hours}，小时要读时针刚走过的数字',
+            minuteAsNumeral: '分针指着的数字要乘以5才是分钟数，不能直接读数字',
+            mirrored: '可能把钟面左右看反了。指针是顺时针方向走的，3在右边，9在左边',
+            other: '再仔细看看时针和分针分别指在哪里'
+        },
+        input: {
+            hoursRange: '小时必须在0-{max}范围内',
+            chooseMeridiem: '请选择上午或下午',
+            minutesRange: '分钟必须在0-59范围内',
+            secondsRange: '秒数必须在0-59范围内',
+            hoursEmpty: '小时输入为空，按0处理',
+            minutesEmpty: '分钟输入为空，按0处理',
+            secondsEmpty: '秒数输入为空，按0处理',
+            hoursOutOfRange: '小时超出范围',
+            hours24Suggestion: '24小时制请输入0-23之间的数字',
+            hoursSuggestion: '请输入0-12之间的数字（0表示12点）',
+            minutesOutOfRange: '分钟超出范围',
+            secondsOutOfRange: '秒数超出范围',
+            sixtySuggestion: '请输入0-59之间的数字',
+            unknownField: '未知字段类型',
+            notANumber: '请输入有效数字',
+            emptyAsZero: '空值将按0处理',
+            valid: '输入有效'
+        },
+        meridiemExplanation: {
+            summary: '上午/下午：这是{meridiem}，用24小时制写作 {time24}',
+            pm: '（下午{hours}点 = {hours} + 12 = {hours24}点）',
+            noon: '（中午12点在24小时制中还是12点）',
+            midnight: '（半夜12点在24小时制中是0点）',
+            am: '（上午的钟点不用变）'
+        },
+        explanation: {
+            title: '正确答案解析：',
+            clockShows: '时钟显示的时间是 {time}',
+            howToRead: '指针读取方法：',
+            hourHand: '时针：指向 {hours} 点',
+            hourHandMoved: '，并向前移动了 {minutes} 分钟的距离',
+            minuteHand: '分针：指向 {minutes} 分',
+            secondHand: '秒针：指向 {seconds} 秒',
+            pointsAt: '（指向{number}的位置）',
+            yourAnswerTitle: '你的答案分析：',
+            yourAnswer: '你输入的时间是 {time}',
+            hoursDiff: '小时部分：你输入了 {user}，正确答案是 {correct}',
+            hoursTip: '提示：注意观察时针的位置，时针会随着分钟数慢慢移动',
+            minutesDiff: '分钟部分：你输入了 {user}，正确答案是 {correct}',
+            minutesTip: '提示：分针指向的数字乘以5就是分钟数',
+            secondsDiff: '秒数部分：你输入了 {user}，正确答案是 {correct}',
+            secondsTip: '提示：秒针指向的数字乘以5就是秒数',
+            meridiemDiff: '上午/下午：你答的是{user}，正确答案是{correct}',
+            meridiemMissing: '（未区分）',
+            meridiemTip: '提示：钟面一天要转两圈，要结合题目里的情境判断是上午还是下午',
+            tipsTitle: '学习提示：',
+            tips: [
+                '时针较短较粗，分针较长较细，秒针最细最长',
+                '分针和秒针每格代表5分钟/5秒',
+                '时针会随着分钟数慢慢移动，不是突然跳跃的'
+            ]
+        },
+        encouragement: {
+            correct: [
+                '🎉 太棒了！你完全掌握了时钟的读法！',
+                '⭐ 优秀！你的时间读取能力很强！',
+                '🏆 正确！你是时钟读取小能手！',
+                '👏 很好！继续保持这样的准确度！',
+                '🌟 完美！你对时钟的理解很到位！',
+                '🎯 精准！你的观察力很敏锐！',
+                '💪 厉害！时钟对你来说不是问题！',
+                '🚀 出色！你的学习进步很快！'
+            ],
+            incorrect: [
+                '💪 别灰心！每次练习都是进步的机会！',
+                '🌱 没关系，学习需要过程，你正在进步中！',
+                '🎯 很接近了！再仔细观察一下指针的位置！',
+                '⭐ 不要放弃！多练习几次就会熟练了！',
+                '🔍 仔细看看解答过程，下次一定能做对！',
+                '📚 学习时钟需要耐心，你已经在正确的路上了！',
+                '🌟 每个错误都是学习的机会，继续加油！',
+                '🎈 相信自己！多观察多练习，你一定能掌握的！',
+                '🏃 继续努力！熟能生巧，你会越来越好的！',
+                '🎨 时钟读取是一门艺术，慢慢来，不着急！'
+            ]
+        },
+        successMessages: [
+            '太棒了！答案正确！',
+            '很好！你读对了时间！',
+            '正确！继续加油！',
+            '优秀！时间读得很准确！',
+            '答对了！你很棒！'
+        ],
+        format: {
+            empty: '请输入时间',
+            emptySuggestion: '格式: HH:MM:SS (例如: 03:30:00)',
+            invalid: '格式不正确',
+            invalidSuggestion: '请使用 HH:MM:SS 格式',
+            outOfRange: '时间范围不正确',
+            outOfRangeSuggestion: '小时: 1-12, 分钟: 0-59, 秒: 0-59',
+            valid: '格式正确'
+        }
+    },
+
+    record: {
+        title: '答题记录',
+        userAnswer: '您的答案: {time}',
+        correctAnswer: '正确答案: {time}',
+        userPhrase: '读法: {phrase}',
+        elapsedRange: '{start} → {end}',
+        questionTypes: {
+            set: '拨针',
+            choice: '选择',
+            phrase: '读法',
+            elapsed: '经过时间'
+        },
+        noMatches: '暂无符合条件的记录',
+        noMatchesHint: '尝试调整筛选条件或开始新的练习',
+        faceStyleCount: '{correct}/{count}题',
+        hintsUsed: { other: '💡 提示{count}步' },
+        mistakeCount: '{count}次 · {percentage}%',
+        mistakeExample: '例如：{correct} 答成了 {user}',
+        faceStyleTitle: '各钟面的正确率',
+        mistakesTitle: '最常犯的错误',
+        empty: '暂无答题记录',
+        emptyHint: '开始练习后，您的答题记录将显示在这里',
+        filters: {
+            correctness: '正确性:',
+            all: '全部',
+            correct: '正确',
+            incorrect: '错误',
+            difficulty: '难度:',
+            dateFrom: '开始日期:',
+            dateTo: '结束日期:',
+            clear: '清除筛选',
+            clearRecords: '清除记录'
+        },
+        stats: {
+            total: '总记录数:',
+            accuracy: '正确率:',
+            unaided: '独立答对率:',
+            averageScore: '平均得分:',
+            averageTime: '平均耗时:'
+        },
+        pagination: {
+            prev: '上一页',
+            next: '下一页',
+            page: '第',
+            of: '页 / 共',
+            perPage: '页 (每页',
+            total: '条，共',
+            end: '条)'
+        },
+        messages: {
+            loadFailed: '加载记录失败，请刷新页面重试',
+            filterFailed: '筛选失败，请检查筛选条件',
+            nothingToClear: '暂无记录可清除',
+            clearConfirm: '确定要清除所有答题记录吗？\n\n当前共有 {count} 条记录，此操作不可撤销。\n\n点击"确定"继续，点击"取消"返回。',
+            cleared: '所有记录已清除',
+            clearFailed: '清除记录失败，请重试',
+            clearError: '清除记录时发生错误',
+            displayFailed: '显示记录失败'
+        },
+        storage: {
+            sessionStorage: '使用会话存储，关闭浏览器后记录将丢失',
+            localStorage: '存储功能已恢复正常',
+            indexedDB: '使用高级存储，功能正常',
+            memory: '使用临时存储，刷新页面后记录将丢失',
+            temporary: '注意：当前使用临时存储，关闭浏览器后记录将丢失',
+            recovered: '记录存储功能已恢复正常',
+            errors: {
+                cookieUnsupported: '浏览器不支持Cookie，答题记录将无法保存',
+                serializeFailed: '记录数据格式异常，无法保存',
+                tooLarge: '记录数据过多，请手动清理历史记录',
+                cookieWriteFailed: 'Cookie写入失败，可能是浏览器限制',
+                cookieVerifyFailed: 'Cookie保存验证失败，数据可能未正确保存',
+                storageFailed: '存储系统出现异常，记录功能暂时不可用',
+                indexedDBWriteFailed: '记录数据库写入失败，本次记录可能未保存',
+                unknown: '存储错误: {error}'
+            },
+            failed: {
+                title: '存储功能完全不可用',
+                description: '所有答题记录将无法保存，但您仍可以正常练习',
+                dismiss: '我知道了',
+                reload: '刷新页面重试'
+            }
+        },
+        export: {
+            empty: '当前没有记录可以导出',
+            done: { other: '已导出 {count} 条记录到文件' },
+            failed: '导出失败，请稍后重试'
+        }
+    },
+
+    timer: {
+        recovered: '计时功能已恢复正常',
+        errors: {
+            noClock: '系统时间功能不可用',
+            updateFailed: '计时器更新异常',
+            intervalFailed: '定时器创建失败',
+            startFailed: '计时器启动失败',
+            stopFailed: '计时器停止异常',
+            short: '计时错误',
+            message: '计时功能异常: {reason}'
+        }
+    },
+
+    accessibility: {
+        skipLink: '跳转到主要内容',
+        selectLevel: '选择{level}星难度',
+        hoursInput: '输入小时',
+        minutesInput: '输入分钟',
+        secondsInput: '输入秒数',
+        timer: '答题计时器'
+    },
+
+    profile: {
+        switchTitle: '切换学习者',
+        pickerTitle: '今天是谁在练习？',
+        add: '添加小朋友',
+        namePlaceholder: '输入名字',
+        nameLabel: '名字',
+        avatarLabel: '选择头像',
+        create: '添加并开始练习',
+        defaultName: '小朋友',
+        switchLabel: '当前学习者：{name}，点击切换',
+        activeLabel: '{name}（当前）',
+        deleteLabel: '删除{name}的档案',
+        confirmDelete: '确定要删除"{name}"的档案吗？该档案的设置和全部答题记录都会被删除，此操作不可撤销。',
+        errors: {
+            nameRequired: '请输入名字',
+            nameTooLong: { other: '名字不能超过{count}个字' },
+            tooMany: { other: '最多只能创建{count}个档案' },
+            duplicateName: '已经有同名的档案了',
+            deleteFailed: '无法删除该档案'
+        }
+    },
+
+    worksheet: {
+        title: '认识钟表练习纸 · {type}',
+        answerTitle: '{title} · 答案',
+        studentName: '姓名：',
+        date: '日期：',
+        score: '得分：',
+        clockFace: '钟面',
+        blankFace: '空白钟面',
+        drawTarget: '请画出 {time}',
+        units: {
+            hours: '时',
+            minutes: '分',
+            seconds: '秒'
+        },
+        print: '🖨️ 打印'
+    },
+
+    testReport: {
+        title: '📝 测验成绩单',
+        questions: '每题情况',
+        columns: {
+            number: '题号',
+            difficulty: '难度',
+            correct: '正确答案',
+            user: '你的答案',
+            time: '用时',
+            result: '结果'
+        },
+        mistakes: '错题解析',
+        done: '返回练习',
+        endReasons: {
+            timeUp: '⏰ 时间到！没来得及做的题目按答错计算',
+            stopped: '✋ 已提前交卷，没做的题目按答错计算',
+            completed: '🎉 全部题目都完成了'
+        },
+        summary: {
+            scoreUnit: '分',
+            correct: '答对 {correct} / {total} 题',
+            elapsed: '总用时 {time}',
+            timeLimit: '（限时 {time}）',
+            averageTime: '平均每题 {time}',
+            byLevel: '各星级：{levels}',
+            levelStats: '{level} {correct}/{total}'
+        },
+        unanswered: '未作答',
+        noMistakes: '没有错题，真棒！',
+        mistakeTitle: '第{number}题：{time}，你的答案 {answer}',
+        mistakeTitleUnanswered: '第{number}题：{time}（未作答）'
+    },
+
+    dashboard: {
+        open: '📈 学习报告',
+        title: '📈 学习报告',
+        period: '统计周期',
+        periods: {
+            day: '按天（最近14天）',
+            week: '按周（最近12周）'
+        },
+        empty: '还没有答题记录，练习几题后再来看看吧',
+        accuracyTitle: '正确率',
+        accuracyPoint: '{period}：正确率 {rate}%（{correct}/{count}题），不用提示答对 {unaidedRate}%',
+        accuracyLegend: '正确率',
+        unaidedLegend: '不用提示答对',
+        timeTitle: '平均耗时',
+        timePoint: '{period}：平均 {seconds}（{count}题）',
+        masteryTitle: '各星级掌握程度',
+        masteryHint: '至少答过10题、不用提示答对90%以上才算已掌握',
+        masteryUnaided: '独立答对{count}题',
+        mastery: {
+            mastered: '已掌握',
+            learning: '正在进步',
+            needsPractice: '需要多练',
+            notStarted: '还没练过'
+        },
+        heatmapTitle: '钟面时间正确率',
+        heatmapHint: '每行是时针指的小时，每列是分针所在的5分钟区间；越绿正确率越高，越红越需要多练，灰色表示还没练过',
+        heatCell: '{range}：正确率 {rate}%（{correct}/{count}题）',
+        heatCellEmpty: '{range}：还没练过',
+        streaksTitle: '连续记录',
+        streaks: {
+            days: { other: '已连续练习 {count} 天（最长 {longest} 天）' },
+            correct: { other: '当前连续答对 {count} 题（最长 {longest} 题）' },
+            run: { other: '连续答对 {count} 题（{date}）' }
+        }
+    }
+});
@@ -0,0 +1,258 @@
+/**
+ * 日志管理器类
+ * 替代各模块直接调用console：日志分级别（debug、info、warn、error），按频道（renderer、records、timer、difficulty、app）输出，
+ * 默认只输出警告和错误，避免每秒走动、每次绘制都刷屏。
+ * 级别可以在设置面板切换（保存在本地存储），也可以用URL参数临时指定：
+ * ?log=debug 所有频道输出调试日志；?log=warn,renderer:debug 只让renderer频道输出调试日志。
+ * 最近的日志保存在内存环形缓冲区中，可以下载为文本文件附在问题反馈里
+ */
+class Logger {
+    constructor() {
+        this.storageKey = 'clockLearningLogLevel';
+        this.urlParameter = 'log';
+        this.levels = ['debug', 'info', 'warn', 'error', 'silent']; // 从低到高，silent表示不输出
+        this.defaultLevel = 'warn'; // 默认安静，只输出警告和错误
+        this.bufferLevel = 'info'; // 缓冲区至少保存这个级别的日志（不受控制台级别影响）
+        this.bufferSize = 500; // 缓冲区最多保存的日志条数
+        this.maxMessageLength = 1000; // 每条日志保存的最大字符数
+
+        this.entries = []; // 环形缓冲区
+        this.channelLevels = {}; // 单独指定级别的频道（来自URL参数）
+        this.channelLoggers = {};
+        this.urlOverride = false; // 级别是否由URL参数指定
+        this.level = this.loadLevel();
+        this.applyUrlParameter();
+    }
+
+    /**
+     * 获取共享的日志管理器（各模块写入同一个缓冲区）
+     * @returns {Logger} 日志管理器
+     */
+    static getInstance() {
+        if (!Logger.instance) {
+            Logger.instance = new Logger();
+        }
+        return Logger.instance;
+    }
+
+    /**
+     * 获取某个频道的日志函数
+     * @param {string} name - 频道名，如renderer、records
+     * @returns {Object} {debug, info, warn, error}，参数和console的同名方法相同
+     */
+    channel(name) {
+        if (!this.channelLoggers[name]) {
+            this.channelLoggers[name] = {
+                debug: (...args) => this.write('debug', name, args),
+                info: (...args) => this.write('info', name, args),
+                warn: (...args) => this.write('warn', name, args),
+                error: (...args) => this.write('error', name, args)
+            };
+        }
+        return this.channelLoggers[name];
+    }
+
+    /**
+     * 级别是否有效
+     * @param {string} level - 级别
+     * @returns {boolean} 是否有效
+     */
+    isValidLevel(level) {
+        return this.levels.includes(level);
+    }
+
+    /**
+     * 从本地存储加载日志级别
+     * @returns {string} 日志级别
+     */
+    loadLevel() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved && this.isValidLevel(saved)) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('加载日志级别失败:', error);
+        }
+        return this.defaultLevel;
+    }
+
+    /**
+     * 读取URL参数中的日志级别（只在本次打开页面时有效，不保存）
+     * @param {string|null} search - URL查询字符串（默认location.search）
+     */
+    applyUrlParameter(search = null) {
+        let value = null;
+        try {
+            const query = search !== null ? search : (typeof location !== 'undefined' ? location.search : '');
+            value = new URLSearchParams(query).get(this.urlParameter);
+        } catch (error) {
+            console.warn('读取日志URL参数失败:', error);
+        }
+        if (!value) {
+            return;
+        }
+
+        value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [first, second] = part.split(':');
+            if (second === undefined && this.isValidLevel(first)) {
+                this.level = first;
+                this.urlOverride = true;
+            } else if (second !== undefined && first && this.isValidLevel(second)) {
+                this.channelLevels[first] = second;
+                this.urlOverride = true;
+            } else {
+                console.warn('无效的日志URL参数:', part);
+            }
+        });
+    }
+
+    /**
+     * 获取当前日志级别
+     * @returns {string} 日志级别
+     */
+    getLevel() {
+        return this.level;
+    }
+
+    /**
+     * 设置日志级别，保存设置（清除URL参数对单个频道指定的级别）
+     * @param {string} level - 日志级别
+     * @returns {boolean} 是否设置成功
+     */
+    setLevel(level) {
+        if (!this.isValidLevel(level)) {
+            console.warn('无效的日志级别:', level);
+            return false;
+        }
+
+        this.level = level;
+        this.channelLevels = {};
+        this.urlOverride = false;
+        try {
+            localStorage.setItem(this.storageKey, level);
+        } catch (error) {
+            console.error('保存日志级别失败:', error);
+        }
+        return true;
+    }
+
+    /**
+     * 级别是否由URL参数指定
+     * @returns {boolean} 是否由URL参数指定
+     */
+    isUrlOverride() {
+        return this.urlOverride;
+    }
+
+    /**
+     * 某个频道的某个级别是否输出到控制台
+     * @param {string} level - 日志级别
+     * @param {string} channel - 频道名
+     * @returns {boolean} 是否输出
+     */
+    isEnabled(level, channel = 'app') {
+        const threshold = this.channelLevels[channel] || this.level;
+        return this.levels.indexOf(level) >= this.levels.indexOf(threshold);
+    }
+
+    /**
+     * 写一条日志：需要时输出到控制台，并保存到缓冲区
+     * @param {string} level - 日志级别
+     * @param {string} channel - 频道名
+     * @param {Array} args - 日志参数
+     */
+    write(level, channel, args) {
+        const enabled = this.isEnabled(level, channel);
+        if (enabled) {
+            const method = level === 'debug' ? 'log' : level;
+            console[method](`[${channel}]`, ...args);
+        }
+
+        // 调试日志只在开启时保存，避免每秒走动的日志挤掉有用的记录
+        if (enabled || this.levels.indexOf(level) >= this.levels.indexOf(this.bufferLevel)) {
+            this.entries.push({
+                time: new Date(),
+                level: level,
+                channel: channel,
+                message: this.formatArgs(args)
+            });
+            if (this.entries.length > this.bufferSize) {
+                this.entries.splice(0, this.entries.length - this.bufferSize);
+            }
+        }
+    }
+
+    /**
+     * 把日志参数转换为一行文字
+     * @param {Array} args - 日志参数
+     * @returns {string} 文字
+     */
+    formatArgs(args) {
+        const message = args.map(arg => {
+            if (typeof arg === 'string') {
+                return arg;
+            }
+            // 其他窗口（如iframe）抛出的错误不是本页Error的实例，按有没有message判断
+            if (arg instanceof Error || (arg && typeof arg.message === 'string' && typeof arg.name === 'string')) {
+                return arg.stack || `${arg.name}: ${arg.message}`;
+            }
+            if (arg && typeof arg === 'object') {
+                try {
+                    return JSON.stringify(arg);
+                } catch (error) {
+                    return String(arg); // 循环引用等无法序列化的对象
+                }
+            }
+            return String(arg);
+        }).join(' ');
+        return message.length > this.maxMessageLength ? `${message.slice(0, this.maxMessageLength)}…` : message;
+    }
+
+    /**
+     * 获取缓冲区中的日志
+     * @returns {Array<Object>} [{time, level, channel, message}]，从旧到新
+     */
+    getEntries() {
+        return this.entries.slice();
+    }
+
+    /**
+     * 清空缓冲区
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * 把缓冲区导出为文本（每条一行，开头是页面信息）
+     * @returns {string} 文本
+     */
+    exportText() {
+        const header = [
+            `# 时钟练习日志 ${new Date().toISOString()}`,
+            `# 日志级别: ${this.level}${this.urlOverride ? ' (URL)' : ''}`,
+            typeof navigator !== 'undefined' ? `# ${navigator.userAgent}` : ''
+        ].filter(Boolean);
+        const lines = this.entries.map(entry =>
+            `${entry.time.toISOString()} ${entry.level.toUpperCase().padEnd(5)} [${entry.channel}] ${entry.message}`);
+        return header.concat(lines).join('\n') + '\n';
+    }
+
+    /**
+     * 下载缓冲区中的日志文本文件
+     */
+    download() {
+        const blob = new Blob([this.exportText()], { type: 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `clock-log-${new Date().toISOString().slice(0, 10)}.txt`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+Logger.instance = null;
@@ -5,6 +5,7 @@
 
 // 等待DOM加载完成
 document.addEventListener('DOMContentLoaded', function() {
+    const logger = Logger.getInstance().channel('app');
     try {
         // 初始化性能优化器
         const performanceOptimizer = new PerformanceOptimizer();
@@ -30,15 +31,17 @@ document.addEventListener('DOMContentLoaded', function() {
         window.clockRenderer = app.clockRenderer;
         window.accessibilityManager = accessibilityManager;
         window.performanceOptimizer = performanceOptimizer;
+        window.logger = Logger.getInstance();
         
 
         
         // 添加cookie测试功能
         window.testCookieStorage = function() {
             const recordManager = appController.recordManager;
-            console.log('=== Cookie存储测试 ===');
-            console.log('当前记录数量:', recordManager.records.length);
-            console.log('存储类型:', recordManager.storageType);
+            const recordsLogger = Logger.getInstance().channel('records');
+            recordsLogger.debug('=== Cookie存储测试 ===');
+            recordsLogger.debug('当前记录数量:', recordManager.records.length);
+            recordsLogger.debug('存储类型:', recordManager.storageType);
             
             // 测试保存一条记录
             const testRecord = {
@@ -53,14 +56,14 @@ document.addEventListener('DOMContentLoaded', function() {
             };
             
             const saveResult = recordManager.saveRecord(testRecord);
-            console.log('保存测试记录结果:', saveResult);
-            console.log('保存后记录数量:', recordManager.records.length);
+            recordsLogger.debug('保存测试记录结果:', saveResult);
+            recordsLogger.debug('保存后记录数量:', recordManager.records.length);
             
             // 检查cookie
             const cookieValue = recordManager.getCookie(recordManager.cookieName);
-            console.log('Cookie存在:', !!cookieValue);
+            recordsLogger.debug('Cookie存在:', !!cookieValue);
             if (cookieValue) {
-                console.log('Cookie长度:', cookieValue.length);
+                recordsLogger.debug('Cookie长度:', cookieValue.length);
             }
             
             return {
@@ -73,13 +76,13 @@ document.addEventListener('DOMContentLoaded', function() {
         
 
         
-        console.log('时钟练习应用启动成功');
-        console.log('性能优化和调试功能已启用');
+        logger.info('时钟练习应用启动成功');
+        logger.debug('性能优化和调试功能已启用');
         
 
         
     } catch (error) {
-        console.error('应用启动失败:', error);
+        logger.error('应用启动失败:', error);
         
         // 显示错误信息给用户
         const errorMessage = document.createElement('div');
@@ -96,7 +99,7 @@ document.addEventListener('DOMContentLoaded', function() {
             z-index: 1000;
             font-family: Arial, sans-serif;
         `;
-        errorMessage.textContent = '应用启动失败，请刷新页面重试';
+        errorMessage.textContent = I18nManager.getInstance().t('app.messages.startFailed');
         document.body.appendChild(errorMessage);
         
         // 5秒后自动隐藏错误信息
@@ -108,9 +111,18 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+// 未捕获的错误也写入日志缓冲区，下载日志时可以看到
+window.addEventListener('error', function(event) {
+    Logger.getInstance().channel('app').error('未捕获的错误:', event.error || event.message);
+});
+window.addEventListener('unhandledrejection', function(event) {
+    Logger.getInstance().channel('app').error('未处理的Promise拒绝:', event.reason);
+});
+
 // 处理页面卸载时的清理工作
 window.addEventListener('beforeunload', function() {
-    console.log('🧹 页面即将关闭，开始清理所有资源...');
+    const logger = Logger.getInstance().channel('app');
+    logger.debug('🧹 页面即将关闭，开始清理所有资源...');
     
     // 使用数组来管理清理任务，确保即使某个清理失败也不影响其他清理
     const cleanupTasks = [
@@ -144,15 +156,15 @@ window.addEventListener('beforeunload', function() {
         try {
             if (task.obj && typeof task.obj[task.method] === 'function') {
                 task.obj[task.method]();
-                console.log(`✅ ${task.name}已清理`);
+                logger.debug(`✅ ${task.name}已清理`);
                 successCount++;
             } else if (task.obj) {
-                console.log(`⚠️ ${task.name}没有${task.method}方法`);
+                logger.debug(`⚠️ ${task.name}没有${task.method}方法`);
             } else {
-                console.log(`ℹ️ ${task.name}未初始化，跳过清理`);
+                logger.debug(`ℹ️ ${task.name}未初始化，跳过清理`);
             }
         } catch (error) {
-            console.error(`❌ 清理${task.name}时出错:`, error);
+            logger.error(`❌ 清理${task.name}时出错:`, error);
             failureCount++;
             
             // 尝试基本的状态重置
@@ -161,24 +173,25 @@ window.addEventListener('beforeunload', function() {
                     // 如果是时钟渲染器，尝试停止关键功能
                     if (task.name === '时钟渲染器' && typeof task.obj.stopAutoTick === 'function') {
                         task.obj.stopAutoTick();
-                        console.log(`✅ ${task.name}的关键功能已停止`);
+                        logger.debug(`✅ ${task.name}的关键功能已停止`);
                     }
                 }
             } catch (resetError) {
-                console.error(`❌ 重置${task.name}状态也失败:`, resetError);
+                logger.error(`❌ 重置${task.name}状态也失败:`, resetError);
             }
         }
     });
     
-    console.log(`🧹 资源清理完成: 成功 ${successCount} 个，失败 ${failureCount} 个`);
-    console.log('🚪 应用即将关闭');
+    logger.debug(`🧹 资源清理完成: 成功 ${successCount} 个，失败 ${failureCount} 个`);
+    logger.debug('🚪 应用即将关闭');
 });
 
 // 处理页面可见性变化
 document.addEventListener('visibilitychange', function() {
+    const logger = Logger.getInstance().channel('app');
     if (document.hidden) {
-        console.log('页面已隐藏');
+        logger.debug('页面已隐藏');
     } else {
-        console.log('页面已显示');
+        logger.debug('页面已显示');
     }
 });
\ No newline at end of file
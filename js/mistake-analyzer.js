@@ -0,0 +1,302 @@
+/**
+ * 错误模式分析器类
+ * 对答题历史中的每道错题归类（小时差一、分针数字当分钟、时针分针看反等），
+ * 统计孩子最薄弱的错误类型，供出题加权和记录面板的"最常犯的错误"卡片使用
+ */
+class MistakeAnalyzer {
+    constructor(recordManager) {
+        if (!recordManager) {
+            throw new Error('RecordManager 是必需的参数');
+        }
+        this.logger = Logger.getInstance().channel('records');
+        this.recordManager = recordManager;
+
+        this.categories = ['hourOffByOne', 'hourMisread', 'minuteAsNumeral', 'swappedHands', 'mirrored', 'secondsMisread', 'minuteMiscount', 'meridiemMixup', 'nearMiss', 'other'];
+        this.minMistakes = 3; // 至少有3道错题才按薄弱类型加权出题
+        this.targetRatio = 0.4; // 按薄弱类型出题的比例
+        this.i18n = I18nManager.getInstance(); // 各错误类型的练习提示在消息目录的mistake.tips下
+
+        this.lastAnalysis = null;
+    }
+
+    /**
+     * 统一小时为0-11，便于比较（12点和0点相同）
+     * @param {number} hours - 小时
+     * @returns {number} 0-11的小时
+     */
+    normalizeHour(hours) {
+        return ((Number(hours) % 12) + 12) % 12;
+    }
+
+    /**
+     * 对一条答题记录的错误归类
+     * @param {Object} record - 答题记录
+     * @returns {string|null} 错误类型，答对或无法判断时返回null
+     */
+    classifyRecord(record) {
+        if (!record || record.isCorrect || !record.userAnswer || !record.correctAnswer) {
+            return null;
+        }
+
+        // 经过时间题考的是数时间，不是读钟面，不归类
+        if (record.elapsed) {
+            return null;
+        }
+
+        // 选择题已经知道选中的干扰项类型（前半小时的小时差一选项不是"过了半点读成下一小时"，单独归类）
+        if (record.distractorType) {
+            if (record.distractorType === 'hourOffByOne' && (Number(record.correctAnswer.minutes) || 0) < 30) {
+                return 'hourMisread';
+            }
+            return record.distractorType;
+        }
+
+        return this.classifyAnswer(record.userAnswer, record.correctAnswer);
+    }
+
+    /**
+     * 比较孩子的答案和正确答案，判断错误类型
+     * @param {Object} userAnswer - 孩子的答案
+     * @param {Object} correctAnswer - 正确答案
+     * @returns {string|null} 错误类型，答案正确时返回null
+     */
+    classifyAnswer(userAnswer, correctAnswer) {
+        const correctHour = this.normalizeHour(correctAnswer.hours);
+        const userHour = this.normalizeHour(userAnswer.hours);
+        const correctMinutes = Number(correctAnswer.minutes) || 0;
+        const userMinutes = Number(userAnswer.minutes) || 0;
+        const correctSeconds = Number(correctAnswer.seconds) || 0;
+        const userSeconds = Number(userAnswer.seconds) || 0;
+
+        const hourMatches = userHour === correctHour;
+        const minuteMatches = userMinutes === correctMinutes;
+        const secondMatches = userSeconds === correctSeconds;
+
+        if (hourMatches && minuteMatches && secondMatches) {
+            // 上午/下午情境题：钟面读对了，但上午下午弄反
+            if (correctAnswer.meridiem && userAnswer.meridiem !== correctAnswer.meridiem) {
+                return 'meridiemMixup';
+            }
+            return null;
+        }
+
+        // 1. 时针分针看反：分针指向的数字当小时，时针指向的数字乘5当分钟
+        if (userHour === Math.round(correctMinutes / 5) % 12 && userMinutes === correctHour * 5) {
+            return 'swappedHands';
+        }
+
+        // 2. 分针数字当分钟，例如35分读成7分
+        if (hourMatches && correctMinutes % 5 === 0 && correctMinutes !== 0 && userMinutes === correctMinutes / 5) {
+            return 'minuteAsNumeral';
+        }
+
+        // 3. 小时差一：过了半点时针靠近下一个数字，读成了相邻的小时；前半小时读错相邻数字另外归类
+        const hourDiff = Math.abs(userHour - correctHour);
+        if (minuteMatches && secondMatches && (hourDiff === 1 || hourDiff === 11)) {
+            return correctMinutes >= 30 ? 'hourOffByOne' : 'hourMisread';
+        }
+
+        // 4. 钟面左右看反
+        const mirroredMinutes = (60 - correctMinutes) % 60;
+        const mirroredHour = this.normalizeHour(12 - correctHour - (correctMinutes > 0 ? 1 : 0));
+        if (userHour === mirroredHour && userMinutes === mirroredMinutes) {
+            return 'mirrored';
+        }
+
+        // 5. 时分正确，秒读错
+        if (hourMatches && minuteMatches) {
+            return 'secondsMisread';
+        }
+
+        // 6. 小时正确，分钟数错了几个小格
+        const minuteDiff = Math.abs(userMinutes - correctMinutes);
+        if (hourMatches && Math.min(minuteDiff, 60 - minuteDiff) <= 5) {
+            return 'minuteMiscount';
+        }
+
+        return 'other';
+    }
+
+    /**
+     * 分析全部答题历史中的错题
+     * @returns {Promise<Object>} 分析结果 {totalIncorrect, categories, analyzedAt}
+     */
+    async analyze() {
+        try {
+            const incorrectRecords = await this.recordManager.filterRecords({ isCorrect: false });
+            const categoryStats = {};
+
+            incorrectRecords.forEach(record => {
+                const type = this.classifyRecord(record);
+                if (!type) {
+                    return;
+                }
+
+                if (!categoryStats[type]) {
+                    categoryStats[type] = {
+                        type: type,
+                        name: this.getCategoryName(type),
+                        count: 0,
+                        percentage: 0,
+                        // 记录按时间倒序，第一条即最近的例子
+                        example: {
+                            correctAnswer: { ...record.correctAnswer },
+                            userAnswer: { ...record.userAnswer }
+                        }
+                    };
+                }
+                categoryStats[type].count++;
+            });
+
+            const totalIncorrect = Object.values(categoryStats).reduce((sum, stats) => sum + stats.count, 0);
+            const categories = Object.values(categoryStats)
+                .map(stats => ({
+                    ...stats,
+                    percentage: Math.round((stats.count / totalIncorrect) * 100)
+                }))
+                .sort((a, b) => b.count - a.count);
+
+            this.lastAnalysis = {
+                totalIncorrect,
+                categories,
+                analyzedAt: new Date()
+            };
+
+            this.logger.debug('🔍 错误模式分析完成:', categories.map(stats => `${stats.name}×${stats.count}`).join('，') || '暂无错题');
+            return this.lastAnalysis;
+        } catch (error) {
+            this.logger.error('分析错误模式失败:', error);
+            return { totalIncorrect: 0, categories: [], analyzedAt: new Date() };
+        }
+    }
+
+    /**
+     * 获取最常犯的错误（基于最近一次分析），用于记录面板卡片
+     * @param {number} limit - 返回数量
+     * @returns {Array<Object>} 错误类型统计数组，包含tip练习提示
+     */
+    getMostCommonMistakes(limit = 3) {
+        if (!this.lastAnalysis) {
+            return [];
+        }
+
+        return this.lastAnalysis.categories
+            .filter(stats => stats.type !== 'other')
+            .slice(0, limit)
+            .map(stats => ({
+                ...stats,
+                tip: this.getCategoryTip(stats.type)
+            }));
+    }
+
+    /**
+     * 获取错误类型名称
+     * @param {string} type - 错误类型
+     * @returns {string} 错误类型名称
+     */
+    getCategoryName(type) {
+        return this.recordManager.getMistakeTypeName(type);
+    }
+
+    /**
+     * 获取错误类型的练习提示
+     * @param {string} type - 错误类型
+     * @returns {string} 练习提示
+     */
+    getCategoryTip(type) {
+        const key = `mistake.tips.${type}`;
+        return this.i18n.t(this.i18n.has(key) ? key : 'mistake.tips.other');
+    }
+
+    /**
+     * 判断当前难度下能否出针对该错误类型的题目
+     * @param {string} type - 错误类型
+     * @param {Object} timeConfig - 难度的时间配置
+     * @returns {boolean} 是否可行
+     */
+    isCategoryFeasible(type, timeConfig) {
+        const interval = timeConfig && timeConfig.minuteInterval ? timeConfig.minuteInterval : 1;
+        const hasRandomSeconds = !!timeConfig && timeConfig.includeSeconds &&
+            (timeConfig.secondsFixed === undefined || timeConfig.secondsFixed === null);
+
+        switch (type) {
+            case 'hourOffByOne':
+            case 'minuteAsNumeral':
+            case 'swappedHands':
+                return interval <= 30;
+            case 'hourMisread':
+                return true;
+            case 'mirrored':
+                return interval <= 5;
+            case 'minuteMiscount':
+            case 'nearMiss':
+                return interval === 1;
+            case 'secondsMisread':
+                return hasRandomSeconds;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * 判断一个时间是否能练到该错误类型
+     * @param {Object} time - 时间对象
+     * @param {string} type - 错误类型
+     * @returns {boolean} 是否能练到
+     */
+    exercisesCategory(time, type) {
+        const { minutes, seconds } = time;
+
+        switch (type) {
+            case 'hourOffByOne':
+                // 过了半点，时针明显靠近下一个数字
+                return minutes >= 30;
+            case 'hourMisread':
+                // 前半小时，时针刚走过一个数字
+                return minutes < 30;
+            case 'minuteAsNumeral':
+                return minutes % 5 === 0 && minutes !== 0;
+            case 'swappedHands':
+                return minutes !== 0;
+            case 'mirrored':
+                return minutes % 30 !== 0;
+            case 'minuteMiscount':
+            case 'nearMiss':
+                return minutes % 5 !== 0;
+            case 'secondsMisread':
+                return seconds % 5 !== 0;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * 按错误次数加权随机选择一个要针对练习的错误类型
+     * @param {Object} timeConfig - 当前难度的时间配置
+     * @returns {string|null} 错误类型，本题不针对练习时为null
+     */
+    pickTargetCategory(timeConfig) {
+        if (!this.lastAnalysis || this.lastAnalysis.totalIncorrect < this.minMistakes) {
+            return null;
+        }
+        if (Math.random() >= this.targetRatio) {
+            return null;
+        }
+
+        const candidates = this.lastAnalysis.categories
+            .filter(stats => this.isCategoryFeasible(stats.type, timeConfig));
+        const totalWeight = candidates.reduce((sum, stats) => sum + stats.count, 0);
+        if (totalWeight === 0) {
+            return null;
+        }
+
+        let random = Math.random() * totalWeight;
+        for (const stats of candidates) {
+            random -= stats.count;
+            if (random < 0) {
+                return stats.type;
+            }
+        }
+        return candidates[candidates.length - 1].type;
+    }
+}
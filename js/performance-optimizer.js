@@ -4,6 +4,7 @@
  */
 class PerformanceOptimizer {
     constructor() {
+        this.logger = Logger.getInstance().channel('renderer');
         this.renderCache = new Map();
         this.domUpdateQueue = [];
         this.isUpdating = false;
@@ -34,7 +35,7 @@ class PerformanceOptimizer {
         // 启用渲染缓存
         this.enableRenderCaching();
         
-        console.log('性能优化器初始化完成');
+        this.logger.debug('性能优化器初始化完成');
     }
 
     /**
@@ -60,7 +61,7 @@ class PerformanceOptimizer {
                 return;
             }
             
-            console.log(`🎨 [DEBUG] 直接渲染 - 时间: ${time.hours}:${time.minutes}:${time.seconds || 0}, 参考线: ${clockRenderer.showGuideLines}`);
+            this.logger.debug(`🎨 [DEBUG] 直接渲染 - 时间: ${time.hours}:${time.minutes}:${time.seconds || 0}, 参考线: ${clockRenderer.showGuideLines}`);
             
             // 直接执行渲染，不使用缓存
             originalRender(time, showGuideLines);
@@ -73,7 +74,7 @@ class PerformanceOptimizer {
 
         // 暂时禁用表盘缓存，直接调用原始方法
         clockRenderer.drawClockFace = () => {
-            console.log('🎯 [DEBUG] 直接绘制表盘，不使用缓存');
+            this.logger.debug('🎯 [DEBUG] 直接绘制表盘，不使用缓存');
             originalDrawClockFace();
         };
 
@@ -81,24 +82,24 @@ class PerformanceOptimizer {
         clockRenderer.drawGuideLines = (time) => {
             // 检查是否应该显示参考线
             if (!clockRenderer.showGuideLines) {
-                console.log('🚫 [DEBUG] 参考线已禁用，跳过绘制');
+                this.logger.debug('🚫 [DEBUG] 参考线已禁用，跳过绘制');
                 return;
             }
             
-            console.log('📏 [DEBUG] 开始绘制优化参考线...');
+            this.logger.debug('📏 [DEBUG] 开始绘制优化参考线...');
             // 使用更高效的绘制方法
             this.drawOptimizedGuideLines(clockRenderer, time);
-            console.log('✅ [DEBUG] 优化参考线绘制完成');
+            this.logger.debug('✅ [DEBUG] 优化参考线绘制完成');
         };
 
-        console.log('时钟渲染器性能优化完成');
+        this.logger.debug('时钟渲染器性能优化完成');
     }
 
     /**
      * 生成渲染缓存键
      */
     generateRenderCacheKey(time, showGuideLines) {
-        console.log(`🔑 [DEBUG] 生成缓存键: 时间=${time.hours}:${time.minutes}:${time.seconds || 0}, 参考线=${showGuideLines}`);
+        this.logger.debug(`🔑 [DEBUG] 生成缓存键: 时间=${time.hours}:${time.minutes}:${time.seconds || 0}, 参考线=${showGuideLines}`);
         return `${time.hours}-${time.minutes}-${time.seconds || 0}-${showGuideLines}`;
     }
 
@@ -125,7 +126,7 @@ class PerformanceOptimizer {
             
             this.renderCache.set(cacheKey, cacheCanvas);
         } catch (error) {
-            console.warn('缓存渲染结果失败:', error);
+            this.logger.warn('缓存渲染结果失败:', error);
         }
     }
 
@@ -142,7 +143,7 @@ class PerformanceOptimizer {
                 clockRenderer.ctx.drawImage(cachedCanvas, 0, 0);
             }
         } catch (error) {
-            console.warn('从缓存恢复失败:', error);
+            this.logger.warn('从缓存恢复失败:', error);
             this.renderCache.delete(cacheKey);
         }
     }
@@ -239,7 +240,7 @@ class PerformanceOptimizer {
                 updateFunction();
                 this.performanceMetrics.domUpdateCount++;
             } catch (error) {
-                console.warn('DOM更新失败:', error);
+                this.logger.warn('DOM更新失败:', error);
             }
         }
         
@@ -247,7 +248,7 @@ class PerformanceOptimizer {
         
         const updateTime = performance.now() - startTime;
         if (updateTime > 16) {
-            console.warn(`DOM批量更新耗时过长: ${updateTime.toFixed(2)}ms`);
+            this.logger.warn(`DOM批量更新耗时过长: ${updateTime.toFixed(2)}ms`);
         }
     }
 
@@ -289,7 +290,7 @@ class PerformanceOptimizer {
             if (this.renderCache.size > 30) {
                 const keysToDelete = Array.from(this.renderCache.keys()).slice(0, 10);
                 keysToDelete.forEach(key => this.renderCache.delete(key));
-                console.log(`清理了 ${keysToDelete.length} 个渲染缓存`);
+                this.logger.debug(`清理了 ${keysToDelete.length} 个渲染缓存`);
             }
         }, 30000); // 每30秒清理一次
     }
@@ -306,7 +307,7 @@ class PerformanceOptimizer {
         
         // 警告慢渲染
         if (renderTime > 16) {
-            console.warn(`渲染耗时过长: ${renderTime.toFixed(2)}ms`);
+            this.logger.warn(`渲染耗时过长: ${renderTime.toFixed(2)}ms`);
         }
     }
 
@@ -334,7 +335,7 @@ class PerformanceOptimizer {
             };
         }
 
-        console.log('应用控制器性能优化完成');
+        this.logger.debug('应用控制器性能优化完成');
     }
 
     /**
@@ -354,7 +355,7 @@ class PerformanceOptimizer {
     cleanup() {
         this.renderCache.clear();
         this.domUpdateQueue.length = 0;
-        console.log('性能优化器资源已清理');
+        this.logger.debug('性能优化器资源已清理');
     }
 }
 
@@ -0,0 +1,308 @@
+/**
+ * 学习者档案管理器类
+ * 负责管理同一设备上多个孩子的档案（名字、头像），以及各档案独立的存储键
+ * 默认档案沿用原有的存储键，升级前的配置、难度和记录自动归属默认档案
+ */
+class ProfileManager {
+    constructor() {
+        this.logger = Logger.getInstance().channel('app');
+        this.i18n = I18nManager.getInstance();
+        this.storageKey = 'clockLearningProfiles';
+        this.defaultProfileId = 'default';
+        this.maxProfiles = 12; // 最大档案数量
+        this.maxNameLength = 12; // 名字最大长度
+        this.avatars = ['🐱', '🐶', '🐰', '🦊', '🐼', '🐯', '🦁', '🐸', '🐵', '🐧', '🦄', '🐢'];
+
+        // 各档案独立存储的数据键（默认档案不加后缀）
+        this.profileStorageKeys = ['clockLearningConfig', 'clockLearningDifficulty', 'clockLearningFaceStyle', 'clockLearningRecords', 'sessionClockLearningRecords', 'clockLearningReviewQueue', 'clockLearningTestSessions'];
+        this.profileDatabaseName = 'ClockLearningDB';
+
+        this.profiles = [];
+        this.activeProfileId = this.defaultProfileId;
+        this.useMemoryStorage = false;
+
+        this.loadProfiles();
+    }
+
+    /**
+     * 从本地存储加载档案列表
+     */
+    loadProfiles() {
+        try {
+            const savedData = localStorage.getItem(this.storageKey);
+            if (savedData) {
+                const parsedData = JSON.parse(savedData);
+                if (Array.isArray(parsedData.profiles)) {
+                    this.profiles = parsedData.profiles.filter(profile => this.validateProfile(profile));
+                    this.activeProfileId = parsedData.activeProfileId;
+                }
+            }
+        } catch (error) {
+            this.logger.error('加载学习者档案失败，使用默认档案:', error);
+            this.useMemoryStorage = true;
+        }
+
+        // 确保至少有一个默认档案，且当前档案有效
+        if (!this.profiles.some(profile => profile.id === this.defaultProfileId)) {
+            this.profiles.unshift(this.createDefaultProfile());
+        }
+        if (!this.getProfile(this.activeProfileId)) {
+            this.activeProfileId = this.profiles[0].id;
+        }
+
+        this.logger.debug(`👤 已加载 ${this.profiles.length} 个学习者档案，当前档案:`, this.activeProfileId);
+    }
+
+    /**
+     * 保存档案列表到本地存储
+     * @returns {boolean} 保存是否成功
+     */
+    saveProfiles() {
+        if (this.useMemoryStorage) {
+            return false;
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                profiles: this.profiles,
+                activeProfileId: this.activeProfileId
+            }));
+            return true;
+        } catch (error) {
+            this.logger.error('保存学习者档案失败，本次会话使用内存保存:', error);
+            this.useMemoryStorage = true;
+            return false;
+        }
+    }
+
+    /**
+     * 创建默认档案
+     * @returns {Object} 默认档案对象
+     */
+    createDefaultProfile() {
+        return {
+            id: this.defaultProfileId,
+            name: this.i18n.t('profile.defaultName'),
+            avatar: this.avatars[0],
+            createdAt: new Date().toISOString(),
+            lastUsedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 验证档案格式
+     * @param {Object} profile - 档案对象
+     * @returns {boolean} 档案是否有效
+     */
+    validateProfile(profile) {
+        return !!profile &&
+               typeof profile.id === 'string' && profile.id.length > 0 &&
+               typeof profile.name === 'string' && profile.name.trim().length > 0 &&
+               typeof profile.avatar === 'string';
+    }
+
+    /**
+     * 获取所有档案
+     * @returns {Array<Object>} 档案数组副本
+     */
+    getProfiles() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * 根据ID获取档案
+     * @param {string} profileId - 档案ID
+     * @returns {Object|null} 档案对象
+     */
+    getProfile(profileId) {
+        const profile = this.profiles.find(item => item.id === profileId);
+        return profile ? { ...profile } : null;
+    }
+
+    /**
+     * 获取当前档案
+     * @returns {Object} 当前档案对象
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileId);
+    }
+
+    /**
+     * 启动时是否需要让孩子选择档案
+     * @returns {boolean} 是否有多个档案
+     */
+    shouldShowPicker() {
+        return this.profiles.length > 1;
+    }
+
+    /**
+     * 创建新档案
+     * @param {string} name - 名字
+     * @param {string} avatar - 头像
+     * @returns {Object} 新档案对象
+     */
+    createProfile(name, avatar) {
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (!trimmedName) {
+            throw new Error(this.i18n.t('profile.errors.nameRequired'));
+        }
+        if (trimmedName.length > this.maxNameLength) {
+            throw new Error(this.i18n.t('profile.errors.nameTooLong', { count: this.maxNameLength }));
+        }
+        if (this.profiles.length >= this.maxProfiles) {
+            throw new Error(this.i18n.t('profile.errors.tooMany', { count: this.maxProfiles }));
+        }
+        if (this.profiles.some(profile => profile.name === trimmedName)) {
+            throw new Error(this.i18n.t('profile.errors.duplicateName'));
+        }
+
+        const now = new Date().toISOString();
+        const profile = {
+            id: `profile_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            name: trimmedName,
+            avatar: this.avatars.includes(avatar) ? avatar : this.avatars[this.profiles.length % this.avatars.length],
+            createdAt: now,
+            lastUsedAt: now
+        };
+
+        this.profiles.push(profile);
+        this.saveProfiles();
+        this.logger.debug('👤 已创建学习者档案:', profile);
+
+        this.dispatchProfileEvent('profileCreated', { profile: { ...profile } });
+        return { ...profile };
+    }
+
+    /**
+     * 更新档案的名字或头像
+     * @param {string} profileId - 档案ID
+     * @param {Object} changes - 要修改的字段（name, avatar）
+     * @returns {boolean} 更新是否成功
+     */
+    updateProfile(profileId, changes) {
+        const profile = this.profiles.find(item => item.id === profileId);
+        if (!profile) {
+            this.logger.warn('档案不存在:', profileId);
+            return false;
+        }
+
+        if (changes.name !== undefined) {
+            const trimmedName = String(changes.name).trim();
+            if (!trimmedName || trimmedName.length > this.maxNameLength) {
+                this.logger.warn('档案名字无效:', changes.name);
+                return false;
+            }
+            profile.name = trimmedName;
+        }
+        if (changes.avatar !== undefined && this.avatars.includes(changes.avatar)) {
+            profile.avatar = changes.avatar;
+        }
+
+        this.saveProfiles();
+        this.dispatchProfileEvent('profileUpdated', { profile: { ...profile } });
+        return true;
+    }
+
+    /**
+     * 删除档案及其全部数据（不能删除当前档案和默认档案）
+     * @param {string} profileId - 档案ID
+     * @returns {boolean} 删除是否成功
+     */
+    deleteProfile(profileId) {
+        if (profileId === this.defaultProfileId) {
+            this.logger.warn('默认档案不能删除');
+            return false;
+        }
+        if (profileId === this.activeProfileId) {
+            this.logger.warn('不能删除当前正在使用的档案');
+            return false;
+        }
+
+        const index = this.profiles.findIndex(profile => profile.id === profileId);
+        if (index === -1) {
+            return false;
+        }
+
+        const [removedProfile] = this.profiles.splice(index, 1);
+        this.saveProfiles();
+        this.clearProfileData(profileId);
+
+        this.logger.debug('👤 已删除学习者档案:', removedProfile.name);
+        this.dispatchProfileEvent('profileDeleted', { profile: removedProfile });
+        return true;
+    }
+
+    /**
+     * 切换当前档案
+     * @param {string} profileId - 档案ID
+     * @returns {boolean} 切换是否成功
+     */
+    switchProfile(profileId) {
+        const profile = this.profiles.find(item => item.id === profileId);
+        if (!profile) {
+            this.logger.warn('要切换的档案不存在:', profileId);
+            return false;
+        }
+
+        const previousProfileId = this.activeProfileId;
+        this.activeProfileId = profileId;
+        profile.lastUsedAt = new Date().toISOString();
+        this.saveProfiles();
+
+        this.logger.info(`👤 学习者档案切换: ${previousProfileId} -> ${profileId}`);
+        return true;
+    }
+
+    /**
+     * 获取档案的存储键后缀
+     * @param {string} profileId - 档案ID（可选，默认为当前档案）
+     * @returns {string} 存储键后缀，默认档案为空字符串
+     */
+    getStorageSuffix(profileId = this.activeProfileId) {
+        return profileId === this.defaultProfileId ? '' : `_${profileId}`;
+    }
+
+    /**
+     * 清除档案在各个存储中的数据
+     * @param {string} profileId - 档案ID
+     */
+    clearProfileData(profileId) {
+        const suffix = this.getStorageSuffix(profileId);
+
+        this.profileStorageKeys.forEach(baseKey => {
+            const key = baseKey + suffix;
+            try {
+                localStorage.removeItem(key);
+            } catch (error) {
+                this.logger.warn('清理localStorage档案数据失败:', key, error);
+            }
+            try {
+                sessionStorage.removeItem(key);
+            } catch (error) {
+                this.logger.warn('清理sessionStorage档案数据失败:', key, error);
+            }
+            document.cookie = `${key}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`;
+        });
+
+        try {
+            if (window.indexedDB) {
+                window.indexedDB.deleteDatabase(this.profileDatabaseName + suffix);
+            }
+        } catch (error) {
+            this.logger.warn('删除档案记录数据库失败:', error);
+        }
+    }
+
+    /**
+     * 触发档案相关事件
+     * @param {string} eventName - 事件名称
+     * @param {Object} detail - 事件详情
+     */
+    dispatchProfileEvent(eventName, detail) {
+        try {
+            document.dispatchEvent(new CustomEvent(eventName, { detail }));
+        } catch (error) {
+            this.logger.error('触发档案事件失败:', eventName, error);
+        }
+    }
+}
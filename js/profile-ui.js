@@ -0,0 +1,342 @@
+/**
+ * 学习者档案界面管理器
+ * 负责标题栏的当前档案显示、档案选择弹窗以及新建/删除档案的交互
+ */
+class ProfileUI {
+    constructor(profileManager) {
+        if (!profileManager) {
+            throw new Error('ProfileManager 是必需的参数');
+        }
+        this.logger = Logger.getInstance().channel('app');
+        this.i18n = I18nManager.getInstance();
+        this.profileManager = profileManager;
+        this.selectedAvatar = profileManager.avatars[0];
+        this.lastFocusedElement = null;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.updateCurrentProfileDisplay();
+    }
+
+    /**
+     * 初始化DOM元素引用
+     */
+    initializeElements() {
+        this.switchBtn = document.getElementById('profile-switch-btn');
+        this.currentAvatar = document.getElementById('profile-avatar');
+        this.currentName = document.getElementById('profile-name');
+        this.picker = document.getElementById('profile-picker');
+        this.closeBtn = document.getElementById('profile-picker-close');
+        this.profileList = document.getElementById('profile-list');
+        this.createForm = document.getElementById('profile-create-form');
+        this.nameInput = document.getElementById('profile-name-input');
+        this.avatarOptions = document.getElementById('profile-avatar-options');
+        this.formError = document.getElementById('profile-form-error');
+
+        if (!this.picker || !this.profileList) {
+            this.logger.warn('未找到档案选择弹窗元素，档案切换功能可能无法正常工作');
+        }
+    }
+
+    /**
+     * 绑定事件监听器
+     */
+    bindEvents() {
+        if (this.switchBtn) {
+            this.switchBtn.addEventListener('click', () => this.showPicker());
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.hidePicker());
+        }
+
+        // 点击遮罩关闭弹窗
+        if (this.picker) {
+            this.picker.addEventListener('click', (e) => {
+                if (e.target === this.picker) {
+                    this.hidePicker();
+                }
+            });
+        }
+
+        // 档案卡片的选择和删除（事件委托）
+        if (this.profileList) {
+            this.profileList.addEventListener('click', (e) => {
+                const deleteBtn = e.target.closest('.profile-delete-btn');
+                if (deleteBtn) {
+                    e.stopPropagation();
+                    this.handleDeleteProfile(deleteBtn.dataset.profileId);
+                    return;
+                }
+
+                const card = e.target.closest('.profile-card');
+                if (card) {
+                    this.selectProfile(card.dataset.profileId);
+                }
+            });
+        }
+
+        // 头像选择（事件委托）
+        if (this.avatarOptions) {
+            this.avatarOptions.addEventListener('click', (e) => {
+                const avatarBtn = e.target.closest('.profile-avatar-option');
+                if (avatarBtn) {
+                    this.selectedAvatar = avatarBtn.dataset.avatar;
+                    this.renderAvatarOptions();
+                }
+            });
+        }
+
+        if (this.createForm) {
+            this.createForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleCreateProfile();
+            });
+        }
+
+        // 档案信息变化时同步显示
+        document.addEventListener('profileChanged', () => this.updateCurrentProfileDisplay());
+        document.addEventListener('profileUpdated', () => this.updateCurrentProfileDisplay());
+    }
+
+    /**
+     * 更新标题栏中的当前档案显示
+     */
+    updateCurrentProfileDisplay() {
+        const profile = this.profileManager.getActiveProfile();
+        if (!profile) {
+            return;
+        }
+
+        if (this.currentAvatar) {
+            this.currentAvatar.textContent = profile.avatar;
+        }
+        if (this.currentName) {
+            this.currentName.textContent = profile.name;
+        }
+        if (this.switchBtn) {
+            this.switchBtn.setAttribute('aria-label', this.i18n.t('profile.switchLabel', { name: profile.name }));
+        }
+    }
+
+    /**
+     * 切换语言后更新标题栏和弹窗中的朗读标签
+     */
+    refresh() {
+        this.updateCurrentProfileDisplay();
+        if (this.isPickerVisible()) {
+            this.renderProfileList();
+        }
+    }
+
+    /**
+     * 显示档案选择弹窗
+     */
+    showPicker() {
+        if (!this.picker) {
+            return;
+        }
+
+        this.lastFocusedElement = document.activeElement;
+        this.renderProfileList();
+        this.renderAvatarOptions();
+        this.clearFormError();
+
+        this.picker.setAttribute('aria-hidden', 'false');
+        this.picker.style.display = 'flex';
+
+        // 焦点移到当前档案卡片，便于键盘操作
+        const activeCard = this.profileList.querySelector('.profile-card.active') ||
+                           this.profileList.querySelector('.profile-card');
+        if (activeCard) {
+            activeCard.focus();
+        }
+    }
+
+    /**
+     * 隐藏档案选择弹窗
+     */
+    hidePicker() {
+        if (!this.picker) {
+            return;
+        }
+
+        this.picker.setAttribute('aria-hidden', 'true');
+        this.picker.style.display = 'none';
+
+        if (this.lastFocusedElement && typeof this.lastFocusedElement.focus === 'function') {
+            this.lastFocusedElement.focus();
+        }
+        this.lastFocusedElement = null;
+    }
+
+    /**
+     * 弹窗是否可见
+     * @returns {boolean} 是否可见
+     */
+    isPickerVisible() {
+        return !!this.picker && this.picker.getAttribute('aria-hidden') === 'false';
+    }
+
+    /**
+     * 渲染档案卡片列表
+     */
+    renderProfileList() {
+        if (!this.profileList) {
+            return;
+        }
+
+        const activeProfileId = this.profileManager.activeProfileId;
+        this.profileList.innerHTML = '';
+
+        this.profileManager.getProfiles().forEach(profile => {
+            const isActive = profile.id === activeProfileId;
+            const canDelete = !isActive && profile.id !== this.profileManager.defaultProfileId;
+
+            const card = document.createElement('div');
+            card.className = `profile-card${isActive ? ' active' : ''}`;
+            card.dataset.profileId = profile.id;
+            card.setAttribute('role', 'button');
+            card.setAttribute('tabindex', '0');
+            card.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+            card.setAttribute('aria-label', isActive ? this.i18n.t('profile.activeLabel', { name: profile.name }) : profile.name);
+
+            const avatar = document.createElement('span');
+            avatar.className = 'profile-card-avatar';
+            avatar.textContent = profile.avatar;
+
+            const name = document.createElement('span');
+            name.className = 'profile-card-name';
+            name.textContent = profile.name;
+
+            card.appendChild(avatar);
+            card.appendChild(name);
+
+            if (canDelete) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'profile-delete-btn';
+                deleteBtn.dataset.profileId = profile.id;
+                deleteBtn.setAttribute('aria-label', this.i18n.t('profile.deleteLabel', { name: profile.name }));
+                deleteBtn.textContent = '×';
+                card.appendChild(deleteBtn);
+            }
+
+            // 键盘回车/空格选择档案
+            card.addEventListener('keydown', (e) => {
+                if ((e.key === 'Enter' || e.key === ' ') && e.target === card) {
+                    e.preventDefault();
+                    this.selectProfile(profile.id);
+                }
+            });
+
+            this.profileList.appendChild(card);
+        });
+
+        // 达到上限时隐藏新建表单
+        if (this.createForm) {
+            this.createForm.style.display = this.profileManager.getProfiles().length >= this.profileManager.maxProfiles ? 'none' : '';
+        }
+    }
+
+    /**
+     * 渲染头像选项
+     */
+    renderAvatarOptions() {
+        if (!this.avatarOptions) {
+            return;
+        }
+
+        this.avatarOptions.innerHTML = '';
+        this.profileManager.avatars.forEach(avatar => {
+            const isSelected = avatar === this.selectedAvatar;
+            const avatarBtn = document.createElement('button');
+            avatarBtn.type = 'button';
+            avatarBtn.className = `profile-avatar-option${isSelected ? ' selected' : ''}`;
+            avatarBtn.dataset.avatar = avatar;
+            avatarBtn.setAttribute('role', 'radio');
+            avatarBtn.setAttribute('aria-checked', isSelected ? 'true' : 'false');
+            avatarBtn.textContent = avatar;
+            this.avatarOptions.appendChild(avatarBtn);
+        });
+    }
+
+    /**
+     * 选择档案
+     * @param {string} profileId - 档案ID
+     */
+    selectProfile(profileId) {
+        this.hidePicker();
+
+        if (profileId === this.profileManager.activeProfileId) {
+            return;
+        }
+
+        // 由AppController负责实际切换各组件的数据
+        document.dispatchEvent(new CustomEvent('profileSelected', {
+            detail: { profileId }
+        }));
+    }
+
+    /**
+     * 处理新建档案
+     */
+    handleCreateProfile() {
+        try {
+            const profile = this.profileManager.createProfile(
+                this.nameInput ? this.nameInput.value : '',
+                this.selectedAvatar
+            );
+
+            if (this.nameInput) {
+                this.nameInput.value = '';
+            }
+            this.clearFormError();
+
+            // 新建后直接切换到新档案
+            this.selectProfile(profile.id);
+        } catch (error) {
+            this.showFormError(error.message);
+        }
+    }
+
+    /**
+     * 处理删除档案
+     * @param {string} profileId - 档案ID
+     */
+    handleDeleteProfile(profileId) {
+        const profile = this.profileManager.getProfile(profileId);
+        if (!profile) {
+            return;
+        }
+
+        if (!confirm(this.i18n.t('profile.confirmDelete', { name: profile.name }))) {
+            return;
+        }
+
+        if (this.profileManager.deleteProfile(profileId)) {
+            this.renderProfileList();
+        } else {
+            this.showFormError(this.i18n.t('profile.errors.deleteFailed'));
+        }
+    }
+
+    /**
+     * 显示表单错误
+     * @param {string} message - 错误信息
+     */
+    showFormError(message) {
+        if (this.formError) {
+            this.formError.textContent = message;
+        }
+    }
+
+    /**
+     * 清除表单错误
+     */
+    clearFormError() {
+        if (this.formError) {
+            this.formError.textContent = '';
+        }
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * 学习进度分析器类
+ * 为家长/老师的学习报告汇总答题历史：按天、按周的正确率（区分是否用了提示）和平均耗时，各星级的掌握程度，
+ * 按钟面上的小时和分钟区间统计的正确率热力图，以及连续练习天数和连续答对的记录
+ */
+class ProgressAnalyzer {
+    constructor(recordManager) {
+        if (!recordManager) {
+            throw new Error('RecordManager 是必需的参数');
+        }
+        this.logger = Logger.getInstance().channel('records');
+        this.recordManager = recordManager;
+
+        this.dayCount = 14; // 按天统计最近14天
+        this.weekCount = 12; // 按周统计最近12周
+        this.minuteBucketSize = 5; // 热力图每列的分钟区间（5分钟一格，共12格）
+        this.streakListSize = 3; // 列出最长的几段连续答对
+
+        // 星级掌握程度：至少答过masteryMinSamples题，不用提示的正确率达到masteredAccuracy为已掌握
+        this.masteryMinSamples = 10;
+        this.masteredAccuracy = 90;
+        this.learningAccuracy = 70;
+    }
+
+    /**
+     * 分析全部答题历史
+     * @param {Date} now - 当前时间（默认现在），决定最近几天、几周的范围
+     * @returns {Promise<Object>} {totalRecords, daily, weekly, mastery, heatmap, streaks}
+     */
+    async analyze(now = new Date()) {
+        try {
+            const records = await this.recordManager.filterRecords({});
+
+            const report = {
+                totalRecords: records.length,
+                daily: this.getPeriodSeries(records, 'day', now),
+                weekly: this.getPeriodSeries(records, 'week', now),
+                mastery: this.getMastery(records),
+                heatmap: this.getHeatmap(records),
+                streaks: this.getStreaks(records, now)
+            };
+            this.logger.debug('📈 学习报告分析完成:', `${records.length} 条记录`);
+            return report;
+        } catch (error) {
+            this.logger.error('分析学习进度失败:', error);
+            return {
+                totalRecords: 0,
+                daily: [],
+                weekly: [],
+                mastery: this.getMastery([]),
+                heatmap: this.getHeatmap([]),
+                streaks: this.getStreaks([], now)
+            };
+        }
+    }
+
+    /**
+     * 获取记录的时间（旧记录的timestamp可能是字符串）
+     * @param {Object} record - 答题记录
+     * @returns {Date} 答题时间
+     */
+    getRecordDate(record) {
+        return record.timestamp instanceof Date ? record.timestamp : new Date(record.timestamp);
+    }
+
+    /**
+     * 某一时刻所在的一天或一周的开始（本地时间0点，一周从星期一开始）
+     * @param {Date} date - 时刻
+     * @param {string} period - day或week
+     * @returns {Date} 开始时刻
+     */
+    getPeriodStart(date, period) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (period === 'week') {
+            start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        }
+        return start;
+    }
+
+    /**
+     * 按天或按周统计正确率和平均耗时（没有练习的天/周也占一个位置，值为null）
+     * @param {Array<Object>} records - 答题记录
+     * @param {string} period - day或week
+     * @param {Date} now - 当前时间
+     * @returns {Array<Object>} 从早到晚 [{start, total, correct, correctRate, unaidedCorrect, unaidedRate, averageTimeSpent}]
+     */
+    getPeriodSeries(records, period, now = new Date()) {
+        const count = period === 'week' ? this.weekCount : this.dayCount;
+        const stepDays = period === 'week' ? 7 : 1;
+        const lastStart = this.getPeriodStart(now, period);
+
+        const series = [];
+        const indexByKey = {};
+        for (let i = count - 1; i >= 0; i--) {
+            const start = new Date(lastStart.getFullYear(), lastStart.getMonth(), lastStart.getDate() - i * stepDays);
+            indexByKey[start.getTime()] = series.length;
+            series.push({ start: start, total: 0, correct: 0, unaidedCorrect: 0, timeSpent: 0 });
+        }
+
+        records.forEach(record => {
+            const date = this.getRecordDate(record);
+            if (isNaN(date.getTime())) {
+                return;
+            }
+            const index = indexByKey[this.getPeriodStart(date, period).getTime()];
+            if (index === undefined) {
+                return;
+            }
+            const item = series[index];
+            item.total++;
+            item.correct += record.isCorrect ? 1 : 0;
+            item.unaidedCorrect += this.recordManager.isUnaidedCorrect(record) ? 1 : 0;
+            item.timeSpent += Number(record.timeSpent) || 0;
+        });
+
+        return series.map(item => ({
+            start: item.start,
+            total: item.total,
+            correct: item.correct,
+            correctRate: item.total > 0 ? Math.round((item.correct / item.total) * 100) : null,
+            unaidedCorrect: item.unaidedCorrect,
+            unaidedRate: item.total > 0 ? Math.round((item.unaidedCorrect / item.total) * 100) : null,
+            averageTimeSpent: item.total > 0 ? Math.round(item.timeSpent / item.total) : null
+        }));
+    }
+
+    /**
+     * 各星级的掌握程度（和其他图表用同一份完整历史，而不是RecordManager内存中最近的记录）
+     * @param {Array<Object>} records - 答题记录
+     * @returns {Array<Object>} [{level, total, correct, correctRate, unaidedCorrect, status}]，status为mastered、learning、needsPractice或notStarted
+     */
+    getMastery(records) {
+        const mastery = [];
+        for (let level = 1; level <= 5; level++) {
+            const levelRecords = records.filter(record => record.difficulty === level);
+            const total = levelRecords.length;
+            const correct = levelRecords.filter(record => record.isCorrect).length;
+            const unaidedCorrect = levelRecords.filter(record => this.recordManager.isUnaidedCorrect(record)).length;
+            const correctRate = total > 0 ? Math.round((correct / total) * 100) : 0;
+            const unaidedCorrectRate = total > 0 ? Math.round((unaidedCorrect / total) * 100) : 0;
+
+            let status = 'notStarted';
+            if (total > 0) {
+                // 靠提示答对的题不算掌握
+                if (total >= this.masteryMinSamples && unaidedCorrectRate >= this.masteredAccuracy) {
+                    status = 'mastered';
+                } else if (correctRate >= this.learningAccuracy) {
+                    status = 'learning';
+                } else {
+                    status = 'needsPractice';
+                }
+            }
+            mastery.push({
+                level: level,
+                total: total,
+                correct: correct,
+                correctRate: correctRate,
+                unaidedCorrect: unaidedCorrect,
+                status: status
+            });
+        }
+        return mastery;
+    }
+
+    /**
+     * 按钟面上的小时（1-12）和分钟区间统计正确率
+     * 经过时间题的答案是时长或结束时间，不代表孩子读的钟面，不计入
+     * @param {Array<Object>} records - 答题记录
+     * @returns {Object} {hours, buckets, cells}，cells[小时下标][区间下标]为{total, correct, correctRate}
+     */
+    getHeatmap(records) {
+        const hours = Array.from({ length: 12 }, (_, index) => index + 1);
+        const buckets = Array.from({ length: 60 / this.minuteBucketSize }, (_, index) => index * this.minuteBucketSize);
+        const cells = hours.map(() => buckets.map(() => ({ total: 0, correct: 0, correctRate: null })));
+
+        records.forEach(record => {
+            if (record.elapsed || !record.correctAnswer) {
+                return;
+            }
+            const hour = ((Number(record.correctAnswer.hours) % 12) + 12) % 12 || 12;
+            const minutes = Number(record.correctAnswer.minutes) || 0;
+            const cell = cells[hour - 1] && cells[hour - 1][Math.floor(minutes / this.minuteBucketSize)];
+            if (!cell) {
+                return;
+            }
+            cell.total++;
+            cell.correct += record.isCorrect ? 1 : 0;
+        });
+
+        cells.forEach(row => row.forEach(cell => {
+            cell.correctRate = cell.total > 0 ? Math.round((cell.correct / cell.total) * 100) : null;
+        }));
+        return { hours, buckets, cells };
+    }
+
+    /**
+     * 连续练习天数和连续答对题数
+     * @param {Array<Object>} records - 答题记录
+     * @param {Date} now - 当前时间
+     * @returns {Object} {currentDays, longestDays, currentCorrect, longestCorrect, correctRuns}，
+     *   currentDays在今天还没练习时从昨天往前数；correctRuns为最长的几段连续答对 [{length, start, end}]
+     */
+    getStreaks(records, now = new Date()) {
+        const dated = records
+            .map(record => ({ record, date: this.getRecordDate(record) }))
+            .filter(item => !isNaN(item.date.getTime()))
+            .sort((a, b) => a.date - b.date);
+
+        // 1. 连续练习天数
+        const dayKeys = new Set(dated.map(item => this.getPeriodStart(item.date, 'day').getTime()));
+        const sortedDays = Array.from(dayKeys).sort((a, b) => a - b);
+        let longestDays = 0;
+        let run = 0;
+        let previousDay = null;
+        sortedDays.forEach(day => {
+            run = previousDay !== null && this.isNextDay(previousDay, day) ? run + 1 : 1;
+            longestDays = Math.max(longestDays, run);
+            previousDay = day;
+        });
+
+        const today = this.getPeriodStart(now, 'day');
+        let cursor = dayKeys.has(today.getTime()) ? today : new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        let currentDays = 0;
+        while (dayKeys.has(cursor.getTime())) {
+            currentDays++;
+            cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() - 1);
+        }
+
+        // 2. 连续答对（按答题顺序）
+        const correctRuns = [];
+        let currentRun = null;
+        dated.forEach(item => {
+            if (item.record.isCorrect) {
+                if (!currentRun) {
+                    currentRun = { length: 0, start: item.date, end: item.date };
+                    correctRuns.push(currentRun);
+                }
+                currentRun.length++;
+                currentRun.end = item.date;
+            } else {
+                currentRun = null;
+            }
+        });
+        const lastRecord = dated.length > 0 ? dated[dated.length - 1].record : null;
+        const currentCorrect = lastRecord && lastRecord.isCorrect ? correctRuns[correctRuns.length - 1].length : 0;
+        const longestRuns = correctRuns.slice().sort((a, b) => b.length - a.length || b.end - a.end);
+
+        return {
+            currentDays,
+            longestDays,
+            currentCorrect,
+            longestCorrect: longestRuns.length > 0 ? longestRuns[0].length : 0,
+            correctRuns: longestRuns.slice(0, this.streakListSize)
+        };
+    }
+
+    /**
+     * 两个日期（本地0点的时间戳）是否相邻的两天（按日历计算，不受夏令时影响）
+     * @param {number} previousDay - 前一天
+     * @param {number} day - 后一天
+     * @returns {boolean} 是否相邻
+     */
+    isNextDay(previousDay, day) {
+        const previous = new Date(previousDay);
+        return new Date(previous.getFullYear(), previous.getMonth(), previous.getDate() + 1).getTime() === day;
+    }
+}
@@ -0,0 +1,502 @@
+/**
+ * 学习报告界面
+ * 以弹窗显示给家长/老师看的学习报告：正确率和平均耗时的走势（按天或按周）、各星级的掌握程度、
+ * 钟面时间正确率热力图和连续记录。图表都用SVG现场绘制，不依赖外部图表库，离线也能使用
+ */
+class ProgressDashboardUI {
+    /**
+     * @param {ProgressAnalyzer} progressAnalyzer - 学习进度分析器
+     */
+    constructor(progressAnalyzer) {
+        if (!progressAnalyzer) {
+            throw new Error('ProgressAnalyzer 是必需的参数');
+        }
+        this.logger = Logger.getInstance().channel('records');
+        this.progressAnalyzer = progressAnalyzer;
+        this.i18n = I18nManager.getInstance();
+        this.svgNamespace = 'http://www.w3.org/2000/svg';
+        this.period = 'day'; // 走势图按天（day）或按周（week）
+        this.report = null; // 最近一次分析结果，切换语言和统计周期时直接重绘
+        this.lastFocusedElement = null;
+
+        // 折线图和柱状图的尺寸（SVG坐标，实际大小随弹窗宽度缩放）
+        this.chartWidth = 560;
+        this.chartHeight = 200;
+        this.chartPadding = { top: 16, right: 16, bottom: 32, left: 48 };
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    /**
+     * 初始化DOM元素引用
+     */
+    initializeElements() {
+        this.modal = document.getElementById('progress-dashboard');
+        this.openBtn = document.getElementById('progress-dashboard-btn');
+        this.closeBtn = document.getElementById('progress-dashboard-close');
+        this.periodSelect = document.getElementById('dashboard-period-select');
+        this.emptyMessage = document.getElementById('dashboard-empty');
+        this.content = document.getElementById('dashboard-content');
+        this.accuracyChart = document.getElementById('dashboard-accuracy-chart');
+        this.timeChart = document.getElementById('dashboard-time-chart');
+        this.masteryChart = document.getElementById('dashboard-mastery');
+        this.heatmapChart = document.getElementById('dashboard-heatmap');
+        this.streakList = document.getElementById('dashboard-streaks');
+
+        if (!this.modal || !this.content) {
+            this.logger.warn('未找到学习报告弹窗元素，学习报告可能无法正常显示');
+        }
+    }
+
+    /**
+     * 绑定事件监听器
+     */
+    bindEvents() {
+        if (this.openBtn) {
+            this.openBtn.addEventListener('click', () => this.show());
+        }
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.hide());
+        }
+        if (this.periodSelect) {
+            this.periodSelect.addEventListener('change', () => {
+                this.period = this.periodSelect.value === 'week' ? 'week' : 'day';
+                this.render();
+            });
+        }
+
+        // 点击遮罩关闭弹窗
+        if (this.modal) {
+            this.modal.addEventListener('click', (e) => {
+                if (e.target === this.modal) {
+                    this.hide();
+                }
+            });
+        }
+    }
+
+    /**
+     * 分析答题历史并显示学习报告
+     * @returns {Promise<void>}
+     */
+    async show() {
+        if (!this.modal) {
+            return;
+        }
+
+        this.lastFocusedElement = document.activeElement;
+        this.report = await this.progressAnalyzer.analyze();
+        this.render();
+
+        this.modal.setAttribute('aria-hidden', 'false');
+        this.modal.style.display = 'flex';
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    }
+
+    /**
+     * 隐藏学习报告
+     */
+    hide() {
+        if (!this.isVisible()) {
+            return;
+        }
+
+        this.modal.setAttribute('aria-hidden', 'true');
+        this.modal.style.display = 'none';
+
+        if (this.lastFocusedElement && typeof this.lastFocusedElement.focus === 'function') {
+            this.lastFocusedElement.focus();
+        }
+        this.lastFocusedElement = null;
+    }
+
+    /**
+     * 弹窗是否可见
+     * @returns {boolean} 是否可见
+     */
+    isVisible() {
+        return !!this.modal && this.modal.getAttribute('aria-hidden') === 'false';
+    }
+
+    /**
+     * 重新绘制（切换语言后调用，弹窗未打开时不做任何事）
+     */
+    refresh() {
+        if (this.isVisible()) {
+            this.render();
+        }
+    }
+
+    /**
+     * 按最近一次分析结果绘制所有图表
+     */
+    render() {
+        if (!this.report) {
+            return;
+        }
+
+        try {
+            const hasRecords = this.report.totalRecords > 0;
+            if (this.emptyMessage) {
+                this.emptyMessage.style.display = hasRecords ? 'none' : 'block';
+            }
+            if (this.content) {
+                this.content.style.display = hasRecords ? 'block' : 'none';
+            }
+            if (!hasRecords) {
+                return;
+            }
+
+            const series = this.period === 'week' ? this.report.weekly : this.report.daily;
+            this.renderAccuracyChart(series);
+            this.renderTimeChart(series);
+            this.renderMastery(this.report.mastery);
+            this.renderHeatmap(this.report.heatmap);
+            this.renderStreaks(this.report.streaks);
+        } catch (error) {
+            this.logger.error('绘制学习报告失败:', error);
+        }
+    }
+
+    /**
+     * 创建SVG元素
+     * @param {string} tag - 标签名
+     * @param {Object} attributes - 属性
+     * @param {string} text - 文字内容（可选）
+     * @returns {SVGElement} SVG元素
+     */
+    createSvgElement(tag, attributes = {}, text = null) {
+        const element = document.createElementNS(this.svgNamespace, tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        if (text !== null) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    /**
+     * 创建图表的SVG根元素（role=img，读屏软件读出图表说明）
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {string} label - 图表说明
+     * @returns {SVGElement} SVG根元素
+     */
+    createChartSvg(width, height, label) {
+        const svg = this.createSvgElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            class: 'dashboard-svg',
+            role: 'img',
+            'aria-label': label
+        });
+        svg.appendChild(this.createSvgElement('title', {}, label));
+        return svg;
+    }
+
+    /**
+     * 把图表放进容器（替换原有内容）
+     * @param {HTMLElement} container - 容器
+     * @param {SVGElement} svg - 图表
+     */
+    mountChart(container, svg) {
+        if (!container) {
+            return;
+        }
+        container.innerHTML = '';
+        container.appendChild(svg);
+    }
+
+    /**
+     * 走势图横轴上一天或一周的标签
+     * @param {Date} start - 开始日期
+     * @returns {string} 标签，如10/19
+     */
+    formatPeriodLabel(start) {
+        return this.i18n.formatDateTime(start, { month: 'numeric', day: 'numeric' });
+    }
+
+    /**
+     * 绘制走势图的坐标轴、横向网格线和横轴标签
+     * @param {SVGElement} svg - 图表
+     * @param {Array<Object>} series - 统计序列
+     * @param {number} maxValue - 纵轴最大值
+     * @param {Function} formatValue - 纵轴刻度的格式化函数
+     */
+    drawAxes(svg, series, maxValue, formatValue) {
+        const { top, right, bottom, left } = this.chartPadding;
+        const plotHeight = this.chartHeight - top - bottom;
+
+        [0, 0.5, 1].forEach(fraction => {
+            const y = top + plotHeight * (1 - fraction);
+            svg.appendChild(this.createSvgElement('line', {
+                x1: left, y1: y, x2: this.chartWidth - right, y2: y,
+                class: fraction === 0 ? 'dashboard-axis' : 'dashboard-grid'
+            }));
+            svg.appendChild(this.createSvgElement('text', {
+                x: left - 6, y: y + 4, 'text-anchor': 'end', class: 'dashboard-tick'
+            }, formatValue(Math.round(maxValue * fraction))));
+        });
+
+        // 按天统计时横轴标签隔一个显示一个，避免挤在一起
+        const labelStep = series.length > 12 ? 2 : 1;
+        series.forEach((item, index) => {
+            if ((series.length - 1 - index) % labelStep !== 0) {
+                return;
+            }
+            svg.appendChild(this.createSvgElement('text', {
+                x: this.getSeriesX(index, series.length),
+                y: this.chartHeight - bottom + 18,
+                'text-anchor': 'middle',
+                class: 'dashboard-tick'
+            }, this.formatPeriodLabel(item.start)));
+        });
+    }
+
+    /**
+     * 第index个统计点的横坐标（点位于每格正中）
+     * @param {number} index - 下标
+     * @param {number} count - 点的数量
+     * @returns {number} 横坐标
+     */
+    getSeriesX(index, count) {
+        const { right, left } = this.chartPadding;
+        const slotWidth = (this.chartWidth - left - right) / count;
+        return left + slotWidth * (index + 0.5);
+    }
+
+    /**
+     * 绘制正确率折线图（没有练习的天/周折线断开）
+     * @param {Array<Object>} series - 统计序列
+     */
+    renderAccuracyChart(series) {
+        const { top, bottom } = this.chartPadding;
+        const plotHeight = this.chartHeight - top - bottom;
+        const svg = this.createChartSvg(this.chartWidth, this.chartHeight, this.i18n.t('dashboard.accuracyTitle'));
+        this.drawAxes(svg, series, 100, value => `${value}%`);
+
+        const getY = rate => top + plotHeight * (1 - rate / 100);
+
+        // 正确率（实线）和不用提示答对的比例（虚线），没有练习的天/周断开
+        [
+            { key: 'unaidedRate', className: 'dashboard-line dashboard-line-unaided' },
+            { key: 'correctRate', className: 'dashboard-line' }
+        ].forEach(line => {
+            let segment = [];
+            const flushSegment = () => {
+                if (segment.length > 1) {
+                    svg.appendChild(this.createSvgElement('polyline', {
+                        points: segment.join(' '),
+                        class: line.className
+                    }));
+                }
+                segment = [];
+            };
+
+            series.forEach((item, index) => {
+                if (item[line.key] === null) {
+                    flushSegment();
+                    return;
+                }
+                const x = this.getSeriesX(index, series.length);
+                const y = getY(item[line.key]);
+                segment.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+            });
+            flushSegment();
+        });
+
+        // 数据点画在折线上面，悬停显示具体数值
+        series.forEach((item, index) => {
+            if (item.correctRate === null) {
+                return;
+            }
+            const point = this.createSvgElement('circle', {
+                cx: this.getSeriesX(index, series.length).toFixed(1),
+                cy: getY(item.correctRate).toFixed(1),
+                r: 4,
+                class: 'dashboard-point'
+            });
+            point.appendChild(this.createSvgElement('title', {}, this.i18n.t('dashboard.accuracyPoint', {
+                period: this.formatPeriodLabel(item.start),
+                rate: item.correctRate,
+                correct: item.correct,
+                count: item.total,
+                unaidedRate: item.unaidedRate
+            })));
+            svg.appendChild(point);
+        });
+
+        this.mountChart(this.accuracyChart, svg);
+    }
+
+    /**
+     * 绘制平均耗时柱状图
+     * @param {Array<Object>} series - 统计序列
+     */
+    renderTimeChart(series) {
+        const { top, right, bottom, left } = this.chartPadding;
+        const plotHeight = this.chartHeight - top - bottom;
+        const svg = this.createChartSvg(this.chartWidth, this.chartHeight, this.i18n.t('dashboard.timeTitle'));
+
+        // 纵轴最大值取整到10秒，至少10秒
+        const longest = Math.max(0, ...series.map(item => item.averageTimeSpent || 0));
+        const maxValue = Math.max(10, Math.ceil(longest / 10) * 10);
+        this.drawAxes(svg, series, maxValue, value => this.i18n.t('common.seconds', { count: value }));
+
+        const barWidth = (this.chartWidth - left - right) / series.length * 0.6;
+        series.forEach((item, index) => {
+            if (item.averageTimeSpent === null) {
+                return;
+            }
+            const height = plotHeight * item.averageTimeSpent / maxValue;
+            const bar = this.createSvgElement('rect', {
+                x: (this.getSeriesX(index, series.length) - barWidth / 2).toFixed(1),
+                y: (top + plotHeight - height).toFixed(1),
+                width: barWidth.toFixed(1),
+                height: height.toFixed(1),
+                rx: 2,
+                class: 'dashboard-bar'
+            });
+            bar.appendChild(this.createSvgElement('title', {}, this.i18n.t('dashboard.timePoint', {
+                period: this.formatPeriodLabel(item.start),
+                seconds: this.i18n.t('common.seconds', { count: item.averageTimeSpent }),
+                count: item.total
+            })));
+            svg.appendChild(bar);
+        });
+
+        this.mountChart(this.timeChart, svg);
+    }
+
+    /**
+     * 绘制各星级掌握程度的横向条形图
+     * @param {Array<Object>} mastery - 各星级掌握程度
+     */
+    renderMastery(mastery) {
+        const rowHeight = 32;
+        const labelWidth = 70;
+        const barMaxWidth = 180; // 右侧留出正确率、独立答对题数和掌握程度的文字
+        const height = rowHeight * mastery.length + 8;
+        const svg = this.createChartSvg(this.chartWidth, height, this.i18n.t('dashboard.masteryTitle'));
+
+        mastery.forEach((item, index) => {
+            const y = 4 + index * rowHeight;
+            const row = this.createSvgElement('g', { class: `dashboard-mastery-row status-${item.status}` });
+            row.appendChild(this.createSvgElement('text', {
+                x: 0, y: y + 19, class: 'dashboard-label'
+            }, this.i18n.t('difficulty.starLevel', { level: item.level })));
+            row.appendChild(this.createSvgElement('rect', {
+                x: labelWidth, y: y + 6, width: barMaxWidth, height: 18, rx: 4, class: 'dashboard-mastery-track'
+            }));
+            if (item.total > 0) {
+                row.appendChild(this.createSvgElement('rect', {
+                    x: labelWidth, y: y + 6, width: (barMaxWidth * item.correctRate / 100).toFixed(1), height: 18, rx: 4,
+                    class: 'dashboard-mastery-bar'
+                }));
+            }
+
+            const statusText = this.i18n.t(`dashboard.mastery.${item.status}`);
+            const detail = item.total > 0 ?
+                `${item.correctRate}% · ${this.i18n.t('record.faceStyleCount', { correct: item.correct, count: item.total })} · ` +
+                `${this.i18n.t('dashboard.masteryUnaided', { count: item.unaidedCorrect || 0 })} · ${statusText}` :
+                statusText;
+            row.appendChild(this.createSvgElement('text', {
+                x: labelWidth + barMaxWidth + 10, y: y + 19, class: 'dashboard-label'
+            }, detail));
+            svg.appendChild(row);
+        });
+
+        this.mountChart(this.masteryChart, svg);
+    }
+
+    /**
+     * 热力图格子的颜色：正确率0%为红色，100%为绿色，没有练过为灰色
+     * @param {number|null} correctRate - 正确率
+     * @returns {string} 颜色
+     */
+    getHeatColor(correctRate) {
+        if (correctRate === null) {
+            return '#e5e7eb';
+        }
+        return `hsl(${Math.round(correctRate * 1.2)}, 70%, 55%)`;
+    }
+
+    /**
+     * 绘制钟面时间正确率热力图：每行是时针指的小时，每列是分针所在的分钟区间
+     * @param {Object} heatmap - 热力图数据
+     */
+    renderHeatmap(heatmap) {
+        const cellSize = 30;
+        const gap = 2;
+        const labelWidth = 32;
+        const labelHeight = 20;
+        const width = labelWidth + heatmap.buckets.length * (cellSize + gap);
+        const height = labelHeight + heatmap.hours.length * (cellSize + gap);
+        const svg = this.createChartSvg(width, height, this.i18n.t('dashboard.heatmapTitle'));
+
+        heatmap.buckets.forEach((bucket, column) => {
+            svg.appendChild(this.createSvgElement('text', {
+                x: labelWidth + column * (cellSize + gap) + cellSize / 2,
+                y: labelHeight - 6,
+                'text-anchor': 'middle',
+                class: 'dashboard-tick'
+            }, `:${String(bucket).padStart(2, '0')}`));
+        });
+
+        heatmap.hours.forEach((hour, row) => {
+            const y = labelHeight + row * (cellSize + gap);
+            svg.appendChild(this.createSvgElement('text', {
+                x: labelWidth - 8, y: y + cellSize / 2 + 4, 'text-anchor': 'end', class: 'dashboard-tick'
+            }, String(hour)));
+
+            heatmap.buckets.forEach((bucket, column) => {
+                const cell = heatmap.cells[row][column];
+                const rect = this.createSvgElement('rect', {
+                    x: labelWidth + column * (cellSize + gap),
+                    y: y,
+                    width: cellSize,
+                    height: cellSize,
+                    rx: 3,
+                    fill: this.getHeatColor(cell.correctRate),
+                    class: 'dashboard-heat-cell'
+                });
+                const range = `${hour}:${String(bucket).padStart(2, '0')}-${hour}:${String(bucket + this.progressAnalyzer.minuteBucketSize - 1).padStart(2, '0')}`;
+                rect.appendChild(this.createSvgElement('title', {}, cell.total > 0 ?
+                    this.i18n.t('dashboard.heatCell', { range: range, rate: cell.correctRate, correct: cell.correct, count: cell.total }) :
+                    this.i18n.t('dashboard.heatCellEmpty', { range: range })));
+                svg.appendChild(rect);
+            });
+        });
+
+        this.mountChart(this.heatmapChart, svg);
+    }
+
+    /**
+     * 列出连续记录
+     * @param {Object} streaks - 连续记录
+     */
+    renderStreaks(streaks) {
+        if (!this.streakList) {
+            return;
+        }
+
+        const items = [
+            this.i18n.t('dashboard.streaks.days', { count: streaks.currentDays, longest: streaks.longestDays }),
+            this.i18n.t('dashboard.streaks.correct', { count: streaks.currentCorrect, longest: streaks.longestCorrect })
+        ];
+        streaks.correctRuns.forEach(run => {
+            items.push(this.i18n.t('dashboard.streaks.run', {
+                count: run.length,
+                date: this.i18n.formatDateTime(run.end, { year: 'numeric', month: 'numeric', day: 'numeric' })
+            }));
+        });
+
+        this.streakList.innerHTML = '';
+        items.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            this.streakList.appendChild(item);
+        });
+    }
+}
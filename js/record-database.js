@@ -0,0 +1,471 @@
+/**
+ * 答题记录数据库类
+ * 基于IndexedDB的异步记录存储，为RecordManager提供持久化和索引查询
+ * 索引：timestamp（ISO字符串）、difficulty、isCorrect（IndexedDB不支持布尔键，存储为1/0）
+ * 测验会话单独存放在sessions存储中，每次测验一条，按startedAt索引
+ */
+class RecordDatabase {
+    constructor(dbName = 'ClockLearningDB') {
+        this.logger = Logger.getInstance().channel('records');
+        this.dbName = dbName;
+        this.version = 3; // v2: 新增isCorrect索引和meta存储；v3: 新增测验会话存储
+        this.recordStoreName = 'records';
+        this.metaStoreName = 'meta';
+        this.sessionStoreName = 'sessions';
+        this.db = null;
+        this.openPromise = null;
+    }
+
+    /**
+     * 检查浏览器是否支持IndexedDB
+     * @returns {boolean} 是否支持
+     */
+    isSupported() {
+        try {
+            return typeof window !== 'undefined' && !!window.indexedDB;
+        } catch (error) {
+            // 部分浏览器在隐私模式下访问indexedDB会抛出异常
+            this.logger.warn('IndexedDB检测失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 数据库是否已打开
+     * @returns {boolean} 是否已打开
+     */
+    isOpen() {
+        return !!this.db;
+    }
+
+    /**
+     * 打开数据库（重复调用返回同一个Promise）
+     * @returns {Promise<IDBDatabase>} 数据库实例
+     */
+    open() {
+        if (this.openPromise) {
+            return this.openPromise;
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('浏览器不支持IndexedDB'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = (event) => {
+                this.upgradeDatabase(event.target.result, event.target.transaction, event.oldVersion);
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+
+                // 其他标签页升级数据库时主动关闭连接，避免阻塞
+                this.db.onversionchange = () => {
+                    this.logger.warn('记录数据库版本已变化，关闭当前连接');
+                    this.close();
+                };
+
+                this.logger.info(`🗄️ 记录数据库已打开: ${this.dbName} v${this.version}`);
+                resolve(this.db);
+            };
+
+            request.onerror = (event) => {
+                this.logger.error('打开记录数据库失败:', event.target.error);
+                this.openPromise = null;
+                reject(event.target.error || new Error('打开记录数据库失败'));
+            };
+
+            request.onblocked = () => {
+                this.logger.warn('记录数据库升级被其他标签页阻塞，请关闭其他页面');
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * 创建或升级数据库结构
+     * @param {IDBDatabase} db - 数据库实例
+     * @param {IDBTransaction} transaction - 升级事务
+     * @param {number} oldVersion - 旧版本号
+     */
+    upgradeDatabase(db, transaction, oldVersion) {
+        this.logger.debug(`升级记录数据库: v${oldVersion} -> v${this.version}`);
+
+        // 1. 记录存储及索引
+        let recordStore;
+        if (!db.objectStoreNames.contains(this.recordStoreName)) {
+            recordStore = db.createObjectStore(this.recordStoreName, { keyPath: 'id' });
+        } else {
+            recordStore = transaction.objectStore(this.recordStoreName);
+        }
+
+        if (!recordStore.indexNames.contains('timestamp')) {
+            recordStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+        if (!recordStore.indexNames.contains('difficulty')) {
+            recordStore.createIndex('difficulty', 'difficulty', { unique: false });
+        }
+        if (!recordStore.indexNames.contains('isCorrect')) {
+            recordStore.createIndex('isCorrect', 'isCorrect', { unique: false });
+        }
+
+        // 2. v1中的布尔值无法进入isCorrect索引，转换为1/0
+        if (oldVersion > 0 && oldVersion < 2) {
+            recordStore.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    return;
+                }
+                if (typeof cursor.value.isCorrect === 'boolean') {
+                    cursor.update({ ...cursor.value, isCorrect: cursor.value.isCorrect ? 1 : 0 });
+                }
+                cursor.continue();
+            };
+        }
+
+        // 3. 元数据存储（迁移标记等）
+        if (!db.objectStoreNames.contains(this.metaStoreName)) {
+            db.createObjectStore(this.metaStoreName, { keyPath: 'key' });
+        }
+
+        // 4. 测验会话存储
+        if (!db.objectStoreNames.contains(this.sessionStoreName)) {
+            const sessionStore = db.createObjectStore(this.sessionStoreName, { keyPath: 'id' });
+            sessionStore.createIndex('startedAt', 'startedAt', { unique: false });
+        }
+    }
+
+    /**
+     * 关闭数据库连接
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.openPromise = null;
+    }
+
+    /**
+     * 将IDBRequest包装为Promise
+     * @param {IDBRequest} request - 请求对象
+     * @returns {Promise<*>} 请求结果
+     */
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 等待事务完成
+     * @param {IDBTransaction} transaction - 事务对象
+     * @returns {Promise<void>}
+     */
+    transactionToPromise(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('数据库事务已中止'));
+        });
+    }
+
+    /**
+     * 获取对象存储
+     * @param {string} storeName - 存储名称
+     * @param {string} mode - 事务模式
+     * @returns {Promise<Object>} 包含store和transaction的对象
+     */
+    async getStore(storeName, mode = 'readonly') {
+        const db = await this.open();
+        const transaction = db.transaction([storeName], mode);
+        return {
+            store: transaction.objectStore(storeName),
+            transaction: transaction
+        };
+    }
+
+    /**
+     * 转换为数据库存储格式
+     * @param {Object} record - 记录对象
+     * @returns {Object} 存储格式的记录
+     */
+    serializeRecord(record) {
+        const timestamp = record.timestamp instanceof Date ? record.timestamp : new Date(record.timestamp);
+        return {
+            ...record,
+            timestamp: timestamp.toISOString(),
+            isCorrect: record.isCorrect ? 1 : 0
+        };
+    }
+
+    /**
+     * 从数据库存储格式还原
+     * @param {Object} storedRecord - 存储格式的记录
+     * @returns {Object} 记录对象
+     */
+    deserializeRecord(storedRecord) {
+        return {
+            ...storedRecord,
+            timestamp: new Date(storedRecord.timestamp),
+            isCorrect: storedRecord.isCorrect === 1 || storedRecord.isCorrect === true
+        };
+    }
+
+    /**
+     * 保存单条记录（已存在的同ID记录会被覆盖）
+     * @param {Object} record - 记录对象
+     * @returns {Promise<void>}
+     */
+    async addRecord(record) {
+        const { store, transaction } = await this.getStore(this.recordStoreName, 'readwrite');
+        store.put(this.serializeRecord(record));
+        await this.transactionToPromise(transaction);
+    }
+
+    /**
+     * 批量保存记录
+     * @param {Array<Object>} records - 记录数组
+     * @returns {Promise<number>} 保存的记录数
+     */
+    async putRecords(records) {
+        if (!records || records.length === 0) {
+            return 0;
+        }
+
+        const { store, transaction } = await this.getStore(this.recordStoreName, 'readwrite');
+        records.forEach(record => store.put(this.serializeRecord(record)));
+        await this.transactionToPromise(transaction);
+        return records.length;
+    }
+
+    /**
+     * 按时间倒序分页读取记录
+     * @param {number} offset - 跳过的记录数
+     * @param {number} limit - 读取的记录数
+     * @returns {Promise<Array<Object>>} 记录数组（最新在前）
+     */
+    async getRecordsPage(offset, limit) {
+        const { store } = await this.getStore(this.recordStoreName);
+        const index = store.index('timestamp');
+
+        return new Promise((resolve, reject) => {
+            const results = [];
+            let skipped = offset <= 0;
+            const request = index.openCursor(null, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) {
+                    resolve(results);
+                    return;
+                }
+
+                // 先一次性跳过前面的页
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+
+                results.push(this.deserializeRecord(cursor.value));
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 按条件查询记录
+     * 优先使用时间范围索引，其次正确性、难度索引，其余条件由filterFn过滤
+     * @param {Object} criteria - 查询条件（dateFrom/dateTo为Date对象）
+     * @param {Function} filterFn - 对还原后的记录进行完整条件判断的函数（可选）
+     * @returns {Promise<Array<Object>>} 记录数组（最新在前）
+     */
+    async queryRecords(criteria = {}, filterFn = null) {
+        const { store } = await this.getStore(this.recordStoreName);
+        const { index, range } = this.selectIndex(store, criteria);
+
+        return new Promise((resolve, reject) => {
+            const results = [];
+            const direction = index.name === 'timestamp' ? 'prev' : 'next';
+            const request = index.openCursor(range, direction);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    // 非时间索引的结果需要重新按时间倒序排列
+                    if (direction !== 'prev') {
+                        results.sort((a, b) => b.timestamp - a.timestamp);
+                    }
+                    resolve(results);
+                    return;
+                }
+
+                const record = this.deserializeRecord(cursor.value);
+                if (!filterFn || filterFn(record)) {
+                    results.push(record);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 根据查询条件选择索引和键范围
+     * @param {IDBObjectStore} store - 记录存储
+     * @param {Object} criteria - 查询条件
+     * @returns {Object} 包含index和range的对象
+     */
+    selectIndex(store, criteria) {
+        const hasValue = (value) => value !== undefined && value !== null;
+
+        if (criteria.dateFrom || criteria.dateTo) {
+            const lower = criteria.dateFrom ? criteria.dateFrom.toISOString() : null;
+            const upper = criteria.dateTo ? criteria.dateTo.toISOString() : null;
+            let range;
+            if (lower && upper) {
+                range = IDBKeyRange.bound(lower, upper);
+            } else if (lower) {
+                range = IDBKeyRange.lowerBound(lower);
+            } else {
+                range = IDBKeyRange.upperBound(upper);
+            }
+            return { index: store.index('timestamp'), range };
+        }
+
+        if (hasValue(criteria.isCorrect)) {
+            return { index: store.index('isCorrect'), range: IDBKeyRange.only(criteria.isCorrect ? 1 : 0) };
+        }
+
+        if (hasValue(criteria.difficulty)) {
+            return { index: store.index('difficulty'), range: IDBKeyRange.only(criteria.difficulty) };
+        }
+
+        return { index: store.index('timestamp'), range: null };
+    }
+
+    /**
+     * 获取记录总数
+     * @returns {Promise<number>} 记录总数
+     */
+    async countRecords() {
+        const { store } = await this.getStore(this.recordStoreName);
+        return this.requestToPromise(store.count());
+    }
+
+    /**
+     * 清空所有记录
+     * @returns {Promise<void>}
+     */
+    async clearRecords() {
+        const { store, transaction } = await this.getStore(this.recordStoreName, 'readwrite');
+        store.clear();
+        await this.transactionToPromise(transaction);
+    }
+
+    /**
+     * 删除指定时间之前的记录
+     * @param {Date} date - 截止时间
+     * @returns {Promise<number>} 删除的记录数
+     */
+    async deleteRecordsBefore(date) {
+        const { store, transaction } = await this.getStore(this.recordStoreName, 'readwrite');
+        const range = IDBKeyRange.upperBound(date.toISOString(), true);
+        let deletedCount = 0;
+
+        store.index('timestamp').openCursor(range).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                deletedCount++;
+                cursor.continue();
+            }
+        };
+
+        await this.transactionToPromise(transaction);
+        return deletedCount;
+    }
+
+    /**
+     * 读取元数据
+     * @param {string} key - 元数据键
+     * @returns {Promise<*>} 元数据值，不存在时为null
+     */
+    async getMeta(key) {
+        const { store } = await this.getStore(this.metaStoreName);
+        const entry = await this.requestToPromise(store.get(key));
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * 写入元数据
+     * @param {string} key - 元数据键
+     * @param {*} value - 元数据值
+     * @returns {Promise<void>}
+     */
+    async setMeta(key, value) {
+        const { store, transaction } = await this.getStore(this.metaStoreName, 'readwrite');
+        store.put({ key, value });
+        await this.transactionToPromise(transaction);
+    }
+
+    /**
+     * 保存测验会话（已存在的同ID会话会被覆盖）
+     * @param {Object} session - 会话对象（startedAt、endedAt为Date或ISO字符串）
+     * @returns {Promise<void>}
+     */
+    async addSession(session) {
+        const { store, transaction } = await this.getStore(this.sessionStoreName, 'readwrite');
+        store.put({
+            ...session,
+            startedAt: new Date(session.startedAt).toISOString(),
+            endedAt: new Date(session.endedAt).toISOString()
+        });
+        await this.transactionToPromise(transaction);
+    }
+
+    /**
+     * 按开始时间倒序读取测验会话
+     * @param {number} limit - 最多读取的会话数
+     * @returns {Promise<Array>} 会话数组（最新在前）
+     */
+    async getSessions(limit = 20) {
+        const { store } = await this.getStore(this.sessionStoreName);
+        const sessions = [];
+
+        return new Promise((resolve, reject) => {
+            const request = store.index('startedAt').openCursor(null, 'prev');
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || sessions.length >= limit) {
+                    resolve(sessions);
+                    return;
+                }
+                sessions.push({
+                    ...cursor.value,
+                    startedAt: new Date(cursor.value.startedAt),
+                    endedAt: new Date(cursor.value.endedAt)
+                });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 清空所有测验会话
+     * @returns {Promise<void>}
+     */
+    async clearSessions() {
+        const { store, transaction } = await this.getStore(this.sessionStoreName, 'readwrite');
+        store.clear();
+        await this.transactionToPromise(transaction);
+    }
+}
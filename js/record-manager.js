@@ -1,17 +1,29 @@
 /**
  * 记录管理器类
- * 负责管理答题历史记录，使用Cookie存储
+ * 负责管理答题历史记录，优先使用IndexedDB存储，不可用时回退到Cookie等存储
  */
 class RecordManager {
-    constructor() {
-        this.cookieName = 'clockLearningRecords';
-        this.maxRecords = 1000; // 最大记录数量
+    /**
+     * @param {string} storageSuffix - 学习者档案的存储键后缀（默认档案为空）
+     */
+    constructor(storageSuffix = '') {
+        this.logger = Logger.getInstance().channel('records');
+        this.i18n = I18nManager.getInstance();
+        this.maxRecords = 1000; // 最大记录数量（使用IndexedDB时为内存缓存的最近记录数）
         this.pageSize = 10; // 默认每页记录数
         this.memoryRecords = []; // 内存备份
+        this.memoryRecordStore = {}; // 各学习者档案的内存备份，按存储键后缀保存
         this.storageType = 'cookie'; // 默认存储类型改为cookie
         this.useSessionStorage = false;
         this.useMemoryStorage = false;
-        this.indexedDB = null;
+        this.retentionDays = 365; // IndexedDB中保留一年的练习记录
+        this.totalRecordCount = 0; // IndexedDB中的记录总数
+        this.maxTestSessions = 50; // 无IndexedDB时最多保留的测验会话数
+        this.memoryTestSessions = []; // localStorage不可用时的测验会话备份
+        this.hintPenalty = 20; // 每用一步提示，答对得分减少的分数（不用提示答对得100分）
+        
+        // 设置当前档案的存储键（cookieName、sessionStorageKey、数据库名）
+        this.applyStorageSuffix(storageSuffix);
         
         // 初始化records为空数组，但会在loadRecordsWithFallback中被覆盖
         this.records = [];
@@ -20,10 +32,62 @@ class RecordManager {
         try {
             this.loadRecordsWithFallback();
         } catch (error) {
-            console.error('初始化记录管理器失败:', error);
+            this.logger.error('初始化记录管理器失败:', error);
             this.records = []; // 确保在错误情况下有一个空数组
             this.enableFallbackStorage();
         }
+        
+        // 异步初始化IndexedDB，完成后替换内存中的记录
+        this.databaseReady = this.initializeIndexedDB();
+    }
+
+    /**
+     * 设置学习者档案对应的存储键
+     * @param {string} storageSuffix - 存储键后缀
+     */
+    applyStorageSuffix(storageSuffix) {
+        this.storageSuffix = storageSuffix;
+        this.cookieName = 'clockLearningRecords' + storageSuffix;
+        this.sessionStorageKey = 'sessionClockLearningRecords' + storageSuffix;
+        this.legacyStorageKeys = [this.cookieName, this.sessionStorageKey]; // 旧版存储使用的键名
+        this.testSessionsKey = 'clockLearningTestSessions' + storageSuffix; // 无IndexedDB时测验会话的localStorage键
+        this.database = typeof RecordDatabase !== 'undefined' ? new RecordDatabase('ClockLearningDB' + storageSuffix) : null;
+    }
+
+    /**
+     * 切换到其他学习者档案的记录存储
+     * Cookie、localStorage、sessionStorage、内存和IndexedDB都使用档案独立的键
+     * @param {string} storageSuffix - 档案的存储键后缀
+     * @returns {Promise<boolean>} IndexedDB是否可用
+     */
+    switchStorageSuffix(storageSuffix) {
+        // 1. 保留当前档案的内存记录，关闭数据库连接
+        this.memoryRecordStore[this.storageSuffix] = this.memoryRecords;
+        if (this.database) {
+            this.database.close();
+        }
+        
+        // 2. 切换存储键并重置存储状态
+        this.applyStorageSuffix(storageSuffix);
+        this.memoryRecords = this.memoryRecordStore[storageSuffix] || [];
+        this.storageType = 'cookie';
+        this.useSessionStorage = false;
+        this.useMemoryStorage = false;
+        this.records = [];
+        this.totalRecordCount = 0;
+        this.memoryTestSessions = [];
+        
+        // 3. 加载新档案的记录
+        try {
+            this.loadRecordsWithFallback();
+        } catch (error) {
+            this.logger.error('加载档案记录失败:', error);
+            this.records = [];
+        }
+        
+        this.logger.debug('记录存储已切换到:', this.cookieName);
+        this.databaseReady = this.initializeIndexedDB();
+        return this.databaseReady;
     }
 
     /**
@@ -35,7 +99,7 @@ class RecordManager {
         try {
             // 验证记录格式
             if (!this.validateRecord(record)) {
-                console.error('记录格式无效:', record);
+                this.logger.error('记录格式无效:', record);
                 return false;
             }
 
@@ -54,7 +118,7 @@ class RecordManager {
             return this.saveRecordWithFallback(fullRecord);
             
         } catch (error) {
-            console.error('保存记录失败:', error);
+            this.logger.error('保存记录失败:', error);
             return false;
         }
     }
@@ -85,7 +149,7 @@ class RecordManager {
                     return this.saveRecordsToMemory();
                 
                 case 'none':
-                    console.warn('没有可用的存储方案');
+                    this.logger.warn('没有可用的存储方案');
                     return false;
                 
                 default:
@@ -93,20 +157,20 @@ class RecordManager {
                     return this.saveRecordsToCookie();
             }
         } catch (error) {
-            console.error('使用备用方案保存记录失败:', error);
+            this.logger.error('使用备用方案保存记录失败:', error);
             
             // 如果cookie失败，尝试localStorage作为备用
             try {
-                console.log('Cookie存储失败，尝试localStorage作为备用');
+                this.logger.debug('Cookie存储失败，尝试localStorage作为备用');
                 return this.saveRecordsToLocalStorage();
             } catch (localStorageError) {
-                console.error('localStorage备用方案也失败:', localStorageError);
+                this.logger.error('localStorage备用方案也失败:', localStorageError);
                 
                 // 最后的备用方案：内存存储
                 try {
                     return this.saveRecordsToMemory();
                 } catch (memoryError) {
-                    console.error('内存存储也失败:', memoryError);
+                    this.logger.error('内存存储也失败:', memoryError);
                     return false;
                 }
             }
@@ -120,7 +184,7 @@ class RecordManager {
     saveRecordsToLocalStorage() {
         try {
             if (!localStorage) {
-                console.error('localStorage不可用');
+                this.logger.error('localStorage不可用');
                 return false;
             }
 
@@ -132,10 +196,10 @@ class RecordManager {
             const jsonString = JSON.stringify(recordsToSave);
             localStorage.setItem(this.cookieName, jsonString);
             
-            console.log(`成功保存 ${this.records.length} 条记录到localStorage`);
+            this.logger.debug(`成功保存 ${this.records.length} 条记录到localStorage`);
             return true;
         } catch (error) {
-            console.error('保存记录到localStorage失败:', error);
+            this.logger.error('保存记录到localStorage失败:', error);
             
             // 如果localStorage失败，尝试sessionStorage
             return this.saveRecordsToSessionStorage();
@@ -149,7 +213,7 @@ class RecordManager {
     saveRecordsToSessionStorage() {
         try {
             if (!sessionStorage) {
-                console.error('sessionStorage不可用');
+                this.logger.error('sessionStorage不可用');
                 return false;
             }
 
@@ -161,10 +225,10 @@ class RecordManager {
             const jsonString = JSON.stringify(recordsToSave);
             sessionStorage.setItem(this.cookieName, jsonString);
             
-            console.log(`成功保存 ${this.records.length} 条记录到sessionStorage`);
+            this.logger.debug(`成功保存 ${this.records.length} 条记录到sessionStorage`);
             return true;
         } catch (error) {
-            console.error('保存记录到sessionStorage失败:', error);
+            this.logger.error('保存记录到sessionStorage失败:', error);
             
             // 如果sessionStorage失败，尝试内存存储
             return this.saveRecordsToMemory();
@@ -179,10 +243,10 @@ class RecordManager {
         try {
             // 内存存储只是简单地保持records数组
             this.memoryRecords = [...this.records];
-            console.log(`成功保存 ${this.records.length} 条记录到内存`);
+            this.logger.debug(`成功保存 ${this.records.length} 条记录到内存`);
             return true;
         } catch (error) {
-            console.error('保存记录到内存失败:', error);
+            this.logger.error('保存记录到内存失败:', error);
             return false;
         }
     }
@@ -200,7 +264,7 @@ class RecordManager {
                 this.tryLoadFromAlternativeStorage();
             }
         } catch (error) {
-            console.error('从备用存储加载记录失败:', error);
+            this.logger.error('从备用存储加载记录失败:', error);
             this.records = [];
         }
     }
@@ -211,7 +275,7 @@ class RecordManager {
     tryLoadFromAlternativeStorage() {
         try {
             // 尝试从sessionStorage加载
-            if (sessionStorage && sessionStorage.getItem('sessionClockLearningRecords')) {
+            if (sessionStorage && sessionStorage.getItem(this.sessionStorageKey)) {
                 this.loadRecordsFromSessionStorage();
                 return;
             }
@@ -219,13 +283,13 @@ class RecordManager {
             // 尝试从内存加载（页面刷新后会丢失）
             if (this.memoryRecords && this.memoryRecords.length > 0) {
                 this.records = [...this.memoryRecords];
-                console.log(`从内存加载了 ${this.records.length} 条记录`);
+                this.logger.debug(`从内存加载了 ${this.records.length} 条记录`);
                 return;
             }
             
-            console.log('没有找到其他存储中的记录');
+            this.logger.debug('没有找到其他存储中的记录');
         } catch (error) {
-            console.error('从其他存储加载记录失败:', error);
+            this.logger.error('从其他存储加载记录失败:', error);
         }
     }
 
@@ -234,7 +298,7 @@ class RecordManager {
      */
     loadRecordsFromSessionStorage() {
         try {
-            const sessionData = sessionStorage.getItem('sessionClockLearningRecords');
+            const sessionData = sessionStorage.getItem(this.sessionStorageKey);
             if (sessionData) {
                 const parsedRecords = JSON.parse(sessionData);
                 if (Array.isArray(parsedRecords)) {
@@ -243,11 +307,11 @@ class RecordManager {
                         timestamp: new Date(record.timestamp)
                     })).filter(record => this.validateRecord(record));
                     
-                    console.log(`从sessionStorage加载了 ${this.records.length} 条记录`);
+                    this.logger.debug(`从sessionStorage加载了 ${this.records.length} 条记录`);
                 }
             }
         } catch (error) {
-            console.error('从sessionStorage加载记录失败:', error);
+            this.logger.error('从sessionStorage加载记录失败:', error);
         }
     }
 
@@ -255,28 +319,37 @@ class RecordManager {
      * 获取记录（分页）
      * @param {number} page - 页码（从1开始）
      * @param {number} pageSize - 每页记录数（可选）
-     * @returns {Object} 分页记录结果
+     * @returns {Promise<Object>} 分页记录结果
      */
-    getRecords(page = 1, pageSize = null) {
+    async getRecords(page = 1, pageSize = null) {
         try {
             const actualPageSize = pageSize || this.pageSize;
             const startIndex = (page - 1) * actualPageSize;
             const endIndex = startIndex + actualPageSize;
             
-            const paginatedRecords = this.records.slice(startIndex, endIndex);
+            let paginatedRecords;
+            let totalRecords;
+            if (await this.isDatabaseActive()) {
+                // 直接从IndexedDB按时间索引分页读取
+                totalRecords = await this.database.countRecords();
+                paginatedRecords = await this.database.getRecordsPage(startIndex, actualPageSize);
+            } else {
+                totalRecords = this.records.length;
+                paginatedRecords = this.records.slice(startIndex, endIndex);
+            }
             
             return {
                 records: paginatedRecords,
                 currentPage: page,
                 pageSize: actualPageSize,
-                totalRecords: this.records.length,
-                totalPages: Math.ceil(this.records.length / actualPageSize),
-                hasNextPage: endIndex < this.records.length,
+                totalRecords: totalRecords,
+                totalPages: Math.ceil(totalRecords / actualPageSize),
+                hasNextPage: endIndex < totalRecords,
                 hasPreviousPage: page > 1
             };
             
         } catch (error) {
-            console.error('获取记录失败:', error);
+            this.logger.error('获取记录失败:', error);
             return {
                 records: [],
                 currentPage: 1,
@@ -294,84 +367,198 @@ class RecordManager {
      * @returns {number} 记录总数
      */
     getTotalRecords() {
+        if (this.storageType === 'indexedDB' && this.database && this.database.isOpen()) {
+            return this.totalRecordCount;
+        }
         return this.records.length;
     }
 
     /**
      * 清除所有记录
-     * @returns {boolean} 清除是否成功
+     * @returns {Promise<boolean>} 清除是否成功
      */
-    clearRecords() {
+    async clearRecords() {
         try {
             this.records = [];
+            
+            this.memoryTestSessions = [];
+            
+            if (await this.isDatabaseActive()) {
+                await this.database.clearRecords();
+                await this.database.clearSessions();
+                this.totalRecordCount = 0;
+                this.logger.debug('IndexedDB中的记录已清除');
+                return true;
+            }
+            
+            this.removeWebStorage('localStorage', this.testSessionsKey);
             return this.saveRecordsToCookie();
         } catch (error) {
-            console.error('清除记录失败:', error);
+            this.logger.error('清除记录失败:', error);
             return false;
         }
     }
 
     /**
-     * 筛选记录
-     * @param {Object} criteria - 筛选条件
-     * @returns {Array} 筛选后的记录数组
+     * 保存一次测验会话
+     * 会话与答题记录分开存放，记录通过sessionId关联到会话
+     * @param {Object} session - 测验会话对象
+     * @returns {Promise<boolean>} 保存是否成功
      */
-    filterRecords(criteria) {
+    async saveTestSession(session) {
         try {
-            let filteredRecords = [...this.records];
-            
-            // 按正确性筛选
-            if (criteria.isCorrect !== undefined && criteria.isCorrect !== null) {
-                filteredRecords = filteredRecords.filter(record => 
-                    record.isCorrect === criteria.isCorrect
-                );
-            }
-            
-            // 按难度筛选
-            if (criteria.difficulty !== undefined && criteria.difficulty !== null) {
-                filteredRecords = filteredRecords.filter(record => 
-                    record.difficulty === criteria.difficulty
-                );
-            }
-            
-            // 按时间范围筛选
-            if (criteria.dateFrom) {
-                const fromDate = new Date(criteria.dateFrom);
-                filteredRecords = filteredRecords.filter(record => 
-                    new Date(record.timestamp) >= fromDate
-                );
+            if (await this.isDatabaseActive()) {
+                await this.database.addSession(session);
+                this.logger.debug('📝 测验会话已保存到IndexedDB:', session.id);
+                return true;
             }
-            
-            if (criteria.dateTo) {
-                const toDate = new Date(criteria.dateTo);
-                // 设置为当天结束时间
-                toDate.setHours(23, 59, 59, 999);
-                filteredRecords = filteredRecords.filter(record => 
-                    new Date(record.timestamp) <= toDate
-                );
+
+            // 无IndexedDB时保存到localStorage，只保留最近的会话
+            const sessions = [session, ...this.loadTestSessionsFromStorage().filter(item => item.id !== session.id)]
+                .slice(0, this.maxTestSessions);
+            this.memoryTestSessions = sessions;
+            try {
+                localStorage.setItem(this.testSessionsKey, JSON.stringify(sessions));
+            } catch (storageError) {
+                this.logger.warn('测验会话无法写入localStorage，本次会话使用内存保存:', storageError);
             }
-            
-            // 按耗时范围筛选
-            if (criteria.minTimeSpent !== undefined && criteria.minTimeSpent !== null) {
-                filteredRecords = filteredRecords.filter(record => 
-                    record.timeSpent >= criteria.minTimeSpent
-                );
+            this.logger.debug('📝 测验会话已保存:', session.id);
+            return true;
+        } catch (error) {
+            this.logger.error('保存测验会话失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 获取测验会话（最新在前）
+     * @param {number} limit - 最多返回的会话数
+     * @returns {Promise<Array>} 会话数组
+     */
+    async getTestSessions(limit = 20) {
+        try {
+            if (await this.isDatabaseActive()) {
+                return await this.database.getSessions(limit);
             }
+            return this.loadTestSessionsFromStorage().slice(0, limit);
+        } catch (error) {
+            this.logger.error('读取测验会话失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 从localStorage读取测验会话，读取失败时使用内存中的会话
+     * @returns {Array} 会话数组（最新在前）
+     */
+    loadTestSessionsFromStorage() {
+        const savedSessions = this.readWebStorage('localStorage', this.testSessionsKey);
+        if (!savedSessions) {
+            return this.memoryTestSessions || [];
+        }
+
+        try {
+            const sessions = JSON.parse(savedSessions);
+            return Array.isArray(sessions) ? sessions : [];
+        } catch (error) {
+            this.logger.error('解析测验会话失败:', error);
+            return this.memoryTestSessions || [];
+        }
+    }
+
+    /**
+     * 筛选记录
+     * 使用IndexedDB时直接通过索引查询完整历史，否则筛选内存中的记录
+     * @param {Object} criteria - 筛选条件
+     * @returns {Promise<Array>} 筛选后的记录数组（最新在前）
+     */
+    async filterRecords(criteria = {}) {
+        try {
+            const normalizedCriteria = this.normalizeCriteria(criteria);
             
-            if (criteria.maxTimeSpent !== undefined && criteria.maxTimeSpent !== null) {
-                filteredRecords = filteredRecords.filter(record => 
-                    record.timeSpent <= criteria.maxTimeSpent
+            if (await this.isDatabaseActive()) {
+                return await this.database.queryRecords(
+                    normalizedCriteria,
+                    record => this.matchesCriteria(record, normalizedCriteria)
                 );
             }
             
-            return filteredRecords;
+            return this.records.filter(record => this.matchesCriteria(record, normalizedCriteria));
             
         } catch (error) {
-            console.error('筛选记录失败:', error);
+            this.logger.error('筛选记录失败:', error);
             return [];
         }
     }
 
+    /**
+     * 规范化筛选条件，将日期字符串转换为Date对象
+     * @param {Object} criteria - 筛选条件
+     * @returns {Object} 规范化后的筛选条件
+     */
+    normalizeCriteria(criteria) {
+        const normalized = { ...criteria };
+        
+        if (criteria.dateFrom) {
+            normalized.dateFrom = new Date(criteria.dateFrom);
+        }
+        
+        if (criteria.dateTo) {
+            normalized.dateTo = new Date(criteria.dateTo);
+            // 设置为当天结束时间
+            normalized.dateTo.setHours(23, 59, 59, 999);
+        }
+        
+        return normalized;
+    }
+
+    /**
+     * 判断记录是否符合筛选条件
+     * @param {Object} record - 记录对象
+     * @param {Object} criteria - 规范化后的筛选条件
+     * @returns {boolean} 是否符合
+     */
+    matchesCriteria(record, criteria) {
+        // 按正确性筛选
+        if (criteria.isCorrect !== undefined && criteria.isCorrect !== null && record.isCorrect !== criteria.isCorrect) {
+            return false;
+        }
+        
+        // 按难度筛选
+        if (criteria.difficulty !== undefined && criteria.difficulty !== null && record.difficulty !== criteria.difficulty) {
+            return false;
+        }
+        
+        // 按题型筛选（旧记录没有题型字段，视为看钟读时间）
+        if (criteria.questionType && (record.questionType || 'read') !== criteria.questionType) {
+            return false;
+        }
+        
+        // 按钟面样式筛选（旧记录没有钟面样式字段，视为阿拉伯数字钟面）
+        if (criteria.faceStyle && (record.faceStyle || 'arabic') !== criteria.faceStyle) {
+            return false;
+        }
+        
+        // 按时间范围筛选
+        const timestamp = new Date(record.timestamp);
+        if (criteria.dateFrom && timestamp < criteria.dateFrom) {
+            return false;
+        }
+        if (criteria.dateTo && timestamp > criteria.dateTo) {
+            return false;
+        }
+        
+        // 按耗时范围筛选
+        if (criteria.minTimeSpent !== undefined && criteria.minTimeSpent !== null && record.timeSpent < criteria.minTimeSpent) {
+            return false;
+        }
+        if (criteria.maxTimeSpent !== undefined && criteria.maxTimeSpent !== null && record.timeSpent > criteria.maxTimeSpent) {
+            return false;
+        }
+        
+        return true;
+    }
+
     /**
      * 搜索记录
      * @param {string} searchTerm - 搜索关键词
@@ -404,7 +591,7 @@ class RecordManager {
                 }
                 
                 // 搜索正确性状态
-                const statusStr = record.isCorrect ? '正确' : '错误';
+                const statusStr = this.i18n.t(record.isCorrect ? 'record.filters.correct' : 'record.filters.incorrect');
                 if (statusStr.includes(term)) {
                     return true;
                 }
@@ -413,7 +600,7 @@ class RecordManager {
             });
             
         } catch (error) {
-            console.error('搜索记录失败:', error);
+            this.logger.error('搜索记录失败:', error);
             return [];
         }
     }
@@ -432,8 +619,15 @@ class RecordManager {
                     correctCount: 0,
                     incorrectCount: 0,
                     correctRate: 0,
+                    unaidedCorrectCount: 0,
+                    hintedCorrectCount: 0,
+                    unaidedCorrectRate: 0,
+                    averageScore: 0,
                     averageTimeSpent: 0,
                     difficultyStats: {},
+                    faceStyleStats: this.createFaceStyleStats([]),
+                    mistakeTypeStats: {},
+                    mostCommonMistake: null,
                     recentActivity: []
                 };
             }
@@ -442,6 +636,12 @@ class RecordManager {
             const incorrectCount = total - correctCount;
             const correctRate = Math.round((correctCount / total) * 100);
             
+            // 区分不用提示答对和用了提示才答对的题目
+            const unaidedCorrectCount = this.records.filter(r => this.isUnaidedCorrect(r)).length;
+            const hintedCorrectCount = correctCount - unaidedCorrectCount;
+            const unaidedCorrectRate = Math.round((unaidedCorrectCount / total) * 100);
+            const averageScore = Math.round(this.records.reduce((sum, r) => sum + this.getRecordScore(r), 0) / total);
+            
             // 计算平均耗时
             const totalTimeSpent = this.records.reduce((sum, r) => sum + r.timeSpent, 0);
             const averageTimeSpent = Math.round(totalTimeSpent / total);
@@ -451,16 +651,46 @@ class RecordManager {
             for (let i = 1; i <= 5; i++) {
                 const difficultyRecords = this.records.filter(r => r.difficulty === i);
                 const difficultyCorrect = difficultyRecords.filter(r => r.isCorrect).length;
+                const difficultyUnaided = difficultyRecords.filter(r => this.isUnaidedCorrect(r)).length;
                 
                 difficultyStats[i] = {
                     total: difficultyRecords.length,
                     correct: difficultyCorrect,
                     incorrect: difficultyRecords.length - difficultyCorrect,
                     correctRate: difficultyRecords.length > 0 ? 
-                        Math.round((difficultyCorrect / difficultyRecords.length) * 100) : 0
+                        Math.round((difficultyCorrect / difficultyRecords.length) * 100) : 0,
+                    unaidedCorrect: difficultyUnaided,
+                    unaidedCorrectRate: difficultyRecords.length > 0 ?
+                        Math.round((difficultyUnaided / difficultyRecords.length) * 100) : 0
                 };
             }
             
+            // 按钟面样式统计
+            const faceStyleStats = this.createFaceStyleStats(this.records);
+            
+            // 按错误类型统计（选择题中误选的干扰项）
+            const mistakeTypeStats = {};
+            const mistakeRecords = this.records.filter(r => !r.isCorrect && r.distractorType);
+            mistakeRecords.forEach(record => {
+                if (!mistakeTypeStats[record.distractorType]) {
+                    mistakeTypeStats[record.distractorType] = {
+                        name: this.getMistakeTypeName(record.distractorType),
+                        count: 0,
+                        percentage: 0
+                    };
+                }
+                mistakeTypeStats[record.distractorType].count++;
+            });
+            
+            let mostCommonMistake = null;
+            Object.keys(mistakeTypeStats).forEach(type => {
+                const stats = mistakeTypeStats[type];
+                stats.percentage = Math.round((stats.count / mistakeRecords.length) * 100);
+                if (!mostCommonMistake || stats.count > mistakeTypeStats[mostCommonMistake].count) {
+                    mostCommonMistake = type;
+                }
+            });
+            
             // 最近活动（最近10条记录）
             const recentActivity = this.records.slice(0, 10).map(record => ({
                 timestamp: record.timestamp,
@@ -474,25 +704,93 @@ class RecordManager {
                 correctCount,
                 incorrectCount,
                 correctRate,
+                unaidedCorrectCount,
+                hintedCorrectCount,
+                unaidedCorrectRate,
+                averageScore,
                 averageTimeSpent,
                 difficultyStats,
+                faceStyleStats,
+                mistakeTypeStats,
+                mostCommonMistake,
                 recentActivity
             };
             
         } catch (error) {
-            console.error('获取统计信息失败:', error);
+            this.logger.error('获取统计信息失败:', error);
             return {
                 totalRecords: 0,
                 correctCount: 0,
                 incorrectCount: 0,
                 correctRate: 0,
+                unaidedCorrectCount: 0,
+                hintedCorrectCount: 0,
+                unaidedCorrectRate: 0,
+                averageScore: 0,
                 averageTimeSpent: 0,
                 difficultyStats: {},
+                faceStyleStats: {},
+                mistakeTypeStats: {},
+                mostCommonMistake: null,
                 recentActivity: []
             };
         }
     }
 
+    /**
+     * 计算一道题的得分：答错0分，不用提示答对100分，每用一步提示减hintPenalty分
+     * @param {boolean} isCorrect - 是否答对
+     * @param {number} hintsUsed - 使用的提示步数
+     * @returns {number} 得分（0-100）
+     */
+    calculateScore(isCorrect, hintsUsed = 0) {
+        if (!isCorrect) {
+            return 0;
+        }
+        return Math.max(0, 100 - (Number(hintsUsed) || 0) * this.hintPenalty);
+    }
+
+    /**
+     * 获取记录的得分（旧记录没有得分字段，按是否答对计算）
+     * @param {Object} record - 答题记录
+     * @returns {number} 得分（0-100）
+     */
+    getRecordScore(record) {
+        return typeof record.score === 'number' ? record.score : this.calculateScore(record.isCorrect, record.hintsUsed);
+    }
+
+    /**
+     * 是否没有使用提示就答对了（旧记录没有提示字段，视为没有使用提示）
+     * @param {Object} record - 答题记录
+     * @returns {boolean} 是否独立答对
+     */
+    isUnaidedCorrect(record) {
+        return !!record.isCorrect && !(record.hintsUsed > 0);
+    }
+
+    /**
+     * 按钟面样式统计正确率（旧记录没有钟面样式字段，视为阿拉伯数字钟面）
+     * @param {Array} records - 记录数组
+     * @returns {Object} 以钟面样式id为键的统计 {name, total, correct, incorrect, correctRate}
+     */
+    createFaceStyleStats(records) {
+        const faceStyleStats = {};
+        ['arabic', 'roman', 'quarters', 'ticks'].forEach(faceStyle => {
+            const styleRecords = records.filter(r => (r.faceStyle || 'arabic') === faceStyle);
+            const styleCorrect = styleRecords.filter(r => r.isCorrect).length;
+            
+            faceStyleStats[faceStyle] = {
+                name: this.getFaceStyleName(faceStyle),
+                total: styleRecords.length,
+                correct: styleCorrect,
+                incorrect: styleRecords.length - styleCorrect,
+                correctRate: styleRecords.length > 0 ?
+                    Math.round((styleCorrect / styleRecords.length) * 100) : 0
+            };
+        });
+        return faceStyleStats;
+    }
+
     /**
      * 验证记录格式
      * @param {Object} record - 要验证的记录
@@ -508,30 +806,37 @@ class RecordManager {
         
         for (const field of requiredFields) {
             if (!(field in record)) {
-                console.error(`记录缺少必需字段: ${field}`);
+                this.logger.error(`记录缺少必需字段: ${field}`);
                 return false;
             }
         }
         
-        // 验证时间对象格式
-        if (!this.validateTimeObject(record.userAnswer) || !this.validateTimeObject(record.correctAnswer)) {
-            console.error('时间对象格式无效');
+        // 验证时间对象格式（经过时间题问经过多久时，答案是小时可以为0的时长）
+        const isDuration = !!record.elapsed && record.elapsed.answerType === 'duration';
+        const validateAnswer = answer => isDuration ? this.validateDurationObject(answer) : this.validateTimeObject(answer);
+        if (!validateAnswer(record.userAnswer) || !validateAnswer(record.correctAnswer)) {
+            this.logger.error('时间对象格式无效');
             return false;
         }
         
         // 验证其他字段类型
         if (typeof record.isCorrect !== 'boolean') {
-            console.error('isCorrect字段必须是布尔值');
+            this.logger.error('isCorrect字段必须是布尔值');
             return false;
         }
         
         if (typeof record.timeSpent !== 'number' || record.timeSpent < 0) {
-            console.error('timeSpent字段必须是非负数');
+            this.logger.error('timeSpent字段必须是非负数');
             return false;
         }
         
         if (typeof record.difficulty !== 'number' || record.difficulty < 1 || record.difficulty > 5) {
-            console.error('difficulty字段必须是1-5的数字');
+            this.logger.error('difficulty字段必须是1-5的数字');
+            return false;
+        }
+        
+        if (record.hintsUsed !== undefined && (!Number.isInteger(record.hintsUsed) || record.hintsUsed < 0)) {
+            this.logger.error('hintsUsed字段必须是非负整数');
             return false;
         }
         
@@ -548,11 +853,31 @@ class RecordManager {
             return false;
         }
         
-        const { hours, minutes, seconds } = timeObj;
+        const { hours, minutes, seconds, meridiem } = timeObj;
         
         return (
             typeof hours === 'number' && hours >= 1 && hours <= 12 &&
             typeof minutes === 'number' && minutes >= 0 && minutes <= 59 &&
+            typeof seconds === 'number' && seconds >= 0 && seconds <= 59 &&
+            (meridiem === undefined || meridiem === 'am' || meridiem === 'pm') // 上午/下午情境题才有meridiem
+        );
+    }
+
+    /**
+     * 验证时长对象格式（经过时间题的答案）
+     * @param {Object} duration - 时长对象 {hours, minutes, seconds}
+     * @returns {boolean} 时长对象是否有效
+     */
+    validateDurationObject(duration) {
+        if (!duration || typeof duration !== 'object') {
+            return false;
+        }
+        
+        const { hours, minutes, seconds } = duration;
+        
+        return (
+            typeof hours === 'number' && hours >= 0 && hours <= 12 &&
+            typeof minutes === 'number' && minutes >= 0 && minutes <= 59 &&
             typeof seconds === 'number' && seconds >= 0 && seconds <= 59
         );
     }
@@ -564,6 +889,7 @@ class RecordManager {
      */
     createFullRecord(record) {
         const now = new Date();
+        const hintsUsed = record.hintsUsed || 0;
         
         return {
             id: this.generateRecordId(),
@@ -573,7 +899,16 @@ class RecordManager {
             isCorrect: record.isCorrect,
             timeSpent: record.timeSpent,
             difficulty: record.difficulty,
-            difficultyName: record.difficultyName || this.getDifficultyName(record.difficulty)
+            difficultyName: record.difficultyName || this.getDifficultyName(record.difficulty),
+            questionType: record.questionType || 'read', // 题型：read-看钟读时间，set-拨针对时间，choice-看钟选时间，phrase-看钟说读法，elapsed-经过时间
+            meridiemMode: record.meridiemMode || null, // 上午/下午情境题的回答方式：24h或ampm，普通题目为null（答案中的meridiem字段记录上午/下午）
+            userPhrase: record.userPhrase || null, // 读法题中孩子写出的读法
+            faceStyle: record.faceStyle || 'arabic', // 钟面样式：arabic-阿拉伯数字，roman-罗马数字，quarters-只有3/6/9/12，ticks-只有刻度
+            distractorType: record.distractorType || null, // 选择题中误选的干扰项类型
+            elapsed: record.elapsed ? { ...record.elapsed } : null, // 经过时间题的开始、结束时间和题型（duration-经过多久，endTime-结束时间）
+            sessionId: record.sessionId || null, // 所属测验会话ID，平时练习为null
+            hintsUsed: hintsUsed, // 提交前使用的提示步数（0表示没有使用提示）
+            score: this.calculateScore(record.isCorrect, hintsUsed) // 得分：不用提示答对100分，用了提示按步数减分
         };
     }
 
@@ -591,15 +926,28 @@ class RecordManager {
      * @returns {string} 难度名称
      */
     getDifficultyName(difficulty) {
-        const difficultyNames = {
-            1: '1星 - 整点时间',
-            2: '2星 - 30分钟间隔',
-            3: '3星 - 5分钟间隔',
-            4: '4星 - 1分钟间隔',
-            5: '5星 - 包含秒数'
-        };
-        
-        return difficultyNames[difficulty] || `${difficulty}星`;
+        const key = `difficulty.levels.${difficulty}.name`;
+        return this.i18n.has(key) ? this.i18n.t(key) : this.i18n.t('difficulty.starLevel', { level: difficulty });
+    }
+
+    /**
+     * 获取钟面样式名称
+     * @param {string} faceStyle - 钟面样式
+     * @returns {string} 钟面样式名称
+     */
+    getFaceStyleName(faceStyle) {
+        const key = `faceStyle.${faceStyle}.name`;
+        return this.i18n.has(key) ? this.i18n.t(key) : faceStyle;
+    }
+
+    /**
+     * 获取错误类型名称
+     * @param {string} mistakeType - 错误类型（选择题干扰项类型或错误模式分析类型）
+     * @returns {string} 错误类型名称
+     */
+    getMistakeTypeName(mistakeType) {
+        const key = `mistake.names.${mistakeType}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : mistakeType;
     }
 
     /**
@@ -635,18 +983,18 @@ class RecordManager {
                         timestamp: new Date(record.timestamp)
                     })).filter(record => this.validateRecord(record));
                     
-                    console.log(`从Cookie成功加载 ${this.records.length} 条记录`);
+                    this.logger.debug(`从Cookie成功加载 ${this.records.length} 条记录`);
                 } else {
-                    console.warn('Cookie中的记录格式无效');
+                    this.logger.warn('Cookie中的记录格式无效');
                     this.records = [];
                 }
             } else {
                 this.records = [];
-                console.log('未找到历史记录Cookie');
+                this.logger.debug('未找到历史记录Cookie');
             }
             
         } catch (error) {
-            console.error('从Cookie加载记录失败:', error);
+            this.logger.error('从Cookie加载记录失败:', error);
             this.records = [];
         }
     }
@@ -659,8 +1007,8 @@ class RecordManager {
         try {
             // 检查Cookie是否可用
             if (!this.isCookieSupported()) {
-                console.warn('浏览器不支持Cookie，记录将不会被保存');
-                this.handleStorageError('Cookie不支持');
+                this.logger.warn('浏览器不支持Cookie，记录将不会被保存');
+                this.handleStorageError('cookieUnsupported');
                 return false;
             }
 
@@ -671,7 +1019,7 @@ class RecordManager {
                         timestamp: record.timestamp.toISOString()
                     };
                 } catch (dateError) {
-                    console.warn('记录时间戳转换失败:', record.id, dateError);
+                    this.logger.warn('记录时间戳转换失败:', record.id, dateError);
                     return {
                         ...record,
                         timestamp: new Date().toISOString() // 使用当前时间作为备用
@@ -683,8 +1031,8 @@ class RecordManager {
             try {
                 jsonString = JSON.stringify(recordsToSave);
             } catch (jsonError) {
-                console.error('记录序列化失败:', jsonError);
-                this.handleStorageError('数据序列化失败');
+                this.logger.error('记录序列化失败:', jsonError);
+                this.handleStorageError('serializeFailed');
                 return false;
             }
             
@@ -692,12 +1040,12 @@ class RecordManager {
             
             // 检查Cookie大小限制（大约4KB）
             if (encodedValue.length > 4000) {
-                console.warn('记录数据过大，尝试压缩数据');
+                this.logger.warn('记录数据过大，尝试压缩数据');
                 const compressionResult = this.compressRecordsForStorage();
                 
                 if (!compressionResult.success) {
-                    console.error('数据压缩失败，无法保存记录');
-                    this.handleStorageError('数据过大且压缩失败');
+                    this.logger.error('数据压缩失败，无法保存记录');
+                    this.handleStorageError('tooLarge');
                     return false;
                 }
                 
@@ -712,27 +1060,27 @@ class RecordManager {
             try {
                 this.setCookie(this.cookieName, encodedValue, expirationDate);
             } catch (cookieError) {
-                console.error('设置Cookie失败:', cookieError);
-                this.handleStorageError('Cookie写入失败');
+                this.logger.error('设置Cookie失败:', cookieError);
+                this.handleStorageError('cookieWriteFailed');
                 return false;
             }
             
             // 验证保存是否成功
             const savedValue = this.getCookie(this.cookieName);
             if (!savedValue || savedValue !== encodedValue) {
-                console.error('Cookie保存验证失败');
-                this.handleStorageError('Cookie保存验证失败');
+                this.logger.error('Cookie保存验证失败');
+                this.handleStorageError('cookieVerifyFailed');
                 return false;
             }
             
-            console.log(`✅ 成功保存 ${this.records.length} 条记录到Cookie`);
-            console.log('🍪 Cookie名称:', this.cookieName);
-            console.log('🍪 保存的数据长度:', encodedValue.length);
+            this.logger.debug(`✅ 成功保存 ${this.records.length} 条记录到Cookie`);
+            this.logger.debug('🍪 Cookie名称:', this.cookieName);
+            this.logger.debug('🍪 保存的数据长度:', encodedValue.length);
             return true;
             
         } catch (error) {
-            console.error('保存记录到Cookie时发生严重错误:', error);
-            this.handleStorageError('存储系统异常');
+            this.logger.error('保存记录到Cookie时发生严重错误:', error);
+            this.handleStorageError('storageFailed');
             return false;
         }
     }
@@ -764,7 +1112,7 @@ class RecordManager {
             
             return supported;
         } catch (error) {
-            console.warn('Cookie支持检测失败:', error);
+            this.logger.warn('Cookie支持检测失败:', error);
             return false;
         }
     }
@@ -790,13 +1138,13 @@ class RecordManager {
                 const testEncodedValue = encodeURIComponent(testJsonString);
                 
                 if (testEncodedValue.length <= 4000) {
-                    console.log(`通过删除旧记录压缩成功，从 ${originalLength} 条减少到 ${this.records.length} 条`);
+                    this.logger.debug(`通过删除旧记录压缩成功，从 ${originalLength} 条减少到 ${this.records.length} 条`);
                     return { success: true, method: 'deleteOld', removedCount: originalLength - this.records.length };
                 }
                 
                 // 如果记录数量已经很少但仍然过大，说明单条记录太大
                 if (this.records.length < 10) {
-                    console.warn('即使只保留少量记录仍然过大，可能存在异常数据');
+                    this.logger.warn('即使只保留少量记录仍然过大，可能存在异常数据');
                     break;
                 }
             }
@@ -825,18 +1173,18 @@ class RecordManager {
                         difficultyName: this.getDifficultyName(record.difficulty)
                     }));
                     
-                    console.log('通过简化记录结构压缩成功');
+                    this.logger.debug('通过简化记录结构压缩成功');
                     return { success: true, method: 'simplify', removedCount: originalLength - this.records.length };
                 }
             }
             
             // 策略3: 如果以上都不行，清空所有记录
-            console.warn('无法通过压缩解决存储问题，清空所有记录');
+            this.logger.warn('无法通过压缩解决存储问题，清空所有记录');
             this.records = [];
             return { success: true, method: 'clearAll', removedCount: originalLength };
             
         } catch (error) {
-            console.error('压缩记录数据失败:', error);
+            this.logger.error('压缩记录数据失败:', error);
             return { success: false, error: error.message };
         }
     }
@@ -846,11 +1194,11 @@ class RecordManager {
      * @param {string} errorType - 错误类型
      */
     handleStorageError(errorType) {
-        console.warn('记录存储出现问题:', errorType);
+        this.logger.warn('记录存储出现问题:', errorType);
         
         // 防止无限循环
         if (this.isHandlingStorageError) {
-            console.warn('正在处理存储错误，跳过重复处理');
+            this.logger.warn('正在处理存储错误，跳过重复处理');
             return;
         }
         
@@ -900,16 +1248,10 @@ class RecordManager {
                 }
             }
             
-            const errorMessages = {
-                'Cookie不支持': '浏览器不支持Cookie，答题记录将无法保存',
-                '数据序列化失败': '记录数据格式异常，无法保存',
-                '数据过大且压缩失败': '记录数据过多，请手动清理历史记录',
-                'Cookie写入失败': 'Cookie写入失败，可能是浏览器限制',
-                'Cookie保存验证失败': 'Cookie保存验证失败，数据可能未正确保存',
-                '存储系统异常': '存储系统出现异常，记录功能暂时不可用'
-            };
-            
-            const message = errorMessages[errorType] || `存储错误: ${errorType}`;
+            const key = `record.storage.errors.${errorType}`;
+            const message = this.i18n.has(key) ?
+                this.i18n.t(key) :
+                this.i18n.t('record.storage.errors.unknown', { error: errorType });
             errorElement.textContent = message;
             errorElement.style.display = 'block';
             
@@ -920,7 +1262,7 @@ class RecordManager {
                 }
             }, 10000);
         } catch (error) {
-            console.error('显示存储错误消息失败:', error);
+            this.logger.error('显示存储错误消息失败:', error);
         }
     }
 
@@ -931,102 +1273,49 @@ class RecordManager {
         try {
             // 策略1: 尝试使用sessionStorage作为备用
             if (this.trySessionStorage()) {
-                console.log('启用sessionStorage作为备用存储');
+                this.logger.debug('启用sessionStorage作为备用存储');
                 this.storageType = 'sessionStorage';
-                this.showFallbackStorageMessage('使用会话存储，关闭浏览器后记录将丢失');
+                this.showFallbackStorageMessage(this.i18n.t('record.storage.sessionStorage'));
                 return;
             }
             
             // 策略2: 尝试使用localStorage（可能之前失败是临时的）
             if (this.tryLocalStorage()) {
-                console.log('localStorage已恢复可用');
+                this.logger.debug('localStorage已恢复可用');
                 this.storageType = 'localStorage';
-                this.showFallbackStorageMessage('存储功能已恢复正常');
+                this.showFallbackStorageMessage(this.i18n.t('record.storage.localStorage'));
                 return;
             }
             
             // 策略3: 使用IndexedDB（如果可用）
             if (this.tryIndexedDB()) {
-                console.log('启用IndexedDB作为备用存储');
+                this.logger.debug('启用IndexedDB作为备用存储');
                 this.storageType = 'indexedDB';
-                this.showFallbackStorageMessage('使用高级存储，功能正常');
+                this.showFallbackStorageMessage(this.i18n.t('record.storage.indexedDB'));
                 return;
             }
             
             // 策略4: 使用内存存储
-            console.log('启用内存存储作为最后备用方案');
+            this.logger.debug('启用内存存储作为最后备用方案');
             this.storageType = 'memory';
             this.useMemoryStorage = true;
             this.memoryRecords = [...this.records]; // 备份当前记录到内存
-            this.showFallbackStorageMessage('使用临时存储，刷新页面后记录将丢失');
+            this.showFallbackStorageMessage(this.i18n.t('record.storage.memory'));
             
         } catch (error) {
-            console.error('启用备用存储失败:', error);
+            this.logger.error('启用备用存储失败:', error);
             this.storageType = 'none';
             this.showStorageCompletelyFailedMessage();
         }
     }
 
-    /**
-     * 显示存储完全失败的消息
-     */
-    showStorageCompletelyFailedMessage() {
-        try {
-            let errorElement = document.getElementById('storage-complete-failure');
-            if (!errorElement) {
-                errorElement = document.createElement('div');
-                errorElement.id = 'storage-complete-failure';
-                errorElement.className = 'error-message storage-critical-error';
-                
-                const recordContainer = document.querySelector('.record-section') || 
-                                       document.querySelector('.main-container');
-                if (recordContainer) {
-                    recordContainer.appendChild(errorElement);
-                }
-            }
-            
-            errorElement.innerHTML = `
-                <div class="critical-error-content">
-                    <span class="error-icon">🚫</span>
-                    <h4>存储功能完全不可用</h4>
-                    <p>所有存储方案都失败，答题记录将无法保存</p>
-                    <div class="error-actions">
-                        <button class="export-session-btn" onclick="this.dispatchEvent(new CustomEvent('exportSession'))">
-                            导出当前会话记录
-                        </button>
-                        <button class="retry-storage-btn" onclick="this.dispatchEvent(new CustomEvent('retryStorage'))">
-                            重试存储功能
-                        </button>
-                    </div>
-                    <p class="error-hint">您仍然可以正常练习，但记录不会被保存</p>
-                </div>
-            `;
-            errorElement.style.display = 'block';
-            
-            // 添加事件监听
-            const errorContent = errorElement.querySelector('.critical-error-content');
-            if (errorContent) {
-                errorContent.addEventListener('exportSession', () => {
-                    this.exportCurrentSession();
-                });
-                
-                errorContent.addEventListener('retryStorage', () => {
-                    this.enableFallbackStorage();
-                });
-            }
-            
-        } catch (error) {
-            console.error('显示存储完全失败消息失败:', error);
-        }
-    }
-
     /**
      * 导出当前会话记录
      */
     exportCurrentSession() {
         try {
             if (this.records.length === 0) {
-                alert('当前没有记录可以导出');
+                alert(this.i18n.t('record.export.empty'));
                 return;
             }
             
@@ -1051,12 +1340,12 @@ class RecordManager {
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
             
-            console.log('会话记录已导出');
-            alert(`已导出 ${this.records.length} 条记录到文件`);
+            this.logger.debug('会话记录已导出');
+            alert(this.i18n.t('record.export.done', { count: this.records.length }));
             
         } catch (error) {
-            console.error('导出会话记录失败:', error);
-            alert('导出失败，请稍后重试');
+            this.logger.error('导出会话记录失败:', error);
+            alert(this.i18n.t('record.export.failed'));
         }
     }
 
@@ -1095,7 +1384,7 @@ class RecordManager {
                 }
             }, 10000);
         } catch (error) {
-            console.error('显示备用存储消息失败:', error);
+            this.logger.error('显示备用存储消息失败:', error);
         }
     }
 
@@ -1118,13 +1407,13 @@ class RecordManager {
             
             if (readValue === testValue) {
                 this.useSessionStorage = true;
-                this.cookieName = 'sessionClockLearningRecords';
+                this.cookieName = this.sessionStorageKey;
                 return true;
             }
             
             return false;
         } catch (error) {
-            console.warn('sessionStorage测试失败:', error);
+            this.logger.warn('sessionStorage测试失败:', error);
             return false;
         }
     }
@@ -1154,7 +1443,7 @@ class RecordManager {
             
             return false;
         } catch (error) {
-            console.warn('localStorage测试失败:', error);
+            this.logger.warn('localStorage测试失败:', error);
             return false;
         }
     }
@@ -1164,88 +1453,266 @@ class RecordManager {
      * @returns {boolean} 是否可用
      */
     tryIndexedDB() {
-        try {
-            if (!window.indexedDB) {
+        return !!this.database && this.database.isOpen();
+    }
+
+    /**
+     * 初始化IndexedDB存储
+     * 打开数据库后迁移旧版存储中的记录、清理过期记录，并刷新内存缓存
+     * @returns {Promise<boolean>} IndexedDB是否可用
+     */
+    initializeIndexedDB() {
+        if (!this.database || !this.database.isSupported()) {
+            this.logger.debug('IndexedDB不可用，继续使用', this.storageType, '存储');
+            return Promise.resolve(false);
+        }
+        
+        // 初始化期间保存的记录会等待数据库就绪后写入
+        const database = this.database;
+        const previousStorageType = this.storageType;
+        this.storageType = 'indexedDB';
+        
+        return this.setupIndexedDB(database).catch(error => {
+            // 已切换到其他学习者档案时，失败的是旧档案的数据库，不影响当前档案的存储
+            if (database !== this.database) {
+                this.logger.debug('旧档案的IndexedDB初始化中断:', error);
                 return false;
             }
+            this.logger.error('初始化IndexedDB失败，回退到原存储方式:', error);
+            this.storageType = previousStorageType === 'indexedDB' ? 'cookie' : previousStorageType;
             
-            // IndexedDB是异步的，这里只检查是否可用
-            // 实际使用需要异步初始化
-            this.initializeIndexedDB();
+            // 初始化期间保存的记录改存到回退存储
+            if (this.records.length > 0) {
+                this.saveRecordWithFallback(this.records[0]);
+            }
+            return false;
+        });
+    }
+
+    /**
+     * 打开数据库并完成迁移、清理和缓存加载
+     * 开始时记下本档案的内存记录和旧存储键名，每次等待之后都检查是否已切换到其他学习者档案，
+     * 切换后不再写入，避免把新档案的记录写进旧档案的数据库
+     * @param {RecordDatabase} database - 本档案的数据库
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async setupIndexedDB(database) {
+        const records = this.records.slice();
+        const legacyStorageKeys = this.legacyStorageKeys.slice();
+        const abandon = () => {
+            if (database === this.database) {
+                return false;
+            }
+            database.close();
+            this.logger.debug('初始化期间已切换学习者档案，放弃旧档案的IndexedDB初始化');
             return true;
-        } catch (error) {
-            console.warn('IndexedDB不可用:', error);
+        };
+        
+        // 1. 打开数据库
+        await database.open();
+        if (abandon()) {
+            return false;
+        }
+        
+        // 2. 一次性迁移Cookie、localStorage、sessionStorage中的旧记录
+        await this.migrateLegacyRecords(database, legacyStorageKeys, records);
+        if (abandon()) {
+            return false;
+        }
+        
+        // 3. 写入初始化开始时内存中的记录（按ID覆盖，不会重复）
+        await database.putRecords(records);
+        if (abandon()) {
+            return false;
+        }
+        
+        // 4. 清理超过保留期限的记录
+        await this.pruneExpiredRecords(database);
+        if (abandon()) {
+            return false;
+        }
+        
+        // 5. 用数据库中的最新记录刷新内存缓存
+        await this.refreshRecordCache(database);
+        if (abandon()) {
             return false;
         }
+        
+        this.logger.debug(`🗄️ IndexedDB存储已就绪，共 ${this.totalRecordCount} 条记录`);
+        
+        try {
+            document.dispatchEvent(new CustomEvent('recordStorageReady', {
+                detail: {
+                    storageType: this.storageType,
+                    recordCount: this.totalRecordCount,
+                    timestamp: new Date()
+                }
+            }));
+        } catch (error) {
+            this.logger.error('触发记录存储就绪事件失败:', error);
+        }
+        
+        return true;
     }
 
     /**
-     * 初始化IndexedDB
+     * 等待数据库初始化，并判断当前是否使用IndexedDB
+     * @returns {Promise<boolean>} 是否使用IndexedDB
      */
-    initializeIndexedDB() {
+    async isDatabaseActive() {
+        const ready = await this.databaseReady;
+        return ready && this.storageType === 'indexedDB' && this.database.isOpen();
+    }
+
+    /**
+     * 从旧版存储迁移记录到IndexedDB（只执行一次）
+     * @param {RecordDatabase} database - 迁移到的数据库
+     * @param {Array<string>} legacyStorageKeys - 这个档案旧版存储使用的键名
+     * @param {Array<Object>} records - 这个档案内存中的记录
+     * @returns {Promise<number>} 迁移的记录数（迁移期间切换了档案时为0）
+     */
+    async migrateLegacyRecords(database, legacyStorageKeys, records) {
+        const migration = await database.getMeta('legacyMigration');
+        if (migration || database !== this.database) {
+            return 0;
+        }
+        
+        // 1. 收集各个旧存储中的记录并按ID去重
+        const recordMap = new Map();
+        const addRecords = (records, source) => {
+            records.forEach(record => {
+                if (!record.id) {
+                    record.id = this.generateRecordId();
+                }
+                if (!recordMap.has(record.id)) {
+                    recordMap.set(record.id, record);
+                }
+            });
+            if (records.length > 0) {
+                this.logger.debug(`从${source}找到 ${records.length} 条待迁移记录`);
+            }
+        };
+        
+        legacyStorageKeys.forEach(key => {
+            const cookieValue = this.getCookie(key);
+            if (cookieValue) {
+                addRecords(this.parseLegacyRecords(decodeURIComponent(cookieValue)), 'Cookie');
+            }
+            addRecords(this.parseLegacyRecords(this.readWebStorage('localStorage', key)), 'localStorage');
+            addRecords(this.parseLegacyRecords(this.readWebStorage('sessionStorage', key)), 'sessionStorage');
+        });
+        addRecords(records, '内存');
+        
+        // 2. 写入数据库并标记迁移完成（每次等待后确认没有切换档案）
+        const migratedRecords = Array.from(recordMap.values());
+        await database.putRecords(migratedRecords);
+        if (database !== this.database) {
+            return 0;
+        }
+        await database.setMeta('legacyMigration', {
+            completedAt: new Date().toISOString(),
+            recordCount: migratedRecords.length
+        });
+        if (database !== this.database) {
+            return 0;
+        }
+        
+        // 3. 清理旧存储，避免重复迁移和Cookie体积限制
+        legacyStorageKeys.forEach(key => {
+            this.deleteCookie(key);
+            this.removeWebStorage('localStorage', key);
+            this.removeWebStorage('sessionStorage', key);
+        });
+        
+        this.logger.debug(`✅ 旧记录迁移完成，共迁移 ${migratedRecords.length} 条记录`);
+        return migratedRecords.length;
+    }
+
+    /**
+     * 解析旧版存储中的记录JSON
+     * @param {string|null} jsonString - 记录JSON字符串
+     * @returns {Array<Object>} 有效的记录数组
+     */
+    parseLegacyRecords(jsonString) {
+        if (!jsonString) {
+            return [];
+        }
+        
         try {
-            const request = indexedDB.open('ClockLearningDB', 1);
-            
-            request.onerror = (event) => {
-                console.error('IndexedDB打开失败:', event);
-                this.storageType = 'memory';
-                this.useMemoryStorage = true;
-            };
-            
-            request.onsuccess = (event) => {
-                this.indexedDB = event.target.result;
-                console.log('IndexedDB初始化成功');
-                
-                // 尝试从IndexedDB加载现有记录
-                this.loadRecordsFromIndexedDB();
-            };
+            const parsedRecords = JSON.parse(jsonString);
+            if (!Array.isArray(parsedRecords)) {
+                return [];
+            }
             
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // 创建对象存储
-                if (!db.objectStoreNames.contains('records')) {
-                    const objectStore = db.createObjectStore('records', { keyPath: 'id' });
-                    objectStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    objectStore.createIndex('difficulty', 'difficulty', { unique: false });
-                }
-            };
+            return parsedRecords.map(record => ({
+                ...record,
+                timestamp: new Date(record.timestamp)
+            })).filter(record => !isNaN(record.timestamp.getTime()) && this.validateRecord(record));
         } catch (error) {
-            console.error('初始化IndexedDB失败:', error);
+            this.logger.warn('解析旧版记录失败:', error);
+            return [];
         }
     }
 
     /**
-     * 从IndexedDB加载记录
+     * 安全读取Web Storage
+     * @param {string} storageName - localStorage或sessionStorage
+     * @param {string} key - 键名
+     * @returns {string|null} 存储的值
      */
-    loadRecordsFromIndexedDB() {
+    readWebStorage(storageName, key) {
         try {
-            if (!this.indexedDB) return;
-            
-            const transaction = this.indexedDB.transaction(['records'], 'readonly');
-            const objectStore = transaction.objectStore('records');
-            const request = objectStore.getAll();
-            
-            request.onsuccess = (event) => {
-                const indexedRecords = event.target.result;
-                if (indexedRecords && indexedRecords.length > 0) {
-                    // 合并IndexedDB中的记录
-                    const convertedRecords = indexedRecords.map(record => ({
-                        ...record,
-                        timestamp: new Date(record.timestamp)
-                    }));
-                    
-                    this.records = [...convertedRecords, ...this.records];
-                    console.log(`从IndexedDB加载了 ${indexedRecords.length} 条记录`);
-                }
-            };
-            
-            request.onerror = (event) => {
-                console.error('从IndexedDB加载记录失败:', event);
-            };
+            return window[storageName] ? window[storageName].getItem(key) : null;
+        } catch (error) {
+            this.logger.warn(`读取${storageName}失败:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 安全删除Web Storage中的键
+     * @param {string} storageName - localStorage或sessionStorage
+     * @param {string} key - 键名
+     */
+    removeWebStorage(storageName, key) {
+        try {
+            if (window[storageName]) {
+                window[storageName].removeItem(key);
+            }
         } catch (error) {
-            console.error('从IndexedDB加载记录时发生错误:', error);
+            this.logger.warn(`清理${storageName}失败:`, error);
+        }
+    }
+
+    /**
+     * 清理超过保留期限的记录
+     * @param {RecordDatabase} database - 要清理的数据库
+     * @returns {Promise<number>} 删除的记录数
+     */
+    async pruneExpiredRecords(database) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - this.retentionDays);
+        
+        const deletedCount = await database.deleteRecordsBefore(cutoffDate);
+        if (deletedCount > 0) {
+            this.logger.debug(`已清理 ${deletedCount} 条超过 ${this.retentionDays} 天的记录`);
         }
+        return deletedCount;
+    }
+
+    /**
+     * 从IndexedDB刷新内存中的最新记录缓存（读取期间切换了档案时不覆盖新档案的缓存）
+     * @param {RecordDatabase} database - 读取的数据库（默认当前档案的数据库）
+     * @returns {Promise<void>}
+     */
+    async refreshRecordCache(database = this.database) {
+        const records = await database.getRecordsPage(0, this.maxRecords);
+        const totalRecordCount = await database.countRecords();
+        if (database !== this.database) {
+            return;
+        }
+        this.records = records;
+        this.totalRecordCount = totalRecordCount;
     }
 
     /**
@@ -1253,37 +1720,33 @@ class RecordManager {
      * @param {Object} record - 记录对象
      * @returns {Promise<boolean>} 保存是否成功
      */
-    saveRecordToIndexedDB(record) {
-        return new Promise((resolve) => {
-            try {
-                if (!this.indexedDB) {
-                    resolve(false);
-                    return;
-                }
-                
-                const transaction = this.indexedDB.transaction(['records'], 'readwrite');
-                const objectStore = transaction.objectStore('records');
-                
-                const recordToSave = {
-                    ...record,
-                    timestamp: record.timestamp.toISOString()
-                };
-                
-                const request = objectStore.add(recordToSave);
-                
-                request.onsuccess = () => {
-                    resolve(true);
-                };
-                
-                request.onerror = (event) => {
-                    console.error('保存记录到IndexedDB失败:', event);
-                    resolve(false);
-                };
-            } catch (error) {
-                console.error('保存记录到IndexedDB时发生错误:', error);
-                resolve(false);
+    async saveRecordToIndexedDB(record) {
+        // 保存发起时的数据库，避免等待期间切换档案后写入其他档案
+        const database = this.database;
+        const databaseReady = this.databaseReady;
+        
+        try {
+            const ready = await databaseReady;
+            if (!ready) {
+                // 初始化失败时记录已随回退存储保存
+                return false;
             }
-        });
+            
+            await database.addRecord(record);
+            if (database !== this.database) {
+                // 已切换到其他档案，关闭为本次写入重新打开的连接
+                database.close();
+                return true;
+            }
+            
+            this.totalRecordCount = await database.countRecords();
+            this.logger.debug(`✅ 记录已保存到IndexedDB，共 ${this.totalRecordCount} 条`);
+            return true;
+        } catch (error) {
+            this.logger.error('保存记录到IndexedDB失败:', error);
+            this.handleStorageError('indexedDBWriteFailed');
+            return false;
+        }
     }
 
     /**
@@ -1308,22 +1771,22 @@ class RecordManager {
                 <div class="error-content">
                     <span class="error-icon">⚠️</span>
                     <div class="error-text">
-                        <strong>存储功能完全不可用</strong>
-                        <div>所有答题记录将无法保存，但您仍可以正常练习</div>
+                        <strong>${this.i18n.t('record.storage.failed.title')}</strong>
+                        <div>${this.i18n.t('record.storage.failed.description')}</div>
                     </div>
                     <div class="error-actions">
                         <button onclick="this.closest('.storage-failed').style.display='none'">
-                            我知道了
+                            ${this.i18n.t('record.storage.failed.dismiss')}
                         </button>
                         <button onclick="location.reload()">
-                            刷新页面重试
+                            ${this.i18n.t('record.storage.failed.reload')}
                         </button>
                     </div>
                 </div>
             `;
             messageElement.style.display = 'block';
         } catch (error) {
-            console.error('显示存储完全失败消息失败:', error);
+            this.logger.error('显示存储完全失败消息失败:', error);
         }
     }
 
@@ -1345,10 +1808,10 @@ class RecordManager {
                 }
             }
             
-            messageElement.textContent = '注意：当前使用临时存储，关闭浏览器后记录将丢失';
+            messageElement.textContent = this.i18n.t('record.storage.temporary');
             messageElement.style.display = 'block';
         } catch (error) {
-            console.error('显示备用存储提示失败:', error);
+            this.logger.error('显示备用存储提示失败:', error);
         }
     }
 
@@ -1409,7 +1872,7 @@ class RecordManager {
         try {
             return JSON.stringify(this.records, null, 2);
         } catch (error) {
-            console.error('导出记录失败:', error);
+            this.logger.error('导出记录失败:', error);
             return null;
         }
     }
@@ -1417,14 +1880,14 @@ class RecordManager {
     /**
      * 从JSON导入记录
      * @param {string} jsonData - JSON格式的记录数据
-     * @returns {boolean} 导入是否成功
+     * @returns {Promise<boolean>} 导入是否成功
      */
-    importRecords(jsonData) {
+    async importRecords(jsonData) {
         try {
             const importedRecords = JSON.parse(jsonData);
             
             if (!Array.isArray(importedRecords)) {
-                console.error('导入数据格式无效');
+                this.logger.error('导入数据格式无效');
                 return false;
             }
             
@@ -1447,17 +1910,24 @@ class RecordManager {
                 this.records = this.records.slice(0, this.maxRecords);
             }
             
-            // 保存到Cookie
-            const success = this.saveRecordsToCookie();
+            // 使用IndexedDB时写入数据库，否则保存到Cookie
+            let success;
+            if (await this.isDatabaseActive()) {
+                await this.database.putRecords(newRecords);
+                await this.refreshRecordCache();
+                success = true;
+            } else {
+                success = this.saveRecordsToCookie();
+            }
             
             if (success) {
-                console.log(`成功导入 ${newRecords.length} 条新记录`);
+                this.logger.debug(`成功导入 ${newRecords.length} 条新记录`);
             }
             
             return success;
             
         } catch (error) {
-            console.error('导入记录失败:', error);
+            this.logger.error('导入记录失败:', error);
             return false;
         }
     }
@@ -1481,26 +1951,7 @@ class RecordManager {
             
             return readValue === testValue;
         } catch (error) {
-            console.warn('localStorage测试失败:', error);
-            return false;
-        }
-    }
-
-    /**
-     * 尝试使用IndexedDB
-     * @returns {boolean} 是否成功
-     */
-    tryIndexedDB() {
-        try {
-            if (!window.indexedDB) {
-                return false;
-            }
-            
-            // IndexedDB需要异步初始化，这里只是检查可用性
-            console.log('IndexedDB可用，但需要异步初始化');
-            return true;
-        } catch (error) {
-            console.warn('IndexedDB测试失败:', error);
+            this.logger.warn('localStorage测试失败:', error);
             return false;
         }
     }
@@ -1524,9 +1975,9 @@ class RecordManager {
                 storageType: this.storageType
             };
             
-            console.log('存储错误统计:', this.storageErrorStats);
+            this.logger.debug('存储错误统计:', this.storageErrorStats);
         } catch (error) {
-            console.warn('记录存储错误统计失败:', error);
+            this.logger.warn('记录存储错误统计失败:', error);
         }
     }
 
@@ -1546,7 +1997,7 @@ class RecordManager {
             });
             document.dispatchEvent(event);
         } catch (error) {
-            console.error('触发存储错误事件失败:', error);
+            this.logger.error('触发存储错误事件失败:', error);
         }
     }
 
@@ -1556,12 +2007,12 @@ class RecordManager {
      */
     attemptStorageRecovery(originalError) {
         try {
-            console.log('尝试恢复存储功能...');
+            this.logger.debug('尝试恢复存储功能...');
             
             // 如果当前使用的是备用存储，尝试恢复主存储
             if (this.storageType !== 'localStorage') {
                 if (this.tryLocalStorage()) {
-                    console.log('localStorage已恢复可用');
+                    this.logger.debug('localStorage已恢复可用');
                     this.storageType = 'localStorage';
                     
                     // 尝试保存当前记录到恢复的存储，但不触发错误处理
@@ -1583,7 +2034,7 @@ class RecordManager {
                             return true;
                         }
                     } catch (saveError) {
-                        console.warn('恢复存储后保存记录失败:', saveError);
+                        this.logger.warn('恢复存储后保存记录失败:', saveError);
                         // 不触发错误处理，避免无限循环
                     }
                 }
@@ -1591,7 +2042,7 @@ class RecordManager {
             
             return false;
         } catch (error) {
-            console.error('尝试存储恢复失败:', error);
+            this.logger.error('尝试存储恢复失败:', error);
             return false;
         }
     }
@@ -1617,7 +2068,7 @@ class RecordManager {
             messageElement.innerHTML = `
                 <div class="success-content">
                     <span class="success-icon">✅</span>
-                    <span class="success-text">记录存储功能已恢复正常</span>
+                    <span class="success-text">${this.i18n.t('record.storage.recovered')}</span>
                     <button class="success-close" onclick="this.parentElement.parentElement.style.display='none'">×</button>
                 </div>
             `;
@@ -1630,7 +2081,7 @@ class RecordManager {
                 }
             }, 5000);
         } catch (error) {
-            console.error('显示存储恢复消息失败:', error);
+            this.logger.error('显示存储恢复消息失败:', error);
         }
     }
 
@@ -1647,25 +2098,6 @@ class RecordManager {
      */
     clearStorageErrorStats() {
         this.storageErrorStats = {};
-        console.log('存储错误统计已清除');
-    }
-
-    /**
-     * 保存记录到IndexedDB（异步）
-     * @param {Object} record - 记录对象
-     */
-    saveRecordToIndexedDB(record) {
-        // IndexedDB实现较复杂，这里提供基本框架
-        try {
-            if (!window.indexedDB) {
-                console.warn('IndexedDB不可用');
-                return;
-            }
-            
-            // 这里应该实现完整的IndexedDB操作
-            console.log('IndexedDB保存功能需要完整实现');
-        } catch (error) {
-            console.error('IndexedDB保存失败:', error);
-        }
+        this.logger.debug('存储错误统计已清除');
     }
 }
\ No newline at end of file
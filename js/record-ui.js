@@ -3,12 +3,20 @@
  * 负责管理答题记录的显示、筛选、分页和详情展示
  */
 class RecordUI {
-    constructor(recordManager) {
+    /**
+     * @param {RecordManager} recordManager - 记录管理器
+     * @param {MistakeAnalyzer} mistakeAnalyzer - 错误模式分析器（可选，用于"最常犯的错误"卡片）
+     */
+    constructor(recordManager, mistakeAnalyzer = null) {
+        this.logger = Logger.getInstance().channel('records');
         this.recordManager = recordManager;
+        this.mistakeAnalyzer = mistakeAnalyzer;
+        this.i18n = I18nManager.getInstance();
         this.currentPage = 1;
         this.pageSize = 10;
         this.currentFilters = {};
         this.filteredRecords = [];
+        this.loadRequestId = 0; // 用于丢弃过期的异步加载结果
 
         
         this.initializeElements();
@@ -32,14 +40,22 @@ class RecordUI {
         // 统计信息
         this.totalRecordsCount = document.getElementById('total-records-count');
         this.correctRate = document.getElementById('correct-rate');
+        this.unaidedRate = document.getElementById('unaided-rate');
+        this.averageScore = document.getElementById('average-score');
         this.averageTime = document.getElementById('average-time');
+        this.faceStyleStats = document.getElementById('face-style-stats');
+        this.faceStyleStatsList = document.getElementById('face-style-stats-list');
+        
+        // 最常犯的错误卡片
+        this.mistakeCards = document.getElementById('mistake-cards');
+        this.mistakeCardsList = document.getElementById('mistake-cards-list');
         
         // 记录列表
         this.recordsContainer = document.getElementById('records-container');
         if (this.recordsContainer) {
             this.noRecordsMessage = this.recordsContainer.querySelector('.no-records-message');
         } else {
-            console.warn('records-container 元素未找到，记录显示功能将不可用');
+            this.logger.warn('records-container 元素未找到，记录显示功能将不可用');
             this.noRecordsMessage = null;
         }
         
@@ -66,11 +82,7 @@ class RecordUI {
         
         // 清除记录按钮事件
         if (this.clearRecordsBtn) {
-            this.clearRecordsBtn.addEventListener('click', (e) => {
-                // 防止与HTML onclick重复执行
-                e.stopPropagation();
-                this.clearAllRecords();
-            });
+            this.clearRecordsBtn.addEventListener('click', () => this.clearAllRecords());
         }
         
         // 分页按钮事件
@@ -93,17 +105,27 @@ class RecordUI {
                 });
             }
         });
+        
+        // IndexedDB就绪（含旧记录迁移）后重新加载完整历史
+        document.addEventListener('recordStorageReady', () => this.loadRecords());
     }
 
     /**
      * 加载记录数据
+     * @returns {Promise<void>}
      */
-    loadRecords() {
+    async loadRecords() {
+        const requestId = ++this.loadRequestId;
+        
         try {
-            // 应用当前筛选条件
-            this.filteredRecords = Object.keys(this.currentFilters).length > 0 
-                ? this.recordManager.filterRecords(this.currentFilters)
-                : this.recordManager.records;
+            // 应用当前筛选条件（无条件时返回全部历史记录）
+            const records = await this.recordManager.filterRecords(this.currentFilters);
+            
+            // 加载期间又发起了新的加载，丢弃本次结果
+            if (requestId !== this.loadRequestId) {
+                return;
+            }
+            this.filteredRecords = records;
             
             // 重置到第一页
             this.currentPage = 1;
@@ -113,9 +135,12 @@ class RecordUI {
             this.updateStatistics();
             this.updatePagination();
             
+            // 错误模式基于全部历史，与筛选条件无关
+            await this.updateMistakeCards(requestId);
+            
         } catch (error) {
-            console.error('加载记录失败:', error);
-            this.showError('加载记录失败，请刷新页面重试');
+            this.logger.error('加载记录失败:', error);
+            this.showError(this.i18n.t('record.messages.loadFailed'));
         }
     }
 
@@ -149,8 +174,8 @@ class RecordUI {
             this.loadRecords();
             
         } catch (error) {
-            console.error('应用筛选失败:', error);
-            this.showError('筛选失败，请检查筛选条件');
+            this.logger.error('应用筛选失败:', error);
+            this.showError(this.i18n.t('record.messages.filterFailed'));
         }
     }
 
@@ -172,26 +197,26 @@ class RecordUI {
             this.loadRecords();
             
         } catch (error) {
-            console.error('清除筛选失败:', error);
+            this.logger.error('清除筛选失败:', error);
         }
     }
 
     /**
      * 清除所有记录（带确认弹窗）
      */
-    clearAllRecords() {
+    async clearAllRecords() {
         try {
+            const totalRecords = this.recordManager.getTotalRecords();
+            
             // 检查是否有记录
-            if (this.recordManager.records.length === 0) {
-                this.showMessage('暂无记录可清除', 'info');
+            if (totalRecords === 0) {
+                this.showMessage(this.i18n.t('record.messages.nothingToClear'), 'info');
                 return;
             }
 
             // 弹窗确认
             const confirmed = confirm(
-                `确定要清除所有答题记录吗？\n\n` +
-                `当前共有 ${this.recordManager.records.length} 条记录，此操作不可撤销。\n\n` +
-                `点击"确定"继续，点击"取消"返回。`
+                this.i18n.t('record.messages.clearConfirm', { count: totalRecords })
             );
 
             if (!confirmed) {
@@ -199,19 +224,19 @@ class RecordUI {
             }
 
             // 执行清除
-            const success = this.recordManager.clearRecords();
+            const success = await this.recordManager.clearRecords();
             
             if (success) {
                 // 清除成功，重新加载界面
-                this.loadRecords();
-                this.showMessage('所有记录已清除', 'success');
+                await this.loadRecords();
+                this.showMessage(this.i18n.t('record.messages.cleared'), 'success');
             } else {
-                this.showMessage('清除记录失败，请重试', 'error');
+                this.showMessage(this.i18n.t('record.messages.clearFailed'), 'error');
             }
             
         } catch (error) {
-            console.error('清除记录失败:', error);
-            this.showMessage('清除记录时发生错误', 'error');
+            this.logger.error('清除记录失败:', error);
+            this.showMessage(this.i18n.t('record.messages.clearError'), 'error');
         }
     }
 
@@ -222,7 +247,7 @@ class RecordUI {
         try {
             // 检查容器是否存在
             if (!this.recordsContainer) {
-                console.warn('记录容器不存在，跳过记录列表更新');
+                this.logger.warn('记录容器不存在，跳过记录列表更新');
                 return;
             }
             
@@ -247,8 +272,8 @@ class RecordUI {
             });
             
         } catch (error) {
-            console.error('更新记录列表失败:', error);
-            this.showError('显示记录失败');
+            this.logger.error('更新记录列表失败:', error);
+            this.showError(this.i18n.t('record.messages.displayFailed'));
         }
     }
 
@@ -277,22 +302,74 @@ class RecordUI {
         const answersDiv = document.createElement('div');
         answersDiv.className = 'record-answers';
         answersDiv.innerHTML = `
-            <span class="record-user-answer">您的答案: ${this.formatTime(record.userAnswer)}</span>
-            <span class="record-correct-answer">正确答案: ${this.formatTime(record.correctAnswer)}</span>
+            <span class="record-user-answer">${this.i18n.t('record.userAnswer', { time: this.formatAnswer(record.userAnswer, record) })}</span>
+            <span class="record-correct-answer">${this.i18n.t('record.correctAnswer', { time: this.formatAnswer(record.correctAnswer, record) })}</span>
         `;
         
+        // 经过时间题显示开始和结束时间
+        if (record.elapsed) {
+            const elapsedSpan = document.createElement('span');
+            elapsedSpan.className = 'record-elapsed-range';
+            elapsedSpan.textContent = this.i18n.t('record.elapsedRange', {
+                start: this.formatDialTime(record.elapsed.start),
+                end: this.formatDialTime(record.elapsed.end)
+            });
+            answersDiv.appendChild(elapsedSpan);
+        }
+        
+        // 读法题显示孩子写出的读法（用textContent避免输入内容被当作HTML）
+        if (record.userPhrase) {
+            const phraseSpan = document.createElement('span');
+            phraseSpan.className = 'record-user-phrase';
+            phraseSpan.textContent = this.i18n.t('record.userPhrase', { phrase: record.userPhrase });
+            answersDiv.appendChild(phraseSpan);
+        }
+        
+        // 非默认题型显示题型标签
+        const questionTypeName = this.getQuestionTypeName(record.questionType);
+        if (questionTypeName) {
+            const typeSpan = document.createElement('span');
+            typeSpan.className = `record-question-type type-${record.questionType}`;
+            typeSpan.textContent = questionTypeName;
+            timeDiv.appendChild(typeSpan);
+        }
+        
+        // 非阿拉伯数字钟面显示钟面样式标签
+        if (record.faceStyle && record.faceStyle !== 'arabic') {
+            const faceStyleSpan = document.createElement('span');
+            faceStyleSpan.className = `record-face-style face-${record.faceStyle}`;
+            faceStyleSpan.textContent = this.recordManager.getFaceStyleName(record.faceStyle);
+            timeDiv.appendChild(faceStyleSpan);
+        }
+        
+        // 用了提示的题目显示提示步数
+        if (record.hintsUsed > 0) {
+            const hintSpan = document.createElement('span');
+            hintSpan.className = 'record-hints-used';
+            hintSpan.textContent = this.i18n.t('record.hintsUsed', { count: record.hintsUsed });
+            timeDiv.appendChild(hintSpan);
+        }
+        
+        // 选择题答错时显示误选的错误类型
+        if (!record.isCorrect && record.distractorType) {
+            const mistakeSpan = document.createElement('span');
+            mistakeSpan.className = 'record-mistake-type';
+            mistakeSpan.textContent = this.recordManager.getMistakeTypeName(record.distractorType);
+            answersDiv.appendChild(mistakeSpan);
+        }
+        
         infoDiv.appendChild(timeDiv);
         infoDiv.appendChild(answersDiv);
         
         // 难度标签
         const difficultyDiv = document.createElement('div');
         difficultyDiv.className = `record-difficulty level-${record.difficulty}`;
-        difficultyDiv.textContent = `${record.difficulty}星`;
+        difficultyDiv.textContent = this.i18n.t('difficulty.starLevel', { level: record.difficulty });
         
         // 耗时
         const timeSpentDiv = document.createElement('div');
         timeSpentDiv.className = 'record-time-spent';
-        timeSpentDiv.textContent = `${record.timeSpent}秒`;
+        timeSpentDiv.textContent = this.i18n.t('common.seconds', { count: record.timeSpent });
         
         // 组装元素
         recordDiv.appendChild(statusDiv);
@@ -303,20 +380,31 @@ class RecordUI {
         return recordDiv;
     }
 
+    /**
+     * 获取题型显示名称
+     * @param {string} questionType - 题型
+     * @returns {string} 题型名称，看钟读时间（默认题型）返回空字符串
+     */
+    getQuestionTypeName(questionType) {
+        // 消息目录中没有看钟读时间（默认题型）的标签
+        const key = `record.questionTypes.${questionType}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : '';
+    }
+
     /**
      * 显示无记录消息
      */
     showNoRecordsMessage() {
         if (!this.recordsContainer) {
-            console.warn('记录容器不存在，无法显示无记录消息');
+            this.logger.warn('记录容器不存在，无法显示无记录消息');
             return;
         }
         
         const messageDiv = document.createElement('div');
         messageDiv.className = 'no-records-message';
         messageDiv.innerHTML = `
-            <p>暂无符合条件的记录</p>
-            <p class="no-records-hint">尝试调整筛选条件或开始新的练习</p>
+            <p>${this.i18n.t('record.noMatches')}</p>
+            <p class="no-records-hint">${this.i18n.t('record.noMatchesHint')}</p>
         `;
         this.recordsContainer.appendChild(messageDiv);
     }
@@ -337,12 +425,91 @@ class RecordUI {
             if (this.correctRate) {
                 this.correctRate.textContent = `${filteredStats.correctRate}%`;
             }
+            if (this.unaidedRate) {
+                this.unaidedRate.textContent = `${filteredStats.unaidedCorrectRate}%`;
+            }
+            if (this.averageScore) {
+                this.averageScore.textContent = filteredStats.averageScore;
+            }
             if (this.averageTime) {
-                this.averageTime.textContent = `${filteredStats.averageTimeSpent}秒`;
+                this.averageTime.textContent = this.i18n.t('common.seconds', { count: filteredStats.averageTimeSpent });
+            }
+            
+            this.updateFaceStyleStats(stats.faceStyleStats);
+            
+        } catch (error) {
+            this.logger.error('更新统计信息失败:', error);
+        }
+    }
+
+    /**
+     * 更新各钟面样式的正确率（只练过阿拉伯数字钟面时不显示）
+     * @param {Object} faceStyleStats - RecordManager统计中的faceStyleStats
+     */
+    updateFaceStyleStats(faceStyleStats) {
+        if (!this.faceStyleStats || !this.faceStyleStatsList) {
+            return;
+        }
+        
+        const practicedStyles = Object.keys(faceStyleStats || {}).filter(style => faceStyleStats[style].total > 0);
+        const hasOtherStyles = practicedStyles.some(style => style !== 'arabic');
+        this.faceStyleStats.style.display = hasOtherStyles ? 'block' : 'none';
+        this.faceStyleStatsList.innerHTML = '';
+        if (!hasOtherStyles) {
+            return;
+        }
+        
+        practicedStyles.forEach(style => {
+            const stats = faceStyleStats[style];
+            const item = document.createElement('div');
+            item.className = `face-style-stat face-${style}`;
+            item.innerHTML = `
+                <span class="face-style-stat-name">${stats.name}</span>
+                <span class="face-style-stat-rate">${stats.correctRate}%</span>
+                <span class="face-style-stat-count">${this.i18n.t('record.faceStyleCount', { correct: stats.correct, count: stats.total })}</span>
+            `;
+            this.faceStyleStatsList.appendChild(item);
+        });
+    }
+
+    /**
+     * 更新"最常犯的错误"卡片
+     * @param {number} requestId - 发起更新的加载请求ID
+     * @returns {Promise<void>}
+     */
+    async updateMistakeCards(requestId) {
+        if (!this.mistakeAnalyzer || !this.mistakeCards || !this.mistakeCardsList) {
+            return;
+        }
+        
+        try {
+            await this.mistakeAnalyzer.analyze();
+            if (requestId !== this.loadRequestId) {
+                return;
             }
             
+            const mistakes = this.mistakeAnalyzer.getMostCommonMistakes(3);
+            this.mistakeCardsList.innerHTML = '';
+            this.mistakeCards.style.display = mistakes.length > 0 ? 'block' : 'none';
+            
+            mistakes.forEach(mistake => {
+                const card = document.createElement('div');
+                card.className = 'mistake-card';
+                card.innerHTML = `
+                    <div class="mistake-card-header">
+                        <span class="mistake-card-name">${mistake.name}</span>
+                        <span class="mistake-card-count">${this.i18n.t('record.mistakeCount', { count: mistake.count, percentage: mistake.percentage })}</span>
+                    </div>
+                    <div class="mistake-card-example">${this.i18n.t('record.mistakeExample', {
+                        correct: this.formatTime(mistake.example.correctAnswer),
+                        user: this.formatTime(mistake.example.userAnswer)
+                    })}</div>
+                    <div class="mistake-card-tip">💡 ${mistake.tip}</div>
+                `;
+                this.mistakeCardsList.appendChild(card);
+            });
         } catch (error) {
-            console.error('更新统计信息失败:', error);
+            this.logger.error('更新常见错误卡片失败:', error);
         }
     }
 
@@ -357,6 +524,8 @@ class RecordUI {
             return {
                 totalRecords: 0,
                 correctRate: 0,
+                unaidedCorrectRate: 0,
+                averageScore: 0,
                 averageTimeSpent: 0
             };
         }
@@ -364,12 +533,20 @@ class RecordUI {
         const correctCount = this.filteredRecords.filter(r => r.isCorrect).length;
         const correctRate = Math.round((correctCount / total) * 100);
         
+        // 不用提示答对的比例和平均得分（用了提示答对的题按步数减分）
+        const unaidedCount = this.filteredRecords.filter(r => this.recordManager.isUnaidedCorrect(r)).length;
+        const unaidedCorrectRate = Math.round((unaidedCount / total) * 100);
+        const totalScore = this.filteredRecords.reduce((sum, r) => sum + this.recordManager.getRecordScore(r), 0);
+        const averageScore = Math.round(totalScore / total);
+        
         const totalTimeSpent = this.filteredRecords.reduce((sum, r) => sum + r.timeSpent, 0);
         const averageTimeSpent = Math.round(totalTimeSpent / total);
         
         return {
             totalRecords: total,
             correctRate,
+            unaidedCorrectRate,
+            averageScore,
             averageTimeSpent
         };
     }
@@ -406,7 +583,7 @@ class RecordUI {
             }
             
         } catch (error) {
-            console.error('更新分页信息失败:', error);
+            this.logger.error('更新分页信息失败:', error);
         }
     }
 
@@ -437,38 +614,60 @@ class RecordUI {
 
     // 所有模态框相关方法已移除
 
+    /**
+     * 格式化记录中的答案（经过时间题问经过多久时显示为时长）
+     * @param {Object} answer - 答案对象
+     * @param {Object} record - 答题记录
+     * @returns {string} 格式化的答案
+     */
+    formatAnswer(answer, record) {
+        if (answer && record.elapsed && record.elapsed.answerType === 'duration') {
+            return this.i18n.formatDuration(answer.hours * 60 + answer.minutes);
+        }
+        return this.formatTime(answer, record.meridiemMode);
+    }
+
+    /**
+     * 按钟面读法格式化时间，不带秒（如3:05）
+     * @param {Object} timeObj - 时间对象
+     * @returns {string} 格式化的时间字符串 (H:MM)
+     */
+    formatDialTime(timeObj) {
+        return `${timeObj.hours}:${timeObj.minutes.toString().padStart(2, '0')}`;
+    }
+
     /**
      * 格式化时间对象为字符串
      * @param {Object} timeObj - 时间对象
+     * @param {string} meridiemMode - 上午/下午情境题的回答方式，24h时按24小时制显示
      * @returns {string} 格式化的时间字符串
      */
-    formatTime(timeObj) {
+    formatTime(timeObj, meridiemMode = null) {
         if (!timeObj) return '00:00:00';
         
-        const hours = timeObj.hours.toString().padStart(2, '0');
         const minutes = timeObj.minutes.toString().padStart(2, '0');
         const seconds = timeObj.seconds.toString().padStart(2, '0');
         
-        return `${hours}:${minutes}:${seconds}`;
+        if (timeObj.meridiem && meridiemMode === '24h') {
+            const hours24 = (timeObj.hours % 12) + (timeObj.meridiem === 'pm' ? 12 : 0);
+            return `${hours24.toString().padStart(2, '0')}:${minutes}:${seconds}`;
+        }
+        
+        const hours = timeObj.hours.toString().padStart(2, '0');
+        const prefix = timeObj.meridiem ? `${this.i18n.t(`validator.meridiem.${timeObj.meridiem === 'pm' ? 'pm' : 'am'}`)} ` : '';
+        
+        return `${prefix}${hours}:${minutes}:${seconds}`;
     }
 
     /**
-     * 格式化日期时间
+     * 按当前语言格式化日期时间
      * @param {Date} date - 日期对象
      * @returns {string} 格式化的日期时间字符串
      */
     formatDateTime(date) {
         if (!date) return '';
         
-        const d = new Date(date);
-        const year = d.getFullYear();
-        const month = (d.getMonth() + 1).toString().padStart(2, '0');
-        const day = d.getDate().toString().padStart(2, '0');
-        const hours = d.getHours().toString().padStart(2, '0');
-        const minutes = d.getMinutes().toString().padStart(2, '0');
-        const seconds = d.getSeconds().toString().padStart(2, '0');
-        
-        return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+        return this.i18n.formatDateTime(date);
     }
 
     /**
@@ -514,7 +713,7 @@ class RecordUI {
         if (document.body) {
             document.body.appendChild(messageDiv);
         } else {
-            console.warn('无法显示消息：document.body不存在');
+            this.logger.warn('无法显示消息：document.body不存在');
             return;
         }
         
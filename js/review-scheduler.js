@@ -0,0 +1,295 @@
+/**
+ * 错题复习调度器类
+ * 使用莱特纳盒子（Leitner boxes）安排答错时间的复习：答错放回第1盒，到期后答对升一盒，
+ * 盒子越高复习间隔越长，第5盒再答对即视为掌握并移出队列
+ */
+class ReviewScheduler {
+    /**
+     * @param {string} storageSuffix - 学习者档案的存储键后缀（默认档案为空）
+     */
+    constructor(storageSuffix = '') {
+        this.logger = Logger.getInstance().channel('records');
+        this.storageKey = 'clockLearningReviewQueue' + storageSuffix;
+        this.maxItems = 100; // 队列最多保留的时间数量
+
+        // 各盒子的复习间隔（毫秒）：5分钟、1天、3天、7天、14天
+        this.boxIntervals = {
+            1: 5 * 60 * 1000,
+            2: 24 * 60 * 60 * 1000,
+            3: 3 * 24 * 60 * 60 * 1000,
+            4: 7 * 24 * 60 * 60 * 1000,
+            5: 14 * 24 * 60 * 60 * 1000
+        };
+        this.maxBox = 5;
+
+        this.items = {};
+        this.seeded = false; // 是否已从历史答题记录导入错题
+        this.useMemoryStorage = false;
+
+        this.loadQueue();
+    }
+
+    /**
+     * 从本地存储加载复习队列
+     */
+    loadQueue() {
+        this.items = {};
+        this.seeded = false;
+
+        try {
+            const savedData = localStorage.getItem(this.storageKey);
+            if (savedData) {
+                const parsedData = JSON.parse(savedData);
+                this.items = parsedData.items && typeof parsedData.items === 'object' ? parsedData.items : {};
+                this.seeded = !!parsedData.seeded;
+            }
+        } catch (error) {
+            this.logger.error('加载复习队列失败，使用空队列:', error);
+        }
+
+        this.logger.debug(`🔁 已加载复习队列: ${Object.keys(this.items).length} 个时间`);
+    }
+
+    /**
+     * 保存复习队列到本地存储
+     */
+    saveQueue() {
+        if (this.useMemoryStorage) {
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                items: this.items,
+                seeded: this.seeded
+            }));
+        } catch (error) {
+            this.logger.error('保存复习队列失败，本次会话使用内存保存:', error);
+            this.useMemoryStorage = true;
+        }
+    }
+
+    /**
+     * 切换到其他学习者档案的复习队列
+     * @param {string} storageSuffix - 档案的存储键后缀
+     */
+    setStorageSuffix(storageSuffix) {
+        this.storageKey = 'clockLearningReviewQueue' + storageSuffix;
+        this.useMemoryStorage = false;
+        this.loadQueue();
+    }
+
+    /**
+     * 从答题记录中导入错题（每个档案只导入一次）
+     * @param {RecordManager} recordManager - 记录管理器
+     * @returns {Promise<number>} 导入的时间数量
+     */
+    async seedFromRecords(recordManager) {
+        if (this.seeded || !recordManager) {
+            return 0;
+        }
+
+        try {
+            const storageKey = this.storageKey;
+            const incorrectRecords = await recordManager.filterRecords({ isCorrect: false });
+
+            // 导入期间切换了档案，放弃本次导入
+            if (storageKey !== this.storageKey) {
+                return 0;
+            }
+
+            // 按时间先后导入，同一时间多次答错只保留最近一次
+            let importedCount = 0;
+            incorrectRecords
+                .slice()
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                .forEach(record => {
+                    if (!record.correctAnswer || record.elapsed) {
+                        return;
+                    }
+                    // 本次会话中已经有更新的答题结果
+                    const missedAt = new Date(record.timestamp);
+                    const existingItem = this.items[this.getTimeKey(record.correctAnswer)];
+                    if (existingItem && existingItem.lastReviewedAt >= missedAt.getTime()) {
+                        return;
+                    }
+                    if (this.addMissedTime(record.correctAnswer, missedAt, false)) {
+                        importedCount++;
+                    }
+                });
+
+            this.seeded = true;
+            this.trimQueue();
+            this.saveQueue();
+
+            this.logger.debug(`🔁 已从答题记录导入 ${importedCount} 个错题时间`);
+            return importedCount;
+        } catch (error) {
+            this.logger.error('从答题记录导入错题失败:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * 生成时间的队列键
+     * @param {Object} time - 时间对象
+     * @returns {string} 队列键
+     */
+    getTimeKey(time) {
+        return `${time.hours}:${time.minutes}:${time.seconds || 0}`;
+    }
+
+    /**
+     * 将答错的时间放入第1盒
+     * @param {Object} time - 时间对象
+     * @param {Date} missedAt - 答错时间
+     * @param {boolean} save - 是否立即保存
+     * @returns {boolean} 是否为新加入的时间
+     */
+    addMissedTime(time, missedAt = new Date(), save = true) {
+        const key = this.getTimeKey(time);
+        const existingItem = this.items[key];
+
+        this.items[key] = {
+            time: { hours: time.hours, minutes: time.minutes, seconds: time.seconds || 0 },
+            box: 1,
+            dueAt: missedAt.getTime() + this.boxIntervals[1],
+            lapses: existingItem ? existingItem.lapses + 1 : 1,
+            addedAt: existingItem ? existingItem.addedAt : missedAt.getTime(),
+            lastReviewedAt: missedAt.getTime()
+        };
+
+        if (save) {
+            this.trimQueue();
+            this.saveQueue();
+        }
+        return !existingItem;
+    }
+
+    /**
+     * 记录一次答题结果
+     * 答错的时间放回第1盒；已到期的复习时间答对后升一盒，第5盒答对后移出队列
+     * @param {Object} time - 题目时间
+     * @param {boolean} isCorrect - 是否答对
+     * @returns {Object|null} 更新后的队列项，移出队列或不在队列中时为null
+     */
+    recordAnswer(time, isCorrect) {
+        if (!time) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (!isCorrect) {
+            this.addMissedTime(time, new Date(now));
+            return { ...this.items[this.getTimeKey(time)] };
+        }
+
+        const key = this.getTimeKey(time);
+        const item = this.items[key];
+        // 未到期时答对不升盒，避免短时间内重复答对就跳过间隔
+        if (!item || item.dueAt > now) {
+            return item ? { ...item } : null;
+        }
+
+        if (item.box >= this.maxBox) {
+            delete this.items[key];
+            this.saveQueue();
+            this.logger.debug('🔁 已掌握，移出复习队列:', key);
+            return null;
+        }
+
+        item.box++;
+        item.dueAt = now + this.boxIntervals[item.box];
+        item.lastReviewedAt = now;
+        this.saveQueue();
+        return { ...item };
+    }
+
+    /**
+     * 判断时间是否符合当前难度的时间配置
+     * @param {Object} time - 时间对象
+     * @param {Object} timeConfig - 难度的时间配置
+     * @returns {boolean} 是否符合
+     */
+    fitsTimeConfig(time, timeConfig) {
+        if (!timeConfig) {
+            return true;
+        }
+
+        const interval = timeConfig.minuteInterval || 1;
+        if (time.minutes % interval !== 0) {
+            return false;
+        }
+
+        if (timeConfig.secondsFixed !== undefined && timeConfig.secondsFixed !== null) {
+            return time.seconds === timeConfig.secondsFixed;
+        }
+        return true;
+    }
+
+    /**
+     * 获取已到期的复习时间（最早到期的在前）
+     * @param {Object} timeConfig - 难度的时间配置（可选，只返回符合该难度的时间）
+     * @returns {Array<Object>} 队列项数组
+     */
+    getDueItems(timeConfig = null) {
+        const now = Date.now();
+        return Object.values(this.items)
+            .filter(item => item.dueAt <= now && this.fitsTimeConfig(item.time, timeConfig))
+            .sort((a, b) => a.dueAt - b.dueAt)
+            .map(item => ({ ...item, time: { ...item.time } }));
+    }
+
+    /**
+     * 获取已到期的复习时间数量
+     * @param {Object} timeConfig - 难度的时间配置（可选）
+     * @returns {number} 数量
+     */
+    getDueCount(timeConfig = null) {
+        return this.getDueItems(timeConfig).length;
+    }
+
+    /**
+     * 获取队列中的时间总数
+     * @returns {number} 数量
+     */
+    getQueueSize() {
+        return Object.keys(this.items).length;
+    }
+
+    /**
+     * 判断时间是否在复习队列中
+     * @param {Object} time - 时间对象
+     * @returns {boolean} 是否在队列中
+     */
+    hasTime(time) {
+        return !!time && !!this.items[this.getTimeKey(time)];
+    }
+
+    /**
+     * 队列超出上限时移除盒子最高、最久未答错的时间
+     */
+    trimQueue() {
+        const keys = Object.keys(this.items);
+        if (keys.length <= this.maxItems) {
+            return;
+        }
+
+        keys
+            .sort((a, b) => {
+                const itemA = this.items[a];
+                const itemB = this.items[b];
+                return (itemB.box - itemA.box) || (itemA.lastReviewedAt - itemB.lastReviewedAt);
+            })
+            .slice(0, keys.length - this.maxItems)
+            .forEach(key => delete this.items[key]);
+    }
+
+    /**
+     * 清空复习队列
+     */
+    clearQueue() {
+        this.items = {};
+        this.saveQueue();
+    }
+}
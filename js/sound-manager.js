@@ -0,0 +1,272 @@
+/**
+ * 音效管理器类
+ * 用Web Audio API现场合成音效，不需要音频文件：自动走动时的滴答声、整点按钟点数报时的钟声、
+ * 答对和答错的提示音。
+ * 静音时不发声；安静教室模式只保留轻声的答题提示音；系统设置了减少动态效果时不播放每秒的滴答声。
+ * 浏览器不支持Web Audio时所有音效都静默跳过
+ */
+class SoundManager {
+    /**
+     * @param {Object} options - 可选参数
+     * @param {Function} options.AudioContextClass - 音频上下文构造函数（默认window.AudioContext或window.webkitAudioContext）
+     * @param {Function} options.matchMedia - 媒体查询函数（默认window.matchMedia），用于检测减少动态效果偏好
+     */
+    constructor(options = {}) {
+        this.logger = Logger.getInstance().channel('app');
+        const hasWindow = typeof window !== 'undefined';
+        this.AudioContextClass = options.AudioContextClass !== undefined ? options.AudioContextClass :
+            (hasWindow && (window.AudioContext || window.webkitAudioContext)) || null;
+        this.matchMedia = options.matchMedia !== undefined ? options.matchMedia :
+            (hasWindow && typeof window.matchMedia === 'function' ? window.matchMedia.bind(window) : null);
+        this.context = null; // 第一次发声时才创建，浏览器要求用户操作后才能播放声音
+        this.masterGain = null;
+        this.activeSources = new Set(); // 已安排但还没播完的声音，停止时统一打断
+
+        this.volumes = [0.25, 0.5, 0.75, 1]; // 可选的音量（小声、中等、大声、最大）
+        this.quietVolume = 0.25; // 安静教室模式下的最大音量
+        this.chimeInterval = 1.2; // 整点报时每一响的间隔（秒）
+        this.settings = {
+            volume: 0.5,
+            muted: false,
+            quietClassroom: false
+        };
+    }
+
+    /**
+     * 浏览器是否支持Web Audio
+     * @returns {boolean} 是否支持
+     */
+    isSupported() {
+        return typeof this.AudioContextClass === 'function';
+    }
+
+    /**
+     * 更新音效设置
+     * @param {Object} settings - {volume, muted, quietClassroom}，只更新提供的项
+     */
+    applySettings(settings = {}) {
+        if (this.volumes.includes(settings.volume)) {
+            this.settings.volume = settings.volume;
+        }
+        if (typeof settings.muted === 'boolean') {
+            this.settings.muted = settings.muted;
+        }
+        if (typeof settings.quietClassroom === 'boolean') {
+            this.settings.quietClassroom = settings.quietClassroom;
+        }
+
+        if (this.settings.muted || this.settings.quietClassroom) {
+            this.stop();
+        }
+        if (this.masterGain) {
+            this.masterGain.gain.value = this.getEffectiveVolume();
+        }
+    }
+
+    /**
+     * 系统是否设置了减少动态效果
+     * @returns {boolean} 是否减少动态效果
+     */
+    prefersReducedMotion() {
+        try {
+            return !!(this.matchMedia && this.matchMedia('(prefers-reduced-motion: reduce)').matches);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 实际使用的音量（安静教室模式下不超过quietVolume）
+     * @returns {number} 音量（0-1）
+     */
+    getEffectiveVolume() {
+        return this.settings.quietClassroom ? Math.min(this.settings.volume, this.quietVolume) : this.settings.volume;
+    }
+
+    /**
+     * 判断某类音效当前是否可以播放
+     * @param {string} kind - 音效类型：tick-滴答声，chime-整点钟声，feedback-答题提示音
+     * @returns {boolean} 是否可以播放
+     */
+    canPlay(kind) {
+        if (!this.isSupported() || this.settings.muted) {
+            return false;
+        }
+        // 安静教室模式只保留答题提示音
+        if (this.settings.quietClassroom && kind !== 'feedback') {
+            return false;
+        }
+        // 减少动态效果时不播放跟随指针走动的滴答声
+        if (kind === 'tick' && this.prefersReducedMotion()) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 在用户操作（点击、按键）时解锁音频，浏览器的自动播放限制要求这样做
+     */
+    unlock() {
+        const context = this.getContext();
+        if (context && context.state === 'suspended' && typeof context.resume === 'function') {
+            context.resume().catch(error => this.logger.warn('恢复音频上下文失败:', error));
+        }
+    }
+
+    /**
+     * 获取（必要时创建）音频上下文
+     * @returns {AudioContext|null} 音频上下文，不支持时返回null
+     */
+    getContext() {
+        if (!this.isSupported()) {
+            return null;
+        }
+        if (!this.context) {
+            try {
+                this.context = new this.AudioContextClass();
+                this.masterGain = this.context.createGain();
+                this.masterGain.gain.value = this.getEffectiveVolume();
+                this.masterGain.connect(this.context.destination);
+            } catch (error) {
+                this.logger.warn('创建音频上下文失败，音效不可用:', error);
+                this.AudioContextClass = null;
+                this.context = null;
+                this.masterGain = null;
+            }
+        }
+        return this.context;
+    }
+
+    /**
+     * 播放一声滴答（自动走动每秒一次，秒数为偶数时"滴"、奇数时"答"）
+     * @param {number} seconds - 当前秒数
+     * @returns {boolean} 是否播放
+     */
+    playTick(seconds = 0) {
+        if (!this.canPlay('tick')) {
+            return false;
+        }
+        return this.playTones([
+            { frequency: seconds % 2 === 0 ? 2000 : 1600, duration: 0.03, type: 'square', gain: 0.15 }
+        ]);
+    }
+
+    /**
+     * 整点报时：按钟点数敲钟（3点敲3下，12点敲12下）
+     * @param {number} hours - 小时（0-23，按12小时制计算响数）
+     * @returns {boolean} 是否播放
+     */
+    playChime(hours) {
+        if (!this.canPlay('chime')) {
+            return false;
+        }
+
+        const strikes = ((hours % 12) + 12) % 12 || 12;
+        const tones = [];
+        for (let strike = 0; strike < strikes; strike++) {
+            const start = strike * this.chimeInterval;
+            // 基音加一个泛音，听起来像钟声
+            tones.push({ frequency: 523.25, start: start, duration: 1.1, type: 'sine', gain: 0.6 });
+            tones.push({ frequency: 1046.5, start: start, duration: 0.6, type: 'sine', gain: 0.2 });
+        }
+        return this.playTones(tones);
+    }
+
+    /**
+     * 播放答对提示音（上行的三个音）
+     * @returns {boolean} 是否播放
+     */
+    playCorrect() {
+        if (!this.canPlay('feedback')) {
+            return false;
+        }
+        return this.playTones([
+            { frequency: 523.25, start: 0, duration: 0.12, type: 'triangle', gain: 0.5 },
+            { frequency: 659.25, start: 0.1, duration: 0.12, type: 'triangle', gain: 0.5 },
+            { frequency: 783.99, start: 0.2, duration: 0.25, type: 'triangle', gain: 0.5 }
+        ]);
+    }
+
+    /**
+     * 播放答错提示音（柔和的下行音，不吓到孩子）
+     * @returns {boolean} 是否播放
+     */
+    playIncorrect() {
+        if (!this.canPlay('feedback')) {
+            return false;
+        }
+        return this.playTones([
+            { frequency: 330, endFrequency: 220, start: 0, duration: 0.35, type: 'sine', gain: 0.5 }
+        ]);
+    }
+
+    /**
+     * 按答题结果播放提示音
+     * @param {Object} result - 验证结果对象
+     * @returns {boolean} 是否播放
+     */
+    playResult(result) {
+        if (!result) {
+            return false;
+        }
+        return result.isCorrect ? this.playCorrect() : this.playIncorrect();
+    }
+
+    /**
+     * 停止所有正在播放和已安排的声音（例如还没敲完的整点钟声）
+     */
+    stop() {
+        this.activeSources.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                // 已经停止的声音再次停止会抛错，忽略
+            }
+        });
+        this.activeSources.clear();
+    }
+
+    /**
+     * 合成并播放一组音
+     * @param {Array<Object>} tones - 音的列表 [{frequency, endFrequency, start, duration, type, gain}]，start为相对现在的秒数
+     * @returns {boolean} 是否播放
+     */
+    playTones(tones) {
+        const context = this.getContext();
+        if (!context) {
+            return false;
+        }
+
+        try {
+            const now = context.currentTime;
+            tones.forEach(tone => {
+                const startTime = now + (tone.start || 0);
+                const endTime = startTime + tone.duration;
+                const oscillator = context.createOscillator();
+                const envelope = context.createGain();
+
+                oscillator.type = tone.type || 'sine';
+                oscillator.frequency.setValueAtTime(tone.frequency, startTime);
+                if (tone.endFrequency) {
+                    oscillator.frequency.linearRampToValueAtTime(tone.endFrequency, endTime);
+                }
+
+                // 快速起音、指数衰减，避免咔哒声
+                envelope.gain.setValueAtTime(0.0001, startTime);
+                envelope.gain.linearRampToValueAtTime(tone.gain, startTime + 0.005);
+                envelope.gain.exponentialRampToValueAtTime(0.0001, endTime);
+
+                oscillator.connect(envelope);
+                envelope.connect(this.masterGain);
+                oscillator.onended = () => this.activeSources.delete(oscillator);
+                this.activeSources.add(oscillator);
+                oscillator.start(startTime);
+                oscillator.stop(endTime + 0.05);
+            });
+            return true;
+        } catch (error) {
+            this.logger.warn('播放音效失败:', error);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * 语音朗读类
+ * 用浏览器的speechSynthesis朗读答题结果、鼓励语和解答过程，拨针模式下朗读目标时间，
+ * 帮助还不太识字的孩子听懂反馈。浏览器不支持语音合成时所有朗读都静默跳过。
+ * 语音合成对象可以通过构造参数传入，便于用模拟对象测试
+ */
+class SpeechNarrator {
+    /**
+     * @param {Object} options - 可选参数
+     * @param {Object} options.synth - 语音合成对象（默认window.speechSynthesis）
+     * @param {Function} options.Utterance - 朗读片段的构造函数（默认window.SpeechSynthesisUtterance）
+     * @param {TimePhraseConverter} options.phraseConverter - 读法转换器，用于把时间读成"三点一刻"这样的说法
+     */
+    constructor(options = {}) {
+        this.logger = Logger.getInstance().channel('app');
+        const hasWindow = typeof window !== 'undefined';
+        this.synth = options.synth !== undefined ? options.synth : (hasWindow && window.speechSynthesis) || null;
+        this.Utterance = options.Utterance !== undefined ? options.Utterance : (hasWindow && window.SpeechSynthesisUtterance) || null;
+        this.phraseConverter = options.phraseConverter !== undefined ? options.phraseConverter :
+            (typeof TimePhraseConverter !== 'undefined' ? new TimePhraseConverter() : null);
+        this.i18n = I18nManager.getInstance();
+
+        this.rates = [0.7, 0.85, 1, 1.2]; // 可选的朗读速度（慢、稍慢、正常、稍快）
+        this.settings = {
+            voice: '', // 声音的voiceURI，空字符串表示浏览器默认声音
+            rate: 0.85,
+            muted: false
+        };
+    }
+
+    /**
+     * 浏览器是否支持语音合成
+     * @returns {boolean} 是否支持
+     */
+    isSupported() {
+        return !!(this.synth && typeof this.synth.speak === 'function' && typeof this.Utterance === 'function');
+    }
+
+    /**
+     * 是否会朗读（支持语音合成且没有静音）
+     * @returns {boolean} 是否朗读
+     */
+    isActive() {
+        return this.isSupported() && !this.settings.muted;
+    }
+
+    /**
+     * 更新朗读设置
+     * @param {Object} settings - {voice, rate, muted}，只更新提供的项
+     */
+    applySettings(settings = {}) {
+        if (typeof settings.voice === 'string') {
+            this.settings.voice = settings.voice;
+        }
+        if (this.rates.includes(settings.rate)) {
+            this.settings.rate = settings.rate;
+        }
+        if (typeof settings.muted === 'boolean') {
+            this.settings.muted = settings.muted;
+            if (settings.muted) {
+                this.stop();
+            }
+        }
+    }
+
+    /**
+     * 当前界面语言对应的朗读语言
+     * @returns {string} 语言标记，如zh-CN、en-US
+     */
+    getSpeechLang() {
+        return this.i18n.getLocale() === 'en' ? 'en-US' : 'zh-CN';
+    }
+
+    /**
+     * 获取适合当前界面语言的声音
+     * @returns {Array<Object>} 声音列表 [{id, name, lang}]
+     */
+    getVoices() {
+        if (!this.isSupported() || typeof this.synth.getVoices !== 'function') {
+            return [];
+        }
+
+        const language = this.getSpeechLang().split('-')[0];
+        try {
+            return (this.synth.getVoices() || [])
+                .filter(voice => voice.lang && voice.lang.toLowerCase().startsWith(language))
+                .map(voice => ({ id: voice.voiceURI, name: voice.name, lang: voice.lang }));
+        } catch (error) {
+            this.logger.warn('获取朗读声音失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 声音列表加载完成时通知（有的浏览器异步加载声音）
+     * @param {Function} callback - 回调函数
+     */
+    onVoicesChanged(callback) {
+        if (this.isSupported() && typeof this.synth.addEventListener === 'function') {
+            this.synth.addEventListener('voiceschanged', callback);
+        }
+    }
+
+    /**
+     * 朗读文字，会先打断正在朗读的内容
+     * @param {string|Array<string>} texts - 要朗读的文字（多段文字按顺序朗读）
+     * @returns {boolean} 是否开始朗读
+     */
+    speak(texts) {
+        if (!this.isActive()) {
+            return false;
+        }
+
+        // 按行拆成短句，去掉表情和列表符号，避免把符号念出来
+        const segments = (Array.isArray(texts) ? texts : [texts])
+            .filter(text => typeof text === 'string')
+            .flatMap(text => text.split('\n'))
+            .map(line => this.toSpeakableText(line))
+            .filter(line => line.length > 0);
+        if (segments.length === 0) {
+            return false;
+        }
+
+        try {
+            this.stop();
+            const voice = this.findVoice();
+            segments.forEach(segment => {
+                const utterance = new this.Utterance(segment);
+                utterance.lang = voice ? voice.lang : this.getSpeechLang();
+                utterance.rate = this.settings.rate;
+                if (voice) {
+                    utterance.voice = voice;
+                }
+                this.synth.speak(utterance);
+            });
+            return true;
+        } catch (error) {
+            this.logger.warn('语音朗读失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 停止朗读
+     */
+    stop() {
+        if (!this.isSupported() || typeof this.synth.cancel !== 'function') {
+            return;
+        }
+        try {
+            this.synth.cancel();
+        } catch (error) {
+            this.logger.warn('停止朗读失败:', error);
+        }
+    }
+
+    /**
+     * 朗读答题结果：结果消息、鼓励语和解答过程
+     * @param {Object} result - 验证结果对象
+     * @returns {boolean} 是否开始朗读
+     */
+    narrateResult(result) {
+        if (!result) {
+            return false;
+        }
+        return this.speak([result.message, result.encouragement, result.explanation]);
+    }
+
+    /**
+     * 朗读拨针题的目标时间
+     * @param {Object} time - 目标时间
+     * @returns {boolean} 是否开始朗读
+     */
+    narrateTargetTime(time) {
+        if (!time) {
+            return false;
+        }
+        return this.speak(this.i18n.t('speech.setTarget', { time: this.getSpokenTime(time) }));
+    }
+
+    /**
+     * 查找设置中选择的声音（找不到或不适合当前界面语言时使用浏览器默认声音）
+     * @returns {Object|null} 声音对象
+     */
+    findVoice() {
+        if (!this.settings.voice || typeof this.synth.getVoices !== 'function') {
+            return null;
+        }
+        const language = this.getSpeechLang().split('-')[0];
+        const voices = this.synth.getVoices() || [];
+        return voices.find(voice => voice.voiceURI === this.settings.voice &&
+            voice.lang && voice.lang.toLowerCase().startsWith(language)) || null;
+    }
+
+    /**
+     * 把一行显示文字转换为适合朗读的文字
+     * 去掉表情和列表符号，把03:30:00这样的时间换成口语读法
+     * @param {string} text - 显示文字
+     * @returns {string} 朗读文字
+     */
+    toSpeakableText(text) {
+        return text
+            .replace(/(\d{1,2}):(\d{2})(?::(\d{2}))?/g, (match, hours, minutes, seconds) => this.getSpokenTime({
+                hours: Number(hours),
+                minutes: Number(minutes),
+                seconds: Number(seconds) || 0
+            }))
+            .replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}•]/gu, '')
+            .trim();
+    }
+
+    /**
+     * 获取时间的口语读法（中文界面读"三点二十五分"，英文界面读"twenty-five past three"）
+     * @param {Object} time - 时间对象
+     * @returns {string} 口语读法
+     */
+    getSpokenTime(time) {
+        const phraseLocale = this.i18n.getLocale() === 'en' ? 'en' : 'zh';
+        if (this.phraseConverter && time.hours <= 12) {
+            return this.phraseConverter.toPhrase(time, phraseLocale);
+        }
+
+        // 24小时制的时间按"15点30分"读
+        return this.i18n.t('speech.time24', {
+            hours: time.hours,
+            minutes: String(time.minutes).padStart(2, '0'),
+            seconds: time.seconds
+        });
+    }
+}
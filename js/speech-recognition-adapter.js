@@ -0,0 +1,107 @@
+/**
+ * 语音识别适配器类
+ * 把浏览器的SpeechRecognition（或带webkit前缀的版本）包装成简单的接口：
+ * isAvailable()、isListening()、start(options)、stop()。
+ * 应用只依赖这几个方法，任何实现了它们的对象（例如按脚本返回识别结果的模拟对象）都可以替换它
+ */
+class SpeechRecognitionAdapter {
+    /**
+     * @param {Function|null} RecognitionClass - 语音识别构造函数（默认window.SpeechRecognition或window.webkitSpeechRecognition）
+     */
+    constructor(RecognitionClass = undefined) {
+        this.logger = Logger.getInstance().channel('app');
+        const hasWindow = typeof window !== 'undefined';
+        this.RecognitionClass = RecognitionClass !== undefined ? RecognitionClass :
+            (hasWindow && (window.SpeechRecognition || window.webkitSpeechRecognition)) || null;
+        this.recognition = null;
+        this.listening = false;
+    }
+
+    /**
+     * 浏览器是否支持语音识别
+     * @returns {boolean} 是否支持
+     */
+    isAvailable() {
+        return typeof this.RecognitionClass === 'function';
+    }
+
+    /**
+     * 是否正在听
+     * @returns {boolean} 是否正在听
+     */
+    isListening() {
+        return this.listening;
+    }
+
+    /**
+     * 开始听一句话
+     * @param {Object} options - 参数
+     * @param {string} options.lang - 识别语言，如zh-CN、en-US
+     * @param {Function} options.onResult - 识别到结果时调用，参数为候选文字数组（可信度从高到低）
+     * @param {Function} options.onError - 出错时调用，参数为错误代码（如not-allowed、no-speech）
+     * @param {Function} options.onEnd - 结束听时调用（无论是否识别到结果）
+     * @returns {boolean} 是否开始听
+     */
+    start(options = {}) {
+        if (!this.isAvailable()) {
+            return false;
+        }
+
+        const { lang = 'zh-CN', onResult = () => {}, onError = () => {}, onEnd = () => {} } = options;
+        try {
+            this.stop();
+
+            const recognition = new this.RecognitionClass();
+            recognition.lang = lang;
+            recognition.continuous = false;
+            recognition.interimResults = false;
+            recognition.maxAlternatives = 3;
+
+            recognition.onresult = (event) => {
+                const result = event.results && event.results[event.results.length - 1];
+                const transcripts = result ? Array.from(result).map(alternative => alternative.transcript).filter(Boolean) : [];
+                onResult(transcripts);
+            };
+            recognition.onerror = (event) => {
+                onError((event && event.error) || 'unknown');
+            };
+            recognition.onend = () => {
+                if (this.recognition === recognition) {
+                    this.recognition = null;
+                    this.listening = false;
+                }
+                onEnd();
+            };
+
+            this.recognition = recognition;
+            this.listening = true;
+            recognition.start();
+            return true;
+        } catch (error) {
+            this.logger.warn('启动语音识别失败:', error);
+            this.recognition = null;
+            this.listening = false;
+            return false;
+        }
+    }
+
+    /**
+     * 停止听（已识别的结果不再回调）
+     */
+    stop() {
+        if (!this.recognition) {
+            return;
+        }
+
+        const recognition = this.recognition;
+        this.recognition = null;
+        this.listening = false;
+        try {
+            recognition.onresult = null;
+            recognition.onerror = null;
+            recognition.abort();
+        } catch (error) {
+            this.logger.warn('停止语音识别失败:', error);
+        }
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * 口述时间解析器类
+ * 把语音识别得到的文字（如"三点二十五分""下午三点""quarter past three""15:30"）
+ * 解析为和时间输入框相同的时间对象 {hours, minutes, seconds}，说出了上午/下午时另带meridiem。
+ * 常见读法（一刻、半、差几分）交给TimePhraseConverter，这里补充24小时制、带秒和上午/下午的说法
+ */
+class SpokenTimeParser {
+    /**
+     * @param {TimePhraseConverter} phraseConverter - 读法转换器
+     */
+    constructor(phraseConverter = null) {
+        this.logger = Logger.getInstance().channel('app');
+        this.phraseConverter = phraseConverter || new TimePhraseConverter();
+
+        // 中文里表示上午/下午的词（中午12点按下午算）
+        this.chineseMeridiemWords = [
+            { pattern: /^(凌晨|早上|早晨|清晨|上午)/, meridiem: 'am' },
+            { pattern: /^(中午|下午|傍晚|晚上|夜里)/, meridiem: 'pm' }
+        ];
+        this.englishMeridiemWords = [
+            { pattern: /\b(a\.?\s?m\.?|in the morning)(?=\s|$)/, meridiem: 'am' },
+            { pattern: /\b(p\.?\s?m\.?|in the afternoon|in the evening|at night)(?=\s|$)/, meridiem: 'pm' }
+        ];
+    }
+
+    /**
+     * 解析口述的时间
+     * @param {string} transcript - 语音识别的文字
+     * @param {string|null} locale - 读法语言（zh或en），为空时自动判断
+     * @returns {Object|null} 时间对象 {hours, minutes, seconds, meridiem}，hours为0-23，meridiem没说时为null；无法识别时返回null
+     */
+    parse(transcript, locale = null) {
+        if (!transcript || typeof transcript !== 'string' || !transcript.trim()) {
+            return null;
+        }
+
+        try {
+            const text = transcript.trim();
+            const targetLocale = this.phraseConverter.isSupportedLocale(locale) ? locale : this.phraseConverter.detectLocale(text);
+
+            // 1. 拆出上午/下午
+            const { phrase, meridiem } = targetLocale === 'zh' ? this.splitChineseMeridiem(text) : this.splitEnglishMeridiem(text);
+
+            // 2. 先按数字说法解析（可以是24小时制），再按常见读法解析
+            const time = (targetLocale === 'zh' ? this.parseChineseNumeric(phrase) : null) ||
+                this.phraseConverter.parse(phrase, targetLocale) ||
+                this.parseWith24Hour(phrase, targetLocale);
+            if (!time || !this.isValidTime(time)) {
+                return null;
+            }
+
+            return { hours: time.hours, minutes: time.minutes, seconds: time.seconds || 0, meridiem: meridiem };
+        } catch (error) {
+            this.logger.error('解析口述时间失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 拆出中文说法开头的上午/下午
+     * @param {string} text - 口述文字
+     * @returns {Object} {phrase, meridiem}
+     */
+    splitChineseMeridiem(text) {
+        const phrase = text.replace(/\s+/g, '').replace(/^(现在是|现在|是)/, '');
+        for (const word of this.chineseMeridiemWords) {
+            if (word.pattern.test(phrase)) {
+                return { phrase: phrase.replace(word.pattern, ''), meridiem: word.meridiem };
+            }
+        }
+        return { phrase, meridiem: null };
+    }
+
+    /**
+     * 拆出英文说法中的am/pm
+     * @param {string} text - 口述文字
+     * @returns {Object} {phrase, meridiem}
+     */
+    splitEnglishMeridiem(text) {
+        const phrase = text.toLowerCase();
+        for (const word of this.englishMeridiemWords) {
+            if (word.pattern.test(phrase)) {
+                return { phrase: phrase.replace(word.pattern, ' ').trim(), meridiem: word.meridiem };
+            }
+        }
+        return { phrase, meridiem: null };
+    }
+
+    /**
+     * 解析"三点二十五分十秒""15点30分"这样逐个说出数字的中文说法（小时可以是0-23）
+     * @param {string} phrase - 去掉上午/下午后的说法
+     * @returns {Object|null} 时间对象
+     */
+    parseChineseNumeric(phrase) {
+        const normalized = this.phraseConverter.normalize(phrase, 'zh');
+        const match = normalized.match(/^([零一二三四五六七八九十]+)点(?:([零一二三四五六七八九十]+)分?)?(?:([零一二三四五六七八九十]+)秒)?$/);
+        if (!match || (match[3] && !match[2])) {
+            return null;
+        }
+
+        const hours = this.phraseConverter.parseChineseNumber(match[1]);
+        const minutes = match[2] ? this.phraseConverter.parseChineseNumber(match[2]) : 0;
+        const seconds = match[3] ? this.phraseConverter.parseChineseNumber(match[3]) : 0;
+        if (hours === null || minutes === null || seconds === null) {
+            return null;
+        }
+        return { hours, minutes, seconds };
+    }
+
+    /**
+     * 解析小时为13-23的常见读法（如"十五点半""fifteen thirty"）：先按12小时制解析，再加回12
+     * @param {string} phrase - 去掉上午/下午后的说法
+     * @param {string} locale - 读法语言
+     * @returns {Object|null} 时间对象
+     */
+    parseWith24Hour(phrase, locale) {
+        const converter = this.phraseConverter;
+        const normalized = converter.normalize(phrase, locale);
+
+        // 英文的小时可能是一个词（fifteen）或两个词（twenty one），两种拆法都试
+        const candidates = locale === 'zh' ?
+            [normalized.match(/^([零一二三四五六七八九十]+)(点.*)$/)] :
+            [normalized.match(/^(\S+) (.+)$/), normalized.match(/^(\S+ \S+) (.+)$/)];
+
+        for (const match of candidates) {
+            if (!match) {
+                continue;
+            }
+            const hours = locale === 'zh' ? converter.parseChineseNumber(match[1]) : converter.parseEnglishNumber(match[1]);
+            if (hours === null || hours < 13 || hours > 23) {
+                continue;
+            }
+
+            const hourWord = locale === 'zh' ? converter.toChineseNumber(hours - 12) : converter.toEnglishNumber(hours - 12);
+            const time = converter.parse(locale === 'zh' ? `${hourWord}${match[2]}` : `${hourWord} ${match[2]}`, locale);
+            if (time) {
+                return { ...time, hours: time.hours + 12 };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 时间是否在有效范围内
+     * @param {Object} time - 时间对象
+     * @returns {boolean} 是否有效
+     */
+    isValidTime(time) {
+        return time.hours >= 0 && time.hours <= 23 &&
+            time.minutes >= 0 && time.minutes <= 59 &&
+            (time.seconds || 0) >= 0 && (time.seconds || 0) <= 59;
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * SVG时钟渲染器类
+ * 按ClockRenderer计算的表盘、指针和参考线几何数据绘制SVG模拟时钟：
+ * 矢量图形在任意尺寸下都清晰，每根指针和每个数字都是独立的DOM节点（带无障碍标签），
+ * 既用作Canvas不可用时的降级显示，也用于导出钟面（打印练习纸等）
+ */
+class SvgClockRenderer {
+    /**
+     * @param {ClockRenderer} geometrySource - 提供几何数据的时钟渲染器
+     * @param {Object} options - 设置
+     * @param {number} options.size - 表盘尺寸（viewBox边长）
+     * @param {boolean} options.useHandOverride - 是否跟随拨针模式的指针角度（导出时不跟随）
+     */
+    constructor(geometrySource, options = {}) {
+        if (!geometrySource) {
+            throw new Error('ClockRenderer 是必需的参数');
+        }
+        this.logger = Logger.getInstance().channel('renderer');
+        this.i18n = I18nManager.getInstance();
+        this.geometrySource = geometrySource;
+        this.size = Number(options.size) || 300;
+        this.useHandOverride = options.useHandOverride !== false;
+
+        this.svgNS = 'http://www.w3.org/2000/svg';
+
+        this.container = null;
+        this.svg = null;
+        this.handElements = {};
+        this.guideLineGroup = null;
+    }
+
+    /**
+     * 检测浏览器是否支持SVG
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        try {
+            return typeof document !== 'undefined' &&
+                typeof document.createElementNS === 'function' &&
+                document.createElementNS('http://www.w3.org/2000/svg', 'svg').namespaceURI === 'http://www.w3.org/2000/svg';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 获取SVG表盘布局（与Canvas一样四周留出40的边距）
+     * @returns {Object} 包含centerX, centerY, radius的对象
+     */
+    getLayout() {
+        return {
+            centerX: this.size / 2,
+            centerY: this.size / 2,
+            radius: this.size / 2 - 40
+        };
+    }
+
+    /**
+     * 把SVG时钟挂载到容器中
+     * @param {HTMLElement} container - 容器元素
+     * @returns {SVGElement} 创建的SVG元素
+     */
+    mount(container) {
+        if (!container) {
+            throw new Error('SVG时钟容器不存在');
+        }
+
+        const oldSvg = container.querySelector('svg.clock-svg');
+        if (oldSvg) {
+            oldSvg.remove();
+        }
+
+        this.container = container;
+        this.svg = this.createSVGElement(null);
+        this.svg.setAttribute('width', '100%');
+        this.svg.setAttribute('height', '100%');
+        container.appendChild(this.svg);
+
+        this.handElements = {};
+        this.svg.querySelectorAll('.clock-hand').forEach(element => {
+            this.handElements[element.getAttribute('data-hand')] = element;
+        });
+        this.guideLineGroup = this.svg.querySelector('.clock-guide-lines');
+
+        this.logger.debug('🖼️ SVG时钟已挂载');
+        return this.svg;
+    }
+
+    /**
+     * 更新挂载的SVG时钟：移动指针、更新无障碍标签和参考线
+     * @param {Object|null} time - 时间对象，为null时隐藏指针
+     * @param {boolean} showGuideLines - 是否显示参考线
+     */
+    render(time, showGuideLines = false) {
+        if (!this.svg) {
+            this.logger.warn('SVG时钟尚未挂载，无法渲染');
+            return;
+        }
+
+        const layout = this.getLayout();
+        const hands = time ? this.geometrySource.getHandGeometry(time, layout, this.useHandOverride) : [];
+
+        // 1. 更新指针位置
+        Object.keys(this.handElements).forEach(handName => {
+            const element = this.handElements[handName];
+            const hand = hands.find(item => item.hand === handName);
+            if (!hand) {
+                element.style.display = 'none';
+                return;
+            }
+            element.style.display = '';
+            this.applyHandGeometry(element, hand);
+        });
+
+        // 2. 重新生成参考线
+        this.guideLineGroup.innerHTML = '';
+        if (time && showGuideLines) {
+            this.appendGuideLines(this.guideLineGroup, time, layout);
+        }
+    }
+
+    /**
+     * 生成完整的SVG元素
+     * @param {Object|null} time - 时间对象，为null时只画表盘（不画指针）
+     * @param {boolean} showGuideLines - 是否显示参考线
+     * @returns {SVGElement} SVG元素
+     */
+    createSVGElement(time = null, showGuideLines = false) {
+        const layout = this.getLayout();
+        const face = this.geometrySource.getClockFaceGeometry(layout);
+        const theme = face.theme;
+
+        const svg = this.createElement('svg', {
+            viewBox: `0 0 ${this.size} ${this.size}`,
+            width: this.size,
+            height: this.size,
+            class: 'clock-svg',
+            role: 'group',
+            'aria-label': this.i18n.t('clock.svg.label')
+        });
+        const title = this.createElement('title');
+        title.textContent = this.i18n.t('clock.svg.label');
+        svg.appendChild(title);
+
+        // 1. 表盘：外圆、分钟刻度、小时刻度（纯装饰，对读屏软件隐藏）
+        const faceGroup = this.createElement('g', { class: 'clock-face', 'aria-hidden': 'true' });
+        faceGroup.appendChild(this.createElement('circle', {
+            class: 'clock-outline',
+            cx: face.centerX,
+            cy: face.centerY,
+            r: face.radius,
+            fill: theme.face.fill,
+            stroke: theme.face.outline,
+            'stroke-width': theme.face.outlineWidth
+        }));
+        face.minuteMarks.forEach(mark => {
+            faceGroup.appendChild(this.createLine(mark.start, mark.end, {
+                class: 'clock-minute-mark',
+                stroke: theme.ticks.minute.color,
+                'stroke-width': theme.ticks.minute.width
+            }));
+        });
+        if (face.showHourTicks) {
+            face.hourMarks.forEach(mark => {
+                faceGroup.appendChild(this.createLine(mark.start, mark.end, {
+                    class: 'clock-hour-mark',
+                    stroke: theme.ticks.hour.color,
+                    'stroke-width': theme.ticks.hour.width
+                }));
+            });
+        }
+        faceGroup.appendChild(this.createElement('circle', {
+            class: 'clock-center',
+            cx: face.centerX,
+            cy: face.centerY,
+            r: face.centerDotRadius,
+            fill: theme.centerDot.color
+        }));
+        svg.appendChild(faceGroup);
+
+        // 2. 数字：每个数字一个text节点（主题不显示数字时为空）
+        const numeralGroup = this.createElement('g', { class: 'clock-numerals', role: 'list', 'aria-label': this.i18n.t('clock.svg.numerals') });
+        face.hourMarks.filter(mark => mark.text !== null).forEach(mark => {
+            const numeral = this.createElement('text', {
+                class: 'clock-numeral',
+                role: 'listitem',
+                'data-number': mark.number,
+                x: this.round(mark.label.x),
+                y: this.round(mark.label.y),
+                fill: theme.numerals.color,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'central',
+                style: `font: ${theme.numerals.font}`
+            });
+            numeral.textContent = mark.text;
+            numeralGroup.appendChild(numeral);
+        });
+        svg.appendChild(numeralGroup);
+
+        // 3. 指针：每根指针一个line节点，标签描述指针指向的位置
+        const handGroup = this.createElement('g', { class: 'clock-hands' });
+        const hands = time ? this.geometrySource.getHandGeometry(time, layout, this.useHandOverride) : [];
+        ['hour', 'minute', 'second'].forEach(handName => {
+            const element = this.createElement('line', {
+                class: `clock-hand clock-hand-${handName}`,
+                'data-hand': handName,
+                role: 'img',
+                'stroke-linecap': 'round'
+            });
+            const hand = hands.find(item => item.hand === handName);
+            if (hand) {
+                this.applyHandGeometry(element, hand);
+            } else {
+                element.setAttribute('aria-label', this.getHandName(handName));
+                element.style.display = 'none';
+            }
+            handGroup.appendChild(element);
+        });
+        svg.appendChild(handGroup);
+
+        // 4. 参考线（画在指针上方，与Canvas一致）
+        const guideLineGroup = this.createElement('g', { class: 'clock-guide-lines', 'aria-hidden': 'true' });
+        if (time && showGuideLines) {
+            this.appendGuideLines(guideLineGroup, time, layout);
+        }
+        svg.appendChild(guideLineGroup);
+
+        return svg;
+    }
+
+    /**
+     * 把指针几何数据写到line节点上
+     * @param {SVGElement} element - 指针节点
+     * @param {Object} hand - getHandGeometry返回的指针几何数据
+     */
+    applyHandGeometry(element, hand) {
+        element.setAttribute('x1', this.round(hand.start.x));
+        element.setAttribute('y1', this.round(hand.start.y));
+        element.setAttribute('x2', this.round(hand.end.x));
+        element.setAttribute('y2', this.round(hand.end.y));
+        element.setAttribute('stroke', hand.color);
+        element.setAttribute('stroke-width', hand.lineWidth);
+        element.setAttribute('aria-label', this.describeHand(hand.hand, hand.angle));
+    }
+
+    /**
+     * 添加参考线
+     * @param {SVGElement} group - 参考线分组
+     * @param {Object} time - 时间对象
+     * @param {Object} layout - 表盘布局
+     */
+    appendGuideLines(group, time, layout) {
+        const guideLine = this.geometrySource.theme.guideLine;
+        this.geometrySource.getGuideLineGeometry(time, layout).forEach(line => {
+            group.appendChild(this.createLine(line.start, line.end, {
+                class: `clock-guide-line clock-guide-line-${line.hand}`,
+                stroke: guideLine.color,
+                'stroke-width': guideLine.width,
+                'stroke-dasharray': guideLine.dash.join(' ')
+            }));
+        });
+    }
+
+    /**
+     * 描述指针指向的位置（供读屏软件朗读，只描述位置，不直接读出时间）
+     * @param {string} hand - 指针类型
+     * @param {number} angle - 绘制角度（弧度）
+     * @returns {string} 描述文字
+     */
+    describeHand(hand, angle) {
+        const degrees = ((angle * 180 / Math.PI + 90) % 360 + 360) % 360;
+        const handName = this.getHandName(hand);
+
+        if (hand === 'hour') {
+            const position = degrees / 30;
+            const nearest = Math.round(position);
+            if (Math.abs(position - nearest) < 0.05) {
+                return this.i18n.t('clock.svg.handAt', { hand: handName, number: nearest % 12 || 12 });
+            }
+            const from = Math.floor(position) % 12 || 12;
+            return this.i18n.t('clock.svg.handBetween', { hand: handName, from: from, to: from % 12 + 1 });
+        }
+
+        const tick = Math.round(degrees / 6) % 60;
+        const numeral = Math.floor(tick / 5) % 12 || 12;
+        const extraTicks = tick % 5;
+        return extraTicks === 0 ?
+            this.i18n.t('clock.svg.handAt', { hand: handName, number: numeral }) :
+            this.i18n.t('clock.svg.handPastTicks', { hand: handName, number: numeral, count: extraTicks });
+    }
+
+    /**
+     * 获取指针名称
+     * @param {string} hand - 指针类型
+     * @returns {string} 指针名称
+     */
+    getHandName(hand) {
+        return this.i18n.t(`clock.svg.hands.${hand}`);
+    }
+
+    /**
+     * 导出SVG文档字符串
+     * @param {Object|null} time - 时间对象，为null时只画表盘（不画指针）
+     * @param {boolean} showGuideLines - 是否显示参考线
+     * @returns {string} SVG文档
+     */
+    toSVGString(time = null, showGuideLines = false) {
+        // XMLSerializer会为SVG命名空间的根节点自动加上xmlns
+        return new XMLSerializer().serializeToString(this.createSVGElement(time, showGuideLines));
+    }
+
+    /**
+     * 导出为可直接用作img地址的data URL
+     * @param {Object|null} time - 时间对象
+     * @returns {string} data URL
+     */
+    toDataURL(time = null) {
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(this.toSVGString(time));
+    }
+
+    /**
+     * 下载SVG文件
+     * @param {Object|null} time - 时间对象
+     * @param {string} filename - 文件名
+     */
+    downloadSVG(time = null, filename = 'clock.svg') {
+        const content = '<?xml version="1.0" encoding="UTF-8"?>\n' + this.toSVGString(time);
+        const blob = new Blob([content], { type: 'image/svg+xml;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 卸载SVG时钟
+     */
+    destroy() {
+        if (this.svg && this.svg.parentNode) {
+            this.svg.parentNode.removeChild(this.svg);
+        }
+        this.svg = null;
+        this.container = null;
+        this.handElements = {};
+        this.guideLineGroup = null;
+    }
+
+    /**
+     * 创建SVG元素
+     * @param {string} tagName - 标签名
+     * @param {Object} attributes - 属性
+     * @returns {SVGElement} SVG元素
+     */
+    createElement(tagName, attributes = {}) {
+        const element = document.createElementNS(this.svgNS, tagName);
+        Object.keys(attributes).forEach(name => {
+            element.setAttribute(name, attributes[name]);
+        });
+        return element;
+    }
+
+    /**
+     * 创建线段
+     * @param {Object} start - 起点 {x, y}
+     * @param {Object} end - 终点 {x, y}
+     * @param {Object} attributes - 其他属性
+     * @returns {SVGElement} line元素
+     */
+    createLine(start, end, attributes = {}) {
+        return this.createElement('line', {
+            x1: this.round(start.x),
+            y1: this.round(start.y),
+            x2: this.round(end.x),
+            y2: this.round(end.y),
+            ...attributes
+        });
+    }
+
+    /**
+     * 坐标保留两位小数，减小导出文件体积
+     * @param {number} value - 坐标
+     * @returns {number} 保留两位小数的坐标
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * 测验成绩单界面
+ * 测验结束后以弹窗显示总分、每题用时以及错题的详细解析
+ */
+class TestReportUI {
+    constructor(answerValidator, timerManager) {
+        if (!answerValidator || !timerManager) {
+            throw new Error('AnswerValidator 和 TimerManager 是必需的参数');
+        }
+        this.logger = Logger.getInstance().channel('records');
+        this.i18n = I18nManager.getInstance();
+        this.answerValidator = answerValidator;
+        this.timerManager = timerManager;
+        this.lastFocusedElement = null;
+        this.summary = null; // 正在显示的成绩汇总，切换语言时重新渲染
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    /**
+     * 初始化DOM元素引用
+     */
+    initializeElements() {
+        this.modal = document.getElementById('test-report');
+        this.closeBtn = document.getElementById('test-report-close');
+        this.doneBtn = document.getElementById('test-report-done');
+        this.summaryContainer = document.getElementById('test-report-summary');
+        this.questionList = document.getElementById('test-report-questions');
+        this.mistakeList = document.getElementById('test-report-mistakes');
+
+        if (!this.modal || !this.summaryContainer) {
+            this.logger.warn('未找到测验成绩单弹窗元素，成绩单可能无法正常显示');
+        }
+    }
+
+    /**
+     * 绑定事件监听器
+     */
+    bindEvents() {
+        [this.closeBtn, this.doneBtn].forEach(button => {
+            if (button) {
+                button.addEventListener('click', () => this.hide());
+            }
+        });
+
+        // 点击遮罩关闭弹窗
+        if (this.modal) {
+            this.modal.addEventListener('click', (e) => {
+                if (e.target === this.modal) {
+                    this.hide();
+                }
+            });
+        }
+    }
+
+    /**
+     * 显示成绩单
+     * @param {Object} summary - 测验成绩汇总（TestSession.getSummary的结果）
+     */
+    show(summary) {
+        if (!this.modal) {
+            return;
+        }
+
+        this.lastFocusedElement = document.activeElement;
+        this.summary = summary;
+        this.render();
+
+        this.modal.setAttribute('aria-hidden', 'false');
+        this.modal.style.display = 'flex';
+
+        if (this.doneBtn) {
+            this.doneBtn.focus();
+        }
+    }
+
+    /**
+     * 渲染成绩单的全部内容
+     */
+    render() {
+        this.renderSummary(this.summary);
+        this.renderQuestions(this.summary);
+        this.renderMistakes(this.summary);
+    }
+
+    /**
+     * 切换语言后重新渲染正在显示的成绩单
+     */
+    refresh() {
+        if (this.isVisible() && this.summary) {
+            this.render();
+        }
+    }
+
+    /**
+     * 隐藏成绩单，通知应用回到平时练习
+     */
+    hide() {
+        if (!this.isVisible()) {
+            return;
+        }
+
+        this.modal.setAttribute('aria-hidden', 'true');
+        this.modal.style.display = 'none';
+
+        if (this.lastFocusedElement && typeof this.lastFocusedElement.focus === 'function') {
+            this.lastFocusedElement.focus();
+        }
+        this.lastFocusedElement = null;
+
+        document.dispatchEvent(new CustomEvent('testReportClosed'));
+    }
+
+    /**
+     * 弹窗是否可见
+     * @returns {boolean} 是否可见
+     */
+    isVisible() {
+        return !!this.modal && this.modal.getAttribute('aria-hidden') === 'false';
+    }
+
+    /**
+     * 渲染总分和整体用时
+     * @param {Object} summary - 测验成绩汇总
+     */
+    renderSummary(summary) {
+        if (!this.summaryContainer) {
+            return;
+        }
+
+        const endReason = ['timeUp', 'stopped'].includes(summary.endReason) ? summary.endReason : 'completed';
+        const endReasonText = this.i18n.t(`testReport.endReasons.${endReason}`);
+
+        const levelText = this.i18n.formatList(summary.byLevel.map(stats => this.i18n.t('testReport.summary.levelStats', {
+            level: this.i18n.t('difficulty.starLevel', { level: stats.level }),
+            correct: stats.correct,
+            total: stats.total
+        })));
+        const timeLimitText = summary.timeLimitSeconds ?
+            this.i18n.t('testReport.summary.timeLimit', { time: this.timerManager.formatTime(summary.timeLimitSeconds) }) :
+            '';
+
+        // 数字加粗，文字从消息目录取
+        this.summaryContainer.innerHTML = `
+            <div class="test-report-score ${summary.score >= 80 ? 'good' : ''}">${summary.score}<span>${this.i18n.t('testReport.summary.scoreUnit')}</span></div>
+            <div class="test-report-stats">
+                <div>${this.i18n.t('testReport.summary.correct', { correct: `<strong>${summary.correctCount}</strong>`, total: summary.total })}</div>
+                <div>${this.i18n.t('testReport.summary.elapsed', { time: `<strong>${this.timerManager.formatTime(summary.elapsedSeconds)}</strong>` })}${timeLimitText}</div>
+                <div>${this.i18n.t('testReport.summary.averageTime', { time: `<strong>${this.i18n.t('common.seconds', { count: summary.averageTime })}</strong>` })}</div>
+                <div>${this.i18n.t('testReport.summary.byLevel', { levels: levelText })}</div>
+            </div>
+            <div class="test-report-end-reason">${endReasonText}</div>
+        `;
+    }
+
+    /**
+     * 渲染每题的答题情况
+     * @param {Object} summary - 测验成绩汇总
+     */
+    renderQuestions(summary) {
+        if (!this.questionList) {
+            return;
+        }
+
+        this.questionList.innerHTML = '';
+        summary.questions.forEach(question => {
+            let statusText = '❌';
+            if (!question.answered) {
+                statusText = this.i18n.t('testReport.unanswered');
+            } else if (question.isCorrect) {
+                statusText = '✅';
+            }
+
+            const row = document.createElement('tr');
+            row.className = question.isCorrect ? 'correct' : 'incorrect';
+            row.innerHTML = `
+                <td>${question.index + 1}</td>
+                <td>${this.i18n.t('difficulty.starLevel', { level: question.level })}</td>
+                <td>${this.answerValidator.formatTime(question.time)}</td>
+                <td>${question.userAnswer ? this.answerValidator.formatTime(question.userAnswer) : '—'}</td>
+                <td>${question.answered ? this.i18n.t('common.seconds', { count: question.timeSpent }) : '—'}</td>
+                <td>${statusText}</td>
+            `;
+            this.questionList.appendChild(row);
+        });
+    }
+
+    /**
+     * 渲染错题解析
+     * @param {Object} summary - 测验成绩汇总
+     */
+    renderMistakes(summary) {
+        if (!this.mistakeList) {
+            return;
+        }
+
+        this.mistakeList.innerHTML = '';
+        if (summary.mistakes.length === 0) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'test-report-empty';
+            emptyMessage.textContent = this.i18n.t('testReport.noMistakes');
+            this.mistakeList.appendChild(emptyMessage);
+            return;
+        }
+
+        summary.mistakes.forEach(question => {
+            const item = document.createElement('div');
+            item.className = 'test-report-mistake';
+
+            const title = document.createElement('h5');
+            const titleParams = {
+                number: question.index + 1,
+                time: this.answerValidator.formatTime(question.time),
+                answer: question.userAnswer ? this.answerValidator.formatTime(question.userAnswer) : '—'
+            };
+            title.textContent = this.i18n.t(question.answered ? 'testReport.mistakeTitle' : 'testReport.mistakeTitleUnanswered', titleParams);
+
+            const explanation = document.createElement('pre');
+            explanation.className = 'test-report-explanation';
+            explanation.textContent = question.explanation;
+
+            item.appendChild(title);
+            item.appendChild(explanation);
+            this.mistakeList.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * 测验会话类
+ * 一次测验包含固定数量、混合星级的题目，作答期间不显示对错，
+ * 全部完成（或到达限时、提前交卷）后汇总成绩单，并整体保存为一条会话
+ */
+class TestSession {
+    /**
+     * @param {Object} options - 测验设置
+     * @param {number} options.questionCount - 题目数量
+     * @param {Array<number>} options.levels - 混合的星级
+     * @param {number} options.timeLimitSeconds - 总限时（秒），0表示不限时
+     * @param {string} options.questionMode - 练习模式（read/set/choice）
+     */
+    constructor(options = {}) {
+        this.logger = Logger.getInstance().channel('records');
+        const levels = Array.isArray(options.levels) ?
+            [...new Set(options.levels.map(Number))].filter(level => level >= 1 && level <= 5).sort((a, b) => a - b) :
+            [];
+        if (levels.length === 0) {
+            throw new Error('至少需要选择一个星级');
+        }
+
+        this.id = `test_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.questionCount = Math.max(1, Math.floor(Number(options.questionCount) || 10));
+        this.levels = levels;
+        this.timeLimitSeconds = Math.max(0, Number(options.timeLimitSeconds) || 0);
+        this.questionMode = options.questionMode || 'read';
+
+        this.questions = [];
+        this.currentIndex = 0;
+        this.startedAt = null;
+        this.endedAt = null;
+        this.endReason = null; // completed-全部完成，timeUp-到达限时，stopped-提前交卷
+    }
+
+    /**
+     * 生成全部题目：各星级题数尽量平均，再打乱顺序
+     * @param {TimeGenerator} timeGenerator - 时间生成器
+     * @returns {Array<Object>} 题目数组
+     */
+    generateQuestions(timeGenerator) {
+        const questionLevels = [];
+        for (let i = 0; i < this.questionCount; i++) {
+            questionLevels.push(this.levels[i % this.levels.length]);
+        }
+
+        // Fisher-Yates洗牌
+        for (let i = questionLevels.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [questionLevels[i], questionLevels[j]] = [questionLevels[j], questionLevels[i]];
+        }
+
+        this.questions = questionLevels.map((level, index) => ({
+            index: index,
+            level: level,
+            time: timeGenerator.generateTimeForLevel(level),
+            answered: false,
+            userAnswer: null,
+            isCorrect: false,
+            timeSpent: 0,
+            distractorType: null
+        }));
+        this.currentIndex = 0;
+
+        this.logger.debug(`📝 测验题目已生成: ${this.questions.length} 题，星级 ${this.levels.join('、')}`);
+        return this.questions;
+    }
+
+    /**
+     * 开始测验
+     */
+    start() {
+        this.startedAt = new Date();
+        this.endedAt = null;
+        this.endReason = null;
+    }
+
+    /**
+     * 测验是否正在进行
+     * @returns {boolean} 是否进行中
+     */
+    isActive() {
+        return !!this.startedAt && !this.endedAt;
+    }
+
+    /**
+     * 获取当前题目
+     * @returns {Object|null} 题目对象，已全部作答时为null
+     */
+    getCurrentQuestion() {
+        return this.questions[this.currentIndex] || null;
+    }
+
+    /**
+     * 获取答题进度
+     * @returns {Object} {current, total}，current从1开始
+     */
+    getProgress() {
+        return {
+            current: Math.min(this.currentIndex + 1, this.questions.length),
+            total: this.questions.length
+        };
+    }
+
+    /**
+     * 记录当前题目的作答，并进入下一题
+     * @param {Object} result - 验证结果（包含userTime、isCorrect、timeSpent）
+     * @returns {boolean} 是否还有下一题
+     */
+    recordAnswer(result) {
+        const question = this.getCurrentQuestion();
+        if (!question || !this.isActive()) {
+            return false;
+        }
+
+        question.answered = true;
+        question.userAnswer = result.userTime ? { ...result.userTime } : null;
+        question.isCorrect = !!result.isCorrect;
+        question.timeSpent = Number(result.timeSpent) || 0;
+        question.distractorType = result.distractorType || null;
+        this.currentIndex++;
+
+        return this.currentIndex < this.questions.length;
+    }
+
+    /**
+     * 结束测验
+     * @param {string} reason - 结束原因（completed/timeUp/stopped）
+     */
+    finish(reason = 'completed') {
+        if (this.endedAt) {
+            return;
+        }
+        this.endedAt = new Date();
+        this.endReason = reason;
+        this.logger.info(`📝 测验结束（${reason}），共作答 ${this.questions.filter(q => q.answered).length}/${this.questions.length} 题`);
+    }
+
+    /**
+     * 汇总成绩单
+     * @param {AnswerValidator} answerValidator - 答案验证器，用于生成错题解析
+     * @returns {Object} 成绩汇总
+     */
+    getSummary(answerValidator) {
+        const answeredQuestions = this.questions.filter(question => question.answered);
+        const correctCount = answeredQuestions.filter(question => question.isCorrect).length;
+        const totalTimeSpent = answeredQuestions.reduce((sum, question) => sum + question.timeSpent, 0);
+        const elapsedSeconds = this.startedAt ?
+            Math.round(((this.endedAt || new Date()) - this.startedAt) / 1000) :
+            0;
+
+        // 各星级的得分情况
+        const byLevel = {};
+        this.questions.forEach(question => {
+            if (!byLevel[question.level]) {
+                byLevel[question.level] = { level: question.level, total: 0, correct: 0 };
+            }
+            byLevel[question.level].total++;
+            if (question.isCorrect) {
+                byLevel[question.level].correct++;
+            }
+        });
+
+        const questions = this.questions.map(question => ({
+            ...question,
+            explanation: question.isCorrect ?
+                '' :
+                answerValidator.generateExplanation(question.time, false, question.userAnswer)
+        }));
+
+        return {
+            id: this.id,
+            total: this.questions.length,
+            answeredCount: answeredQuestions.length,
+            correctCount: correctCount,
+            score: this.questions.length > 0 ? Math.round((correctCount / this.questions.length) * 100) : 0,
+            totalTimeSpent: totalTimeSpent,
+            averageTime: answeredQuestions.length > 0 ? Math.round(totalTimeSpent / answeredQuestions.length) : 0,
+            elapsedSeconds: elapsedSeconds,
+            timeLimitSeconds: this.timeLimitSeconds,
+            endReason: this.endReason,
+            byLevel: Object.values(byLevel),
+            questions: questions,
+            mistakes: questions.filter(question => !question.isCorrect)
+        };
+    }
+
+    /**
+     * 转换为保存用的会话实体
+     * @param {Object} summary - 成绩汇总（getSummary的结果）
+     * @returns {Object} 会话实体
+     */
+    toEntity(summary) {
+        return {
+            id: this.id,
+            type: 'test',
+            startedAt: this.startedAt,
+            endedAt: this.endedAt,
+            endReason: this.endReason,
+            questionMode: this.questionMode,
+            levels: [...this.levels],
+            timeLimitSeconds: this.timeLimitSeconds,
+            questionCount: summary.total,
+            answeredCount: summary.answeredCount,
+            correctCount: summary.correctCount,
+            score: summary.score,
+            totalTimeSpent: summary.totalTimeSpent,
+            elapsedSeconds: summary.elapsedSeconds,
+            questions: this.questions.map(question => ({
+                index: question.index,
+                level: question.level,
+                correctAnswer: { ...question.time },
+                userAnswer: question.userAnswer ? { ...question.userAnswer } : null,
+                answered: question.answered,
+                isCorrect: question.isCorrect,
+                timeSpent: question.timeSpent,
+                distractorType: question.distractorType
+            }))
+        };
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * 钟面主题管理器类
+ * 钟面的颜色、字体、刻度和指针尺寸都由声明式的主题对象描述，ClockRenderer和SvgClockRenderer按主题绘制。
+ * 老师可以在页面中定义window.customClockThemes数组，或调用registerTheme注册自己编写的主题，
+ * 只需写出与经典主题不同的部分，其余自动沿用经典主题
+ */
+class ThemeManager {
+    constructor() {
+        this.logger = Logger.getInstance().channel('renderer');
+        this.i18n = I18nManager.getInstance();
+        this.defaultThemeId = 'classic';
+        this.customThemeIds = new Set(); // 老师注册的主题id（包括覆盖内置主题的），切换语言时不改它们的名称
+        this.themes = this.initializeThemes();
+        this.registerCustomThemes();
+    }
+
+    /**
+     * 注册页面中通过window.customClockThemes定义的自定义主题
+     */
+    registerCustomThemes() {
+        const customThemes = typeof window !== 'undefined' ? window.customClockThemes : null;
+        if (!Array.isArray(customThemes)) {
+            return;
+        }
+        customThemes.forEach(theme => this.registerTheme(theme));
+    }
+
+    /**
+     * 经典主题（也是其他主题未填写部分的默认值）
+     * @returns {Object} 主题对象
+     */
+    static getClassicTheme() {
+        const i18n = I18nManager.getInstance();
+        return {
+            id: 'classic',
+            name: i18n.t('theme.classic.name'),
+            description: i18n.t('theme.classic.description'),
+            face: {
+                fill: '#ffffff',
+                outline: '#333333',
+                outlineWidth: 3
+            },
+            ticks: {
+                hour: { visible: true, color: '#333333', width: 3, length: 20 },
+                minute: { visible: true, color: '#666666', width: 1, length: 10 }
+            },
+            numerals: {
+                style: 'arabic', // arabic-阿拉伯数字，roman-罗马数字，none-不显示数字
+                labels: null, // 自定义12个数字的文字（从1点到12点），填写后忽略style
+                color: '#333333',
+                font: 'bold 20px Arial',
+                inset: 35 // 数字中心到表盘边缘的距离
+            },
+            hands: {
+                hour: { color: '#333333', width: 6, length: 0.5 }, // length为表盘半径的比例
+                minute: { color: '#333333', width: 4, length: 0.7 },
+                second: { color: '#ff0000', width: 2, length: 0.8 }
+            },
+            centerDot: {
+                color: '#333333',
+                radius: 8
+            },
+            guideLine: {
+                color: '#ff0000',
+                width: 2,
+                dash: [5, 5]
+            },
+            hint: {
+                color: '#f59e0b', // 时针高亮和提示参考线的颜色
+                glowWidth: 8, // 高亮比指针宽出的像素
+                sectorColor: 'rgba(59, 130, 246, 0.2)', // 分针走过的扇形
+                secondSectorColor: 'rgba(239, 68, 68, 0.18)', // 动画讲解中秒针走过的扇形
+                zoneColor: 'rgba(245, 158, 11, 0.25)', // 时针所在的小时区间
+                labelColor: '#2563eb',
+                labelFont: 'bold 13px Arial',
+                labelOffset: 16, // 分钟数字到表盘边缘的距离（画在表盘外侧）
+                numeralRadius: 16 // 动画讲解中圈出钟面数字的圆圈半径
+            }
+        };
+    }
+
+    /**
+     * 初始化内置主题
+     * @returns {Object} 以主题id为键的主题对象
+     */
+    initializeThemes() {
+        const builtInThemes = [
+            ThemeManager.getClassicTheme(),
+            {
+                id: 'highContrast',
+                name: this.i18n.t('theme.highContrast.name'),
+                description: this.i18n.t('theme.highContrast.description'),
+                face: { fill: '#000000', outline: '#ffffff', outlineWidth: 5 },
+                ticks: {
+                    hour: { color: '#ffffff', width: 5, length: 22 },
+                    minute: { color: '#ffffff', width: 2, length: 10 }
+                },
+                numerals: { color: '#ffffff', font: 'bold 24px Arial' },
+                hands: {
+                    hour: { color: '#ffff00', width: 10 },
+                    minute: { color: '#ffffff', width: 6 },
+                    second: { color: '#00ffff', width: 3 }
+                },
+                centerDot: { color: '#ffffff', radius: 9 },
+                guideLine: { color: '#ff00ff', width: 3 }
+            },
+            {
+                id: 'kids',
+                name: this.i18n.t('theme.kids.name'),
+                description: this.i18n.t('theme.kids.description'),
+                face: { fill: '#fffbeb', outline: '#f59e0b', outlineWidth: 5 },
+                ticks: {
+                    hour: { color: '#f59e0b', width: 4 },
+                    minute: { color: '#fcd34d', width: 2 }
+                },
+                numerals: { color: '#7c3aed', font: 'bold 22px "Comic Sans MS", "Chalkboard SE", Arial' },
+                hands: {
+                    hour: { color: '#ef4444', width: 8 },
+                    minute: { color: '#3b82f6', width: 5 },
+                    second: { color: '#22c55e', width: 3 }
+                },
+                centerDot: { color: '#7c3aed' },
+                guideLine: { color: '#a855f7' }
+            },
+            {
+                id: 'minimal',
+                name: this.i18n.t('theme.minimal.name'),
+                description: this.i18n.t('theme.minimal.description'),
+                face: { outline: '#111827', outlineWidth: 2 },
+                ticks: {
+                    hour: { color: '#111827', width: 4, length: 16 },
+                    minute: { color: '#d1d5db', width: 1, length: 6 }
+                },
+                numerals: { style: 'none' },
+                hands: {
+                    hour: { color: '#111827', width: 5 },
+                    minute: { color: '#111827', width: 3, length: 0.75 },
+                    second: { color: '#ef4444', width: 1.5, length: 0.85 }
+                },
+                centerDot: { color: '#111827', radius: 5 }
+            },
+            {
+                id: 'roman',
+                name: this.i18n.t('theme.roman.name'),
+                description: this.i18n.t('theme.roman.description'),
+                face: { fill: '#fdf6e3', outline: '#8b5a2b', outlineWidth: 4 },
+                ticks: {
+                    hour: { color: '#5c3d1e' },
+                    minute: { color: '#a07850' }
+                },
+                numerals: { style: 'roman', color: '#3f2d1c', font: 'bold 18px "Times New Roman", Georgia, serif', inset: 37 },
+                hands: {
+                    hour: { color: '#3f2d1c' },
+                    minute: { color: '#3f2d1c' },
+                    second: { color: '#b91c1c' }
+                },
+                centerDot: { color: '#3f2d1c' }
+            }
+        ];
+
+        const themes = {};
+        builtInThemes.forEach(theme => {
+            themes[theme.id] = this.resolveTheme(theme);
+        });
+        return themes;
+    }
+
+    /**
+     * 切换语言后重新生成内置主题的名称和说明（老师注册的主题保持原样）
+     */
+    refreshTranslations() {
+        const builtInThemes = this.initializeThemes();
+        Object.keys(builtInThemes).forEach(themeId => {
+            if (!this.customThemeIds.has(themeId)) {
+                this.themes[themeId] = builtInThemes[themeId];
+            }
+        });
+    }
+
+    /**
+     * 用经典主题补全主题对象中未填写的部分
+     * @param {Object} theme - 主题对象（可以只写需要修改的部分）
+     * @returns {Object} 完整的主题对象
+     */
+    resolveTheme(theme) {
+        const merge = (base, override) => {
+            const result = { ...base };
+            Object.keys(override || {}).forEach(key => {
+                const value = override[key];
+                const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+                result[key] = isPlainObject && base[key] && typeof base[key] === 'object' ?
+                    merge(base[key], value) :
+                    value;
+            });
+            return result;
+        };
+        return merge(ThemeManager.getClassicTheme(), theme);
+    }
+
+    /**
+     * 验证主题对象
+     * @param {Object} theme - 完整的主题对象
+     * @returns {boolean} 是否有效
+     */
+    validateTheme(theme) {
+        if (!theme || typeof theme.id !== 'string' || !theme.id.trim()) {
+            this.logger.warn('主题缺少id');
+            return false;
+        }
+        if (!['arabic', 'roman', 'none'].includes(theme.numerals.style)) {
+            this.logger.warn(`主题 ${theme.id} 的数字样式无效:`, theme.numerals.style);
+            return false;
+        }
+        if (theme.numerals.labels !== null &&
+            (!Array.isArray(theme.numerals.labels) || theme.numerals.labels.length !== 12)) {
+            this.logger.warn(`主题 ${theme.id} 的自定义数字必须是12个`);
+            return false;
+        }
+        const invalidHand = ['hour', 'minute', 'second'].find(hand => {
+            const handTheme = theme.hands[hand];
+            return !(handTheme.length > 0 && handTheme.length <= 1) || !(handTheme.width > 0);
+        });
+        if (invalidHand) {
+            this.logger.warn(`主题 ${theme.id} 的指针尺寸无效:`, invalidHand);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 注册自定义主题（同id时覆盖已有主题）
+     * @param {Object} theme - 主题对象，至少包含id和name
+     * @returns {boolean} 是否注册成功
+     */
+    registerTheme(theme) {
+        try {
+            const resolvedTheme = this.resolveTheme(theme);
+            if (!this.validateTheme(resolvedTheme)) {
+                return false;
+            }
+            // 名称和说明不沿用经典主题
+            resolvedTheme.name = theme.name || resolvedTheme.id;
+            resolvedTheme.description = theme.description || '';
+            this.themes[resolvedTheme.id] = resolvedTheme;
+            this.customThemeIds.add(resolvedTheme.id);
+            this.logger.debug(`🎨 已注册钟面主题: ${resolvedTheme.name}`);
+            return true;
+        } catch (error) {
+            this.logger.error('注册钟面主题失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 获取主题，不存在时返回经典主题
+     * @param {string} themeId - 主题id
+     * @returns {Object} 主题对象
+     */
+    getTheme(themeId) {
+        return this.themes[themeId] || this.themes[this.defaultThemeId];
+    }
+
+    /**
+     * 主题是否存在
+     * @param {string} themeId - 主题id
+     * @returns {boolean} 是否存在
+     */
+    hasTheme(themeId) {
+        return !!this.themes[themeId];
+    }
+
+    /**
+     * 获取所有主题
+     * @returns {Array<Object>} 主题数组
+     */
+    getAllThemes() {
+        return Object.values(this.themes);
+    }
+
+    /**
+     * 获取钟点对应的数字文字
+     * @param {Object} theme - 完整的主题对象
+     * @param {number} number - 钟点（1-12）
+     * @returns {string|null} 数字文字，不显示数字时返回null
+     */
+    static getNumeralLabel(theme, number) {
+        if (theme.numerals.labels) {
+            return String(theme.numerals.labels[number - 1]);
+        }
+        switch (theme.numerals.style) {
+            case 'roman':
+                return ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'][number - 1];
+            case 'none':
+                return null;
+            default:
+                return number.toString();
+        }
+    }
+}
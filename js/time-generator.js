@@ -1,11 +1,77 @@
 /**
  * 时间生成器类
- * 根据星级难度生成相应复杂度的时间
+ * 根据星级难度生成相应复杂度的时间，上午/下午情境题还会配上情境提示（太阳、月亮和生活场景）
  */
 class TimeGenerator {
     constructor(difficultyManager) {
+        this.logger = Logger.getInstance().channel('app');
         this.difficultyManager = difficultyManager;
         this.lastGeneratedTime = null; // 记录上次生成的时间
+        this.reviewScheduler = null; // 错题复习调度器（可选）
+        this.reviewRatio = 0; // 到期错题混入的比例
+        this.reviewOnly = false; // 是否只出复习题
+        this.mistakeAnalyzer = null; // 错误模式分析器（可选）
+        this.lastTimeSource = 'random'; // 上次生成的时间来源：random-随机，review-错题复习，weakness-针对薄弱类型
+        this.lastTargetCategory = null; // 上次针对练习的错误类型
+        this.timeConfigOverride = null; // 临时使用的时间配置（测验中按题目星级出题）
+
+        // 上午/下午情境：按24小时制的小时范围划分，覆盖一整天（场景文字在消息目录的timeGenerator.scenes下）
+        this.dayContexts = [
+            { from: 0, to: 4, icon: '😴', scene: 'lateNight' },
+            { from: 5, to: 6, icon: '🌅', scene: 'dawn' },
+            { from: 7, to: 7, icon: '🥛', scene: 'breakfast' },
+            { from: 8, to: 11, icon: '🏫', scene: 'morningClass' },
+            { from: 12, to: 12, icon: '🍱', scene: 'lunch' },
+            { from: 13, to: 15, icon: '📖', scene: 'afternoonClass' },
+            { from: 16, to: 17, icon: '🎒', scene: 'afterSchool' },
+            { from: 18, to: 19, icon: '🍚', scene: 'dinner' },
+            { from: 20, to: 21, icon: '🪥', scene: 'bedtime' },
+            { from: 22, to: 23, icon: '🛏️', scene: 'asleep' }
+        ];
+
+        // 经过时间题：按星级决定回答经过多久（duration）还是结束时间（endTime），
+        // step为开始时间分钟和经过时间的最小单位，经过时间在minMinutes到maxMinutes之间
+        this.elapsedSettings = {
+            1: { answerType: 'duration', step: 60, minMinutes: 60, maxMinutes: 300 },
+            2: { answerType: 'duration', step: 30, minMinutes: 30, maxMinutes: 300 },
+            3: { answerType: 'endTime', step: 5, minMinutes: 10, maxMinutes: 180 },
+            4: { answerType: 'duration', step: 1, minMinutes: 5, maxMinutes: 240 },
+            5: { answerType: 'endTime', step: 1, minMinutes: 5, maxMinutes: 360 }
+        };
+    }
+
+    /**
+     * 设置错误模式分析器，出题时向薄弱的错误类型加权
+     * @param {MistakeAnalyzer} mistakeAnalyzer - 错误模式分析器实例
+     */
+    setMistakeAnalyzer(mistakeAnalyzer) {
+        this.mistakeAnalyzer = mistakeAnalyzer;
+    }
+
+    /**
+     * 设置错题复习调度器
+     * @param {ReviewScheduler} reviewScheduler - 复习调度器实例
+     * @param {number} reviewRatio - 到期错题混入题目的比例（0-1）
+     */
+    setReviewScheduler(reviewScheduler, reviewRatio = 0) {
+        this.reviewScheduler = reviewScheduler;
+        this.setReviewRatio(reviewRatio);
+    }
+
+    /**
+     * 设置到期错题混入题目的比例
+     * @param {number} reviewRatio - 比例（0-1）
+     */
+    setReviewRatio(reviewRatio) {
+        this.reviewRatio = Math.max(0, Math.min(1, Number(reviewRatio) || 0));
+    }
+
+    /**
+     * 开启或关闭只复习错题
+     * @param {boolean} reviewOnly - 是否只出复习题
+     */
+    setReviewOnly(reviewOnly) {
+        this.reviewOnly = !!reviewOnly;
     }
 
     /**
@@ -21,8 +87,11 @@ class TimeGenerator {
      * @returns {Object} 当前难度的时间配置
      */
     getTimeConfig() {
+        if (this.timeConfigOverride) {
+            return { ...this.timeConfigOverride };
+        }
         if (!this.difficultyManager) {
-            console.error('难度管理器未初始化');
+            this.logger.error('难度管理器未初始化');
             return {
                 includeHours: true,
                 includeMinutes: true,
@@ -39,6 +108,20 @@ class TimeGenerator {
      * @returns {Object} 包含hours, minutes, seconds的时间对象
      */
     generateTime() {
+        // 优先按比例（或只复习模式）出到期的错题
+        const reviewTime = this.pickReviewTime();
+        if (reviewTime) {
+            this.lastGeneratedTime = { ...reviewTime };
+            this.lastTimeSource = 'review';
+            this.lastTargetCategory = null;
+            return reviewTime;
+        }
+
+        // 按错误模式加权：部分题目针对孩子最薄弱的错误类型
+        const targetCategory = this.mistakeAnalyzer ?
+            this.mistakeAnalyzer.pickTargetCategory(this.getTimeConfig()) :
+            null;
+
         let time;
         let attempts = 0;
         const maxAttempts = 50; // 防止无限循环
@@ -50,7 +133,14 @@ class TimeGenerator {
                 seconds: this.generateSecond()
             };
             attempts++;
-        } while (this.isSameTime(time, this.lastGeneratedTime) && attempts < maxAttempts);
+        } while ((this.isSameTime(time, this.lastGeneratedTime) ||
+                  (targetCategory && !this.mistakeAnalyzer.exercisesCategory(time, targetCategory))) &&
+                 attempts < maxAttempts);
+
+        this.lastTargetCategory = targetCategory && this.mistakeAnalyzer.exercisesCategory(time, targetCategory) ?
+            targetCategory :
+            null;
+        this.lastTimeSource = this.lastTargetCategory ? 'weakness' : 'random';
 
         // 记录这次生成的时间
         this.lastGeneratedTime = { ...time };
@@ -58,6 +148,101 @@ class TimeGenerator {
         return time;
     }
 
+    /**
+     * 按指定星级生成随机时间（不混入复习题和薄弱类型题目，用于测验）
+     * @param {number} level - 难度等级 (1-5)
+     * @returns {Object} 包含hours, minutes, seconds的时间对象
+     */
+    generateTimeForLevel(level) {
+        const difficulty = this.difficultyManager ? this.difficultyManager.getAllDifficulties()[level] : null;
+        if (!difficulty || !difficulty.timeConfig) {
+            throw new Error(`无效的难度等级: ${level}`);
+        }
+
+        this.timeConfigOverride = { ...difficulty.timeConfig };
+        try {
+            let time;
+            let attempts = 0;
+            const maxAttempts = 50; // 防止无限循环
+
+            do {
+                time = {
+                    hours: this.generateHour(),
+                    minutes: this.generateMinute(),
+                    seconds: this.generateSecond()
+                };
+                attempts++;
+            } while (this.isSameTime(time, this.lastGeneratedTime) && attempts < maxAttempts);
+
+            this.lastGeneratedTime = { ...time };
+            this.lastTimeSource = 'random';
+            this.lastTargetCategory = null;
+            return time;
+        } finally {
+            this.timeConfigOverride = null;
+        }
+    }
+
+    /**
+     * 生成经过时间题的一对时间（开始和结束），两者相差不超过该星级的最长经过时间
+     * 结束时间按钟面计算，超过12点后从1点接着数
+     * @param {number} level - 难度等级 (1-5)
+     * @returns {Object} {start, end, durationMinutes, answerType}，start和end为秒数为0的时间对象
+     */
+    generateTimePair(level) {
+        const settings = this.elapsedSettings[level];
+        if (!settings) {
+            throw new Error(`无效的难度等级: ${level}`);
+        }
+
+        const { step, minMinutes, maxMinutes } = settings;
+        let start;
+        let attempts = 0;
+        const maxAttempts = 50; // 防止无限循环
+
+        do {
+            start = {
+                hours: this.generateHour(),
+                minutes: Math.floor(Math.random() * (60 / step)) * step,
+                seconds: 0
+            };
+            attempts++;
+        } while (this.isSameTime(start, this.lastGeneratedTime) && attempts < maxAttempts);
+
+        const durationMinutes = minMinutes + Math.floor(Math.random() * ((maxMinutes - minMinutes) / step + 1)) * step;
+        const endClockMinutes = ((start.hours % 12) * 60 + start.minutes + durationMinutes) % 720;
+        const end = {
+            hours: Math.floor(endClockMinutes / 60) || 12,
+            minutes: endClockMinutes % 60,
+            seconds: 0
+        };
+
+        this.lastGeneratedTime = { ...start };
+        this.lastTimeSource = 'random';
+        this.lastTargetCategory = null;
+        return { start, end, durationMinutes, answerType: settings.answerType };
+    }
+
+    /**
+     * 选择一个到期的复习时间
+     * @returns {Object|null} 时间对象，不出复习题时为null
+     */
+    pickReviewTime() {
+        if (!this.reviewScheduler) {
+            return null;
+        }
+        if (!this.reviewOnly && (this.reviewRatio <= 0 || Math.random() >= this.reviewRatio)) {
+            return null;
+        }
+
+        // 只取符合当前难度的时间，并尽量避免与上一题相同
+        const dueItems = this.reviewScheduler.getDueItems(this.getTimeConfig());
+        const candidate = dueItems.find(item => !this.isSameTime(item.time, this.lastGeneratedTime)) ||
+                          (this.reviewOnly ? dueItems[0] : null);
+
+        return candidate ? { ...candidate.time } : null;
+    }
+
     /**
      * 比较两个时间是否相同
      * @param {Object} time1 - 第一个时间对象
@@ -81,6 +266,44 @@ class TimeGenerator {
         return Math.floor(Math.random() * 12) + 1;
     }
 
+    /**
+     * 随机生成上午或下午
+     * @returns {string} am或pm
+     */
+    generateMeridiem() {
+        return Math.random() < 0.5 ? 'am' : 'pm';
+    }
+
+    /**
+     * 给钟面时间加上上午/下午，用于上午/下午情境题
+     * @param {Object} time - 钟面时间对象（小时1-12）
+     * @returns {Object} 带meridiem的时间对象
+     */
+    addMeridiem(time) {
+        return { ...time, meridiem: time.meridiem || this.generateMeridiem() };
+    }
+
+    /**
+     * 获取时间对应的情境提示
+     * @param {Object} time - 带meridiem的时间对象
+     * @returns {Object|null} {icon, scene, skyIcon, isDaytime}，不带meridiem时返回null
+     */
+    getDayContext(time) {
+        if (!time || !time.meridiem) {
+            return null;
+        }
+
+        const hours24 = (time.hours % 12) + (time.meridiem === 'pm' ? 12 : 0);
+        const context = this.dayContexts.find(item => hours24 >= item.from && hours24 <= item.to);
+        const isDaytime = hours24 >= 6 && hours24 < 18;
+        return {
+            icon: context.icon,
+            scene: I18nManager.getInstance().t(`timeGenerator.scenes.${context.scene}`),
+            skyIcon: isDaytime ? '☀️' : '🌙', // 白天显示太阳，夜里显示月亮
+            isDaytime: isDaytime
+        };
+    }
+
     /**
      * 根据难度配置生成分钟
      * @returns {number} 分钟数
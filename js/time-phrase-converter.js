@@ -0,0 +1,410 @@
+/**
+ * 时间读法转换器类
+ * 在时间对象和口语读法之间双向转换，支持中文（三点半、三点一刻、差五分四点）和英文
+ * （half past three、quarter to four、twenty-five past three）。
+ * 每种语言按自己的规则列出一个时间的所有等价读法，解析时用同一份规则反查，保证两个方向一致
+ */
+class TimePhraseConverter {
+    constructor() {
+        this.logger = Logger.getInstance().channel('app');
+        this.defaultLocale = 'zh';
+        this.locales = {
+            zh: { name: '中文', example: '三点一刻' },
+            en: { name: 'English', example: 'quarter past three' }
+        };
+
+        this.chineseDigits = ['零', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+        this.englishOnes = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+            'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+        this.englishTens = ['', '', 'twenty', 'thirty', 'forty', 'fifty'];
+
+        this.phraseTables = {}; // 按语言缓存的"规范化读法 -> 时和分"反查表
+    }
+
+    /**
+     * 获取支持的语言
+     * @returns {Array<Object>} [{id, name, example}]
+     */
+    getSupportedLocales() {
+        return Object.keys(this.locales).map(id => ({ id, ...this.locales[id] }));
+    }
+
+    /**
+     * 语言是否受支持
+     * @param {string} locale - 语言id
+     * @returns {boolean} 是否支持
+     */
+    isSupportedLocale(locale) {
+        return !!this.locales[locale];
+    }
+
+    /**
+     * 根据文字判断语言（含汉字为中文，否则为英文）
+     * @param {string} text - 读法文字
+     * @returns {string} 语言id
+     */
+    detectLocale(text) {
+        return /[一-鿿]/.test(String(text || '')) ? 'zh' : 'en';
+    }
+
+    /**
+     * 把时间转换为最常用的读法
+     * @param {Object} time - 时间对象（小时1-12）
+     * @param {string} locale - 语言id
+     * @returns {string} 读法
+     */
+    toPhrase(time, locale = this.defaultLocale) {
+        return this.getPhrases(time, locale)[0];
+    }
+
+    /**
+     * 列出时间的所有等价读法（第一个是最常用的读法）
+     * @param {Object} time - 时间对象（小时1-12）
+     * @param {string} locale - 语言id
+     * @returns {Array<string>} 读法数组
+     */
+    getPhrases(time, locale = this.defaultLocale) {
+        const targetLocale = this.isSupportedLocale(locale) ? locale : this.defaultLocale;
+        const hours = ((time.hours % 12) + 12) % 12 || 12;
+        const minutes = Number(time.minutes) || 0;
+        const seconds = Number(time.seconds) || 0;
+
+        if (seconds === 0) {
+            return this.getMinutePhrases(hours, minutes, targetLocale);
+        }
+
+        // 带秒的时间只用"几点几分几秒"的读法
+        return targetLocale === 'zh' ?
+            [`${this.getChineseMinuteNumeric(hours, minutes)}${this.toChineseNumber(seconds)}秒`] :
+            [`${this.getEnglishMinutePhrases(hours, minutes)[0]} and ${this.toEnglishNumber(seconds)} second${seconds === 1 ? '' : 's'}`];
+    }
+
+    /**
+     * 解析读法为时间对象
+     * @param {string} text - 读法文字
+     * @param {string|null} locale - 语言id，为空时自动判断
+     * @returns {Object|null} 时间对象 {hours, minutes, seconds}，无法识别时返回null
+     */
+    parse(text, locale = null) {
+        if (!text || typeof text !== 'string' || !text.trim()) {
+            return null;
+        }
+
+        const targetLocale = this.isSupportedLocale(locale) ? locale : this.detectLocale(text);
+        try {
+            // 1. 拆出秒数
+            const parts = targetLocale === 'zh' ? this.splitChineseSeconds(text) : this.splitEnglishSeconds(text);
+            if (!parts || parts.seconds === null || parts.seconds > 59) {
+                return null;
+            }
+
+            // 2. 用读法表反查时和分
+            const key = this.normalize(parts.phrase, targetLocale);
+            const match = this.getPhraseTable(targetLocale).get(key);
+            return match ? { hours: match.hours, minutes: match.minutes, seconds: parts.seconds } : null;
+        } catch (error) {
+            this.logger.error('解析时间读法失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 判断读法是否表示指定的时间（忽略上午/下午）
+     * @param {string} text - 读法文字
+     * @param {Object} time - 时间对象
+     * @param {string|null} locale - 语言id，为空时自动判断
+     * @returns {boolean} 是否等价
+     */
+    isEquivalent(text, time, locale = null) {
+        const parsed = this.parse(text, locale);
+        return !!parsed &&
+            parsed.hours === (((time.hours % 12) + 12) % 12 || 12) &&
+            parsed.minutes === time.minutes &&
+            parsed.seconds === (time.seconds || 0);
+    }
+
+    /**
+     * 列出整分钟时间的所有读法
+     * @param {number} hours - 小时（1-12）
+     * @param {number} minutes - 分钟
+     * @param {string} locale - 语言id
+     * @returns {Array<string>} 读法数组
+     */
+    getMinutePhrases(hours, minutes, locale) {
+        return locale === 'zh' ?
+            this.getChineseMinutePhrases(hours, minutes) :
+            this.getEnglishMinutePhrases(hours, minutes);
+    }
+
+    /**
+     * 获取（并缓存）语言的读法反查表
+     * @param {string} locale - 语言id
+     * @returns {Map} 规范化读法 -> {hours, minutes}
+     */
+    getPhraseTable(locale) {
+        if (!this.phraseTables[locale]) {
+            const table = new Map();
+            for (let hours = 1; hours <= 12; hours++) {
+                for (let minutes = 0; minutes < 60; minutes++) {
+                    this.getMinutePhrases(hours, minutes, locale).forEach(phrase => {
+                        const key = this.normalize(phrase, locale);
+                        if (!table.has(key)) {
+                            table.set(key, { hours, minutes });
+                        }
+                    });
+                }
+            }
+            this.phraseTables[locale] = table;
+        }
+        return this.phraseTables[locale];
+    }
+
+    /**
+     * 规范化读法，忽略空格、标点、可省略的词和数字写法的差别
+     * @param {string} text - 读法文字
+     * @param {string} locale - 语言id
+     * @returns {string} 规范化后的读法
+     */
+    normalize(text, locale) {
+        if (locale === 'zh') {
+            return this.replaceArabicWithChinese(
+                String(text)
+                    .replace(/\s+/g, '')
+                    .replace(/[。！!，,.]+$/g, '')
+                    .replace(/：/g, ':')
+                    .replace(/^(现在是|现在|是)/, '')
+                    .replace(/(\d{1,2}):(\d{1,2})/, '$1点$2')
+            )
+                .replace(/〇/g, '零')
+                .replace(/過/g, '过')
+                .replace(/两/g, '二'); // 两点和二点同义
+        }
+
+        return this.replaceDigitsWithWords(
+            String(text)
+                .toLowerCase()
+                .replace(/[’‘]/g, "'")
+                .replace(/(\d{1,2}):(\d{1,2})/, '$1 $2')
+        )
+            .replace(/o\s*'?\s*clock/g, 'oclock')
+            .replace(/-/g, ' ')
+            .replace(/[.,!?]/g, ' ')
+            .replace(/^\s*(it's|it is|its)\s+/, '')
+            .replace(/\b(a|minutes?)\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * 拆出中文读法末尾的秒数
+     * @param {string} text - 读法文字
+     * @returns {Object|null} {phrase, seconds}
+     */
+    splitChineseSeconds(text) {
+        const normalized = this.normalize(text, 'zh');
+        const match = normalized.match(/^(.+?)([零一二三四五六七八九十]+)秒$/);
+        if (!match) {
+            return { phrase: normalized, seconds: 0 };
+        }
+        return { phrase: match[1], seconds: this.parseChineseNumber(match[2]) };
+    }
+
+    /**
+     * 拆出英文读法末尾的秒数（"... and ten seconds"）
+     * @param {string} text - 读法文字
+     * @returns {Object|null} {phrase, seconds}
+     */
+    splitEnglishSeconds(text) {
+        const normalized = this.normalize(text, 'en');
+        const match = normalized.match(/^(.+?) and (.+) seconds?$/);
+        if (!match) {
+            return { phrase: normalized, seconds: 0 };
+        }
+        return { phrase: match[1], seconds: this.parseEnglishNumber(match[2]) };
+    }
+
+    /**
+     * 中文读法（整分钟）
+     * @param {number} hours - 小时（1-12）
+     * @param {number} minutes - 分钟
+     * @returns {Array<string>} 读法数组，第一个最常用
+     */
+    getChineseMinutePhrases(hours, minutes) {
+        const hour = this.toChineseHour(hours);
+        const nextHour = this.toChineseHour(hours % 12 + 1);
+        const minuteText = this.toChineseNumber(minutes);
+
+        if (minutes === 0) {
+            return [`${hour}点整`, `${hour}点`, `${hour}点钟`, `${hour}点零分`];
+        }
+        if (minutes === 15) {
+            return [`${hour}点一刻`, `${hour}点十五分`, `${hour}点十五`, `${hour}点过一刻`, `${hour}点过十五分`];
+        }
+        if (minutes === 30) {
+            return [`${hour}点半`, `${hour}点三十分`, `${hour}点三十`];
+        }
+        if (minutes === 45) {
+            return [`${hour}点四十五分`, `${hour}点三刻`, `差一刻${nextHour}点`, `${nextHour}点差一刻`, `${hour}点四十五`];
+        }
+
+        const phrases = [this.getChineseMinuteNumeric(hours, minutes)];
+        if (minutes < 10) {
+            phrases.push(`${hour}点零${minuteText}`, `${hour}点${minuteText}分`);
+        } else {
+            phrases.push(`${hour}点${minuteText}`);
+        }
+        if (minutes < 30) {
+            phrases.push(`${hour}点过${minuteText}分`);
+        }
+        // 40分以后常说"差几分几点"
+        if (minutes >= 40) {
+            const remaining = this.toChineseNumber(60 - minutes);
+            phrases.push(`差${remaining}分${nextHour}点`, `${nextHour}点差${remaining}分`, `${nextHour}点差${remaining}`);
+        }
+        return phrases;
+    }
+
+    /**
+     * 中文"几点几分"的数字读法
+     * @param {number} hours - 小时（1-12）
+     * @param {number} minutes - 分钟
+     * @returns {string} 读法
+     */
+    getChineseMinuteNumeric(hours, minutes) {
+        const minuteText = minutes < 10 ? `零${this.toChineseNumber(minutes)}` : this.toChineseNumber(minutes);
+        return minutes === 0 ? `${this.toChineseHour(hours)}点零分` : `${this.toChineseHour(hours)}点${minuteText}分`;
+    }
+
+    /**
+     * 英文读法（整分钟）
+     * @param {number} hours - 小时（1-12）
+     * @param {number} minutes - 分钟
+     * @returns {Array<string>} 读法数组，第一个最常用
+     */
+    getEnglishMinutePhrases(hours, minutes) {
+        const hour = this.toEnglishNumber(hours);
+        const nextHour = this.toEnglishNumber(hours % 12 + 1);
+        const digital = minutes < 10 ?
+            `${hour} oh ${this.toEnglishNumber(minutes)}` :
+            `${hour} ${this.toEnglishNumber(minutes)}`;
+
+        if (minutes === 0) {
+            return [`${hour} o'clock`, hour];
+        }
+        if (minutes === 15) {
+            return [`quarter past ${hour}`, `a quarter past ${hour}`, `quarter after ${hour}`, `fifteen past ${hour}`, digital];
+        }
+        if (minutes === 30) {
+            return [`half past ${hour}`, digital, `thirty past ${hour}`];
+        }
+        if (minutes === 45) {
+            return [`quarter to ${nextHour}`, `a quarter to ${nextHour}`, `quarter of ${nextHour}`, `fifteen to ${nextHour}`, digital];
+        }
+
+        // 不是5的倍数时要说"minutes"，如 twenty-three minutes to four
+        const describe = count => `${this.toEnglishNumber(count)}${count % 5 === 0 ? '' : count === 1 ? ' minute' : ' minutes'}`;
+        if (minutes < 30) {
+            return [`${describe(minutes)} past ${hour}`, digital, `${describe(minutes)} after ${hour}`];
+        }
+        return [`${describe(60 - minutes)} to ${nextHour}`, digital, `${describe(60 - minutes)} of ${nextHour}`];
+    }
+
+    /**
+     * 中文钟点（2点读作"两点"）
+     * @param {number} hours - 小时（1-12）
+     * @returns {string} 中文钟点
+     */
+    toChineseHour(hours) {
+        return hours === 2 ? '两' : this.toChineseNumber(hours);
+    }
+
+    /**
+     * 0-59的数字转中文
+     * @param {number} number - 数字
+     * @returns {string} 中文数字
+     */
+    toChineseNumber(number) {
+        if (number < 10) {
+            return this.chineseDigits[number];
+        }
+        const tens = Math.floor(number / 10);
+        const ones = number % 10;
+        return `${tens === 1 ? '' : this.chineseDigits[tens]}十${ones === 0 ? '' : this.chineseDigits[ones]}`;
+    }
+
+    /**
+     * 中文数字转数字（支持"零五""十五""二十五"）
+     * @param {string} text - 中文数字
+     * @returns {number|null} 数字，无法识别时返回null
+     */
+    parseChineseNumber(text) {
+        const digits = text.replace(/^零/, '');
+        const match = digits.match(/^([一二三四五六七八九]?)(十?)([一二三四五六七八九]?)$/);
+        if (!match || (!match[2] && match[1] && match[3])) {
+            return digits === '' ? 0 : null;
+        }
+        const tens = match[2] ? (match[1] ? this.chineseDigits.indexOf(match[1]) : 1) : 0;
+        const ones = match[2] ? this.chineseDigits.indexOf(match[3]) : this.chineseDigits.indexOf(match[1]);
+        return tens * 10 + Math.max(0, ones);
+    }
+
+    /**
+     * 把读法中的阿拉伯数字换成中文数字（05读作"零五"）
+     * @param {string} text - 读法文字
+     * @returns {string} 替换后的文字
+     */
+    replaceArabicWithChinese(text) {
+        return text.replace(/\d+/g, digits => {
+            const number = parseInt(digits, 10);
+            if (number > 59) {
+                return digits;
+            }
+            const prefix = digits.length === 2 && digits[0] === '0' ? '零' : '';
+            return prefix + this.toChineseNumber(number);
+        });
+    }
+
+    /**
+     * 0-59的数字转英文（如 twenty-five）
+     * @param {number} number - 数字
+     * @returns {string} 英文数字
+     */
+    toEnglishNumber(number) {
+        if (number < 20) {
+            return this.englishOnes[number];
+        }
+        const ones = number % 10;
+        return `${this.englishTens[Math.floor(number / 10)]}${ones === 0 ? '' : '-' + this.englishOnes[ones]}`;
+    }
+
+    /**
+     * 英文数字转数字（接受已规范化的"twenty five"）
+     * @param {string} text - 英文数字
+     * @returns {number|null} 数字，无法识别时返回null
+     */
+    parseEnglishNumber(text) {
+        const normalized = text.replace(/-/g, ' ').trim();
+        for (let number = 0; number < 60; number++) {
+            if (this.toEnglishNumber(number).replace(/-/g, ' ') === normalized) {
+                return number;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 把读法中的阿拉伯数字换成英文（05读作"oh five"）
+     * @param {string} text - 读法文字
+     * @returns {string} 替换后的文字
+     */
+    replaceDigitsWithWords(text) {
+        return text.replace(/\d+/g, digits => {
+            const number = parseInt(digits, 10);
+            if (number > 59) {
+                return digits;
+            }
+            const prefix = digits.length === 2 && digits[0] === '0' ? 'oh ' : '';
+            return prefix + this.toEnglishNumber(number);
+        });
+    }
+}
@@ -4,17 +4,21 @@
  */
 class TimerManager {
     constructor() {
+        this.logger = Logger.getInstance().channel('timer');
+        this.i18n = I18nManager.getInstance();
         this.startTime = null;
         this.endTime = null;
         this.isRunning = false;
         this.elapsedTime = 0;
         this.timerInterval = null;
         this.displayElement = null;
+        this.timeLimit = null; // 限时（毫秒），设置后显示剩余时间，到时自动停止
         this.callbacks = {
             onTick: null,
             onStart: null,
             onStop: null,
-            onReset: null
+            onReset: null,
+            onTimeUp: null
         };
     }
 
@@ -25,14 +29,14 @@ class TimerManager {
     startTimer() {
         try {
             if (this.isRunning) {
-                console.warn('计时器已经在运行中');
+                this.logger.warn('计时器已经在运行中');
                 return false;
             }
 
             // 检查Date对象是否可用
             if (typeof Date === 'undefined' || typeof Date.now !== 'function') {
-                console.error('Date对象不可用，无法启动计时器');
-                this.handleTimerError('系统时间功能不可用');
+                this.logger.error('Date对象不可用，无法启动计时器');
+                this.handleTimerError(this.i18n.t('timer.errors.noClock'));
                 return false;
             }
 
@@ -52,9 +56,12 @@ class TimerManager {
                         if (this.callbacks.onTick && typeof this.callbacks.onTick === 'function') {
                             this.callbacks.onTick(this.elapsedTime);
                         }
+
+                        // 检查是否到达限时
+                        this.checkTimeLimit();
                     } catch (tickError) {
-                        console.error('计时器tick处理失败:', tickError);
-                        this.handleTimerError('计时器更新异常');
+                        this.logger.error('计时器tick处理失败:', tickError);
+                        this.handleTimerError(this.i18n.t('timer.errors.updateFailed'));
                     }
                 }, 100);
 
@@ -63,20 +70,20 @@ class TimerManager {
                     try {
                         this.callbacks.onStart();
                     } catch (callbackError) {
-                        console.error('启动回调执行失败:', callbackError);
+                        this.logger.error('启动回调执行失败:', callbackError);
                     }
                 }
 
-                console.log('计时器已启动');
+                this.logger.debug('计时器已启动');
                 return true;
             } catch (intervalError) {
-                console.error('创建定时器失败:', intervalError);
-                this.handleTimerError('定时器创建失败');
+                this.logger.error('创建定时器失败:', intervalError);
+                this.handleTimerError(this.i18n.t('timer.errors.intervalFailed'));
                 return false;
             }
         } catch (error) {
-            console.error('启动计时器时发生错误:', error);
-            this.handleTimerError('计时器启动失败');
+            this.logger.error('启动计时器时发生错误:', error);
+            this.handleTimerError(this.i18n.t('timer.errors.startFailed'));
             return false;
         }
     }
@@ -88,7 +95,7 @@ class TimerManager {
     stopTimer() {
         try {
             if (!this.isRunning) {
-                console.warn('计时器未在运行');
+                this.logger.warn('计时器未在运行');
                 return this.elapsedTime;
             }
 
@@ -96,7 +103,7 @@ class TimerManager {
             try {
                 this.endTime = Date.now();
             } catch (timeError) {
-                console.error('获取结束时间失败:', timeError);
+                this.logger.error('获取结束时间失败:', timeError);
                 // 使用估算的结束时间
                 this.endTime = this.startTime + this.elapsedTime;
             }
@@ -109,7 +116,7 @@ class TimerManager {
                     clearInterval(this.timerInterval);
                     this.timerInterval = null;
                 } catch (clearError) {
-                    console.error('清除定时器失败:', clearError);
+                    this.logger.error('清除定时器失败:', clearError);
                     this.timerInterval = null; // 强制设置为null
                 }
             }
@@ -118,7 +125,7 @@ class TimerManager {
             try {
                 this.updateElapsedTime();
             } catch (updateError) {
-                console.error('更新耗时失败:', updateError);
+                this.logger.error('更新耗时失败:', updateError);
                 // 使用备用计算方法
                 if (this.startTime && this.endTime) {
                     this.elapsedTime = this.endTime - this.startTime;
@@ -130,15 +137,15 @@ class TimerManager {
                 try {
                     this.callbacks.onStop(this.elapsedTime);
                 } catch (callbackError) {
-                    console.error('停止回调执行失败:', callbackError);
+                    this.logger.error('停止回调执行失败:', callbackError);
                 }
             }
 
-            console.log(`计时器已停止，总耗时: ${this.formatTime(this.elapsedTime / 1000)}`);
+            this.logger.debug(`计时器已停止，总耗时: ${this.formatTime(this.elapsedTime / 1000)}`);
             
             return this.elapsedTime;
         } catch (error) {
-            console.error('停止计时器时发生错误:', error);
+            this.logger.error('停止计时器时发生错误:', error);
             
             // 强制停止状态
             this.isRunning = false;
@@ -151,7 +158,7 @@ class TimerManager {
                 this.timerInterval = null;
             }
             
-            this.handleTimerError('计时器停止异常');
+            this.handleTimerError(this.i18n.t('timer.errors.stopFailed'));
             return this.elapsedTime || 0;
         }
     }
@@ -178,7 +185,7 @@ class TimerManager {
             this.callbacks.onReset();
         }
 
-        console.log('计时器已重置');
+        this.logger.debug('计时器已重置');
     }
 
     /**
@@ -192,6 +199,48 @@ class TimerManager {
         return this.elapsedTime;
     }
 
+    /**
+     * 设置限时
+     * @param {number|null} milliseconds - 限时（毫秒），null或0表示不限时
+     */
+    setTimeLimit(milliseconds) {
+        this.timeLimit = milliseconds > 0 ? milliseconds : null;
+        this.updateDisplay();
+    }
+
+    /**
+     * 获取剩余时间（毫秒）
+     * @returns {number|null} 剩余时间，不限时时为null
+     */
+    getRemainingTime() {
+        if (!this.timeLimit) {
+            return null;
+        }
+        return Math.max(0, this.timeLimit - this.getCurrentTime());
+    }
+
+    /**
+     * 到达限时后停止计时并触发onTimeUp回调
+     * @returns {boolean} 是否已到时
+     */
+    checkTimeLimit() {
+        if (!this.timeLimit || !this.isRunning || this.elapsedTime < this.timeLimit) {
+            return false;
+        }
+
+        const elapsedTime = this.stopTimer();
+        this.logger.debug(`⏰ 已到达限时 ${this.formatTime(this.timeLimit / 1000)}`);
+
+        if (this.callbacks.onTimeUp && typeof this.callbacks.onTimeUp === 'function') {
+            try {
+                this.callbacks.onTimeUp(elapsedTime);
+            } catch (callbackError) {
+                this.logger.error('限时回调执行失败:', callbackError);
+            }
+        }
+        return true;
+    }
+
     /**
      * 获取当前耗时（秒）
      * @returns {number} 当前耗时（秒）
@@ -261,14 +310,17 @@ class TimerManager {
     updateDisplay() {
         try {
             if (this.displayElement) {
-                const seconds = this.getCurrentTimeInSeconds();
+                // 限时模式下显示剩余时间
+                const seconds = this.timeLimit ?
+                    Math.ceil(this.getRemainingTime() / 1000) :
+                    this.getCurrentTimeInSeconds();
                 const formattedTime = this.formatTime(seconds);
                 
                 // 检查格式化结果是否有效
                 if (formattedTime && typeof formattedTime === 'string') {
                     this.displayElement.textContent = formattedTime;
                 } else {
-                    console.warn('时间格式化结果无效:', formattedTime);
+                    this.logger.warn('时间格式化结果无效:', formattedTime);
                     this.displayElement.textContent = '00:00';
                 }
                 
@@ -284,11 +336,11 @@ class TimerManager {
                         }
                     }
                 } catch (classError) {
-                    console.warn('更新计时器CSS类失败:', classError);
+                    this.logger.warn('更新计时器CSS类失败:', classError);
                 }
             }
         } catch (error) {
-            console.error('更新计时器显示失败:', error);
+            this.logger.error('更新计时器显示失败:', error);
             
             // 显示错误状态
             if (this.displayElement) {
@@ -298,7 +350,7 @@ class TimerManager {
                         this.displayElement.classList.add('timer-error');
                     }
                 } catch (errorDisplayError) {
-                    console.error('显示错误状态也失败:', errorDisplayError);
+                    this.logger.error('显示错误状态也失败:', errorDisplayError);
                 }
             }
         }
@@ -309,7 +361,7 @@ class TimerManager {
      * @param {string} errorMessage - 错误消息
      */
     handleTimerError(errorMessage) {
-        console.error('计时器错误:', errorMessage);
+        this.logger.error('计时器错误:', errorMessage);
         
         // 强制停止计时器
         this.isRunning = false;
@@ -325,14 +377,14 @@ class TimerManager {
         // 更新显示为错误状态
         if (this.displayElement) {
             try {
-                this.displayElement.textContent = '计时错误';
+                this.displayElement.textContent = this.i18n.t('timer.errors.short');
                 if (this.displayElement.classList) {
                     this.displayElement.classList.add('timer-error');
                     this.displayElement.classList.remove('timer-running', 'timer-stopped');
                 }
                 this.displayElement.title = errorMessage;
             } catch (displayError) {
-                console.error('显示计时器错误状态失败:', displayError);
+                this.logger.error('显示计时器错误状态失败:', displayError);
             }
         }
         
@@ -371,7 +423,7 @@ class TimerManager {
                 }
             }
             
-            errorElement.textContent = `计时功能异常: ${errorMessage}`;
+            errorElement.textContent = this.i18n.t('timer.errors.message', { reason: errorMessage });
             errorElement.style.display = 'block';
             
             // 5秒后自动隐藏
@@ -381,7 +433,7 @@ class TimerManager {
                 }
             }, 5000);
         } catch (error) {
-            console.error('显示计时器错误消息失败:', error);
+            this.logger.error('显示计时器错误消息失败:', error);
         }
     }
 
@@ -399,7 +451,7 @@ class TimerManager {
             // 测试基本功能
             const testTime = Date.now();
             if (typeof testTime !== 'number' || isNaN(testTime)) {
-                console.log('系统时间功能仍然不可用');
+                this.logger.debug('系统时间功能仍然不可用');
                 return false;
             }
             
@@ -416,24 +468,24 @@ class TimerManager {
                 errorElement.style.display = 'none';
             }
             
-            console.log('计时器功能已恢复');
+            this.logger.debug('计时器功能已恢复');
             return true;
         } catch (error) {
-            console.error('恢复计时器功能失败:', error);
+            this.logger.error('恢复计时器功能失败:', error);
             return false;
         }
     }
 
     /**
      * 设置回调函数
-     * @param {string} eventType - 事件类型 ('onTick', 'onStart', 'onStop', 'onReset')
+     * @param {string} eventType - 事件类型 ('onTick', 'onStart', 'onStop', 'onReset', 'onTimeUp')
      * @param {Function} callback - 回调函数
      */
     setCallback(eventType, callback) {
         if (this.callbacks.hasOwnProperty(eventType)) {
             this.callbacks[eventType] = callback;
         } else {
-            console.warn(`未知的回调事件类型: ${eventType}`);
+            this.logger.warn(`未知的回调事件类型: ${eventType}`);
         }
     }
 
@@ -475,7 +527,7 @@ class TimerManager {
      */
     pauseTimer() {
         if (!this.isRunning) {
-            console.warn('计时器未在运行，无法暂停');
+            this.logger.warn('计时器未在运行，无法暂停');
             return;
         }
 
@@ -489,7 +541,7 @@ class TimerManager {
         this.updateElapsedTime();
         this.isRunning = false;
 
-        console.log('计时器已暂停');
+        this.logger.debug('计时器已暂停');
     }
 
     /**
@@ -497,12 +549,12 @@ class TimerManager {
      */
     resumeTimer() {
         if (this.isRunning) {
-            console.warn('计时器已在运行中');
+            this.logger.warn('计时器已在运行中');
             return;
         }
 
         if (this.startTime === null) {
-            console.warn('计时器未初始化，请使用startTimer()');
+            this.logger.warn('计时器未初始化，请使用startTimer()');
             return;
         }
 
@@ -522,7 +574,7 @@ class TimerManager {
             }
         }, 100);
 
-        console.log('计时器已恢复');
+        this.logger.debug('计时器已恢复');
     }
 
     /**
@@ -538,16 +590,16 @@ class TimerManager {
             onReset: null
         };
         
-        console.log('计时器已销毁');
+        this.logger.debug('计时器已销毁');
     }
 
     /**
      * 清理计时器资源（destroy方法的别名）
      */
     cleanup() {
-        console.log('🧹 清理TimerManager资源...');
+        this.logger.debug('🧹 清理TimerManager资源...');
         this.destroy();
-        console.log('✅ TimerManager资源清理完成');
+        this.logger.debug('✅ TimerManager资源清理完成');
     }
 
     /**
@@ -568,7 +620,7 @@ class TimerManager {
             
             localStorage.setItem('timerErrorStats', JSON.stringify(errorStats));
         } catch (error) {
-            console.warn('记录计时器错误统计失败:', error);
+            this.logger.warn('记录计时器错误统计失败:', error);
         }
     }
 
@@ -588,7 +640,7 @@ class TimerManager {
             });
             document.dispatchEvent(event);
         } catch (error) {
-            console.error('触发计时器错误事件失败:', error);
+            this.logger.error('触发计时器错误事件失败:', error);
         }
     }
 
@@ -598,11 +650,11 @@ class TimerManager {
      */
     attemptAutoRecovery(originalError) {
         try {
-            console.log('尝试自动恢复计时器功能...');
+            this.logger.debug('尝试自动恢复计时器功能...');
             
             // 检查基本功能是否恢复
             if (typeof Date === 'undefined' || typeof Date.now !== 'function') {
-                console.log('系统时间功能仍然不可用');
+                this.logger.debug('系统时间功能仍然不可用');
                 return false;
             }
             
@@ -625,7 +677,7 @@ class TimerManager {
             
             return false;
         } catch (error) {
-            console.error('自动恢复计时器功能失败:', error);
+            this.logger.error('自动恢复计时器功能失败:', error);
             return false;
         }
     }
@@ -651,7 +703,7 @@ class TimerManager {
             messageElement.innerHTML = `
                 <div class="success-content">
                     <span class="success-icon">✅</span>
-                    <span class="success-text">计时功能已恢复正常</span>
+                    <span class="success-text">${this.i18n.t('timer.recovered')}</span>
                     <button class="success-close" onclick="this.parentElement.parentElement.style.display='none'">×</button>
                 </div>
             `;
@@ -664,7 +716,7 @@ class TimerManager {
                 }
             }, 3000);
         } catch (error) {
-            console.error('显示计时器恢复消息失败:', error);
+            this.logger.error('显示计时器恢复消息失败:', error);
         }
     }
 
@@ -676,7 +728,7 @@ class TimerManager {
         try {
             return JSON.parse(localStorage.getItem('timerErrorStats') || '{}');
         } catch (error) {
-            console.warn('获取计时器错误统计失败:', error);
+            this.logger.warn('获取计时器错误统计失败:', error);
             return {};
         }
     }
@@ -687,9 +739,9 @@ class TimerManager {
     clearErrorStats() {
         try {
             localStorage.removeItem('timerErrorStats');
-            console.log('计时器错误统计已清除');
+            this.logger.debug('计时器错误统计已清除');
         } catch (error) {
-            console.warn('清除计时器错误统计失败:', error);
+            this.logger.warn('清除计时器错误统计失败:', error);
         }
     }
 }
\ No newline at end of file
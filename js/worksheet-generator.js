@@ -0,0 +1,281 @@
+/**
+ * 练习纸生成器类
+ * 按选定星级生成一组时间，用ClockRenderer导出的SVG矢量钟面组成可直接打印的A4练习纸：
+ * 看钟写时间（钟面+答题横线）、画出指针（空白钟面+目标时间），并可附带答案页
+ */
+class WorksheetGenerator {
+    constructor(timeGenerator, clockRenderer, answerValidator) {
+        if (!timeGenerator || !answerValidator) {
+            throw new Error('TimeGenerator 和 AnswerValidator 是必需的参数');
+        }
+        this.logger = Logger.getInstance().channel('app');
+        this.i18n = I18nManager.getInstance();
+        this.timeGenerator = timeGenerator;
+        this.clockRenderer = clockRenderer;
+        this.answerValidator = answerValidator;
+
+        this.clocksPerPage = 12; // 每页3列4行
+        this.clockSize = 300; // 钟面的viewBox尺寸，矢量图打印时任意缩放都清晰
+        this.sheetTypes = ['read', 'draw'];
+    }
+
+    /**
+     * 能否绘制钟面（需要SVG）
+     * @returns {boolean} 是否可用
+     */
+    isAvailable() {
+        return !!this.clockRenderer && typeof SvgClockRenderer !== 'undefined' && SvgClockRenderer.isSupported();
+    }
+
+    /**
+     * 生成练习纸
+     * @param {Object} options - 练习纸设置
+     * @param {number} options.level - 难度等级 (1-5)
+     * @param {number} options.count - 钟面数量
+     * @param {string} options.type - 练习纸类型：read-看钟写时间，draw-画出指针
+     * @param {boolean} options.includeAnswerKey - 是否附带答案页
+     * @returns {Object} {times, html}
+     */
+    generate(options = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('当前浏览器不支持SVG，无法绘制钟面');
+        }
+
+        const settings = {
+            level: Number(options.level) || 1,
+            count: Math.max(1, Math.floor(Number(options.count) || this.clocksPerPage)),
+            type: this.sheetTypes.includes(options.type) ? options.type : 'read',
+            includeAnswerKey: options.includeAnswerKey !== false
+        };
+
+        const difficulty = this.timeGenerator.difficultyManager.getAllDifficulties()[settings.level];
+        if (!difficulty) {
+            throw new Error(`无效的难度等级: ${settings.level}`);
+        }
+
+        const times = this.generateTimes(settings.level, settings.count);
+        const html = this.buildDocument(settings, difficulty, times);
+
+        this.logger.debug(`🖨️ 练习纸已生成: ${settings.type}，${settings.level}星，${times.length}个钟面`);
+        return { times, html };
+    }
+
+    /**
+     * 生成不重复的时间（可选时间不够时允许重复）
+     * @param {number} level - 难度等级
+     * @param {number} count - 数量
+     * @returns {Array<Object>} 时间数组
+     */
+    generateTimes(level, count) {
+        const times = [];
+        const usedKeys = new Set();
+
+        while (times.length < count) {
+            let time;
+            let attempts = 0;
+            do {
+                time = this.timeGenerator.generateTimeForLevel(level);
+                attempts++;
+            } while (usedKeys.has(this.getTimeKey(time)) && attempts < 30);
+
+            usedKeys.add(this.getTimeKey(time));
+            times.push(time);
+        }
+        return times;
+    }
+
+    /**
+     * 生成时间的去重键
+     * @param {Object} time - 时间对象
+     * @returns {string} 键
+     */
+    getTimeKey(time) {
+        return `${time.hours}:${time.minutes}:${time.seconds}`;
+    }
+
+    /**
+     * 把钟面画成图片
+     * @param {Object|null} time - 时间对象，为null时画空白钟面
+     * @returns {string} SVG的data URL
+     */
+    renderClockImage(time) {
+        const svg = this.clockRenderer.exportSVG(time, this.clockSize);
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    }
+
+    /**
+     * 生成答题横线
+     * @param {Object} timeConfig - 难度的时间配置
+     * @returns {string} HTML
+     */
+    buildAnswerLine(timeConfig) {
+        const hasSeconds = timeConfig.includeSeconds && timeConfig.secondsFixed === null;
+        const blank = '<span class="blank"></span>';
+        const secondsPart = hasSeconds ? `${blank}${this.i18n.t('worksheet.units.seconds')}` : '';
+        return `<div class="answer-line">${blank}${this.i18n.t('worksheet.units.hours')}${blank}${this.i18n.t('worksheet.units.minutes')}${secondsPart}</div>`;
+    }
+
+    /**
+     * 把钟面列表分页
+     * @param {Array<string>} cells - 每个钟面的HTML
+     * @param {string} header - 每页的页眉HTML
+     * @returns {string} 分页后的HTML
+     */
+    buildPages(cells, header) {
+        const pages = [];
+        for (let i = 0; i < cells.length; i += this.clocksPerPage) {
+            pages.push(`
+                <section class="page">
+                    ${header}
+                    <div class="clock-grid">${cells.slice(i, i + this.clocksPerPage).join('')}</div>
+                </section>`);
+        }
+        return pages.join('');
+    }
+
+    /**
+     * 组装完整的打印页面
+     * @param {Object} settings - 练习纸设置
+     * @param {Object} difficulty - 难度对象
+     * @param {Array<Object>} times - 时间数组
+     * @returns {string} HTML文档
+     */
+    buildDocument(settings, difficulty, times) {
+        const sheetName = this.i18n.t(`config.worksheet.types.${settings.type}`);
+        const title = this.i18n.t('worksheet.title', { type: sheetName });
+        const blankFace = settings.type === 'draw' ? this.renderClockImage(null) : null;
+
+        // 1. 练习页
+        const exerciseCells = times.map((time, index) => {
+            if (settings.type === 'draw') {
+                return `
+                    <div class="clock-cell">
+                        <div class="clock-number">${index + 1}.</div>
+                        <img src="${blankFace}" alt="${this.i18n.t('worksheet.blankFace')}">
+                        <div class="target-time">${this.i18n.t('worksheet.drawTarget', { time: this.answerValidator.formatTime(time) })}</div>
+                    </div>`;
+            }
+            return `
+                <div class="clock-cell">
+                    <div class="clock-number">${index + 1}.</div>
+                    <img src="${this.renderClockImage(time)}" alt="${this.i18n.t('worksheet.clockFace')}">
+                    ${this.buildAnswerLine(difficulty.timeConfig)}
+                </div>`;
+        });
+        const exerciseHeader = `
+            <header class="sheet-header">
+                <h1>${title}</h1>
+                <div class="sheet-subtitle">${difficulty.name}</div>
+                <div class="student-info">${this.i18n.t('worksheet.studentName')}<span class="blank wide"></span>${this.i18n.t('worksheet.date')}<span class="blank wide"></span>${this.i18n.t('worksheet.score')}<span class="blank"></span></div>
+            </header>`;
+        let body = this.buildPages(exerciseCells, exerciseHeader);
+
+        // 2. 答案页：看钟写时间只列出答案，画出指针给出画好的钟面
+        if (settings.includeAnswerKey) {
+            const answerHeader = `
+                <header class="sheet-header">
+                    <h1>${this.i18n.t('worksheet.answerTitle', { title: title })}</h1>
+                    <div class="sheet-subtitle">${difficulty.name}</div>
+                </header>`;
+            if (settings.type === 'draw') {
+                const answerCells = times.map((time, index) => `
+                    <div class="clock-cell">
+                        <div class="clock-number">${index + 1}.</div>
+                        <img src="${this.renderClockImage(time)}" alt="${this.i18n.t('worksheet.clockFace')}">
+                        <div class="target-time">${this.answerValidator.formatTime(time)}</div>
+                    </div>`);
+                body += this.buildPages(answerCells, answerHeader);
+            } else {
+                const answerItems = times.map((time, index) =>
+                    `<li><span class="clock-number">${index + 1}.</span>${this.answerValidator.formatTime(time)}</li>`);
+                body += `
+                    <section class="page">
+                        ${answerHeader}
+                        <ol class="answer-key">${answerItems.join('')}</ol>
+                    </section>`;
+            }
+        }
+
+        return `<!DOCTYPE html>
+<html lang="${this.i18n.getLocale()}">
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <style>${this.getPrintStyles()}</style>
+</head>
+<body>
+    <div class="print-toolbar"><button type="button" onclick="window.print()">${this.i18n.t('worksheet.print')}</button></div>
+    ${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * 打印页面的样式
+     * @returns {string} CSS
+     */
+    getPrintStyles() {
+        return `
+            @page { size: A4; margin: 12mm; }
+            * { box-sizing: border-box; }
+            body { margin: 0; font-family: "PingFang SC", "Microsoft YaHei", Arial, sans-serif; color: #222; background: #f3f4f6; }
+            .page { width: 186mm; min-height: 273mm; margin: 12px auto; padding: 8mm; background: white; page-break-after: always; break-after: page; }
+            .page:last-child { page-break-after: auto; break-after: auto; }
+            .sheet-header { text-align: center; margin-bottom: 6mm; }
+            .sheet-header h1 { margin: 0 0 2mm; font-size: 20pt; }
+            .sheet-subtitle { font-size: 11pt; color: #555; }
+            .student-info { margin-top: 4mm; font-size: 12pt; }
+            .blank { display: inline-block; width: 12mm; margin: 0 2mm; border-bottom: 1px solid #222; }
+            .blank.wide { width: 30mm; }
+            .clock-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6mm 4mm; }
+            .clock-cell { position: relative; text-align: center; page-break-inside: avoid; break-inside: avoid; }
+            .clock-cell img { width: 52mm; height: 52mm; }
+            .clock-cell .clock-number { position: absolute; left: 0; top: 0; font-weight: bold; }
+            .answer-line, .target-time { margin-top: 2mm; font-size: 12pt; }
+            .answer-key { columns: 3; font-size: 13pt; line-height: 2; list-style: none; padding: 0; }
+            .answer-key .clock-number { display: inline-block; width: 10mm; font-weight: bold; }
+            .print-toolbar { text-align: center; padding: 12px; }
+            .print-toolbar button { font-size: 14pt; padding: 6px 24px; cursor: pointer; }
+            @media print {
+                body { background: white; }
+                .page { margin: 0; padding: 0; width: auto; min-height: 0; }
+                .print-toolbar { display: none; }
+            }`;
+    }
+
+    /**
+     * 在新窗口中打开打印页面；弹窗被拦截时改为下载HTML文件
+     * @param {string} html - HTML文档
+     * @returns {boolean} 是否在新窗口中打开
+     */
+    openPrintWindow(html) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.logger.warn('弹出窗口被拦截，改为下载练习纸');
+            this.downloadHTML(html);
+            return false;
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+        return true;
+    }
+
+    /**
+     * 下载练习纸HTML文件
+     * @param {string} html - HTML文档
+     */
+    downloadHTML(html) {
+        const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `clock-worksheet-${new Date().toISOString().slice(0, 10)}.html`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}